@@ -0,0 +1,404 @@
+#!/usr/bin/env node
+/**
+ * dtune - Command Line Tool for Batch Attribute Work
+ *
+ * Runs the modules of the web app (FileManager, AttributeSystem, ...) in a
+ * jsdom window through BatchEditor, so files written by `dtune set` are
+ * byte-identical to exports of the app with the same settings.
+ *
+ * Commands:
+ * - set:      set shaper attributes on the selected elements and export
+ * - report:   list elements, cut types and attribute values
+ * - validate: check attribute values, cut depths, open-path cuts and live text
+ *
+ * Exit codes: 0 success, 1 validation problems or failed files, 2 usage errors.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/** App modules needed by BatchEditor, in load order */
+const MODULES = [
+    'dryUtilities.js',
+    'shaperConstants.js',
+    'measurementSystem.js',
+    'lengthExpression.js',
+    'svgGeometry.js',
+    'svgAnalyzer.js',
+    'svgHelper.js',
+    'shapeMetrics.js',
+    'elementManager.js',
+    'fileManager.js',
+    'attributeSystem.js',
+    'selectionQuery.js',
+    'designRuleChecker.js',
+    'batchEditor.js'
+];
+
+/** Options taking a value, by command ('*' for all commands) */
+const VALUE_OPTIONS = {
+    '*': ['units'],
+    set: ['cutType', 'cutDepth', 'cutOffset', 'toolDia', 'select', 'out'],
+    report: [],
+    validate: ['material', 'spoilboard']
+};
+
+/** Options without value, by command ('*' for all commands) */
+const FLAG_OPTIONS = {
+    '*': ['decimal-comma', 'help'],
+    set: ['in-place', 'cut-style', 'keep-group-attributes'],
+    report: ['json'],
+    validate: ['json']
+};
+
+/** Attribute options of the set command */
+const ATTRIBUTE_OPTIONS = ['cutType', 'cutDepth', 'cutOffset', 'toolDia'];
+
+const USAGE = `Usage:
+  dtune set [options] <files...>
+      --cutType <type>          online, inside, outside, pocket, guide or none
+      --cutDepth <length>       e.g. 18mm, 3/4in, 18mm + 0.5 or none
+      --cutOffset <length>
+      --toolDia <length>
+      --select <filter>         Elements to change, filter box syntax (default: all)
+                                e.g. "closed && width < 10mm && !cutType"
+      --out <folder>            Write the exported files to a folder
+      --in-place                Overwrite the input files
+      --cut-style               Export with Cut Style Guide colors
+      --keep-group-attributes   Export group attributes on the groups
+  dtune report [--json] [files...]
+  dtune validate [--material <length>] [--spoilboard <length>] [--json] [files...]
+
+Options for all commands:
+  --units <mode>                mm, cm, in, thou or in/8 ... in/64 (default: mm);
+                                unit of plain numbers, of reports and of the export
+  --decimal-comma               Decimal comma, as with a German locale in the app
+
+With a single file and neither --out nor --in-place, set writes to stdout.
+report and validate use the SVG files of the current folder if none are given.`;
+
+/**
+ * Error in the command line (exit code 2)
+ */
+class UsageError extends Error {}
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+/**
+ * Parse the command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} {command, options, files}
+ * @throws {UsageError} On unknown commands or options
+ */
+function parseArguments(args) {
+    const command = args[0];
+    if (!command || command === '--help' || command === 'help') {
+        return { command: 'help', options: {}, files: [] };
+    }
+    if (!(command in VALUE_OPTIONS) || command === '*') {
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+
+    const valueOptions = [...VALUE_OPTIONS['*'], ...VALUE_OPTIONS[command]];
+    const flagOptions = [...FLAG_OPTIONS['*'], ...FLAG_OPTIONS[command]];
+    const options = {};
+    const files = [];
+
+    for (let i = 1; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            files.push(arg);
+            continue;
+        }
+
+        // --name value or --name=value
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (valueOptions.includes(name)) {
+            const value = inlineValue !== undefined ? inlineValue : args[++i];
+            if (value === undefined) {
+                throw new UsageError(`--${name} needs a value`);
+            }
+            options[name] = value;
+        } else if (flagOptions.includes(name) && inlineValue === undefined) {
+            options[name] = true;
+        } else {
+            throw new UsageError(`Unknown option "${arg}" for ${command}`);
+        }
+    }
+
+    return { command, options, files };
+}
+
+/**
+ * List the SVG files of a folder
+ * @param {string} folder - Folder path
+ * @returns {Array<string>} File paths, sorted
+ */
+function listSVGFiles(folder) {
+    return fs.readdirSync(folder)
+        .filter(name => name.toLowerCase().endsWith('.svg'))
+        .sort()
+        .map(name => path.join(folder, name));
+}
+
+// ============================================================================
+// APP MODULES
+// ============================================================================
+
+/**
+ * Create a window with the app modules loaded
+ * @returns {Window} jsdom window
+ */
+function createAppWindow() {
+    let jsdom;
+    try {
+        jsdom = require('jsdom');
+    } catch (error) {
+        throw new Error('dtune needs jsdom, run "npm install" in the DTune folder first');
+    }
+
+    // App modules log to the console; only warnings and errors go to stderr
+    const virtualConsole = new jsdom.VirtualConsole();
+    virtualConsole.on('warn', (...args) => console.error(...args));
+    virtualConsole.on('error', (...args) => console.error(...args));
+
+    const dom = new jsdom.JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        virtualConsole
+    });
+
+    const context = dom.getInternalVMContext();
+    const jsFolder = path.join(__dirname, '..', 'js');
+    MODULES.forEach(module => {
+        const file = path.join(jsFolder, module);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+    return dom.window;
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Create a batch editor with the settings of the command line
+ * @param {Window} window - App window
+ * @param {Object} options - Parsed options
+ * @returns {BatchEditor} Batch editor
+ */
+function createEditor(window, options) {
+    const units = options.units || 'mm';
+    const [system, denominator] = units.split('/');
+    if (!(system in window.MeasurementSystem.UNIT_SYSTEMS) ||
+        (denominator !== undefined && (system !== 'in' || !window.MeasurementSystem.FRACTION_DENOMINATORS.includes(Number(denominator))))) {
+        throw new UsageError(`Unknown units "${units}" (use mm, cm, in, thou or in/8, in/16, in/32, in/64)`);
+    }
+
+    return new window.BatchEditor({
+        units,
+        decimalSeparator: options['decimal-comma'] ? ',' : '.',
+        cutStyle: !!options['cut-style'],
+        keepGroupAttributes: !!options['keep-group-attributes']
+    });
+}
+
+/**
+ * Load a file into a new batch editor
+ * @param {Window} window - App window
+ * @param {Object} options - Parsed options
+ * @param {string} file - File path
+ * @returns {BatchEditor} Batch editor with the file loaded
+ */
+function loadFile(window, options, file) {
+    const editor = createEditor(window, options);
+    editor.load(fs.readFileSync(file, 'utf8'), path.basename(file));
+    return editor;
+}
+
+/**
+ * dtune set
+ * @param {Window} window - App window
+ * @param {Object} options - Parsed options
+ * @param {Array<string>} files - Input files
+ * @returns {number} Exit code
+ */
+function runSet(window, options, files) {
+    const values = {};
+    ATTRIBUTE_OPTIONS.forEach(attr => {
+        if (attr in options) values[attr] = options[attr];
+    });
+    if (Object.keys(values).length === 0) {
+        throw new UsageError(`Nothing to set, use ${ATTRIBUTE_OPTIONS.map(attr => `--${attr}`).join(', ')}`);
+    }
+    if (files.length === 0) {
+        throw new UsageError('No files given');
+    }
+    if (options.out && options['in-place']) {
+        throw new UsageError('Use either --out or --in-place');
+    }
+    const toStdout = !options.out && !options['in-place'];
+    if (toStdout && files.length > 1) {
+        throw new UsageError('Use --out <folder> or --in-place with several files');
+    }
+
+    // An invalid filter or value would fail for every file
+    try {
+        const editor = createEditor(window, options);
+        if (options.select) editor.selectionQuery.compile(options.select);
+        editor.setAttributes([], values);
+    } catch (error) {
+        throw error instanceof UsageError ? error : new UsageError(error.message);
+    }
+
+    if (options.out) {
+        fs.mkdirSync(options.out, { recursive: true });
+    }
+
+    let failed = 0;
+    files.forEach(file => {
+        try {
+            const editor = loadFile(window, options, file);
+            const elements = editor.select(options.select);
+            editor.setAttributes(elements, values);
+            const svgString = editor.exportSVG();
+
+            if (toStdout) {
+                process.stdout.write(svgString);
+            } else {
+                fs.writeFileSync(options.out ? path.join(options.out, path.basename(file)) : file, svgString);
+            }
+            console.error(`${file}: ${elements.length} of ${editor.getElements().length} elements set`);
+        } catch (error) {
+            console.error(`${file}: ${error.message}`);
+            failed++;
+        }
+    });
+    return failed > 0 ? 1 : 0;
+}
+
+/**
+ * dtune report
+ * @param {Window} window - App window
+ * @param {Object} options - Parsed options
+ * @param {Array<string>} files - Input files
+ * @returns {number} Exit code
+ */
+function runReport(window, options, files) {
+    const reports = [];
+    let failed = 0;
+
+    files.forEach(file => {
+        try {
+            reports.push({ file, ...loadFile(window, options, file).report() });
+        } catch (error) {
+            console.error(`${file}: ${error.message}`);
+            failed++;
+        }
+    });
+
+    if (options.json) {
+        console.log(JSON.stringify(reports, null, 2));
+    } else {
+        const list = (counts) => Object.entries(counts).map(([key, count]) => `${key} ×${count}`).join(', ');
+        reports.forEach(report => {
+            console.log(`${report.file}: ${report.elements} elements, ${report.groups} groups`);
+            console.log(`  Elements:   ${list(report.tags) || '-'}`);
+            console.log(`  Cut types:  ${list(report.cutTypes) || '-'}`);
+            console.log(`  Cut depth:  ${list(report.values.cutDepth) || '-'}`);
+            console.log(`  Cut offset: ${list(report.values.cutOffset) || '-'}`);
+            console.log(`  Tool dia:   ${list(report.values.toolDia) || '-'}`);
+        });
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+/**
+ * dtune validate
+ * @param {Window} window - App window
+ * @param {Object} options - Parsed options
+ * @param {Array<string>} files - Input files
+ * @returns {number} Exit code
+ */
+function runValidate(window, options, files) {
+    const results = [];
+    let failed = 0;
+
+    files.forEach(file => {
+        try {
+            const editor = loadFile(window, options, file);
+            const limits = {};
+            [['material', 'materialThickness'], ['spoilboard', 'spoilboardAllowance']].forEach(([option, limit]) => {
+                if (option in options) {
+                    try {
+                        limits[limit] = editor.measurementSystem.evaluateExpression(options[option]);
+                    } catch (error) {
+                        throw new UsageError(`--${option}: ${error.message}`);
+                    }
+                }
+            });
+            results.push({ file, problems: editor.validate(limits) });
+        } catch (error) {
+            if (error instanceof UsageError) throw error;
+            console.error(`${file}: ${error.message}`);
+            failed++;
+        }
+    });
+
+    if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        results.forEach(result => {
+            if (result.problems.length === 0) {
+                console.log(`${result.file}: OK`);
+                return;
+            }
+            console.log(`${result.file}: ${result.problems.length} problem${result.problems.length === 1 ? '' : 's'}`);
+            result.problems.forEach(problem => console.log(`  ${problem.name}: ${problem.message}`));
+        });
+    }
+
+    const problems = results.some(result => result.problems.length > 0);
+    return failed > 0 || problems ? 1 : 0;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+/**
+ * Run dtune
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(args) {
+    try {
+        const { command, options, files } = parseArguments(args);
+        if (command === 'help' || options.help) {
+            console.log(USAGE);
+            return 0;
+        }
+
+        const inputFiles = files.length === 0 && command !== 'set' ? listSVGFiles(process.cwd()) : files;
+        if (inputFiles.length === 0 && command !== 'set') {
+            throw new UsageError('No SVG files given or found in the current folder');
+        }
+
+        const window = createAppWindow();
+        const commands = { set: runSet, report: runReport, validate: runValidate };
+        return commands[command](window, options, inputFiles);
+    } catch (error) {
+        console.error(`dtune: ${error.message}`);
+        if (error instanceof UsageError) {
+            console.error('Run "dtune --help" for usage.');
+            return 2;
+        }
+        return 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
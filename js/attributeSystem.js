@@ -17,12 +17,66 @@ class AttributeSystem {
      * @param {FileManager} fileManager - Manages SVG file operations
      * @param {ElementManager} elementManager - Manages element selection and data
      * @param {MetaData} metaData - Centralized data management for persistence
+     * @param {HistoryManager} historyManager - Undo/redo recording of attribute edits
+     * @param {ToolLibrary} toolLibrary - Tool lookup for cutting length checks
      */
-    constructor(measurementSystem, fileManager, elementManager, metaData = null) {
+    constructor(measurementSystem, fileManager, elementManager, metaData = null, historyManager = null, toolLibrary = null) {
         this.measurementSystem = measurementSystem;
         this.fileManager = fileManager;
         this.elementManager = elementManager;
         this.metaData = metaData;
+        this.historyManager = historyManager;
+        this.toolLibrary = toolLibrary;
+
+        // Shaper attributes copied with copyAttributes() for later pasting
+        this.attributeClipboard = null;
+    }
+
+    /**
+     * Apply an attribute change to elements and record it for undo/redo
+     *
+     * All attribute edits should go through this method so each one becomes
+     * a single undoable step, regardless of how many elements it touches.
+     *
+     * @param {string} label - Human-readable description of the change
+     * @param {Array<Element>} elements - SVG elements affected by the change
+     * @param {Function} applyChanges - Function performing the actual change
+     */
+    recordChange(label, elements, applyChanges) {
+        const appIds = elements
+            .map(element => element && (element.dataset.appId || element.dataset.groupId))
+            .filter(appId => appId);
+        this.recordChangeById(label, appIds, applyChanges);
+    }
+
+    /**
+     * Apply an attribute change by app-id and record it for undo/redo
+     *
+     * Variant of recordChange() for callers that work on element data
+     * without a DOM element at hand.
+     *
+     * @param {string} label - Human-readable description of the change
+     * @param {Array<string>} appIds - App IDs of the affected elements
+     * @param {Function} applyChanges - Function performing the actual change
+     */
+    recordChangeById(label, appIds, applyChanges) {
+        if (!this.historyManager) {
+            applyChanges();
+            return;
+        }
+
+        this.historyManager.execute(label, appIds, applyChanges);
+    }
+
+    /**
+     * Build a history label for an attribute change
+     *
+     * @param {string} action - Action verb (e.g., 'Edit', 'Clear', 'Paste')
+     * @param {number} count - Number of affected elements
+     * @returns {string} Label such as 'Edit 80 elements'
+     */
+    getChangeLabel(action, count) {
+        return count === 1 ? `${action} element` : `${action} ${count} elements`;
     }
 
     /**
@@ -49,17 +103,24 @@ class AttributeSystem {
 
         if (selectedElementsInfo && selectedElementsInfo.length > 1) {
             console.log(`MULTI-element save for ${selectedElementsInfo.length} elements`);
-            // Multi-element save
-            this.saveAttributesForMultipleElements(selectedElementsInfo, formValues);
+            // Multi-element save, recorded as one undoable step
+            const elements = selectedElementsInfo.map(info => info.element);
+            this.recordChange(this.getChangeLabel('Edit', elements.length), elements, () => {
+                this.saveAttributesForMultipleElements(selectedElementsInfo, formValues);
+            });
         } else {
             console.log('SINGLE-element save');
-            // Single element save
-            const selectedPath = this.getSelectedPath();
+            // Single element save (the element the modal was opened for, e.g. a group from the layer tree)
+            const selectedPath = (selectedElementsInfo && selectedElementsInfo.length === 1)
+                ? selectedElementsInfo[0].element
+                : this.getSelectedPath();
             if (!selectedPath) {
                 console.error('No selected path found');
                 return;
             }
-            this.saveAttributesForSingleElement(selectedPath, formValues);
+            this.recordChange(this.getChangeLabel('Edit', 1), [selectedPath], () => {
+                this.saveAttributesForSingleElement(selectedPath, formValues);
+            });
         }
 
         console.log('=== SAVE COMPLETE - UPDATING SVG DATA ===');
@@ -77,11 +138,62 @@ class AttributeSystem {
      * @param {Object} formValues - Form values from modal dialog (excluding no-modify fields)
      */
     saveAttributesForSingleElement(element, formValues) {
+        const ownBefore = { ...(this.elementManager.getElementDimensions(element).shaperAttributes || {}) };
+
         // Process cut type (string attribute, no unit conversion needed)
         this.saveCutTypeAttribute(element, formValues);
 
         // Process measurement attributes (convert to pixels for internal storage)
         this.saveMeasurementAttributes(element, formValues);
+
+        // Remember the tool picked from the library
+        this.saveToolAttribute(element, formValues);
+
+        // Values shown from a group and left unchanged stay inherited
+        this.keepInheritedValues(element, ownBefore);
+    }
+
+    /**
+     * Remove saved values that only repeat what an element inherits
+     *
+     * The dialog shows inherited group values, so saving it copies them onto
+     * the element. Values the element did not set before and that equal the
+     * inherited value (at display precision) are removed again, so later
+     * changes to the group still apply.
+     * Values are compared as decimals, as fractional inches are too coarse.
+     *
+     * @param {Element} element - Saved element or group
+     * @param {Object} ownBefore - Own shaper attributes before saving
+     */
+    keepInheritedValues(element, ownBefore) {
+        const attributes = this.elementManager.getElementDimensions(element).shaperAttributes;
+        if (!attributes) return;
+
+        Object.entries(this.elementManager.getAttributeInheritance(element)).forEach(([name, entry]) => {
+            if (name in ownBefore || !(name in attributes)) return;
+
+            const inherited = (this.elementManager.getElementDimensions(entry.group).shaperAttributes || {})[name];
+            if (this.formatStoredValue(name, attributes[name]) === this.formatStoredValue(name, inherited)) {
+                delete attributes[name];
+            }
+        });
+
+        // A picked tool is only kept together with the element's own tool diameter
+        if (!attributes['shaper:toolDia']) {
+            delete attributes[ShaperConstants.TOOL_ID_KEY];
+        }
+    }
+
+    /**
+     * Format a stored attribute value as a decimal in current units
+     * @param {string} name - Attribute name (e.g., 'shaper:cutDepth')
+     * @param {string} value - Stored value (pixels for measurements)
+     * @returns {string} Decimal value in current units, cut type as is
+     */
+    formatStoredValue(name, value) {
+        const pixels = parseFloat(value);
+        if (name === 'shaper:cutType' || isNaN(pixels)) return value;
+        return this.measurementSystem.formatDecimalNumber(this.measurementSystem.convertPixelsToCurrentUnit(pixels));
     }
 
     /**
@@ -102,6 +214,7 @@ class AttributeSystem {
 
             // Get current element data BEFORE saving
             const dimensionsBefore = this.elementManager.getElementDimensions(element);
+            const ownBefore = { ...(dimensionsBefore.shaperAttributes || {}) };
             console.log('  Element data BEFORE save:', dimensionsBefore);
 
             // Save cut type if provided in form values
@@ -110,6 +223,12 @@ class AttributeSystem {
             // Save measurement attributes if provided in form values
             this.saveMeasurementAttributes(element, formValues);
 
+            // Save picked tool if provided in form values
+            this.saveToolAttribute(element, formValues);
+
+            // Keep unchanged group values inherited
+            this.keepInheritedValues(element, ownBefore);
+
             // Get element data AFTER saving
             const dimensionsAfter = this.elementManager.getElementDimensions(element);
             console.log('  Element data AFTER save:', dimensionsAfter);
@@ -118,6 +237,243 @@ class AttributeSystem {
         console.log('--- End multi-element save process ---');
     }
 
+    /**
+     * Save attribute values given as text, as if typed into the dialog
+     *
+     * For callers without the dialog (batch editing). Lengths may carry
+     * units or be expressions; plain numbers use the current unit. They are
+     * stored like dialog input, and values only repeating a group value stay
+     * inherited. An empty value or 'none' removes the attribute.
+     *
+     * @param {Array<Element>} elements - SVG elements or groups to save the values for
+     * @param {Object} values - Text values by attribute name (e.g., {cutType: 'outside', cutDepth: '18mm'})
+     * @throws {Error} If a value is invalid (nothing is saved then)
+     */
+    saveAttributeValues(elements, values) {
+        const parsed = this.parseAttributeValues(values);
+
+        this.recordChange(this.getChangeLabel('Edit', elements.length), elements, () => {
+            elements.forEach(element => this.applyAttributeValues(element, parsed));
+        });
+
+        this.fileManager.updateSVGData();
+    }
+
+    /**
+     * Save different attribute values per element as one change
+     *
+     * Like saveAttributeValues() for each row, but all rows are checked
+     * before anything is saved and the whole table is one undo step
+     * (attribute table import).
+     *
+     * @param {Array<Object>} rows - Rows {element, values, units}; units of plain numbers (default: current unit)
+     * @param {string} label - History label for the change
+     * @throws {Error} If a value is invalid (nothing is saved then)
+     */
+    saveAttributeTable(rows, label = null) {
+        if (!rows || rows.length === 0) return;
+
+        const parsedRows = rows.map(row => this.parseAttributeValues(row.values, row.units));
+        const elements = rows.map(row => row.element);
+
+        this.recordChange(label || this.getChangeLabel('Import', elements.length), elements, () => {
+            rows.forEach((row, index) => this.applyAttributeValues(row.element, parsedRows[index]));
+        });
+
+        this.fileManager.updateSVGData();
+    }
+
+    /**
+     * Check and convert attribute values given as text
+     *
+     * @param {Object} values - Text values by attribute name (e.g., {cutType: 'outside', cutDepth: '18mm'})
+     * @param {string} units - Unit of plain numbers (default: current unit)
+     * @returns {Object} Parsed values {formValues, pixelValues} for applyAttributeValues()
+     * @throws {Error} If a value is invalid
+     */
+    parseAttributeValues(values, units = null) {
+        const cutTypes = Object.keys(ShaperConstants.CUT_STYLE_COLORS);
+        const inputUnits = units || this.measurementSystem.units;
+        const formValues = {};
+        const pixelValues = {};
+
+        Object.entries(values).forEach(([attr, value]) => {
+            const text = value === null || value === undefined ? '' : String(value).trim();
+            if (attr === 'cutType') {
+                if (text !== '' && text !== 'none' && !cutTypes.includes(text)) {
+                    throw new Error(`Unknown cut type "${text}" (use ${cutTypes.join(', ')} or none)`);
+                }
+                formValues.cutType = text;
+            } else if (ShaperConstants.MEASUREMENT_ATTRIBUTES.includes(attr)) {
+                if (ShaperConstants.isEmptyValue(text) || text === 'none') {
+                    pixelValues[attr] = null;
+                    return;
+                }
+                // Same conversion as the dialog: input units, raw mm, pixels
+                let numValue;
+                try {
+                    numValue = this.measurementSystem.evaluateExpression(text, inputUnits);
+                } catch (error) {
+                    throw new Error(`${attr}: ${error.message}`);
+                }
+                const rawValueMm = this.measurementSystem.convertBetweenUnits(numValue, inputUnits, 'mm');
+                if (!ShaperConstants.allowsNegativeValues(attr) && !(numValue > 0)) {
+                    const currentValue = this.measurementSystem.convertBetweenUnits(rawValueMm, 'mm', this.measurementSystem.units);
+                    throw new Error(`${attr} must be greater than 0 (is ${this.measurementSystem.formatWithUnits(currentValue)})`);
+                }
+                pixelValues[attr] = this.measurementSystem.convertBetweenUnits(rawValueMm, 'mm', 'px').toString();
+            } else {
+                throw new Error(`Unknown attribute "${attr}" (use ${ShaperConstants.ALL_ATTRIBUTES.join(', ')})`);
+            }
+        });
+
+        return { formValues, pixelValues };
+    }
+
+    /**
+     * Apply parsed attribute values to an element's data
+     *
+     * Call within recordChange(); values only repeating a group value stay inherited.
+     *
+     * @param {Element} element - SVG element or group
+     * @param {Object} parsed - Parsed values from parseAttributeValues()
+     */
+    applyAttributeValues(element, parsed) {
+        const ownBefore = { ...(this.elementManager.getElementDimensions(element).shaperAttributes || {}) };
+        this.saveCutTypeAttribute(element, parsed.formValues);
+
+        const shaperAttributes = this.elementManager.getElementDimensions(element).shaperAttributes;
+        Object.entries(parsed.pixelValues).forEach(([attr, pixels]) => {
+            if (attr === 'toolDia') {
+                // A typed diameter replaces a tool picked from the library
+                delete shaperAttributes[ShaperConstants.TOOL_ID_KEY];
+            }
+            if (pixels === null) {
+                delete shaperAttributes[`shaper:${attr}`];
+            } else {
+                shaperAttributes[`shaper:${attr}`] = pixels;
+            }
+        });
+
+        this.keepInheritedValues(element, ownBefore);
+    }
+
+    /**
+     * Remove all shaper attributes from the given elements
+     *
+     * @param {Array<Element>} elements - SVG elements to clear
+     */
+    clearAttributes(elements) {
+        if (!elements || elements.length === 0) return;
+
+        this.recordChange(this.getChangeLabel('Clear', elements.length), elements, () => {
+            elements.forEach(element => {
+                const dimensions = this.elementManager.getElementDimensions(element);
+                if (dimensions.shaperAttributes) {
+                    dimensions.shaperAttributes = {};
+                }
+            });
+        });
+
+        this.fileManager.updateSVGData();
+    }
+
+    /**
+     * Copy the shaper attributes of an element for later pasting
+     *
+     * @param {Element} element - SVG element to copy attributes from
+     * @returns {boolean} True if attributes were copied
+     */
+    copyAttributes(element) {
+        if (!element) return false;
+
+        const dimensions = this.elementManager.getElementDimensions(element);
+        this.attributeClipboard = { ...(dimensions.shaperAttributes || {}) };
+        return true;
+    }
+
+    /**
+     * Check whether copied attributes are available for pasting
+     * @returns {boolean} True if paste is possible
+     */
+    hasCopiedAttributes() {
+        return this.attributeClipboard !== null;
+    }
+
+    /**
+     * Replace the shaper attributes of the given elements with the copied ones
+     *
+     * @param {Array<Element>} elements - SVG elements to paste attributes onto
+     */
+    pasteAttributes(elements) {
+        if (!this.attributeClipboard || !elements || elements.length === 0) return;
+
+        this.recordChange(this.getChangeLabel('Paste', elements.length), elements, () => {
+            elements.forEach(element => {
+                const dimensions = this.elementManager.getElementDimensions(element);
+                if (dimensions.tagName) {
+                    dimensions.shaperAttributes = { ...this.attributeClipboard };
+                }
+            });
+        });
+
+        this.fileManager.updateSVGData();
+    }
+
+    /**
+     * Apply proposed shaper attributes to many elements as one undoable step
+     *
+     * Proposed attributes are merged into the existing ones, so values the
+     * proposal doesn't define are kept.
+     *
+     * @param {Array<Object>} proposals - Proposals {appId, attributes}
+     * @param {string} label - History label for the change
+     * @returns {number} Number of elements the proposals were applied to
+     */
+    applyAttributeProposals(proposals, label = null) {
+        if (!proposals || proposals.length === 0 || !this.metaData) return 0;
+
+        const appIds = proposals.map(proposal => proposal.appId);
+        this.recordChangeById(label || this.getChangeLabel('Apply proposals to', appIds.length), appIds, () => {
+            proposals.forEach(proposal => {
+                const elementData = this.metaData.getElementData(proposal.appId);
+                if (elementData) {
+                    elementData.shaperAttributes = {
+                        ...(elementData.shaperAttributes || {}),
+                        ...proposal.attributes
+                    };
+                }
+            });
+        });
+
+        this.fileManager.updateSVGData();
+        return appIds.length;
+    }
+
+    /**
+     * Replace the own shaper attributes of elements as one undoable step
+     *
+     * @param {Array<Object>} replacements - Replacements {element, attributes} (elements or groups)
+     * @param {string} label - History label for the change
+     * @returns {number} Number of elements replaced
+     */
+    replaceAttributes(replacements, label = null) {
+        if (!replacements || replacements.length === 0) return 0;
+
+        const elements = replacements.map(replacement => replacement.element);
+        this.recordChange(label || this.getChangeLabel('Replace', elements.length), elements, () => {
+            replacements.forEach(({ element, attributes }) => {
+                const dimensions = this.elementManager.getElementDimensions(element);
+                if (dimensions.tagName) {
+                    dimensions.shaperAttributes = { ...attributes };
+                }
+            });
+        });
+
+        this.fileManager.updateSVGData();
+        return elements.length;
+    }
+
     /**
      * Handle unit system changes by updating SVG export data
      *
@@ -153,9 +509,8 @@ class AttributeSystem {
         const selectedPath = this.getSelectedPath();
         if (!selectedPath) return;
 
-        // Retrieve stored shaper attributes from element data (not DOM)
-        const dimensions = this.elementManager.getElementDimensions(selectedPath);
-        const shaperAttrs = dimensions.shaperAttributes || {};
+        // Retrieve stored shaper attributes from element data (not DOM), including inherited values
+        const shaperAttrs = this.elementManager.getEffectiveAttributes(selectedPath);
 
         // Update measurement attribute inputs with unit-converted values
         ShaperConstants.MEASUREMENT_ATTRIBUTES.forEach(attr => {
@@ -170,9 +525,11 @@ class AttributeSystem {
                     const unitValue = this.measurementSystem.convertPixelsToCurrentUnit(numPixels);
                     const displayValue = this.measurementSystem.formatDisplayNumber(unitValue);
                     input.value = displayValue;
+                    DRYUtilities.setInputError(input, null);
                 }
             } else if (input) {
                 input.value = '';
+                DRYUtilities.setInputError(input, null);
             }
         });
 
@@ -210,10 +567,89 @@ class AttributeSystem {
     }
 
     /**
-     * Find all SVG elements that have shaper attributes in the DOM
+     * Get the cut depth limits for an element in current units
      *
-     * This method scans the master SVG element for any elements with namespaced
-     * shaper attributes. Used for export operations and attribute summaries.
+     * Combines the project material thickness and spoilboard allowance with
+     * the cutting length of the element's tool (max depth, or flute length
+     * if no max depth is set).
+     *
+     * @param {Object} shaperAttrs - Element shaper attributes (pixel-based)
+     * @returns {Object} Limits for ShaperUtils.validateAttributeValue()
+     */
+    getDepthLimits(shaperAttrs) {
+        const toCurrentUnit = (pixels) => this.measurementSystem.convertPixelsToCurrentUnit(pixels);
+        const limits = { unit: this.measurementSystem.units };
+
+        if (this.metaData) {
+            const material = this.metaData.getMaterialSettings();
+            if (material.thickness > 0) {
+                limits.materialThickness = toCurrentUnit(material.thickness);
+                limits.spoilboardAllowance = toCurrentUnit(material.spoilboardAllowance || 0);
+            }
+        }
+
+        const tool = this.toolLibrary ? this.toolLibrary.getToolForAttributes(shaperAttrs) : null;
+        if (tool) {
+            const cuttingLength = parseFloat(tool.maxDepth) || parseFloat(tool.fluteLength);
+            if (cuttingLength > 0) {
+                limits.toolCuttingLength = toCurrentUnit(cuttingLength);
+            }
+        }
+
+        return limits;
+    }
+
+    /**
+     * Get cut depth warnings for a set of shaper attributes
+     *
+     * Guide lines are never cut, so their depth isn't checked.
+     *
+     * @param {Object} shaperAttrs - Shaper attributes (pixel-based)
+     * @returns {Array<string>} Warning messages (empty if the depth is fine)
+     */
+    getDepthWarnings(shaperAttrs) {
+        const attributes = shaperAttrs || {};
+        const depthPx = parseFloat(attributes['shaper:cutDepth']);
+        if (isNaN(depthPx) || attributes['shaper:cutType'] === 'guide') return [];
+
+        const depth = this.measurementSystem.convertPixelsToCurrentUnit(depthPx);
+        return ShaperUtils.validateAttributeValue(depth.toString(), 'cutDepth', this.getDepthLimits(attributes));
+    }
+
+    /**
+     * Get cut depth warnings for an SVG element
+     * @param {Element} element - SVG element
+     * @returns {Array<string>} Warning messages (empty if the depth is fine)
+     */
+    getElementDepthWarnings(element) {
+        return this.getDepthWarnings(this.elementManager.getEffectiveAttributes(element));
+    }
+
+    /**
+     * Find all elements whose cut depth exceeds material or tool limits
+     * @returns {Array<Object>} Entries {appId, warnings}
+     */
+    getElementsWithDepthWarnings() {
+        const results = [];
+        const svgElement = this.fileManager.getSVGElement();
+        if (!svgElement) return results;
+
+        // Walk the document, depths may be inherited from enclosing groups
+        svgElement.querySelectorAll('[data-app-id]').forEach(element => {
+            const warnings = this.getElementDepthWarnings(element);
+            if (warnings.length > 0) {
+                results.push({ appId: element.dataset.appId, warnings });
+            }
+        });
+        return results;
+    }
+
+    /**
+     * Find all SVG elements that have shaper attributes
+     *
+     * This method scans the master SVG element for elements whose element data
+     * holds shaper attributes, set on the element or inherited from an
+     * enclosing group. Used for attribute summaries.
      *
      * @returns {Array<Element>} Array of SVG elements with shaper attributes
      */
@@ -221,10 +657,10 @@ class AttributeSystem {
         const svgElement = this.fileManager.getSVGElement();
         if (!svgElement) return [];
 
-        // Search all SVG child elements for namespaced shaper attributes
-        return Array.from(svgElement.querySelectorAll('*')).filter(element => {
+        return Array.from(svgElement.querySelectorAll('[data-app-id]')).filter(element => {
+            const shaperAttrs = this.elementManager.getEffectiveAttributes(element);
             return ShaperConstants.ALL_ATTRIBUTES.some(attr => {
-                return element.getAttributeNS(ShaperConstants.NAMESPACE, attr);
+                return !ShaperConstants.isEmptyValue(shaperAttrs[`shaper:${attr}`]);
             });
         });
     }
@@ -320,7 +756,7 @@ class AttributeSystem {
                     if (input) {
                         const rawValueMm = parseFloat(input.dataset.rawValueMm);
                         if (!isNaN(rawValueMm)) {
-                            const pixelValue = this.measurementSystem.convertBetweenUnits(rawValueMm, 'mm', 'pixels');
+                            const pixelValue = this.measurementSystem.convertBetweenUnits(rawValueMm, 'mm', 'px');
                             dimensions.shaperAttributes[attrName] = pixelValue.toString();
                         }
                     }
@@ -329,6 +765,31 @@ class AttributeSystem {
         });
     }
 
+    /**
+     * Save the tool picked from the tool library to element data
+     *
+     * The tool id is kept next to the shaper attributes (so undo, copy and
+     * paste include it) but is not exported. It is only kept while the
+     * element has a tool diameter.
+     *
+     * @param {Element} element - SVG element to save the tool for
+     * @param {Object} formValues - Form values from modal dialog (excluding no-modify fields)
+     */
+    saveToolAttribute(element, formValues) {
+        if (!formValues || !('toolId' in formValues)) return;
+
+        const dimensions = this.elementManager.getElementDimensions(element);
+        if (!dimensions.shaperAttributes) {
+            dimensions.shaperAttributes = {};
+        }
+
+        if (formValues.toolId && dimensions.shaperAttributes['shaper:toolDia']) {
+            dimensions.shaperAttributes[ShaperConstants.TOOL_ID_KEY] = formValues.toolId;
+        } else {
+            delete dimensions.shaperAttributes[ShaperConstants.TOOL_ID_KEY];
+        }
+    }
+
     /**
      * Generate a statistical summary of all shaper attributes in the SVG
      *
@@ -355,9 +816,8 @@ class AttributeSystem {
         };
 
         elementsWithShaper.forEach(element => {
-            // Read attributes from element data storage (not DOM) for accuracy
-            const dimensions = this.elementManager.getElementDimensions(element);
-            const shaperAttrs = dimensions.shaperAttributes || {};
+            // Read attributes from element data storage (not DOM), including values inherited from groups
+            const shaperAttrs = this.elementManager.getEffectiveAttributes(element);
 
             // Collect unique cut types
             const cutType = shaperAttrs['shaper:cutType'];
@@ -387,7 +847,7 @@ class AttributeSystem {
                 const numPixels = parseFloat(toolDia);
                 if (!isNaN(numPixels)) {
                     const mmValue = this.measurementSystem.convertBetweenUnits(numPixels, 'px', 'mm');
-                    const formattedValue = this.measurementSystem.formatDisplayNumber(mmValue);
+                    const formattedValue = this.measurementSystem.formatDecimalNumber(mmValue);
                     summary.toolDiameters.add(`${formattedValue}mm`);
                 }
             }
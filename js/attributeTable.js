@@ -0,0 +1,430 @@
+/**
+ * Attribute Table Module - Attributes as CSV or JSON
+ *
+ * Exports the id, a geometry summary and the shaper attributes of every
+ * element as CSV (for spreadsheets) or JSON, and imports the edited table
+ * again. Imported values are saved through AttributeSystem like values
+ * typed into the dialog, so group inheritance and undo work as usual.
+ *
+ * Key Features:
+ * - Lengths as plain numbers in current units (the unit is in the header or the 'units' field)
+ * - Values may be edited to any dialog input (units, expressions, fractions); empty or 'none' removes
+ * - Attribute columns left out of the table are not changed; geometry columns are ignored
+ * - All rows are checked first: unknown ids and invalid values are reported and nothing is applied
+ * - Only values that differ from the document are saved, as one undo step
+ *
+ * Elements are identified by their app-id, which is kept with the document
+ * in the browser storage (not in exported SVG files).
+ */
+class AttributeTable {
+    /**
+     * Initialize attribute table with system dependencies
+     *
+     * @param {MeasurementSystem} measurementSystem - Unit conversion and formatting
+     * @param {ElementManager} elementManager - Element data and names
+     * @param {AttributeSystem} attributeSystem - Saving of imported values
+     */
+    constructor(measurementSystem, elementManager, attributeSystem) {
+        this.measurementSystem = measurementSystem;
+        this.dryUtils = new DRYUtilities(measurementSystem);
+        this.elementManager = elementManager;
+        this.attributeSystem = attributeSystem;
+    }
+
+    /** Attribute columns in table order */
+    static ATTRIBUTES = ['cutType', 'cutDepth', 'cutOffset', 'toolDia'];
+
+    /** Geometry columns (export only) */
+    static GEOMETRY = ['width', 'height', 'length'];
+
+    /** Containers whose content is not drawn directly */
+    static HIDDEN_CONTAINERS = 'defs, clipPath, mask, symbol, pattern, marker';
+
+    /** Header of a column with unit (e.g., 'cutDepth (mm)') */
+    static HEADER_PATTERN = /^\s*([A-Za-z]+)\s*(?:\(\s*([A-Za-z]+)\s*\))?\s*$/;
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    /**
+     * Collect the elements of the table
+     * @param {Element} svgElement - Displayed SVG root
+     * @returns {Array<Element>} Elements with app-id in document order
+     */
+    getElements(svgElement) {
+        return Array.from(svgElement.querySelectorAll('[data-app-id]'))
+            .filter(element => !element.closest(AttributeTable.HIDDEN_CONTAINERS));
+    }
+
+    /**
+     * Create the record of an element in current units
+     *
+     * @param {Element} element - Displayed SVG element with app-id
+     * @returns {Object} Record {id, name, tag, geometry: {width, height, length}, attributes}
+     *     with lengths as numbers (null if not available or not set)
+     */
+    createRecord(element) {
+        const dimensions = this.elementManager.getElementDimensions(element);
+        const metrics = this.elementManager.getElementMetrics(element);
+        const shaperAttrs = this.elementManager.getEffectiveAttributes(element);
+
+        const attributes = {};
+        AttributeTable.ATTRIBUTES.forEach(attr => {
+            const value = shaperAttrs[`shaper:${attr}`];
+            if (attr === 'cutType') {
+                attributes[attr] = value || null;
+            } else {
+                attributes[attr] = this.toNumber(parseFloat(value));
+            }
+        });
+
+        return {
+            id: element.dataset.appId,
+            name: this.elementManager.getNodeName(element),
+            tag: element.tagName.toLowerCase(),
+            geometry: {
+                width: this.toNumber(dimensions.widthPx),
+                height: this.toNumber(dimensions.heightPx),
+                length: this.toNumber(metrics ? metrics.lengthPx : null)
+            },
+            attributes
+        };
+    }
+
+    /**
+     * Convert a pixel length to a rounded number in current units
+     * @param {number|null} pixels - Length in pixels
+     * @returns {number|null} Length in current units (3 decimals), null if not a number
+     */
+    toNumber(pixels) {
+        if (pixels === null || pixels === undefined || isNaN(pixels)) return null;
+        return parseFloat(this.measurementSystem.convertPixelsToCurrentUnit(pixels).toFixed(3));
+    }
+
+    /**
+     * Export the table as JSON
+     * @param {Element} svgElement - Displayed SVG root
+     * @param {string} fileName - Document file name
+     * @returns {string} JSON text {fileName, units, elements}
+     */
+    exportJSON(svgElement, fileName) {
+        return JSON.stringify({
+            fileName,
+            units: this.measurementSystem.units,
+            elements: this.getElements(svgElement).map(element => this.createRecord(element))
+        }, null, 2);
+    }
+
+    /**
+     * Export the table as CSV
+     *
+     * Numbers use the decimal separator; with a decimal comma, fields are
+     * separated by ';' so spreadsheets read the numbers.
+     *
+     * @param {Element} svgElement - Displayed SVG root
+     * @returns {string} CSV text (one header row, one row per element)
+     */
+    exportCSV(svgElement) {
+        const units = this.measurementSystem.units;
+        const number = (value) => value === null ? '' : this.measurementSystem.formatDecimalNumber(value);
+
+        const header = ['id', 'name', 'tag',
+            ...AttributeTable.GEOMETRY.map(name => `${name} (${units})`),
+            ...AttributeTable.ATTRIBUTES.map(attr => attr === 'cutType' ? attr : `${attr} (${units})`)];
+        const lines = [header];
+        this.getElements(svgElement).forEach(element => {
+            const record = this.createRecord(element);
+            lines.push([
+                record.id, record.name, record.tag,
+                ...AttributeTable.GEOMETRY.map(name => number(record.geometry[name])),
+                ...AttributeTable.ATTRIBUTES.map(attr => attr === 'cutType'
+                    ? record.attributes.cutType || ''
+                    : number(record.attributes[attr]))
+            ]);
+        });
+
+        return this.dryUtils.createCSV(lines);
+    }
+
+    // ============================================================================
+    // PARSING
+    // ============================================================================
+
+    /**
+     * Parse an edited table (JSON or CSV, detected from the content)
+     *
+     * @param {string} text - File content
+     * @returns {Object} Table {units, rows: [{line, id, values}]} with text values by attribute
+     * @throws {Error} If the file is no attribute table
+     */
+    parse(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const trimmed = content.trim();
+        return trimmed.startsWith('{') || trimmed.startsWith('[')
+            ? this.parseJSON(trimmed)
+            : this.parseCSV(content);
+    }
+
+    /**
+     * Parse a JSON table
+     * @param {string} text - JSON text
+     * @returns {Object} Table {units, rows}
+     * @throws {Error} If the JSON is invalid or has no element list
+     */
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON (${error.message})`);
+        }
+
+        const elements = Array.isArray(data) ? data : data.elements;
+        if (!Array.isArray(elements)) {
+            throw new Error('No "elements" list found');
+        }
+
+        return {
+            units: this.checkUnits(Array.isArray(data) ? null : data.units),
+            rows: elements.map((record, index) => {
+                const attributes = record && typeof record.attributes === 'object' && record.attributes !== null
+                    ? record.attributes
+                    : {};
+                const values = {};
+                Object.entries(attributes).forEach(([attr, value]) => {
+                    values[attr] = value === null ? '' : String(value);
+                });
+                return { line: `Element ${index + 1}`, id: record && record.id !== undefined ? String(record.id) : '', values };
+            })
+        };
+    }
+
+    /**
+     * Parse a CSV table
+     *
+     * Columns are found by header name; a unit in the header (e.g.,
+     * 'cutDepth (mm)') is the unit of plain numbers.
+     *
+     * @param {string} text - CSV text
+     * @returns {Object} Table {units, rows}
+     * @throws {Error} If there is no header with an id column
+     */
+    parseCSV(text) {
+        const headerLine = text.split(/\r?\n/, 1)[0];
+        const separator = headerLine.includes(';') ? ';' : headerLine.includes('\t') ? '\t' : ',';
+        const records = this.splitCSV(text, separator);
+        if (records.length === 0) {
+            throw new Error('The file is empty');
+        }
+
+        let units = null;
+        const columns = records[0].map(title => {
+            const match = title.match(AttributeTable.HEADER_PATTERN);
+            if (!match) return null;
+            if (match[2] && AttributeTable.ATTRIBUTES.includes(match[1])) {
+                units = units || match[2];
+            }
+            return match[1];
+        });
+
+        const idColumn = columns.indexOf('id');
+        if (idColumn < 0) {
+            throw new Error('No "id" column found');
+        }
+
+        const rows = [];
+        records.slice(1).forEach((fields, index) => {
+            if (fields.every(field => field.trim() === '')) return;
+
+            const values = {};
+            columns.forEach((column, columnIndex) => {
+                if (AttributeTable.ATTRIBUTES.includes(column)) {
+                    values[column] = fields[columnIndex] || '';
+                }
+            });
+            rows.push({ line: `Row ${index + 2}`, id: (fields[idColumn] || '').trim(), values });
+        });
+
+        return { units: this.checkUnits(units), rows };
+    }
+
+    /**
+     * Split CSV text into records of fields (quoted fields may contain separators, quotes and line breaks)
+     * @param {string} text - CSV text
+     * @param {string} separator - Field separator
+     * @returns {Array<Array<string>>} Records
+     */
+    splitCSV(text, separator) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === separator) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+        return records;
+    }
+
+    /**
+     * Check the unit of a table
+     * @param {string|null} units - Unit from the file
+     * @returns {string} Unit of plain numbers (current unit if none is given)
+     * @throws {Error} If the unit is unknown
+     */
+    checkUnits(units) {
+        if (!units) return this.measurementSystem.units;
+        if (!['mm', 'cm', 'in', 'thou', 'px'].includes(units)) {
+            throw new Error(`Unknown unit "${units}"`);
+        }
+        return units;
+    }
+
+    // ============================================================================
+    // IMPORT
+    // ============================================================================
+
+    /**
+     * Check an edited table against the document
+     *
+     * @param {Object} table - Table from parse()
+     * @param {Element} svgElement - Displayed SVG root
+     * @returns {Object} Check {changes: [{element, values, units}], unchanged, errors}
+     *     where changes only hold the values that differ from the document
+     */
+    check(table, svgElement) {
+        const elementsById = new Map(this.getElements(svgElement).map(element => [element.dataset.appId, element]));
+        const seen = new Set();
+        const changes = [];
+        const errors = [];
+        let unchanged = 0;
+
+        table.rows.forEach(row => {
+            if (!row.id) {
+                errors.push(`${row.line}: No element id`);
+                return;
+            }
+            const element = elementsById.get(row.id);
+            if (!element) {
+                errors.push(`${row.line}: Unknown element id "${row.id}"`);
+                return;
+            }
+            if (seen.has(row.id)) {
+                errors.push(`${row.line}: Element id "${row.id}" is listed twice`);
+                return;
+            }
+            seen.add(row.id);
+
+            let values;
+            try {
+                values = this.getChangedValues(element, row.values, table.units);
+            } catch (error) {
+                errors.push(`${row.line} (${this.elementManager.getNodeName(element)}): ${error.message}`);
+                return;
+            }
+
+            if (Object.keys(values).length > 0) {
+                changes.push({ element, values, units: table.units });
+            } else {
+                unchanged++;
+            }
+        });
+
+        return { changes, unchanged, errors };
+    }
+
+    /**
+     * Get the values of a row that differ from the element's effective values
+     *
+     * Lengths are compared at the precision of the export so unchanged rows
+     * of an exported table do not change the document.
+     *
+     * @param {Element} element - Displayed SVG element
+     * @param {Object} values - Text values by attribute name
+     * @param {string} units - Unit of plain numbers
+     * @returns {Object} Changed text values by attribute name
+     * @throws {Error} If a value is invalid
+     */
+    getChangedValues(element, values, units) {
+        const shaperAttrs = this.elementManager.getEffectiveAttributes(element);
+        const parsed = this.attributeSystem.parseAttributeValues(values, units);
+        const changed = {};
+
+        if ('cutType' in parsed.formValues) {
+            const cutType = parsed.formValues.cutType === 'none' ? '' : parsed.formValues.cutType;
+            if (cutType !== (shaperAttrs['shaper:cutType'] || '')) {
+                changed.cutType = values.cutType;
+            }
+        }
+
+        const round = (pixels) => pixels === null || pixels === undefined
+            ? null
+            : this.measurementSystem.convertBetweenUnits(parseFloat(pixels), 'px', units).toFixed(3);
+        Object.entries(parsed.pixelValues).forEach(([attr, pixels]) => {
+            if (round(pixels) !== round(shaperAttrs[`shaper:${attr}`])) {
+                changed[attr] = values[attr];
+            }
+        });
+
+        return changed;
+    }
+
+    /**
+     * Import an edited table
+     *
+     * Nothing is applied if any row has a problem.
+     *
+     * @param {string} text - File content (JSON or CSV)
+     * @param {Element} svgElement - Displayed SVG root
+     * @returns {Object} Result {applied, unchanged, errors} (errors empty on success)
+     */
+    importTable(text, svgElement) {
+        let result;
+        try {
+            result = this.check(this.parse(text), svgElement);
+        } catch (error) {
+            return { applied: 0, unchanged: 0, errors: [error.message] };
+        }
+
+        if (result.errors.length === 0 && result.changes.length > 0) {
+            this.attributeSystem.saveAttributeTable(
+                result.changes,
+                this.attributeSystem.getChangeLabel('Import attributes of', result.changes.length)
+            );
+        }
+
+        return { applied: result.errors.length === 0 ? result.changes.length : 0, unchanged: result.unchanged, errors: result.errors };
+    }
+}
+
+// Export for use in other modules
+window.AttributeTable = AttributeTable;
@@ -0,0 +1,167 @@
+/**
+ * Attribute Table Dialog Module - Spreadsheet Round Trip
+ *
+ * Downloads the attribute table of the displayed document as CSV or JSON
+ * and imports the edited file again. Problems of an import are listed in
+ * the dialog and nothing is applied; a successful import closes the dialog
+ * and is reported through the onImport callback.
+ *
+ * Key Features:
+ * - CSV and JSON export (download)
+ * - Import of either format (detected from the content)
+ * - List of rows with unknown ids or invalid values
+ */
+class AttributeTableDialog {
+    /**
+     * Initialize attribute table dialog with system dependencies
+     *
+     * @param {AttributeTable} attributeTable - Export and import of the table
+     * @param {MeasurementSystem} measurementSystem - Current unit
+     */
+    constructor(attributeTable, measurementSystem) {
+        this.attributeTable = attributeTable;
+        this.measurementSystem = measurementSystem;
+
+        this.svgElement = null; // Displayed SVG of the table
+        this.fileName = null;
+
+        // Callback after a successful import (receives {applied, unchanged})
+        this.onImport = null;
+    }
+
+    /**
+     * Initialize dialog DOM elements and event handlers
+     * Must be called after DOM is fully loaded.
+     */
+    initialize() {
+        DRYUtilities.bindElements({
+            modal: 'attributeTableModal',
+            summaryText: 'attributeTableSummary',
+            errorList: 'attributeTableErrors',
+            importInput: 'attributeTableImportInput'
+        }, this);
+
+        document.getElementById('attributeTableClose').addEventListener('click', () => this.close());
+        document.getElementById('attributeTableDone').addEventListener('click', () => this.close());
+        document.getElementById('attributeTableExportCSV').addEventListener('click', () => this.exportTable('csv'));
+        document.getElementById('attributeTableExportJSON').addEventListener('click', () => this.exportTable('json'));
+        document.getElementById('attributeTableImport').addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', (e) => this.handleImportFile(e));
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open the dialog for a displayed document
+     * @param {Element} svgElement - Displayed SVG root
+     * @param {string} fileName - Document file name
+     */
+    open(svgElement, fileName) {
+        this.svgElement = svgElement;
+        this.fileName = fileName;
+
+        const count = this.attributeTable.getElements(svgElement).length;
+        this.summaryText.textContent = `${count} element${count === 1 ? '' : 's'} · lengths in ${this.measurementSystem.units}`;
+        this.showErrors([]);
+        this.modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    /**
+     * Check whether the dialog is currently shown
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return !!this.modal && this.modal.style.display !== 'none';
+    }
+
+    /**
+     * Download the table
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportTable(format) {
+        const baseName = (this.fileName || 'shaper-file').replace(/\.svg$/i, '');
+        const content = format === 'csv'
+            ? '\uFEFF' + this.attributeTable.exportCSV(this.svgElement) // Byte order mark for spreadsheets
+            : this.attributeTable.exportJSON(this.svgElement, this.fileName);
+        const blob = new Blob([content], { type: format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${baseName}-attributes.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Import the chosen table file
+     * @param {Event} event - File input change event
+     */
+    handleImportFile(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            this.importTable(e.target.result);
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Import table text and show problems in the dialog
+     * @param {string} text - Content of a CSV or JSON table
+     * @returns {boolean} True if the table was imported
+     */
+    importTable(text) {
+        const result = this.attributeTable.importTable(text, this.svgElement);
+        if (result.errors.length > 0) {
+            this.showErrors(result.errors);
+            return false;
+        }
+
+        this.close();
+        if (this.onImport) {
+            this.onImport(result);
+        }
+        return true;
+    }
+
+    /**
+     * List import problems
+     * @param {Array<string>} errors - Problem descriptions (empty to clear)
+     */
+    showErrors(errors) {
+        this.errorList.innerHTML = '';
+        if (errors.length === 0) return;
+
+        const title = document.createElement('li');
+        title.className = 'attribute-table-error-title';
+        title.textContent = `Nothing imported, ${errors.length} problem${errors.length === 1 ? '' : 's'}:`;
+        this.errorList.appendChild(title);
+
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            this.errorList.appendChild(item);
+        });
+    }
+}
+
+// Export for use in other modules
+window.AttributeTableDialog = AttributeTableDialog;
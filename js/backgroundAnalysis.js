@@ -0,0 +1,186 @@
+/**
+ * Background Analysis Module - SVG Analysis off the Main Thread
+ *
+ * Runs SVGAnalyzer for a loading file in a Web Worker and reports its
+ * progress. Where workers cannot start (e.g., pages opened from file://),
+ * the same analysis runs on the main thread in small steps between which
+ * the page can repaint and react to input.
+ *
+ * Key Features:
+ * - Promise-based analysis with a progress callback
+ * - Cancellation (terminates the worker or stops the steps)
+ * - One analysis at a time; a new one cancels the previous
+ * - Automatic fallback to step-wise main thread analysis
+ *
+ * Results are element geometry in ShaperConstants.ELEMENT_SELECTORS order,
+ * as expected by MeasurementSystem.analyzeSVG().
+ */
+class BackgroundAnalysis {
+    /**
+     * Initialize background analysis
+     *
+     * @param {string} workerUrl - URL of the worker script
+     */
+    constructor(workerUrl = BackgroundAnalysis.WORKER_URL) {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.workerUnavailable = typeof Worker === 'undefined';
+        this.pending = null; // Running analysis {id, resolve, reject, onProgress, svgString}
+        this.nextId = 1;
+    }
+
+    /** Worker script, relative to the page */
+    static WORKER_URL = 'js/svgAnalysisWorker.js';
+
+    /** Elements analyzed per main thread step */
+    static STEP_SIZE = 100;
+
+    /**
+     * Analyze SVG source in the background
+     *
+     * @param {string} svgString - SVG source
+     * @param {Function|null} onProgress - Called with (analyzed, total)
+     * @returns {Promise<Array|null>} Element geometry, null if cancelled
+     */
+    analyze(svgString, onProgress = null) {
+        this.cancel();
+
+        return new Promise((resolve, reject) => {
+            this.pending = { id: this.nextId++, resolve, reject, onProgress, svgString };
+            if (!this.startWorker()) {
+                this.runSteps(this.pending);
+            }
+        });
+    }
+
+    /**
+     * Cancel the running analysis (its promise resolves with null)
+     */
+    cancel() {
+        const pending = this.pending;
+        if (!pending) return;
+
+        this.pending = null;
+        if (this.worker) {
+            // A busy worker only stops when terminated
+            this.worker.terminate();
+            this.worker = null;
+        }
+        pending.resolve(null);
+    }
+
+    /**
+     * Check whether an analysis is running
+     * @returns {boolean} True while running
+     */
+    isRunning() {
+        return this.pending !== null;
+    }
+
+    // ============================================================================
+    // WORKER
+    // ============================================================================
+
+    /**
+     * Send the pending analysis to the worker (created on demand)
+     * @returns {boolean} False if no worker can be used
+     */
+    startWorker() {
+        if (this.workerUnavailable) return false;
+
+        if (!this.worker) {
+            try {
+                this.worker = new Worker(this.workerUrl);
+            } catch (error) {
+                console.warn('Analysis worker unavailable, analyzing on the main thread:', error.message);
+                this.workerUnavailable = true;
+                return false;
+            }
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => this.handleWorkerError(event);
+        }
+
+        this.worker.postMessage({ type: 'analyze', id: this.pending.id, svgString: this.pending.svgString });
+        return true;
+    }
+
+    /**
+     * Handle a message of the worker
+     * @param {Object} message - Progress, result or error message
+     */
+    handleMessage(message) {
+        const pending = this.pending;
+        if (!pending || message.id !== pending.id) return; // Answer to a cancelled analysis
+
+        switch (message.type) {
+            case 'progress':
+                if (pending.onProgress) pending.onProgress(message.analyzed, message.total);
+                break;
+            case 'result':
+                this.pending = null;
+                pending.resolve(message.geometry);
+                break;
+            case 'error':
+                this.pending = null;
+                pending.reject(new Error(message.message));
+                break;
+        }
+    }
+
+    /**
+     * Handle a worker that failed to load or crashed
+     *
+     * The pending analysis continues on the main thread.
+     *
+     * @param {Event} event - Error event
+     */
+    handleWorkerError(event) {
+        event.preventDefault();
+        console.warn('Analysis worker failed, analyzing on the main thread:', event.message || 'script not loaded');
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.workerUnavailable = true;
+        if (this.pending) {
+            this.runSteps(this.pending);
+        }
+    }
+
+    // ============================================================================
+    // MAIN THREAD FALLBACK
+    // ============================================================================
+
+    /**
+     * Analyze on the main thread in steps, yielding between them
+     * @param {Object} pending - Pending analysis
+     */
+    runSteps(pending) {
+        const analyzer = new SVGAnalyzer();
+        let task;
+        try {
+            task = analyzer.createTask(pending.svgString);
+        } catch (error) {
+            this.pending = null;
+            pending.reject(error);
+            return;
+        }
+
+        const step = () => {
+            if (this.pending !== pending) return; // Cancelled
+
+            const done = analyzer.runTask(task, BackgroundAnalysis.STEP_SIZE);
+            if (pending.onProgress) pending.onProgress(task.results.length, task.items.length);
+            if (done) {
+                this.pending = null;
+                pending.resolve(task.results);
+            } else {
+                setTimeout(step, 0);
+            }
+        };
+        setTimeout(step, 0);
+    }
+}
+
+// Export for use in other modules
+window.BackgroundAnalysis = BackgroundAnalysis;
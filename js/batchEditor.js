@@ -0,0 +1,238 @@
+/**
+ * Batch Editor Module - Attribute Work Without the Editor UI
+ *
+ * Loads an SVG, selects elements by filter, sets shaper attributes and
+ * exports the file through the modules of the web app (FileManager,
+ * AttributeSystem, SelectionQuery), so the result is byte for byte what
+ * editing the file in the app and exporting it gives. Element sizes come
+ * from SVGAnalyzer, so no layout is needed. Drives the dtune command line
+ * tool (cli/dtune.js).
+ *
+ * Key Features:
+ * - Selection with the filter box syntax (e.g., closed && width < 10mm)
+ * - Attribute values as typed in the dialog (units, arithmetic, none)
+ * - Export settings of the app (units, cut style colors, group attributes)
+ * - Report of elements, cut types and attribute values
+ * - Validation of values, cut depth limits, open-path cuts and live text
+ */
+class BatchEditor {
+    /**
+     * Initialize batch editor with its own module set
+     *
+     * @param {Object} options - Settings as in the app
+     * @param {string} options.units - Unit mode ('mm', 'cm', 'in', 'thou', 'in/16', ...)
+     * @param {string} options.decimalSeparator - '.' or ','
+     * @param {boolean} options.cutStyle - Export with Cut Style Guide colors
+     * @param {boolean} options.keepGroupAttributes - Export group attributes on the groups
+     */
+    constructor(options = {}) {
+        this.measurementSystem = new MeasurementSystem();
+        this.measurementSystem.setUnitMode(options.units || 'mm');
+        this.measurementSystem.setDecimalSeparator(options.decimalSeparator || '.');
+
+        this.elementDataMap = new Map();
+        this.fileManager = new FileManager(this.measurementSystem);
+        this.elementManager = new ElementManager(this.measurementSystem, this.fileManager, this.elementDataMap);
+        this.fileManager.setElementManager(this.elementManager);
+        this.fileManager.setExportCutStyle(!!options.cutStyle);
+        this.fileManager.setExportKeepGroupAttributes(!!options.keepGroupAttributes);
+
+        this.attributeSystem = new AttributeSystem(this.measurementSystem, this.fileManager, this.elementManager);
+        this.selectionQuery = new SelectionQuery(this.measurementSystem);
+        this.designRuleChecker = new DesignRuleChecker(this.measurementSystem, this.elementManager);
+        this.analyzer = new SVGAnalyzer();
+
+        // Element data as the editor builds it when a file is loaded
+        this.fileManager.setLoadCallback((svgElement, svgData, fileName, geometry) => {
+            this.elementDataMap.clear();
+            this.measurementSystem.analyzeSVG(svgElement, geometry)
+                .forEach((data, id) => this.elementDataMap.set(id, data));
+        });
+    }
+
+    /**
+     * Load SVG source
+     *
+     * @param {string} svgString - SVG source
+     * @param {string} fileName - File name
+     * @throws {Error} If the source is no valid SVG
+     */
+    load(svgString, fileName) {
+        // Parsing reports invalid files
+        let geometry = null;
+        try {
+            geometry = this.analyzer.analyze(svgString);
+        } catch (error) {
+            geometry = null;
+        }
+
+        try {
+            this.fileManager.parseSVG(svgString, fileName, geometry);
+        } catch (error) {
+            throw new Error('Invalid SVG file');
+        }
+    }
+
+    /**
+     * Get the elements of the loaded file
+     * @returns {Array<Element>} Elements with app-id in document order
+     */
+    getElements() {
+        const svgElement = this.fileManager.getSVGElement();
+        return svgElement ? Array.from(svgElement.querySelectorAll('[data-app-id]')) : [];
+    }
+
+    /**
+     * Select elements by filter expression
+     *
+     * @param {string|null} query - Filter (filter box syntax), all elements if empty
+     * @returns {Array<Element>} Matching elements
+     * @throws {Error} If the query is invalid
+     */
+    select(query) {
+        if (!query || query.trim() === '') {
+            return this.getElements();
+        }
+
+        const matches = this.selectionQuery.compile(query);
+        return this.getElements().filter(element => matches(element, {
+            ...this.elementManager.getElementDimensions(element),
+            shaperAttributes: this.elementManager.getEffectiveAttributes(element)
+        }));
+    }
+
+    /**
+     * Set shaper attributes as if saved from the dialog
+     *
+     * @param {Array<Element>} elements - Elements to change
+     * @param {Object} values - Text values by attribute name (e.g., {cutType: 'outside', cutDepth: '18mm'})
+     * @throws {Error} If a value is invalid
+     */
+    setAttributes(elements, values) {
+        this.attributeSystem.saveAttributeValues(elements, values);
+    }
+
+    /**
+     * Export the loaded file like the export button does
+     * @returns {string} SVG source
+     */
+    exportSVG() {
+        return new XMLSerializer().serializeToString(this.fileManager.createExportNode());
+    }
+
+    // ============================================================================
+    // REPORT
+    // ============================================================================
+
+    /**
+     * Summarize elements and attributes of the loaded file
+     *
+     * Attribute values include those inherited from groups and are given in
+     * current units.
+     *
+     * @returns {Object} Report {fileName, units, elements, groups, tags, cutTypes, values}
+     */
+    report() {
+        const elements = this.getElements();
+        const report = {
+            fileName: this.fileManager.fileName,
+            units: this.measurementSystem.units,
+            elements: elements.length,
+            groups: this.fileManager.getSVGElement().querySelectorAll('[data-group-id]').length,
+            tags: {},
+            cutTypes: {},
+            values: {}
+        };
+        ShaperConstants.MEASUREMENT_ATTRIBUTES.forEach(attr => {
+            report.values[attr] = {};
+        });
+
+        const count = (counts, key) => {
+            counts[key] = (counts[key] || 0) + 1;
+        };
+
+        elements.forEach(element => {
+            const shaperAttrs = this.elementManager.getEffectiveAttributes(element);
+            count(report.tags, element.localName);
+            count(report.cutTypes, shaperAttrs['shaper:cutType'] || 'none');
+
+            ShaperConstants.MEASUREMENT_ATTRIBUTES.forEach(attr => {
+                const pixels = parseFloat(shaperAttrs[`shaper:${attr}`]);
+                if (!isNaN(pixels)) {
+                    count(report.values[attr], this.formatLength(pixels));
+                }
+            });
+        });
+
+        return report;
+    }
+
+    // ============================================================================
+    // VALIDATION
+    // ============================================================================
+
+    /**
+     * Check the loaded file for problems that need no layout
+     *
+     * Attribute values (as the dialog validates them), cut depths against
+     * the material, inside/outside/pocket cuts on open paths and live text.
+     * Gaps, corners and duplicates need the outlines of the app's design check.
+     *
+     * @param {Object} limits - Depth limits in current units {materialThickness, spoilboardAllowance}
+     * @returns {Array<Object>} Problems {appId, name, message}
+     */
+    validate(limits = {}) {
+        const svgElement = this.fileManager.getSVGElement();
+        const cutTypes = Object.keys(ShaperConstants.CUT_STYLE_COLORS);
+        const depthLimits = { ...limits, unit: this.measurementSystem.units };
+        const problems = [];
+
+        const addProblem = (element, message) => {
+            problems.push({ appId: element.dataset.appId, name: this.elementManager.getNodeName(element), message });
+        };
+
+        this.getElements().forEach(element => {
+            const shaperAttrs = this.elementManager.getEffectiveAttributes(element);
+            const cutType = shaperAttrs['shaper:cutType'] || null;
+
+            if (cutType && !cutTypes.includes(cutType)) {
+                addProblem(element, `Unknown cut type "${cutType}"`);
+            }
+
+            ShaperConstants.MEASUREMENT_ATTRIBUTES.forEach(attr => {
+                const value = shaperAttrs[`shaper:${attr}`];
+                if (ShaperConstants.isEmptyValue(value)) return;
+
+                // Values that could not be read from the file are kept as they are
+                const pixels = parseFloat(value);
+                const text = isNaN(pixels) ? value : this.measurementSystem.convertPixelsToCurrentUnit(pixels).toString();
+                const checkDepth = attr === 'cutDepth' && cutType !== 'guide';
+                ShaperUtils.validateAttributeValue(text, attr, checkDepth ? depthLimits : {})
+                    .forEach(message => addProblem(element, message));
+            });
+
+            if (DesignRuleChecker.GEOMETRY_TAGS.includes(element.localName)) {
+                const shape = { appId: element.dataset.appId, cutType, closed: this.measurementSystem.isClosedShape(element), bbox: null };
+                this.designRuleChecker.checkOpenPath(shape).forEach(finding => addProblem(element, finding.message));
+            }
+        });
+
+        this.designRuleChecker.checkLiveText(svgElement).forEach(finding => {
+            addProblem(svgElement.querySelector(`[data-app-id="${finding.appId}"]`), finding.message);
+        });
+
+        return problems;
+    }
+
+    /**
+     * Format a pixel length in current units
+     * @param {number} pixels - Length in pixels
+     * @returns {string} Length with unit (e.g., '18mm')
+     */
+    formatLength(pixels) {
+        return this.measurementSystem.formatWithUnits(this.measurementSystem.convertPixelsToCurrentUnit(pixels));
+    }
+}
+
+// Export for use in other modules
+window.BatchEditor = BatchEditor;
@@ -0,0 +1,1142 @@
+/**
+ * Bundled Fonts Module - Fallback Font for Text Outlining
+ *
+ * Font used by the TextConverter when a text's font is not embedded in the
+ * SVG. Stored as base64 in a script so it also works when the app is opened
+ * from the file system (fetch() can't read local files there).
+ *
+ * Lato Regular 1.105 - Copyright (c) 2010-2013 by tyPoland Lukasz Dziedzic
+ * (http://www.typoland.com/) with Reserved Font Name "Lato". Licensed under
+ * the SIL Open Font License, Version 1.1 (https://openfontlicense.org).
+ * The license text is shipped in fonts/OFL.txt.
+ */
+class BundledFonts {
+    /** Family name of the bundled font */
+    static FAMILY = 'Lato';
+
+    /** Lato Regular (TrueType), base64 in lines of 116 characters */
+    static LATO_REGULAR = [
+        'AAEAAAASAQAABAAgRFNJRwAAAAEAAXewAAAACEdQT1O20R0QAAABLAAAS7RHU1VCVi5UBQAATOAAAAEOT1MvMtmuqmkAAE3wAAAAYGNtYXBS1J/XAABO',
+        'UAAABOZjdnQgJ4kC6QABbWAAAAA4ZnBnbYsLekEAAW2YAAAJkWdhc3AAAAAQAAFtWAAAAAhnbHlmKn7KmQAAUzgAAJFCaGVhZP+RZYEAAOR8AAAANmho',
+        'ZWEPtgexAADktAAAACRobXR4W9hgvQAA5NgAAARUa2VybmxCalQAAOksAABs5GxvY2EIlS7PAAFWEAAAAixtYXhwAjwKpwABWDwAAAAgbmFtZb4MJO0A',
+        'AVhcAAARXnBvc3Q69l0VAAFpvAAAA5pwcmVwnHg5vQABdywAAACBAAEAAAAKADAASgACREZMVAAObGF0bgAaAAQAAAAA//8AAQAAAAQAAAAA//8AAQAB',
+        'AAJrZXJuAA5rZXJuABQAAAABAAAAAAABAAAAAQAEAAIAAAABAAgAAUpuAAQAAAB2APYCJANSA9wFCgXABl4HFAjCCWgKQgpsCxIL5AwmDOwOEg64D3IQ',
+        'GBBqEdgSGhPIFO4VtBdaGBwYphmAGcYaGBpqGrQa+htMG5Ib2BwqHHwcsh1EHVYdqB46HsQf8iCQIS4h1CMCI0wjliQ0JH4lrCZKJyQn/ijYKbIqjCtm',
+        'K5AsNizcLYIuKC7OL3Qvti/4MDowfDIiMsgzDjNUM5oz4DQmNGw0vjUQNWI1tDYGNkw2njbwN0I3lDfmODg4ijlkOao51DomOqg67jtAPOY9qD5qPyw/',
+        'ykBoQZZCxEN6RKhF1kaMRypHyEhmSZQASwAJ/0oAD/8cABD/TgAR/xwAEv9KACP/0gAk/0oAJv/SACr/0gAy/9IANP/SADkAMAA6ADAAPAAeAD8AMABE',
+        '/8AARv+kAEf/pABI/6QAUv+kAFT/pABt/04Ab/9OAHn/TgB9/04Agv9KAIP/SgCE/0oAhf9KAIb/SgCH/0oAiP9KAIn/0gCU/9IAlf/SAJb/0gCX/9IA',
+        'mP/SAJr/0gCfAB4Aov/AAKP/wACk/8AApf/AAKb/wACn/8AAqP/AAKn/pACq/6QAq/+kAKz/pACt/6QAsv+kALT/pAC1/6QAtv+kALf/pAC4/6QAuv+k',
+        'AML/SgDD/8AAxP/SAMX/pADH/6QAzf/SAM7/pADTAB4A5f9OAOb/TgDp/xwA7P8cAO//TgDy/04A8/9OAPn/SgBLAAn/SgAP/xwAEP9OABH/HAAS/0oA',
+        'I//SACT/SgAm/9IAKv/SADL/0gA0/9IAOQAwADoAMAA8AB4APwAwAET/wABG/6QAR/+kAEj/pABS/6QAVP+kAG3/TgBv/04Aef9OAH3/TgCC/0oAg/9K',
+        'AIT/SgCF/0oAhv9KAIf/SgCI/0oAif/SAJT/0gCV/9IAlv/SAJf/0gCY/9IAmv/SAJ8AHgCi/8AAo//AAKT/wACl/8AApv/AAKf/wACo/8AAqf+kAKr/',
+        'pACr/6QArP+kAK3/pACy/6QAtP+kALX/pAC2/6QAt/+kALj/pAC6/6QAwv9KAMP/wADE/9IAxf+kAMf/pADN/9IAzv+kANMAHgDl/04A5v9OAOn/HADs',
+        '/xwA7/9OAPL/TgDz/04A+f9KACIAI//YACb/2AAq/9gAMv/YADT/2ABG/+AAR//gAEj/4ABS/+AAVP/gAIn/2ACU/9gAlf/YAJb/2ACX/9gAmP/YAJr/',
+        '2ACp/+AAqv/gAKv/4ACs/+AArf/gALL/4AC0/+AAtf/gALb/4AC3/+AAuP/gALr/4ADE/9gAxf/gAMf/4ADN/9gAzv/gAEsACf9KAA//HAAQ/04AEf8c',
+        'ABL/SgAj/9IAJP9KACb/0gAq/9IAMv/SADT/0gA5ADAAOgAwADwAHgA/ADAARP/AAEb/pABH/6QASP+kAFL/pABU/6QAbf9OAG//TgB5/04Aff9OAIL/',
+        'SgCD/0oAhP9KAIX/SgCG/0oAh/9KAIj/SgCJ/9IAlP/SAJX/0gCW/9IAl//SAJj/0gCa/9IAnwAeAKL/wACj/8AApP/AAKX/wACm/8AAp//AAKj/wACp',
+        '/6QAqv+kAKv/pACs/6QArf+kALL/pAC0/6QAtf+kALb/pAC3/6QAuP+kALr/pADC/0oAw//AAMT/0gDF/6QAx/+kAM3/0gDO/6QA0wAeAOX/TgDm/04A',
+        '6f8cAOz/HADv/04A8v9OAPP/TgD5/0oALQAF/xwACv8cAA3/HAAQ/3gAI//IACb/yAAq/8gAMv/IADT/yAA3/0wAOf9MADr/hgA8/2gAP/9MAFn/fABa',
+        '/8IAXP98AGz/HABt/3gAb/94AHL/HAB5/3gAfP8cAH3/eACJ/8gAlP/IAJX/yACW/8gAl//IAJj/yACa/8gAn/9oAMT/yADN/8gA0/9oAOX/eADm/3gA',
+        '5/8cAOj/HADq/xwA6/8cAO//eADy/3gA8/94APb/HAAnAAX/TgAJ/8wACv9OAA3/TgAP/3gAEf94ABL/zAAk/8wAN/9MADn/kAA6/+AAO//CADz/YAA9',
+        '/9IAP/+QAGz/TgBy/04AfP9OAIL/zACD/8wAhP/MAIX/zACG/8wAh//MAIj/zACf/2AAwv/MANP/YADU/9IA1v/SANj/0gDn/04A6P9OAOn/eADq/04A',
+        '6/9OAOz/eAD2/04A+f/MAC0ABf8cAAr/HAAN/xwAEP94ACP/yAAm/8gAKv/IADL/yAA0/8gAN/9MADn/TAA6/4YAPP9oAD//TABZ/3wAWv/CAFz/fABs',
+        '/xwAbf94AG//eABy/xwAef94AHz/HAB9/3gAif/IAJT/yACV/8gAlv/IAJf/yACY/8gAmv/IAJ//aADE/8gAzf/IANP/aADl/3gA5v94AOf/HADo/xwA',
+        '6v8cAOv/HADv/3gA8v94APP/eAD2/xwAawAFADAACf94AAoAMAANADAAD/9AABD/kAAR/0AAEv94AB3/qAAe/6gAIgAwACP/zAAk/3gAJv/MACr/zAAt',
+        '/2gAMv/MADT/zABE/4wARv+MAEf/jABI/4wASf/iAEr/eABQ/6gAUf+oAFL/jABT/6gAVP+MAFX/qABW/5YAV//WAFj/qABZ/9AAW//MAFz/0ABd/64A',
+        'bAAwAG3/kABv/5AAcgAwAHQAOgB1ADoAd/+oAHn/kAB7ADoAfAAwAH3/kACC/3gAg/94AIT/eACF/3gAhv94AIf/eACI/3gAif/MAJT/zACV/8wAlv/M',
+        'AJf/zACY/8wAmv/MAKL/jACj/4wApP+MAKX/jACm/4wAp/+MAKj/jACp/4wAqv+MAKv/jACs/4wArf+MALL/jACz/6gAtP+MALX/jAC2/4wAt/+MALj/',
+        'jAC6/4wAu/+oALz/qAC9/6gAvv+oAML/eADD/4wAxP/MAMX/jADH/4wAzP+oAM3/zADO/4wA5f+QAOb/kADnADAA6AAwAOn/QADqADAA6wAwAOz/QADv',
+        '/5AA8v+QAPP/kAD2ADAA+f94ACkABf/SAAn/1gAK/9IADP/YAA3/0gAP/8gAEf/IABL/1gAk/9YAN/+eADn/zAA7/+IAPP+wAD3/ugA//8wAQP/YAGD/',
+        '2ABs/9IAcv/SAHz/0gCC/9YAg//WAIT/1gCF/9YAhv/WAIf/1gCI/9YAn/+wAML/1gDT/7AA1P+6ANb/ugDY/7oA5//SAOj/0gDp/8gA6v/SAOv/0gDs',
+        '/8gA9v/SAPn/1gA2AAX/SgAK/0oADf9KABD/zAAi/8gAI//WACb/1gAq/9YALQAyADL/1gA0/9YAN/98ADj/yAA5/3gAOv+sADz/XAA//3gAWf+uAFz/',
+        'rgBs/0oAbf/MAG//zABy/0oAdP9IAHX/SAB5/8wAe/9IAHz/SgB9/8wAif/WAJT/1gCV/9YAlv/WAJf/1gCY/9YAmv/WAJv/yACc/8gAnf/IAJ7/yACf',
+        '/1wAxP/WAM3/1gDT/1wA5f/MAOb/zADn/0oA6P9KAOr/SgDr/0oA7//MAPL/zADz/8wA9v9KAAoAEP9qAG3/agBv/2oAef9qAH3/agDl/2oA5v9qAO//',
+        'agDy/2oA8/9qACkABf/SAAn/1gAK/9IADP/YAA3/0gAP/8gAEf/IABL/1gAk/9YAN/+eADn/zAA7/+IAPP+wAD3/ugA//8wAQP/YAGD/2ABs/9IAcv/S',
+        'AHz/0gCC/9YAg//WAIT/1gCF/9YAhv/WAIf/1gCI/9YAn/+wAML/1gDT/7AA1P+6ANb/ugDY/7oA5//SAOj/0gDp/8gA6v/SAOv/0gDs/8gA9v/SAPn/',
+        '1gA0AAn/fAAP/0wAEf9MABL/fAAd/8QAHv/EACIAHgAk/3wALf86AEb/ugBH/7oASP+6AFD/xABR/8QAUv+6AFP/xABU/7oAVf/EAFj/xAB3/8QAgv98',
+        'AIP/fACE/3wAhf98AIb/fACH/3wAiP98AKn/ugCq/7oAq/+6AKz/ugCt/7oAsv+6ALP/xAC0/7oAtf+6ALb/ugC3/7oAuP+6ALr/ugC7/8QAvP/EAL3/',
+        'xAC+/8QAwv98AMX/ugDH/7oAzP/EAM7/ugDp/0wA7P9MAPn/fAAQAAn/yAAP/84AEf/OABL/yAAk/8gAgv/IAIP/yACE/8gAhf/IAIb/yACH/8gAiP/I',
+        'AML/yADp/84A7P/OAPn/yAAxABD/wgAj/+IAJv/iACr/4gAy/+IANP/iAEb/3ABH/9wASP/cAEn/zABS/9wAVP/cAFf/rgBZ/74AWv/IAFz/vgBt/8IA',
+        'b//CAHn/wgB9/8IAif/iAJT/4gCV/+IAlv/iAJf/4gCY/+IAmv/iAKn/3ACq/9wAq//cAKz/3ACt/9wAsv/cALT/3AC1/9wAtv/cALf/3AC4/9wAuv/c',
+        'AMT/4gDF/9wAx//cAM3/4gDO/9wA5f/CAOb/wgDv/8IA8v/CAPP/wgBJAAX+3gAK/t4ADf7eAA8ANgAQ/zoAEQA2ACL/zgAj/7AAJv+wACr/sAAy/7AA',
+        'NP+wADf/VAA5/0oAOv9oADz/LAA//0oARv/cAEf/3ABI/9wAUv/cAFT/3ABZ/5QAWv+wAFz/lABs/t4Abf86AG//OgBy/t4AdP82AHX/NgB5/zoAe/82',
+        'AHz+3gB9/zoAif+wAJT/sACV/7AAlv+wAJf/sACY/7AAmv+wAJ//LACp/9wAqv/cAKv/3ACs/9wArf/cALL/3AC0/9wAtf/cALb/3AC3/9wAuP/cALr/',
+        '3ADE/7AAxf/cAMf/3ADN/7AAzv/cANP/LADl/zoA5v86AOf+3gDo/t4A6QA2AOr+3gDr/t4A7AA2AO//OgDy/zoA8/86APb+3gApAAX/0gAJ/9YACv/S',
+        'AAz/2AAN/9IAD//IABH/yAAS/9YAJP/WADf/ngA5/8wAO//iADz/sAA9/7oAP//MAED/2ABg/9gAbP/SAHL/0gB8/9IAgv/WAIP/1gCE/9YAhf/WAIb/',
+        '1gCH/9YAiP/WAJ//sADC/9YA0/+wANT/ugDW/7oA2P+6AOf/0gDo/9IA6f/IAOr/0gDr/9IA7P/IAPb/0gD5/9YALgAJ/3YAD/8IABH/CAAS/3YAJP92',
+        'AC3/SgBE/84ARv/iAEf/4gBI/+IAUv/iAFT/4gCC/3YAg/92AIT/dgCF/3YAhv92AIf/dgCI/3YAov/OAKP/zgCk/84Apf/OAKb/zgCn/84AqP/OAKn/',
+        '4gCq/+IAq//iAKz/4gCt/+IAsv/iALT/4gC1/+IAtv/iALf/4gC4/+IAuv/iAML/dgDD/84Axf/iAMf/4gDO/+IA6f8IAOz/CAD5/3YAKQAF/9IACf/W',
+        'AAr/0gAM/9gADf/SAA//yAAR/8gAEv/WACT/1gA3/54AOf/MADv/4gA8/7AAPf+6AD//zABA/9gAYP/YAGz/0gBy/9IAfP/SAIL/1gCD/9YAhP/WAIX/',
+        '1gCG/9YAh//WAIj/1gCf/7AAwv/WANP/sADU/7oA1v+6ANj/ugDn/9IA6P/SAOn/yADq/9IA6//SAOz/yAD2/9IA+f/WABQAI//SACb/0gAq/9IAMv/S',
+        'ADT/0gA3/8wAOP/WAIn/0gCU/9IAlf/SAJb/0gCX/9IAmP/SAJr/0gCb/9YAnP/WAJ3/1gCe/9YAxP/SAM3/0gBbAAn/fAAP/0wAEP9MABH/TAAS/3wA',
+        'Hf9gAB7/YAAj/54AJP98ACb/ngAq/54ALf84ADL/ngA0/54ARP8GAEb/LgBH/y4ASP8uAEr/RABQ/2AAUf9gAFL/LgBT/2AAVP8uAFX/YABW/14AWP9g',
+        'AFn/TABa/3QAW/9wAFz/TABd/4gAbf9MAG//TAB3/2AAef9MAH3/TACC/3wAg/98AIT/fACF/3wAhv98AIf/fACI/3wAif+eAJT/ngCV/54Alv+eAJf/',
+        'ngCY/54Amv+eAKL/BgCj/wYApP8GAKX/BgCm/wYAp/8GAKj/BgCp/y4Aqv8uAKv/LgCs/y4Arf8uALL/LgCz/2AAtP8uALX/LgC2/y4At/8uALj/LgC6',
+        '/y4Au/9gALz/YAC9/2AAvv9gAML/fADD/wYAxP+eAMX/LgDH/y4AzP9gAM3/ngDO/y4A5f9MAOb/TADp/0wA7P9MAO//TADy/0wA8/9MAPn/fAAQAAn/',
+        'yAAP/84AEf/OABL/yAAk/8gAgv/IAIP/yACE/8gAhf/IAIb/yACH/8gAiP/IAML/yADp/84A7P/OAPn/yABrAAUAMAAJ/3gACgAwAA0AMAAP/0AAEP+Q',
+        'ABH/QAAS/3gAHf+oAB7/qAAiADAAI//MACT/eAAm/8wAKv/MAC3/aAAy/8wANP/MAET/jABG/4wAR/+MAEj/jABJ/+IASv94AFD/qABR/6gAUv+MAFP/',
+        'qABU/4wAVf+oAFb/lgBX/9YAWP+oAFn/0ABb/8wAXP/QAF3/rgBsADAAbf+QAG//kAByADAAdAA6AHUAOgB3/6gAef+QAHsAOgB8ADAAff+QAIL/eACD',
+        '/3gAhP94AIX/eACG/3gAh/94AIj/eACJ/8wAlP/MAJX/zACW/8wAl//MAJj/zACa/8wAov+MAKP/jACk/4wApf+MAKb/jACn/4wAqP+MAKn/jACq/4wA',
+        'q/+MAKz/jACt/4wAsv+MALP/qAC0/4wAtf+MALb/jAC3/4wAuP+MALr/jAC7/6gAvP+oAL3/qAC+/6gAwv94AMP/jADE/8wAxf+MAMf/jADM/6gAzf/M',
+        'AM7/jADl/5AA5v+QAOcAMADoADAA6f9AAOoAMADrADAA7P9AAO//kADy/5AA8/+QAPYAMAD5/3gASQAFADAACf+iAAoAMAANADAAD/+GABD/4AAR/4YA',
+        'Ev+iACIAIgAk/6IALf+aAET/qABG/+AAR//gAEj/4ABK/54AUv/gAFT/4ABW/9IAbAAwAG3/4ABv/+AAcgAwAHQAMAB1ADAAef/gAHsAMAB8ADAAff/g',
+        'AIL/ogCD/6IAhP+iAIX/ogCG/6IAh/+iAIj/ogCi/6gAo/+oAKT/qACl/6gApv+oAKf/qACo/6gAqf/gAKr/4ACr/+AArP/gAK3/4ACy/+AAtP/gALX/',
+        '4AC2/+AAt//gALj/4AC6/+AAwv+iAMP/qADF/+AAx//gAM7/4ADl/+AA5v/gAOcAMADoADAA6f+GAOoAMADrADAA7P+GAO//4ADy/+AA8//gAPYAMAD5',
+        '/6IAMQAQ/8IAI//iACb/4gAq/+IAMv/iADT/4gBG/9wAR//cAEj/3ABJ/8wAUv/cAFT/3ABX/64AWf++AFr/yABc/74Abf/CAG//wgB5/8IAff/CAIn/',
+        '4gCU/+IAlf/iAJb/4gCX/+IAmP/iAJr/4gCp/9wAqv/cAKv/3ACs/9wArf/cALL/3AC0/9wAtf/cALb/3AC3/9wAuP/cALr/3ADE/+IAxf/cAMf/3ADN',
+        '/+IAzv/cAOX/wgDm/8IA7//CAPL/wgDz/8IAaQAFAB4ACf9cAAoAHgANAB4AD/9oABD/YAAR/2gAEv9cAB3/hgAe/4YAIgAiACP/sAAk/1wAJv+wACr/',
+        'sAAt/zgAMv+wADT/sABE/4AARv9gAEf/YABI/2AASv9UAFD/hgBR/4YAUv9gAFP/hgBU/2AAVf+GAFb/gABY/4YAWf+cAFr/pABb/3wAXP+cAGwAHgBt',
+        '/2AAb/9gAHIAHgB0ADIAdQAyAHf/hgB5/2AAewAyAHwAHgB9/2AAgv9cAIP/XACE/1wAhf9cAIb/XACH/1wAiP9cAIn/sACU/7AAlf+wAJb/sACX/7AA',
+        'mP+wAJr/sACi/4AAo/+AAKT/gACl/4AApv+AAKf/gACo/4AAqf9gAKr/YACr/2AArP9gAK3/YACy/2AAs/+GALT/YAC1/2AAtv9gALf/YAC4/2AAuv9g',
+        'ALv/hgC8/4YAvf+GAL7/hgDC/1wAw/+AAMT/sADF/2AAx/9gAMz/hgDN/7AAzv9gAOX/YADm/2AA5wAeAOgAHgDp/2gA6gAeAOsAHgDs/2gA7/9gAPL/',
+        'YADz/2AA9gAeAPn/XAAwABD/ugAiACIAI//GACb/xgAq/8YAMv/GADT/xgBG/9oAR//aAEj/2gBS/9oAVP/aAFb/5ABZ/9gAXP/YAG3/ugBv/7oAef+6',
+        'AH3/ugCJ/8YAlP/GAJX/xgCW/8YAl//GAJj/xgCa/8YAqf/aAKr/2gCr/9oArP/aAK3/2gCy/9oAtP/aALX/2gC2/9oAt//aALj/2gC6/9oAxP/GAMX/',
+        '2gDH/9oAzf/GAM7/2gDl/7oA5v+6AO//ugDy/7oA8/+6ACIAI//YACb/2AAq/9gAMv/YADT/2ABG/+AAR//gAEj/4ABS/+AAVP/gAIn/2ACU/9gAlf/Y',
+        'AJb/2ACX/9gAmP/YAJr/2ACp/+AAqv/gAKv/4ACs/+AArf/gALL/4AC0/+AAtf/gALb/4AC3/+AAuP/gALr/4ADE/9gAxf/gAMf/4ADN/9gAzv/gADYA',
+        'Bf9KAAr/SgAN/0oAEP/MACL/yAAj/9YAJv/WACr/1gAtADIAMv/WADT/1gA3/3wAOP/IADn/eAA6/6wAPP9cAD//eABZ/64AXP+uAGz/SgBt/8wAb//M',
+        'AHL/SgB0/0gAdf9IAHn/zAB7/0gAfP9KAH3/zACJ/9YAlP/WAJX/1gCW/9YAl//WAJj/1gCa/9YAm//IAJz/yACd/8gAnv/IAJ//XADE/9YAzf/WANP/',
+        'XADl/8wA5v/MAOf/SgDo/0oA6v9KAOv/SgDv/8wA8v/MAPP/zAD2/0oAEQAF/7gACv+4AA3/uABZ/+AAWv/wAFz/4ABs/7gAcv+4AHT/uAB1/7gAe/+4',
+        'AHz/uADn/7gA6P+4AOr/uADr/7gA9v+4ABQABf+kAAr/pAAM/+AADf+kADn/jAA6/+AAP/+MAED/4ABZ/+YAW//EAFz/5gBg/+AAbP+kAHL/pAB8/6QA',
+        '5/+kAOj/pADq/6QA6/+kAPb/pAAUAAX/pAAK/6QADP/gAA3/pAA5/4wAOv/gAD//jABA/+AAWf/mAFv/xABc/+YAYP/gAGz/pABy/6QAfP+kAOf/pADo',
+        '/6QA6v+kAOv/pAD2/6QAEgAFAEQACgBEAA0ARAAP/34AEf9+AGwARAByAEQAdABkAHUAZAB7AGQAfABEAOcARADoAEQA6f9+AOoARADrAEQA7P9+APYA',
+        'RAARAAX/uAAK/7gADf+4AFn/4ABa//AAXP/gAGz/uABy/7gAdP+4AHX/uAB7/7gAfP+4AOf/uADo/7gA6v+4AOv/uAD2/7gAFABG/8QAR//EAEj/xABS',
+        '/8QAVP/EAKn/xACq/8QAq//EAKz/xACt/8QAsv/EALT/xAC1/8QAtv/EALf/xAC4/8QAuv/EAMX/xADH/8QAzv/EABEABf+4AAr/uAAN/7gAWf/gAFr/',
+        '8ABc/+AAbP+4AHL/uAB0/7gAdf+4AHv/uAB8/7gA5/+4AOj/uADq/7gA6/+4APb/uAARAAX/uAAK/7gADf+4AFn/4ABa//AAXP/gAGz/uABy/7gAdP+4',
+        'AHX/uAB7/7gAfP+4AOf/uADo/7gA6v+4AOv/uAD2/7gAFAAF/6QACv+kAAz/4AAN/6QAOf+MADr/4AA//4wAQP/gAFn/5gBb/8QAXP/mAGD/4ABs/6QA',
+        'cv+kAHz/pADn/6QA6P+kAOr/pADr/6QA9v+kABQABf+kAAr/pAAM/+AADf+kADn/jAA6/+AAP/+MAED/4ABZ/+YAW//EAFz/5gBg/+AAbP+kAHL/pAB8',
+        '/6QA5/+kAOj/pADq/6QA6/+kAPb/pAANAA//fAAR/3wARP/aAKL/2gCj/9oApP/aAKX/2gCm/9oAp//aAKj/2gDD/9oA6f98AOz/fAAkAAn/rgAP/3wA',
+        'Ef98ABL/rgAk/64ARv/mAEf/5gBI/+YAUv/mAFT/5gCC/64Ag/+uAIT/rgCF/64Ahv+uAIf/rgCI/64Aqf/mAKr/5gCr/+YArP/mAK3/5gCy/+YAtP/m',
+        'ALX/5gC2/+YAt//mALj/5gC6/+YAwv+uAMX/5gDH/+YAzv/mAOn/fADs/3wA+f+uAAQAD//CABH/wgDp/8IA7P/CABQARv/EAEf/xABI/8QAUv/EAFT/',
+        'xACp/8QAqv/EAKv/xACs/8QArf/EALL/xAC0/8QAtf/EALb/xAC3/8QAuP/EALr/xADF/8QAx//EAM7/xAAkAAn/rgAP/3wAEf98ABL/rgAk/64ARv/m',
+        'AEf/5gBI/+YAUv/mAFT/5gCC/64Ag/+uAIT/rgCF/64Ahv+uAIf/rgCI/64Aqf/mAKr/5gCr/+YArP/mAK3/5gCy/+YAtP/mALX/5gC2/+YAt//mALj/',
+        '5gC6/+YAwv+uAMX/5gDH/+YAzv/mAOn/fADs/3wA+f+uACIAI//YACb/2AAq/9gAMv/YADT/2ABG/+AAR//gAEj/4ABS/+AAVP/gAIn/2ACU/9gAlf/Y',
+        'AJb/2ACX/9gAmP/YAJr/2ACp/+AAqv/gAKv/4ACs/+AArf/gALL/4AC0/+AAtf/gALb/4AC3/+AAuP/gALr/4ADE/9gAxf/gAMf/4ADN/9gAzv/gAEsA',
+        'Cf9KAA//HAAQ/04AEf8cABL/SgAj/9IAJP9KACb/0gAq/9IAMv/SADT/0gA5ADAAOgAwADwAHgA/ADAARP/AAEb/pABH/6QASP+kAFL/pABU/6QAbf9O',
+        'AG//TgB5/04Aff9OAIL/SgCD/0oAhP9KAIX/SgCG/0oAh/9KAIj/SgCJ/9IAlP/SAJX/0gCW/9IAl//SAJj/0gCa/9IAnwAeAKL/wACj/8AApP/AAKX/',
+        'wACm/8AAp//AAKj/wACp/6QAqv+kAKv/pACs/6QArf+kALL/pAC0/6QAtf+kALb/pAC3/6QAuP+kALr/pADC/0oAw//AAMT/0gDF/6QAx/+kAM3/0gDO',
+        '/6QA0wAeAOX/TgDm/04A6f8cAOz/HADv/04A8v9OAPP/TgD5/0oAJwAF/04ACf/MAAr/TgAN/04AD/94ABH/eAAS/8wAJP/MADf/TAA5/5AAOv/gADv/',
+        'wgA8/2AAPf/SAD//kABs/04Acv9OAHz/TgCC/8wAg//MAIT/zACF/8wAhv/MAIf/zACI/8wAn/9gAML/zADT/2AA1P/SANb/0gDY/9IA5/9OAOj/TgDp',
+        '/3gA6v9OAOv/TgDs/3gA9v9OAPn/zAAnAAX/TgAJ/8wACv9OAA3/TgAP/3gAEf94ABL/zAAk/8wAN/9MADn/kAA6/+AAO//CADz/YAA9/9IAP/+QAGz/',
+        'TgBy/04AfP9OAIL/zACD/8wAhP/MAIX/zACG/8wAh//MAIj/zACf/2AAwv/MANP/YADU/9IA1v/SANj/0gDn/04A6P9OAOn/eADq/04A6/9OAOz/eAD2',
+        '/04A+f/MACkABf/SAAn/1gAK/9IADP/YAA3/0gAP/8gAEf/IABL/1gAk/9YAN/+eADn/zAA7/+IAPP+wAD3/ugA//8wAQP/YAGD/2ABs/9IAcv/SAHz/',
+        '0gCC/9YAg//WAIT/1gCF/9YAhv/WAIf/1gCI/9YAn/+wAML/1gDT/7AA1P+6ANb/ugDY/7oA5//SAOj/0gDp/8gA6v/SAOv/0gDs/8gA9v/SAPn/1gBL',
+        'AAn/SgAP/xwAEP9OABH/HAAS/0oAI//SACT/SgAm/9IAKv/SADL/0gA0/9IAOQAwADoAMAA8AB4APwAwAET/wABG/6QAR/+kAEj/pABS/6QAVP+kAG3/',
+        'TgBv/04Aef9OAH3/TgCC/0oAg/9KAIT/SgCF/0oAhv9KAIf/SgCI/0oAif/SAJT/0gCV/9IAlv/SAJf/0gCY/9IAmv/SAJ8AHgCi/8AAo//AAKT/wACl',
+        '/8AApv/AAKf/wACo/8AAqf+kAKr/pACr/6QArP+kAK3/pACy/6QAtP+kALX/pAC2/6QAt/+kALj/pAC6/6QAwv9KAMP/wADE/9IAxf+kAMf/pADN/9IA',
+        'zv+kANMAHgDl/04A5v9OAOn/HADs/xwA7/9OAPL/TgDz/04A+f9KABIACf9IABL/SAAk/0gAOQA6ADoAOgA8ACgAPwA6AIL/SACD/0gAhP9IAIX/SACG',
+        '/0gAh/9IAIj/SACfACgAwv9IANMAKAD5/0gAEgAJ/0gAEv9IACT/SAA5ADoAOgA6ADwAKAA/ADoAgv9IAIP/SACE/0gAhf9IAIb/SACH/0gAiP9IAJ8A',
+        'KADC/0gA0wAoAPn/SAAnAAX/TgAJ/8wACv9OAA3/TgAP/3gAEf94ABL/zAAk/8wAN/9MADn/kAA6/+AAO//CADz/YAA9/9IAP/+QAGz/TgBy/04AfP9O',
+        'AIL/zACD/8wAhP/MAIX/zACG/8wAh//MAIj/zACf/2AAwv/MANP/YADU/9IA1v/SANj/0gDn/04A6P9OAOn/eADq/04A6/9OAOz/eAD2/04A+f/MABIA',
+        'Cf9IABL/SAAk/0gAOQA6ADoAOgA8ACgAPwA6AIL/SACD/0gAhP9IAIX/SACG/0gAh/9IAIj/SACfACgAwv9IANMAKAD5/0gASwAJ/0oAD/8cABD/TgAR',
+        '/xwAEv9KACP/0gAk/0oAJv/SACr/0gAy/9IANP/SADkAMAA6ADAAPAAeAD8AMABE/8AARv+kAEf/pABI/6QAUv+kAFT/pABt/04Ab/9OAHn/TgB9/04A',
+        'gv9KAIP/SgCE/0oAhf9KAIb/SgCH/0oAiP9KAIn/0gCU/9IAlf/SAJb/0gCX/9IAmP/SAJr/0gCfAB4Aov/AAKP/wACk/8AApf/AAKb/wACn/8AAqP/A',
+        'AKn/pACq/6QAq/+kAKz/pACt/6QAsv+kALT/pAC1/6QAtv+kALf/pAC4/6QAuv+kAML/SgDD/8AAxP/SAMX/pADH/6QAzf/SAM7/pADTAB4A5f9OAOb/',
+        'TgDp/xwA7P8cAO//TgDy/04A8/9OAPn/SgAnAAX/TgAJ/8wACv9OAA3/TgAP/3gAEf94ABL/zAAk/8wAN/9MADn/kAA6/+AAO//CADz/YAA9/9IAP/+Q',
+        'AGz/TgBy/04AfP9OAIL/zACD/8wAhP/MAIX/zACG/8wAh//MAIj/zACf/2AAwv/MANP/YADU/9IA1v/SANj/0gDn/04A6P9OAOn/eADq/04A6/9OAOz/',
+        'eAD2/04A+f/MADYABf9KAAr/SgAN/0oAEP/MACL/yAAj/9YAJv/WACr/1gAtADIAMv/WADT/1gA3/3wAOP/IADn/eAA6/6wAPP9cAD//eABZ/64AXP+u',
+        'AGz/SgBt/8wAb//MAHL/SgB0/0gAdf9IAHn/zAB7/0gAfP9KAH3/zACJ/9YAlP/WAJX/1gCW/9YAl//WAJj/1gCa/9YAm//IAJz/yACd/8gAnv/IAJ//',
+        'XADE/9YAzf/WANP/XADl/8wA5v/MAOf/SgDo/0oA6v9KAOv/SgDv/8wA8v/MAPP/zAD2/0oANgAF/0oACv9KAA3/SgAQ/8wAIv/IACP/1gAm/9YAKv/W',
+        'AC0AMgAy/9YANP/WADf/fAA4/8gAOf94ADr/rAA8/1wAP/94AFn/rgBc/64AbP9KAG3/zABv/8wAcv9KAHT/SAB1/0gAef/MAHv/SAB8/0oAff/MAIn/',
+        '1gCU/9YAlf/WAJb/1gCX/9YAmP/WAJr/1gCb/8gAnP/IAJ3/yACe/8gAn/9cAMT/1gDN/9YA0/9cAOX/zADm/8wA5/9KAOj/SgDq/0oA6/9KAO//zADy',
+        '/8wA8//MAPb/SgA2AAX/SgAK/0oADf9KABD/zAAi/8gAI//WACb/1gAq/9YALQAyADL/1gA0/9YAN/98ADj/yAA5/3gAOv+sADz/XAA//3gAWf+uAFz/',
+        'rgBs/0oAbf/MAG//zABy/0oAdP9IAHX/SAB5/8wAe/9IAHz/SgB9/8wAif/WAJT/1gCV/9YAlv/WAJf/1gCY/9YAmv/WAJv/yACc/8gAnf/IAJ7/yACf',
+        '/1wAxP/WAM3/1gDT/1wA5f/MAOb/zADn/0oA6P9KAOr/SgDr/0oA7//MAPL/zADz/8wA9v9KADYABf9KAAr/SgAN/0oAEP/MACL/yAAj/9YAJv/WACr/',
+        '1gAtADIAMv/WADT/1gA3/3wAOP/IADn/eAA6/6wAPP9cAD//eABZ/64AXP+uAGz/SgBt/8wAb//MAHL/SgB0/0gAdf9IAHn/zAB7/0gAfP9KAH3/zACJ',
+        '/9YAlP/WAJX/1gCW/9YAl//WAJj/1gCa/9YAm//IAJz/yACd/8gAnv/IAJ//XADE/9YAzf/WANP/XADl/8wA5v/MAOf/SgDo/0oA6v9KAOv/SgDv/8wA',
+        '8v/MAPP/zAD2/0oANgAF/0oACv9KAA3/SgAQ/8wAIv/IACP/1gAm/9YAKv/WAC0AMgAy/9YANP/WADf/fAA4/8gAOf94ADr/rAA8/1wAP/94AFn/rgBc',
+        '/64AbP9KAG3/zABv/8wAcv9KAHT/SAB1/0gAef/MAHv/SAB8/0oAff/MAIn/1gCU/9YAlf/WAJb/1gCX/9YAmP/WAJr/1gCb/8gAnP/IAJ3/yACe/8gA',
+        'n/9cAMT/1gDN/9YA0/9cAOX/zADm/8wA5/9KAOj/SgDq/0oA6/9KAO//zADy/8wA8//MAPb/SgA2AAX/SgAK/0oADf9KABD/zAAi/8gAI//WACb/1gAq',
+        '/9YALQAyADL/1gA0/9YAN/98ADj/yAA5/3gAOv+sADz/XAA//3gAWf+uAFz/rgBs/0oAbf/MAG//zABy/0oAdP9IAHX/SAB5/8wAe/9IAHz/SgB9/8wA',
+        'if/WAJT/1gCV/9YAlv/WAJf/1gCY/9YAmv/WAJv/yACc/8gAnf/IAJ7/yACf/1wAxP/WAM3/1gDT/1wA5f/MAOb/zADn/0oA6P9KAOr/SgDr/0oA7//M',
+        'APL/zADz/8wA9v9KAAoAEP9qAG3/agBv/2oAef9qAH3/agDl/2oA5v9qAO//agDy/2oA8/9qACkABf/SAAn/1gAK/9IADP/YAA3/0gAP/8gAEf/IABL/',
+        '1gAk/9YAN/+eADn/zAA7/+IAPP+wAD3/ugA//8wAQP/YAGD/2ABs/9IAcv/SAHz/0gCC/9YAg//WAIT/1gCF/9YAhv/WAIf/1gCI/9YAn/+wAML/1gDT',
+        '/7AA1P+6ANb/ugDY/7oA5//SAOj/0gDp/8gA6v/SAOv/0gDs/8gA9v/SAPn/1gApAAX/0gAJ/9YACv/SAAz/2AAN/9IAD//IABH/yAAS/9YAJP/WADf/',
+        'ngA5/8wAO//iADz/sAA9/7oAP//MAED/2ABg/9gAbP/SAHL/0gB8/9IAgv/WAIP/1gCE/9YAhf/WAIb/1gCH/9YAiP/WAJ//sADC/9YA0/+wANT/ugDW',
+        '/7oA2P+6AOf/0gDo/9IA6f/IAOr/0gDr/9IA7P/IAPb/0gD5/9YAKQAF/9IACf/WAAr/0gAM/9gADf/SAA//yAAR/8gAEv/WACT/1gA3/54AOf/MADv/',
+        '4gA8/7AAPf+6AD//zABA/9gAYP/YAGz/0gBy/9IAfP/SAIL/1gCD/9YAhP/WAIX/1gCG/9YAh//WAIj/1gCf/7AAwv/WANP/sADU/7oA1v+6ANj/ugDn',
+        '/9IA6P/SAOn/yADq/9IA6//SAOz/yAD2/9IA+f/WACkABf/SAAn/1gAK/9IADP/YAA3/0gAP/8gAEf/IABL/1gAk/9YAN/+eADn/zAA7/+IAPP+wAD3/',
+        'ugA//8wAQP/YAGD/2ABs/9IAcv/SAHz/0gCC/9YAg//WAIT/1gCF/9YAhv/WAIf/1gCI/9YAn/+wAML/1gDT/7AA1P+6ANb/ugDY/7oA5//SAOj/0gDp',
+        '/8gA6v/SAOv/0gDs/8gA9v/SAPn/1gApAAX/0gAJ/9YACv/SAAz/2AAN/9IAD//IABH/yAAS/9YAJP/WADf/ngA5/8wAO//iADz/sAA9/7oAP//MAED/',
+        '2ABg/9gAbP/SAHL/0gB8/9IAgv/WAIP/1gCE/9YAhf/WAIb/1gCH/9YAiP/WAJ//sADC/9YA0/+wANT/ugDW/7oA2P+6AOf/0gDo/9IA6f/IAOr/0gDr',
+        '/9IA7P/IAPb/0gD5/9YAKQAF/9IACf/WAAr/0gAM/9gADf/SAA//yAAR/8gAEv/WACT/1gA3/54AOf/MADv/4gA8/7AAPf+6AD//zABA/9gAYP/YAGz/',
+        '0gBy/9IAfP/SAIL/1gCD/9YAhP/WAIX/1gCG/9YAh//WAIj/1gCf/7AAwv/WANP/sADU/7oA1v+6ANj/ugDn/9IA6P/SAOn/yADq/9IA6//SAOz/yAD2',
+        '/9IA+f/WABAACf/IAA//zgAR/84AEv/IACT/yACC/8gAg//IAIT/yACF/8gAhv/IAIf/yACI/8gAwv/IAOn/zgDs/84A+f/IABAACf/IAA//zgAR/84A',
+        'Ev/IACT/yACC/8gAg//IAIT/yACF/8gAhv/IAIf/yACI/8gAwv/IAOn/zgDs/84A+f/IABAACf/IAA//zgAR/84AEv/IACT/yACC/8gAg//IAIT/yACF',
+        '/8gAhv/IAIf/yACI/8gAwv/IAOn/zgDs/84A+f/IABAACf/IAA//zgAR/84AEv/IACT/yACC/8gAg//IAIT/yACF/8gAhv/IAIf/yACI/8gAwv/IAOn/',
+        'zgDs/84A+f/IAGkABQAeAAn/XAAKAB4ADQAeAA//aAAQ/2AAEf9oABL/XAAd/4YAHv+GACIAIgAj/7AAJP9cACb/sAAq/7AALf84ADL/sAA0/7AARP+A',
+        'AEb/YABH/2AASP9gAEr/VABQ/4YAUf+GAFL/YABT/4YAVP9gAFX/hgBW/4AAWP+GAFn/nABa/6QAW/98AFz/nABsAB4Abf9gAG//YAByAB4AdAAyAHUA',
+        'MgB3/4YAef9gAHsAMgB8AB4Aff9gAIL/XACD/1wAhP9cAIX/XACG/1wAh/9cAIj/XACJ/7AAlP+wAJX/sACW/7AAl/+wAJj/sACa/7AAov+AAKP/gACk',
+        '/4AApf+AAKb/gACn/4AAqP+AAKn/YACq/2AAq/9gAKz/YACt/2AAsv9gALP/hgC0/2AAtf9gALb/YAC3/2AAuP9gALr/YAC7/4YAvP+GAL3/hgC+/4YA',
+        'wv9cAMP/gADE/7AAxf9gAMf/YADM/4YAzf+wAM7/YADl/2AA5v9gAOcAHgDoAB4A6f9oAOoAHgDrAB4A7P9oAO//YADy/2AA8/9gAPYAHgD5/1wAKQAF',
+        '/9IACf/WAAr/0gAM/9gADf/SAA//yAAR/8gAEv/WACT/1gA3/54AOf/MADv/4gA8/7AAPf+6AD//zABA/9gAYP/YAGz/0gBy/9IAfP/SAIL/1gCD/9YA',
+        'hP/WAIX/1gCG/9YAh//WAIj/1gCf/7AAwv/WANP/sADU/7oA1v+6ANj/ugDn/9IA6P/SAOn/yADq/9IA6//SAOz/yAD2/9IA+f/WABEABf+4AAr/uAAN',
+        '/7gAWf/gAFr/8ABc/+AAbP+4AHL/uAB0/7gAdf+4AHv/uAB8/7gA5/+4AOj/uADq/7gA6/+4APb/uAARAAX/uAAK/7gADf+4AFn/4ABa//AAXP/gAGz/',
+        'uABy/7gAdP+4AHX/uAB7/7gAfP+4AOf/uADo/7gA6v+4AOv/uAD2/7gAEQAF/7gACv+4AA3/uABZ/+AAWv/wAFz/4ABs/7gAcv+4AHT/uAB1/7gAe/+4',
+        'AHz/uADn/7gA6P+4AOr/uADr/7gA9v+4ABEABf+4AAr/uAAN/7gAWf/gAFr/8ABc/+AAbP+4AHL/uAB0/7gAdf+4AHv/uAB8/7gA5/+4AOj/uADq/7gA',
+        '6/+4APb/uAARAAX/uAAK/7gADf+4AFn/4ABa//AAXP/gAGz/uABy/7gAdP+4AHX/uAB7/7gAfP+4AOf/uADo/7gA6v+4AOv/uAD2/7gAEQAF/7gACv+4',
+        'AA3/uABZ/+AAWv/wAFz/4ABs/7gAcv+4AHT/uAB1/7gAe/+4AHz/uADn/7gA6P+4AOr/uADr/7gA9v+4ABQABf+kAAr/pAAM/+AADf+kADn/jAA6/+AA',
+        'P/+MAED/4ABZ/+YAW//EAFz/5gBg/+AAbP+kAHL/pAB8/6QA5/+kAOj/pADq/6QA6/+kAPb/pAAUAAX/pAAK/6QADP/gAA3/pAA5/4wAOv/gAD//jABA',
+        '/+AAWf/mAFv/xABc/+YAYP/gAGz/pABy/6QAfP+kAOf/pADo/6QA6v+kAOv/pAD2/6QAFAAF/6QACv+kAAz/4AAN/6QAOf+MADr/4AA//4wAQP/gAFn/',
+        '5gBb/8QAXP/mAGD/4ABs/6QAcv+kAHz/pADn/6QA6P+kAOr/pADr/6QA9v+kABQABf+kAAr/pAAM/+AADf+kADn/jAA6/+AAP/+MAED/4ABZ/+YAW//E',
+        'AFz/5gBg/+AAbP+kAHL/pAB8/6QA5/+kAOj/pADq/6QA6/+kAPb/pAAUAAX/pAAK/6QADP/gAA3/pAA5/4wAOv/gAD//jABA/+AAWf/mAFv/xABc/+YA',
+        'YP/gAGz/pABy/6QAfP+kAOf/pADo/6QA6v+kAOv/pAD2/6QAEQAF/7gACv+4AA3/uABZ/+AAWv/wAFz/4ABs/7gAcv+4AHT/uAB1/7gAe/+4AHz/uADn',
+        '/7gA6P+4AOr/uADr/7gA9v+4ABQABf+kAAr/pAAM/+AADf+kADn/jAA6/+AAP/+MAED/4ABZ/+YAW//EAFz/5gBg/+AAbP+kAHL/pAB8/6QA5/+kAOj/',
+        'pADq/6QA6/+kAPb/pAAUAAX/pAAK/6QADP/gAA3/pAA5/4wAOv/gAD//jABA/+AAWf/mAFv/xABc/+YAYP/gAGz/pABy/6QAfP+kAOf/pADo/6QA6v+k',
+        'AOv/pAD2/6QAFAAF/6QACv+kAAz/4AAN/6QAOf+MADr/4AA//4wAQP/gAFn/5gBb/8QAXP/mAGD/4ABs/6QAcv+kAHz/pADn/6QA6P+kAOr/pADr/6QA',
+        '9v+kABQABf+kAAr/pAAM/+AADf+kADn/jAA6/+AAP/+MAED/4ABZ/+YAW//EAFz/5gBg/+AAbP+kAHL/pAB8/6QA5/+kAOj/pADq/6QA6/+kAPb/pAAU',
+        'AAX/pAAK/6QADP/gAA3/pAA5/4wAOv/gAD//jABA/+AAWf/mAFv/xABc/+YAYP/gAGz/pABy/6QAfP+kAOf/pADo/6QA6v+kAOv/pAD2/6QAFAAF/6QA',
+        'Cv+kAAz/4AAN/6QAOf+MADr/4AA//4wAQP/gAFn/5gBb/8QAXP/mAGD/4ABs/6QAcv+kAHz/pADn/6QA6P+kAOr/pADr/6QA9v+kABQABf+kAAr/pAAM',
+        '/+AADf+kADn/jAA6/+AAP/+MAED/4ABZ/+YAW//EAFz/5gBg/+AAbP+kAHL/pAB8/6QA5/+kAOj/pADq/6QA6/+kAPb/pAA2AAX/SgAK/0oADf9KABD/',
+        'zAAi/8gAI//WACb/1gAq/9YALQAyADL/1gA0/9YAN/98ADj/yAA5/3gAOv+sADz/XAA//3gAWf+uAFz/rgBs/0oAbf/MAG//zABy/0oAdP9IAHX/SAB5',
+        '/8wAe/9IAHz/SgB9/8wAif/WAJT/1gCV/9YAlv/WAJf/1gCY/9YAmv/WAJv/yACc/8gAnf/IAJ7/yACf/1wAxP/WAM3/1gDT/1wA5f/MAOb/zADn/0oA',
+        '6P9KAOr/SgDr/0oA7//MAPL/zADz/8wA9v9KABEABf+4AAr/uAAN/7gAWf/gAFr/8ABc/+AAbP+4AHL/uAB0/7gAdf+4AHv/uAB8/7gA5/+4AOj/uADq',
+        '/7gA6/+4APb/uAAKABD/agBt/2oAb/9qAHn/agB9/2oA5f9qAOb/agDv/2oA8v9qAPP/agAUAAX/pAAK/6QADP/gAA3/pAA5/4wAOv/gAD//jABA/+AA',
+        'Wf/mAFv/xABc/+YAYP/gAGz/pABy/6QAfP+kAOf/pADo/6QA6v+kAOv/pAD2/6QAIAAF/3QACv90AA3/dAAQ/4AAOf9eADr/hgA8/2gAP/9eAFn/yABc',
+        '/8gAbP90AG3/gABv/4AAcv90AHT/fAB1/3wAef+AAHv/fAB8/3QAff+AAJ//aADT/2gA5f+AAOb/gADn/3QA6P90AOr/dADr/3QA7/+AAPL/gADz/4AA',
+        '9v90ABEABf+4AAr/uAAN/7gAWf/gAFr/8ABc/+AAbP+4AHL/uAB0/7gAdf+4AHv/uAB8/7gA5/+4AOj/uADq/7gA6/+4APb/uAAUAAX/pAAK/6QADP/g',
+        'AA3/pAA5/4wAOv/gAD//jABA/+AAWf/mAFv/xABc/+YAYP/gAGz/pABy/6QAfP+kAOf/pADo/6QA6v+kAOv/pAD2/6QAaQAFAB4ACf9cAAoAHgANAB4A',
+        'D/9oABD/YAAR/2gAEv9cAB3/hgAe/4YAIgAiACP/sAAk/1wAJv+wACr/sAAt/zgAMv+wADT/sABE/4AARv9gAEf/YABI/2AASv9UAFD/hgBR/4YAUv9g',
+        'AFP/hgBU/2AAVf+GAFb/gABY/4YAWf+cAFr/pABb/3wAXP+cAGwAHgBt/2AAb/9gAHIAHgB0ADIAdQAyAHf/hgB5/2AAewAyAHwAHgB9/2AAgv9cAIP/',
+        'XACE/1wAhf9cAIb/XACH/1wAiP9cAIn/sACU/7AAlf+wAJb/sACX/7AAmP+wAJr/sACi/4AAo/+AAKT/gACl/4AApv+AAKf/gACo/4AAqf9gAKr/YACr',
+        '/2AArP9gAK3/YACy/2AAs/+GALT/YAC1/2AAtv9gALf/YAC4/2AAuv9gALv/hgC8/4YAvf+GAL7/hgDC/1wAw/+AAMT/sADF/2AAx/9gAMz/hgDN/7AA',
+        'zv9gAOX/YADm/2AA5wAeAOgAHgDp/2gA6gAeAOsAHgDs/2gA7/9gAPL/YADz/2AA9gAeAPn/XAAwABD/ugAiACIAI//GACb/xgAq/8YAMv/GADT/xgBG',
+        '/9oAR//aAEj/2gBS/9oAVP/aAFb/5ABZ/9gAXP/YAG3/ugBv/7oAef+6AH3/ugCJ/8YAlP/GAJX/xgCW/8YAl//GAJj/xgCa/8YAqf/aAKr/2gCr/9oA',
+        'rP/aAK3/2gCy/9oAtP/aALX/2gC2/9oAt//aALj/2gC6/9oAxP/GAMX/2gDH/9oAzf/GAM7/2gDl/7oA5v+6AO//ugDy/7oA8/+6ADAAEP+6ACIAIgAj',
+        '/8YAJv/GACr/xgAy/8YANP/GAEb/2gBH/9oASP/aAFL/2gBU/9oAVv/kAFn/2ABc/9gAbf+6AG//ugB5/7oAff+6AIn/xgCU/8YAlf/GAJb/xgCX/8YA',
+        'mP/GAJr/xgCp/9oAqv/aAKv/2gCs/9oArf/aALL/2gC0/9oAtf/aALb/2gC3/9oAuP/aALr/2gDE/8YAxf/aAMf/2gDN/8YAzv/aAOX/ugDm/7oA7/+6',
+        'APL/ugDz/7oAMAAQ/7oAIgAiACP/xgAm/8YAKv/GADL/xgA0/8YARv/aAEf/2gBI/9oAUv/aAFT/2gBW/+QAWf/YAFz/2ABt/7oAb/+6AHn/ugB9/7oA',
+        'if/GAJT/xgCV/8YAlv/GAJf/xgCY/8YAmv/GAKn/2gCq/9oAq//aAKz/2gCt/9oAsv/aALT/2gC1/9oAtv/aALf/2gC4/9oAuv/aAMT/xgDF/9oAx//a',
+        'AM3/xgDO/9oA5f+6AOb/ugDv/7oA8v+6APP/ugAnAAX/TgAJ/8wACv9OAA3/TgAP/3gAEf94ABL/zAAk/8wAN/9MADn/kAA6/+AAO//CADz/YAA9/9IA',
+        'P/+QAGz/TgBy/04AfP9OAIL/zACD/8wAhP/MAIX/zACG/8wAh//MAIj/zACf/2AAwv/MANP/YADU/9IA1v/SANj/0gDn/04A6P9OAOn/eADq/04A6/9O',
+        'AOz/eAD2/04A+f/MACcABf9OAAn/zAAK/04ADf9OAA//eAAR/3gAEv/MACT/zAA3/0wAOf+QADr/4AA7/8IAPP9gAD3/0gA//5AAbP9OAHL/TgB8/04A',
+        'gv/MAIP/zACE/8wAhf/MAIb/zACH/8wAiP/MAJ//YADC/8wA0/9gANT/0gDW/9IA2P/SAOf/TgDo/04A6f94AOr/TgDr/04A7P94APb/TgD5/8wASwAJ',
+        '/0oAD/8cABD/TgAR/xwAEv9KACP/0gAk/0oAJv/SACr/0gAy/9IANP/SADkAMAA6ADAAPAAeAD8AMABE/8AARv+kAEf/pABI/6QAUv+kAFT/pABt/04A',
+        'b/9OAHn/TgB9/04Agv9KAIP/SgCE/0oAhf9KAIb/SgCH/0oAiP9KAIn/0gCU/9IAlf/SAJb/0gCX/9IAmP/SAJr/0gCfAB4Aov/AAKP/wACk/8AApf/A',
+        'AKb/wACn/8AAqP/AAKn/pACq/6QAq/+kAKz/pACt/6QAsv+kALT/pAC1/6QAtv+kALf/pAC4/6QAuv+kAML/SgDD/8AAxP/SAMX/pADH/6QAzf/SAM7/',
+        'pADTAB4A5f9OAOb/TgDp/xwA7P8cAO//TgDy/04A8/9OAPn/SgBLAAn/SgAP/xwAEP9OABH/HAAS/0oAI//SACT/SgAm/9IAKv/SADL/0gA0/9IAOQAw',
+        'ADoAMAA8AB4APwAwAET/wABG/6QAR/+kAEj/pABS/6QAVP+kAG3/TgBv/04Aef9OAH3/TgCC/0oAg/9KAIT/SgCF/0oAhv9KAIf/SgCI/0oAif/SAJT/',
+        '0gCV/9IAlv/SAJf/0gCY/9IAmv/SAJ8AHgCi/8AAo//AAKT/wACl/8AApv/AAKf/wACo/8AAqf+kAKr/pACr/6QArP+kAK3/pACy/6QAtP+kALX/pAC2',
+        '/6QAt/+kALj/pAC6/6QAwv9KAMP/wADE/9IAxf+kAMf/pADN/9IAzv+kANMAHgDl/04A5v9OAOn/HADs/xwA7/9OAPL/TgDz/04A+f9KAC0ABf8cAAr/',
+        'HAAN/xwAEP94ACP/yAAm/8gAKv/IADL/yAA0/8gAN/9MADn/TAA6/4YAPP9oAD//TABZ/3wAWv/CAFz/fABs/xwAbf94AG//eABy/xwAef94AHz/HAB9',
+        '/3gAif/IAJT/yACV/8gAlv/IAJf/yACY/8gAmv/IAJ//aADE/8gAzf/IANP/aADl/3gA5v94AOf/HADo/xwA6v8cAOv/HADv/3gA8v94APP/eAD2/xwA',
+        'SwAJ/0oAD/8cABD/TgAR/xwAEv9KACP/0gAk/0oAJv/SACr/0gAy/9IANP/SADkAMAA6ADAAPAAeAD8AMABE/8AARv+kAEf/pABI/6QAUv+kAFT/pABt',
+        '/04Ab/9OAHn/TgB9/04Agv9KAIP/SgCE/0oAhf9KAIb/SgCH/0oAiP9KAIn/0gCU/9IAlf/SAJb/0gCX/9IAmP/SAJr/0gCfAB4Aov/AAKP/wACk/8AA',
+        'pf/AAKb/wACn/8AAqP/AAKn/pACq/6QAq/+kAKz/pACt/6QAsv+kALT/pAC1/6QAtv+kALf/pAC4/6QAuv+kAML/SgDD/8AAxP/SAMX/pADH/6QAzf/S',
+        'AM7/pADTAB4A5f9OAOb/TgDp/xwA7P8cAO//TgDy/04A8/9OAPn/SgBLAAn/SgAP/xwAEP9OABH/HAAS/0oAI//SACT/SgAm/9IAKv/SADL/0gA0/9IA',
+        'OQAwADoAMAA8AB4APwAwAET/wABG/6QAR/+kAEj/pABS/6QAVP+kAG3/TgBv/04Aef9OAH3/TgCC/0oAg/9KAIT/SgCF/0oAhv9KAIf/SgCI/0oAif/S',
+        'AJT/0gCV/9IAlv/SAJf/0gCY/9IAmv/SAJ8AHgCi/8AAo//AAKT/wACl/8AApv/AAKf/wACo/8AAqf+kAKr/pACr/6QArP+kAK3/pACy/6QAtP+kALX/',
+        'pAC2/6QAt/+kALj/pAC6/6QAwv9KAMP/wADE/9IAxf+kAMf/pADN/9IAzv+kANMAHgDl/04A5v9OAOn/HADs/xwA7/9OAPL/TgDz/04A+f9KAC0ABf8c',
+        'AAr/HAAN/xwAEP94ACP/yAAm/8gAKv/IADL/yAA0/8gAN/9MADn/TAA6/4YAPP9oAD//TABZ/3wAWv/CAFz/fABs/xwAbf94AG//eABy/xwAef94AHz/',
+        'HAB9/3gAif/IAJT/yACV/8gAlv/IAJf/yACY/8gAmv/IAJ//aADE/8gAzf/IANP/aADl/3gA5v94AOf/HADo/xwA6v8cAOv/HADv/3gA8v94APP/eAD2',
+        '/xwAJwAF/04ACf/MAAr/TgAN/04AD/94ABH/eAAS/8wAJP/MADf/TAA5/5AAOv/gADv/wgA8/2AAPf/SAD//kABs/04Acv9OAHz/TgCC/8wAg//MAIT/',
+        'zACF/8wAhv/MAIf/zACI/8wAn/9gAML/zADT/2AA1P/SANb/0gDY/9IA5/9OAOj/TgDp/3gA6v9OAOv/TgDs/3gA9v9OAPn/zAAnAAX/TgAJ/8wACv9O',
+        'AA3/TgAP/3gAEf94ABL/zAAk/8wAN/9MADn/kAA6/+AAO//CADz/YAA9/9IAP/+QAGz/TgBy/04AfP9OAIL/zACD/8wAhP/MAIX/zACG/8wAh//MAIj/',
+        'zACf/2AAwv/MANP/YADU/9IA1v/SANj/0gDn/04A6P9OAOn/eADq/04A6/9OAOz/eAD2/04A+f/MACcABf9OAAn/zAAK/04ADf9OAA//eAAR/3gAEv/M',
+        'ACT/zAA3/0wAOf+QADr/4AA7/8IAPP9gAD3/0gA//5AAbP9OAHL/TgB8/04Agv/MAIP/zACE/8wAhf/MAIb/zACH/8wAiP/MAJ//YADC/8wA0/9gANT/',
+        '0gDW/9IA2P/SAOf/TgDo/04A6f94AOr/TgDr/04A7P94APb/TgD5/8wASwAJ/0oAD/8cABD/TgAR/xwAEv9KACP/0gAk/0oAJv/SACr/0gAy/9IANP/S',
+        'ADkAMAA6ADAAPAAeAD8AMABE/8AARv+kAEf/pABI/6QAUv+kAFT/pABt/04Ab/9OAHn/TgB9/04Agv9KAIP/SgCE/0oAhf9KAIb/SgCH/0oAiP9KAIn/',
+        '0gCU/9IAlf/SAJb/0gCX/9IAmP/SAJr/0gCfAB4Aov/AAKP/wACk/8AApf/AAKb/wACn/8AAqP/AAKn/pACq/6QAq/+kAKz/pACt/6QAsv+kALT/pAC1',
+        '/6QAtv+kALf/pAC4/6QAuv+kAML/SgDD/8AAxP/SAMX/pADH/6QAzf/SAM7/pADTAB4A5f9OAOb/TgDp/xwA7P8cAO//TgDy/04A8/9OAPn/SgA2AAX/',
+        'SgAK/0oADf9KABD/zAAi/8gAI//WACb/1gAq/9YALQAyADL/1gA0/9YAN/98ADj/yAA5/3gAOv+sADz/XAA//3gAWf+uAFz/rgBs/0oAbf/MAG//zABy',
+        '/0oAdP9IAHX/SAB5/8wAe/9IAHz/SgB9/8wAif/WAJT/1gCV/9YAlv/WAJf/1gCY/9YAmv/WAJv/yACc/8gAnf/IAJ7/yACf/1wAxP/WAM3/1gDT/1wA',
+        '5f/MAOb/zADn/0oA6P9KAOr/SgDr/0oA7//MAPL/zADz/8wA9v9KAAEAdgAFAAoACwANAA8AEAARABIAIwAkACYAJwApAC0ALgAvADIAMwA0ADUANwA4',
+        'ADkAOgA7ADwAPQA+AD8ARABFAEgASQBLAE4AUABRAFIAUwBVAFkAWgBbAFwAXgBsAG0AbwBwAHIAdAB1AHkAewB8AH0AggCDAIQAhQCGAIcAiQCSAJQA',
+        'lQCWAJcAmACbAJwAnQCeAJ8AoACiAKMApAClAKYApwCoAKoAqwCsAK0AswC0ALUAtgC3ALgAugDAAMIAwwDEAMcAyQDMAM4A0wDUANYA2ADlAOYA5wDo',
+        'AOkA6gDrAOwA7wDyAPMA9gD5AAEAAAAKADgAggACREZMVAAObGF0bgAeAAQAAAAA//8AAwAAAAIABAAEAAAAAP//AAMAAQADAAUABmNhc2UAJmNhc2UA',
+        'LGxpZ2EAMmxpZ2EAOHN1cHMAPnN1cHMARAAAAAEAAAAAAAEAAAAAAAEAAQAAAAEAAQAAAAEAAgAAAAEAAgADAAgAEAAYAAEAAAABABgABAAAAAEALAAB',
+        'AAAAAQA+AAIAQgALAQkBCgELAQwBDQEOAQ8BEAERARIBEwABAEAAAQAIAAIABgAMAQYAAgBMAQcAAgBPAAIALAADAHsAdAB1AAEACwBDAGoAcQB2ANsA',
+        '3ADeAN8A4ADiAOMAAQABAEkAAgABABQAFgAAAAAAAwQSAZAABQAABXgFFAAAARgFeAUUAAADugB4AfQIAwIPBQICAgQDAgOgAACvUABgSwAAAAAAAAAA',
+        'dHlQTABAAAD7AgZK/noBkAe2AaogAACTAAAAAAP1BZkAAAAgAAIAAAADAAAAAwAAA4YAAQAAAAAAHAADAAEAAAImAAYCCgAAAAABAAABAAAAAAAAAAAA',
+        'AAAAAAAAAAAAAAAAAAAAAAIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAwAEAAUABgAHAAgACQAKAAsADAANAA4ADwAQABEAEgAT',
+        'ABQAFQAWABcAGAAZABoAGwAcAB0AHgAfACAAIQAiACMAJAAlACYAJwAoACkAKgArACwALQAuAC8AMAAxADIAMwA0ADUANgA3ADgAOQA6ADsAPAA9AD4A',
+        'PwBAAEEAQgBDAEQARQBGAEcASABJAEoASwBMAE0ATgBPAFAAUQBSAFMAVABVAFYAVwBYAFkAWgBbAFwAXQBeAF8AYABhAAAAhgCHAIkAiwCTAJgAngCj',
+        'AKIApACmAKUApwCpAKsAqgCsAK0ArwCuALAAsQCzALUAtAC2ALgAtwC8ALsAvQC+AO0AcgBkAGUAaQDvAHgAoQBwAGsA9gB2AGoBAQCIAJoA/gBzAQIB',
+        'AwBnAHcA+AD7APoA5AD/AGwAfAD3AKgAugCBAGMAbgD9ANoBAAD5AG0AfQDwAGIAggCFAJcAzQDOAOUA5gDqAOsA5wDoALkBBADBANMA9AD1APIA8wEG',
+        'AQcA7gB5AOkA7ADxAIQAjACDAI0AigCPAJAAkQCOAJUAlgAAAJQAnACdAJsAyADbAOIAcQDeAN8A4AB6AOMA4QDcAAQBYAAAAFQAQAAFABQAAAANAH4A',
+        '/wEHARkBMQFEAVMBWwFhAX4BkgLHAskC3QPAIBQgGiAeICIgJiAwIDogRCCsISIhJiICIgYiDyISIhoiHiIrIkgiYCJlJcomafsC//8AAAAAAA0AIACg',
+        'AQQBGAExAUEBUgFaAWABeAGSAsYCyQLYA8AgEyAYIBwgICAmIDAgOSBEIKwhIiEmIgIiBiIPIhEiGiIeIisiSCJgImQlyiZp+wH//wAB//X/4//C/77/',
+        'rv+X/4j/e/91/3H/W/9I/hX+FP4G/STg0uDP4M7gzeDK4MHgueCw4Enf1N/R3vbe897r3ure497g3tTeuN6h3p7bOtqcBgUAAQAAAAAAAAAAAAAAAAAA',
+        'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAEAWAAAABUAEAABQAUAAAA',
+        'DQB+AP8BBwEZATEBRAFTAVsBYQF+AZICxwLJAt0DwCAUIBogHiAiICYgMCA6IEQgrCEiISYiAiIGIg8iEiIaIh4iKyJIImAiZSXKJmn7Av//AAAAAAAN',
+        'ACAAoAEEARgBMQFBAVIBWgFgAXgBkgLGAskC2APAIBMgGCAcICAgJiAwIDkgRCCsISIhJiICIgYiDyIRIhoiHiIrIkgiYCJkJcomafsB//8AAf/1/+P/',
+        'wv++/67/l/+I/3v/df9x/1v/SP4V/hT+Bv0k4NLgz+DO4M3gyuDB4LngsOBJ39Tf0d723vPe697q3uPe4N7U3rjeod6e2zranAYFAAEAAAAAAAAAAAAA',
+        'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAEAC0AAAP7BZkA',
+        'JQA1ADkAPQBKQEcAAQIAAUIAAwIBAgMBaAABBAIBBGYAAAACAwACWwAEAAUIBAVbAAkJBlEABgYMQwAICAdRAAcHDQdEPTwRERIoJCMqHCQKGCsTPgMz',
+        'Mh4CFRQOBA8BIycmPgQ1NCYjIg4CIyInEzQ2MzIeAhUUDgIjIiYBIREhNyERIfoZOURPLj9nSSkeLTYwIwQRegwEGi03MCBJOSk4KBwLGQxjPjAWKB0R',
+        'ER0oFjA+/qEDzvwyMgNj/J0EdRYmHREjQFs4N1A7KyYlF2l1IjMrKC46KDM8EhYSFvz7L0ARHikXFygeET8EpPpnNgUsAAAAAgDa//EB0wWZAA0AIQAm',
+        'QCMAAAABUQQBAQEMQwACAgNTAAMDFQNEAAAeHBQSAA0ADRYFECsBERQOAgcjLgM1EQM0PgIzMh4CFRQOAiMiLgIBrgMGCQZ5BgkGAysTIS4aGi4iExMi',
+        'LhoaLiETBZn9xC1WV1s0NFtXVi0CPPrVGi4iFBQiLhobLSITEyItAAAAAgCYA5kCgAWZAAoAFQAsQCkUDAkBBAABAUICAQAAAVEFAwQDAQEMAEQLCwAA',
+        'CxULFREPAAoACiQGECsBEQcOASMiJi8BESERBw4BIyImLwERATMQAxwfGh0GEAHoEAMcHxodBhAFmf7emyAjIyCbASL+3psgIyMgmwEiAAIANgAABFEF',
+        'mQA+AEIASEBFDgwCBBANAwMBAAQBWQkBBwcMQw8LAgUFBlEKCAIGBg9DAgEAAA0ARAAAQkFAPwA+AD44NjUzMC8qKBEjIxEWISMWIREYKwEDIyImNTQ2',
+        'NxMjAw4BKwETIyImNTQ2PwEzEyM3PgE7ARM+ATsBAzMTMzIWFRQHAzMHDgErAQMzMhYVFAYPASUzEyMDFlRRFyABAUf3RwgtHU9VkhcaAQEIzEHoDQUk',
+        'J55IBiseUFT3VE8ZIQFJ1A0FJSaKQbMYGgEBCf2c90H3Aaf+WSIbBAcFAVr+nSUfAacXHAUMBjkBRkodHAFmHiL+WgGmHhgIBf6dSx0b/roXHQULBjmD',
+        'AUYAAwBq/xIEJAZnADgAQwBOAH5AHxgBAQJKKCAdBAMBST4pDQQAAz8MAwMEADQAAgUEBUJLsAlQWEAkAAMBAAEDAGgAAAQBAARmAAICBFMABAQVQwAF',
+        'BQFTAAEBFAVEG0AkAAMBAAEDAGgAAAQBAARmAAICBFMABAQYQwAFBQFTAAEBFAVEWbcjHiYjHiYGFSsFLgEnNz4BMzIeAhcTLgM1ND4CPwE+ATsBBx4B',
+        'FwcGIyIuAicDHgMVFA4CDwEOASsBATQuAicDPgMBFB4CFxMOAwHyecdINQcaDhMwRmFEJUaHa0E5baBoCgIaFkIOaZg8KxQaDik6TDEhSIxwRTxzp2sM',
+        'AhsVQgGYJUBWMSJBZUUj/dUiPFAvHkFfPR4MC2FLUgsOJjEuCAITFTVVgWFJi2xFBJATHsYNUjpCHhkhIQf+HBY0UntcWp54SwawEx0ChTJINCYQ/g4G',
+        'LUZdAtAwRzYoEAHDBig8SwAAAAUASP/vBdsFpwATACcAMQBFAFkApUuwHFBYQCcAAwAABwMAWwAHAAgJBwhbAAICAVMEAQEBFEMACQkFUwYBBQUNBUQb',
+        'S7AiUFhAKwADAAAHAwBbAAcACAkHCFsAAgIBUwQBAQEUQwAFBQ1DAAkJBlMABgYVBkQbQC8AAwAABwMAWwAHAAgJBwhbAAQEDEMAAgIBUwABARRDAAUF',
+        'DUMACQkGUwAGBhUGRFlZQA1WVCgoJSMmKCgoJAoYKwEUDgIjIi4CNTQ+AjMyHgIHNC4CIyIOAhUUHgIzMj4CAT4BOwEBDgErAQEUDgIjIi4CNTQ+AjMy',
+        'HgIHNC4CIyIOAhUUHgIzMj4CAsM0V3Q/RHNWMDBWc0RDdVUxixwxQSUlQTAbGzBBJSVBMRwCgA0dGID76QocE4QFNTRXcz9Ec1YwMFZzREN0VjCKHDFB',
+        'JSVBMBsbMEElJUExHAQ/VIVbMDBbhVRWhlwwMFyGVkJcOxoaO1xCQVs5GRk5WwF3ERP6hA0QAVJUhFswMFuEVFaHXDAwXIdWQl06Gho6XUJBWjkZGTla',
+        'AAAAAAIAUv/wBXgFqQA/AEsAiEASBQEBAjgBAwFJSCslGwUGAwNCS7AeUFhAKgABAgMCAQNoAAICAFMHAQAAFEMAAwMEUwUBBAQNQwAGBgRTBQEEBA0E',
+        'RBtAKAABAgMCAQNoAAICAFMHAQAAFEMAAwMEUwAEBA1DAAYGBVMABQUVBURZQBQBAEZELy0oJiIgEQ8JBwA/AT8IDysBMh4CFwcGIyImJy4DIyIOAhUU',
+        'HgIXAT4BNz4BOwEOAQcBIyImLwEOASMiLgI1ND4CNy4BNTQ+AgEUHgIzMjY3AQ4BApRPgl83BG8FBA0XBQcfMUUuMlA5HxEiNiYBnCYtCAIUEm4CRkIB',
+        'LKwdJBaQXvWTUJp5Si9TckQ9OjVkj/7MME5kNHCyRP5ZamsFqTNUbzwWAQ4SGjguHiA5TS0jQEFFJv5dQ5NKExZz3mH+0A4WkVtqNmeUXUZ9alQeTZJO',
+        'SYBfN/vjQWNEI1JEAas5nwAAAAABAJgDmQEzBZkACgAfQBwJAQIAAQFCAAAAAVECAQEBDABEAAAACgAKJAMQKwERBw4BIyImLwERATMQAxwfGh0GEAWZ',
+        '/t6bICMjIJsBIgAAAAEAhv7bAgEGDwAcAAazFAoBKCsBFBIXHgEVFAYPAS4DNTQ+AjcXHgEVFAcGAgEhbmgGBA4LT0tpQR4eQWlLTwsOCmltAnXW/m23',
+        'CxAIDhIHMHPi5Od6eejj4nQxBxIODxO2/mwAAAAAAQBK/tsBxQYPABwABrMTCQEoKwE0AicmNTQ2PwEeAxUUDgIHJy4BNTQ2NzYSASptaQoOC09LaUEe',
+        'HkFpS08LDgQGaG4CddYBlLYTDw4SBzF04uPoeXrn5OJzMAcSDggQC7cBkwAAAAABAGADXwK8BeIAMABKQBMtKSgkIB8bExAPCwgHBA4BAAFCS7AZUFhA',
+        'DAIBAQEAUQAAAA4BRBtAEQAAAQEATQAAAAFRAgEBAAFFWUAKAAAAMAAwGBcDDysBNTQ2NwYPASc3NjcuAS8BNxcWFy4BPQEzFRQHPgE/ARcHDgEHHgEf',
+        'AQcnLgEnFh0BAWIFBxQhrCysJCUUIxKtLK0jFgkHWA4LGxGsLKwRIRISIRGtLK0SHAsQA1/FEyIQGRRjS2QVAwILDGVLZBQgEiUUxsUpHw8WC2NLZAsM',
+        'AgILC2VLZAsWECEnxgABAGQArgQiBI4ACwAsQCkGAQUAAgVNBAEAAwEBAgABWQYBBQUCUQACBQJFAAAACwALEREREREHFCsBESEVIREjESE1IRECiwGX',
+        '/mmS/msBlQSO/lWH/lIBrocBqwAAAAABAF7+8QFQAOwAHgAXQBQPAQE/AAAAAVMAAQENAUQbGSQCECs3ND4CMzIeAhUUDgIHJyY1NDc+AzcjIi4CXhEf',
+        'LBoeLx8QGjBHLR4NDgofIBsGDRoqHxF7FykfEhYnMx4tYV9aJh0MEA0OCyUwOiESIS0AAAEAZAIMAlICowADABdAFAAAAQEATQAAAAFRAAEAAUUREAIR',
+        'KxMhFSFkAe7+EgKjlwAAAAABAFj/8QFRAOwAEwASQA8AAAABUwABARUBRCgkAhErNzQ+AjMyHgIVFA4CIyIuAlgTIS4aGi4iExMiLhoaLiETbhouIhQU',
+        'Ii4aGy0iExMiLQAAAAAB//T/pgL2BcEACQASQA8AAAEAawABAQ4BRCMiAhErFw4BKwEBPgE7AaEONx1LAlkNMCFLFSMiBdkgIgACADz/8QRMBakAEwAn',
+        'AB5AGwACAgFTAAEBFEMAAwMAUwAAABUARCgoKCQEEysBFAIOASMiLgECNTQSPgEzMh4BEgc0LgIjIg4CFRQeAjMyPgIETFGMv21uvYxQUIy9bm2/jFG5',
+        'N116QkJ6XDc3XHpCQnpdNwLMvP7ttFhYtAETvLwBFLVYWLX+7Lyk34g7O4jfpKTeiDs7iN4AAAABAMoAAAQfBZwAEgAqQCcMBAIBAgFCAAECAAIBAGgA',
+        'AgIMQwMBAAAEUgAEBA0ERBERFCYQBRQrJSERNDcFDgEjIiYvAQEzESEVIQEfATQD/wAKFAkPGAY4AaqRARr9AIgD0Swt2wgHDQlNAXH67IgAAQBoAAAE',
+        'JAWpADMAO0A4LwEEAwsBAgECQgAEAwEDBAFoAAMDAFMFAQAAFEMAAQECUQACAg0CRAEALCokIhQTEA0AMwEzBg8rATIeAhUUDgIHAT4BMyEyFh0BITU0',
+        'NjcBPgM1NC4CIyIOAgcOASMiJi8BPgMCWVuec0IwUms8/ocoUiYB4B0i/EQPEQHLOV5DJChGXjY2XEcxCgggGgULB10OUHufBak2Z5ReUIh9dT3+fgsN',
+        'IhtsPRMoEQHNOmtsbz8/Xz4fIDlOLx0aAQEQYpdmNQABAGz/8AQuBakASgBVQFJGAQcGCgEEBRcBAwIDQgAHBgUGBwVoAAIEAwQCA2gABQAEAgUEWwAG',
+        'BgBTCAEAABRDAAMDAVMAAQEVAUQBAENBOzkxMC8uJiQbGRMRAEoBSgkPKwEyHgIVFA4CBx4BFRQOAiMiLgInNzYzMhYXHgEXHgMzMj4CNTQuAiM1PgM1',
+        'NC4CIyIOAgcOASMiJi8BPgMCbFuabz4jQVw5jI1Lgq1jcqJwSBlMFRUUHwgCBAIOKERlS0txSyYfUY9wW4FSJSdEXTY2XEcwDAggGQULB10OUHufBak0',
+        'YIhTRGtROBElroNjnm87OWSJUCAJERIECQUdSUAsMU5gLzpgRiiBASZCXDg+XDweIDlPLh0aAQEQYpdmNQAAAgAoAAAEYAWZABAAFgAmQCMUAQAEAUIF',
+        'AQADAQECAAFbAAQEDEMAAgINAkQVFCERIxAGFSsBMxUUBisBESMRISImLwEBMwM0NjcBIQOH2RMUsp39hRQdBBICuaadAwX99wIBAgVmEBb+hwF5FxFb',
+        'A53+uxo8IP07AAAAAAEAbP/wA/4FmQAuAEBAPQUBBQEsKwIDBRYBAgQDQgADBQQFAwRoAAEABQMBBVsAAAAGUQAGBgxDAAQEAlMAAgIVAkQUKCMmKCIi',
+        'BxYrARQGIyEDNjMyHgIVFA4CIyIuAic3NjMyHgIzMj4CNTQuAiMiBgcnEyED0jA5/j5CcF9wq3Q7UIu8bT90ZFYhNhIeEzNIYUNLeFUuJ092TzZ0PnB0',
+        'AqcFSyYx/ogYQnSeXXK4g0YZKjYeTBofJh8wWXxNQ2xMKhIUIQKeAAAAAAIAbP/wBDIFmQAaAC4AMkAvGAEEAAFCBQEAAAQDAARbAAICDEMAAwMBUwAB',
+        'ARUBRAEAKykhHxcVCwkAGgEaBg8rATIeAhUUDgIjIi4CNTQ2NwE+ATsBAT4BARQeAjMyPgI1NC4CIyIOAgKKVpp0REiBtm1sr3xDVFsBaw4yIJ7+DzN8',
+        '/tYoTW9HSHRTLSxQcENIdFErA245bZ9mY6p+SEV/tXBe1HoB6RIZ/YsjJ/5MRXJSLS5ScEJGcU8qMVNtAAEAbgAABDwFmQASAB5AGwABAQJRAwECAgxD',
+        'AAAADQBEAAAAEgASJCcEESsBFRQGBwEOASsBAT4BNyEiJj0BBDwPCP2vDS4nfwJaDRsR/RQRGwWZUCIsD/tTGiUEnhkqExsReQADAGD/8AQmBakAHwAz',
+        'AEcAREBBGAgCAwQBQggBBAADAgQDWwAFBQFTAAEBFEMHAQICAFMGAQAAFQBENTQhIAEAPz00RzVHKykgMyEzEQ8AHwEfCQ8rBSIuAjU0NjcuATU0PgIz',
+        'Mh4CFRQGBx4BFRQOAicyPgI1NC4CIyIOAhUUHgITMj4CNTQuAiMiDgIVFB4CAkNrsoBGkIZxcz5yn2JhoHI+dHCGkEd/smtGb00pMVNsOztsUzEpTW9G',
+        'RmM+HCFBYUBAYUEhHD5jEDlql16KsyYqp3RPimY6OmaKT3SnKiazil6XajmOJ0djPEppQh8fQmlKPGNHJwKwK0dcMTJYQiYmQlgyMVxHKwAAAgCUAAAE',
+        'NgWpAB8AMwAyQC8dAQAEAUIABAUBAAIEAFsAAwMBUwABARRDAAICDQJEAQAwLiYkGRcLCQAfAR8GDysBIi4CNTQ+AjMyHgIVFA4CBwEOASsBAT4BNw4B',
+        'ATQuAiMiDgIVFB4CMzI+AgIlUZFuQUZ+rmhnqHhBFyw9J/6jDTAfpAG0FiYRN4oBGStMaT9CbU0qJ0lpQUhvTCgCTDZpmWNepHpGRHqqZz5vamk4/ggT',
+        'FwI7HTQaLC4Bo0NtTCkrTGo/RGtKJi9OZgAAAAIAgP/xAXkD2gATACcAO0uwJFBYQBUAAwMCUwACAg9DAAAAAVMAAQEVAUQbQBMAAgADAAIDWwAAAAFT',
+        'AAEBFQFEWbUoKCgkBBMrNzQ+AjMyHgIVFA4CIyIuAhE0PgIzMh4CFRQOAiMiLgKAEyEuGhouIhMTIi4aGi4hExMhLhoaLiITEyIuGhouIRNuGi4iFBQi',
+        'LhobLSITEyItAwkaLiIUFCIuGhstIhMTIi0AAAAAAgCA/vEBeQPaAB4AMgBEsw8BAT9LsCRQWEAVAAMDAlMAAgIPQwAAAAFTAAEBDQFEG0ATAAIAAwAC',
+        'A1sAAAABUwABAQ0BRFlACS8tJSMbGSQEECs3ND4CMzIeAhUUDgIHJyY1NDc+AzcjIi4CAzQ+AjMyHgIVFA4CIyIuAoYRHywaHi8fEBowRy0eDQ4KHyAb',
+        'Bg0aKh8RBhMhLhoaLiITEyIuGhouIRN7FykfEhYnMx4tYV9aJh0MEA0OCyUwOiESIS0C/BouIhQUIi4aGy0iExMiLQABAJQA6gOaBFcAEgAGsxEBASgr',
+        'EwEVFAYHBQ4BBx4BFwUeAR0BAZQDBhAU/j8ULRkZLRQBwRQQ/PoCxgGRfxEZCuQLDwYFEArjChoQgAGSAAIAlgG3A/EDjQADAAcAIUAeAAIAAwACA1kA',
+        'AAEBAE0AAAABUQABAAFFEREREAQTKxMhFSERIRUhlgNb/KUDW/ylAj6HAdaHAAEA7gDqA/MEVwASAAazEAABKCs3NTQ2NyU+ATcuASclLgE9AQEV7hAU',
+        'AcEUKxkZKxT+PxQQAwXqgBAaCuMKEAUGDwvkChkRf/5vSgACACL/8QL4BakAKAA8ADlANgABAgAUAQEDAkIAAwIBAgMBaAABBAIBBGYAAgIAUwAAABRD',
+        'AAQEBVMABQUVBUQoJiMtHCQGFSsTPgMzMh4CFRQOBA8BIyc1ND4ENTQuAiMiDgIjIicTND4CMzIeAhUUDgIjIi4CIh9LWWc8T4diOC1FUkczBBJ6DC1F',
+        'T0UtIjpPLT1XPCUMGQ6VEyEuGhouIhMTIi4aGi4hEwUZHTQoFy5UeEtMblM9NjYhmaYLKkE5OUVYPCtGMRoeJB4X+6AaLiIUFCIuGhstIhMTIi0AAAIA',
+        'Vv8RBhwFTwBRAGEAZkBjEwEKAlgDAgMKNwEFBgNCAAYABQAGBWgACAAEAggEWwACAAoDAgpbDAkCAwELAgAGAwBbAAUHBwVPAAUFB1MABwUHR1NSAQBb',
+        'WVJhU2FHRTs5NTMwLiYkHBoRDwcFAFEBUQ0PKyUiJicOASMiLgI1ND4CMzIWFwMGFRQeAjMyPgI1NC4CIyIOAhUUEh4BMzI2NzYzMh8BBgQjIiQmAjU0',
+        'PgQzMh4EFRQOAiUyPgI3EyYjIg4CFRQWBI9OYg06iE48WDsdQYC/fUNlLV0TEh8pFzFYQydZm9N6huquZGu5+Y+Y6VUPDBUKGWv+762t/tbbfTdkjKzG',
+        'bFywnYRfNT1rkf4CHz87MRFMJy5LfVozQrpLTlFGKUlkOlWti1gVFP6XSzEkLxsKOGaPV4rQi0VmtPaRqv7/rlhCMwkYQkhSbs8BLL5tyq+RZzkoTnOV',
+        't2tst4ZMeBQyVkEBJwk/ZoRFSFcAAAIACgAABUkFmQANABUAJEAhEgEEAwFCAAQAAQAEAVoAAwMMQwIBAAANAEQRESMTIAUUKyEjIiYnAyEDDgErAQEz',
+        'ASEDJicOAQcFSZYaIAiG/X2GByIZlgI9xf6SAhfhFhULFQoaFAFa/qYSHAWZ/HsCRzZRKUUaAAMArgAABKAFmQAUAB8AKgA9QDoMAQMEAUIABAcBAwIE',
+        'A1sABQUAUwAAAAxDAAICAVMGAQEBDQFEFRUAACooIiAVHxUeGBYAFAATIQgQKzMRITIeAhUUDgIHHgEVFA4CIwERITI+AjU0JiMlITI+AjU0JiMhrgHJ',
+        'hL97OyFDZUSdoEOBu3j+xwE2U3dNJJ2f/ssBAFJ4TyaYoP75BZk0YItXNWJUQhUfpIZblmw7Ao3+DSZFXzlvgYokQFs2fnYAAAEAWv/wBQkFqQAuAERA',
+        'QRMBAwQDAQUAAkIAAwQABAMAaAYBAAUEAAVmAAQEAlMAAgIUQwAFBQFTAAEBFQFEAQApJx8dGBYRDwcFAC4BLgcPKwEyHwEOASMiLgECNTQSNiQzMhYX',
+        'Bw4BIyIuBCMiDgIVFB4CMzI+Ajc2BKAQDUxY+7Gb/LJiab4BCaCe5Vk/BxIRDR0oNkpiQHO/ik1NhbZpQGZXSyYRASgNU2Zya8EBDqKiAQ7Ca2JUWQoN',
+        'ExwgHBNPktKChtKRTA8gMSIPAAACAK4AAAWIBZkADAAZAB5AGwACAgFTAAEBDEMAAwMAUwAAAA0ARCEoISQEEysBFAIGBCMhESEyBBYSBzQuAiMhESEy',
+        'PgIFiGa6/vye/egCGJ4BBLpmx0iEvHP+qwFVc7yESALMof74vGcFmWe9/vihhNCQTPuhTI/QAAAAAQCuAAAEIQWZAAsALkArAAEAAgMBAlkAAAAFUQYB',
+        'BQUMQwADAwRRAAQEDQREAAAACwALEREREREHFCsBFSERIRUhESEVIREEIf1QAi390wKw/I0FmZ7+JJj+F54FmQAAAQCuAAAEIQWZAAkAKEAlAAEAAgMB',
+        'AlkAAAAEUQUBBAQMQwADAw0DRAAAAAkACREREREGEysBFSERIRUhESMRBCH9UAJM/bTDBZme/gue/ZgFmQAAAQBa//AFQAWpADQAS0BIIQEFBgUBAAEN',
+        'AQMAA0IABQYCBgUCaAACAAEAAgFbAAYGBFMABAQUQwcBAAADUwADAxUDRAEALColIx0bExEMCwgGADQBNAgPKyUyPgI3ESMiJj0BIREOAyMiJCYCNTQS',
+        'NiQzMh4CFwcGIyInLgMjIg4CFRQeAgMtOmFWTCbeExcBuDZ1hZhZnP78vGlnvwEPqFWSfWouNxEbEBMZPll5U3nEikpNjMCNCxYfFAE8FhBu/donOicT',
+        'a8EBDqKkAQ7BahkvQypYGwsOKCUaT5PRgojVlE4AAQCuAAAFOAWZAAsAIEAdAAQAAQAEAVkFAQMDDEMCAQAADQBEEREREREQBhUrISMRIREjETMRIREz',
+        'BTjD/PzDwwMEwwKM/XQFmf2BAn8AAAABANIAAAGUBZkAAwASQA8AAQEMQwAAAA0ARBEQAhErISMRMwGUwsIFmQAAAAEAPP/wAskFmQAXAFFLsBpQWLUH',
+        'AQABAUIbtQcBAAIBQllLsBpQWEARAAMDDEMCAQEBAFMAAAAVAEQbQBgAAQMCAwECaAADAwxDAAICAFMAAAAVAERZtRUhJiQEEysBFA4CIyInPgE3PgEz',
+        'MhYzMj4CNREzAsk7c6htYWkCBgMCFRUSPDJCZ0clwQHveL6DRhwdORwRFRIoVINaA64AAAABAMIAAAU6BZkAIgAmQCMNAQMAAUIAAAADAgADWwUBAQEM',
+        'QwQBAgINAkQRESkoJSAGFSsBMzI2NwE+ATsBAQ4BBx4BFwEjIi4CJwEuAysBESMRMwGDSSYtFAHdFikgpf3eFSUVHCoXAjqoExoTEAj+EQsTGSEYWMHB',
+        'AyUTFwIcGRX9lxcgCgkkG/1ZBgoQCQI5DBEMBf1wBZkAAAABAK4AAAPcBZkABQAYQBUAAgIMQwAAAAFSAAEBDQFEEREQAxIrJSEVIREzAXACbPzSwqOj',
+        'BZkAAAEArgAABoEFmQAjACVAIgMBAgABQgACAAEAAgFoBAEAAAxDAwEBAQ0BRCEWNhEpBRQrAR4BFz4BNwE+ATsBESMRNDY3AQYrASInAR4BFREjETMy',
+        'FhcBA28OFQoKFg4B5Q0cGo+qAgL+FRktHC0Z/goDA6qPGhwNAe8CBhg1GxwzGgNxFwr6ZwQdFTAZ/IAtLQODGjIV++MFmQoX/I4AAAABAK4AAAU4BZkA',
+        'FgAYQBUEAQIAAAxDAwECAg0CRBEXIRcQBRQrATIWFwEuATURMxEjIiYnAR4BFREjETMBEhoZEAM+AwKqYhcfD/zDAgKqZAWZDRT7yBoxFwP3+mcQEwQ3',
+        'GTAU/AMFmQAAAAACAFz/8QXhBakAEwAnAB5AGwACAgFTAAEBFEMAAwMAUwAAABUARCgoKCQEEysBFAIGBCMiJCYCNTQSNiQzMgQWEgc0LgIjIg4CFRQe',
+        'AjMyPgIF4Wa6/vuenv78umZmugEEnp4BBbpmx0iEvHRzvIVISIW8c3S8hEgCzKH+88Jra8IBDaGhAQ3DbGzD/vOhhNKRTk6R0oSE0ZFNTZHRAAAAAgDC',
+        'AAAEfwWZAA4AGQAqQCcAAwUBAgADAlsABAQBUwABAQxDAAAADQBEAAAZFxEPAA4ADSERBhErAREjESEyHgIVFA4CIyczMj4CNTQmKwEBg8EBp4jJhEFG',
+        'h8iB5uZTf1YsqavmAhj96AWZP3SkZWSmeEOaLE9uQomaAAIAXP7YBiQFqQAcADAAc7YLBQIBBAFCS7AJUFhAGgAAAQBrAAMDAlMAAgIUQwAEBAFTAAEB',
+        'FQFEG0uwFVBYQBoAAwMCUwACAhRDAAQEAVMAAQEVQwAAABEARBtAGgAAAQBrAAMDAlMAAgIUQwAEBAFTAAEBFQFEWVm2KCgoJSYFFCsBFA4CBwEjIiYn',
+        'Aw4BIyIkJgI1NBI2JDMyBBYSBzQuAiMiDgIVFB4CMzI+AgXhKU5wRgFwoCQ4F/w5e0Oe/vy6Zma6AQSengEFumbHSIS8dHO8hUhIhbxzdLyESALMZbad',
+        'gC/+cxQZARISFGvCAQ2hoQENw2xsw/7zoYTSkU5OkdKEhNGRTU2R0QACAMIAAATlBZkAGAAjADJALw4BAwQBQgAEBgEDAAQDWwAFBQFTAAEBDEMCAQAA',
+        'DQBEAAAjIRsZABgAFywhEQcSKwERIxEhMh4CFRQOAgcWFwEjIicBLgEjJzMyPgI1NCYrAQGDwQGViMaBPjBbg1MkHAGirDUZ/owRKCiTy1WBVyypp9QC',
+        'Vv2qBZk3aJNbTIRpShMVKP3HKQIAGBWNKUtoP4CCAAEAOv/wA9sFqQA9AD1AOj0BAQUeAQQDAkIAAAEDAQADaAADBAEDBGYAAQEFUwAFBRRDAAQEAlMA',
+        'AgIVAkQ7OSgmIyEcGiMiBhErAQ4BIyIuAiMiDgIVFB4GFRQOAiMiJic3PgEzMh4CMzI+AjU0LgY1ND4CMzIWFwOMCRQQES1FYUVBZEMiO2F7gXthO0B7',
+        's3KL5VE4CBcOFTZRc1NFbEsoO2B7gXtgOztwpWt4xkoEuQ8PIikiIzxRLzxPOCksN1R6WV6lekZlVlwLDy02LSZFYDtBUzgnKTZWgV9Mjm5CTEgAAAEA',
+        'HAAABH4FmQAHACBAHQIBAAADUQQBAwMMQwABAQ0BRAAAAAcABxEREQUSKwEVIREjESE1BH7+McL+LwWZo/sKBPajAAAAAAEAoP/vBRUFmQAZACNAIAMB',
+        'AQEMQwQBAAACUwACAhUCRAEAFBMODAcGABkBGQUPKyUyPgI1ETMRFA4CIyIuAjURMxEUHgIC21mMYTPBT5PUhITUlE/BM2GNmjxslloDZ/yZfNSbWFib',
+        '1HwDZ/yaWpZsPQAAAQAIAAAFRwWZABIAGkAXCAECAAFCAQEAAAxDAAICDQJEESwgAxIrEzMyFhcBHgEXPgE3AT4BOwEBIwibGiAIAZUOFwsJFQ4Bkwci',
+        'GZz9uK8FmRoU/A0iUCsrUCID8xEd+mcAAAEADgAAB+cFmQAoACBAHSMWCAMDAAFCAgECAAAMQwQBAwMNA0QXESs8IAUUKxMzMhYXAR4BFz4BNwE+ATsB',
+        'MhYXARYXPgE3AT4BOwEBIwEmJw4BBwEjDqEaIgYBKAgNBgcOCQFRBiMZOBohBwFPEg4GCggBKQUjGZf+Qa7+lQsJBQkF/pOuBZkaFPwcGz4iIj8aA+QR',
+        'HRoU/Bw0QyE8GgPkEhz6ZwRFHykUJQ/7uwAAAQAOAAAE9gWZABsAHUAaDgACAgABQgEBAAAMQwMBAgINAkQoIighBBMrCQEzMhYXATY3AT4BOwEJASMi',
+        'JicBBgcBDgErAQH7/ifBFRQIAXYHDgFhCRUPuf4lAevAFhkI/oAHC/6KCRcVtALgArkODf3CFRkCDA4R/VD9FxcOAlkVE/3PDhcAAAEACAAABOQFmQAU',
+        'ABxAGQwDAAMAAQFCAgEBAQxDAAAADQBELCIRAxIrAREjEQEzMhYXAR4BFz4BNwE+ATsBAtbB/fOqGh4LAUgUGwsLGhQBRwkfGawCOv3GAjoDXxoT/dMj',
+        'Ph4fPiICLRAdAAEAVgAABJQFmQANACRAIQACAgNRBAEDAwxDAAAAAVEAAQENAUQAAAANAA0UERQFEisBFRQHASEVITU0NwEhNQSUFfzVAzL70BMDLPzn',
+        'BZlIIh77jZ5MHhsEdp4AAQCO/t8B/gX9AA0AJ0AkAAAAAQIAAVsAAgMDAk8AAgIDUQQBAwIDRQAAAA0ADSEjEQUSKxMRIRUUBisBETMyFh0BjgFwGxap',
+        'qRYb/t8HHkYWGfnNGRdGAAH/7P+mAu8FwQAJABJADwABAAFrAAAADgBEIyACESsDMzIWFwEjIiYnFEwhMA0CWUsdOA0FwSIg+iciIwAAAAABAFr+3wHK',
+        'Bf0ADQAhQB4AAgABAAIBWwAAAwMATwAAAANRAAMAA0UREyEiBBMrFzQ2OwERIyImPQEhESFaGxapqRYbAXD+kNsUHAYzGxRG+OIAAAABAJ4DEwPdBZkA',
+        'EQAaQBcKAQEAAUICAQEAAWsAAAAMAEQrIRADEisBMwEjIiYnAy4BJwYHAw4BKwECBHMBZoERGAjEDRMHDhfCCBcUiAWZ/XoUDgFgFysVLCv+oA4UAAAB',
+        'AAD+4wMU/1sAAwAeQBsCAQEAAAFNAgEBAQBRAAABAEUAAAADAAMRAxArBRUhNQMU/OyleHgAAAEAJgSLAbMFqQAJABlAFgABAAFrAgEAABQARAEABgQA',
+        'CQEJAw8rEzIWHwEjIiYnA88hIA6VZhUaDuoFqRUX8g0PAQIAAgBc//ADegQHACkAOQB9QAshAQQDLwUCBgcCQkuwHlBYQCcABAMCAwQCaAACAAcGAgdb',
+        'AAMDBVMABQUXQwgBBgYAUwEBAAANAEQbQCsABAMCAwQCaAACAAcGAgdbAAMDBVMABQUXQwAAAA1DCAEGBgFTAAEBFQFEWUAQKyoxMCo5KzklIyMYJyAJ',
+        'FSshIyImLwEOAyMiLgI1ND4CNzU0JiMiDgIjIiYvAT4BMzIeAhUBMj4CNzUOAxUUHgIDek8aIAUUKExUXzo7Z0wtQpPurGVjQVlBLxcSGwggVMJ2VYRa',
+        'Lv4yL05FPx57rGwxGiw8EBpeJDknFCFCZUU8b1Y3BE92eSEpIRMOOVFQOGSOVf3lEyMyINMEHzJEKig6JREAAgCY//IEFgXBABYAJQCQQAkbGhMDBAUE',
+        'AUJLsAlQWEAdAAAADkMHAQQEAVMAAQEXQwAFBQJTBgMCAgIVAkQbS7AiUFhAHQAAAA5DBwEEBAFTAAEBF0MABQUCUwYDAgICGAJEG0AhAAAADkMHAQQE',
+        'AVMAAQEXQwYBAwMNQwAFBQJTAAICGAJEWVlAExgXAAAfHRclGCUAFgAVKCMRCBIrMxEzET4BMzIeAhUUDgIjIiYnBwYjASIGBxEeATMyNjU0LgKYsz+j',
+        'aViOZDY8caNmYokzCQgmAVFXgzcwdUiOmCNCYAXB/aJJWUKDwX5wwY1RTERcJgN3UEn+FkI2yrtjjlsqAAABAEr/8gN/BAUAKgBpQAoqAQEFGgECAwJC',
+        'S7AJUFhAJAAAAQMBAANoAAMCAQMCZgABAQVTAAUFF0MAAgIEUwAEBBUERBtAJAAAAQMBAANoAAMCAQMCZgABAQVTAAUFF0MAAgIEUwAEBBgERFm3KCQj',
+        'KCMiBhUrAQ4BIyIuAiMiDgIVFB4CMzI+AjMyHwEOASMiLgI1ND4CMzIWFwNFCBAPDyM2TThKck0nKkxtREFUOCQSFwsyQsZuX6N4RT95snNqpD8DQQsM',
+        'GR4ZNWSOWFyPYTMfJh8RQVFLRoXCfHHAi05FPwACAEj/8gPFBcEAFgAlAHBADBMBBQIbGgMDBAUCQkuwIlBYQB0AAwMOQwAFBQJTAAICF0MHAQQEAFMB',
+        'BgIAAA0ARBtAIQADAw5DAAUFAlMAAgIXQwYBAAANQwcBBAQBUwABARgBRFlAFhgXAQAfHRclGCUVFBEPBwUAFgEWCA8rISIvAQ4BIyIuAjU0PgIzMhYX',
+        'ETMRJTI2NxEuASMiBhUUHgIDWyYKEEGnbFeOZDY8caJnXYQ0sv49V4M3MXVHjpgiQmAle09fQ4LCfnDBjlE/OQIy+j+CUEkB6kI1yrtjjVsqAAACAEr/',
+        '8gPHBAUAJAAtAHu1FgECAwFCS7AJUFhAJwADAQIBAwJoAAYAAQMGAVsIAQUFAFMHAQAAF0MAAgIEUwAEBBUERBtAJwADAQIBAwJoAAYAAQMGAVsIAQUF',
+        'AFMHAQAAF0MAAgIEUwAEBBgERFlAGCYlAQApKCUtJi0cGhQSDw0JBwAkASQJDysBMh4CFRQGIyEeAzMyPgIzMh8BDgMjIi4CNTQ+AhciBgchNC4CAiNb',
+        'mnA/Ehn9XgIwVHRIQ2FGLxEWDDIhXGlwN2mxgUhBerBygZQSAiciQl8EBT1zqWwqHGCOXy8fJB8RQSg7JhNHicqDariHTYOVhD5nSykAAQAaAAAClAWu',
+        'AB4AXUAKDwECAQEBBQQCQkuwMlBYQBwAAgIBUwABARRDAAQEAFEDAQAAD0MGAQUFDQVEG0AaAwEAAAQFAARZAAICAVMAAQEUQwYBBQUNBURZQA0AAAAe',
+        'AB4RFTQlFgcUKzMRJy4BPQEzNTQ+AjMyFwcOASsBIg4CHQEhFSERunAVG6AxW4BQRDoEASAdHy5LNh0BJf7hA10NBRUUSWJXh10wFFkUCBg2WEFdgfyg',
+        'AAMAMv6TA94EBgA5AE0AXQCXQBAIAQcIMhECAgdBKgIFAwNCS7AZUFhALAoBBwACAwcCWwADAAUGAwVbAAEBD0MACAgAUwkBAAAXQwAGBgRTAAQEGQRE',
+        'G0AvAAEACAABCGgKAQcAAgMHAlsAAwAFBgMFWwAICABTCQEAABdDAAYGBFMABAQZBERZQBxPTgEAV1VOXU9dSkhAPiMhGRcQDgQDADkBOQsPKwEyFhch',
+        'FRQPARYVFA4CIyInDgEVFB4GFRQOAiMiLgI1NDY3LgE1ND4CNy4BNTQ+AgE0LgQnDgEVFB4CMzI+AgEyPgI1NCYjIgYVFB4CAedCcy8BEypzIjlli1NH',
+        'PyAhOmB6f3pgOkF6sG9vp243X1MrMxAhMCBLVTlmjQGQKkheaGwxOUcjSG1KSHJPKv7ENlM4HHFsa3EdOFIEBh0cQiEJEEFQSnlWLhEULhYkJRAECRYy',
+        'WEZBel85LEphNUtpHxRDOBYvLioQKotdSnlVLvvDJi4ZDAUGCBtONiI7KxkaMEICTh42Sy1dbm5dLUs2HgAAAAABAJIAAAPdBcEAFQAtQCoUAwICAwFC',
+        'AAAADkMAAwMBUwABARdDBQQCAgINAkQAAAAVABUjFSMRBhMrMxEzET4BMzIeAhURIxE0JiMiBgcRkrJBnmdTf1UssmlsT4k6BcH9rEVTN2WOVv17AoVz',
+        'f0xB/RYAAAIAggAAAYAFswADABcAR0uwCVBYQBYAAgIDUwADAxRDBAEBAQ9DAAAADQBEG0AWAAICA1MAAwMOQwQBAQEPQwAAAA0ARFlADQAAFBIKCAAD',
+        'AAMRBRArAREjERMUDgIjIi4CNTQ+AjMyHgIBWLLaFSMuGhotIxQUIy0aGi4jFQP1/AsD9QE+Gi0jFBQjLRoaLyMUFCMvAAAAAv/I/pQBgAWzABQAKABZ',
+        'tQkBAAEBQkuwCVBYQBsAAwMEUwAEBBRDBQECAg9DAAEBAFMAAAAZAEQbQBsAAwMEUwAEBA5DBQECAg9DAAEBAFMAAAAZAERZQA4AACUjGxkAFAAUVSUG',
+        'ESsBERQOAiMiJic3PgEzMhYzMjY1ERMUDgIjIi4CNTQ+AjMyHgIBWCBFbUwhNhsIAg4PCBINTkLaFSMuGhotIxQUIy0aGi4jFQP1+8A9aU4tCgpgDQcB',
+        'SVEEQAE+Gi0jFBQjLRoaLyMUFCMvAAABAJgAAAP4BcEAHgAwQC0OAQMAAUIAAAADAgADWwYBBQUOQwABAQ9DBAECAg0CRAAAAB4AHhElKCUhBxQrAREz',
+        'MjY3AT4BOwEBDgEHHgEXASMiJicBLgErAREjEQFLLhQaEAFADx4Zov6LDhsREh0NAYygFh8O/rMPHh4yswXB/J0LEQFXEBT+cxEaCgwfFP4MERIBnxUN',
+        '/hwFwQABAKYAAAFYBcEAAwAYQBUCAQEBDkMAAAANAEQAAAADAAMRAxArAREjEQFYsgXB+j8FwQAAAQCSAAAF7wQFACoAVrcpCwUDAwQBQkuwHlBYQBYG',
+        'AQQEAFMCAQIAAA9DCAcFAwMDDQNEG0AaAAAAD0MGAQQEAVMCAQEBF0MIBwUDAwMNA0RZQA8AAAAqACojFSMVJiQhCRYrMxEzMh8BPgEzMhYXPgMzMh4C',
+        'FREjETQmIyIOAhURIxE0JiMiBgcRkmomCg04i1xnfxwVRVZhMlB9Vy6yaGMsTzwjsmJeQnEvA/UlaEVYcmE3UDQYM2KPXP17AoV3ex88Wzz9ewKFenhH',
+        'Pf0NAAEAkgAAA90EBQAXAEy2FgUCAgMBQkuwHlBYQBMAAwMAUwEBAAAPQwUEAgICDQJEG0AXAAAAD0MAAwMBUwABARdDBQQCAgINAkRZQAwAAAAXABcj',
+        'FSQhBhMrMxEzMh8BPgEzMh4CFREjETQmIyIGBxGSaiYKDkKja1N/VSyyaWxPiToD9SVuSVo3ZY5W/XsChXN/TEH9FgAAAgBI//IEDgQFABMAIwBOS7AJ',
+        'UFhAFwADAwBTBAEAABdDBQECAgFTAAEBFQFEG0AXAAMDAFMEAQAAF0MFAQICAVMAAQEYAURZQBIVFAEAGxkUIxUjCwkAEwETBg8rATIeAhUUDgIjIi4C',
+        'NTQ+AhMyNjU0JiMiDgIVFB4CAixvs31DQ32zb2+zfkREfrNvlpSUlkxwSyUlS3AEBUqIwXd4wIhJSYjAeHfBiEr8eMm0tco0Yo9aWo5hNAAAAAACAJL+',
+        'qQQPBAcAFgAlAJNADBsaBQMFBBUBAgUCQkuwCVBYQB0HAQQEAFMBAQAAD0MABQUCUwACAhVDBgEDAxEDRBtLsBpQWEAdBwEEBABTAQEAAA9DAAUFAlMA',
+        'AgIYQwYBAwMRA0QbQCEAAAAPQwcBBAQBUwABARdDAAUFAlMAAgIYQwYBAwMRA0RZWUATGBcAAB8dFyUYJQAWABYoJCEIEisTETMyHwE+ATMyHgIVFA4C',
+        'IyImJxEBIgYHER4BMzI2NTQuApJqJgoPQadtV45kNjxwo2ZehTMBEVeDNzF1SI2YI0Jg/qkFTCV4T2BDg8J+cMGNUT45/kAEzlBJ/hZCNsq7Y45bKgAC',
+        'AEj+qQPFBAcAFgAlAKhLsBpQWEAMEwEFAhsaAwMEBQJCG0AMEwEFAxsaAwMEBQJCWUuwCVBYQB0ABQUCUwYDAgICF0MHAQQEAVMAAQEVQwAAABEARBtL',
+        'sBpQWEAdAAUFAlMGAwICAhdDBwEEBAFTAAEBGEMAAAARAEQbQCEGAQMDD0MABQUCUwACAhdDBwEEBAFTAAEBGEMAAAARAERZWUATGBcAAB8dFyUYJQAW',
+        'ABUoIxEIEisBESMRDgEjIi4CNTQ+AjMyFhc3NjMBMjY3ES4BIyIGFRQeAgPFskCjaVeOZDY8caJnYok2DAom/qdXgzcwdkeOmCJCYAP1+rQB7UpaQ4LC',
+        'fnDBjlFGQE8l/I1QSQHqQDfKu2ONWyoAAAABAJIAAAL6BAcAFgBsS7AaUFhACwwBAgAVBgIEAgJCG0ALDAEDABUGAgQCAkJZS7AaUFhAEwMBAgIAUwEB',
+        'AAAPQwUBBAQNBEQbQB4AAgMEAwIEaAAAAA9DAAMDAVMAAQEXQwUBBAQNBERZQAwAAAAWABYhJCUhBhMrMxEzMhYfAT4BMzIWFwcGIyImIyIGBxGSZh0W',
+        'BAw0mWcqRB0XBxgOOjRdfSoD9RYbnmp3ExGFGRNsZ/17AAAAAQA+//ADDwQFADwAPUA6PAEBBR0BAgQCQgAAAQMBAANoAAMEAQMEZgABAQVTAAUFF0MA',
+        'BAQCUwACAhUCRDo4JyUiIBsZIyEGESsBBiMiLgIjIg4CFRQeBhUUDgIjIiYnNz4BMzIeAjMyPgI1NC4GNTQ+AjMyFhcC1gwZDyY3TDQtSDMbLUpeY15K',
+        'LTJijl1qrDwqCBYSEig5UT00TjQZLUpfY19KLTBchlZknzoDThYWGxcXKDUfJzQmHSEoPFc9RndXMkU2RA0OHCIcGy48Iio3Jx0gKT5bQTprUTA/NwAB',
+        'ACz/8AK6BT4AIQB0QAoJAQEDHwEABQJCS7AyUFhAJAACAwJqAAYBBQEGBWgEAQEBA1EAAwMPQwAFBQBUBwEAABUARBtAIgACAwJqAAYBBQEGBWgAAwQB',
+        'AQYDAVsABQUAVAcBAAAVAERZQBQBAB0bGBYTEhEQDw0GBAAhASEIDysFIiY1ESMiJj0BNxM+ATsBESEVIREUFjMyPgIzMh8BDgEBxXiBehAWpikCFhFa',
+        'ASL+3j4xHCkeFQgOCzQughCGfgJsExRHFQE5DxP+o4H9oEA+DxIPEVUrMQAAAQB6//ADxQP1ABcATLYOBwIAAQFCS7AeUFhAEwUEAgEBD0MAAAACUwMB',
+        'AgINAkQbQBcFBAIBAQ9DAAICDUMAAAADUwADAxUDRFlADAAAABcAFyQhEyMGEysBERQWMzI2NxEzESMiLwEOASMiLgI1EQEsamtOijqyaiYKDkKkalN/',
+        'VisD9f16c35KQgLr/AslbUlZN2SOVgKGAAAAAQASAAAD7QP1ABIAGkAXCAECAAFCAQEAAA9DAAICDQJEESwgAxIrEzMyFhcBHgEXPgE3AT4BOwEBIxKS',
+        'FRwGAQEOEAcIEg4BBAYbFIv+Y6ED9RYP/XQkSCMjSCQCjBAV/AsAAAEADgAABe8D9wAuACBAHScXCAMDAAFCAgECAAAPQwQBAwMNA0QqISw8IAUUKxMz',
+        'MhYXEx4BFz4BNxM+ATsBMhYXEx4BFz4BNxM+ATsBASMiJwMuAScOAQcDBisBDowWHAXCCA4FCBQL1gUZE00UGgXRCxEIBRAJxgUcE4b+uI0aCuAICgUF',
+        'CgjjCx6GA/UWD/10JEMiIkMkApAPFBQP/XAjRCEhSB8CjBAV/AsiAq8XLxcXMBf9UiIAAAAAAQAcAAAD0gP1ABsAH0AcFA4GAAQCAAFCAQEAAA9DAwEC',
+        'Ag0CRCgiKCEEEysJATMyFhcTNjcTPgE7AQkBIyImJwMGBwMOASsBAX/+q6sWFAj4CRHaChQPpP6rAWOrFhkI/wcO7AoXFJ8CBwHuDg3+hBwcAUAOEf4c',
+        '/e8XDgGNHRf+pw4XAAAAAAEADv6pA/AD9QAWABtAGA4FAgABAUICAQEBD0MAAAARAEQsIiIDEisBDgErARMBMzIWFwEeARc+ATcBPgE7AQG7CRschLn+',
+        'XpoXGgYBDwkNBQcOCQEHBh0Rjv7VFBgBkgO6Fw79ghYsFxcsFwJ9EBUAAAAAAQBGAAADVQP1AA8AHkAbAAICA1EAAwMPQwAAAAFRAAEBDQFEERURFAQT',
+        'KwEUBgcBIRUhNTQ2NwEhNSEDVQ4L/dwCKf0FDQwCJ/3fAvADqRMjDv0mi0oNIxAC34wAAAAAAQAs/t8CAAX9AEAAM0AwJAEAAQFCAAIAAwECA1sAAQAA',
+        'BAEAWwAEBQUETwAEBAVTAAUEBUc4NjMwMysREgYTKxM0JiM1MjY1NC4CNTQ+AjsBFRQGKwEiBhUUHgIVFA4CBx4DFRQOAhUUFjsBMhYdASMiLgI1ND4C',
+        'tUZDQ0YQExApU3tSNRwMFE1ZDhIOFik3ISE3KRYOEg5ZTRQMHDVSe1MpEBMQAak/UWtQQDJiYmQ0RXRULk8UEmVWOGhjYjImQTMlCQklNEAlMmJjaDhX',
+        'ZBIUUC9UdEU0Y2NiAAEA5v6pAXAF/QADABJADwAAAAFRAAEBEQFEERACESsTMxEj5oqKBf34rAAAAQBY/t8CLAX9AEAANUAyHQEFBAFCAAMAAgQDAlsA',
+        'BAAFAQQFWwABAAABTwABAQBTAAABAEc/Pj08MS8sKTMpBhErARQeAhUUDgIrATU0NjsBMjY1NC4CNTQ+AjcuAzU0PgI1NCYrASImPQEzMh4CFRQOAhUU',
+        'FjMVIgYBoxATECpSe1I1HAwUTVkOEg4WKTchITcpFg4SDllNFAwcNVJ7UioQExBGQ0NGAakyYmNjNEV0VC9QFBJkVzhoY2IyJUA0JQkJJTNBJjJiY2g4',
+        'VmUSFE8uVHRFNGRiYjJAUGtRAAABAHQBngQSAwAAGwA5QDYAAQUBagAEAgRrBgEAAwIATwAFAAMCBQNbBgEAAAJTAAIAAkcBABgWEhEPDQoIBAMAGwEb',
+        'Bw8rATI2NzMUDgIjIi4CIyIGByM0PgIzMh4CAvdBSQGQJUVmQDRmX1YkQUkBkCVFZUE0Zl9WAmVVRkNwUCwgJyFUR0NwUC0hJyEAAAACANr+qQHUBAUA',
+        'DQAhACZAIwADAwJTAAICF0MAAAABUQQBAQERAUQAAB4cFBIADQANFgUQKwERND4CNzMeAxURAzQ+AjMyHgIVFA4CIyIuAgEGAwYJBnkGCQYD1RMiLRsa',
+        'LSIUFCItGhstIhP+qQIdLVVXXDQ0XFdVLf3jBN8bLSITEyItGxouIhQUIi4AAAACAIr/FQQCBOYALgA3ALRAFwsBAAEzHBMQBAIAMiYCAwQqAAIGBQRC',
+        'S7AJUFhAKQABAAFqAAIABAACBGgABAMABANmAAMDBVQABQUYQwAGBgBTAAAAFwZEG0uwC1BYQCkAAQABagACAAQAAgRoAAQDAAQDZgADAwVUAAUFFUMA',
+        'BgYAUwAAABcGRBtAKQABAAFqAAIABAACBGgABAMABANmAAMDBVQABQUYQwAGBgBTAAAAFwZEWVlACSMVIxUnIxkHFisFLgM1ND4CPwE+ATsBBx4BFwcO',
+        'ASMiLgInAz4DMzIWHwEOAQ8BDgErAQMUFhcTDgMCMVybcT9Cfrh3DAIbFUIQUoQ2LggPDgwhLT8qND9VOyYQCxIFMDy5awwCGxVC54d5NExzTicLCk+E',
+        'tnJvu4pRA7MUHekMPzE+CwsRGBgH/QYEHyIcCQc/SEoHrxMdAuWiwBcC+AY5Y4gAAAAAAQA0AAAEWwWoAD4AQEA9DwECAzcrAgcGAkIAAgMAAwIAaAQB',
+        'AAgBBQYABVsAAwMBUwABARRDAAYGB1MABwcNB0QXJSYjFSYnJSIJGCsTNDY7ARE0PgIzMh4CFwcOASMiJicuAyMiDgIVESEVFAYjIRUUBgc+ATMhFRQO',
+        'AiMhNT4DNREjNCAdhjZupG5OeV5FGEgKFQoOGQsUKTNCLT9gQCABuR4W/ns5Mh05HgKkCxQcEvw8Ij4wHcMCoBokAQVepXtHJ0RaNC4GBQsOGS8jFSpO',
+        'bkT++UgSHvNLbS0FB0wOGxcOcwoiM0UuASEAAAAAAgCEAOAEBARgACMANwA/QDwODAYEBAMAIRUPAwQCAx4YFgMBAgNCDQUCAEAgHxcDAT8AAgABAgFX',
+        'AAMDAFMAAAAXA0Q0MiooHBooBBArEzQ2Nyc3Fz4BMzIWFzcXBx4BFRQGBxcHJw4BIyImJwcnNy4BNxQeAjMyPgI1NC4CIyIOAt8hHZlblyxoOjlmK5lZ',
+        'lx8iIR2YW5gsaDk5ZSyZWZceIoQjPlEvL1M9JCQ9Uy8vUT4jAqA5ZSyZWpgfIiEemVuYLGc6OWYrl1yYHiIhHZlbmCxnOi5RPSQkPVEuL1I+IyM+UgAA',
+        'AAEALAAABFMFmQAiADhANQoBAAEBQgMBAAoBBAUABFoJAQUIAQYHBQZZAgEBAQxDAAcHDQdEIiEgHxERERERESwhEAsYKxMhATMyFhcBHgEXPgE3AT4B',
+        'OwEBIRUhFSEVIREjESE1ITUhkgEy/miVGh8KARQOFAcHEg4BEwghGZb+ZwEz/qwBVP6ss/6sAVT+rAJxAygZFP3KIzodHTsiAjYRHPzYZmln/sUBO2dp',
+        'AAAAAgDm/qkBcAX9AAMABwAcQBkAAAABAgABWQACAgNRAAMDEQNEEREREAQTKxMzESMRMxEj5oqKiooF/fzm/uH85QAAAAACAHL/gwOHBacASABaAEFA',
+        'PkgBAQVYTj0YBAMAIwECBANCAAABAwEAA2gAAwQBAwRmAAQAAgQCVwABAQVTAAUFFAFERkQtKygmIR8jIQYRKwEGIyIuAiMiDgIVFB4GFRQGBx4BFRQO',
+        'AiMiJic3PgEzMh4CMzI+AjU0LgY1NDY3LgE1ND4CMzIWFwEUHgIXPgE1NC4EJw4BAzEMGQ8mN0w0ME01HDFPZmlmTzFOVDE+MmGPXGqsPCkIFxESKDpV',
+        'PzJPNhwyUmhuaFIyVl0yPzBchlZknzr9t0ZthD42MB40Rk9UKEI2BPEWFhsXGSo4HyY5LysuN0dcPVF/JiViRUZ3VzJFNkQNDhwjHBktPiYtQjMqLDNG',
+        'XUBOfSMmaUs6a1AwPjf9pDNHOTUfGksvJDguJiMjFB5JAAACAA4EmgJWBXsAEwAnADNLsCBQWEANAgEAAAFTAwEBAQwARBtAEwMBAQAAAU8DAQEBAFMC',
+        'AQABAEdZtSgoKCQEEysTFA4CIyIuAjU0PgIzMh4CBRQOAiMiLgI1ND4CMzIeAu8SICkXFigfEhIfKBYXKSASAWcSHykXFykeEhIeKRcXKR8SBQkXKB4S',
+        'Eh4oFxcqHxISHyoXFygeEhIeKBcXKh8SEh8qAAADAET/8gX5BagALgBKAGIAj0AKFwEEAgcBBQACQkuwCVBYQDQAAwQABAMAaAAABQQABWYAAgAEAwIE',
+        'WwAFAAEIBQFbAAkJBlMABgYUQwAICAdTAAcHFQdEG0A0AAMEAAQDAGgAAAUEAAVmAAIABAMCBFsABQABCAUBWwAJCQZTAAYGFEMACAgHUwAHBxgHRFlA',
+        'DV9dLCwqKCMlKCUiChgrAT4BMzIWHwEOASMiLgI1ND4CMzIWFwcOASMiLgIjIg4CFRQeAjMyPgIBND4EMzIeBBUUDgQjIi4ENxQeBDMyPgI1NC4EIyIO',
+        'AgQGCAsGCwgGPTmmdGKhcz9FeqdibJg5LgUQDA4fMkw7RnFPKytMaj4wQjAl/FI0X4aiumVlu6KGXzQ0X4aiu2VluqKGXzRkLFJyjKJYhOerYy1Sc4yj',
+        'WITmqmIBzwUHBgZAQklEeqhkZal5Q0Q3QQYMFhsXLVR4S015UisMFBgBCWW7o4VgNDRghaO7ZWS7ooVgNDRghaK6ZVmkj3RTLWSt6YZZpo92Uy5lr+sA',
+        'AAACAFwDPwJUBaoAKQA1AEVAQiEBAwUtAQYHBQEABgNCAAQDAgMEAmgAAgAHBgIHWwgBBgEBAAYAVwADAwVTAAUFFANEKyovLio1KzUlIyMYJyAJFSsB',
+        'IyImLwEOAyMiLgI1ND4CNzU0JiMiDgIjIiYvAT4BMzIeAhUBMjY3NQ4DFRQWAlQ8EhIIDBguMjgiJkEwGyZYkWs6OSYyJR0QDhQFFjR5STZUOh7+4TNK',
+        'JEZhPBo0A0gLEjEVIBcLFCk8KSJDNSMCJT88EhURDwoqMS4iPFQz/tYmI2kCERsjFSoiAAIAigCBAwEDogAUACkACLUpFxQCAigrEzUTFx4BFRQHAwYH',
+        'FhcTHgEVFA8BEzUTFx4BFRQHAwYHFhcTHgEVFA8Bivk6Dg4Knw4ODw2fBQUcOi/5Og4OCp8ODg8NnwUFHDoCBhcBhRwHFg0REP77GA0OFv77CBIIHA0c',
+        'AYUXAYUcBxYNERD++xgNDhb++wgSCBwNHAABAJQBOwPwAuMABQA9S7AJUFhAFgABAgIBXwAAAgIATQAAAAJRAAIAAkUbQBUAAQIBawAAAgIATQAAAAJR',
+        'AAIAAkVZtBEREAMSKxMhESMRIZQDXJf9OwLj/lgBIQAAAAABAGQCDAJSAqMAAwAXQBQAAAEBAE0AAAABUQABAAFFERACESsTIRUhZAHu/hICo5cAAAAA',
+        'BABE//IF+QWoABsAMwBJAFYAhrU+AQcIAUJLsAlQWEAvBgEEBwIHBAJoAAUACQgFCVsACAoBBwQIB1sAAwMAUwAAABRDAAICAVMAAQEVAUQbQC8GAQQH',
+        'AgcEAmgABQAJCAUJWwAICgEHBAgHWwADAwBTAAAAFEMAAgIBUwABARgBRFlAEzQ0VlRMSjRJNEgpIRUqLCwmCxYrEzQ+BDMyHgQVFA4EIyIuBDcUHgQz',
+        'Mj4CNTQuBCMiDgIFESMRITIWFRQGBx4BFxMjIicDLgEjJzMyPgI1NC4CKwFENF+GorplZbuihl80NF+GortlZbqihl80ZCxScoyiWITnq2MtUnOMo1iE',
+        '5qpiAeacASCspmtqERkL5JQhEMkJGRpQdDdNLxUTK0Y0hALMZbujhWA0NGCFo7tlZLuihWA0NGCForplWaSPdFMtZK3phlmmj3ZTLmWv6+D+ngN8fXpe',
+        'hBkKHhT+shkBLg0OchUoOiYlOCQSAAAAAQAUBM8CUgVEAAMAF0AUAAABAQBNAAAAAVEAAQABRREQAhErEyEVIRQCPv3CBUR1AAAAAAIARgMnAtIFqgAT',
+        'ACcAG0AYAAIAAQIBVwADAwBTAAAAFANEKCgoJAQTKxM0PgIzMh4CFRQOAiMiLgI3FB4CMzI+AjU0LgIjIg4CRjJYd0VFd1gyMlh3RUV3WDJ/HjZJKipI',
+        'Nh4eNkgqKkk2HgRoQ3ZXMjJXdkNCdVczM1d1QSpJNh8fNkkqKko3Hx83SgAAAAIAZABQBCIEsgALAA8AN0A0BAEAAwEBAgABWQgBBQACBgUCWQAGBwcG',
+        'TQAGBgdRAAcGB0UAAA8ODQwACwALEREREREJFCsBESEVIREjESE1IREBIRUhAosBl/5pkv5rAZX+awO+/EIEsv6IiP6QAXCIAXj8JYcAAAEAUgOEAlEG',
+        'ZQAtADlANisBBAMLAQIBAkIABAMBAwQBaAUBAAADBAADWwACAgFTAAEBDwJEAQAoJiIgFBMQDQAtAS0GDysBMh4CFRQOAg8BPgE7ATIWHQEhNTQ2PwE+',
+        'AzU0JiMiBgcOASMiJi8BPgEBWjRVPCEZKjYeohcvFcMVF/4BCgzdGSwgEzwtLjkOCBMRBAkFRw+KBmUeNk0vKEU+Oh6lBggWFE0rDRwM2xk0NTUbMzcw',
+        'Kg4QAQEMamoAAAEAVAN8AlIGZQA9AFNAUDkBBwYHAQQFFAEDAgNCAAcGBQYHBWgAAgQDBAIDaAgBAAAGBwAGWwAFAAQCBQRbAAEBA1MAAwMPAUQBADY0',
+        'MC4qKSgnHx0YFhAOAD0BPQkPKwEyHgIVFAceARUUDgIjIi4CJzc2MzIXHgMzMj4CNTQuAiM1PgE1NCYjIgYHDgEjIiYvAT4DAWIzUjsgd0JFKkVbMDlU',
+        'PSsPNw8OHQsGEh4rIB8vIBARJ0EvV0c6MDA5DAgRDwQJBUMHLEFUBmUdM0QogC0TTj43VDkdGTFILxgGFw0gHBMUHygVHiscDlcBPDQyNC8oEA8BAQw1',
+        'TzUbAAABAMQEiwJVBakACQAYQBUAAAEAawIBAQEUAUQAAAAJAAgjAxArAQMOASsBNz4BMwJV6Q4bFWqUDiEgBan+/g8N8hcVAAEAev6pA8UD9QAdADNA',
+        'MA4HAgABFAECAAJCBgUCAQEPQwAAAAJTAwECAg1DAAQEEQREAAAAHQAdJiQhEyMHFCsBERQWMzI2NxEzESMiLwEOASMiJiceARURIyImNREBLGxpToo6',
+        'smomCg5DjVdKcCcHBlkmKQP1/W5teEpCAuv8CyVtSEQzLipXJv7pKCQFAAAAAAABACr/NwUWBZkAEwAqQCcABAABAAQBaAMBAQFpAgEAAAVTBgEFBQwA',
+        'RAAAABMAEhERERERBxQrARUjESMRIREjESIuAjU0PgIzBRbbnf7rnWimdT8/daZoBZmZ+jcFyfo3A109aY5RVo1lOAABAHwBvQGnAugAEwAXQBQAAAEB',
+        'AE8AAAABUwABAAFHKCQCESsTND4CMzIeAhUUDgIjIi4CfBcpNh4fOCgYGCg4Hx42KRcCUR84KBgYKDgfHjYpFxcpNgAAAQCE/qEB7wAKAB0AgUuwFVBY',
+        'QAsQDQIAAhsBAwACQhtACxANAgACGwEDAQJCWUuwCVBYQBMAAgAAAl4BBAIAAANUAAMDEQNEG0uwFVBYQBIAAgACagEEAgAAA1QAAwMRA0QbQBYAAgAC',
+        'agQBAAEAagABAQNUAAMDEQNEWVlADgEAGRcPDgYEAB0BHQUPKxcyHgIzMjY1NC4CJzczBx4BFRQOAiMiJic3NqwGEBYgFSorFik8JitwGFpRIDlQMClK',
+        'HxEG9wcJByEaExoSDAWNUBRFNiAzJBMRDjcSAAEAeAOEAkQGXwAPAE+3CQMCAwECAUJLsCRQWEAWAAIBAmoAAQABagAEBABRAwEAAA8ERBtAHAACAQJq',
+        'AAEAAWoDAQAEBABNAwEAAARSAAQABEZZthEREyQQBRQrEzMRNwcGIyIvATczETMVIa2TBGsMDhcJJ95sgv5pA9kBuCtYCQ44vv16VQACAEgDPAKxBakA',
+        'EwAfAClAJgUBAgABAgFXAAMDAFMEAQAAFANEFRQBABsZFB8VHwsJABMBEwYPKwEyHgIVFA4CIyIuAjU0PgITMjY1NCYjIgYVFBYBfkZxUCwsUHFGR3JR',
+        'LCxRckdUU1NUV1NTBakrUHNHSHRRKytRdEhHc1Ar/f1pZGRoaGRkaQAAAAIAlgCBAw0DogASACUACLUlFRAAAigrNycmNTQ3EzY3JicDJjU0PwETFSUV',
+        'AycmNTQ3EzY3JicDJjU0PwHsOhwKnw0ODA+fChw6+QEo+TocCp8NDgwPnwocOoEcDRwREQEFGAwLGgEFEREcDRz+excXF/57HA0cEREBBRgMCxoBBRER',
+        'HA0cAAAEAGYAAAV8BZoAEAAgACYAMABPQEwaFBMDBgckAQAJAkIABgcFBwYFaAgBBQAJAAUJWgoBAAMBAQIAAVsMAQcHDEMABAQCUwsBAgINAkQwLisp',
+        'JiUgHxETJBEUIREjEA0YKwEzFRQGKwEVIzUhIiYvAQEzJTMRNwcGIyIvATczETMVIQU0NjcDMwUOASsBAT4BOwEFD20ODVJt/s4SFQIKAVZ8+4yTBGsM',
+        'DhcJJ95sgv5pBAcCA/Hs/RATLB1MAzISLiBNAQtBCw+wsBAMOQHUOwG4K1gJDji+/XpVwxMsF/651h8WBVwdIAAAAAMAZgAABV0FmgAtAD0ARwBlQGI3',
+        'MTADBgcrAQQDCwECAQNCAAYHBQcGBWgABAMBAwQBaAgBBQAJAwUJWgwBAAADBAADWwsBBwcMQwABAQJTCgECAg0CRAEAR0VCQD08Ozo5ODUzLy4oJiIg',
+        'FBMQDQAtAS0NDysBMh4CFRQOAg8BPgE7ATIWHQEhNTQ2PwE+AzU0JiMiBgcOASMiJi8BPgElMxE3BwYjIi8BNzMRMxUhEw4BKwEBPgE7AQRmNFU8IRkq',
+        'Nh6iFy8VwxUX/gEKDN0ZLCATPC0uOQ4IExEECQVHD4r8nJMEawwOFwkn3myC/mnrEywdTAMyEi4gTQLhHjZNLyhFPjoepQYIFhRNKw0cDNsZNDU1GzM3',
+        'MCoOEAEBDGpqMwG4K1gJDji+/XpV/XYfFgVcHSAAAAQARAAABX0FoAAQAE4AVABeAHhAdUoBDAsYAQkKJQEIB1IBAAYEQgAMCwoLDApoAAcJCAkHCGgA',
+        'CgAJBwoJWwAIAAYACAZbDQEAAwEBAgABXAALCwVTDxACBQUMQwAEBAJTDgECAg0CRBIRXlxZV1RTR0VBPzs6OTgwLiknIR8RThJOFCERIxARFCsBMxUU',
+        'BisBFSM1ISImLwEBMwEyHgIVFAceARUUDgIjIi4CJzc2MzIXHgMzMj4CNTQuAiM1PgE1NCYjIgYHDgEjIiYvAT4DATQ2NwMzBQ4BKwEBPgE7AQUQbQ4N',
+        'Um3+zhIVAgoBVnz8QjNSOyB3QkUqRVswOVQ9Kw83Dw4dCwYSHisgHy8gEBEnQS9XRzowMDkMCBEPBAkFQwcsQVQDggID8ez9FBMsHUwDMhIuIE0BC0EL',
+        'D7CwEAw5AdQCxx0zRCiALRNOPjdUOR0ZMUgvGAYXDSAcExQfKBUeKxwOVwE8NDI0LygQDwEBDDVPNRv8XBMsF/651h8WBVwdIAAAAgAs/pwDAgQFACkA',
+        'PQA5QDYUAQMBAAEAAgJCAAEFAwUBA2gAAwIFAwJmAAUFBFMABAQXQwACAgBUAAAAGQBEKCcjLRwkBhUrBQ4DIyIuAjU0PgQ/ATMXFRQOBBUUHgIzMj4C',
+        'MzIWFwE0PgIzMh4CFRQOAiMiLgIDAh9LWGg8T4diOC1FUkczBBJ6DC1FT0UtIjpPLT1XPCYMDhEH/nETIS4aGi4iExMiLhoaLiET1B00KBcsUnZLTGpM',
+        'NjAxIZqnDCw+Mi88UDssRTEaHiQeDAsEEBouIhQUIi4aGy0iExMiLQD//wAKAAAFSQb2AiYAJAAAAAcBCQFrAAD//wAKAAAFSQb2AiYAJAAAAAcBDAFr',
+        'AAD//wAKAAAFSQbcAiYAJAAAAAcBDQF2AAD//wAKAAAFSQbSAiYAJAAAAAcBEgF2AAD//wAKAAAFSQbyAiYAJAAAAAcBCgF2AAD//wAKAAAFSQctAiYA',
+        'JAAAAAcBEQFzAAAAAv/oAAAG2gWZABIAGAA6QDcVAQEAAUIAAgADCAIDWQAIAAYECAZZAAEBAFEAAAAMQwAEBAVTBwEFBQ0FRBEjEREREREREAkYKwEh',
+        'FSETIRUhEyEVIQMhAw4BKwEBIQMOAQcC3QP9/RM8Ai/95D0CYfz8Mf3UswslGpQB2gHRXgwdDgWZnv4kmP4XngGI/qUUGQIUAvEpRR8AAAAAAQBa/qEF',
+        'CQWpAEsBMkuwFVBYQBQbAQMEOgEFBj4ODQMAB0kBCAAEQhtAFBsBAwQ6AQUGPg4NAwAHSQEIAQRCWUuwCVBYQDAAAwQGBAMGaAAGBQQGBWYABAQCUwAC',
+        'AhRDAAUFB1MABwcYQwEJAgAACFMACAgRCEQbS7ANUFhAMAADBAYEAwZoAAYFBAYFZgAEBAJTAAICFEMABQUHUwAHBxVDAQkCAAAIUwAICBEIRBtLsBVQ',
+        'WEAwAAMEBgQDBmgABgUEBgVmAAQEAlMAAgIUQwAFBQdTAAcHGEMBCQIAAAhTAAgIEQhEG0A3AAMEBgQDBmgABgUEBgVmCQEABwEHAAFoAAQEAlMAAgIU',
+        'QwAFBQdTAAcHGEMAAQEIUwAICBEIRFlZWUAYAQBHRT08ODYxLyclIB4ZFwYEAEsBSwoPKwUyHgIzMjY1NC4CJzcuAgI1NBI2JDMyFhcHDgEjIi4EIyIO',
+        'AhUUHgIzMj4CNzYzMh8BDgEPAR4BFRQOAiMiJic3NgKDBhAWIBUqKxYpPCYki+KfVmm+AQmgnuVZPwcSEQ0dKDZKYkBzv4pNTYW2aUBmV0smERAQDUxT',
+        '6aIQWlEgOVAwKUofEQb3BwkHIRoTGhIMBXYMdb8BAJmiAQ7Ca2JUWQoNExwgHBNPktKChtKRTA8gMSIPDVNhcAY3FEU2IDMkExEONxIA//8ArgAABCEG',
+        '9gImACgAAAAHAQkBNwAA//8ArgAABCEG9gImACgAAAAHAQwBNwAA//8ArgAABCEG3AImACgAAAAHAQ0BQgAA//8ArgAABCEG8gImACgAAAAHAQoBQgAA',
+        '////zAAAAbwG9gImACwAAAAGAQn4AAAA//8AmgAAAooG9gImACwAAAAGAQz4AAAA////7wAAAnsG3AImACwAAAAGAQ0DAAAA////8gAAAngG8gImACwA',
+        'AAAGAQoCAAAAAAIAMgAABdEFmQAQACEALEApBQEABgEDBwADWQAEBAFTAAEBDEMABwcCUwACAg0CRCERESURKCEQCBcrEzMRITIEFhIVFAIGBCMhESMl',
+        'NC4CIyERIRUhESEyPgIyxQIXngEFumZmuv77nv3pxQTYSIS8dP6rAX3+gwFVdLyESAMMAo1nvf74oaH++LxnApoyhNCQTP4Qcv4DTI/Q//8ArgAABTgG',
+        '0gImADEAAAAHARIB2gAA//8AXP/xBeEG9gImADIAAAAHAQkB4wAA//8AXP/xBeEG9gImADIAAAAHAQwB4wAA//8AXP/xBeEG3AImADIAAAAHAQ0B7gAA',
+        '//8AXP/xBeEG0gImADIAAAAHARIB7gAA//8AXP/xBeEG8gImADIAAAAHAQoB7gAAAAEAfgDbBAMEWAALAAazCQUBKCsJAgcJAScJATcJAQP5/qgBYl/+',
+        'nv6bXwFk/qdfAVkBWAP2/qj+n2ABYv6cYAFkAVlg/qYBWAAAAAADAFz/kwXhBdoAIQAtADgAaEATGQEEAjIxJiUfBQUEDggCAAUDQkuwHlBYQB8AAQAB',
+        'awADAw5DAAQEAlMAAgIUQwAFBQBTAAAAFQBEG0AfAAMCA2oAAQABawAEBAJTAAICFEMABQUAUwAAABUARFm3KSolKCUkBhUrARQCBgQjIiYnBw4BKwET',
+        'JgI1NBI2JDMyFhc3PgE7AQcWEgUUFhcBLgEjIg4CBTQmJwEWMzI+AgXhZrr++55svE9kFjodTr9we2a6AQSec8hTUhQgIGSsZ3D7QUtFApM8lFdzvIVI',
+        'A/hBPP1xdJx0vIRIAsyh/vPCazEwiB0aAQRiASCzoQENw2w6Nm8bF+ti/uqrh9NJA4MqK06R0oR+yUj8hEZNkdEAAAD//wCg/+8FFQb2AiYAOAAAAAcB',
+        'CQGdAAD//wCg/+8FFQb2AiYAOAAAAAcBDAGdAAD//wCg/+8FFQbcAiYAOAAAAAcBDQGoAAD//wCg/+8FFQbyAiYAOAAAAAcBCgGoAAD//wAIAAAE5Ab2',
+        'AiYAPAAAAAcBDAE5AAAAAgDCAAAEfwWZABAAGwAuQCsAAgAFBAIFWwAEBgEDAAQDWwABAQxDAAAADQBEAAAbGRMRABAADyEREQcSKwERIxEzETMyHgIV',
+        'FA4CIyczMj4CNTQmKwEBg8HB5ojJhEFGh8iB5uZTf1YsqavmARD+8AWZ/vg/dKRlZKZ4Q5osT25CiZoAAQC6//AEdgWuAEgAd0uwHlBYtRsBAQMBQhu1',
+        'GwEFAwFCWUuwHlBYQB8AAgQDBAIDaAAEBABTBgEAABRDAAMDAVMFAQEBFQFEG0AjAAIEAwQCA2gABAQAUwYBAAAUQwAFBQ1DAAMDAVMAAQEVAURZQBIB',
+        'AENCPTslIyAeGRcASAFIBw8rATIeAhUUDgQVFB4EFRQOAiMiJic3PgEzMh4CMzI+AjU0LgQ1ND4ENTQuAiMiDgIVESMRND4CAqFnl2IvK0BLQCs1UF1Q',
+        'NTlkh09hnjwpCBcREig3SzUsRjEaOFRiVDgtQ05DLRk4WT9Eb08rs0WAtAWuPF1uMzxWQjIwMyAnNC0vRmZOTnpVLUU2RA0OHCIcGy5AJThGMyo6U0I1',
+        'Tz82PEcwIEE0ISpUflT8JgPgaKp6QgD//wBc//ADegWpAiYARAAAAAcAQwDdAAD//wBc//ADegWpAiYARAAAAAcAdgDdAAD//wBc//ADegWZAiYARAAA',
+        'AAcA2wDdAAD//wBc//ADegWJAiYARAAAAAcA4gDdAAD//wBc//ADegV7AiYARAAAAAcAagDdAAD//wBc//ADegXeAiYARAAAAAcA4ADeAAAAAwBc//AG',
+        'DwQHAEMAUQBcAPRADEE7AggHHxcCAgMCQkuwCVBYQDUACAcGBwgGaAADAQIBAwJoDQEGCgEBAwYBWw8MAgcHAFMJDgIAABdDCwECAgRTBQEEBBUERBtL',
+        'sBxQWEA1AAgHBgcIBmgAAwECAQMCaA0BBgoBAQMGAVsPDAIHBwBTCQ4CAAAXQwsBAgIEUwUBBAQYBEQbQD8ACAcGBwgGaAADAQIBAwJoDQEGCgEBAwYB',
+        'Ww8MAgcHAFMJDgIAABdDAAICBFMFAQQEGEMACwsEUwUBBAQYBERZWUAmU1IBAFhXUlxTXE1LRUQ/PTg2MzEuLSUjHRsUEg8NCQcAQwFDEA8rATIeAhUU',
+        'BiMhHgMzMj4CMzIWHwEOAyMiJicOAyMiLgI1ND4CNzU0JiMiDgIjIiYvAT4BMzIWFz4BAQ4DFRQWMzI+AjUBIg4CByE0LgIEjlKNZzsQGf2NBC5NaUFF',
+        'XD0mEA4SBi8hV2NqNHW/NxtXanc7RXJTLUKT7qxlY0FZQS8XEhsIIFS1cXiSITat/rZ7rGwxZFE5Y0kqAbw9YEUpBwH8HzxXBAVAeq9wKR1bh1osHSQd',
+        'CQg9KDsmE3F0Plg4GSNGakg8dFw7BDJ2fiMqIxMOOVFQZltYZ/3hBSM4SCpXUCRKbkoB7ylOcEZBb1AtAAAAAQBK/qEDfwQFAEgAt0uwFVBYQBQbAQQC',
+        'NwEFBjsODQMABUYBBwAEQhtAFBsBBAI3AQUGOw4NAwAFRgEHAQRCWUuwFVBYQC0AAwQGBAMGaAAGBQQGBWYABQAEBQBmAAQEAlMAAgIXQwEIAgAAB1QA',
+        'BwcRB0QbQDMAAwQGBAMGaAAGBQQGBWYABQAEBQBmCAEAAQQAAWYABAQCUwACAhdDAAEBB1QABwcRB0RZQBYBAERCNDIvLSUjIB4ZFwYEAEgBSAkPKwUy',
+        'HgIzMjY1NC4CJzcuAzU0PgIzMhYXBw4BIyIuAiMiDgIVFB4CMzI+AjMyFh8BDgEPAR4BFRQOAiMiJic3NgGQBhAWIBUqKxYpPCYlU41mOj95snNqpD8v',
+        'CBAPDyM2TThKck0nKkxtREFUOCQSCxEGMjuqYRFaUSA5UDApSh8RBvcHCQchGhMaEgwFeQtPhLZxccCLTkU/QAsMGR4ZNWSOWFyPYTMfJh8JCEFISgg6',
+        'FEU2IDMkExEONxL//wBK//IDxwWpAiYASAAAAAcAQwD0AAD//wBK//IDxwWpAiYASAAAAAcAdgD0AAD//wBK//IDxwWZAiYASAAAAAcA2wD0AAD//wBK',
+        '//IDxwV7AiYASAAAAAcAagD0AAD////5AAABhgWpAiYAyAAAAAYAQ9MAAAD//wCXAAACKAWpAiYAyAAAAAYAdtMAAAD////SAAACNgWZAiYAyAAAAAYA',
+        '29IAAAD////hAAACKQV7AiYAyAAAAAYAatMAAAAAAgBM//MEBQWGADQASAA2QDM6MAICAwFCNDMZExIPBgcBQAABAAMCAQNbBAECAgBTAAAAGABENjVA',
+        'PjVINkguLCQiBQ8rAS4BNTQ/AS4BJy4BNTQ/AR4BFzcXFhUUDwEeAxUUDgIjIi4CNTQ+AjMyFhcuAScHEzI+AjcuAyMiDgIVFB4CAaEEBRdnLWU5EhkF',
+        'FGC0UacjCBZhPGNGJz57t3hiqn1IPnSlaGSxQRR1XrhfR3NRLgMQNEtjPktxTCcuUGkEKQcNBhYPSBQiDgUbFw8OPhA8MHo5DQsVEEMxfJu5bo/koFZC',
+        'e7JwXqd+SlZXiL5Ah/yMNm2lbytRPyUyV3dEUX9WLQD//wCSAAAD3QWJAiYAUQAAAAcA4gECAAD//wBI//IEDgWpAiYAUgAAAAcAQwD7AAD//wBI//IE',
+        'DgWpAiYAUgAAAAcAdgD7AAD//wBI//IEDgWZAiYAUgAAAAcA2wD7AAD//wBI//IEDgWJAiYAUgAAAAcA4gD7AAD//wBI//IEDgV7AiYAUgAAAAcAagD7',
+        'AAAAAwBkAL0EIgSAAAMAFwArACtAKAACAAMAAgNbAAAAAQQAAVkABAUFBE8ABAQFUwAFBAVHKCgoJREQBhUrEyEVIQE0PgIzMh4CFRQOAiMiLgIRND4C',
+        'MzIeAhUUDgIjIi4CZAO+/EIBYhMhLRsaLSIUFCItGhstIRMTIS0bGi0iFBQiLRobLSETAuOHAaYaLiIUFCIuGhstIhMTIi39UxouIhQUIi4aGy0iExMi',
+        'LQAAAAADAED/tAQtBEkAIQArADUAdEAXHAEEAjQzJSQABQUECwEABQNCEQEFAUFLsAlQWEAgAAMCA2oAAQABawAEBAJTAAICF0MGAQUFAFMAAAAVAEQb',
+        'QCAAAwIDagABAAFrAAQEAlMAAgIXQwYBBQUAUwAAABgARFlADS0sLDUtNSUlKCUnBxQrAR4BFRQOAiMiJicHDgErATcuATU0PgIzMhYXNz4BOwEBFBcB',
+        'JiMiDgIBMj4CNTQnARYDkD1CQ32zb0yDNjcWOx1DkUJGRH6zb0+HOEQUICBa/Mk7AbRJb0x0TygBN0tzTyg0/k9GA3REv3Z4wIhJIiBKHRnERcJ8d8GI',
+        'SiYjWxsX/bGgYQJOODZkkf4kNWSPWpdg/bcw//8Aev/wA8UFqQImAFgAAAAHAEMA9QAA//8Aev/wA8UFqQImAFgAAAAHAHYA9QAA//8Aev/wA8UFmQIm',
+        'AFgAAAAHANsA9QAA//8Aev/wA8UFewImAFgAAAAHAGoA9QAA//8ADv6pA/AFqQImAFwAAAAHAHYA5AAAAAIAkv6pBA8FwQAUACMAcUAMGRgDAwUEEwEC',
+        'BQJCS7AJUFhAIQAAAA5DBwEEBAFTAAEBF0MABQUCUwACAhVDBgEDAxEDRBtAIQAAAA5DBwEEBAFTAAEBF0MABQUCUwACAhhDBgEDAxEDRFlAExYVAAAd',
+        'GxUjFiMAFAAUKCMRCBIrExEzET4BMzIeAhUUDgIjIiYnEQEiBgcRHgEzMjY1NC4CkrI/pGlXjmQ2PHCjZl+EMwERV4M3MXVIjZgjQmD+qQcY/aFKWUKD',
+        'wX5wwY1RRT/+MwTOUEn+FkI2yrtjjlsqAAAA//8ADv6pA/AFewImAFwAAAAHAGoA5AAAAAIACv6qBZIFmQAnAC8AjkuwFVBYQAosAQgFBAEBAAJCG0AK',
+        'LAEIBQQBAQcCQllLsBVQWEAhAAgAAwIIA1oABQUMQwYEAgICDUMHCQIAAAFTAAEBEQFEG0AoCQEAAgcCAAdoAAgAAwIIA1oABQUMQwYEAgICDUMABwcB',
+        'UwABAREBRFlAGAEAKSgkIhsaGRgXFRIRDg0IBgAnAScKDysFMhYfAQ4BIyImNTQ2NyImJwMhAw4BKwEBMwEjDgMVFBYzMj4CASEDJicOAQcFZAcJAhwe',
+        'XTNYZU88GSAIhv19hgciGZYCPcUCPSUUKiIWMSoXHhQN/D8CF+EWFQsVCtMIBUIXHU9COmUmGhQBWv6mEhwFmfpnCx8nLxomKwcJCALnAkc2USlFGgAA',
+        'AgBc/qoD6AQHAEMAUwCfQBQ7AQYFSR8CCAkcAAIDCBEBAgAEQkuwFVBYQDEABgUEBQYEaAAEAAkIBAlbAAUFB1MABwcXQwoBCAgDUwADAxVDAQEAAAJT',
+        'AAICEQJEG0A4AAYFBAUGBGgAAQMAAwEAaAAEAAkIBAlbAAUFB1MABwcXQwoBCAgDUwADAxVDAAAAAlMAAgIRAkRZQBJFREtKRFNFUyUjIxguJSMnCxcr',
+        'IQ4DFRQWMzI+AjMyFh8BDgEjIiY1ND4CNyYvAQ4DIyIuAjU0PgI3NTQmIyIOAiMiJi8BPgEzMh4CFQEyPgI3NQ4DFRQeAgN6FCoiFjEqFx4UDQUHCQIc',
+        'Hl0zWGUWJzUfGAoUKExUXzo7Z0wtQpPurGVjQVlBLxcSGgkgVMJ2VYRaLv4yL05FPx57rGwxGiw8Cx8nLxomKwcJCAgFQhcdT0IdODMtEwcgXiQ5JxQh',
+        'QmVFPG9WNwRPdnkhKSETDjlRUDhkjlX95RMjMiDTBB8yRCooOiUR//8AWv/wBQkG9gImACYAAAAHAQwB6QAA//8ASv/yA38FqQImAEYAAAAHAHYA8wAA',
+        'AAEArv6qBDQFmQAmAJhLsBVQWLUEAQEAAUIbtQQBAQkBQllLsBVQWEAqAAUABgcFBlkABAQDUQADAwxDAAcHAlEIAQICDUMJCgIAAAFTAAEBEQFEG0Ax',
+        'CgEAAgkCAAloAAUABgcFBlkABAQDUQADAwxDAAcHAlEIAQICDUMACQkBUwABAREBRFlAGgEAIyEaGRgXFhUUExIREA8ODQgGACYBJgsPKwUyFh8BDgEj',
+        'IiY1NDY3IREhFSERIRUhESEVIw4DFRQWMzI+AgQGBwkCHB5dM1hlTzz9WgNz/VACLf3TArBbFCoiFjEqFx4UDdMIBUIXHU9COmUmBZme/iSY/heeCx8n',
+        'LxomKwcJCAACAEr+qgPHBAUAPABFALZLsBVQWEAKLQEFBgQBAQACQhtACi0BBQYEAQEHAkJZS7AVUFhAMgAGBAUEBgVoAAkABAYJBFsLAQgIA1MAAwMX',
+        'QwAFBQJTAAICGEMHCgIAAAFTAAEBEQFEG0A5AAYEBQQGBWgKAQACBwIAB2gACQAEBgkEWwsBCAgDUwADAxdDAAUFAlMAAgIYQwAHBwFTAAEBEQFEWUAe',
+        'Pj0BAEFAPUU+RTk3KykmJCAeGBYODQgGADwBPAwPKwUyFh8BDgEjIiY1NDY3LgM1ND4CMzIeAhUUBiMhHgMzMj4CMzIfAQ4BBw4DFRQWMzI+AgMiBgch',
+        'NC4CAukHCQIcHl0zWGVCNGetfkZBerBuW5pwPxIZ/V4CMFR0SENhRi8RFgwyMpNSFCchFDEqFx4UDb2BlBICJyJCX9MIBUIXHU9CNV0lAkiKyIFquIdN',
+        'PXOpbCocYI5fLx8kHxFBPEcOCx8mLhkmKwcJCARVlYQ+Z0spAAAAAAEApgAAAVgD9QADABhAFQIBAQEPQwAAAA0ARAAAAAMAAxEDECsBESMRAViyA/X8',
+        'CwP1AAABACwAAAQVBZkAEQAjQCAPCwoFAQAGAAIBQgACAgxDAAAAAVIAAQENAUQXERYDEisBJRUUBwURIRUhEQc1ND8BETMBqQGAG/6bAmz80rsZosID',
+        'JcSBHQ68/iKjAipfhRoNVgLMAAAAAAEANgAAAksFwQAQACNAIA8LCgcCAQYAAQFCAgEBAQ5DAAAADQBEAAAAEAAQGAMQKwERNxUUBg8BESMRBzU0PwER',
+        'AZmyDA+XsrEZmAXB/cJNZhAVB0P9BQK5TGkdC0QCfwAAAP//AK4AAAU4BvYCJgAxAAAABwEMAdAAAP//AJIAAAPdBakCJgBRAAAABwB2AQYAAAACAFz/',
+        '8ggnBakAHAAwATJAChsBAQALAQMCAkJLsB5QWEAiAAEAAgMBAlkIAQAABlMKBwIGBhRDCQEDAwRTBQEEBA0ERBtLsCJQWEAsAAEAAgMBAlkIAQAABlMA',
+        'BgYUQwgBAAAHUQoBBwcMQwkBAwMEUwUBBAQNBEQbS7AsUFhANgABAAIDAQJZCAEAAAZTAAYGFEMIAQAAB1EKAQcHDEMJAQMDBFEABAQNQwkBAwMFUwAF',
+        'BRgFRBtLsDBQWEA0AAEAAgMBAlkACAgGUwAGBhRDAAAAB1EKAQcHDEMJAQMDBFEABAQNQwkBAwMFUwAFBRgFRBtAMgABAAIDAQJZAAgIBlMABgYUQwAA',
+        'AAdRCgEHBwxDAAMDBFEABAQNQwAJCQVTAAUFGAVEWVlZWUATAAAtKyMhABwAHCgjERERERELFisBFSERIRUhESEVITUOASMiLgECNTQSPgEzMhYXNQM0',
+        'LgIjIg4CFRQeAjMyPgIIJ/1QAi390wKw/KRU/qGO6qhcXKjqjqH+VBdAd6loaKl4QUF4qWhoqXdABZme/iSY/hee8HiGa8EBDaGhAQ3DbId58P0zhNOU',
+        'T0+U04SE05NOTpPTAAMASP/yBnUEBQAwAEAASwCXQAsuAQoIHhYCAgMCQkuwCVBYQCwAAwECAQMCaAAKAAEDCgFbDQkCCAgAUwYLAgAAF0MMBwICAgRT',
+        'BQEEBBUERBtALAADAQIBAwJoAAoAAQMKAVsNCQIICABTBgsCAAAXQwwHAgICBFMFAQQEGAREWUAkQkEyMQEAR0ZBS0JLOjgxQDJALCoiIBwaFBIPDQkH',
+        'ADABMA4PKwEyHgIVFAYjIR4DMzI+AjMyHwEOAyMiJicOASMiLgI1ND4CMzIWFz4BATI2NTQuAiMiDgIVFBYBIg4CByE0LgIE9FKNZzsQGf2NBC5NaUE9',
+        'WUAtEhUMMyFXY2o0d783NsGJZKR1QEB3p2aDvjUyu/2ni4giRGhFR2hFIokDZT1gRSoHAfwfPFcEBUB6r3ApHVuHWiwfJB8RQSg7JhNzd3B6SYjAeHfB',
+        'iEp5bml+/HjJtFqPYjQ0Yo9atMkDBSlOcEZBb1AtAAD//wA6//AD2wb2ACYANgAAAAcBDAEGAAD//wA+//ADDwWpAiYAVgAAAAcAdgCnAAD//wA6//AD',
+        '2wbcAiYANgAAAAcBDgEQAAD//wA+//ADDwWZAiYAVgAAAAcA3ACXAAD//wAIAAAE5AbyAiYAPAAAAAcBCgFEAAD//wBWAAAElAb2AiYAPQAAAAcBDAFO',
+        'AAD//wBGAAADVQWpAiYAXQAAAAcAdgC0AAD//wBWAAAElAcTAiYAPQAAAAcBEAFYAAD//wBGAAADVQW6AiYAXQAAAAcA3wC1AAD//wBWAAAElAbcAiYA',
+        'PQAAAAcBDgFYAAD//wBGAAADVQWZAiYAXQAAAAcA3AC0AAAAAQBq/qAD8gWuACMANkAzDQEBBgFCBQECBwEGAQIGWQAEBANTAAMDFEMAAQEAVAAAABEA',
+        'RAAAACMAIxUjExoiEwgVKwEDDgEjNTQzMj4CNxMnLgE9ATM3PgEzFRQGIyIOAg8BIRUCoVkZ79Y8LVE/LAhZmxUV1RUY69ocHy5RQC0JFgFCAwD9Js25',
+        'XjkaOlxEAtAPAhkTSajGv2IdFxo6XUSigQABAAAEkQJkBZkADQAaQBcFAQACAUIBAQACAGsAAgIMAkQRJyADEisBIyIvAg8BDgErARMzAmR3FROAERCB',
+        'BhYMe9+mBJEOfhERfgUJAQgAAAEAAASRAmQFmQARABpAFwcBAgABQgACAAJrAQEAAAwARBErIAMSKxEzMhYfARYXPgE/AT4BOwEDI3sMFgaACwYFBwWA',
+        'BhcLd9+mBZkKBX0JCgUKBH0GCf74AAD//wAUBM8CUgVEAgYAcQAAAAEAIASMAkQFmQAVACBAHQACBAEAAgBXAwEBAQwBRAEAERAMCgYFABUBFQUPKwEi',
+        'LgI1MxQeAjMyPgI1MxQOAgEyTWhBHH4OIjkrKzkiDn4cQWkEjCtJYjchOSgXFyg5ITdiSSsAAAAAAQC0BL0BsQW6ABMAEkAPAAAAAVMAAQEOAEQoJAIR',
+        'KwEUDgIjIi4CNTQ+AjMyHgIBsRUjLhoaLSIUFCItGhouIxUFOhotIhQUIi0aGi8jFBQjLwAAAgBqBGsB+wXeABMAHwA9S7AcUFhAEgACAAECAVcAAwMA',
+        'UwAAAA4DRBtAGAAAAAMCAANbAAIBAQJPAAICAVMAAQIBR1m1JCYoJAQTKxM0PgIzMh4CFRQOAiMiLgI3FBYzMjY1NCYjIgZqIDdIKClJOCAgOEkpKEg3',
+        'IGQ2Ly03Ny0vNgUjKkQyGxsyRCopRDAbGzBEKSw4OCwtODgAAQCG/qoB8QANABwAWUuwFVBYQAsEAQEAAUIQDwIAQBtACwQBAQIBQhAPAgBAWUuwFVBY',
+        'QA0CAwIAAAFTAAEBEQFEG0ARAwEAAgBqAAICAVMAAQERAURZQAwBABkXCAYAHAEcBA8rBTIWHwEOASMiJjU0PgI3Fw4DFRQWMzI+AgHDBwkCHB5dM1hl',
+        'GSs7IlwUKiIWMSoXHhQN0wgFQhcdT0IfOzYvEw0LHycvGiYrBwkIAAAAAQASBK4CWQWJABoAUUuwLlBYQBUGAQAEAQIAAlcAAwMBUwUBAQEMA0QbQBwG',
+        'AQADAgBPBQEBAAMCAQNbBgEAAAJTBAECAAJHWUASAQAXFREQDw0KCAQDABoBGgcPKwEyNjczFA4CIyIuAiMiByM0PgIzMh4CAaEkJwFsGS9BKCM9NjAX',
+        'SAJvGjBCJyM9Ni8FLSosL084Hx0iHVgwTzkfHSIdAAACAF4EiwLnBakACQATACNAIAIBAAABUwUDBAMBARQARAoKAAAKEwoSDw0ACQAIIwYQKwEDDgEr',
+        'ATc+ATMhAw4BKwE3PgEzAa3HDB0VSooNISEBsPMOGxRWtBAeIQWp/v4QDPIXFf7+Dw3yFhYAAAAAAQAw//QErwP1ACEAWbUQAQEEAUJLsChQWEAZBQIC',
+        'AAAGUwcBBgYPQwAEBAFTAwEBAQ0BRBtAHQUCAgAABlMHAQYGD0MAAQENQwAEBANTAAMDGANEWUAOAAAAIQAgEzYjEREjCBUrARUUBisBESMRIREUBiMi',
+        'Jic3PgMzMjY1ESM1ND4CMwSvHh2Isv5zeYEiQh8HAggQGhRCOb0JERoRA/VIFyT8jgNy/YJ3iQwRSwkLBQE+QgJ8QAsYEw0AAAAAAQCcAg0DvAKPAAMA',
+        'F0AUAAABAQBNAAAAAVEAAQABRREQAhErEyEVIZwDIPzgAo+CAAAAAAEAnAINBc4CjwADABdAFAAAAQEATQAAAAFRAAEAAUUREAIRKxMhFSGcBTL6zgKP',
+        'ggAAAAABADoD9AEnBfkAGAAGswYAASgrEy4BNTQ2NxceARUUBw4DFRQWFxYVFAdyHRtZUDcIBQoQHhgOExcHGwP0MGEwWqVFIgUMBg4KFCwxNh4gRCYL',
+        'DBgKAAAAAQBaA98BRgXkABgABrMGAAEoKwEeARUUBgcnLgE1NDc+AzU0JicmNTQ3AQ8dGllPNwgFChAeGA4TFwcbBeQwYDBbpUUiBQwGDgoTLTE2HiBE',
+        'JgsLGAsAAAEAWv7sAUYA8QAYAAazBgABKCslHgEVFAYHJy4BNTQ3PgM1NCYnJjU0NwEPHRpZTzcIBQoQHhgOExcHG/EwYDBbpUUiBQwGDgoTLTE2HiBE',
+        'JgsLGAsAAAACADoD9AJXBfkAGAAxAAi1HxkGAAIoKxMuATU0NjcXHgEVFAcOAxUUFhcWFRQHFy4BNTQ2NxceARUUBw4DFRQWFxYVFAdyHRtZUDcIBQoQ',
+        'HhgOExcHG8MdG1lQNwgFChAeGA4TFwcbA/QwYTBapUUiBQwGDgoULDE2HiBEJgsMGAosMGEwWqVFIgUMBg4KFCwxNh4gRCYLDBgKAAACAFoD3wJ2BeQA',
+        'GAAxAAi1HxkGAAIoKwEeARUUBgcnLgE1NDc+AzU0JicmNTQ3JR4BFRQGBycuATU0Nz4DNTQmJyY1NDcBDx0aWU83CAUKEB4YDhMXBxsBnR0aWU83CAUK',
+        'EB4YDhMXBxsF5DBgMFulRSIFDAYOChMtMTYeIEQmCwsYCywwYDBbpUUiBQwGDgoTLTE2HiBEJgsLGAsAAAAAAgBa/uwCdgDxABgAMQAItR8ZBgACKCsl',
+        'HgEVFAYHJy4BNTQ3PgM1NCYnJjU0NyUeARUUBgcnLgE1NDc+AzU0JicmNTQ3AQ8dGllPNwgFChAeGA4TFwcbAZ0dGllPNwgFChAeGA4TFwcb8TBgMFul',
+        'RSIFDAYOChMtMTYeIEQmCwsYCywwYDBbpUUiBQwGDgoTLTE2HiBEJgsLGAsAAQB2/poEEgXCAB8AM0AwDQkCAAEOCAIDABwYAgQDA0IAAQEOQwUBAwMA',
+        'UwIBAAAPQwAEBBkERBMjEyQmIgYVKxM0NjMyHgIXAzYzMhcDPgE3MhYdASEREwYjIicTESF2KSsiTFBQJxgoNTcmF06hRSwo/ngXJjc1KBj+dwOWHzAJ',
+        'CgwDAegXF/4YBxoBMB88/mD89xcXAwkBoAAAAQB2/poEEgXCAC8AR0BEDQkCAAEOCAIDACUfAgUEJCACBgUEQggBBAcBBQYEBVsAAQEOQwkBAwMAUwIB',
+        'AAAPQwAGBhkGRC8uEyQkIxETJCYiChgrEzQ2MzIeAhcDNjMyFwM+ATcyFh0BIREhFRQGIy4BJxMGIyInEw4BByImPQEhESF2KSsiTFBQJxgoNTcmF06h',
+        'RSwo/ngBiCgsRaFOFyY3NSgYTqJFKykBif53A5YfMAkKDAMB6BcX/hgHGgEwHzz9qDwfMAEZB/4ZFxcB5wcZATAfPAJYAAAAAAEA0ADgA7cDyAATACxL',
+        'sBdQWEALAAEBAFMAAAAPAUQbQBAAAAEBAE8AAAABUwABAAFHWbMoJAIRKxM0PgIzMh4CFRQOAiMiLgLQO2SHTE2IZTs7ZYhNTIdkOwJTTYhlOztliE1N',
+        'h2Q7O2SHAAMAWP/xBVYA7AATACcAOwAaQBcEAgIAAAFTBQMCAQEVAUQoKCgoKCQGFSs3ND4CMzIeAhUUDgIjIi4CJTQ+AjMyHgIVFA4CIyIuAiU0PgIz',
+        'Mh4CFRQOAiMiLgJYEyEuGhouIhMTIi4aGi4hEwQFEyEuGhouIhMTIi4aGi4hE/39EyEuGhouIhMTIi4aGi4hE24aLiIUFCIuGhstIhMTIi0bGi4iFBQi',
+        'LhobLSITEyItGxouIhQUIi4aGy0iExMiLQAAAAAHAEj/7wi5BacAEwAnADEARQBZAG0AgQC5S7AcUFhAKwADAAAHAwBbCwEHDAEICQcIWwACAgFTBAEB',
+        'ARRDDQEJCQVTCgYCBQUNBUQbS7AiUFhALwADAAAHAwBbCwEHDAEICQcIWwACAgFTBAEBARRDAAUFDUMNAQkJBlMKAQYGFQZEG0AzAAMAAAcDAFsLAQcM',
+        'AQgJBwhbAAQEDEMAAgIBUwABARRDAAUFDUMNAQkJBlMKAQYGFQZEWVlAFX58dHJqaGBeVlQoKCUjJigoKCQOGCsBFA4CIyIuAjU0PgIzMh4CBzQuAiMi',
+        'DgIVFB4CMzI+AgE+ATsBAQ4BKwEBFA4CIyIuAjU0PgIzMh4CBzQuAiMiDgIVFB4CMzI+AiUUDgIjIi4CNTQ+AjMyHgIHNC4CIyIOAhUUHgIzMj4CAsM0',
+        'V3Q/RHNWMDBWc0RDdVUxixwxQSUlQTAbGzBBJSVBMRwChQkcGID76QocE4QFNTRXcz9Ec1YwMFZzREN0VjCKHDFBJSVBMBsbMEElJUExHANoNFd0P0Rz',
+        'VjAwVnNEQ3VVMYscMUElJUEwGxswQSUlQTEcBD9UhVswMFuFVFaGXDAwXIZWQlw7Gho7XEJBWzkZGTlbAX0NEfqEDRABUlSEWzAwW4RUVodcMDBch1ZC',
+        'XToaGjpdQkFaORkZOVpBVIRbMDBbhFRWh1wwMFyHVkJdOhoaOl1CQVo5GRk5WgABAIoAgQHZA6IAFAAGsxQCASgrEzUTFx4BFRQHAwYHFhcTHgEVFA8B',
+        'ivk6Dg4Knw4ODw2fBQUcOgIGFwGFHAcWDREQ/vsYDQ4W/vsIEggcDRwAAAABAJYAgQHlA6IAEgAGsxICASgrARUDJyY1NDcTNjcmJwMmNTQ/AQHl+Toc',
+        'Cp8NDgwPnwocOgIdF/57HA0cEREBBRgMCxoBBRERHA0cAAAAAAH/RAAAAyMFmQAJABJADwABAQxDAAAADQBEIyICESsnDgErAQE+ATsBFBMsHUwDMhIu',
+        'IE01HxYFXB0gAAEAIv/xBHIFpwBHAFtAWAkBAgM1AQgJAkIAAgMAAwIAaAAJBwgHCQhoBAEADQEFBgAFWwwBBgsBBwkGB1sAAwMBUwABARRDAAgIClMA',
+        'CgoVCkRHRkA/Pj05NzIwIiMWIxIjJSQQDhgrEzM+AzMyFhcHDgEjIi4CIyIGByEVFAYjIQ4BFRwBFyEVFAYjIR4BMzI+BDMyFh8BDgEjIi4CJyM1MyY0',
+        'NTQ2NyMikxRfjbhshr5GPQgQDhElPmFLksEgAiMbGP4EAQEBAdMcGP5qHMCSNlI8KyAZDAgMCEtG0I90uohXEI6GAQEBhwODfsuPTGRYRAkNJi4myMA3',
+        'Eh0UKBUQHg84ER3OzhUgJSAVBwdGZnFPk9ODZg8eEBQpFAAAAAIAQANJBSkFmQAeACYAQ0BAFxYPDgMFAgUBQgACBQEFAgFoBwEFBQBTCQgEAwAADEMG',
+        'AwIBAQBTCQgEAwAADAFEHx8fJh8mEREUIRQ0ESkKFysBHgEXPgE3Ez4BOwERIxE3AwYrASInAxcRIxEzMhYXJxUjESMRIzUDwwYLBAUICKkJEBBqbgm3',
+        'DR8SHwy4CG5qEQ4L9LR+tARVDhkODhkOAS8NCP2wAW1L/rAcHAFNSP6TAlAIDRVp/hkB52kAAAEAVgAABX4FqQA3ADFALjEdFQEEAgABQgAAAANTAAMD',
+        'FEMEAQICAVMGBQIBAQ0BRAAAADcANhoqEyoqBxQrIRE+AzU0LgIjIg4CFRQeAhcRISImPQEhNS4DNTQ+AjMyHgIVFA4CBxUhFRQGIwNEUYhjN0V7qWRk',
+        'qXtFN2KJUf4IHiQBo2CbbDtjr/KPj/KvYzttm2ABpCQeAbYPQWePXWujbTg4baNrXY9nQQ/+SiMcZK4XYIiuZYDWmlZWmtaAZa6IYBeuZBwjAAAAAAIA',
+        'XP/zBDIFqAAqAD4AQ0BAAAEDADAcAgUGAkIABAMCAwQCaAACAAYFAgZbAAMDAFMAAAAUQwcBBQUBUwABARgBRCwrNjQrPiw+IycoKCQIFCsBPgMzMh4C',
+        'FRQCDgEjIi4CNTQ+AjMyFhc+ATU0JiMiDgIjIiYnEzI+AjcuAyMiDgIVFB4CAVwnSU5WM1qUaDlJk92UVpFoOkyIvHBomjACAYp8Kkc4Kg0LEwt4Qndg',
+        'RxQKJj5XOlSCWC0gPFUFORsqHA5KjMqAyv6v84c5a5hfc8qUVllWJUMaxssUGRQMEvuJN3CqcyxTQCY+bZVXQWZGJQACAA4AAAViBZkAAwAMAB5AGwkB',
+        'AgABQgAAAAxDAAICAVIAAQENAUQRERADEisBMwEhJSEBLgEnDgEHAmCvAlP6rAEDA03+gAkUCQkTCQWZ+mecA78XOiIiOxcAAAEAPv6pBRkFmQALACRA',
+        'IQQCAgAABVEGAQUFDEMDAQEBEQFEAAAACwALEREREREHFCsBFSMRIxEhESMRIzUFGbu4/gu4uwWZmfmpBlf5qQZXmQAAAAEAVP6pBQMFmQASACZAIw4F',
+        'BAMCAQFCAAEBAFEAAAAMQwACAgNRAAMDEQNEERMREAQTKxMhFSEBFQEhFSE1NDY3CQEuATVUBK/8ZQI9/cMDm/tRCQoCdf2LCwgFmZn9OzT9O5lBDh0M',
+        'AwIC/Q0dDgABAJQCXAPwAuMAAwAXQBQAAAEBAE0AAAABUQABAAFFERACESsTIRUhlANc/KQC44cAAAAAAQAuAAAE1wawABcAIkAfDQEDAAFCAAIBAmoA',
+        'AQAAAwEAWwADAw0DRBEsIyAEEysBIyImPQEhMhYXEx4BFz4BNwE+ATsBASMBHqscKQFPFhwFlgwMBAULCQGwBRwUc/3WlQKXISk5Fg/+ZSBEIhs4HQVH',
+        'EBX5UAAAAwA6AP4FIAOgACcAOwBPAExASUstGQUEBAUBQgMBAgcBBQQCBVsKBgkDBAAABE8KBgkDBAQAUwEIAgAEAEc9PCkoAQBHRTxPPU8zMSg7KTsf',
+        'HRUTCwkAJwEnCw8rJSIuAicOAyMiLgI1ND4CMzIeAhc+AzMyHgIVFA4CJTI+AjcuAyMiDgIVFB4CITI+AjU0LgIjIg4CBx4DA+o4W01BHB1BTFw3PnFV',
+        'MjJVcT43XExBHRxBTVs4PnBWMjJWcP1PJD43MhkZMjc+JCQ/MBwcMD8CkCQ/LxwcLz8kJD44MhkZMjg+/iI7TCoqTDsiMFl8TEx8WDEiO0wqKkw7IjFY',
+        'fExMfFkwkh41RScnRTQfGC9IMDBILxgYL0gwMEgvGB80RScnRTUeAAAB/5b+ogNcBakAIwAoQCUGAQEAGAECAwJCAAEBAFMAAAAUQwADAwJTAAICEQJE',
+        'NicnIgQTKwE+ATMyFhcHDgMjIgYHAw4DIyImJzc+AzMyPgI3AXYVtJImRSAIAggSHhhkbw+CDUFjgUsjSh4KAwkUIBk6Vz0lCARDrrgOEFYJDgoFbXb7',
+        '+maSXy0NEEwMDQYBGztdQgAAAAIAsAF+A9gDxQAbADcAw0AWFAUCAAMTBgIBAjAhAgQHLyICBQYEQkuwCVBYQCsAAwACAQMCWwgBAAABBwABWwkBBAYF',
+        'BE8ABwAGBQcGWwkBBAQFUwAFBAVHG0uwFVBYQCQIAQAAAQcAAVsABwAGBQcGWwkBBAAFBAVXAAICA1MAAwMPAkQbQCsAAwACAQMCWwgBAAABBwABWwkB',
+        'BAYFBE8ABwAGBQcGWwkBBAQFUwAFBAVHWVlAGh0cAQA0MispJiQcNx03GBYPDQoIABsBGwoPKwEyPgI3Fw4BIyIuAiMiDgIHJz4BMzIeAhMyPgI3Fw4B',
+        'IyIuAiMiDgIHJz4BMzIeAgMTHTYuIgkZI3A9NGdlXy0eOC4iCR0jcUI1aGRfLR02LiIJGSNwPTRnZV8tHjguIgkdI3FCNWhkXwNaDhUYC3IvLiEoIQ0V',
+        'GQxtMzEhKSH+rg0VGAtxMC4hKSEOFRkMbTMxISghAAEAlgC7A/EEfgATAGtLsAtQWEApAAEAAAFeAAYFBQZfAgEACQEDBAADWggBBAUFBE0IAQQEBVEH',
+        'AQUEBUUbQCcAAQABagAGBQZrAgEACQEDBAADWggBBAUFBE0IAQQEBVEHAQUEBUVZQA0TEhEREREREREREAoYKxMhNzMHMxUhByEVIQcjNyE1ITchlgHp',
+        'coFy8f7QXwGP/jJ3gXf+9AFLX/5WA43x8YfIh/z8h8gAAgCUAFADmgSQABEAFQAhQB4REAgBAAUAQAAAAQEATQAAAAFRAAEAAUUVFBMSAg8rEwEVFAYH',
+        'BQYHHgEXBR4BHQEBESEVIZQDBhIa/kcuMxoyFQG5GRP8+gMG/PoDFwF5ehAbDM8SDAUPCtEMGxB6AXv+CocAAAAAAgDuAFAD9ASQABEAFQAhQB4RCQIB',
+        'AAUBQAABAAABTQABAQBRAAABAEUVFBMSAg8rARUBNTQ2NyU2Ny4BJyUuAT0BASE1IQP0/PoTGQG5KTgbMRX+RxoSAwb8+gMGAxdK/oV6EBsM0RMLBg4K',
+        'zwscEHr7wIcAAAAAAgCA/4kECAXyAAUAFAAiQB8RDgoGAwAGAQABQgAAAQEATQAAAAFRAAEAAUUSEQIRKxMBMwkBIwMBHgEXPgE3CQEmJw4BB4ABhnwB',
+        'hv56fPIBFAgPBQUOCQEY/ugSCgUPCAK9AzX8y/zMAzT9uxcmEhImFwJFAkYrIxImFgAAAAAB//7+qQACBcEAAwASQA8AAAAOQwABAREBRBEQAhErAzMR',
+        'IwIEBAXB+OgAAAEAGgAAA8sFvwAhAGFACxEQAgIBAQEEBQJCS7AyUFhAHQACAgFTAAEBDkMABQUAUQMBAAAPQwcGAgQEDQREG0AbAwEAAAUEAAVZAAIC',
+        'AVMAAQEOQwcGAgQEDQREWUAOAAAAIQAhERETVSUWCBUrMxEnLgE9ATM1ND4CMzIWFwcOASMiJiMiBh0BIREjESERunAVG6A6dK1zJk8dBgIUEwsYD7Gh',
+        'AmSy/lQDXQ0FFRRJOF2bcD4KCl0NBwGTlDP8HwNg/KAAAAAAAQAaAAAD8gW0AB8AjbUBAQMGAUJLsCZQWEAeAAQEAVMCAQEBDkMABgYAUQUBAAAPQwgH',
+        'AgMDDQNEG0uwMlBYQCIAAgIUQwAEBAFTAAEBDkMABgYAUQUBAAAPQwgHAgMDDQNEG0AgBQEAAAYDAAZZAAICFEMABAQBUwABAQ5DCAcCAwMNA0RZWUAP',
+        'AAAAHwAfERNBESElFgkWKzMRJy4BPQEzNTQ+AjMyFjsBESMRLgEjIgYdASEVIRG6cBUboDRonGhTmUhksjZtKIKMAQj+/gNdDQUVFEk2VJdwQg36WQUq',
+        'AgaVhjaB/KAAAAABAMz+lQGK/7AADQAZQBYCAQAAAVMAAQEZAUQBAAwKAA0BDQMPKwUyFhUUDgIHDgErARMBaBcLBQ8ZEwodGT4xUBUMCh4ySDQWDgEb',
+        'AAAAAAH/1AYKAcQG9gAJABdAFAIBAAEAagABAWEBAAYEAAkBCQMPKxMyFh8BIyImJyWdICAU04sVGBH+2Qb2DRTLBwzZAAAAAv/wBhYCdgbyABMAJwAc',
+        'QBkDAQEAAAFPAwEBAQBTAgEAAQBHKCgoJAQTKxMUDgIjIi4CNTQ+AjMyHgIFFA4CIyIuAjU0PgIzMh4CzBIeKRcVJx4SEh4nFRcpHhIBqhIeKBYXKB4R',
+        'ER4oFxYoHhIGghYnHhERHicWFykeEhIeKRcWJx4RER4nFhcpHhISHikAAQBEBicCIgaRAAMAF0AUAAABAQBNAAAAAVEAAQABRREQAhErEyEVIUQB3v4i',
+        'BpFqAAAAAAEAogYKApIG9gALABZAEwIBAQABagAAAGEAAAALAAojAxArAQUOASsBNz4DMwKS/toRGhWK0woREhYRBvbYDAjLCgwIAwAAAAH/7AYKAngG',
+        '3AAQABhAFQcBAAIBQgACAAJqAQEAAGERKiADEisBIyImLwEmJwYPAQ4BKwE3MwJ4hwwcCYIIBAgEggkcDIfusAYKBwZfBAQGAl8GB9IAAAAB/+wGCgJ4',
+        'BtwAEgAYQBUKAQABAUICAQEAAWoAAABhLCEQAxIrASMnMzIWHwEeARc+AT8BPgE7AQGKsO6HDBwJggMHAgIHA4IJHAyHBgrSBwZeAgYDAwYCXgYHAAEA',
+        'HAX3AkoG3AANAChAJQMBAQIBagACAAACTwACAgBTBAEAAgBHAQALCggGBAMADQENBQ8rASImNTMUFjMyNjUzFAYBM4mOc05WVk5zjwX3c3I7PT07aXwA',
+        'AAAAAQC4Bh8BrAcTABMAF0AUAAEAAAFPAAEBAFMAAAEARygkAhErARQOAiMiLgI1ND4CMzIeAgGsFCItGRgsIRMTISwYGS0iFAaYGCwhFBQhLBgZLCIU',
+        'FCIsAAIAdgXNAfEHLQATAB8AIUAeAAAAAwIAA1sAAgEBAk8AAgIBUwABAgFHJCYoJAQTKxM0PgIzMh4CFRQOAiMiLgI3FBYzMjY1NCYjIgZ2HzNEJidF',
+        'NR4eNUUnJkQzH1k2Ly03Ny0vNgZ7J0IvGhovQicmQC4aGi5AJis5OSstODgAAQAaBggCVgbSABsAMUAuBgEAAwIATwUBAQADAgEDWwYBAAACUwQBAgAC',
+        'RwEAGBYSEQ8NCggEAwAbARsHDysBMjY3MxQOAiMiLgIjIgYHIzQ+AjMyHgIBqyMlAWIWKj4oI0A7NBgiJQFkFys/JyNAOjQGfyklK0g1HRofGiskK0k0',
+        'HhofGgAAAAIATgYKAvoG6wAJABMAK0AoBQMEAwEAAAFPBQMEAwEBAFMCAQABAEcKCgAAChMKEg8NAAkACCMGECsBBw4BKwE3PgEzIQcOASsBNz4BMwGo',
+        'xw4bFFaOECYhAcfzER0VYLMTKCAG68YODbUUGMYNDrUUGAAAAQDSBHwBogXDAA0AGUAWAAEBAFMCAQAADgFEAQAMCgANAQ0DDysBMhYVFA4CBw4BKwET',
+        'AYEWCwcSIBkKHRk+OQXDFQwKITtaQhYOAUcAAAABAAAAARqgqN1D8F8PPPUAGQfQAAAAAMqTXnAAAAAAzdOh4/9E/pMIuQctAAAACQACAAAAAAAAAAEA',
+        'AAe2/lYAAAkC/0T/Qwi5AAEAAAAAAAAAAAAAAAAAAAEVBCcALQAAAAAAAAAAAYIAAAKuANoDGgCYBIgANgSIAGoGJABIBX4AUgHMAJgCWACGAlgASgMg',
+        'AGAEiABkAagAXgK2AGQBqABYAur/9ASIADwEiADKBIgAaASIAGwEiAAoBIgAbASIAGwEiABuBIgAYASIAJQB+ACAAfgAgASIAJQEiACWBIgA7gMcACIG',
+        'bABWBVAACgUOAK4FWgBaBeIArgSKAK4EbACuBbwAWgXoAK4CZgDSA3gAPAVSAMIEBACuBzAArgXoAK4GPABcBMYAwgY8AFwFCADCBCQAOgScABwFtACg',
+        'BVAACAf2AA4FBgAOBOoACATgAFYCWACOAu7/7AJYAFoEiACeAxQAAAJmACYD9gBcBF4AmAOmAEoEXgBIBBgASgKiABoD/gAyBFgAkgIAAIIB/P/IBBgA',
+        'mAIAAKYGagCSBFgAkgRYAEgEUACSBF4ASAMmAJIDZAA+AuoALARYAHoEAAASBfwADgPwABwEAAAOA5wARgJYACwCWADmAlgAWASIAHQBggAAAq4A2gSI',
+        'AIoEiAA0BIgAhASIACwCWADmA+4AcgJmAA4GPABEAqwAXAOeAIoEiACUArYAZAY8AEQCZgAUAxoARgSIAGQCmABSApgAVAJmAMQEWAB6BToAKgIiAHwC',
+        'ZgCEApgAeAL6AEgDngCWBZAAZgWQAGYFkgBEAxwALAVQAAoFUAAKBVAACgVQAAoFUAAKBVAACgdC/+gFWgBaBIoArgSKAK4EigCuBIoArgJm/8wCZgCa',
+        'Amb/7wJm//IGKgAyBegArgY8AFwGPABcBjwAXAY8AFwGPABcBIgAfgY8AFwFtACgBbQAoAW0AKAFtACgBOoACATGAMIEwgC6A/YAXAP2AFwD9gBcA/YA',
+        'XAP2AFwD9gBcBmAAXAOmAEoEGABKBBgASgQYAEoEGABKAgD/+QIAAJcCAP/SAgD/4QRSAEwEWACSBFgASARYAEgEWABIBFgASARYAEgEiABkBFgAQARY',
+        'AHoEWAB6BFgAegRYAHoEAAAOBFAAkgQAAA4FUAAKA/YAXAVaAFoDpgBKBKQArgQYAEoCAACmBD4ALAKCADYF6ACuBFgAkgiQAFwGxgBIBEgAOgNkAD4E',
+        'JAA6A2QAPgTqAAgE4ABWA5wARgTgAFYDnABGBOAAVgOcAEYEiABqAmYAAAJmAAACZgAUAmYAIAJmALQCZgBqAmYAhgJmABICZgBeBNQAMARYAJwGagCc',
+        'AagAOgGoAFoBqABaAtgAOgLYAFoC2ABaBIgAdgSIAHYEiADQBa4AWAkCAEgCeACKAngAlgJm/0QEiAAiBaAAQAXWAFYEiABcBXAADgVYAD4FWABUBIgA',
+        'lAR6AC4FWAA6AyD/lgSIALAEiACWBIgAlASIAO4EiACAAAD//gR0ABoEpAAaAmYAzAJm/9QCZv/wAmYARAJmAKICZv/sAmb/7AJmABwCZgC4AmYAdgJm',
+        'ABoCZgBOAmYA0gAAAAEAAGzgAAESI2AAAAwM0gAFAAn/SgAFAA//HAAFABD/TgAFABH/HAAFABL/SgAFACP/0gAFACT/SgAFACb/0gAFACr/0gAFADL/',
+        '0gAFADT/0gAFADkAMAAFADoAMAAFADwAHgAFAD8AMAAFAET/wAAFAEb/pAAFAEf/pAAFAEj/pAAFAFL/pAAFAFT/pAAFAG3/TgAFAG//TgAFAHn/TgAF',
+        'AH3/TgAFAIL/SgAFAIP/SgAFAIT/SgAFAIX/SgAFAIb/SgAFAIf/SgAFAIj/SgAFAIn/0gAFAJT/0gAFAJX/0gAFAJb/0gAFAJf/0gAFAJj/0gAFAJr/',
+        '0gAFAJ8AHgAFAKL/wAAFAKP/wAAFAKT/wAAFAKX/wAAFAKb/wAAFAKf/wAAFAKj/wAAFAKn/pAAFAKr/pAAFAKv/pAAFAKz/pAAFAK3/pAAFALL/pAAF',
+        'ALT/pAAFALX/pAAFALb/pAAFALf/pAAFALj/pAAFALr/pAAFAML/SgAFAMP/wAAFAMT/0gAFAMX/pAAFAMf/pAAFAM3/0gAFAM7/pAAFANMAHgAFAOX/',
+        'TgAFAOb/TgAFAOn/HAAFAOz/HAAFAO//TgAFAPL/TgAFAPP/TgAFAPn/SgAKAAn/SgAKAA//HAAKABD/TgAKABH/HAAKABL/SgAKACP/0gAKACT/SgAK',
+        'ACb/0gAKACr/0gAKADL/0gAKADT/0gAKADkAMAAKADoAMAAKADwAHgAKAD8AMAAKAET/wAAKAEb/pAAKAEf/pAAKAEj/pAAKAFL/pAAKAFT/pAAKAG3/',
+        'TgAKAG//TgAKAHn/TgAKAH3/TgAKAIL/SgAKAIP/SgAKAIT/SgAKAIX/SgAKAIb/SgAKAIf/SgAKAIj/SgAKAIn/0gAKAJT/0gAKAJX/0gAKAJb/0gAK',
+        'AJf/0gAKAJj/0gAKAJr/0gAKAJ8AHgAKAKL/wAAKAKP/wAAKAKT/wAAKAKX/wAAKAKb/wAAKAKf/wAAKAKj/wAAKAKn/pAAKAKr/pAAKAKv/pAAKAKz/',
+        'pAAKAK3/pAAKALL/pAAKALT/pAAKALX/pAAKALb/pAAKALf/pAAKALj/pAAKALr/pAAKAML/SgAKAMP/wAAKAMT/0gAKAMX/pAAKAMf/pAAKAM3/0gAK',
+        'AM7/pAAKANMAHgAKAOX/TgAKAOb/TgAKAOn/HAAKAOz/HAAKAO//TgAKAPL/TgAKAPP/TgAKAPn/SgALACP/2AALACb/2AALACr/2AALADL/2AALADT/',
+        '2AALAEb/4AALAEf/4AALAEj/4AALAFL/4AALAFT/4AALAIn/2AALAJT/2AALAJX/2AALAJb/2AALAJf/2AALAJj/2AALAJr/2AALAKn/4AALAKr/4AAL',
+        'AKv/4AALAKz/4AALAK3/4AALALL/4AALALT/4AALALX/4AALALb/4AALALf/4AALALj/4AALALr/4AALAMT/2AALAMX/4AALAMf/4AALAM3/2AALAM7/',
+        '4AANAAn/SgANAA//HAANABD/TgANABH/HAANABL/SgANACP/0gANACT/SgANACb/0gANACr/0gANADL/0gANADT/0gANADkAMAANADoAMAANADwAHgAN',
+        'AD8AMAANAET/wAANAEb/pAANAEf/pAANAEj/pAANAFL/pAANAFT/pAANAG3/TgANAG//TgANAHn/TgANAH3/TgANAIL/SgANAIP/SgANAIT/SgANAIX/',
+        'SgANAIb/SgANAIf/SgANAIj/SgANAIn/0gANAJT/0gANAJX/0gANAJb/0gANAJf/0gANAJj/0gANAJr/0gANAJ8AHgANAKL/wAANAKP/wAANAKT/wAAN',
+        'AKX/wAANAKb/wAANAKf/wAANAKj/wAANAKn/pAANAKr/pAANAKv/pAANAKz/pAANAK3/pAANALL/pAANALT/pAANALX/pAANALb/pAANALf/pAANALj/',
+        'pAANALr/pAANAML/SgANAMP/wAANAMT/0gANAMX/pAANAMf/pAANAM3/0gANAM7/pAANANMAHgANAOX/TgANAOb/TgANAOn/HAANAOz/HAANAO//TgAN',
+        'APL/TgANAPP/TgANAPn/SgAPAAX/HAAPAAr/HAAPAA3/HAAPABD/eAAPACP/yAAPACb/yAAPACr/yAAPADL/yAAPADT/yAAPADf/TAAPADn/TAAPADr/',
+        'hgAPADz/aAAPAD//TAAPAFn/fAAPAFr/wgAPAFz/fAAPAGz/HAAPAG3/eAAPAG//eAAPAHL/HAAPAHn/eAAPAHz/HAAPAH3/eAAPAIn/yAAPAJT/yAAP',
+        'AJX/yAAPAJb/yAAPAJf/yAAPAJj/yAAPAJr/yAAPAJ//aAAPAMT/yAAPAM3/yAAPANP/aAAPAOX/eAAPAOb/eAAPAOf/HAAPAOj/HAAPAOr/HAAPAOv/',
+        'HAAPAO//eAAPAPL/eAAPAPP/eAAPAPb/HAAQAAX/TgAQAAn/zAAQAAr/TgAQAA3/TgAQAA//eAAQABH/eAAQABL/zAAQACT/zAAQADf/TAAQADn/kAAQ',
+        'ADr/4AAQADv/wgAQADz/YAAQAD3/0gAQAD//kAAQAGz/TgAQAHL/TgAQAHz/TgAQAIL/zAAQAIP/zAAQAIT/zAAQAIX/zAAQAIb/zAAQAIf/zAAQAIj/',
+        'zAAQAJ//YAAQAML/zAAQANP/YAAQANT/0gAQANb/0gAQANj/0gAQAOf/TgAQAOj/TgAQAOn/eAAQAOr/TgAQAOv/TgAQAOz/eAAQAPb/TgAQAPn/zAAR',
+        'AAX/HAARAAr/HAARAA3/HAARABD/eAARACP/yAARACb/yAARACr/yAARADL/yAARADT/yAARADf/TAARADn/TAARADr/hgARADz/aAARAD//TAARAFn/',
+        'fAARAFr/wgARAFz/fAARAGz/HAARAG3/eAARAG//eAARAHL/HAARAHn/eAARAHz/HAARAH3/eAARAIn/yAARAJT/yAARAJX/yAARAJb/yAARAJf/yAAR',
+        'AJj/yAARAJr/yAARAJ//aAARAMT/yAARAM3/yAARANP/aAARAOX/eAARAOb/eAARAOf/HAARAOj/HAARAOr/HAARAOv/HAARAO//eAARAPL/eAARAPP/',
+        'eAARAPb/HAASAAUAMAASAAn/eAASAAoAMAASAA0AMAASAA//QAASABD/kAASABH/QAASABL/eAASAB3/qAASAB7/qAASACIAMAASACP/zAASACT/eAAS',
+        'ACb/zAASACr/zAASAC3/aAASADL/zAASADT/zAASAET/jAASAEb/jAASAEf/jAASAEj/jAASAEn/4gASAEr/eAASAFD/qAASAFH/qAASAFL/jAASAFP/',
+        'qAASAFT/jAASAFX/qAASAFb/lgASAFf/1gASAFj/qAASAFn/0AASAFv/zAASAFz/0AASAF3/rgASAGwAMAASAG3/kAASAG//kAASAHIAMAASAHQAOgAS',
+        'AHUAOgASAHf/qAASAHn/kAASAHsAOgASAHwAMAASAH3/kAASAIL/eAASAIP/eAASAIT/eAASAIX/eAASAIb/eAASAIf/eAASAIj/eAASAIn/zAASAJT/',
+        'zAASAJX/zAASAJb/zAASAJf/zAASAJj/zAASAJr/zAASAKL/jAASAKP/jAASAKT/jAASAKX/jAASAKb/jAASAKf/jAASAKj/jAASAKn/jAASAKr/jAAS',
+        'AKv/jAASAKz/jAASAK3/jAASALL/jAASALP/qAASALT/jAASALX/jAASALb/jAASALf/jAASALj/jAASALr/jAASALv/qAASALz/qAASAL3/qAASAL7/',
+        'qAASAML/eAASAMP/jAASAMT/zAASAMX/jAASAMf/jAASAMz/qAASAM3/zAASAM7/jAASAOX/kAASAOb/kAASAOcAMAASAOgAMAASAOn/QAASAOoAMAAS',
+        'AOsAMAASAOz/QAASAO//kAASAPL/kAASAPP/kAASAPYAMAASAPn/eAAjAAX/0gAjAAn/1gAjAAr/0gAjAAz/2AAjAA3/0gAjAA//yAAjABH/yAAjABL/',
+        '1gAjACT/1gAjADf/ngAjADn/zAAjADv/4gAjADz/sAAjAD3/ugAjAD//zAAjAED/2AAjAGD/2AAjAGz/0gAjAHL/0gAjAHz/0gAjAIL/1gAjAIP/1gAj',
+        'AIT/1gAjAIX/1gAjAIb/1gAjAIf/1gAjAIj/1gAjAJ//sAAjAML/1gAjANP/sAAjANT/ugAjANb/ugAjANj/ugAjAOf/0gAjAOj/0gAjAOn/yAAjAOr/',
+        '0gAjAOv/0gAjAOz/yAAjAPb/0gAjAPn/1gAkAAX/SgAkAAr/SgAkAA3/SgAkABD/zAAkACL/yAAkACP/1gAkACb/1gAkACr/1gAkAC0AMgAkADL/1gAk',
+        'ADT/1gAkADf/fAAkADj/yAAkADn/eAAkADr/rAAkADz/XAAkAD//eAAkAFn/rgAkAFz/rgAkAGz/SgAkAG3/zAAkAG//zAAkAHL/SgAkAHT/SAAkAHX/',
+        'SAAkAHn/zAAkAHv/SAAkAHz/SgAkAH3/zAAkAIn/1gAkAJT/1gAkAJX/1gAkAJb/1gAkAJf/1gAkAJj/1gAkAJr/1gAkAJv/yAAkAJz/yAAkAJ3/yAAk',
+        'AJ7/yAAkAJ//XAAkAMT/1gAkAM3/1gAkANP/XAAkAOX/zAAkAOb/zAAkAOf/SgAkAOj/SgAkAOr/SgAkAOv/SgAkAO//zAAkAPL/zAAkAPP/zAAkAPb/',
+        'SgAmABD/agAmAG3/agAmAG//agAmAHn/agAmAH3/agAmAOX/agAmAOb/agAmAO//agAmAPL/agAmAPP/agAnAAX/0gAnAAn/1gAnAAr/0gAnAAz/2AAn',
+        'AA3/0gAnAA//yAAnABH/yAAnABL/1gAnACT/1gAnADf/ngAnADn/zAAnADv/4gAnADz/sAAnAD3/ugAnAD//zAAnAED/2AAnAGD/2AAnAGz/0gAnAHL/',
+        '0gAnAHz/0gAnAIL/1gAnAIP/1gAnAIT/1gAnAIX/1gAnAIb/1gAnAIf/1gAnAIj/1gAnAJ//sAAnAML/1gAnANP/sAAnANT/ugAnANb/ugAnANj/ugAn',
+        'AOf/0gAnAOj/0gAnAOn/yAAnAOr/0gAnAOv/0gAnAOz/yAAnAPb/0gAnAPn/1gApAAn/fAApAA//TAApABH/TAApABL/fAApAB3/xAApAB7/xAApACIA',
+        'HgApACT/fAApAC3/OgApAEb/ugApAEf/ugApAEj/ugApAFD/xAApAFH/xAApAFL/ugApAFP/xAApAFT/ugApAFX/xAApAFj/xAApAHf/xAApAIL/fAAp',
+        'AIP/fAApAIT/fAApAIX/fAApAIb/fAApAIf/fAApAIj/fAApAKn/ugApAKr/ugApAKv/ugApAKz/ugApAK3/ugApALL/ugApALP/xAApALT/ugApALX/',
+        'ugApALb/ugApALf/ugApALj/ugApALr/ugApALv/xAApALz/xAApAL3/xAApAL7/xAApAML/fAApAMX/ugApAMf/ugApAMz/xAApAM7/ugApAOn/TAAp',
+        'AOz/TAApAPn/fAAtAAn/yAAtAA//zgAtABH/zgAtABL/yAAtACT/yAAtAIL/yAAtAIP/yAAtAIT/yAAtAIX/yAAtAIb/yAAtAIf/yAAtAIj/yAAtAML/',
+        'yAAtAOn/zgAtAOz/zgAtAPn/yAAuABD/wgAuACP/4gAuACb/4gAuACr/4gAuADL/4gAuADT/4gAuAEb/3AAuAEf/3AAuAEj/3AAuAEn/zAAuAFL/3AAu',
+        'AFT/3AAuAFf/rgAuAFn/vgAuAFr/yAAuAFz/vgAuAG3/wgAuAG//wgAuAHn/wgAuAH3/wgAuAIn/4gAuAJT/4gAuAJX/4gAuAJb/4gAuAJf/4gAuAJj/',
+        '4gAuAJr/4gAuAKn/3AAuAKr/3AAuAKv/3AAuAKz/3AAuAK3/3AAuALL/3AAuALT/3AAuALX/3AAuALb/3AAuALf/3AAuALj/3AAuALr/3AAuAMT/4gAu',
+        'AMX/3AAuAMf/3AAuAM3/4gAuAM7/3AAuAOX/wgAuAOb/wgAuAO//wgAuAPL/wgAuAPP/wgAvAAX+3gAvAAr+3gAvAA3+3gAvAA8ANgAvABD/OgAvABEA',
+        'NgAvACL/zgAvACP/sAAvACb/sAAvACr/sAAvADL/sAAvADT/sAAvADf/VAAvADn/SgAvADr/aAAvADz/LAAvAD//SgAvAEb/3AAvAEf/3AAvAEj/3AAv',
+        'AFL/3AAvAFT/3AAvAFn/lAAvAFr/sAAvAFz/lAAvAGz+3gAvAG3/OgAvAG//OgAvAHL+3gAvAHT/NgAvAHX/NgAvAHn/OgAvAHv/NgAvAHz+3gAvAH3/',
+        'OgAvAIn/sAAvAJT/sAAvAJX/sAAvAJb/sAAvAJf/sAAvAJj/sAAvAJr/sAAvAJ//LAAvAKn/3AAvAKr/3AAvAKv/3AAvAKz/3AAvAK3/3AAvALL/3AAv',
+        'ALT/3AAvALX/3AAvALb/3AAvALf/3AAvALj/3AAvALr/3AAvAMT/sAAvAMX/3AAvAMf/3AAvAM3/sAAvAM7/3AAvANP/LAAvAOX/OgAvAOb/OgAvAOf+',
+        '3gAvAOj+3gAvAOkANgAvAOr+3gAvAOv+3gAvAOwANgAvAO//OgAvAPL/OgAvAPP/OgAvAPb+3gAyAAX/0gAyAAn/1gAyAAr/0gAyAAz/2AAyAA3/0gAy',
+        'AA//yAAyABH/yAAyABL/1gAyACT/1gAyADf/ngAyADn/zAAyADv/4gAyADz/sAAyAD3/ugAyAD//zAAyAED/2AAyAGD/2AAyAGz/0gAyAHL/0gAyAHz/',
+        '0gAyAIL/1gAyAIP/1gAyAIT/1gAyAIX/1gAyAIb/1gAyAIf/1gAyAIj/1gAyAJ//sAAyAML/1gAyANP/sAAyANT/ugAyANb/ugAyANj/ugAyAOf/0gAy',
+        'AOj/0gAyAOn/yAAyAOr/0gAyAOv/0gAyAOz/yAAyAPb/0gAyAPn/1gAzAAn/dgAzAA//CAAzABH/CAAzABL/dgAzACT/dgAzAC3/SgAzAET/zgAzAEb/',
+        '4gAzAEf/4gAzAEj/4gAzAFL/4gAzAFT/4gAzAIL/dgAzAIP/dgAzAIT/dgAzAIX/dgAzAIb/dgAzAIf/dgAzAIj/dgAzAKL/zgAzAKP/zgAzAKT/zgAz',
+        'AKX/zgAzAKb/zgAzAKf/zgAzAKj/zgAzAKn/4gAzAKr/4gAzAKv/4gAzAKz/4gAzAK3/4gAzALL/4gAzALT/4gAzALX/4gAzALb/4gAzALf/4gAzALj/',
+        '4gAzALr/4gAzAML/dgAzAMP/zgAzAMX/4gAzAMf/4gAzAM7/4gAzAOn/CAAzAOz/CAAzAPn/dgA0AAX/0gA0AAn/1gA0AAr/0gA0AAz/2AA0AA3/0gA0',
+        'AA//yAA0ABH/yAA0ABL/1gA0ACT/1gA0ADf/ngA0ADn/zAA0ADv/4gA0ADz/sAA0AD3/ugA0AD//zAA0AED/2AA0AGD/2AA0AGz/0gA0AHL/0gA0AHz/',
+        '0gA0AIL/1gA0AIP/1gA0AIT/1gA0AIX/1gA0AIb/1gA0AIf/1gA0AIj/1gA0AJ//sAA0AML/1gA0ANP/sAA0ANT/ugA0ANb/ugA0ANj/ugA0AOf/0gA0',
+        'AOj/0gA0AOn/yAA0AOr/0gA0AOv/0gA0AOz/yAA0APb/0gA0APn/1gA1ACP/0gA1ACb/0gA1ACr/0gA1ADL/0gA1ADT/0gA1ADf/zAA1ADj/1gA1AIn/',
+        '0gA1AJT/0gA1AJX/0gA1AJb/0gA1AJf/0gA1AJj/0gA1AJr/0gA1AJv/1gA1AJz/1gA1AJ3/1gA1AJ7/1gA1AMT/0gA1AM3/0gA3AAn/fAA3AA//TAA3',
+        'ABD/TAA3ABH/TAA3ABL/fAA3AB3/YAA3AB7/YAA3ACP/ngA3ACT/fAA3ACb/ngA3ACr/ngA3AC3/OAA3ADL/ngA3ADT/ngA3AET/BgA3AEb/LgA3AEf/',
+        'LgA3AEj/LgA3AEr/RAA3AFD/YAA3AFH/YAA3AFL/LgA3AFP/YAA3AFT/LgA3AFX/YAA3AFb/XgA3AFj/YAA3AFn/TAA3AFr/dAA3AFv/cAA3AFz/TAA3',
+        'AF3/iAA3AG3/TAA3AG//TAA3AHf/YAA3AHn/TAA3AH3/TAA3AIL/fAA3AIP/fAA3AIT/fAA3AIX/fAA3AIb/fAA3AIf/fAA3AIj/fAA3AIn/ngA3AJT/',
+        'ngA3AJX/ngA3AJb/ngA3AJf/ngA3AJj/ngA3AJr/ngA3AKL/BgA3AKP/BgA3AKT/BgA3AKX/BgA3AKb/BgA3AKf/BgA3AKj/BgA3AKn/LgA3AKr/LgA3',
+        'AKv/LgA3AKz/LgA3AK3/LgA3ALL/LgA3ALP/YAA3ALT/LgA3ALX/LgA3ALb/LgA3ALf/LgA3ALj/LgA3ALr/LgA3ALv/YAA3ALz/YAA3AL3/YAA3AL7/',
+        'YAA3AML/fAA3AMP/BgA3AMT/ngA3AMX/LgA3AMf/LgA3AMz/YAA3AM3/ngA3AM7/LgA3AOX/TAA3AOb/TAA3AOn/TAA3AOz/TAA3AO//TAA3APL/TAA3',
+        'APP/TAA3APn/fAA4AAn/yAA4AA//zgA4ABH/zgA4ABL/yAA4ACT/yAA4AIL/yAA4AIP/yAA4AIT/yAA4AIX/yAA4AIb/yAA4AIf/yAA4AIj/yAA4AML/',
+        'yAA4AOn/zgA4AOz/zgA4APn/yAA5AAUAMAA5AAn/eAA5AAoAMAA5AA0AMAA5AA//QAA5ABD/kAA5ABH/QAA5ABL/eAA5AB3/qAA5AB7/qAA5ACIAMAA5',
+        'ACP/zAA5ACT/eAA5ACb/zAA5ACr/zAA5AC3/aAA5ADL/zAA5ADT/zAA5AET/jAA5AEb/jAA5AEf/jAA5AEj/jAA5AEn/4gA5AEr/eAA5AFD/qAA5AFH/',
+        'qAA5AFL/jAA5AFP/qAA5AFT/jAA5AFX/qAA5AFb/lgA5AFf/1gA5AFj/qAA5AFn/0AA5AFv/zAA5AFz/0AA5AF3/rgA5AGwAMAA5AG3/kAA5AG//kAA5',
+        'AHIAMAA5AHQAOgA5AHUAOgA5AHf/qAA5AHn/kAA5AHsAOgA5AHwAMAA5AH3/kAA5AIL/eAA5AIP/eAA5AIT/eAA5AIX/eAA5AIb/eAA5AIf/eAA5AIj/',
+        'eAA5AIn/zAA5AJT/zAA5AJX/zAA5AJb/zAA5AJf/zAA5AJj/zAA5AJr/zAA5AKL/jAA5AKP/jAA5AKT/jAA5AKX/jAA5AKb/jAA5AKf/jAA5AKj/jAA5',
+        'AKn/jAA5AKr/jAA5AKv/jAA5AKz/jAA5AK3/jAA5ALL/jAA5ALP/qAA5ALT/jAA5ALX/jAA5ALb/jAA5ALf/jAA5ALj/jAA5ALr/jAA5ALv/qAA5ALz/',
+        'qAA5AL3/qAA5AL7/qAA5AML/eAA5AMP/jAA5AMT/zAA5AMX/jAA5AMf/jAA5AMz/qAA5AM3/zAA5AM7/jAA5AOX/kAA5AOb/kAA5AOcAMAA5AOgAMAA5',
+        'AOn/QAA5AOoAMAA5AOsAMAA5AOz/QAA5AO//kAA5APL/kAA5APP/kAA5APYAMAA5APn/eAA6AAUAMAA6AAn/ogA6AAoAMAA6AA0AMAA6AA//hgA6ABD/',
+        '4AA6ABH/hgA6ABL/ogA6ACIAIgA6ACT/ogA6AC3/mgA6AET/qAA6AEb/4AA6AEf/4AA6AEj/4AA6AEr/ngA6AFL/4AA6AFT/4AA6AFb/0gA6AGwAMAA6',
+        'AG3/4AA6AG//4AA6AHIAMAA6AHQAMAA6AHUAMAA6AHn/4AA6AHsAMAA6AHwAMAA6AH3/4AA6AIL/ogA6AIP/ogA6AIT/ogA6AIX/ogA6AIb/ogA6AIf/',
+        'ogA6AIj/ogA6AKL/qAA6AKP/qAA6AKT/qAA6AKX/qAA6AKb/qAA6AKf/qAA6AKj/qAA6AKn/4AA6AKr/4AA6AKv/4AA6AKz/4AA6AK3/4AA6ALL/4AA6',
+        'ALT/4AA6ALX/4AA6ALb/4AA6ALf/4AA6ALj/4AA6ALr/4AA6AML/ogA6AMP/qAA6AMX/4AA6AMf/4AA6AM7/4AA6AOX/4AA6AOb/4AA6AOcAMAA6AOgA',
+        'MAA6AOn/hgA6AOoAMAA6AOsAMAA6AOz/hgA6AO//4AA6APL/4AA6APP/4AA6APYAMAA6APn/ogA7ABD/wgA7ACP/4gA7ACb/4gA7ACr/4gA7ADL/4gA7',
+        'ADT/4gA7AEb/3AA7AEf/3AA7AEj/3AA7AEn/zAA7AFL/3AA7AFT/3AA7AFf/rgA7AFn/vgA7AFr/yAA7AFz/vgA7AG3/wgA7AG//wgA7AHn/wgA7AH3/',
+        'wgA7AIn/4gA7AJT/4gA7AJX/4gA7AJb/4gA7AJf/4gA7AJj/4gA7AJr/4gA7AKn/3AA7AKr/3AA7AKv/3AA7AKz/3AA7AK3/3AA7ALL/3AA7ALT/3AA7',
+        'ALX/3AA7ALb/3AA7ALf/3AA7ALj/3AA7ALr/3AA7AMT/4gA7AMX/3AA7AMf/3AA7AM3/4gA7AM7/3AA7AOX/wgA7AOb/wgA7AO//wgA7APL/wgA7APP/',
+        'wgA8AAUAHgA8AAn/XAA8AAoAHgA8AA0AHgA8AA//aAA8ABD/YAA8ABH/aAA8ABL/XAA8AB3/hgA8AB7/hgA8ACIAIgA8ACP/sAA8ACT/XAA8ACb/sAA8',
+        'ACr/sAA8AC3/OAA8ADL/sAA8ADT/sAA8AET/gAA8AEb/YAA8AEf/YAA8AEj/YAA8AEr/VAA8AFD/hgA8AFH/hgA8AFL/YAA8AFP/hgA8AFT/YAA8AFX/',
+        'hgA8AFb/gAA8AFj/hgA8AFn/nAA8AFr/pAA8AFv/fAA8AFz/nAA8AGwAHgA8AG3/YAA8AG//YAA8AHIAHgA8AHQAMgA8AHUAMgA8AHf/hgA8AHn/YAA8',
+        'AHsAMgA8AHwAHgA8AH3/YAA8AIL/XAA8AIP/XAA8AIT/XAA8AIX/XAA8AIb/XAA8AIf/XAA8AIj/XAA8AIn/sAA8AJT/sAA8AJX/sAA8AJb/sAA8AJf/',
+        'sAA8AJj/sAA8AJr/sAA8AKL/gAA8AKP/gAA8AKT/gAA8AKX/gAA8AKb/gAA8AKf/gAA8AKj/gAA8AKn/YAA8AKr/YAA8AKv/YAA8AKz/YAA8AK3/YAA8',
+        'ALL/YAA8ALP/hgA8ALT/YAA8ALX/YAA8ALb/YAA8ALf/YAA8ALj/YAA8ALr/YAA8ALv/hgA8ALz/hgA8AL3/hgA8AL7/hgA8AML/XAA8AMP/gAA8AMT/',
+        'sAA8AMX/YAA8AMf/YAA8AMz/hgA8AM3/sAA8AM7/YAA8AOX/YAA8AOb/YAA8AOcAHgA8AOgAHgA8AOn/aAA8AOoAHgA8AOsAHgA8AOz/aAA8AO//YAA8',
+        'APL/YAA8APP/YAA8APYAHgA8APn/XAA9ABD/ugA9ACIAIgA9ACP/xgA9ACb/xgA9ACr/xgA9ADL/xgA9ADT/xgA9AEb/2gA9AEf/2gA9AEj/2gA9AFL/',
+        '2gA9AFT/2gA9AFb/5AA9AFn/2AA9AFz/2AA9AG3/ugA9AG//ugA9AHn/ugA9AH3/ugA9AIn/xgA9AJT/xgA9AJX/xgA9AJb/xgA9AJf/xgA9AJj/xgA9',
+        'AJr/xgA9AKn/2gA9AKr/2gA9AKv/2gA9AKz/2gA9AK3/2gA9ALL/2gA9ALT/2gA9ALX/2gA9ALb/2gA9ALf/2gA9ALj/2gA9ALr/2gA9AMT/xgA9AMX/',
+        '2gA9AMf/2gA9AM3/xgA9AM7/2gA9AOX/ugA9AOb/ugA9AO//ugA9APL/ugA9APP/ugA+ACP/2AA+ACb/2AA+ACr/2AA+ADL/2AA+ADT/2AA+AEb/4AA+',
+        'AEf/4AA+AEj/4AA+AFL/4AA+AFT/4AA+AIn/2AA+AJT/2AA+AJX/2AA+AJb/2AA+AJf/2AA+AJj/2AA+AJr/2AA+AKn/4AA+AKr/4AA+AKv/4AA+AKz/',
+        '4AA+AK3/4AA+ALL/4AA+ALT/4AA+ALX/4AA+ALb/4AA+ALf/4AA+ALj/4AA+ALr/4AA+AMT/2AA+AMX/4AA+AMf/4AA+AM3/2AA+AM7/4AA/AAX/SgA/',
+        'AAr/SgA/AA3/SgA/ABD/zAA/ACL/yAA/ACP/1gA/ACb/1gA/ACr/1gA/AC0AMgA/ADL/1gA/ADT/1gA/ADf/fAA/ADj/yAA/ADn/eAA/ADr/rAA/ADz/',
+        'XAA/AD//eAA/AFn/rgA/AFz/rgA/AGz/SgA/AG3/zAA/AG//zAA/AHL/SgA/AHT/SAA/AHX/SAA/AHn/zAA/AHv/SAA/AHz/SgA/AH3/zAA/AIn/1gA/',
+        'AJT/1gA/AJX/1gA/AJb/1gA/AJf/1gA/AJj/1gA/AJr/1gA/AJv/yAA/AJz/yAA/AJ3/yAA/AJ7/yAA/AJ//XAA/AMT/1gA/AM3/1gA/ANP/XAA/AOX/',
+        'zAA/AOb/zAA/AOf/SgA/AOj/SgA/AOr/SgA/AOv/SgA/AO//zAA/APL/zAA/APP/zAA/APb/SgBEAAX/uABEAAr/uABEAA3/uABEAFn/4ABEAFr/8ABE',
+        'AFz/4ABEAGz/uABEAHL/uABEAHT/uABEAHX/uABEAHv/uABEAHz/uABEAOf/uABEAOj/uABEAOr/uABEAOv/uABEAPb/uABFAAX/pABFAAr/pABFAAz/',
+        '4ABFAA3/pABFADn/jABFADr/4ABFAD//jABFAED/4ABFAFn/5gBFAFv/xABFAFz/5gBFAGD/4ABFAGz/pABFAHL/pABFAHz/pABFAOf/pABFAOj/pABF',
+        'AOr/pABFAOv/pABFAPb/pABIAAX/pABIAAr/pABIAAz/4ABIAA3/pABIADn/jABIADr/4ABIAD//jABIAED/4ABIAFn/5gBIAFv/xABIAFz/5gBIAGD/',
+        '4ABIAGz/pABIAHL/pABIAHz/pABIAOf/pABIAOj/pABIAOr/pABIAOv/pABIAPb/pABJAAUARABJAAoARABJAA0ARABJAA//fgBJABH/fgBJAGwARABJ',
+        'AHIARABJAHQAZABJAHUAZABJAHsAZABJAHwARABJAOcARABJAOgARABJAOn/fgBJAOoARABJAOsARABJAOz/fgBJAPYARABLAAX/uABLAAr/uABLAA3/',
+        'uABLAFn/4ABLAFr/8ABLAFz/4ABLAGz/uABLAHL/uABLAHT/uABLAHX/uABLAHv/uABLAHz/uABLAOf/uABLAOj/uABLAOr/uABLAOv/uABLAPb/uABO',
+        'AEb/xABOAEf/xABOAEj/xABOAFL/xABOAFT/xABOAKn/xABOAKr/xABOAKv/xABOAKz/xABOAK3/xABOALL/xABOALT/xABOALX/xABOALb/xABOALf/',
+        'xABOALj/xABOALr/xABOAMX/xABOAMf/xABOAM7/xABQAAX/uABQAAr/uABQAA3/uABQAFn/4ABQAFr/8ABQAFz/4ABQAGz/uABQAHL/uABQAHT/uABQ',
+        'AHX/uABQAHv/uABQAHz/uABQAOf/uABQAOj/uABQAOr/uABQAOv/uABQAPb/uABRAAX/uABRAAr/uABRAA3/uABRAFn/4ABRAFr/8ABRAFz/4ABRAGz/',
+        'uABRAHL/uABRAHT/uABRAHX/uABRAHv/uABRAHz/uABRAOf/uABRAOj/uABRAOr/uABRAOv/uABRAPb/uABSAAX/pABSAAr/pABSAAz/4ABSAA3/pABS',
+        'ADn/jABSADr/4ABSAD//jABSAED/4ABSAFn/5gBSAFv/xABSAFz/5gBSAGD/4ABSAGz/pABSAHL/pABSAHz/pABSAOf/pABSAOj/pABSAOr/pABSAOv/',
+        'pABSAPb/pABTAAX/pABTAAr/pABTAAz/4ABTAA3/pABTADn/jABTADr/4ABTAD//jABTAED/4ABTAFn/5gBTAFv/xABTAFz/5gBTAGD/4ABTAGz/pABT',
+        'AHL/pABTAHz/pABTAOf/pABTAOj/pABTAOr/pABTAOv/pABTAPb/pABVAA//fABVABH/fABVAET/2gBVAKL/2gBVAKP/2gBVAKT/2gBVAKX/2gBVAKb/',
+        '2gBVAKf/2gBVAKj/2gBVAMP/2gBVAOn/fABVAOz/fABZAAn/rgBZAA//fABZABH/fABZABL/rgBZACT/rgBZAEb/5gBZAEf/5gBZAEj/5gBZAFL/5gBZ',
+        'AFT/5gBZAIL/rgBZAIP/rgBZAIT/rgBZAIX/rgBZAIb/rgBZAIf/rgBZAIj/rgBZAKn/5gBZAKr/5gBZAKv/5gBZAKz/5gBZAK3/5gBZALL/5gBZALT/',
+        '5gBZALX/5gBZALb/5gBZALf/5gBZALj/5gBZALr/5gBZAML/rgBZAMX/5gBZAMf/5gBZAM7/5gBZAOn/fABZAOz/fABZAPn/rgBaAA//wgBaABH/wgBa',
+        'AOn/wgBaAOz/wgBbAEb/xABbAEf/xABbAEj/xABbAFL/xABbAFT/xABbAKn/xABbAKr/xABbAKv/xABbAKz/xABbAK3/xABbALL/xABbALT/xABbALX/',
+        'xABbALb/xABbALf/xABbALj/xABbALr/xABbAMX/xABbAMf/xABbAM7/xABcAAn/rgBcAA//fABcABH/fABcABL/rgBcACT/rgBcAEb/5gBcAEf/5gBc',
+        'AEj/5gBcAFL/5gBcAFT/5gBcAIL/rgBcAIP/rgBcAIT/rgBcAIX/rgBcAIb/rgBcAIf/rgBcAIj/rgBcAKn/5gBcAKr/5gBcAKv/5gBcAKz/5gBcAK3/',
+        '5gBcALL/5gBcALT/5gBcALX/5gBcALb/5gBcALf/5gBcALj/5gBcALr/5gBcAML/rgBcAMX/5gBcAMf/5gBcAM7/5gBcAOn/fABcAOz/fABcAPn/rgBe',
+        'ACP/2ABeACb/2ABeACr/2ABeADL/2ABeADT/2ABeAEb/4ABeAEf/4ABeAEj/4ABeAFL/4ABeAFT/4ABeAIn/2ABeAJT/2ABeAJX/2ABeAJb/2ABeAJf/',
+        '2ABeAJj/2ABeAJr/2ABeAKn/4ABeAKr/4ABeAKv/4ABeAKz/4ABeAK3/4ABeALL/4ABeALT/4ABeALX/4ABeALb/4ABeALf/4ABeALj/4ABeALr/4ABe',
+        'AMT/2ABeAMX/4ABeAMf/4ABeAM3/2ABeAM7/4ABsAAn/SgBsAA//HABsABD/TgBsABH/HABsABL/SgBsACP/0gBsACT/SgBsACb/0gBsACr/0gBsADL/',
+        '0gBsADT/0gBsADkAMABsADoAMABsADwAHgBsAD8AMABsAET/wABsAEb/pABsAEf/pABsAEj/pABsAFL/pABsAFT/pABsAG3/TgBsAG//TgBsAHn/TgBs',
+        'AH3/TgBsAIL/SgBsAIP/SgBsAIT/SgBsAIX/SgBsAIb/SgBsAIf/SgBsAIj/SgBsAIn/0gBsAJT/0gBsAJX/0gBsAJb/0gBsAJf/0gBsAJj/0gBsAJr/',
+        '0gBsAJ8AHgBsAKL/wABsAKP/wABsAKT/wABsAKX/wABsAKb/wABsAKf/wABsAKj/wABsAKn/pABsAKr/pABsAKv/pABsAKz/pABsAK3/pABsALL/pABs',
+        'ALT/pABsALX/pABsALb/pABsALf/pABsALj/pABsALr/pABsAML/SgBsAMP/wABsAMT/0gBsAMX/pABsAMf/pABsAM3/0gBsAM7/pABsANMAHgBsAOX/',
+        'TgBsAOb/TgBsAOn/HABsAOz/HABsAO//TgBsAPL/TgBsAPP/TgBsAPn/SgBtAAX/TgBtAAn/zABtAAr/TgBtAA3/TgBtAA//eABtABH/eABtABL/zABt',
+        'ACT/zABtADf/TABtADn/kABtADr/4ABtADv/wgBtADz/YABtAD3/0gBtAD//kABtAGz/TgBtAHL/TgBtAHz/TgBtAIL/zABtAIP/zABtAIT/zABtAIX/',
+        'zABtAIb/zABtAIf/zABtAIj/zABtAJ//YABtAML/zABtANP/YABtANT/0gBtANb/0gBtANj/0gBtAOf/TgBtAOj/TgBtAOn/eABtAOr/TgBtAOv/TgBt',
+        'AOz/eABtAPb/TgBtAPn/zABvAAX/TgBvAAn/zABvAAr/TgBvAA3/TgBvAA//eABvABH/eABvABL/zABvACT/zABvADf/TABvADn/kABvADr/4ABvADv/',
+        'wgBvADz/YABvAD3/0gBvAD//kABvAGz/TgBvAHL/TgBvAHz/TgBvAIL/zABvAIP/zABvAIT/zABvAIX/zABvAIb/zABvAIf/zABvAIj/zABvAJ//YABv',
+        'AML/zABvANP/YABvANT/0gBvANb/0gBvANj/0gBvAOf/TgBvAOj/TgBvAOn/eABvAOr/TgBvAOv/TgBvAOz/eABvAPb/TgBvAPn/zABwAAX/0gBwAAn/',
+        '1gBwAAr/0gBwAAz/2ABwAA3/0gBwAA//yABwABH/yABwABL/1gBwACT/1gBwADf/ngBwADn/zABwADv/4gBwADz/sABwAD3/ugBwAD//zABwAED/2ABw',
+        'AGD/2ABwAGz/0gBwAHL/0gBwAHz/0gBwAIL/1gBwAIP/1gBwAIT/1gBwAIX/1gBwAIb/1gBwAIf/1gBwAIj/1gBwAJ//sABwAML/1gBwANP/sABwANT/',
+        'ugBwANb/ugBwANj/ugBwAOf/0gBwAOj/0gBwAOn/yABwAOr/0gBwAOv/0gBwAOz/yABwAPb/0gBwAPn/1gByAAn/SgByAA//HAByABD/TgByABH/HABy',
+        'ABL/SgByACP/0gByACT/SgByACb/0gByACr/0gByADL/0gByADT/0gByADkAMAByADoAMAByADwAHgByAD8AMAByAET/wAByAEb/pAByAEf/pAByAEj/',
+        'pAByAFL/pAByAFT/pAByAG3/TgByAG//TgByAHn/TgByAH3/TgByAIL/SgByAIP/SgByAIT/SgByAIX/SgByAIb/SgByAIf/SgByAIj/SgByAIn/0gBy',
+        'AJT/0gByAJX/0gByAJb/0gByAJf/0gByAJj/0gByAJr/0gByAJ8AHgByAKL/wAByAKP/wAByAKT/wAByAKX/wAByAKb/wAByAKf/wAByAKj/wAByAKn/',
+        'pAByAKr/pAByAKv/pAByAKz/pAByAK3/pAByALL/pAByALT/pAByALX/pAByALb/pAByALf/pAByALj/pAByALr/pAByAML/SgByAMP/wAByAMT/0gBy',
+        'AMX/pAByAMf/pAByAM3/0gByAM7/pAByANMAHgByAOX/TgByAOb/TgByAOn/HAByAOz/HAByAO//TgByAPL/TgByAPP/TgByAPn/SgB0AAn/SAB0ABL/',
+        'SAB0ACT/SAB0ADkAOgB0ADoAOgB0ADwAKAB0AD8AOgB0AIL/SAB0AIP/SAB0AIT/SAB0AIX/SAB0AIb/SAB0AIf/SAB0AIj/SAB0AJ8AKAB0AML/SAB0',
+        'ANMAKAB0APn/SAB1AAn/SAB1ABL/SAB1ACT/SAB1ADkAOgB1ADoAOgB1ADwAKAB1AD8AOgB1AIL/SAB1AIP/SAB1AIT/SAB1AIX/SAB1AIb/SAB1AIf/',
+        'SAB1AIj/SAB1AJ8AKAB1AML/SAB1ANMAKAB1APn/SAB5AAX/TgB5AAn/zAB5AAr/TgB5AA3/TgB5AA//eAB5ABH/eAB5ABL/zAB5ACT/zAB5ADf/TAB5',
+        'ADn/kAB5ADr/4AB5ADv/wgB5ADz/YAB5AD3/0gB5AD//kAB5AGz/TgB5AHL/TgB5AHz/TgB5AIL/zAB5AIP/zAB5AIT/zAB5AIX/zAB5AIb/zAB5AIf/',
+        'zAB5AIj/zAB5AJ//YAB5AML/zAB5ANP/YAB5ANT/0gB5ANb/0gB5ANj/0gB5AOf/TgB5AOj/TgB5AOn/eAB5AOr/TgB5AOv/TgB5AOz/eAB5APb/TgB5',
+        'APn/zAB7AAn/SAB7ABL/SAB7ACT/SAB7ADkAOgB7ADoAOgB7ADwAKAB7AD8AOgB7AIL/SAB7AIP/SAB7AIT/SAB7AIX/SAB7AIb/SAB7AIf/SAB7AIj/',
+        'SAB7AJ8AKAB7AML/SAB7ANMAKAB7APn/SAB8AAn/SgB8AA//HAB8ABD/TgB8ABH/HAB8ABL/SgB8ACP/0gB8ACT/SgB8ACb/0gB8ACr/0gB8ADL/0gB8',
+        'ADT/0gB8ADkAMAB8ADoAMAB8ADwAHgB8AD8AMAB8AET/wAB8AEb/pAB8AEf/pAB8AEj/pAB8AFL/pAB8AFT/pAB8AG3/TgB8AG//TgB8AHn/TgB8AH3/',
+        'TgB8AIL/SgB8AIP/SgB8AIT/SgB8AIX/SgB8AIb/SgB8AIf/SgB8AIj/SgB8AIn/0gB8AJT/0gB8AJX/0gB8AJb/0gB8AJf/0gB8AJj/0gB8AJr/0gB8',
+        'AJ8AHgB8AKL/wAB8AKP/wAB8AKT/wAB8AKX/wAB8AKb/wAB8AKf/wAB8AKj/wAB8AKn/pAB8AKr/pAB8AKv/pAB8AKz/pAB8AK3/pAB8ALL/pAB8ALT/',
+        'pAB8ALX/pAB8ALb/pAB8ALf/pAB8ALj/pAB8ALr/pAB8AML/SgB8AMP/wAB8AMT/0gB8AMX/pAB8AMf/pAB8AM3/0gB8AM7/pAB8ANMAHgB8AOX/TgB8',
+        'AOb/TgB8AOn/HAB8AOz/HAB8AO//TgB8APL/TgB8APP/TgB8APn/SgB9AAX/TgB9AAn/zAB9AAr/TgB9AA3/TgB9AA//eAB9ABH/eAB9ABL/zAB9ACT/',
+        'zAB9ADf/TAB9ADn/kAB9ADr/4AB9ADv/wgB9ADz/YAB9AD3/0gB9AD//kAB9AGz/TgB9AHL/TgB9AHz/TgB9AIL/zAB9AIP/zAB9AIT/zAB9AIX/zAB9',
+        'AIb/zAB9AIf/zAB9AIj/zAB9AJ//YAB9AML/zAB9ANP/YAB9ANT/0gB9ANb/0gB9ANj/0gB9AOf/TgB9AOj/TgB9AOn/eAB9AOr/TgB9AOv/TgB9AOz/',
+        'eAB9APb/TgB9APn/zACCAAX/SgCCAAr/SgCCAA3/SgCCABD/zACCACL/yACCACP/1gCCACb/1gCCACr/1gCCAC0AMgCCADL/1gCCADT/1gCCADf/fACC',
+        'ADj/yACCADn/eACCADr/rACCADz/XACCAD//eACCAFn/rgCCAFz/rgCCAGz/SgCCAG3/zACCAG//zACCAHL/SgCCAHT/SACCAHX/SACCAHn/zACCAHv/',
+        'SACCAHz/SgCCAH3/zACCAIn/1gCCAJT/1gCCAJX/1gCCAJb/1gCCAJf/1gCCAJj/1gCCAJr/1gCCAJv/yACCAJz/yACCAJ3/yACCAJ7/yACCAJ//XACC',
+        'AMT/1gCCAM3/1gCCANP/XACCAOX/zACCAOb/zACCAOf/SgCCAOj/SgCCAOr/SgCCAOv/SgCCAO//zACCAPL/zACCAPP/zACCAPb/SgCDAAX/SgCDAAr/',
+        'SgCDAA3/SgCDABD/zACDACL/yACDACP/1gCDACb/1gCDACr/1gCDAC0AMgCDADL/1gCDADT/1gCDADf/fACDADj/yACDADn/eACDADr/rACDADz/XACD',
+        'AD//eACDAFn/rgCDAFz/rgCDAGz/SgCDAG3/zACDAG//zACDAHL/SgCDAHT/SACDAHX/SACDAHn/zACDAHv/SACDAHz/SgCDAH3/zACDAIn/1gCDAJT/',
+        '1gCDAJX/1gCDAJb/1gCDAJf/1gCDAJj/1gCDAJr/1gCDAJv/yACDAJz/yACDAJ3/yACDAJ7/yACDAJ//XACDAMT/1gCDAM3/1gCDANP/XACDAOX/zACD',
+        'AOb/zACDAOf/SgCDAOj/SgCDAOr/SgCDAOv/SgCDAO//zACDAPL/zACDAPP/zACDAPb/SgCEAAX/SgCEAAr/SgCEAA3/SgCEABD/zACEACL/yACEACP/',
+        '1gCEACb/1gCEACr/1gCEAC0AMgCEADL/1gCEADT/1gCEADf/fACEADj/yACEADn/eACEADr/rACEADz/XACEAD//eACEAFn/rgCEAFz/rgCEAGz/SgCE',
+        'AG3/zACEAG//zACEAHL/SgCEAHT/SACEAHX/SACEAHn/zACEAHv/SACEAHz/SgCEAH3/zACEAIn/1gCEAJT/1gCEAJX/1gCEAJb/1gCEAJf/1gCEAJj/',
+        '1gCEAJr/1gCEAJv/yACEAJz/yACEAJ3/yACEAJ7/yACEAJ//XACEAMT/1gCEAM3/1gCEANP/XACEAOX/zACEAOb/zACEAOf/SgCEAOj/SgCEAOr/SgCE',
+        'AOv/SgCEAO//zACEAPL/zACEAPP/zACEAPb/SgCFAAX/SgCFAAr/SgCFAA3/SgCFABD/zACFACL/yACFACP/1gCFACb/1gCFACr/1gCFAC0AMgCFADL/',
+        '1gCFADT/1gCFADf/fACFADj/yACFADn/eACFADr/rACFADz/XACFAD//eACFAFn/rgCFAFz/rgCFAGz/SgCFAG3/zACFAG//zACFAHL/SgCFAHT/SACF',
+        'AHX/SACFAHn/zACFAHv/SACFAHz/SgCFAH3/zACFAIn/1gCFAJT/1gCFAJX/1gCFAJb/1gCFAJf/1gCFAJj/1gCFAJr/1gCFAJv/yACFAJz/yACFAJ3/',
+        'yACFAJ7/yACFAJ//XACFAMT/1gCFAM3/1gCFANP/XACFAOX/zACFAOb/zACFAOf/SgCFAOj/SgCFAOr/SgCFAOv/SgCFAO//zACFAPL/zACFAPP/zACF',
+        'APb/SgCGAAX/SgCGAAr/SgCGAA3/SgCGABD/zACGACL/yACGACP/1gCGACb/1gCGACr/1gCGAC0AMgCGADL/1gCGADT/1gCGADf/fACGADj/yACGADn/',
+        'eACGADr/rACGADz/XACGAD//eACGAFn/rgCGAFz/rgCGAGz/SgCGAG3/zACGAG//zACGAHL/SgCGAHT/SACGAHX/SACGAHn/zACGAHv/SACGAHz/SgCG',
+        'AH3/zACGAIn/1gCGAJT/1gCGAJX/1gCGAJb/1gCGAJf/1gCGAJj/1gCGAJr/1gCGAJv/yACGAJz/yACGAJ3/yACGAJ7/yACGAJ//XACGAMT/1gCGAM3/',
+        '1gCGANP/XACGAOX/zACGAOb/zACGAOf/SgCGAOj/SgCGAOr/SgCGAOv/SgCGAO//zACGAPL/zACGAPP/zACGAPb/SgCHAAX/SgCHAAr/SgCHAA3/SgCH',
+        'ABD/zACHACL/yACHACP/1gCHACb/1gCHACr/1gCHAC0AMgCHADL/1gCHADT/1gCHADf/fACHADj/yACHADn/eACHADr/rACHADz/XACHAD//eACHAFn/',
+        'rgCHAFz/rgCHAGz/SgCHAG3/zACHAG//zACHAHL/SgCHAHT/SACHAHX/SACHAHn/zACHAHv/SACHAHz/SgCHAH3/zACHAIn/1gCHAJT/1gCHAJX/1gCH',
+        'AJb/1gCHAJf/1gCHAJj/1gCHAJr/1gCHAJv/yACHAJz/yACHAJ3/yACHAJ7/yACHAJ//XACHAMT/1gCHAM3/1gCHANP/XACHAOX/zACHAOb/zACHAOf/',
+        'SgCHAOj/SgCHAOr/SgCHAOv/SgCHAO//zACHAPL/zACHAPP/zACHAPb/SgCJABD/agCJAG3/agCJAG//agCJAHn/agCJAH3/agCJAOX/agCJAOb/agCJ',
+        'AO//agCJAPL/agCJAPP/agCSAAX/0gCSAAn/1gCSAAr/0gCSAAz/2ACSAA3/0gCSAA//yACSABH/yACSABL/1gCSACT/1gCSADf/ngCSADn/zACSADv/',
+        '4gCSADz/sACSAD3/ugCSAD//zACSAED/2ACSAGD/2ACSAGz/0gCSAHL/0gCSAHz/0gCSAIL/1gCSAIP/1gCSAIT/1gCSAIX/1gCSAIb/1gCSAIf/1gCS',
+        'AIj/1gCSAJ//sACSAML/1gCSANP/sACSANT/ugCSANb/ugCSANj/ugCSAOf/0gCSAOj/0gCSAOn/yACSAOr/0gCSAOv/0gCSAOz/yACSAPb/0gCSAPn/',
+        '1gCUAAX/0gCUAAn/1gCUAAr/0gCUAAz/2ACUAA3/0gCUAA//yACUABH/yACUABL/1gCUACT/1gCUADf/ngCUADn/zACUADv/4gCUADz/sACUAD3/ugCU',
+        'AD//zACUAED/2ACUAGD/2ACUAGz/0gCUAHL/0gCUAHz/0gCUAIL/1gCUAIP/1gCUAIT/1gCUAIX/1gCUAIb/1gCUAIf/1gCUAIj/1gCUAJ//sACUAML/',
+        '1gCUANP/sACUANT/ugCUANb/ugCUANj/ugCUAOf/0gCUAOj/0gCUAOn/yACUAOr/0gCUAOv/0gCUAOz/yACUAPb/0gCUAPn/1gCVAAX/0gCVAAn/1gCV',
+        'AAr/0gCVAAz/2ACVAA3/0gCVAA//yACVABH/yACVABL/1gCVACT/1gCVADf/ngCVADn/zACVADv/4gCVADz/sACVAD3/ugCVAD//zACVAED/2ACVAGD/',
+        '2ACVAGz/0gCVAHL/0gCVAHz/0gCVAIL/1gCVAIP/1gCVAIT/1gCVAIX/1gCVAIb/1gCVAIf/1gCVAIj/1gCVAJ//sACVAML/1gCVANP/sACVANT/ugCV',
+        'ANb/ugCVANj/ugCVAOf/0gCVAOj/0gCVAOn/yACVAOr/0gCVAOv/0gCVAOz/yACVAPb/0gCVAPn/1gCWAAX/0gCWAAn/1gCWAAr/0gCWAAz/2ACWAA3/',
+        '0gCWAA//yACWABH/yACWABL/1gCWACT/1gCWADf/ngCWADn/zACWADv/4gCWADz/sACWAD3/ugCWAD//zACWAED/2ACWAGD/2ACWAGz/0gCWAHL/0gCW',
+        'AHz/0gCWAIL/1gCWAIP/1gCWAIT/1gCWAIX/1gCWAIb/1gCWAIf/1gCWAIj/1gCWAJ//sACWAML/1gCWANP/sACWANT/ugCWANb/ugCWANj/ugCWAOf/',
+        '0gCWAOj/0gCWAOn/yACWAOr/0gCWAOv/0gCWAOz/yACWAPb/0gCWAPn/1gCXAAX/0gCXAAn/1gCXAAr/0gCXAAz/2ACXAA3/0gCXAA//yACXABH/yACX',
+        'ABL/1gCXACT/1gCXADf/ngCXADn/zACXADv/4gCXADz/sACXAD3/ugCXAD//zACXAED/2ACXAGD/2ACXAGz/0gCXAHL/0gCXAHz/0gCXAIL/1gCXAIP/',
+        '1gCXAIT/1gCXAIX/1gCXAIb/1gCXAIf/1gCXAIj/1gCXAJ//sACXAML/1gCXANP/sACXANT/ugCXANb/ugCXANj/ugCXAOf/0gCXAOj/0gCXAOn/yACX',
+        'AOr/0gCXAOv/0gCXAOz/yACXAPb/0gCXAPn/1gCYAAX/0gCYAAn/1gCYAAr/0gCYAAz/2ACYAA3/0gCYAA//yACYABH/yACYABL/1gCYACT/1gCYADf/',
+        'ngCYADn/zACYADv/4gCYADz/sACYAD3/ugCYAD//zACYAED/2ACYAGD/2ACYAGz/0gCYAHL/0gCYAHz/0gCYAIL/1gCYAIP/1gCYAIT/1gCYAIX/1gCY',
+        'AIb/1gCYAIf/1gCYAIj/1gCYAJ//sACYAML/1gCYANP/sACYANT/ugCYANb/ugCYANj/ugCYAOf/0gCYAOj/0gCYAOn/yACYAOr/0gCYAOv/0gCYAOz/',
+        'yACYAPb/0gCYAPn/1gCbAAn/yACbAA//zgCbABH/zgCbABL/yACbACT/yACbAIL/yACbAIP/yACbAIT/yACbAIX/yACbAIb/yACbAIf/yACbAIj/yACb',
+        'AML/yACbAOn/zgCbAOz/zgCbAPn/yACcAAn/yACcAA//zgCcABH/zgCcABL/yACcACT/yACcAIL/yACcAIP/yACcAIT/yACcAIX/yACcAIb/yACcAIf/',
+        'yACcAIj/yACcAML/yACcAOn/zgCcAOz/zgCcAPn/yACdAAn/yACdAA//zgCdABH/zgCdABL/yACdACT/yACdAIL/yACdAIP/yACdAIT/yACdAIX/yACd',
+        'AIb/yACdAIf/yACdAIj/yACdAML/yACdAOn/zgCdAOz/zgCdAPn/yACeAAn/yACeAA//zgCeABH/zgCeABL/yACeACT/yACeAIL/yACeAIP/yACeAIT/',
+        'yACeAIX/yACeAIb/yACeAIf/yACeAIj/yACeAML/yACeAOn/zgCeAOz/zgCeAPn/yACfAAUAHgCfAAn/XACfAAoAHgCfAA0AHgCfAA//aACfABD/YACf',
+        'ABH/aACfABL/XACfAB3/hgCfAB7/hgCfACIAIgCfACP/sACfACT/XACfACb/sACfACr/sACfAC3/OACfADL/sACfADT/sACfAET/gACfAEb/YACfAEf/',
+        'YACfAEj/YACfAEr/VACfAFD/hgCfAFH/hgCfAFL/YACfAFP/hgCfAFT/YACfAFX/hgCfAFb/gACfAFj/hgCfAFn/nACfAFr/pACfAFv/fACfAFz/nACf',
+        'AGwAHgCfAG3/YACfAG//YACfAHIAHgCfAHQAMgCfAHUAMgCfAHf/hgCfAHn/YACfAHsAMgCfAHwAHgCfAH3/YACfAIL/XACfAIP/XACfAIT/XACfAIX/',
+        'XACfAIb/XACfAIf/XACfAIj/XACfAIn/sACfAJT/sACfAJX/sACfAJb/sACfAJf/sACfAJj/sACfAJr/sACfAKL/gACfAKP/gACfAKT/gACfAKX/gACf',
+        'AKb/gACfAKf/gACfAKj/gACfAKn/YACfAKr/YACfAKv/YACfAKz/YACfAK3/YACfALL/YACfALP/hgCfALT/YACfALX/YACfALb/YACfALf/YACfALj/',
+        'YACfALr/YACfALv/hgCfALz/hgCfAL3/hgCfAL7/hgCfAML/XACfAMP/gACfAMT/sACfAMX/YACfAMf/YACfAMz/hgCfAM3/sACfAM7/YACfAOX/YACf',
+        'AOb/YACfAOcAHgCfAOgAHgCfAOn/aACfAOoAHgCfAOsAHgCfAOz/aACfAO//YACfAPL/YACfAPP/YACfAPYAHgCfAPn/XACgAAX/0gCgAAn/1gCgAAr/',
+        '0gCgAAz/2ACgAA3/0gCgAA//yACgABH/yACgABL/1gCgACT/1gCgADf/ngCgADn/zACgADv/4gCgADz/sACgAD3/ugCgAD//zACgAED/2ACgAGD/2ACg',
+        'AGz/0gCgAHL/0gCgAHz/0gCgAIL/1gCgAIP/1gCgAIT/1gCgAIX/1gCgAIb/1gCgAIf/1gCgAIj/1gCgAJ//sACgAML/1gCgANP/sACgANT/ugCgANb/',
+        'ugCgANj/ugCgAOf/0gCgAOj/0gCgAOn/yACgAOr/0gCgAOv/0gCgAOz/yACgAPb/0gCgAPn/1gCiAAX/uACiAAr/uACiAA3/uACiAFn/4ACiAFr/8ACi',
+        'AFz/4ACiAGz/uACiAHL/uACiAHT/uACiAHX/uACiAHv/uACiAHz/uACiAOf/uACiAOj/uACiAOr/uACiAOv/uACiAPb/uACjAAX/uACjAAr/uACjAA3/',
+        'uACjAFn/4ACjAFr/8ACjAFz/4ACjAGz/uACjAHL/uACjAHT/uACjAHX/uACjAHv/uACjAHz/uACjAOf/uACjAOj/uACjAOr/uACjAOv/uACjAPb/uACk',
+        'AAX/uACkAAr/uACkAA3/uACkAFn/4ACkAFr/8ACkAFz/4ACkAGz/uACkAHL/uACkAHT/uACkAHX/uACkAHv/uACkAHz/uACkAOf/uACkAOj/uACkAOr/',
+        'uACkAOv/uACkAPb/uAClAAX/uAClAAr/uAClAA3/uAClAFn/4AClAFr/8AClAFz/4AClAGz/uAClAHL/uAClAHT/uAClAHX/uAClAHv/uAClAHz/uACl',
+        'AOf/uAClAOj/uAClAOr/uAClAOv/uAClAPb/uACmAAX/uACmAAr/uACmAA3/uACmAFn/4ACmAFr/8ACmAFz/4ACmAGz/uACmAHL/uACmAHT/uACmAHX/',
+        'uACmAHv/uACmAHz/uACmAOf/uACmAOj/uACmAOr/uACmAOv/uACmAPb/uACnAAX/uACnAAr/uACnAA3/uACnAFn/4ACnAFr/8ACnAFz/4ACnAGz/uACn',
+        'AHL/uACnAHT/uACnAHX/uACnAHv/uACnAHz/uACnAOf/uACnAOj/uACnAOr/uACnAOv/uACnAPb/uACoAAX/pACoAAr/pACoAAz/4ACoAA3/pACoADn/',
+        'jACoADr/4ACoAD//jACoAED/4ACoAFn/5gCoAFv/xACoAFz/5gCoAGD/4ACoAGz/pACoAHL/pACoAHz/pACoAOf/pACoAOj/pACoAOr/pACoAOv/pACo',
+        'APb/pACqAAX/pACqAAr/pACqAAz/4ACqAA3/pACqADn/jACqADr/4ACqAD//jACqAED/4ACqAFn/5gCqAFv/xACqAFz/5gCqAGD/4ACqAGz/pACqAHL/',
+        'pACqAHz/pACqAOf/pACqAOj/pACqAOr/pACqAOv/pACqAPb/pACrAAX/pACrAAr/pACrAAz/4ACrAA3/pACrADn/jACrADr/4ACrAD//jACrAED/4ACr',
+        'AFn/5gCrAFv/xACrAFz/5gCrAGD/4ACrAGz/pACrAHL/pACrAHz/pACrAOf/pACrAOj/pACrAOr/pACrAOv/pACrAPb/pACsAAX/pACsAAr/pACsAAz/',
+        '4ACsAA3/pACsADn/jACsADr/4ACsAD//jACsAED/4ACsAFn/5gCsAFv/xACsAFz/5gCsAGD/4ACsAGz/pACsAHL/pACsAHz/pACsAOf/pACsAOj/pACs',
+        'AOr/pACsAOv/pACsAPb/pACtAAX/pACtAAr/pACtAAz/4ACtAA3/pACtADn/jACtADr/4ACtAD//jACtAED/4ACtAFn/5gCtAFv/xACtAFz/5gCtAGD/',
+        '4ACtAGz/pACtAHL/pACtAHz/pACtAOf/pACtAOj/pACtAOr/pACtAOv/pACtAPb/pACzAAX/uACzAAr/uACzAA3/uACzAFn/4ACzAFr/8ACzAFz/4ACz',
+        'AGz/uACzAHL/uACzAHT/uACzAHX/uACzAHv/uACzAHz/uACzAOf/uACzAOj/uACzAOr/uACzAOv/uACzAPb/uAC0AAX/pAC0AAr/pAC0AAz/4AC0AA3/',
+        'pAC0ADn/jAC0ADr/4AC0AD//jAC0AED/4AC0AFn/5gC0AFv/xAC0AFz/5gC0AGD/4AC0AGz/pAC0AHL/pAC0AHz/pAC0AOf/pAC0AOj/pAC0AOr/pAC0',
+        'AOv/pAC0APb/pAC1AAX/pAC1AAr/pAC1AAz/4AC1AA3/pAC1ADn/jAC1ADr/4AC1AD//jAC1AED/4AC1AFn/5gC1AFv/xAC1AFz/5gC1AGD/4AC1AGz/',
+        'pAC1AHL/pAC1AHz/pAC1AOf/pAC1AOj/pAC1AOr/pAC1AOv/pAC1APb/pAC2AAX/pAC2AAr/pAC2AAz/4AC2AA3/pAC2ADn/jAC2ADr/4AC2AD//jAC2',
+        'AED/4AC2AFn/5gC2AFv/xAC2AFz/5gC2AGD/4AC2AGz/pAC2AHL/pAC2AHz/pAC2AOf/pAC2AOj/pAC2AOr/pAC2AOv/pAC2APb/pAC3AAX/pAC3AAr/',
+        'pAC3AAz/4AC3AA3/pAC3ADn/jAC3ADr/4AC3AD//jAC3AED/4AC3AFn/5gC3AFv/xAC3AFz/5gC3AGD/4AC3AGz/pAC3AHL/pAC3AHz/pAC3AOf/pAC3',
+        'AOj/pAC3AOr/pAC3AOv/pAC3APb/pAC4AAX/pAC4AAr/pAC4AAz/4AC4AA3/pAC4ADn/jAC4ADr/4AC4AD//jAC4AED/4AC4AFn/5gC4AFv/xAC4AFz/',
+        '5gC4AGD/4AC4AGz/pAC4AHL/pAC4AHz/pAC4AOf/pAC4AOj/pAC4AOr/pAC4AOv/pAC4APb/pAC6AAX/pAC6AAr/pAC6AAz/4AC6AA3/pAC6ADn/jAC6',
+        'ADr/4AC6AD//jAC6AED/4AC6AFn/5gC6AFv/xAC6AFz/5gC6AGD/4AC6AGz/pAC6AHL/pAC6AHz/pAC6AOf/pAC6AOj/pAC6AOr/pAC6AOv/pAC6APb/',
+        'pADAAAX/pADAAAr/pADAAAz/4ADAAA3/pADAADn/jADAADr/4ADAAD//jADAAED/4ADAAFn/5gDAAFv/xADAAFz/5gDAAGD/4ADAAGz/pADAAHL/pADA',
+        'AHz/pADAAOf/pADAAOj/pADAAOr/pADAAOv/pADAAPb/pADCAAX/SgDCAAr/SgDCAA3/SgDCABD/zADCACL/yADCACP/1gDCACb/1gDCACr/1gDCAC0A',
+        'MgDCADL/1gDCADT/1gDCADf/fADCADj/yADCADn/eADCADr/rADCADz/XADCAD//eADCAFn/rgDCAFz/rgDCAGz/SgDCAG3/zADCAG//zADCAHL/SgDC',
+        'AHT/SADCAHX/SADCAHn/zADCAHv/SADCAHz/SgDCAH3/zADCAIn/1gDCAJT/1gDCAJX/1gDCAJb/1gDCAJf/1gDCAJj/1gDCAJr/1gDCAJv/yADCAJz/',
+        'yADCAJ3/yADCAJ7/yADCAJ//XADCAMT/1gDCAM3/1gDCANP/XADCAOX/zADCAOb/zADCAOf/SgDCAOj/SgDCAOr/SgDCAOv/SgDCAO//zADCAPL/zADC',
+        'APP/zADCAPb/SgDDAAX/uADDAAr/uADDAA3/uADDAFn/4ADDAFr/8ADDAFz/4ADDAGz/uADDAHL/uADDAHT/uADDAHX/uADDAHv/uADDAHz/uADDAOf/',
+        'uADDAOj/uADDAOr/uADDAOv/uADDAPb/uADEABD/agDEAG3/agDEAG//agDEAHn/agDEAH3/agDEAOX/agDEAOb/agDEAO//agDEAPL/agDEAPP/agDH',
+        'AAX/pADHAAr/pADHAAz/4ADHAA3/pADHADn/jADHADr/4ADHAD//jADHAED/4ADHAFn/5gDHAFv/xADHAFz/5gDHAGD/4ADHAGz/pADHAHL/pADHAHz/',
+        'pADHAOf/pADHAOj/pADHAOr/pADHAOv/pADHAPb/pADJAAX/dADJAAr/dADJAA3/dADJABD/gADJADn/XgDJADr/hgDJADz/aADJAD//XgDJAFn/yADJ',
+        'AFz/yADJAGz/dADJAG3/gADJAG//gADJAHL/dADJAHT/fADJAHX/fADJAHn/gADJAHv/fADJAHz/dADJAH3/gADJAJ//aADJANP/aADJAOX/gADJAOb/',
+        'gADJAOf/dADJAOj/dADJAOr/dADJAOv/dADJAO//gADJAPL/gADJAPP/gADJAPb/dADMAAX/uADMAAr/uADMAA3/uADMAFn/4ADMAFr/8ADMAFz/4ADM',
+        'AGz/uADMAHL/uADMAHT/uADMAHX/uADMAHv/uADMAHz/uADMAOf/uADMAOj/uADMAOr/uADMAOv/uADMAPb/uADOAAX/pADOAAr/pADOAAz/4ADOAA3/',
+        'pADOADn/jADOADr/4ADOAD//jADOAED/4ADOAFn/5gDOAFv/xADOAFz/5gDOAGD/4ADOAGz/pADOAHL/pADOAHz/pADOAOf/pADOAOj/pADOAOr/pADO',
+        'AOv/pADOAPb/pADTAAUAHgDTAAn/XADTAAoAHgDTAA0AHgDTAA//aADTABD/YADTABH/aADTABL/XADTAB3/hgDTAB7/hgDTACIAIgDTACP/sADTACT/',
+        'XADTACb/sADTACr/sADTAC3/OADTADL/sADTADT/sADTAET/gADTAEb/YADTAEf/YADTAEj/YADTAEr/VADTAFD/hgDTAFH/hgDTAFL/YADTAFP/hgDT',
+        'AFT/YADTAFX/hgDTAFb/gADTAFj/hgDTAFn/nADTAFr/pADTAFv/fADTAFz/nADTAGwAHgDTAG3/YADTAG//YADTAHIAHgDTAHQAMgDTAHUAMgDTAHf/',
+        'hgDTAHn/YADTAHsAMgDTAHwAHgDTAH3/YADTAIL/XADTAIP/XADTAIT/XADTAIX/XADTAIb/XADTAIf/XADTAIj/XADTAIn/sADTAJT/sADTAJX/sADT',
+        'AJb/sADTAJf/sADTAJj/sADTAJr/sADTAKL/gADTAKP/gADTAKT/gADTAKX/gADTAKb/gADTAKf/gADTAKj/gADTAKn/YADTAKr/YADTAKv/YADTAKz/',
+        'YADTAK3/YADTALL/YADTALP/hgDTALT/YADTALX/YADTALb/YADTALf/YADTALj/YADTALr/YADTALv/hgDTALz/hgDTAL3/hgDTAL7/hgDTAML/XADT',
+        'AMP/gADTAMT/sADTAMX/YADTAMf/YADTAMz/hgDTAM3/sADTAM7/YADTAOX/YADTAOb/YADTAOcAHgDTAOgAHgDTAOn/aADTAOoAHgDTAOsAHgDTAOz/',
+        'aADTAO//YADTAPL/YADTAPP/YADTAPYAHgDTAPn/XADUABD/ugDUACIAIgDUACP/xgDUACb/xgDUACr/xgDUADL/xgDUADT/xgDUAEb/2gDUAEf/2gDU',
+        'AEj/2gDUAFL/2gDUAFT/2gDUAFb/5ADUAFn/2ADUAFz/2ADUAG3/ugDUAG//ugDUAHn/ugDUAH3/ugDUAIn/xgDUAJT/xgDUAJX/xgDUAJb/xgDUAJf/',
+        'xgDUAJj/xgDUAJr/xgDUAKn/2gDUAKr/2gDUAKv/2gDUAKz/2gDUAK3/2gDUALL/2gDUALT/2gDUALX/2gDUALb/2gDUALf/2gDUALj/2gDUALr/2gDU',
+        'AMT/xgDUAMX/2gDUAMf/2gDUAM3/xgDUAM7/2gDUAOX/ugDUAOb/ugDUAO//ugDUAPL/ugDUAPP/ugDWABD/ugDWACIAIgDWACP/xgDWACb/xgDWACr/',
+        'xgDWADL/xgDWADT/xgDWAEb/2gDWAEf/2gDWAEj/2gDWAFL/2gDWAFT/2gDWAFb/5ADWAFn/2ADWAFz/2ADWAG3/ugDWAG//ugDWAHn/ugDWAH3/ugDW',
+        'AIn/xgDWAJT/xgDWAJX/xgDWAJb/xgDWAJf/xgDWAJj/xgDWAJr/xgDWAKn/2gDWAKr/2gDWAKv/2gDWAKz/2gDWAK3/2gDWALL/2gDWALT/2gDWALX/',
+        '2gDWALb/2gDWALf/2gDWALj/2gDWALr/2gDWAMT/xgDWAMX/2gDWAMf/2gDWAM3/xgDWAM7/2gDWAOX/ugDWAOb/ugDWAO//ugDWAPL/ugDWAPP/ugDY',
+        'ABD/ugDYACIAIgDYACP/xgDYACb/xgDYACr/xgDYADL/xgDYADT/xgDYAEb/2gDYAEf/2gDYAEj/2gDYAFL/2gDYAFT/2gDYAFb/5ADYAFn/2ADYAFz/',
+        '2ADYAG3/ugDYAG//ugDYAHn/ugDYAH3/ugDYAIn/xgDYAJT/xgDYAJX/xgDYAJb/xgDYAJf/xgDYAJj/xgDYAJr/xgDYAKn/2gDYAKr/2gDYAKv/2gDY',
+        'AKz/2gDYAK3/2gDYALL/2gDYALT/2gDYALX/2gDYALb/2gDYALf/2gDYALj/2gDYALr/2gDYAMT/xgDYAMX/2gDYAMf/2gDYAM3/xgDYAM7/2gDYAOX/',
+        'ugDYAOb/ugDYAO//ugDYAPL/ugDYAPP/ugDlAAX/TgDlAAn/zADlAAr/TgDlAA3/TgDlAA//eADlABH/eADlABL/zADlACT/zADlADf/TADlADn/kADl',
+        'ADr/4ADlADv/wgDlADz/YADlAD3/0gDlAD//kADlAGz/TgDlAHL/TgDlAHz/TgDlAIL/zADlAIP/zADlAIT/zADlAIX/zADlAIb/zADlAIf/zADlAIj/',
+        'zADlAJ//YADlAML/zADlANP/YADlANT/0gDlANb/0gDlANj/0gDlAOf/TgDlAOj/TgDlAOn/eADlAOr/TgDlAOv/TgDlAOz/eADlAPb/TgDlAPn/zADm',
+        'AAX/TgDmAAn/zADmAAr/TgDmAA3/TgDmAA//eADmABH/eADmABL/zADmACT/zADmADf/TADmADn/kADmADr/4ADmADv/wgDmADz/YADmAD3/0gDmAD//',
+        'kADmAGz/TgDmAHL/TgDmAHz/TgDmAIL/zADmAIP/zADmAIT/zADmAIX/zADmAIb/zADmAIf/zADmAIj/zADmAJ//YADmAML/zADmANP/YADmANT/0gDm',
+        'ANb/0gDmANj/0gDmAOf/TgDmAOj/TgDmAOn/eADmAOr/TgDmAOv/TgDmAOz/eADmAPb/TgDmAPn/zADnAAn/SgDnAA//HADnABD/TgDnABH/HADnABL/',
+        'SgDnACP/0gDnACT/SgDnACb/0gDnACr/0gDnADL/0gDnADT/0gDnADkAMADnADoAMADnADwAHgDnAD8AMADnAET/wADnAEb/pADnAEf/pADnAEj/pADn',
+        'AFL/pADnAFT/pADnAG3/TgDnAG//TgDnAHn/TgDnAH3/TgDnAIL/SgDnAIP/SgDnAIT/SgDnAIX/SgDnAIb/SgDnAIf/SgDnAIj/SgDnAIn/0gDnAJT/',
+        '0gDnAJX/0gDnAJb/0gDnAJf/0gDnAJj/0gDnAJr/0gDnAJ8AHgDnAKL/wADnAKP/wADnAKT/wADnAKX/wADnAKb/wADnAKf/wADnAKj/wADnAKn/pADn',
+        'AKr/pADnAKv/pADnAKz/pADnAK3/pADnALL/pADnALT/pADnALX/pADnALb/pADnALf/pADnALj/pADnALr/pADnAML/SgDnAMP/wADnAMT/0gDnAMX/',
+        'pADnAMf/pADnAM3/0gDnAM7/pADnANMAHgDnAOX/TgDnAOb/TgDnAOn/HADnAOz/HADnAO//TgDnAPL/TgDnAPP/TgDnAPn/SgDoAAn/SgDoAA//HADo',
+        'ABD/TgDoABH/HADoABL/SgDoACP/0gDoACT/SgDoACb/0gDoACr/0gDoADL/0gDoADT/0gDoADkAMADoADoAMADoADwAHgDoAD8AMADoAET/wADoAEb/',
+        'pADoAEf/pADoAEj/pADoAFL/pADoAFT/pADoAG3/TgDoAG//TgDoAHn/TgDoAH3/TgDoAIL/SgDoAIP/SgDoAIT/SgDoAIX/SgDoAIb/SgDoAIf/SgDo',
+        'AIj/SgDoAIn/0gDoAJT/0gDoAJX/0gDoAJb/0gDoAJf/0gDoAJj/0gDoAJr/0gDoAJ8AHgDoAKL/wADoAKP/wADoAKT/wADoAKX/wADoAKb/wADoAKf/',
+        'wADoAKj/wADoAKn/pADoAKr/pADoAKv/pADoAKz/pADoAK3/pADoALL/pADoALT/pADoALX/pADoALb/pADoALf/pADoALj/pADoALr/pADoAML/SgDo',
+        'AMP/wADoAMT/0gDoAMX/pADoAMf/pADoAM3/0gDoAM7/pADoANMAHgDoAOX/TgDoAOb/TgDoAOn/HADoAOz/HADoAO//TgDoAPL/TgDoAPP/TgDoAPn/',
+        'SgDpAAX/HADpAAr/HADpAA3/HADpABD/eADpACP/yADpACb/yADpACr/yADpADL/yADpADT/yADpADf/TADpADn/TADpADr/hgDpADz/aADpAD//TADp',
+        'AFn/fADpAFr/wgDpAFz/fADpAGz/HADpAG3/eADpAG//eADpAHL/HADpAHn/eADpAHz/HADpAH3/eADpAIn/yADpAJT/yADpAJX/yADpAJb/yADpAJf/',
+        'yADpAJj/yADpAJr/yADpAJ//aADpAMT/yADpAM3/yADpANP/aADpAOX/eADpAOb/eADpAOf/HADpAOj/HADpAOr/HADpAOv/HADpAO//eADpAPL/eADp',
+        'APP/eADpAPb/HADqAAn/SgDqAA//HADqABD/TgDqABH/HADqABL/SgDqACP/0gDqACT/SgDqACb/0gDqACr/0gDqADL/0gDqADT/0gDqADkAMADqADoA',
+        'MADqADwAHgDqAD8AMADqAET/wADqAEb/pADqAEf/pADqAEj/pADqAFL/pADqAFT/pADqAG3/TgDqAG//TgDqAHn/TgDqAH3/TgDqAIL/SgDqAIP/SgDq',
+        'AIT/SgDqAIX/SgDqAIb/SgDqAIf/SgDqAIj/SgDqAIn/0gDqAJT/0gDqAJX/0gDqAJb/0gDqAJf/0gDqAJj/0gDqAJr/0gDqAJ8AHgDqAKL/wADqAKP/',
+        'wADqAKT/wADqAKX/wADqAKb/wADqAKf/wADqAKj/wADqAKn/pADqAKr/pADqAKv/pADqAKz/pADqAK3/pADqALL/pADqALT/pADqALX/pADqALb/pADq',
+        'ALf/pADqALj/pADqALr/pADqAML/SgDqAMP/wADqAMT/0gDqAMX/pADqAMf/pADqAM3/0gDqAM7/pADqANMAHgDqAOX/TgDqAOb/TgDqAOn/HADqAOz/',
+        'HADqAO//TgDqAPL/TgDqAPP/TgDqAPn/SgDrAAn/SgDrAA//HADrABD/TgDrABH/HADrABL/SgDrACP/0gDrACT/SgDrACb/0gDrACr/0gDrADL/0gDr',
+        'ADT/0gDrADkAMADrADoAMADrADwAHgDrAD8AMADrAET/wADrAEb/pADrAEf/pADrAEj/pADrAFL/pADrAFT/pADrAG3/TgDrAG//TgDrAHn/TgDrAH3/',
+        'TgDrAIL/SgDrAIP/SgDrAIT/SgDrAIX/SgDrAIb/SgDrAIf/SgDrAIj/SgDrAIn/0gDrAJT/0gDrAJX/0gDrAJb/0gDrAJf/0gDrAJj/0gDrAJr/0gDr',
+        'AJ8AHgDrAKL/wADrAKP/wADrAKT/wADrAKX/wADrAKb/wADrAKf/wADrAKj/wADrAKn/pADrAKr/pADrAKv/pADrAKz/pADrAK3/pADrALL/pADrALT/',
+        'pADrALX/pADrALb/pADrALf/pADrALj/pADrALr/pADrAML/SgDrAMP/wADrAMT/0gDrAMX/pADrAMf/pADrAM3/0gDrAM7/pADrANMAHgDrAOX/TgDr',
+        'AOb/TgDrAOn/HADrAOz/HADrAO//TgDrAPL/TgDrAPP/TgDrAPn/SgDsAAX/HADsAAr/HADsAA3/HADsABD/eADsACP/yADsACb/yADsACr/yADsADL/',
+        'yADsADT/yADsADf/TADsADn/TADsADr/hgDsADz/aADsAD//TADsAFn/fADsAFr/wgDsAFz/fADsAGz/HADsAG3/eADsAG//eADsAHL/HADsAHn/eADs',
+        'AHz/HADsAH3/eADsAIn/yADsAJT/yADsAJX/yADsAJb/yADsAJf/yADsAJj/yADsAJr/yADsAJ//aADsAMT/yADsAM3/yADsANP/aADsAOX/eADsAOb/',
+        'eADsAOf/HADsAOj/HADsAOr/HADsAOv/HADsAO//eADsAPL/eADsAPP/eADsAPb/HADvAAX/TgDvAAn/zADvAAr/TgDvAA3/TgDvAA//eADvABH/eADv',
+        'ABL/zADvACT/zADvADf/TADvADn/kADvADr/4ADvADv/wgDvADz/YADvAD3/0gDvAD//kADvAGz/TgDvAHL/TgDvAHz/TgDvAIL/zADvAIP/zADvAIT/',
+        'zADvAIX/zADvAIb/zADvAIf/zADvAIj/zADvAJ//YADvAML/zADvANP/YADvANT/0gDvANb/0gDvANj/0gDvAOf/TgDvAOj/TgDvAOn/eADvAOr/TgDv',
+        'AOv/TgDvAOz/eADvAPb/TgDvAPn/zADyAAX/TgDyAAn/zADyAAr/TgDyAA3/TgDyAA//eADyABH/eADyABL/zADyACT/zADyADf/TADyADn/kADyADr/',
+        '4ADyADv/wgDyADz/YADyAD3/0gDyAD//kADyAGz/TgDyAHL/TgDyAHz/TgDyAIL/zADyAIP/zADyAIT/zADyAIX/zADyAIb/zADyAIf/zADyAIj/zADy',
+        'AJ//YADyAML/zADyANP/YADyANT/0gDyANb/0gDyANj/0gDyAOf/TgDyAOj/TgDyAOn/eADyAOr/TgDyAOv/TgDyAOz/eADyAPb/TgDyAPn/zADzAAX/',
+        'TgDzAAn/zADzAAr/TgDzAA3/TgDzAA//eADzABH/eADzABL/zADzACT/zADzADf/TADzADn/kADzADr/4ADzADv/wgDzADz/YADzAD3/0gDzAD//kADz',
+        'AGz/TgDzAHL/TgDzAHz/TgDzAIL/zADzAIP/zADzAIT/zADzAIX/zADzAIb/zADzAIf/zADzAIj/zADzAJ//YADzAML/zADzANP/YADzANT/0gDzANb/',
+        '0gDzANj/0gDzAOf/TgDzAOj/TgDzAOn/eADzAOr/TgDzAOv/TgDzAOz/eADzAPb/TgDzAPn/zAD2AAn/SgD2AA//HAD2ABD/TgD2ABH/HAD2ABL/SgD2',
+        'ACP/0gD2ACT/SgD2ACb/0gD2ACr/0gD2ADL/0gD2ADT/0gD2ADkAMAD2ADoAMAD2ADwAHgD2AD8AMAD2AET/wAD2AEb/pAD2AEf/pAD2AEj/pAD2AFL/',
+        'pAD2AFT/pAD2AG3/TgD2AG//TgD2AHn/TgD2AH3/TgD2AIL/SgD2AIP/SgD2AIT/SgD2AIX/SgD2AIb/SgD2AIf/SgD2AIj/SgD2AIn/0gD2AJT/0gD2',
+        'AJX/0gD2AJb/0gD2AJf/0gD2AJj/0gD2AJr/0gD2AJ8AHgD2AKL/wAD2AKP/wAD2AKT/wAD2AKX/wAD2AKb/wAD2AKf/wAD2AKj/wAD2AKn/pAD2AKr/',
+        'pAD2AKv/pAD2AKz/pAD2AK3/pAD2ALL/pAD2ALT/pAD2ALX/pAD2ALb/pAD2ALf/pAD2ALj/pAD2ALr/pAD2AML/SgD2AMP/wAD2AMT/0gD2AMX/pAD2',
+        'AMf/pAD2AM3/0gD2AM7/pAD2ANMAHgD2AOX/TgD2AOb/TgD2AOn/HAD2AOz/HAD2AO//TgD2APL/TgD2APP/TgD2APn/SgD5AAX/SgD5AAr/SgD5AA3/',
+        'SgD5ABD/zAD5ACL/yAD5ACP/1gD5ACb/1gD5ACr/1gD5AC0AMgD5ADL/1gD5ADT/1gD5ADf/fAD5ADj/yAD5ADn/eAD5ADr/rAD5ADz/XAD5AD//eAD5',
+        'AFn/rgD5AFz/rgD5AGz/SgD5AG3/zAD5AG//zAD5AHL/SgD5AHT/SAD5AHX/SAD5AHn/zAD5AHv/SAD5AHz/SgD5AH3/zAD5AIn/1gD5AJT/1gD5AJX/',
+        '1gD5AJb/1gD5AJf/1gD5AJj/1gD5AJr/1gD5AJv/yAD5AJz/yAD5AJ3/yAD5AJ7/yAD5AJ//XAD5AMT/1gD5AM3/1gD5ANP/XAD5AOX/zAD5AOb/zAD5',
+        'AOf/SgD5AOj/SgD5AOr/SgD5AOv/SgD5AO//zAD5APL/zAD5APP/zAD5APb/SgAAAIAAgACAAIAAyAEGAY4CRAMWA8wD9AQoBFwEzgT+BTgFUgV8BZoF',
+        '6AYgBooHHAdaB8AIIAhSCNgJQAmYCgIKKgpOCnQK5AueC9oMOgyiDOANEA06DawN1A3qDjoOiA6kDvQPKg96D7gQPhCQEQIRJhFgEZIR6hIuEmQSkhK+',
+        'Et4TCBM4E1QTdhQGFIgU+hVsFewWSBcWF1AXnBgGGFQYbhjWGSIZgBoEGpQa8BtgG84cHBxOHKwc8B0qHVodyB3eHk4elh6WHt4fjiAGIHog0iD0IZAh',
+        '5CKwIyAjaiOaI7QkbiSIJNAlDCVsJewmDiZYJo4muicoJ2wnsif2KGwpCCnMKj4qSipWKmIqbip6KoYq1CvYK+Qr8Cv8LAgsFCwgLCwsOCyGLJIsniyq',
+        'LLYswizOLPQthi2SLZ4tqi22LcIuBC6gLqwuuC7ELtAu3C7oL+QwpDCwMLwwyDDUMOAw7DD4MQQxiDGUMaAxrDG4McQx0DIoMrYywjLOMtoy5jLyM2Qz',
+        'cDQENMY00jTeNWQ2IjY8NnA2ojauNro3nDhUOGA4bDh4OIQ4kDicOKg4tDjAOMw42DkqOVI5gDmIObw55jo0Oo464DsYO3g7kjusO9g8BDwwPH48zj0c',
+        'PWo92D4OPnA/fj+oP9A/7kB+QN5BREG+QexCFkJOQmhCpEM4Q4REOESQRMxFCEVIRV5FwkY4RmBGgkbKRuRHCEc0R2JHkEe8R/xIQEh6SKEAAQAAARUA',
+        'ggAHAGIABAACACIALwBuAAAAiQmRAAIAAQAAAB4BbgABAAAAAAAAAIoAAAABAAAAAAABAAQAigABAAAAAAACAAcAjgABAAAAAAADACoAlQABAAAAAAAE',
+        'AAwAvwABAAAAAAAFACgAywABAAAAAAAGAAwA8wABAAAAAAAHADAA/wABAAAAAAAIABgBLwABAAAAAAAJAA8BRwABAAAAAAAKAtwBVgABAAAAAAALABgE',
+        'MgABAAAAAAAMADIESgABAAAAAAANAMIEfAABAAAAAAAOABoFPgADAAEECQAAARQFWAADAAEECQABAAgGbAADAAEECQACAA4GdAADAAEECQADAFQGggAD',
+        'AAEECQAEABgG1gADAAEECQAFAFAG7gADAAEECQAGABgG1gADAAEECQAHAGAHPgADAAEECQAIADAHngADAAEECQAJAB4HzgADAAEECQAKBbgH7AADAAEE',
+        'CQALADANpAADAAEECQAMAGQN1AADAAEECQANAYQOOAADAAEECQAOADQPvENvcHlyaWdodCAoYykgMjAxMC0yMDEzIGJ5IHR5UG9sYW5kIEx1a2FzeiBE',
+        'emllZHppYyB3aXRoIFJlc2VydmVkIEZvbnQgTmFtZSAiTGF0byIuIExpY2Vuc2VkIHVuZGVyIHRoZSBTSUwgT3BlbiBGb250IExpY2Vuc2UsIFZlcnNp',
+        'b24gMS4xLkxhdG9SZWd1bGFydHlQb2xhbmRMdWthc3pEemllZHppYzogTGF0byBSZWd1bGFyOiAyMDEzTGF0byBSZWd1bGFyVmVyc2lvbiAxLjEwNTsg',
+        'V2VzdGVybitQb2xpc2ggb3BlbnNvdXJjZUxhdG8tUmVndWxhckxhdG8gaXMgYSB0cmFkZW1hcmsgb2YgdHlQb2xhbmQgTHVrYXN6IER6aWVkemljLnR5',
+        'UG9sYW5kIEx1a2FzeiBEemllZHppY0x1a2FzeiBEemllZHppY0xhdG8gaXMgYSBzYW5zZXJpZiB0eXBlZmFjZSBmYW1pbHkgZGVzaWduZWQgaW4gdGhl',
+        'IFN1bW1lciAyMDEwIGJ5IFdhcnNhdy1iYXNlZCBkZXNpZ25lciBMdWthc3ogRHppZWR6aWMgKCJMYXRvIiBtZWFucyAiU3VtbWVyIiBpbiBQb2xpc2gp',
+        'LiBJdCB0cmllcyB0byBjYXJlZnVsbHkgYmFsYW5jZSBzb21lIHBvdGVudGlhbGx5IGNvbmZsaWN0aW5nIHByaW9yaXRpZXM6IGl0IHNob3VsZCBzZWVt',
+        'IHF1aXRlICJ0cmFuc3BhcmVudCIgd2hlbiB1c2VkIGluIGJvZHkgdGV4dCBidXQgd291bGQgZGlzcGxheSBzb21lIG9yaWdpbmFsIHRyYWl0cyB3aGVu',
+        'IHVzZWQgaW4gbGFyZ2VyIHNpemVzLiBUaGUgY2xhc3NpY2FsIHByb3BvcnRpb25zLCBwYXJ0aWN1bGFybHkgdmlzaWJsZSBpbiB0aGUgdXBwZXJjYXNl',
+        'LCBnaXZlIHRoZSBsZXR0ZXJmb3JtcyBmYW1pbGlhciBoYXJtb255IGFuZCBlbGVnYW5jZS4gQXQgdGhlIHNhbWUgdGltZSwgaXRzIHNsZWVrIHNhbnNl',
+        'cmlmIGxvb2sgbWFrZXMgZXZpZGVudCB0aGUgZmFjdCB0aGF0IExhdG8gd2FzIGRlc2lnbmVkIGluIDIwMTAsIGV2ZW4gdGhvdWdoIGl0IGRvZXMgbm90',
+        'IGZvbGxvdyBhbnkgY3VycmVudCB0cmVuZC4gVGhlIHNlbWktcm91bmRlZCBkZXRhaWxzIG9mIHRoZSBsZXR0ZXJzIGdpdmUgTGF0byBhIGZlZWxpbmcg',
+        'b2Ygd2FybXRoLCB3aGlsZSB0aGUgc3Ryb25nIHN0cnVjdHVyZSBwcm92aWRlcyBzdGFiaWxpdHkgYW5kIHNlcmlvdXNuZXNzLmh0dHA6Ly93d3cudHlw',
+        'b2xhbmQuY29tL2h0dHA6Ly93d3cudHlwb2xhbmQuY29tL2Rlc2lnbmVycy9MdWthc3pfRHppZWR6aWMvQ29weXJpZ2h0IChjKSAyMDEwLTIwMTMgYnkg',
+        'dHlQb2xhbmQgTHVrYXN6IER6aWVkemljIChodHRwOi8vd3d3LnR5cG9sYW5kLmNvbS8pIHdpdGggUmVzZXJ2ZWQgRm9udCBOYW1lICJMYXRvIi4gTGlj',
+        'ZW5zZWQgdW5kZXIgdGhlIFNJTCBPcGVuIEZvbnQgTGljZW5zZSwgVmVyc2lvbiAxLjEgKGh0dHA6Ly9zY3JpcHRzLnNpbC5vcmcvT0ZMKS5odHRwOi8v',
+        'c2NyaXB0cy5zaWwub3JnL09GTABDAG8AcAB5AHIAaQBnAGgAdAAgACgAYwApACAAMgAwADEAMAAtADIAMAAxADMAIABiAHkAIAB0AHkAUABvAGwAYQBu',
+        'AGQAIABMAHUAawBhAHMAegAgAEQAegBpAGUAZAB6AGkAYwAgAHcAaQB0AGgAIABSAGUAcwBlAHIAdgBlAGQAIABGAG8AbgB0ACAATgBhAG0AZQAgACIA',
+        'TABhAHQAbwAiAC4AIABMAGkAYwBlAG4AcwBlAGQAIAB1AG4AZABlAHIAIAB0AGgAZQAgAFMASQBMACAATwBwAGUAbgAgAEYAbwBuAHQAIABMAGkAYwBl',
+        'AG4AcwBlACwAIABWAGUAcgBzAGkAbwBuACAAMQAuADEALgBMAGEAdABvAFIAZQBnAHUAbABhAHIAdAB5AFAAbwBsAGEAbgBkAEwAdQBrAGEAcwB6AEQA',
+        'egBpAGUAZAB6AGkAYwA6ACAATABhAHQAbwAgAFIAZQBnAHUAbABhAHIAOgAgADIAMAAxADMATABhAHQAbwAtAFIAZQBnAHUAbABhAHIAVgBlAHIAcwBp',
+        'AG8AbgAgADEALgAxADAANQA7ACAAVwBlAHMAdABlAHIAbgArAFAAbwBsAGkAcwBoACAAbwBwAGUAbgBzAG8AdQByAGMAZQBMAGEAdABvACAAaQBzACAA',
+        'YQAgAHQAcgBhAGQAZQBtAGEAcgBrACAAbwBmACAAdAB5AFAAbwBsAGEAbgBkACAATAB1AGsAYQBzAHoAIABEAHoAaQBlAGQAegBpAGMALgB0AHkAUABv',
+        'AGwAYQBuAGQAIABMAHUAawBhAHMAegAgAEQAegBpAGUAZAB6AGkAYwBMAHUAawBhAHMAegAgAEQAegBpAGUAZAB6AGkAYwBMAGEAdABvACAAaQBzACAA',
+        'YQAgAHMAYQBuAHMAZQByAGkAZgAgAHQAeQBwAGUAZgBhAGMAZQAgAGYAYQBtAGkAbAB5ACAAZABlAHMAaQBnAG4AZQBkACAAaQBuACAAdABoAGUAIABT',
+        'AHUAbQBtAGUAcgAgADIAMAAxADAAIABiAHkAIABXAGEAcgBzAGEAdwAtAGIAYQBzAGUAZAAgAGQAZQBzAGkAZwBuAGUAcgAgAEwAdQBrAGEAcwB6ACAA',
+        'RAB6AGkAZQBkAHoAaQBjACAAKAAiAEwAYQB0AG8AIgAgAG0AZQBhAG4AcwAgACIAUwB1AG0AbQBlAHIAIgAgAGkAbgAgAFAAbwBsAGkAcwBoACkALgAg',
+        'AEkAdAAgAHQAcgBpAGUAcwAgAHQAbwAgAGMAYQByAGUAZgB1AGwAbAB5ACAAYgBhAGwAYQBuAGMAZQAgAHMAbwBtAGUAIABwAG8AdABlAG4AdABpAGEA',
+        'bABsAHkAIABjAG8AbgBmAGwAaQBjAHQAaQBuAGcAIABwAHIAaQBvAHIAaQB0AGkAZQBzADoAIABpAHQAIABzAGgAbwB1AGwAZAAgAHMAZQBlAG0AIABx',
+        'AHUAaQB0AGUAIAAiAHQAcgBhAG4AcwBwAGEAcgBlAG4AdAAiACAAdwBoAGUAbgAgAHUAcwBlAGQAIABpAG4AIABiAG8AZAB5ACAAdABlAHgAdAAgAGIA',
+        'dQB0ACAAdwBvAHUAbABkACAAZABpAHMAcABsAGEAeQAgAHMAbwBtAGUAIABvAHIAaQBnAGkAbgBhAGwAIAB0AHIAYQBpAHQAcwAgAHcAaABlAG4AIAB1',
+        'AHMAZQBkACAAaQBuACAAbABhAHIAZwBlAHIAIABzAGkAegBlAHMALgAgAFQAaABlACAAYwBsAGEAcwBzAGkAYwBhAGwAIABwAHIAbwBwAG8AcgB0AGkA',
+        'bwBuAHMALAAgAHAAYQByAHQAaQBjAHUAbABhAHIAbAB5ACAAdgBpAHMAaQBiAGwAZQAgAGkAbgAgAHQAaABlACAAdQBwAHAAZQByAGMAYQBzAGUALAAg',
+        'AGcAaQB2AGUAIAB0AGgAZQAgAGwAZQB0AHQAZQByAGYAbwByAG0AcwAgAGYAYQBtAGkAbABpAGEAcgAgAGgAYQByAG0AbwBuAHkAIABhAG4AZAAgAGUA',
+        'bABlAGcAYQBuAGMAZQAuACAAQQB0ACAAdABoAGUAIABzAGEAbQBlACAAdABpAG0AZQAsACAAaQB0AHMAIABzAGwAZQBlAGsAIABzAGEAbgBzAGUAcgBp',
+        'AGYAIABsAG8AbwBrACAAbQBhAGsAZQBzACAAZQB2AGkAZABlAG4AdAAgAHQAaABlACAAZgBhAGMAdAAgAHQAaABhAHQAIABMAGEAdABvACAAdwBhAHMA',
+        'IABkAGUAcwBpAGcAbgBlAGQAIABpAG4AIAAyADAAMQAwACwAIABlAHYAZQBuACAAdABoAG8AdQBnAGgAIABpAHQAIABkAG8AZQBzACAAbgBvAHQAIABm',
+        'AG8AbABsAG8AdwAgAGEAbgB5ACAAYwB1AHIAcgBlAG4AdAAgAHQAcgBlAG4AZAAuACAAVABoAGUAIABzAGUAbQBpAC0AcgBvAHUAbgBkAGUAZAAgAGQA',
+        'ZQB0AGEAaQBsAHMAIABvAGYAIAB0AGgAZQAgAGwAZQB0AHQAZQByAHMAIABnAGkAdgBlACAATABhAHQAbwAgAGEAIABmAGUAZQBsAGkAbgBnACAAbwBm',
+        'ACAAdwBhAHIAbQB0AGgALAAgAHcAaABpAGwAZQAgAHQAaABlACAAcwB0AHIAbwBuAGcAIABzAHQAcgB1AGMAdAB1AHIAZQAgAHAAcgBvAHYAaQBkAGUA',
+        'cwAgAHMAdABhAGIAaQBsAGkAdAB5ACAAYQBuAGQAIABzAGUAcgBpAG8AdQBzAG4AZQBzAHMALgBoAHQAdABwADoALwAvAHcAdwB3AC4AdAB5AHAAbwBs',
+        'AGEAbgBkAC4AYwBvAG0ALwBoAHQAdABwADoALwAvAHcAdwB3AC4AdAB5AHAAbwBsAGEAbgBkAC4AYwBvAG0ALwBkAGUAcwBpAGcAbgBlAHIAcwAvAEwA',
+        'dQBrAGEAcwB6AF8ARAB6AGkAZQBkAHoAaQBjAC8AQwBvAHAAeQByAGkAZwBoAHQAIAAoAGMAKQAgADIAMAAxADAALQAyADAAMQAzACAAYgB5ACAAdAB5',
+        'AFAAbwBsAGEAbgBkACAATAB1AGsAYQBzAHoAIABEAHoAaQBlAGQAegBpAGMAIAAoAGgAdAB0AHAAOgAvAC8AdwB3AHcALgB0AHkAcABvAGwAYQBuAGQA',
+        'LgBjAG8AbQAvACkAIAB3AGkAdABoACAAUgBlAHMAZQByAHYAZQBkACAARgBvAG4AdAAgAE4AYQBtAGUAIAAiAEwAYQB0AG8AIgAuACAATABpAGMAZQBu',
+        'AHMAZQBkACAAdQBuAGQAZQByACAAdABoAGUAIABTAEkATAAgAE8AcABlAG4AIABGAG8AbgB0ACAATABpAGMAZQBuAHMAZQAsACAAVgBlAHIAcwBpAG8A',
+        'bgAgADEALgAxACAAKABoAHQAdABwADoALwAvAHMAYwByAGkAcAB0AHMALgBzAGkAbAAuAG8AcgBnAC8ATwBGAEwAKQAuAGgAdAB0AHAAOgAvAC8AcwBj',
+        'AHIAaQBwAHQAcwAuAHMAaQBsAC4AbwByAGcALwBPAEYATAAAAAIAAAAAAAD/dAB4AAAAAAAAAAAAAAAAAAAAAAAAAAABFQAAAQIAAgADAAQABQAGAAcA',
+        'CAAJAAoACwAMAA0ADgAPABAAEQASABMAFAAVABYAFwAYABkAGgAbABwAHQAeAB8AIAAhACIAIwAkACUAJgAnACgAKQAqACsALAAtAC4ALwAwADEAMgAz',
+        'ADQANQA2ADcAOAA5ADoAOwA8AD0APgA/AEAAQQBCAEMARABFAEYARwBIAEkASgBLAEwATQBOAE8AUABRAFIAUwBUAFUAVgBXAFgAWQBaAFsAXABdAF4A',
+        'XwBgAGEBAwCjAIQAhQC9AJYA6ACGAI4AiwCdAKkApAEEAIoBBQCDAJMA8gDzAI0AlwCIAQYA3gDxAJ4AqgD1APQA9gCiAK0AyQDHAK4AYgBjAJAAZADL',
+        'AGUAyADKAM8AzADNAM4A6QBmANMA0ADRAK8AZwDwAJEA1gDUANUAaADrAO0AiQBqAGkAawBtAGwAbgCgAG8AcQBwAHIAcwB1AHQAdgB3AOoAeAB6AHkA',
+        'ewB9AHwAuAChAH8AfgCAAIEA7ADuALoBBwEIAP0A/gEJAQoA1wDiAOMBCwEMALAAsQENAQ4A5ADlALsBDwEQAREBEgDmAOcApgDYAOEBEwDbANwA3QDg',
+        'ANkA3wCbALIAswC2ALcAxAC0ALUAxQCCAMIAhwCrAMYAvgC/ALwBFACMAJ8AmAEVAJoAmQDvAKUAkgCcAKcAjwCUAJUAuQEWAMAAwQEXARgBGQEaARsB',
+        'HAEdAR4BHwEgASEBIgEjBE5VTEwHdW5pMDBBMAd1bmkwMEFEBm1hY3Jvbg5wZXJpb2RjZW50ZXJlZAdBb2dvbmVrB2FvZ29uZWsHRW9nb25lawdlb2dv',
+        'bmVrBk5hY3V0ZQZuYWN1dGUGU2FjdXRlBnNhY3V0ZQZaYWN1dGUGemFjdXRlClpkb3RhY2NlbnQKemRvdGFjY2VudAd1bmkwMkM5BEV1cm8FRGVsdGEH',
+        'dW5pMjY2ORB1bmRlcmNvbW1hYWNjZW50CmdyYXZlLmNhc2UNZGllcmVzaXMuY2FzZQttYWNyb24uY2FzZQphY3V0ZS5jYXNlD2NpcmN1bWZsZXguY2Fz',
+        'ZQpjYXJvbi5jYXNlCmJyZXZlLmNhc2UOZG90YWNjZW50LmNhc2UJcmluZy5jYXNlCnRpbGRlLmNhc2URaHVuZ2FydW1sYXV0LmNhc2UKY2Fyb24uc2Fs',
+        'dAAAAAEAAf//AA8AAAAAAAAAAAAAAAAAAAAAALgAiwC4AIsFmQAABboD9QAA/qkHtv5WBan/8AW6BAX/8v6UB7b+VrAALLAgYGYtsAEsIGQgsMBQsAQm',
+        'WrAERVtYISMhG4pYILBQUFghsEBZGyCwOFBYIbA4WVkgsAtFYWSwKFBYIbALRSCwMFBYIbAwWRsgsMBQWCBmIIqKYSCwClBYYBsgsCBQWCGwCmAbILA2',
+        'UFghsDZgG2BZWVkbsAArWVkjsABQWGVZWS2wAiwgRSCwBCVhZCCwBUNQWLAFI0KwBiNCGyEhWbABYC2wAywjISMhIGSxBWJCILAGI0KyCwECKiEgsAZD',
+        'IIogirAAK7EwBSWKUVhgUBthUllYI1khILBAU1iwACsbIbBAWSOwAFBYZVktsAQssAdDK7IAAgBDYEItsAUssAcjQiMgsAAjQmGwgGKwAWCwBCotsAYs',
+        'ICBFILACRWOwAUViYESwAWAtsAcsICBFILAAKyOxCAQlYCBFiiNhIGQgsCBQWCGwABuwMFBYsCAbsEBZWSOwAFBYZVmwAyUjYUREsAFgLbAILLEFBUWw',
+        'AWFELbAJLLABYCAgsAlDSrAAUFggsAkjQlmwCkNKsABSWCCwCiNCWS2wCiwguAQAYiC4BABjiiNhsAtDYCCKYCCwCyNCIy2wCyxLVFixBwFEWSSwDWUj',
+        'eC2wDCxLUVhLU1ixBwFEWRshWSSwE2UjeC2wDSyxAAxDVVixDAxDsAFhQrAKK1mwAEOwAiVCsQkCJUKxCgIlQrABFiMgsAMlUFixAQBDYLAEJUKKiiCK',
+        'I2GwCSohI7ABYSCKI2GwCSohG7EBAENgsAIlQrACJWGwCSohWbAJQ0ewCkNHYLCAYiCwAkVjsAFFYmCxAAATI0SwAUOwAD6yAQEBQ2BCLbAOLLEABUVU',
+        'WACwDCNCIGCwAWG1DQ0BAAsAQkKKYLENBSuwbSsbIlktsA8ssQAOKy2wECyxAQ4rLbARLLECDistsBIssQMOKy2wEyyxBA4rLbAULLEFDistsBUssQYO',
+        'Ky2wFiyxBw4rLbAXLLEIDistsBgssQkOKy2wGSywCCuxAAVFVFgAsAwjQiBgsAFhtQ0NAQALAEJCimCxDQUrsG0rGyJZLbAaLLEAGSstsBsssQEZKy2w',
+        'HCyxAhkrLbAdLLEDGSstsB4ssQQZKy2wHyyxBRkrLbAgLLEGGSstsCEssQcZKy2wIiyxCBkrLbAjLLEJGSstsCQsIDywAWAtsCUsIGCwDWAgQyOwAWBD',
+        'sAIlYbABYLAkKiEtsCYssCUrsCUqLbAnLCAgRyAgsAJFY7ABRWJgI2E4IyCKVVggRyAgsAJFY7ABRWJgI2E4GyFZLbAoLLEABUVUWACwARawJyqwARUw',
+        'GyJZLbApLLAIK7EABUVUWACwARawJyqwARUwGyJZLbAqLCA1sAFgLbArLACwA0VjsAFFYrAAK7ACRWOwAUVisAArsAAWtAAAAAAARD4jOLEqARUqLbAs',
+        'LCA8IEcgsAJFY7ABRWJgsABDYTgtsC0sLhc8LbAuLCA8IEcgsAJFY7ABRWJgsABDYbABQ2M4LbAvLLECABYlIC4gR7AAI0KwAiVJiopHI0cjYSBYYhsh',
+        'WbABI0KyLgEBFRQqLbAwLLAAFrAEJbAEJUcjRyNhsAZFK2WKLiMgIDyKOC2wMSywABawBCWwBCUgLkcjRyNhILAEI0KwBkUrILBgUFggsEBRWLMCIAMg',
+        'G7MCJgMaWUJCIyCwCEMgiiNHI0cjYSNGYLAEQ7CAYmAgsAArIIqKYSCwAkNgZCOwA0NhZFBYsAJDYRuwA0NgWbADJbCAYmEjICCwBCYjRmE4GyOwCENG',
+        'sAIlsAhDRyNHI2FgILAEQ7CAYmAjILAAKyOwBENgsAArsAUlYbAFJbCAYrAEJmEgsAQlYGQjsAMlYGRQWCEbIyFZIyAgsAQmI0ZhOFktsDIssAAWICAg',
+        'sAUmIC5HI0cjYSM8OC2wMyywABYgsAgjQiAgIEYjR7AAKyNhOC2wNCywABawAyWwAiVHI0cjYbAAVFguIDwjIRuwAiWwAiVHI0cjYSCwBSWwBCVHI0cj',
+        'YbAGJbAFJUmwAiVhsAFFYyMgWGIbIVljsAFFYmAjLiMgIDyKOCMhWS2wNSywABYgsAhDIC5HI0cjYSBgsCBgZrCAYiMgIDyKOC2wNiwjIC5GsAIlRlJY',
+        'IDxZLrEmARQrLbA3LCMgLkawAiVGUFggPFkusSYBFCstsDgsIyAuRrACJUZSWCA8WSMgLkawAiVGUFggPFkusSYBFCstsDkssDArIyAuRrACJUZSWCA8',
+        'WS6xJgEUKy2wOiywMSuKICA8sAQjQoo4IyAuRrACJUZSWCA8WS6xJgEUK7AEQy6wJistsDsssAAWsAQlsAQmIC5HI0cjYbAGRSsjIDwgLiM4sSYBFCst',
+        'sDwssQgEJUKwABawBCWwBCUgLkcjRyNhILAEI0KwBkUrILBgUFggsEBRWLMCIAMgG7MCJgMaWUJCIyBHsARDsIBiYCCwACsgiophILACQ2BkI7ADQ2Fk',
+        'UFiwAkNhG7ADQ2BZsAMlsIBiYbACJUZhOCMgPCM4GyEgIEYjR7AAKyNhOCFZsSYBFCstsD0ssDArLrEmARQrLbA+LLAxKyEjICA8sAQjQiM4sSYBFCuw',
+        'BEMusCYrLbA/LLAAFSBHsAAjQrIAAQEVFBMusCwqLbBALLAAFSBHsAAjQrIAAQEVFBMusCwqLbBBLLEAARQTsC0qLbBCLLAvKi2wQyywABZFIyAuIEaK',
+        'I2E4sSYBFCstsEQssAgjQrBDKy2wRSyyAAA8Ky2wRiyyAAE8Ky2wRyyyAQA8Ky2wSCyyAQE8Ky2wSSyyAAA9Ky2wSiyyAAE9Ky2wSyyyAQA9Ky2wTCyy',
+        'AQE9Ky2wTSyyAAA5Ky2wTiyyAAE5Ky2wTyyyAQA5Ky2wUCyyAQE5Ky2wUSyyAAA7Ky2wUiyyAAE7Ky2wUyyyAQA7Ky2wVCyyAQE7Ky2wVSyyAAA+Ky2w',
+        'ViyyAAE+Ky2wVyyyAQA+Ky2wWCyyAQE+Ky2wWSyyAAA6Ky2wWiyyAAE6Ky2wWyyyAQA6Ky2wXCyyAQE6Ky2wXSywMisusSYBFCstsF4ssDIrsDYrLbBf',
+        'LLAyK7A3Ky2wYCywABawMiuwOCstsGEssDMrLrEmARQrLbBiLLAzK7A2Ky2wYyywMyuwNystsGQssDMrsDgrLbBlLLA0Ky6xJgEUKy2wZiywNCuwNist',
+        'sGcssDQrsDcrLbBoLLA0K7A4Ky2waSywNSsusSYBFCstsGossDUrsDYrLbBrLLA1K7A3Ky2wbCywNSuwOCstsG0sK7AIZbADJFB4sAEVMC0AAABLuABL',
+        'UlixAQGOWbkIAAgAYyCwASNEsAMjcLAXRSAgsChgZiCKVViwAiVhsAFFYyNisAIjRLILAQYqsgwGBiqyFAYGKlmyBCgJRVJEsgwIByqxBgNEsSQBiFFY',
+        'sECIWLEGA0SxJgGIUVi4BACIWLEGA0RZWVlZuAH/hbAEjbEFAEQAAAAAAAABAAAAAA=='
+    ].join('');
+
+    /**
+     * Get the bundled font file
+     * @returns {ArrayBuffer} TrueType font data
+     */
+    static getFontData() {
+        const binary = atob(BundledFonts.LATO_REGULAR);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+}
+
+// Export for use in other modules
+window.BundledFonts = BundledFonts;
@@ -0,0 +1,218 @@
+/**
+ * Change Tracker Module - Attribute Changes Since Loading
+ *
+ * Compares the shaper attributes of the elements and groups of a document
+ * with those in the file as it was loaded (MetaData's original SVG, which
+ * keeps the app-ids) and restores the loaded values on request.
+ *
+ * Key Features:
+ * - Old and new value of every changed shaper attribute
+ * - Groups with changed group-level attributes
+ * - Check of single elements for the tooltip (own or group attributes changed)
+ * - Revert to the loaded values as one undo step
+ * - The loaded attributes are read once per original SVG
+ */
+class ChangeTracker {
+    /**
+     * Initialize change tracker with system dependencies
+     *
+     * @param {MeasurementSystem} measurementSystem - Attribute reading and value formatting
+     * @param {ElementManager} elementManager - Element data and names
+     * @param {AttributeSystem} attributeSystem - Undoable attribute replacement
+     */
+    constructor(measurementSystem, elementManager, attributeSystem) {
+        this.measurementSystem = measurementSystem;
+        this.elementManager = elementManager;
+        this.attributeSystem = attributeSystem;
+        this.dryUtils = new DRYUtilities(measurementSystem);
+
+        this.originalSource = null; // Original SVG the cached attributes were read from
+        this.originalAttributes = new Map(); // Loaded attributes by app-id (and group-id)
+    }
+
+    // ============================================================================
+    // LOADED ATTRIBUTES
+    // ============================================================================
+
+    /**
+     * Read the shaper attributes of the loaded file
+     *
+     * @param {string|null} originalSVG - Original SVG with app-ids (MetaData.getOriginalSVG())
+     * @returns {Map} Attributes in element data format by app-id and group-id
+     */
+    getOriginalAttributes(originalSVG) {
+        if (originalSVG === this.originalSource) {
+            return this.originalAttributes;
+        }
+
+        const attributes = new Map();
+        const doc = originalSVG ? new DOMParser().parseFromString(originalSVG, 'image/svg+xml') : null;
+        if (doc && !doc.querySelector('parsererror')) {
+            doc.querySelectorAll('[data-app-id], [data-group-id]').forEach(element => {
+                const id = element.getAttribute('data-app-id') || element.getAttribute('data-group-id');
+                attributes.set(id, this.measurementSystem.readShaperAttributes(element));
+            });
+        }
+
+        this.originalSource = originalSVG;
+        this.originalAttributes = attributes;
+        return attributes;
+    }
+
+    // ============================================================================
+    // CHANGES
+    // ============================================================================
+
+    /**
+     * List the elements and groups whose shaper attributes differ from the loaded file
+     *
+     * Elements that are not in the loaded file (e.g., converted text) are left out.
+     *
+     * @param {Element} svgElement - Displayed SVG root
+     * @param {string|null} originalSVG - Original SVG with app-ids
+     * @returns {Array<Object>} Changes {appId, isGroup, element, name, description, original,
+     *     differences: [{name, before, after}]} in document order, groups last
+     */
+    getChanges(svgElement, originalSVG) {
+        if (!svgElement) return [];
+
+        const originals = this.getOriginalAttributes(originalSVG);
+        const changes = [];
+        const addChange = (element, isGroup) => {
+            const appId = isGroup ? element.dataset.groupId : element.dataset.appId;
+            if (!originals.has(appId)) return;
+
+            const differences = this.getDifferences(originals.get(appId), this.elementManager.getOwnAttributes(element));
+            if (differences.length === 0) return;
+
+            const name = this.elementManager.getNodeName(element);
+            changes.push({
+                appId,
+                isGroup,
+                element,
+                name,
+                description: isGroup ? `Group ${name}` : this.elementManager.getElementDescription(element),
+                original: originals.get(appId),
+                differences
+            });
+        };
+
+        svgElement.querySelectorAll('[data-app-id]').forEach(element => addChange(element, false));
+        svgElement.querySelectorAll('g[data-group-id]').forEach(group => addChange(group, true));
+        return changes;
+    }
+
+    /**
+     * Check whether an element's attributes, own or from its groups, differ from the loaded file
+     *
+     * @param {Element} element - Displayed element
+     * @param {string|null} originalSVG - Original SVG with app-ids
+     * @returns {boolean} True if changed
+     */
+    isChanged(element, originalSVG) {
+        const originals = this.getOriginalAttributes(originalSVG);
+        const isChangedNode = (node, appId) => originals.has(appId) &&
+            this.getDifferences(originals.get(appId), this.elementManager.getOwnAttributes(node)).length > 0;
+
+        if (isChangedNode(element, element.dataset.appId)) return true;
+
+        let group = element.parentElement ? element.parentElement.closest('g[data-group-id]') : null;
+        while (group) {
+            if (isChangedNode(group, group.dataset.groupId)) return true;
+            group = group.parentElement ? group.parentElement.closest('g[data-group-id]') : null;
+        }
+        return false;
+    }
+
+    /**
+     * Compare loaded and current shaper attributes
+     *
+     * @param {Object} before - Loaded attributes (pixel-based)
+     * @param {Object} after - Current own attributes (pixel-based)
+     * @returns {Array<Object>} Differences {name, before, after} in attribute order (values null if not set)
+     */
+    getDifferences(before, after) {
+        const differences = [];
+        ShaperConstants.ALL_ATTRIBUTES.forEach(attr => {
+            const name = `shaper:${attr}`;
+            const beforeValue = this.getValue(before, name);
+            const afterValue = this.getValue(after, name);
+            if (!this.isSameValue(beforeValue, afterValue)) {
+                differences.push({ name, before: beforeValue, after: afterValue });
+            }
+        });
+        return differences;
+    }
+
+    /**
+     * Get a set attribute value
+     * @param {Object} attributes - Shaper attributes
+     * @param {string} name - Attribute name (e.g., 'shaper:cutDepth')
+     * @returns {string|null} Value, null if not set or empty
+     */
+    getValue(attributes, name) {
+        const value = attributes ? attributes[name] : undefined;
+        return value === undefined || value === null || String(value).trim() === '' ? null : String(value);
+    }
+
+    /**
+     * Compare two stored values; pixel values may differ by rounding
+     * @param {string|null} a - Stored value
+     * @param {string|null} b - Stored value
+     * @returns {boolean} True if equal
+     */
+    isSameValue(a, b) {
+        if (a === null || b === null) return a === b;
+
+        const numberA = Number(a);
+        const numberB = Number(b);
+        if (isNaN(numberA) || isNaN(numberB)) return a === b;
+        return Math.abs(numberA - numberB) < 1e-6;
+    }
+
+    /**
+     * Format a stored value for display
+     * @param {string} name - Attribute name (e.g., 'shaper:cutDepth')
+     * @param {string|null} value - Stored value (pixels for measurements)
+     * @returns {string} Value in current units, 'none' if not set
+     */
+    formatValue(name, value) {
+        if (value === null) return 'none';
+
+        const pixels = Number(value);
+        if (name === 'shaper:cutType' || isNaN(pixels)) return value;
+        return this.dryUtils.formatPixelsToDisplay(pixels);
+    }
+
+    // ============================================================================
+    // REVERT
+    // ============================================================================
+
+    /**
+     * Restore the loaded attributes of changed elements as one undo step
+     *
+     * A tool picked from the library is kept while the loaded tool diameter
+     * is the one of the tool.
+     *
+     * @param {Array<Object>} changes - Changes from getChanges()
+     * @returns {number} Number of reverted elements
+     */
+    revert(changes) {
+        const replacements = changes.map(change => {
+            const current = this.elementManager.getOwnAttributes(change.element);
+            const attributes = { ...change.original };
+            const toolId = current[ShaperConstants.TOOL_ID_KEY];
+            const toolDia = this.getValue(attributes, 'shaper:toolDia');
+            if (toolId && toolDia !== null && this.isSameValue(this.getValue(current, 'shaper:toolDia'), toolDia)) {
+                attributes[ShaperConstants.TOOL_ID_KEY] = toolId;
+            }
+            return { element: change.element, attributes };
+        });
+
+        return this.attributeSystem.replaceAttributes(replacements,
+            this.attributeSystem.getChangeLabel('Revert', replacements.length));
+    }
+}
+
+// Export for use in other modules
+window.ChangeTracker = ChangeTracker;
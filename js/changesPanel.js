@@ -0,0 +1,256 @@
+/**
+ * Changes Panel Module - Attribute Changes Since Loading
+ *
+ * Side panel listing every element and group whose shaper attributes
+ * differ from the loaded file, with old and new values. While the panel is
+ * open the changed elements are framed on the canvas, and the list follows
+ * each attribute change (including undo and redo).
+ *
+ * Key Features:
+ * - Old → new value per changed attribute
+ * - Click an entry to select its element (highlighting its frame)
+ * - Per-element revert to the loaded values (undoable)
+ * - Canvas frames carry the no-export class and never reach the export
+ */
+class ChangesPanel {
+    /**
+     * Initialize changes panel with system dependencies
+     *
+     * @param {ChangeTracker} changeTracker - Comparison with the loaded file and revert
+     * @param {MetaData} metaData - Original SVG of the active document
+     * @param {DesignRuleChecker} designRuleChecker - Element boxes in root space
+     * @param {SVGHelper} svgHelper - SVG element creation utilities
+     */
+    constructor(changeTracker, metaData, designRuleChecker, svgHelper) {
+        this.changeTracker = changeTracker;
+        this.metaData = metaData;
+        this.designRuleChecker = designRuleChecker;
+        this.svgHelper = svgHelper;
+
+        this.svgElement = null; // Displayed SVG that is compared and marked
+        this.changes = [];
+        this.activeAppId = null;
+
+        // Callback selecting the element of a clicked entry (receives app-id)
+        this.onSelectElement = null;
+    }
+
+    /** CSS class of the frame group */
+    static MARKER_CLASS = 'change-markers';
+
+    /** Frame margin as fraction of the larger document side */
+    static FRAME_MARGIN_RATIO = 0.008;
+
+    /**
+     * Initialize panel DOM elements and event handlers
+     * Must be called after DOM is fully loaded.
+     */
+    initialize() {
+        DRYUtilities.bindElements({
+            panel: 'changesPanel',
+            changeList: 'changesList',
+            summaryText: 'changesSummary'
+        }, this);
+
+        document.getElementById('changesClose').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Attach the panel to a newly displayed SVG and compare it if open
+     * @param {Element|null} svgElement - Displayed SVG (display clone in the DOM)
+     */
+    attach(svgElement) {
+        this.svgElement = svgElement;
+        this.activeAppId = null;
+        this.refresh();
+    }
+
+    /**
+     * Open the panel and compare
+     */
+    open() {
+        this.panel.style.display = 'flex';
+        this.refresh();
+    }
+
+    /**
+     * Close the panel and remove the canvas frames
+     */
+    close() {
+        this.panel.style.display = 'none';
+        this.activeAppId = null;
+        this.clearMarkers();
+    }
+
+    /**
+     * Open the panel if closed, close it if open
+     */
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Check whether the panel is currently shown
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return !!this.panel && this.panel.style.display !== 'none';
+    }
+
+    /**
+     * Compare again and update list and frames (only while open)
+     */
+    refresh() {
+        if (!this.isOpen()) return;
+
+        this.changes = this.changeTracker.getChanges(this.svgElement, this.metaData.getOriginalSVG());
+        if (!this.changes.some(change => change.appId === this.activeAppId)) {
+            this.activeAppId = null;
+        }
+
+        this.renderChanges();
+        this.drawMarkers();
+    }
+
+    /**
+     * Render the changed elements and groups
+     */
+    renderChanges() {
+        this.changeList.innerHTML = '';
+
+        const count = this.changes.length;
+        if (!this.svgElement) {
+            this.summaryText.textContent = 'No file loaded';
+        } else {
+            this.summaryText.textContent = count === 0 ? 'No changes' : `${count} changed`;
+        }
+
+        [['Elements', false], ['Groups', true]].forEach(([label, isGroup]) => {
+            const entries = this.changes.filter(change => change.isGroup === isGroup);
+            if (entries.length === 0) return;
+
+            const title = document.createElement('div');
+            title.className = 'design-rule-group';
+            title.textContent = `${label} (${entries.length})`;
+            this.changeList.appendChild(title);
+
+            entries.forEach(change => {
+                this.changeList.appendChild(this.createChangeItem(change));
+            });
+        });
+    }
+
+    /**
+     * Create the list entry of a change
+     * @param {Object} change - Change from ChangeTracker.getChanges()
+     * @returns {Element} List entry with select and revert buttons
+     */
+    createChangeItem(change) {
+        const item = document.createElement('div');
+        item.className = 'change-item';
+        if (change.appId === this.activeAppId) {
+            item.classList.add('active');
+        }
+
+        const select = document.createElement('button');
+        select.type = 'button';
+        select.className = 'design-rule-item';
+        select.title = change.isGroup ? 'Highlight group' : 'Select element';
+
+        const description = document.createElement('span');
+        description.className = 'design-rule-element';
+        description.textContent = change.description;
+        select.appendChild(description);
+
+        change.differences.forEach(difference => {
+            const line = document.createElement('span');
+            line.className = 'design-rule-message';
+            line.textContent = `${difference.name.replace('shaper:', '')}: ` +
+                `${this.changeTracker.formatValue(difference.name, difference.before)} → ` +
+                `${this.changeTracker.formatValue(difference.name, difference.after)}`;
+            select.appendChild(line);
+        });
+        select.addEventListener('click', () => this.selectChange(change.appId));
+
+        const revert = document.createElement('button');
+        revert.type = 'button';
+        revert.className = 'change-revert';
+        revert.textContent = 'Revert';
+        revert.title = 'Restore the values of the loaded file';
+        revert.addEventListener('click', () => this.changeTracker.revert([change]));
+
+        item.appendChild(select);
+        item.appendChild(revert);
+        return item;
+    }
+
+    /**
+     * Select the element of a change and highlight its frame
+     * @param {string} appId - App-id (or group-id) of the change
+     */
+    selectChange(appId) {
+        const change = this.changes.find(candidate => candidate.appId === appId);
+        if (!change) return;
+
+        this.activeAppId = change.appId;
+        if (!change.isGroup && this.onSelectElement) {
+            this.onSelectElement(change.appId);
+        }
+
+        this.renderChanges();
+        this.drawMarkers();
+    }
+
+    /**
+     * Frame all changed elements and groups in the displayed SVG
+     */
+    drawMarkers() {
+        this.clearMarkers();
+        if (!this.svgElement || this.changes.length === 0) return;
+
+        const group = this.svgHelper.createSVGElement('g', {
+            class: `${ChangesPanel.MARKER_CLASS} ${ShaperConstants.CSS_CLASSES.NO_EXPORT}`
+        });
+        const margin = this.getFrameMargin();
+
+        this.changes.forEach(change => {
+            const { x, y, width, height } = this.designRuleChecker.getRootBBox(change.element, this.svgElement);
+            group.appendChild(this.svgHelper.createSVGElement('rect', {
+                class: change.appId === this.activeAppId ? 'change-frame active' : 'change-frame',
+                x: x - margin,
+                y: y - margin,
+                width: width + 2 * margin,
+                height: height + 2 * margin
+            }));
+        });
+
+        this.svgElement.appendChild(group);
+    }
+
+    /**
+     * Remove all frames from the displayed SVG
+     */
+    clearMarkers() {
+        if (!this.svgElement) return;
+
+        this.svgElement.querySelectorAll(`.${ChangesPanel.MARKER_CLASS}`)
+            .forEach(group => group.remove());
+    }
+
+    /**
+     * Get the frame margin relative to the document size
+     * @returns {number} Margin in root user units
+     */
+    getFrameMargin() {
+        const bounds = this.designRuleChecker.getDocumentBounds(this.svgElement);
+        if (!bounds) return 2;
+        return Math.max(bounds.width, bounds.height) * ChangesPanel.FRAME_MARGIN_RATIO;
+    }
+}
+
+// Export for use in other modules
+window.ChangesPanel = ChangesPanel;
@@ -0,0 +1,320 @@
+/**
+ * Color Import Dialog Module - Review Cut Types Proposed from Colors
+ *
+ * Lists the cut type proposals ColorInference derived from the original
+ * fill and stroke colors and lets the user apply a selection of them in one
+ * step. Also manages the user-defined color → recipe rules that take
+ * precedence over the Shaper palette.
+ *
+ * Key Features:
+ * - Proposal table with color swatches, current and proposed values
+ * - Select all / none and per-element checkboxes
+ * - Color rule editor (color, fill/stroke, cut type, optional measurements)
+ * - Rules persisted through MetaData, proposals refreshed on every rule change
+ */
+class ColorImportDialog {
+    /**
+     * Initialize color import dialog with system dependencies
+     *
+     * @param {MeasurementSystem} measurementSystem - Unit conversion and formatting
+     * @param {ColorInference} colorInference - Proposal generation from colors
+     * @param {MetaData} metaData - Element data and color rule persistence
+     * @param {FileManager} fileManager - Access to the master model with original colors
+     */
+    constructor(measurementSystem, colorInference, metaData, fileManager) {
+        this.measurementSystem = measurementSystem;
+        this.colorInference = colorInference;
+        this.metaData = metaData;
+        this.fileManager = fileManager;
+
+        this.proposals = [];
+
+        // Callback receiving the selected proposals when the user applies them
+        this.onApply = null;
+    }
+
+    /**
+     * Initialize dialog DOM elements and event handlers
+     * Must be called after DOM is fully loaded.
+     */
+    initialize() {
+        DRYUtilities.bindElements({
+            modal: 'colorImportModal',
+            counter: 'colorImportCounter',
+            summary: 'colorImportSummary',
+            proposalList: 'colorImportList',
+            ruleList: 'colorRuleList',
+            ruleColor: 'colorRuleColor',
+            ruleTarget: 'colorRuleTarget',
+            ruleCutType: 'colorRuleCutType',
+            ruleCutDepth: 'colorRuleCutDepth',
+            ruleCutOffset: 'colorRuleCutOffset',
+            ruleToolDia: 'colorRuleToolDia'
+        }, this);
+
+        document.getElementById('colorImportClose').addEventListener('click', () => this.close());
+        document.getElementById('colorImportCancel').addEventListener('click', () => this.close());
+        document.getElementById('colorImportApply').addEventListener('click', () => this.applySelected());
+        document.getElementById('colorImportSelectAll').addEventListener('click', () => this.setAllSelected(true));
+        document.getElementById('colorImportSelectNone').addEventListener('click', () => this.setAllSelected(false));
+        document.getElementById('colorRuleAdd').addEventListener('click', () => this.addRuleFromForm());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Compute proposals for the loaded file
+     * @returns {Array<Object>} Current proposals
+     */
+    computeProposals() {
+        this.proposals = this.colorInference.proposeCutTypes(
+            this.fileManager.masterSVGElement,
+            this.metaData.getElementDataMap(),
+            this.metaData.getColorRules()
+        );
+        return this.proposals;
+    }
+
+    /**
+     * Open the dialog only if the file has elements without cut type that match a color
+     *
+     * Used as import step after loading a new file.
+     *
+     * @returns {boolean} True if the dialog was opened
+     */
+    openIfProposals() {
+        const proposals = this.computeProposals();
+        if (!proposals.some(proposal => proposal.selected)) {
+            return false;
+        }
+        this.open();
+        return true;
+    }
+
+    /**
+     * Open the dialog with freshly computed proposals
+     */
+    open() {
+        this.computeProposals();
+        this.updateRuleUnitLabels();
+        this.renderRules();
+        this.renderProposals();
+        this.modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the dialog without applying anything
+     */
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    /**
+     * Check whether the dialog is currently shown
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return !!this.modal && this.modal.style.display !== 'none';
+    }
+
+    /**
+     * Render the proposal table
+     */
+    renderProposals() {
+        this.proposalList.innerHTML = '';
+
+        this.proposals.forEach(proposal => {
+            const row = document.createElement('tr');
+
+            const checkCell = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = proposal.selected;
+            checkbox.addEventListener('change', () => {
+                proposal.selected = checkbox.checked;
+                this.updateCounter();
+            });
+            checkCell.appendChild(checkbox);
+
+            const colorCell = document.createElement('td');
+            colorCell.appendChild(this.createSwatch(proposal.fill, 'Fill'));
+            colorCell.appendChild(this.createSwatch(proposal.stroke, 'Stroke'));
+
+            const nameCell = document.createElement('td');
+            nameCell.textContent = proposal.name;
+
+            const valueCell = document.createElement('td');
+            valueCell.textContent = `${proposal.currentCutType || '—'} → ${this.formatAttributes(proposal.attributes)}`;
+
+            const sourceCell = document.createElement('td');
+            sourceCell.className = 'text-muted';
+            sourceCell.textContent = proposal.source;
+
+            [checkCell, colorCell, nameCell, valueCell, sourceCell].forEach(cell => row.appendChild(cell));
+            this.proposalList.appendChild(row);
+        });
+
+        const total = Array.from(this.metaData.getElementDataMap().values()).filter(data => !data.isGroup).length;
+        this.summary.textContent = this.proposals.length > 0
+            ? `${this.proposals.length} of ${total} elements match a color.`
+            : 'No element colors match the Shaper palette or a color rule.';
+        this.updateCounter();
+    }
+
+    /**
+     * Create a small color swatch
+     * @param {string|null} color - Normalized color or null for none
+     * @param {string} title - Tooltip prefix ('Fill' or 'Stroke')
+     * @returns {Element} Swatch element
+     */
+    createSwatch(color, title) {
+        const swatch = document.createElement('span');
+        swatch.className = `color-swatch${color ? '' : ' color-swatch-none'}`;
+        swatch.title = `${title}: ${color || 'none'}`;
+        if (color) {
+            swatch.style.background = color;
+        }
+        return swatch;
+    }
+
+    /**
+     * Format proposed attributes for display in current units
+     * @param {Object} attributes - Pixel-based shaper attributes
+     * @returns {string} Display text (e.g., 'pocket, depth 6mm')
+     */
+    formatAttributes(attributes) {
+        const parts = [attributes['shaper:cutType'] || '—'];
+        const labels = { cutDepth: 'depth', cutOffset: 'offset', toolDia: 'tool' };
+
+        ShaperConstants.MEASUREMENT_ATTRIBUTES.forEach(attr => {
+            const pixelValue = attributes[`shaper:${attr}`];
+            if (pixelValue !== undefined) {
+                const unitValue = this.measurementSystem.convertPixelsToCurrentUnit(parseFloat(pixelValue));
+                parts.push(`${labels[attr]} ${this.measurementSystem.formatWithUnits(unitValue)}`);
+            }
+        });
+
+        return parts.join(', ');
+    }
+
+    /**
+     * Update the counter of selected proposals
+     */
+    updateCounter() {
+        const selectedCount = this.proposals.filter(proposal => proposal.selected).length;
+        this.counter.textContent = selectedCount;
+    }
+
+    /**
+     * Select or deselect all proposals
+     * @param {boolean} selected - New selection state
+     */
+    setAllSelected(selected) {
+        this.proposals.forEach(proposal => {
+            proposal.selected = selected;
+        });
+        this.renderProposals();
+    }
+
+    /**
+     * Hand the selected proposals to the application and close the dialog
+     */
+    applySelected() {
+        const selectedProposals = this.proposals.filter(proposal => proposal.selected);
+        if (selectedProposals.length > 0 && this.onApply) {
+            this.onApply(selectedProposals);
+        }
+        this.close();
+    }
+
+    /**
+     * Render the list of color rules
+     */
+    renderRules() {
+        this.ruleList.innerHTML = '';
+
+        this.metaData.getColorRules().forEach((rule, index) => {
+            const item = document.createElement('div');
+            item.className = 'color-rule';
+
+            item.appendChild(this.createSwatch(this.colorInference.normalizeColor(rule.color), rule.target || 'Color'));
+
+            const label = document.createElement('span');
+            label.textContent = `${rule.color} (${rule.target || 'any'}) → ${this.formatAttributes(ShaperUtils.getPresetAttributes(rule))}`;
+            item.appendChild(label);
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'color-rule-remove';
+            removeButton.title = 'Remove rule';
+            removeButton.textContent = '×';
+            removeButton.addEventListener('click', () => this.removeRule(index));
+            item.appendChild(removeButton);
+
+            this.ruleList.appendChild(item);
+        });
+    }
+
+    /**
+     * Show the current unit next to the rule measurement inputs
+     */
+    updateRuleUnitLabels() {
+        this.modal.querySelectorAll('.color-rule-unit').forEach(label => {
+            label.textContent = this.measurementSystem.units;
+        });
+    }
+
+    /**
+     * Create a rule from the rule form and refresh the proposals
+     */
+    addRuleFromForm() {
+        const rule = {
+            color: this.ruleColor.value.toUpperCase(),
+            target: this.ruleTarget.value,
+            cutType: this.ruleCutType.value
+        };
+
+        // Measurements are entered in current units and stored in pixels
+        const inputs = { cutDepth: this.ruleCutDepth, cutOffset: this.ruleCutOffset, toolDia: this.ruleToolDia };
+        Object.entries(inputs).forEach(([attr, input]) => {
+            const value = this.measurementSystem.parseValueWithUnits(input.value);
+            if (value !== null) {
+                rule[attr] = this.measurementSystem.unitsToPixels(value).toString();
+            }
+            input.value = '';
+        });
+
+        if (!rule.cutType && !ShaperConstants.MEASUREMENT_ATTRIBUTES.some(attr => rule[attr])) {
+            return;
+        }
+
+        this.metaData.setColorRules([...this.metaData.getColorRules(), rule]);
+        this.refresh();
+    }
+
+    /**
+     * Remove a color rule and refresh the proposals
+     * @param {number} index - Rule index
+     */
+    removeRule(index) {
+        const rules = this.metaData.getColorRules().filter((rule, i) => i !== index);
+        this.metaData.setColorRules(rules);
+        this.refresh();
+    }
+
+    /**
+     * Recompute proposals and re-render the dialog content
+     */
+    refresh() {
+        this.computeProposals();
+        this.renderRules();
+        this.renderProposals();
+    }
+}
+
+// Export for use in other modules
+window.ColorImportDialog = ColorImportDialog;
@@ -0,0 +1,288 @@
+/**
+ * Color Inference Module - Cut Type Proposals from Original Colors
+ *
+ * Reads the fill and stroke colors the designer used (from the master model,
+ * before display normalization) and proposes shaper attributes for each
+ * element. Colors are matched against user-defined color rules first and
+ * then against the Shaper Cut Style Guide palette.
+ *
+ * Key Features:
+ * - Paint resolution through inline style, class rules, presentation attributes
+ *   and inheritance
+ * - Color normalization (hex, rgb(), common color names) to #RRGGBB
+ * - Tolerant Shaper palette classification (black, white, grey, blue)
+ * - User-defined color → recipe rules (cut type plus optional measurements)
+ * - Proposal list for bulk review; nothing is applied here
+ */
+class ColorInference {
+    /**
+     * Initialize color inference with unit conversion support
+     *
+     * @param {MeasurementSystem} measurementSystem - Unit conversion for rule values
+     */
+    constructor(measurementSystem) {
+        this.measurementSystem = measurementSystem;
+    }
+
+    /** Color names that may appear in SVG files, mapped to hex */
+    static NAMED_COLORS = {
+        black: '#000000',
+        white: '#FFFFFF',
+        grey: '#808080',
+        gray: '#808080',
+        darkgrey: '#A9A9A9',
+        darkgray: '#A9A9A9',
+        lightgrey: '#D3D3D3',
+        lightgray: '#D3D3D3',
+        silver: '#C0C0C0',
+        dimgray: '#696969',
+        dimgrey: '#696969',
+        blue: '#0000FF',
+        royalblue: '#4169E1',
+        dodgerblue: '#1E90FF',
+        red: '#FF0000',
+        green: '#008000',
+        lime: '#00FF00',
+        yellow: '#FFFF00',
+        orange: '#FFA500',
+        magenta: '#FF00FF',
+        fuchsia: '#FF00FF',
+        cyan: '#00FFFF',
+        aqua: '#00FFFF'
+    };
+
+    /**
+     * Read the class rules of a document's style elements
+     *
+     * @param {Element} svgElement - SVG root
+     * @returns {Object} Style rules {classRules, complete}; complete is false if
+     *     other selectors (tag, id, combinations) may set paints as well
+     */
+    getStyleRules(svgElement) {
+        const otherSelectors = [];
+        const classRules = DRYUtilities.parseClassRules(svgElement, otherSelectors);
+        return { classRules, complete: otherSelectors.length === 0 };
+    }
+
+    /**
+     * Resolve the effective paint of an element
+     *
+     * Walks up the tree until an inline style, class rule or presentation
+     * attribute defines the property. Without a definition the SVG default
+     * applies, unless stylesheet rules that are not evaluated may set it.
+     *
+     * @param {Element} element - SVG element
+     * @param {string} property - 'fill' or 'stroke'
+     * @param {Object} styleRules - Style rules from getStyleRules() (read from the element's SVG if omitted)
+     * @returns {string|null|undefined} Normalized #RRGGBB color, null for no paint,
+     *     undefined if the paint can't be determined
+     */
+    resolvePaint(element, property, styleRules = null) {
+        const rules = styleRules || this.getStyleRules(element.closest('svg') || element);
+        let current = element;
+        while (current && current.nodeType === 1) {
+            const classValue = this.getClassPaint(current, property, rules.classRules);
+            const value = (current.style && current.style.getPropertyValue(property)) ||
+                classValue || current.getAttribute(property);
+            if (value && value.trim() !== 'inherit') {
+                return this.normalizeColor(value);
+            }
+            if (current.tagName.toLowerCase() === 'svg') break;
+            current = current.parentNode;
+        }
+
+        if (!rules.complete) return undefined;
+
+        // SVG defaults: black fill, no stroke
+        return property === 'fill' ? '#000000' : null;
+    }
+
+    /**
+     * Get the paint an element's class rules declare
+     *
+     * As in CSS, the matching rule that comes last in the stylesheet wins,
+     * whatever the order of the classes in the class attribute.
+     *
+     * @param {Element} element - SVG element
+     * @param {string} property - 'fill' or 'stroke'
+     * @param {Array<Object>} classRules - Class rules from getStyleRules()
+     * @returns {string|null} Declared value or null
+     */
+    getClassPaint(element, property, classRules) {
+        const classNames = new Set((element.getAttribute('class') || '').split(/\s+/));
+        let value = null;
+        classRules.forEach(({ className, declarations }) => {
+            if (classNames.has(className) && declarations[property]) value = declarations[property];
+        });
+        return value;
+    }
+
+    /**
+     * Normalize a CSS/SVG color value to #RRGGBB
+     *
+     * @param {string} value - Color value (e.g., '#fff', 'rgb(0,0,0)', 'black', 'none')
+     * @returns {string|null|undefined} Normalized color, null for no paint ('none',
+     *     'transparent', gradients and patterns), undefined for values that can't be
+     *     read (e.g., 'currentColor', hsl() or unknown color names)
+     */
+    normalizeColor(value) {
+        if (!value) return null;
+        const color = value.trim().toLowerCase();
+        if (color === 'none' || color === 'transparent' || color.startsWith('url(')) return null;
+
+        if (ColorInference.NAMED_COLORS[color]) {
+            return ColorInference.NAMED_COLORS[color];
+        }
+
+        const shortHex = color.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/);
+        if (shortHex) {
+            return `#${shortHex[1]}${shortHex[1]}${shortHex[2]}${shortHex[2]}${shortHex[3]}${shortHex[3]}`.toUpperCase();
+        }
+
+        if (/^#[0-9a-f]{6}$/.test(color)) {
+            return color.toUpperCase();
+        }
+
+        const rgb = color.match(/^rgba?\(\s*([\d.]+)(%?)\s*,\s*([\d.]+)(%?)\s*,\s*([\d.]+)(%?)/);
+        if (rgb) {
+            const channel = (num, percent) => {
+                const value = percent ? parseFloat(num) * 2.55 : parseFloat(num);
+                return DRYUtilities.clamp(Math.round(value), 0, 255).toString(16).padStart(2, '0');
+            };
+            return `#${channel(rgb[1], rgb[2])}${channel(rgb[3], rgb[4])}${channel(rgb[5], rgb[6])}`.toUpperCase();
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Classify a color into the Shaper palette with some tolerance
+     *
+     * @param {string|null} hex - Normalized #RRGGBB color
+     * @returns {string|null} 'black', 'white', 'grey', 'blue' or null
+     */
+    classifyPaletteColor(hex) {
+        if (!hex) return null;
+
+        const r = parseInt(hex.slice(1, 3), 16);
+        const g = parseInt(hex.slice(3, 5), 16);
+        const b = parseInt(hex.slice(5, 7), 16);
+
+        // Neutral colors: black, grey or white by brightness
+        if (Math.max(r, g, b) - Math.min(r, g, b) < 24) {
+            const brightness = (r + g + b) / 3;
+            if (brightness <= 40) return 'black';
+            if (brightness >= 215) return 'white';
+            return 'grey';
+        }
+
+        if (b > 150 && b - r > 80 && b - g > 40) {
+            return 'blue';
+        }
+
+        return null;
+    }
+
+    /**
+     * Propose a cut type from fill and stroke per the Shaper Cut Style Guide
+     *
+     * @param {string|null} fill - Normalized fill color
+     * @param {string|null} stroke - Normalized stroke color
+     * @returns {string|null} Proposed cut type or null if colors don't match the palette
+     */
+    inferPaletteCutType(fill, stroke) {
+        const fillClass = this.classifyPaletteColor(fill);
+        const strokeClass = this.classifyPaletteColor(stroke);
+
+        if (fillClass === 'blue' || strokeClass === 'blue') return 'guide';
+        if (fillClass === 'black') return 'outside';
+        if (fillClass === 'white' && strokeClass === 'black') return 'inside';
+        if (fillClass === 'grey') return 'pocket';
+        if (!fill && strokeClass === 'grey') return 'online';
+
+        return null;
+    }
+
+    /**
+     * Find the first user rule matching the element colors
+     *
+     * @param {string|null} fill - Normalized fill color
+     * @param {string|null} stroke - Normalized stroke color
+     * @param {Array} rules - Color rules {color, target, cutType, cutDepth, cutOffset, toolDia}
+     * @returns {Object|null} Matching rule or null
+     */
+    findMatchingRule(fill, stroke, rules) {
+        return (rules || []).find(rule => {
+            const color = this.normalizeColor(rule.color);
+            if (!color) return false;
+            if (rule.target === 'fill') return fill === color;
+            if (rule.target === 'stroke') return stroke === color;
+            return fill === color || stroke === color;
+        }) || null;
+    }
+
+    /**
+     * Build cut type proposals for all elements of the master model
+     *
+     * Elements whose attributes already equal the proposal or whose paint
+     * can't be determined are left out.
+     * Proposals for elements without a cut type are preselected.
+     *
+     * @param {Element} masterSVGElement - Master SVG with original colors and app-ids
+     * @param {Map} elementDataMap - Element data keyed by app-id
+     * @param {Array} rules - User-defined color rules (take precedence over the palette)
+     * @returns {Array<Object>} Proposals {appId, tagName, name, fill, stroke, source, currentCutType, attributes, selected}
+     */
+    proposeCutTypes(masterSVGElement, elementDataMap, rules = []) {
+        const proposals = [];
+        if (!masterSVGElement) return proposals;
+
+        const styleRules = this.getStyleRules(masterSVGElement);
+
+        masterSVGElement.querySelectorAll('[data-app-id]').forEach(element => {
+            const appId = element.dataset.appId;
+            const elementData = elementDataMap.get(appId);
+            if (!elementData) return;
+
+            const fill = this.resolvePaint(element, 'fill', styleRules);
+            const stroke = this.resolvePaint(element, 'stroke', styleRules);
+            if (fill === undefined || stroke === undefined) return;
+
+            let attributes = null;
+            let source = null;
+            const rule = this.findMatchingRule(fill, stroke, rules);
+            if (rule) {
+                attributes = ShaperUtils.getPresetAttributes(rule);
+                source = `Rule ${this.normalizeColor(rule.color)}`;
+            } else {
+                const cutType = this.inferPaletteCutType(fill, stroke);
+                if (cutType) {
+                    attributes = { 'shaper:cutType': cutType };
+                    source = 'Shaper palette';
+                }
+            }
+            if (!attributes || Object.keys(attributes).length === 0) return;
+
+            const current = elementData.shaperAttributes || {};
+            const changes = Object.keys(attributes).some(key => current[key] !== attributes[key]);
+            if (!changes) return;
+
+            proposals.push({
+                appId: appId,
+                tagName: elementData.tagName,
+                name: element.getAttribute('id') || elementData.tagName,
+                fill: fill,
+                stroke: stroke,
+                source: source,
+                currentCutType: current['shaper:cutType'] || null,
+                attributes: attributes,
+                selected: !current['shaper:cutType']
+            });
+        });
+
+        return proposals;
+    }
+}
+
+// Export for use in other modules
+window.ColorInference = ColorInference;
@@ -0,0 +1,413 @@
+/**
+ * Cut List Module - Shop Plan of the Document
+ *
+ * Builds a cut list from the element data map: one row per element with
+ * its dimensions, cut type, depth, offset, tool and notes, grouped by tool
+ * and depth so each bit change is one section. The list is rendered as a
+ * print-ready HTML page (with a thumbnail per element) and as CSV.
+ *
+ * Key Features:
+ * - Groups sorted by tool diameter, then depth (elements without tool or depth last)
+ * - Values in current units, including values inherited from groups
+ * - Notes from the element's <title>/<desc>, group inheritance and depth warnings
+ * - Thumbnails drawn in Cut Style Guide colors, in the element's position and rotation
+ * - CSV with ';' as separator when the decimal separator is a comma
+ */
+class CutList {
+    /**
+     * Initialize cut list with system dependencies
+     *
+     * @param {MeasurementSystem} measurementSystem - Unit conversion and formatting
+     * @param {ElementManager} elementManager - Element data, inheritance and names
+     * @param {ToolLibrary} toolLibrary - Tool names
+     * @param {AttributeSystem} attributeSystem - Depth warnings
+     * @param {DesignRuleChecker} designRuleChecker - Element boxes in root space
+     */
+    constructor(measurementSystem, elementManager, toolLibrary, attributeSystem, designRuleChecker) {
+        this.measurementSystem = measurementSystem;
+        this.elementManager = elementManager;
+        this.toolLibrary = toolLibrary;
+        this.attributeSystem = attributeSystem;
+        this.designRuleChecker = designRuleChecker;
+        this.svgHelper = new SVGHelper();
+        this.dryUtils = new DRYUtilities(measurementSystem);
+    }
+
+    /** Elements listed as part of their text element, not on their own */
+    static TEXT_CONTENT_TAGS = ['tspan', 'textpath'];
+
+    /** Containers whose content is not drawn directly */
+    static HIDDEN_CONTAINERS = 'defs, clipPath, mask, symbol, pattern, marker';
+
+    /** Thumbnail size in CSS pixels */
+    static THUMBNAIL_SIZE = 64;
+
+    /** Colors of elements without cut type in thumbnails */
+    static THUMBNAIL_DEFAULT_COLORS = { fill: 'none', stroke: '#7F7F7F' };
+
+    /** Page styles of the HTML cut list */
+    static PAGE_STYLES = `
+        body { font-family: 'IBM Plex Sans', 'Segoe UI', Roboto, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+        h1 { font-size: 20px; margin: 0 0 4px; }
+        h2 { font-size: 14px; margin: 20px 0 6px; padding-bottom: 4px; border-bottom: 2px solid #3498db; }
+        .cut-list-meta { color: #666; margin-bottom: 12px; }
+        table { width: 100%; border-collapse: collapse; page-break-inside: auto; }
+        tr { page-break-inside: avoid; }
+        th { text-align: left; font-size: 11px; color: #666; border-bottom: 1px solid #ccc; padding: 4px 6px; }
+        td { border-bottom: 1px solid #eee; padding: 4px 6px; vertical-align: middle; }
+        td.cut-list-thumbnail { width: 64px; }
+        td.cut-list-notes { color: #8a5a00; }
+        svg { display: block; background: #f7f7f7; }
+        button { margin-bottom: 12px; }
+        @media print { button { display: none; } body { margin: 0; } }
+    `;
+
+    // ============================================================================
+    // COLLECTION
+    // ============================================================================
+
+    /**
+     * Collect the rows of the displayed document, grouped by tool and depth
+     *
+     * @param {Element} svgElement - Displayed SVG root
+     * @returns {Array<Object>} Groups {label, toolDiaPx, depthPx, rows} in cutting order
+     */
+    collect(svgElement) {
+        const groups = new Map();
+
+        svgElement.querySelectorAll('[data-app-id]').forEach(element => {
+            if (element.closest(CutList.HIDDEN_CONTAINERS)) return;
+            if (CutList.TEXT_CONTENT_TAGS.includes(element.tagName.toLowerCase())) return;
+
+            const row = this.createRow(element);
+            const key = `${row.toolName || ''}|${row.toolDiaPx}|${row.depthPx}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    label: this.getGroupLabel(row),
+                    toolDiaPx: row.toolDiaPx,
+                    depthPx: row.depthPx,
+                    rows: []
+                });
+            }
+            groups.get(key).rows.push(row);
+        });
+
+        // Missing values sort last
+        const order = (value) => value === null ? Infinity : value;
+        return Array.from(groups.values()).sort((a, b) =>
+            order(a.toolDiaPx) - order(b.toolDiaPx) || order(a.depthPx) - order(b.depthPx)
+        );
+    }
+
+    /**
+     * Create the row of an element from its element data
+     *
+     * @param {Element} element - Displayed SVG element with app-id
+     * @returns {Object} Row {element, appId, name, tagName, widthPx, heightPx, cutType,
+     *     depthPx, offsetPx, toolDiaPx, toolName, notes} (lengths null if not set)
+     */
+    createRow(element) {
+        const dimensions = this.elementManager.getElementDimensions(element);
+        const shaperAttrs = this.elementManager.getEffectiveAttributes(element);
+        const length = (attr) => {
+            const pixels = parseFloat(shaperAttrs[`shaper:${attr}`]);
+            return isNaN(pixels) ? null : pixels;
+        };
+
+        const toolDiaPx = length('toolDia');
+        const tool = this.toolLibrary
+            ? this.toolLibrary.getToolForAttributes(shaperAttrs) || this.toolLibrary.findToolByDiameter(toolDiaPx)
+            : null;
+
+        return {
+            element,
+            appId: element.dataset.appId,
+            name: this.elementManager.getNodeName(element),
+            tagName: element.tagName.toLowerCase(),
+            widthPx: dimensions.widthPx !== undefined ? dimensions.widthPx : null,
+            heightPx: dimensions.heightPx !== undefined ? dimensions.heightPx : null,
+            cutType: shaperAttrs['shaper:cutType'] || null,
+            depthPx: length('cutDepth'),
+            offsetPx: length('cutOffset'),
+            toolDiaPx,
+            toolName: tool ? tool.name : null,
+            notes: this.getNotes(element)
+        };
+    }
+
+    /**
+     * Collect the notes of an element
+     *
+     * @param {Element} element - Displayed SVG element
+     * @returns {Array<string>} Designer notes (<title>, <desc>), inherited values and depth warnings
+     */
+    getNotes(element) {
+        const notes = [];
+
+        Array.from(element.children).forEach(child => {
+            const tagName = child.tagName.toLowerCase();
+            const text = child.textContent.trim();
+            if ((tagName === 'title' || tagName === 'desc') && text) {
+                notes.push(text);
+            }
+        });
+
+        // One note per group the element inherits values from
+        const inheritedByGroup = new Map();
+        Object.entries(this.elementManager.getAttributeInheritance(element)).forEach(([name, info]) => {
+            if (info.state !== 'inherited') return;
+            if (!inheritedByGroup.has(info.group)) {
+                inheritedByGroup.set(info.group, []);
+            }
+            inheritedByGroup.get(info.group).push(name.replace('shaper:', ''));
+        });
+        inheritedByGroup.forEach((attrs, group) => {
+            notes.push(`${attrs.join(', ')} from group ${this.elementManager.getNodeName(group)}`);
+        });
+
+        if (this.attributeSystem) {
+            notes.push(...this.attributeSystem.getElementDepthWarnings(element));
+        }
+        return notes;
+    }
+
+    /**
+     * Get the heading of a tool and depth group
+     * @param {Object} row - Row of the group
+     * @returns {string} Heading (e.g., '6mm Upcut (6mm) · 18mm deep')
+     */
+    getGroupLabel(row) {
+        let tool = 'No tool';
+        if (row.toolDiaPx !== null) {
+            const diameter = this.dryUtils.formatPixelsToDisplay(row.toolDiaPx);
+            tool = row.toolName ? `${row.toolName} (${diameter})` : `${diameter} tool`;
+        }
+        const depth = row.depthPx !== null ? `${this.dryUtils.formatPixelsToDisplay(row.depthPx)} deep` : 'No depth';
+        return `${tool} · ${depth}`;
+    }
+
+    // ============================================================================
+    // HTML
+    // ============================================================================
+
+    /**
+     * Create the print-ready HTML page
+     *
+     * @param {Array<Object>} groups - Groups from collect()
+     * @param {Element} svgElement - Displayed SVG root (for thumbnails)
+     * @param {string} fileName - Document file name
+     * @returns {string} HTML document
+     */
+    createHTML(groups, svgElement, fileName) {
+        const doc = document.implementation.createHTMLDocument(`Cut List – ${fileName}`);
+        const append = (parent, tagName, text = null, className = null) => {
+            const node = doc.createElement(tagName);
+            if (text !== null) node.textContent = text;
+            if (className) node.className = className;
+            parent.appendChild(node);
+            return node;
+        };
+
+        const meta = doc.createElement('meta');
+        meta.setAttribute('charset', 'utf-8');
+        doc.head.insertBefore(meta, doc.head.firstChild);
+        append(doc.head, 'style', CutList.PAGE_STYLES);
+
+        const printButton = append(doc.body, 'button', 'Print');
+        printButton.setAttribute('onclick', 'window.print()');
+        append(doc.body, 'h1', `Cut List – ${fileName}`);
+        const count = groups.reduce((sum, group) => sum + group.rows.length, 0);
+        append(doc.body, 'div', `${count} element${count === 1 ? '' : 's'} · ${groups.length} tool and depth group${groups.length === 1 ? '' : 's'} · ${new Date().toLocaleString()}`, 'cut-list-meta');
+
+        groups.forEach(group => {
+            append(doc.body, 'h2', `${group.label} (${group.rows.length})`);
+            const table = append(doc.body, 'table');
+            const headRow = append(append(table, 'thead'), 'tr');
+            ['', 'Element', 'Width', 'Height', 'Cut Type', 'Depth', 'Offset', 'Tool', 'Notes']
+                .forEach(title => append(headRow, 'th', title));
+
+            const body = append(table, 'tbody');
+            group.rows.forEach(row => {
+                const tr = append(body, 'tr');
+                append(tr, 'td', null, 'cut-list-thumbnail').appendChild(doc.importNode(this.createThumbnail(row, svgElement), true));
+                this.getDisplayValues(row).forEach(value => append(tr, 'td', value));
+                append(tr, 'td', row.notes.join('; '), 'cut-list-notes');
+            });
+        });
+
+        return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+    }
+
+    /**
+     * Format the values of a row for display
+     * @param {Object} row - Row from createRow()
+     * @returns {Array<string>} Element, width, height, cut type, depth, offset, tool
+     */
+    getDisplayValues(row) {
+        const length = (pixels) => pixels === null ? '—' : this.dryUtils.formatPixelsToDisplay(pixels);
+        let tool = length(row.toolDiaPx);
+        if (row.toolName) {
+            tool = `${row.toolName} (${tool})`;
+        }
+        return [
+            row.name,
+            length(row.widthPx),
+            length(row.heightPx),
+            row.cutType || '—',
+            length(row.depthPx),
+            length(row.offsetPx),
+            tool
+        ];
+    }
+
+    /**
+     * Draw an element into a thumbnail
+     *
+     * The element keeps its place and rotation in the document and is
+     * colored per the Cut Style Guide; strokes keep one pixel at any size.
+     *
+     * @param {Object} row - Row from createRow()
+     * @param {Element} svgElement - Displayed SVG root
+     * @returns {Element} Thumbnail SVG
+     */
+    createThumbnail(row, svgElement) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const size = CutList.THUMBNAIL_SIZE;
+        const thumbnail = document.createElementNS(svgNS, 'svg');
+        thumbnail.setAttribute('width', size);
+        thumbnail.setAttribute('height', size);
+
+        const bbox = this.designRuleChecker.getRootBBox(row.element, svgElement);
+        const padding = Math.max(bbox.width, bbox.height) * 0.05 || 1;
+        thumbnail.setAttribute('viewBox', [
+            bbox.x - padding, bbox.y - padding, bbox.width + 2 * padding, bbox.height + 2 * padding
+        ].join(' '));
+
+        const clone = row.element.cloneNode(true);
+        [clone, ...clone.querySelectorAll('*')].forEach(node => {
+            node.removeAttribute('data-app-id');
+            node.removeAttribute('class');
+            node.removeAttribute('id');
+        });
+
+        const matrix = this.svgHelper.getRootMatrix(row.element, svgElement);
+        const group = document.createElementNS(svgNS, 'g');
+        if (matrix) {
+            group.setAttribute('transform', `matrix(${[matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f].join(' ')})`);
+            clone.removeAttribute('transform'); // Part of the root matrix
+        }
+
+        const colors = ShaperConstants.CUT_STYLE_COLORS[row.cutType] || CutList.THUMBNAIL_DEFAULT_COLORS;
+        clone.style.setProperty('fill', colors.fill);
+        clone.style.setProperty('stroke', colors.stroke === 'none' ? colors.fill : colors.stroke);
+        clone.style.setProperty('stroke-width', '1');
+        clone.style.setProperty('vector-effect', 'non-scaling-stroke');
+
+        group.appendChild(clone);
+        thumbnail.appendChild(group);
+        return thumbnail;
+    }
+
+    // ============================================================================
+    // CSV
+    // ============================================================================
+
+    /**
+     * Create the CSV version of the cut list
+     *
+     * Lengths are plain decimal numbers in current units (the unit is in the
+     * header). With a decimal comma, fields are separated by ';' so
+     * spreadsheets read the numbers.
+     *
+     * @param {Array<Object>} groups - Groups from collect()
+     * @returns {string} CSV text (one header row, one row per element)
+     */
+    createCSV(groups) {
+        const units = this.measurementSystem.units;
+        const number = (pixels) => pixels === null ? '' : this.measurementSystem.formatDecimalNumber(this.measurementSystem.convertPixelsToCurrentUnit(pixels));
+
+        const lines = [[
+            'Group', 'Element', 'Tag', `Width (${units})`, `Height (${units})`, 'Cut Type',
+            `Depth (${units})`, `Offset (${units})`, `Tool Diameter (${units})`, 'Tool', 'Notes'
+        ]];
+        groups.forEach(group => {
+            group.rows.forEach(row => {
+                lines.push([
+                    group.label, row.name, row.tagName, number(row.widthPx), number(row.heightPx), row.cutType || '',
+                    number(row.depthPx), number(row.offsetPx), number(row.toolDiaPx), row.toolName || '', row.notes.join('; ')
+                ]);
+            });
+        });
+
+        return this.dryUtils.createCSV(lines);
+    }
+    // ============================================================================
+    // OUTPUT
+    // ============================================================================
+
+    /**
+     * Open the HTML cut list in a new window for printing
+     *
+     * Downloads the page instead if the browser blocks the window.
+     *
+     * @param {Element} svgElement - Displayed SVG root
+     * @param {string} fileName - Document file name
+     * @returns {boolean} True if the window opened, false if the page was downloaded
+     */
+    openPrintPage(svgElement, fileName) {
+        const html = this.createHTML(this.collect(svgElement), svgElement, fileName);
+
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            this.download(html, 'text/html', `${this.getBaseName(fileName)}-cut-list.html`);
+            return false;
+        }
+        printWindow.document.open();
+        printWindow.document.write(html);
+        printWindow.document.close();
+        return true;
+    }
+
+    /**
+     * Download the CSV cut list
+     * @param {Element} svgElement - Displayed SVG root
+     * @param {string} fileName - Document file name
+     */
+    downloadCSV(svgElement, fileName) {
+        // Byte order mark so spreadsheets read the file as UTF-8
+        const csv = '\uFEFF' + this.createCSV(this.collect(svgElement));
+        this.download(csv, 'text/csv', `${this.getBaseName(fileName)}-cut-list.csv`);
+    }
+
+    /**
+     * Download text as a file
+     * @param {string} content - File content
+     * @param {string} type - MIME type
+     * @param {string} downloadName - Name of the downloaded file
+     */
+    download(content, type, downloadName) {
+        const blob = new Blob([content], { type: `${type};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = downloadName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Get the file name without extension
+     * @param {string} fileName - Document file name
+     * @returns {string} Base name (e.g., 'shelf' for 'shelf.svg')
+     */
+    getBaseName(fileName) {
+        return (fileName || 'shaper-file').replace(/\.svg$/i, '');
+    }
+}
+
+// Export for use in other modules
+window.CutList = CutList;
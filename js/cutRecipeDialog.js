@@ -0,0 +1,362 @@
+/**
+ * Cut Recipe Dialog Module - Edit Named Cut Recipes
+ *
+ * Lists the recipes of CutRecipes with their number key and lets the user
+ * add, edit, reorder and remove them. Recipe files are exported and imported
+ * here so a team can share one set; dependent UI is refreshed through the
+ * onChange callback.
+ *
+ * Key Features:
+ * - Recipe table with number key, cut type, depth, offset and tool diameter
+ * - Click a recipe to edit it, ↑ to move it to a lower number key, × to remove it
+ * - Measurements entered in current units and stored as pixels
+ * - JSON export (download) and import (merged by recipe name)
+ */
+class CutRecipeDialog {
+    /**
+     * Initialize cut recipe dialog with system dependencies
+     *
+     * @param {MeasurementSystem} measurementSystem - Unit conversion and formatting
+     * @param {CutRecipes} cutRecipes - Recipe storage
+     */
+    constructor(measurementSystem, cutRecipes) {
+        this.measurementSystem = measurementSystem;
+        this.cutRecipes = cutRecipes;
+
+        // Id of the recipe currently loaded into the form (null for a new recipe)
+        this.editingRecipeId = null;
+
+        // Callback after any change to the recipes
+        this.onChange = null;
+
+        // Callback after a successful import (receives counts {added, updated})
+        this.onImport = null;
+    }
+
+    /** File name of exported recipes */
+    static EXPORT_FILE_NAME = 'cut-recipes.json';
+
+    /**
+     * Initialize dialog DOM elements and event handlers
+     * Must be called after DOM is fully loaded.
+     */
+    initialize() {
+        DRYUtilities.bindElements({
+            modal: 'cutRecipeModal',
+            recipeList: 'cutRecipeList',
+            nameInput: 'recipeName',
+            cutTypeSelect: 'recipeCutType',
+            cutDepthInput: 'recipeCutDepth',
+            cutOffsetInput: 'recipeCutOffset',
+            toolDiaInput: 'recipeToolDia',
+            saveButton: 'recipeSave',
+            importInput: 'cutRecipeImportInput',
+            errorText: 'cutRecipeError'
+        }, this);
+
+        document.getElementById('cutRecipeClose').addEventListener('click', () => this.close());
+        document.getElementById('cutRecipeDone').addEventListener('click', () => this.close());
+        document.getElementById('recipeNew').addEventListener('click', () => this.resetForm());
+        document.getElementById('cutRecipeExport').addEventListener('click', () => this.exportRecipes());
+        document.getElementById('cutRecipeImport').addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', (e) => this.handleImportFile(e));
+        this.saveButton.addEventListener('click', () => this.saveRecipeFromForm());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open the dialog with an empty form
+     */
+    open() {
+        this.updateUnitLabels();
+        this.resetForm();
+        this.modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    /**
+     * Check whether the dialog is currently shown
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return !!this.modal && this.modal.style.display !== 'none';
+    }
+
+    /**
+     * Render the recipe table
+     */
+    renderRecipes() {
+        this.recipeList.innerHTML = '';
+
+        this.cutRecipes.getRecipes().forEach((recipe, index) => {
+            const row = document.createElement('tr');
+            row.className = 'tool-library-row';
+            if (recipe.id === this.editingRecipeId) {
+                row.classList.add('active');
+            }
+            row.title = 'Edit recipe';
+            row.addEventListener('click', () => this.editRecipe(recipe.id));
+
+            const cells = [
+                index < CutRecipes.SHORTCUT_COUNT ? String(index + 1) : '',
+                recipe.name,
+                recipe.cutType || '—',
+                this.cutRecipes.formatLength(recipe.cutDepth),
+                this.cutRecipes.formatLength(recipe.cutOffset),
+                this.cutRecipes.formatLength(recipe.toolDia)
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actionCell = document.createElement('td');
+            if (index > 0) {
+                actionCell.appendChild(this.createRowButton('↑', 'Move up (lower number key)', () => {
+                    this.cutRecipes.moveRecipeUp(recipe.id);
+                    this.renderRecipes();
+                    this.notifyChange();
+                }));
+            }
+            actionCell.appendChild(this.createRowButton('×', 'Remove recipe', () => this.removeRecipe(recipe.id)));
+            row.appendChild(actionCell);
+
+            this.recipeList.appendChild(row);
+        });
+    }
+
+    /**
+     * Create a small action button for a recipe row
+     * @param {string} text - Button text
+     * @param {string} title - Tooltip
+     * @param {Function} action - Click handler
+     * @returns {Element} Button
+     */
+    createRowButton(text, title, action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'color-rule-remove';
+        button.title = title;
+        button.textContent = text;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            action();
+        });
+        return button;
+    }
+
+    /**
+     * Show the current unit next to the measurement inputs
+     */
+    updateUnitLabels() {
+        this.modal.querySelectorAll('.tool-library-unit').forEach(label => {
+            label.textContent = this.measurementSystem.units;
+        });
+    }
+
+    /**
+     * Format a pixel measurement for a form input in current units
+     * @param {string} pixelValue - Measurement as pixel string
+     * @returns {string} Input value or '' if not set
+     */
+    formatInputValue(pixelValue) {
+        const pixels = parseFloat(pixelValue);
+        if (isNaN(pixels)) return '';
+        return this.measurementSystem.formatDisplayNumber(this.measurementSystem.convertPixelsToCurrentUnit(pixels));
+    }
+
+    /**
+     * Show a stored recipe measurement in a form input
+     *
+     * The exact pixel value is kept while the input shows it, so rounded
+     * displays (e.g., fractional inches) don't change the recipe on save.
+     *
+     * @param {Element} input - Measurement input
+     * @param {string} pixelValue - Measurement as pixel string
+     */
+    fillMeasurementInput(input, pixelValue) {
+        input.value = this.formatInputValue(pixelValue);
+        input.dataset.pixelValue = pixelValue || '';
+    }
+
+    /**
+     * Load a recipe into the form for editing
+     * @param {string} recipeId - Recipe id
+     */
+    editRecipe(recipeId) {
+        const recipe = this.cutRecipes.getRecipe(recipeId);
+        if (!recipe) return;
+
+        this.editingRecipeId = recipe.id;
+        this.nameInput.value = recipe.name;
+        this.cutTypeSelect.value = recipe.cutType || '';
+        this.fillMeasurementInput(this.cutDepthInput, recipe.cutDepth);
+        this.fillMeasurementInput(this.cutOffsetInput, recipe.cutOffset);
+        this.fillMeasurementInput(this.toolDiaInput, recipe.toolDia);
+        this.saveButton.textContent = 'Update Recipe';
+        this.errorText.textContent = '';
+        this.renderRecipes();
+    }
+
+    /**
+     * Clear the form for a new recipe
+     */
+    resetForm() {
+        this.editingRecipeId = null;
+        [this.nameInput, this.cutDepthInput, this.cutOffsetInput, this.toolDiaInput].forEach(input => {
+            input.value = '';
+            delete input.dataset.pixelValue;
+        });
+        this.cutTypeSelect.value = '';
+        this.saveButton.textContent = 'Add Recipe';
+        this.errorText.textContent = '';
+        this.renderRecipes();
+    }
+
+    /**
+     * Parse a measurement input in current units
+     * @param {Element} input - Measurement input
+     * @param {boolean} allowNegative - Whether negative values are valid
+     * @returns {string|null} Pixel string, '' if empty, null if invalid
+     */
+    parseMeasurementInput(input, allowNegative = false) {
+        if (input.value.trim() === '') return '';
+        if (input.dataset.pixelValue && input.value === this.formatInputValue(input.dataset.pixelValue)) {
+            return input.dataset.pixelValue;
+        }
+        const value = this.measurementSystem.parseValueWithUnits(input.value);
+        if (value === null || (value < 0 && !allowNegative)) return null;
+        return this.measurementSystem.unitsToPixels(value).toString();
+    }
+
+    /**
+     * Add or update a recipe from the form
+     */
+    saveRecipeFromForm() {
+        const name = this.nameInput.value.trim();
+        const cutType = this.cutTypeSelect.value;
+        const cutDepth = this.parseMeasurementInput(this.cutDepthInput);
+        const cutOffset = this.parseMeasurementInput(this.cutOffsetInput, true);
+        const toolDia = this.parseMeasurementInput(this.toolDiaInput);
+
+        if (!name) {
+            this.errorText.textContent = 'Please enter a recipe name.';
+            return;
+        }
+        if (cutDepth === null || cutOffset === null || toolDia === null) {
+            this.errorText.textContent = 'Depth and tool diameter must be positive values, the offset a number.';
+            return;
+        }
+        if (!cutType && !cutDepth && !cutOffset && !toolDia) {
+            this.errorText.textContent = 'Please set at least one value.';
+            return;
+        }
+
+        const existing = this.cutRecipes.getRecipe(this.editingRecipeId);
+        this.cutRecipes.saveRecipe({
+            id: existing ? existing.id : null,
+            name: name,
+            unit: existing ? existing.unit : this.measurementSystem.getUnitSystem(),
+            cutType: cutType,
+            cutDepth: cutDepth,
+            cutOffset: cutOffset,
+            toolDia: toolDia
+        });
+
+        this.resetForm();
+        this.notifyChange();
+    }
+
+    /**
+     * Remove a recipe
+     * @param {string} recipeId - Recipe id
+     */
+    removeRecipe(recipeId) {
+        this.cutRecipes.removeRecipe(recipeId);
+        if (this.editingRecipeId === recipeId) {
+            this.resetForm();
+        } else {
+            this.renderRecipes();
+        }
+        this.notifyChange();
+    }
+
+    /**
+     * Download all recipes as JSON file
+     */
+    exportRecipes() {
+        const blob = new Blob([this.cutRecipes.exportJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = CutRecipeDialog.EXPORT_FILE_NAME;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Import recipes from the chosen JSON file
+     * @param {Event} event - File input change event
+     */
+    handleImportFile(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            this.importRecipes(e.target.result);
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Import recipes from JSON text and show problems in the dialog
+     * @param {string} jsonText - Content of a recipe file
+     * @returns {boolean} True if the recipes were imported
+     */
+    importRecipes(jsonText) {
+        let result;
+        try {
+            result = this.cutRecipes.importJSON(jsonText);
+        } catch (error) {
+            this.errorText.textContent = `Import failed: ${error.message}.`;
+            return false;
+        }
+
+        this.resetForm();
+        this.notifyChange();
+        if (this.onImport) {
+            this.onImport(result);
+        }
+        return true;
+    }
+
+    /**
+     * Notify dependent UI about recipe changes
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
+
+// Export for use in other modules
+window.CutRecipeDialog = CutRecipeDialog;
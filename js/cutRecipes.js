@@ -0,0 +1,273 @@
+/**
+ * Cut Recipes Module - Named Attribute Combinations
+ *
+ * Stores named combinations of cut type, cut depth, cut offset and tool
+ * diameter (e.g., "6mm through outside, +0.1 offset") that are applied to
+ * the selection in one step. The first nine recipes are also available on
+ * the number keys.
+ *
+ * Key Features:
+ * - Add, update, reorder and remove recipes (persisted through MetaData)
+ * - JSON export and import for sharing one set of recipes in a team
+ *
+ * Measurements are stored as pixel strings like all other measurements. The
+ * JSON file holds plain numbers in the recipe's own unit so it stays readable
+ * and can be edited by hand.
+ */
+class CutRecipes {
+    /**
+     * Initialize cut recipes with centralized data access
+     *
+     * @param {MetaData} metaData - Recipe persistence
+     * @param {MeasurementSystem} measurementSystem - Unit conversion for import, export and labels
+     */
+    constructor(metaData, measurementSystem) {
+        this.metaData = metaData;
+        this.measurementSystem = measurementSystem;
+        this.dryUtils = new DRYUtilities(measurementSystem);
+    }
+
+    /** Number of recipes reachable with the number keys 1–9 */
+    static SHORTCUT_COUNT = 9;
+
+    /** Format identifier of exported recipe files */
+    static FILE_FORMAT = 'dtune-cut-recipes';
+
+    /** Version of the exported recipe file format */
+    static FILE_VERSION = 1;
+
+    /** Decimal places of exported measurements */
+    static EXPORT_PRECISION = 4;
+
+    /**
+     * Get all recipes
+     * @returns {Array<Object>} Recipes in shortcut order
+     */
+    getRecipes() {
+        return this.metaData.getCutRecipes() || [];
+    }
+
+    /**
+     * Get a recipe by id
+     * @param {string} id - Recipe id
+     * @returns {Object|null} Recipe or null
+     */
+    getRecipe(id) {
+        if (!id) return null;
+        return this.getRecipes().find(recipe => recipe.id === id) || null;
+    }
+
+    /**
+     * Get the recipe of a number key
+     * @param {number} number - Number key (1–9)
+     * @returns {Object|null} Recipe or null if the key has no recipe
+     */
+    getShortcutRecipe(number) {
+        if (number < 1 || number > CutRecipes.SHORTCUT_COUNT) return null;
+        return this.getRecipes()[number - 1] || null;
+    }
+
+    /**
+     * Add a new recipe or update the recipe with the same id
+     *
+     * @param {Object} recipe - Recipe {id?, name, unit, cutType, cutDepth, cutOffset, toolDia}
+     * @returns {Object} Stored recipe (with id)
+     */
+    saveRecipe(recipe) {
+        const recipes = [...this.getRecipes()];
+        const storedRecipe = { ...recipe, id: recipe.id || this.generateId() };
+
+        const index = recipes.findIndex(existing => existing.id === storedRecipe.id);
+        if (index >= 0) {
+            recipes[index] = storedRecipe;
+        } else {
+            recipes.push(storedRecipe);
+        }
+
+        this.metaData.setCutRecipes(recipes);
+        return storedRecipe;
+    }
+
+    /**
+     * Remove a recipe
+     * @param {string} id - Recipe id
+     */
+    removeRecipe(id) {
+        this.metaData.setCutRecipes(this.getRecipes().filter(recipe => recipe.id !== id));
+    }
+
+    /**
+     * Move a recipe one place up (to a lower number key)
+     * @param {string} id - Recipe id
+     */
+    moveRecipeUp(id) {
+        const recipes = [...this.getRecipes()];
+        const index = recipes.findIndex(recipe => recipe.id === id);
+        if (index <= 0) return;
+
+        [recipes[index - 1], recipes[index]] = [recipes[index], recipes[index - 1]];
+        this.metaData.setCutRecipes(recipes);
+    }
+
+    /**
+     * Generate an id not used by any recipe
+     * @param {Set<string>} ids - Ids in use (defaults to the stored recipes)
+     * @returns {string} New recipe id
+     */
+    generateId(ids = new Set(this.getRecipes().map(recipe => recipe.id))) {
+        let counter = ids.size + 1;
+        while (ids.has(`recipe-${counter}`)) {
+            counter++;
+        }
+        return `recipe-${counter}`;
+    }
+
+    /**
+     * Format a recipe measurement in the current unit
+     * @param {string} pixelValue - Measurement as pixel string
+     * @returns {string} Display text with unit or '—' if not set
+     */
+    formatLength(pixelValue) {
+        const pixels = parseFloat(pixelValue);
+        if (isNaN(pixels)) return '—';
+        return this.dryUtils.formatPixelsToDisplay(pixels);
+    }
+
+    /**
+     * Describe the values of a recipe in one line
+     * @param {Object} recipe - Recipe
+     * @returns {string} Summary (e.g., 'outside · depth 18.0mm · offset 0.1mm · tool 6.0mm')
+     */
+    formatRecipeSummary(recipe) {
+        const parts = [recipe.cutType || 'no cut type'];
+        const labels = { cutDepth: 'depth', cutOffset: 'offset', toolDia: 'tool' };
+        ShaperConstants.MEASUREMENT_ATTRIBUTES.forEach(attr => {
+            if (recipe[attr] !== undefined && recipe[attr] !== null && recipe[attr] !== '') {
+                parts.push(`${labels[attr]} ${this.formatLength(recipe[attr])}`);
+            }
+        });
+        return parts.join(' · ');
+    }
+
+    // ============================================================================
+    // JSON EXPORT / IMPORT
+    // ============================================================================
+
+    /**
+     * Serialize all recipes for sharing
+     * @returns {string} JSON text
+     */
+    exportJSON() {
+        const recipes = this.getRecipes().map(recipe => {
+            const exported = { name: recipe.name, unit: recipe.unit };
+            if (recipe.cutType) {
+                exported.cutType = recipe.cutType;
+            }
+            ShaperConstants.MEASUREMENT_ATTRIBUTES.forEach(attr => {
+                const pixels = parseFloat(recipe[attr]);
+                if (!isNaN(pixels)) {
+                    const value = this.measurementSystem.convertBetweenUnits(pixels, 'px', recipe.unit);
+                    exported[attr] = parseFloat(value.toFixed(CutRecipes.EXPORT_PRECISION));
+                }
+            });
+            return exported;
+        });
+
+        return JSON.stringify({
+            format: CutRecipes.FILE_FORMAT,
+            version: CutRecipes.FILE_VERSION,
+            recipes: recipes
+        }, null, 2);
+    }
+
+    /**
+     * Read recipes from an exported JSON file
+     *
+     * @param {string} jsonText - Content of an exported recipe file
+     * @returns {Array<Object>} Recipes without id, measurements as pixel strings
+     * @throws {Error} If the file is not a valid recipe file
+     */
+    parseJSON(jsonText) {
+        let data;
+        try {
+            data = JSON.parse(jsonText);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        if (!data || data.format !== CutRecipes.FILE_FORMAT || !Array.isArray(data.recipes)) {
+            throw new Error('The file does not contain cut recipes');
+        }
+        if (data.version > CutRecipes.FILE_VERSION) {
+            throw new Error('The recipe file was written by a newer version');
+        }
+
+        const cutTypes = Object.keys(ShaperConstants.CUT_STYLE_COLORS);
+        return data.recipes.map((entry, index) => {
+            const position = `Recipe ${index + 1}`;
+            const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+            if (!name) {
+                throw new Error(`${position} has no name`);
+            }
+            if (entry.unit !== 'mm' && entry.unit !== 'in') {
+                throw new Error(`${position} ("${name}") needs the unit mm or in`);
+            }
+            if (entry.cutType && !cutTypes.includes(entry.cutType)) {
+                throw new Error(`${position} ("${name}") has the unknown cut type "${entry.cutType}"`);
+            }
+
+            const recipe = { name: name, unit: entry.unit, cutType: entry.cutType || '' };
+            ShaperConstants.MEASUREMENT_ATTRIBUTES.forEach(attr => {
+                const value = entry[attr];
+                if (value === undefined || value === null) {
+                    recipe[attr] = '';
+                    return;
+                }
+
+                const allowNegative = ShaperConstants.NEGATIVE_ALLOWED_ATTRIBUTES.includes(attr);
+                if (typeof value !== 'number' || !isFinite(value) || (value < 0 && !allowNegative)) {
+                    throw new Error(`${position} ("${name}") has an invalid ${attr}`);
+                }
+                recipe[attr] = this.measurementSystem.convertBetweenUnits(value, entry.unit, 'px').toString();
+            });
+            return recipe;
+        });
+    }
+
+    /**
+     * Import recipes from an exported JSON file
+     *
+     * Recipes whose name already exists replace the existing recipe (keeping
+     * its number key), all others are appended.
+     *
+     * @param {string} jsonText - Content of an exported recipe file
+     * @returns {Object} Counts {added, updated}
+     * @throws {Error} If the file is not a valid recipe file (nothing is imported)
+     */
+    importJSON(jsonText) {
+        const imported = this.parseJSON(jsonText);
+        const recipes = [...this.getRecipes()];
+        const ids = new Set(recipes.map(recipe => recipe.id));
+        const result = { added: 0, updated: 0 };
+
+        imported.forEach(recipe => {
+            const index = recipes.findIndex(existing => existing.name.toLowerCase() === recipe.name.toLowerCase());
+            if (index >= 0) {
+                recipes[index] = { ...recipe, id: recipes[index].id };
+                result.updated++;
+            } else {
+                const id = this.generateId(ids);
+                ids.add(id);
+                recipes.push({ ...recipe, id: id });
+                result.added++;
+            }
+        });
+
+        this.metaData.setCutRecipes(recipes);
+
+        return result;
+    }
+}
+
+// Export for use in other modules
+window.CutRecipes = CutRecipes;
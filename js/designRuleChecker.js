@@ -0,0 +1,733 @@
+/**
+ * Design Rule Checker Module - Manufacturability Checks
+ *
+ * Scans every element of the displayed SVG (data-app-id) for problems that
+ * would spoil the cut. Each outline is sampled with getPointAtLength() and
+ * mapped into the user space of the SVG root, so all rules work on plain
+ * point lists in the same pixel basis as the shaper attributes.
+ *
+ * Key Features:
+ * - Live text (the Origin cuts outlines only)
+ * - Inside, outside and pocket cuts on open paths
+ * - Slots and gaps narrower than the tool diameter
+ * - Inside corners sharper than the tool radius
+ * - Duplicated elements (geometry overlapping exactly)
+ * - Geometry outside the document boundary
+ *
+ * Findings carry the element app-id and the problem locations, so the
+ * DesignRulePanel can list them, select the element and mark the canvas.
+ */
+class DesignRuleChecker {
+    /**
+     * Initialize design rule checker with element data access
+     *
+     * @param {MeasurementSystem} measurementSystem - Closed shape detection and length formatting
+     * @param {ElementManager} elementManager - Access to element data (shaper attributes)
+     */
+    constructor(measurementSystem, elementManager) {
+        this.measurementSystem = measurementSystem;
+        this.svgHelper = new SVGHelper();
+        this.dryUtils = new DRYUtilities(measurementSystem);
+        this.elementManager = elementManager;
+    }
+
+    /** Rule identifiers */
+    static RULES = {
+        LIVE_TEXT: 'liveText',
+        OPEN_PATH: 'openPath',
+        NARROW_GAP: 'narrowGap',
+        SHARP_CORNER: 'sharpCorner',
+        DUPLICATE: 'duplicate',
+        OUTSIDE_DOCUMENT: 'outsideDocument'
+    };
+
+    /** Rule titles in display order */
+    static RULE_LABELS = {
+        liveText: 'Live Text',
+        openPath: 'Open Paths',
+        narrowGap: 'Narrow Gaps',
+        sharpCorner: 'Sharp Inside Corners',
+        duplicate: 'Duplicates',
+        outsideDocument: 'Outside Document'
+    };
+
+    /** Elements with a measurable outline */
+    static GEOMETRY_TAGS = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+
+    /** Cut types that cut on one side of the line and need a closed shape */
+    static SIDED_CUT_TYPES = ['inside', 'outside', 'pocket'];
+
+    /** Sample count limits per outline */
+    static MIN_SAMPLES = 16;
+    static MAX_SAMPLES = 400;
+
+    /** Sample spacing in pixels of outlines compared for duplicates (independent of the tool) */
+    static OUTLINE_SPACING_PX = 1;
+
+    /** Distance tolerance in pixels for duplicates and the document boundary */
+    static TOLERANCE_PX = 0.1;
+
+    /** Minimum direction change (radians) over half a tool radius that counts as a corner */
+    static CORNER_ANGLE = 0.6;
+
+    /** Tangent dot product below which two walls count as facing each other (150°) */
+    static FACING_WALLS_DOT = -0.866;
+
+    /**
+     * Run all rules on the displayed SVG
+     *
+     * @param {Element} svgElement - Displayed SVG root
+     * @returns {Array<Object>} Findings {id, rule, appId, message, points, bbox}
+     */
+    check(svgElement) {
+        if (!svgElement) return [];
+
+        const shapes = this.collectShapes(svgElement);
+        const findings = this.checkLiveText(svgElement);
+
+        shapes.forEach(shape => {
+            findings.push(...this.checkOpenPath(shape));
+            findings.push(...this.checkNarrowGaps(shape));
+            findings.push(...this.checkSharpCorners(shape));
+        });
+        findings.push(...this.checkGapsBetweenShapes(shapes));
+        findings.push(...this.checkDuplicates(shapes));
+        findings.push(...this.checkDocumentBounds(shapes, this.getDocumentBounds(svgElement)));
+
+        return findings;
+    }
+
+    // ============================================================================
+    // SHAPE COLLECTION
+    // ============================================================================
+
+    /**
+     * Sample all checkable elements of the displayed SVG
+     * @param {Element} svgElement - Displayed SVG root
+     * @returns {Array<Object>} Shapes {element, appId, cutType, toolDia, points, outline, closed, bbox}
+     */
+    collectShapes(svgElement) {
+        const shapes = [];
+
+        svgElement.querySelectorAll('[data-app-id]').forEach(element => {
+            if (element.closest('defs, clipPath, mask, symbol, pattern, marker')) return;
+            if (!DesignRuleChecker.GEOMETRY_TAGS.includes(element.tagName.toLowerCase())) return;
+
+            const shaperAttrs = this.elementManager.getEffectiveAttributes(element);
+            const toolDia = parseFloat(shaperAttrs['shaper:toolDia']) || 0;
+            const closed = this.measurementSystem.isClosedShape(element);
+
+            // Duplicates are compared on samples that don't depend on the tool, so a
+            // leftover copy without a tool samples exactly like its original
+            const outline = this.sampleOutline(element, svgElement, closed, DesignRuleChecker.OUTLINE_SPACING_PX);
+            if (!outline || outline.length < 2) return;
+            const points = toolDia > 0 ? this.sampleOutline(element, svgElement, closed, toolDia / 8) : outline;
+
+            shapes.push({
+                element: element,
+                appId: element.dataset.appId,
+                cutType: shaperAttrs['shaper:cutType'] || null,
+                toolDia: toolDia,
+                points: points,
+                outline: outline,
+                closed: closed,
+                bbox: this.getPointsBBox(points)
+            });
+        });
+
+        return shapes;
+    }
+
+    /**
+     * Sample an element outline in the user space of the SVG root
+     *
+     * Rules on the cut sample at a spacing that follows the tool size (an
+     * eighth of the diameter) so corners and gaps are resolved, within the
+     * sample count limits.
+     *
+     * @param {Element} element - SVG geometry element
+     * @param {Element} svgElement - Displayed SVG root
+     * @param {boolean} closed - Whether the outline is closed
+     * @param {number} spacing - Desired sample spacing in pixels (0 for MIN_SAMPLES samples)
+     * @returns {Array<Object>|null} Points {x, y} or null if the element has no outline
+     */
+    sampleOutline(element, svgElement, closed, spacing) {
+        let length;
+        try {
+            length = element.getTotalLength();
+        } catch (error) {
+            return null;
+        }
+        if (!(length > 0)) return null;
+
+        const desiredStep = spacing > 0 ? spacing : length / DesignRuleChecker.MIN_SAMPLES;
+        const count = Math.min(DesignRuleChecker.MAX_SAMPLES,
+            Math.max(DesignRuleChecker.MIN_SAMPLES, Math.ceil(length / desiredStep)));
+
+        const matrix = this.svgHelper.getRootMatrix(element, svgElement);
+        const points = [];
+        // Closed outlines end where they start, so the last sample is left out
+        const last = closed ? count - 1 : count;
+        for (let i = 0; i <= last; i++) {
+            const point = element.getPointAtLength(length * i / count);
+            points.push(matrix ? {
+                x: matrix.a * point.x + matrix.c * point.y + matrix.e,
+                y: matrix.b * point.x + matrix.d * point.y + matrix.f
+            } : { x: point.x, y: point.y });
+        }
+        return points;
+    }
+
+    /**
+     * Get the bounding box of an element in root user space
+     * @param {Element} element - SVG element
+     * @param {Element} svgElement - SVG root
+     * @returns {Object} Bounding box {x, y, width, height}
+     */
+    getRootBBox(element, svgElement) {
+        let bbox;
+        try {
+            bbox = element.getBBox();
+        } catch (error) {
+            return { x: 0, y: 0, width: 0, height: 0 };
+        }
+
+        const matrix = this.svgHelper.getRootMatrix(element, svgElement);
+        const corners = [
+            { x: bbox.x, y: bbox.y },
+            { x: bbox.x + bbox.width, y: bbox.y },
+            { x: bbox.x + bbox.width, y: bbox.y + bbox.height },
+            { x: bbox.x, y: bbox.y + bbox.height }
+        ].map(point => matrix ? {
+            x: matrix.a * point.x + matrix.c * point.y + matrix.e,
+            y: matrix.b * point.x + matrix.d * point.y + matrix.f
+        } : point);
+        return this.getPointsBBox(corners);
+    }
+
+    /**
+     * Get the document boundary in root user space
+     * @param {Element} svgElement - SVG root
+     * @returns {Object|null} Bounds {x, y, width, height} or null if unknown
+     */
+    getDocumentBounds(svgElement) {
+        const viewBox = svgElement.getAttribute('viewBox');
+        if (viewBox) {
+            const [x, y, width, height] = viewBox.trim().split(/[\s,]+/).map(Number);
+            if ([x, y, width, height].every(value => !isNaN(value)) && width > 0 && height > 0) {
+                return { x, y, width, height };
+            }
+        }
+
+        const dimensions = this.measurementSystem.detectRealSVGDimensions(svgElement);
+        if (!dimensions) return null;
+        return {
+            x: 0,
+            y: 0,
+            width: this.measurementSystem.convertBetweenUnits(dimensions.width, dimensions.widthUnit, 'px'),
+            height: this.measurementSystem.convertBetweenUnits(dimensions.height, dimensions.heightUnit, 'px')
+        };
+    }
+
+    // ============================================================================
+    // RULES
+    // ============================================================================
+
+    /**
+     * Flag text elements that have not been converted to paths
+     * @param {Element} svgElement - Displayed SVG root
+     * @returns {Array<Object>} Findings
+     */
+    checkLiveText(svgElement) {
+        return Array.from(svgElement.querySelectorAll('text[data-app-id]'))
+            .filter(text => !text.closest('defs, clipPath, mask, symbol, pattern, marker'))
+            .map(text => this.createFinding(DesignRuleChecker.RULES.LIVE_TEXT,
+                { appId: text.dataset.appId, bbox: this.getRootBBox(text, svgElement) },
+                'Live text can\'t be cut, convert it to paths', []));
+    }
+
+    /**
+     * Flag inside, outside and pocket cuts on open paths
+     * @param {Object} shape - Shape from collectShapes()
+     * @returns {Array<Object>} Findings
+     */
+    checkOpenPath(shape) {
+        if (shape.closed || !DesignRuleChecker.SIDED_CUT_TYPES.includes(shape.cutType)) return [];
+
+        const cutTypeLabel = shape.cutType.charAt(0).toUpperCase() + shape.cutType.slice(1);
+        return [this.createFinding(DesignRuleChecker.RULES.OPEN_PATH, shape,
+            `${cutTypeLabel} cut on an open path`, [])];
+    }
+
+    /**
+     * Flag slots and features of a cut narrower than its tool
+     * @param {Object} shape - Shape from collectShapes()
+     * @returns {Array<Object>} Findings
+     */
+    checkNarrowGaps(shape) {
+        if (!shape.closed || shape.toolDia <= 0 || !DesignRuleChecker.SIDED_CUT_TYPES.includes(shape.cutType)) return [];
+
+        const cutSideInterior = shape.cutType !== 'outside';
+        let gaps;
+
+        // A hole or pocket smaller than the tool in one direction can't be cut at all
+        const smallestSide = Math.min(shape.bbox.width, shape.bbox.height);
+        if (cutSideInterior && smallestSide < shape.toolDia) {
+            gaps = [{
+                x: shape.bbox.x + shape.bbox.width / 2,
+                y: shape.bbox.y + shape.bbox.height / 2,
+                width: smallestSide
+            }];
+        } else {
+            gaps = this.findNarrowGaps(shape, shape.toolDia, cutSideInterior);
+        }
+        if (gaps.length === 0) return [];
+
+        const narrowest = Math.min(...gaps.map(gap => gap.width));
+        return [this.createFinding(DesignRuleChecker.RULES.NARROW_GAP, shape,
+            `Gap of ${this.dryUtils.formatPixelsToDisplay(narrowest)} is narrower than the ${this.dryUtils.formatPixelsToDisplay(shape.toolDia)} tool`, gaps)];
+    }
+
+    /**
+     * Flag gaps between neighbouring outside cuts narrower than the tool
+     *
+     * Both tools run in the gap, so the cut of one part would damage the
+     * other. Nested shapes are skipped (their cuts face away from each other).
+     *
+     * @param {Array<Object>} shapes - Shapes from collectShapes()
+     * @returns {Array<Object>} Findings, reported on the later element
+     */
+    checkGapsBetweenShapes(shapes) {
+        const findings = [];
+        const outsideCuts = shapes.filter(shape => shape.closed && shape.cutType === 'outside' && shape.toolDia > 0);
+
+        outsideCuts.forEach((shape, index) => {
+            for (let i = 0; i < index; i++) {
+                const other = outsideCuts[i];
+                const toolDia = Math.max(shape.toolDia, other.toolDia);
+
+                if (!this.bboxesWithin(shape.bbox, other.bbox, toolDia)) continue;
+                if (this.bboxContains(shape.bbox, other.bbox) || this.bboxContains(other.bbox, shape.bbox)) continue;
+
+                const closest = this.getMinimumDistance(shape, other);
+                if (closest.distance < toolDia) {
+                    findings.push(this.createFinding(DesignRuleChecker.RULES.NARROW_GAP, shape,
+                        `Gap of ${this.dryUtils.formatPixelsToDisplay(closest.distance)} to a neighbouring part is narrower than the ${this.dryUtils.formatPixelsToDisplay(toolDia)} tool`,
+                        [closest.point], other.appId));
+                    break;
+                }
+            }
+        });
+
+        return findings;
+    }
+
+    /**
+     * Flag inside corners the tool can't reach
+     *
+     * Inside corners are the convex corners of inside cuts and pockets and
+     * the concave corners of outside cuts.
+     *
+     * @param {Object} shape - Shape from collectShapes()
+     * @returns {Array<Object>} Findings
+     */
+    checkSharpCorners(shape) {
+        if (!shape.closed || shape.toolDia <= 0 || !DesignRuleChecker.SIDED_CUT_TYPES.includes(shape.cutType)) return [];
+
+        const toolRadius = shape.toolDia / 2;
+        const corners = this.findSharpCorners(shape, toolRadius, shape.cutType !== 'outside');
+        if (corners.length === 0) return [];
+
+        const cornerText = corners.length === 1 ? 'Inside corner' : `${corners.length} inside corners`;
+        return [this.createFinding(DesignRuleChecker.RULES.SHARP_CORNER, shape,
+            `${cornerText} sharper than the ${this.dryUtils.formatPixelsToDisplay(toolRadius)} tool radius`, corners)];
+    }
+
+    /**
+     * Flag elements whose geometry exactly matches an earlier element
+     *
+     * The tool-independent outlines are compared, so the tool set on either
+     * copy doesn't matter.
+     *
+     * @param {Array<Object>} shapes - Shapes from collectShapes()
+     * @returns {Array<Object>} Findings, reported on the later element
+     */
+    checkDuplicates(shapes) {
+        const findings = [];
+        const tolerance = DesignRuleChecker.TOLERANCE_PX;
+
+        // Only shapes with the same bounding box can overlap exactly
+        const buckets = new Map();
+        shapes.forEach(shape => {
+            const outline = { points: shape.outline, closed: shape.closed };
+            const bbox = this.getPointsBBox(outline.points);
+            const key = ['x', 'y', 'width', 'height'].map(prop => Math.round(bbox[prop] / (tolerance * 10))).join(',');
+            const bucket = buckets.get(key) || [];
+
+            const original = bucket.find(other => this.isSameGeometry(outline, other.outline, tolerance));
+            if (original) {
+                findings.push(this.createFinding(DesignRuleChecker.RULES.DUPLICATE, shape,
+                    'Overlaps another element exactly', [], original.appId));
+            }
+
+            bucket.push({ appId: shape.appId, outline });
+            buckets.set(key, bucket);
+        });
+
+        return findings;
+    }
+
+    /**
+     * Flag elements reaching beyond the document boundary
+     * @param {Array<Object>} shapes - Shapes from collectShapes()
+     * @param {Object|null} bounds - Document bounds from getDocumentBounds()
+     * @returns {Array<Object>} Findings
+     */
+    checkDocumentBounds(shapes, bounds) {
+        if (!bounds) return [];
+
+        const tolerance = DesignRuleChecker.TOLERANCE_PX;
+        const findings = [];
+
+        shapes.forEach(shape => {
+            const { bbox } = shape;
+            const inside = bbox.x >= bounds.x - tolerance &&
+                bbox.y >= bounds.y - tolerance &&
+                bbox.x + bbox.width <= bounds.x + bounds.width + tolerance &&
+                bbox.y + bbox.height <= bounds.y + bounds.height + tolerance;
+            if (inside) return;
+
+            const overlaps = this.bboxesWithin(bbox, bounds, 0);
+            findings.push(this.createFinding(DesignRuleChecker.RULES.OUTSIDE_DOCUMENT, shape,
+                overlaps ? 'Extends beyond the document boundary' : 'Lies outside the document boundary', []));
+        });
+
+        return findings;
+    }
+
+    /**
+     * Build a finding object
+     *
+     * @param {string} rule - Rule identifier
+     * @param {Object} shape - Affected shape
+     * @param {string} message - Description of the problem
+     * @param {Array<Object>} points - Problem locations {x, y} in root user space
+     * @param {string|null} relatedAppId - Other element involved (gaps, duplicates)
+     * @returns {Object} Finding {id, rule, appId, relatedAppId, message, points, bbox}
+     */
+    createFinding(rule, shape, message, points, relatedAppId = null) {
+        return {
+            id: `${rule}:${shape.appId}`,
+            rule: rule,
+            appId: shape.appId,
+            relatedAppId: relatedAppId,
+            message: message,
+            points: points.map(point => ({ x: point.x, y: point.y })),
+            bbox: shape.bbox
+        };
+    }
+
+    // ============================================================================
+    // GEOMETRY
+    // ============================================================================
+
+    /**
+     * Find places where two walls of an outline face each other closer than a width
+     *
+     * Walls face each other when their directions are (nearly) opposite; the
+     * gap only counts if the space between them lies on the cut side.
+     *
+     * @param {Object} outline - Outline {points, closed}
+     * @param {number} width - Minimum gap width (tool diameter)
+     * @param {boolean} cutSideInterior - True if the tool cuts inside the outline
+     * @returns {Array<Object>} Gaps {x, y, width}, at most one per tool diameter
+     */
+    findNarrowGaps(outline, width, cutSideInterior) {
+        const points = outline.points;
+        const n = points.length;
+        const tangents = points.map((point, i) => {
+            const previous = points[(i - 1 + n) % n];
+            const next = points[(i + 1) % n];
+            const length = Math.hypot(next.x - previous.x, next.y - previous.y) || 1;
+            return { x: (next.x - previous.x) / length, y: (next.y - previous.y) / length };
+        });
+
+        const candidates = [];
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const distance = Math.hypot(points[j].x - points[i].x, points[j].y - points[i].y);
+                if (distance >= width || distance === 0) continue;
+
+                const dot = tangents[i].x * tangents[j].x + tangents[i].y * tangents[j].y;
+                if (dot > DesignRuleChecker.FACING_WALLS_DOT) continue;
+
+                const middle = { x: (points[i].x + points[j].x) / 2, y: (points[i].y + points[j].y) / 2 };
+                if (this.isPointInPolygon(middle, points) !== cutSideInterior) continue;
+
+                candidates.push({ x: middle.x, y: middle.y, width: distance });
+            }
+        }
+
+        // Report each narrow place (connected candidates) once, at its narrowest spot
+        const clusters = [];
+        candidates.forEach(candidate => {
+            const cluster = clusters.find(members => members.some(member =>
+                Math.hypot(member.x - candidate.x, member.y - candidate.y) < width
+            ));
+            if (cluster) {
+                cluster.push(candidate);
+            } else {
+                clusters.push([candidate]);
+            }
+        });
+        return clusters.map(members => members.reduce((narrowest, member) =>
+            member.width < narrowest.width ? member : narrowest
+        ));
+    }
+
+    /**
+     * Find corners of a closed outline tighter than a radius
+     *
+     * The direction change is measured over half the radius before and after
+     * each sample; an arc of the given radius turns by 0.5 rad over that span,
+     * a sharp corner by its full angle.
+     *
+     * @param {Object} outline - Closed outline {points}
+     * @param {number} radius - Tool radius
+     * @param {boolean} convexCorners - True to report convex corners, false for concave corners
+     * @returns {Array<Object>} Corner points {x, y}
+     */
+    findSharpCorners(outline, radius, convexCorners) {
+        const points = outline.points;
+        const n = points.length;
+        if (n < 3) return [];
+
+        const orientation = Math.sign(this.getSignedArea(points));
+        if (orientation === 0) return [];
+
+        const arcs = this.getArcPositions(points);
+        const perimeter = arcs[n];
+        const span = Math.min(radius / 2, perimeter / 4);
+
+        const angles = points.map((point, i) => {
+            const before = this.getPointAtArc(points, arcs, arcs[i] - span);
+            const after = this.getPointAtArc(points, arcs, arcs[i] + span);
+            const incoming = { x: point.x - before.x, y: point.y - before.y };
+            const outgoing = { x: after.x - point.x, y: after.y - point.y };
+            const cross = incoming.x * outgoing.y - incoming.y * outgoing.x;
+            const dot = incoming.x * outgoing.x + incoming.y * outgoing.y;
+            return Math.atan2(cross, dot);
+        });
+
+        const flagged = angles.map(angle =>
+            Math.abs(angle) > DesignRuleChecker.CORNER_ANGLE && (Math.sign(angle) === orientation) === convexCorners
+        );
+
+        // Every run of flagged samples is one corner, located at its sharpest sample
+        const start = flagged.findIndex((isFlagged, i) => !isFlagged && flagged[(i + 1) % n]);
+        if (start < 0) {
+            if (!flagged[0]) return [];
+            const sharpest = angles.reduce((best, angle, i) => Math.abs(angle) > Math.abs(angles[best]) ? i : best, 0);
+            return [{ x: points[sharpest].x, y: points[sharpest].y }];
+        }
+
+        const corners = [];
+        let best = -1;
+        for (let k = 1; k <= n; k++) {
+            const i = (start + k) % n;
+            if (flagged[i]) {
+                if (best < 0 || Math.abs(angles[i]) > Math.abs(angles[best])) best = i;
+            } else if (best >= 0) {
+                corners.push({ x: points[best].x, y: points[best].y });
+                best = -1;
+            }
+        }
+        return corners;
+    }
+
+    /**
+     * Check whether two outlines trace the same geometry
+     *
+     * Start point and direction don't matter: every sample of each outline
+     * has to lie on the other outline.
+     *
+     * @param {Object} a - Outline {points, closed}
+     * @param {Object} b - Outline {points, closed}
+     * @param {number} tolerance - Maximum distance in pixels
+     * @returns {boolean} True if the outlines overlap exactly
+     */
+    isSameGeometry(a, b, tolerance) {
+        if (!!a.closed !== !!b.closed) return false;
+        return a.points.every(point => this.getDistanceToOutline(point, b).distance <= tolerance) &&
+            b.points.every(point => this.getDistanceToOutline(point, a).distance <= tolerance);
+    }
+
+    /**
+     * Get the smallest distance between two outlines
+     * @param {Object} a - Outline {points, closed}
+     * @param {Object} b - Outline {points, closed}
+     * @returns {Object} {distance, point} with the point halfway across the gap
+     */
+    getMinimumDistance(a, b) {
+        let closest = { distance: Infinity, point: null };
+
+        const measure = (from, to) => {
+            from.points.forEach(point => {
+                const nearest = this.getDistanceToOutline(point, to);
+                if (nearest.distance < closest.distance) {
+                    closest = {
+                        distance: nearest.distance,
+                        point: { x: (point.x + nearest.point.x) / 2, y: (point.y + nearest.point.y) / 2 }
+                    };
+                }
+            });
+        };
+        measure(a, b);
+        measure(b, a);
+
+        return closest;
+    }
+
+    /**
+     * Get the distance from a point to an outline
+     * @param {Object} point - Point {x, y}
+     * @param {Object} outline - Outline {points, closed}
+     * @returns {Object} {distance, point} with the nearest point on the outline
+     */
+    getDistanceToOutline(point, outline) {
+        const points = outline.points;
+        const segmentCount = outline.closed ? points.length : points.length - 1;
+        let nearest = { distance: Infinity, point: points[0] };
+
+        for (let i = 0; i < segmentCount; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const lengthSquared = dx * dx + dy * dy;
+            const t = lengthSquared > 0
+                ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared))
+                : 0;
+            const projected = { x: a.x + t * dx, y: a.y + t * dy };
+            const distance = Math.hypot(point.x - projected.x, point.y - projected.y);
+            if (distance < nearest.distance) {
+                nearest = { distance, point: projected };
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Check whether a point lies inside a polygon (even-odd rule)
+     * @param {Object} point - Point {x, y}
+     * @param {Array<Object>} polygon - Polygon points {x, y}
+     * @returns {boolean} True if inside
+     */
+    isPointInPolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Get the signed area of a polygon (sign gives the winding direction)
+     * @param {Array<Object>} points - Polygon points {x, y}
+     * @returns {number} Signed area
+     */
+    getSignedArea(points) {
+        let area = 0;
+        points.forEach((point, i) => {
+            const next = points[(i + 1) % points.length];
+            area += point.x * next.y - next.x * point.y;
+        });
+        return area / 2;
+    }
+
+    /**
+     * Get the cumulative arc length at every point of a closed outline
+     * @param {Array<Object>} points - Polygon points {x, y}
+     * @returns {Array<number>} Arc positions (one more entry than points: the perimeter)
+     */
+    getArcPositions(points) {
+        const arcs = [0];
+        points.forEach((point, i) => {
+            const next = points[(i + 1) % points.length];
+            arcs.push(arcs[i] + Math.hypot(next.x - point.x, next.y - point.y));
+        });
+        return arcs;
+    }
+
+    /**
+     * Interpolate a point at an arc position of a closed outline (wraps around)
+     * @param {Array<Object>} points - Polygon points {x, y}
+     * @param {Array<number>} arcs - Arc positions from getArcPositions()
+     * @param {number} arc - Arc position
+     * @returns {Object} Point {x, y}
+     */
+    getPointAtArc(points, arcs, arc) {
+        const perimeter = arcs[points.length];
+        const position = ((arc % perimeter) + perimeter) % perimeter;
+
+        let low = 0;
+        let high = points.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (arcs[middle] <= position) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        const a = points[low];
+        const b = points[(low + 1) % points.length];
+        const segmentLength = arcs[low + 1] - arcs[low];
+        const t = segmentLength > 0 ? (position - arcs[low]) / segmentLength : 0;
+        return { x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) };
+    }
+
+    /**
+     * Get the bounding box of a point list
+     * @param {Array<Object>} points - Points {x, y}
+     * @returns {Object} Bounding box {x, y, width, height}
+     */
+    getPointsBBox(points) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    /**
+     * Check whether two bounding boxes are closer than a distance
+     * @param {Object} a - Bounding box
+     * @param {Object} b - Bounding box
+     * @param {number} distance - Distance
+     * @returns {boolean} True if the boxes overlap when grown by the distance
+     */
+    bboxesWithin(a, b, distance) {
+        return a.x - distance <= b.x + b.width && b.x - distance <= a.x + a.width &&
+            a.y - distance <= b.y + b.height && b.y - distance <= a.y + a.height;
+    }
+
+    /**
+     * Check whether bounding box a contains bounding box b
+     * @param {Object} a - Outer bounding box
+     * @param {Object} b - Inner bounding box
+     * @returns {boolean} True if b lies within a
+     */
+    bboxContains(a, b) {
+        return b.x >= a.x && b.y >= a.y && b.x + b.width <= a.x + a.width && b.y + b.height <= a.y + a.height;
+    }
+}
+
+// Export for use in other modules
+window.DesignRuleChecker = DesignRuleChecker;
@@ -0,0 +1,265 @@
+/**
+ * Design Rule Panel Module - Manufacturability Findings
+ *
+ * Side panel listing the findings of the DesignRuleChecker grouped by rule.
+ * While the panel is open every finding is also marked on the canvas, and
+ * the check runs again after each attribute change so fixed problems
+ * disappear from the list and the canvas.
+ *
+ * Key Features:
+ * - Findings grouped by rule with element description and message
+ * - Click a finding to select its element (highlighting its markers)
+ * - Canvas markers at corners and gaps, dashed frames around whole elements
+ * - Markers carry the no-export class and never reach the export
+ */
+class DesignRulePanel {
+    /**
+     * Initialize design rule panel with system dependencies
+     *
+     * @param {DesignRuleChecker} designRuleChecker - Rule checks
+     * @param {ElementManager} elementManager - Element descriptions
+     * @param {SVGHelper} svgHelper - SVG element creation utilities
+     */
+    constructor(designRuleChecker, elementManager, svgHelper) {
+        this.designRuleChecker = designRuleChecker;
+        this.elementManager = elementManager;
+        this.svgHelper = svgHelper;
+
+        this.svgElement = null; // Displayed SVG that is checked and marked
+        this.findings = [];
+        this.activeFindingId = null;
+
+        // Callback selecting the element of a clicked finding (receives app-id)
+        this.onSelectElement = null;
+    }
+
+    /** CSS class of the marker group */
+    static MARKER_CLASS = 'design-rule-markers';
+
+    /** Marker radius as fraction of the larger document side */
+    static MARKER_RADIUS_RATIO = 0.015;
+
+    /**
+     * Initialize panel DOM elements and event handlers
+     * Must be called after DOM is fully loaded.
+     */
+    initialize() {
+        DRYUtilities.bindElements({
+            panel: 'designRulePanel',
+            findingList: 'designRuleList',
+            summaryText: 'designRuleSummary'
+        }, this);
+
+        document.getElementById('designRuleClose').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Attach the panel to a newly displayed SVG and check it if open
+     * @param {Element} svgElement - Displayed SVG (display clone in the DOM)
+     */
+    attach(svgElement) {
+        this.svgElement = svgElement;
+        this.activeFindingId = null;
+        this.refresh();
+    }
+
+    /**
+     * Open the panel and run the check
+     */
+    open() {
+        this.panel.style.display = 'flex';
+        this.refresh();
+    }
+
+    /**
+     * Close the panel and remove the canvas markers
+     */
+    close() {
+        this.panel.style.display = 'none';
+        this.activeFindingId = null;
+        this.clearMarkers();
+    }
+
+    /**
+     * Open the panel if closed, close it if open
+     */
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Check whether the panel is currently shown
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return !!this.panel && this.panel.style.display !== 'none';
+    }
+
+    /**
+     * Run the check again and update list and markers (only while open)
+     */
+    refresh() {
+        if (!this.isOpen()) return;
+
+        this.findings = this.designRuleChecker.check(this.svgElement);
+        if (!this.findings.some(finding => finding.id === this.activeFindingId)) {
+            this.activeFindingId = null;
+        }
+
+        this.renderFindings();
+        this.drawMarkers();
+    }
+
+    /**
+     * Render the findings grouped by rule
+     */
+    renderFindings() {
+        this.findingList.innerHTML = '';
+
+        const count = this.findings.length;
+        if (!this.svgElement) {
+            this.summaryText.textContent = 'No file loaded';
+        } else {
+            this.summaryText.textContent = count === 0 ? 'No problems found' : `${count} problem${count === 1 ? '' : 's'}`;
+        }
+
+        Object.entries(DesignRuleChecker.RULE_LABELS).forEach(([rule, label]) => {
+            const ruleFindings = this.findings.filter(finding => finding.rule === rule);
+            if (ruleFindings.length === 0) return;
+
+            const title = document.createElement('div');
+            title.className = 'design-rule-group';
+            title.textContent = `${label} (${ruleFindings.length})`;
+            this.findingList.appendChild(title);
+
+            ruleFindings.forEach(finding => {
+                this.findingList.appendChild(this.createFindingItem(finding));
+            });
+        });
+    }
+
+    /**
+     * Create the list entry of a finding
+     * @param {Object} finding - Finding from DesignRuleChecker.check()
+     * @returns {Element} List entry
+     */
+    createFindingItem(finding) {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'design-rule-item';
+        if (finding.id === this.activeFindingId) {
+            item.classList.add('active');
+        }
+        item.title = 'Select element';
+
+        const element = this.findElement(finding.appId);
+        const description = document.createElement('span');
+        description.className = 'design-rule-element';
+        description.textContent = element ? this.elementManager.getElementDescription(element) : finding.appId;
+
+        const message = document.createElement('span');
+        message.className = 'design-rule-message';
+        message.textContent = finding.message;
+
+        item.appendChild(description);
+        item.appendChild(message);
+        item.addEventListener('click', () => this.selectFinding(finding.id));
+        return item;
+    }
+
+    /**
+     * Select the element of a finding and highlight its markers
+     * @param {string} findingId - Finding id
+     */
+    selectFinding(findingId) {
+        const finding = this.findings.find(candidate => candidate.id === findingId);
+        if (!finding) return;
+
+        this.activeFindingId = finding.id;
+        if (this.onSelectElement) {
+            this.onSelectElement(finding.appId);
+        }
+
+        this.renderFindings();
+        this.drawMarkers();
+    }
+
+    /**
+     * Find a displayed element by app-id
+     * @param {string} appId - Element app-id
+     * @returns {Element|null} Element or null
+     */
+    findElement(appId) {
+        if (!this.svgElement) return null;
+        return this.svgElement.querySelector(`[data-app-id="${appId}"]`);
+    }
+
+    /**
+     * Draw the markers of all findings into the displayed SVG
+     *
+     * Markers are drawn in the user space of the SVG root, the same space
+     * the checker reports its points in.
+     */
+    drawMarkers() {
+        this.clearMarkers();
+        if (!this.svgElement || this.findings.length === 0) return;
+
+        const group = this.svgHelper.createSVGElement('g', {
+            class: `${DesignRulePanel.MARKER_CLASS} ${ShaperConstants.CSS_CLASSES.NO_EXPORT}`
+        });
+        const radius = this.getMarkerRadius();
+
+        this.findings.forEach(finding => {
+            const className = finding.id === this.activeFindingId ? 'design-rule-marker active' : 'design-rule-marker';
+
+            if (finding.points.length > 0) {
+                finding.points.forEach(point => {
+                    group.appendChild(this.svgHelper.createSVGElement('circle', {
+                        class: className,
+                        cx: point.x,
+                        cy: point.y,
+                        r: radius
+                    }));
+                });
+            } else {
+                const { x, y, width, height } = finding.bbox;
+                group.appendChild(this.svgHelper.createSVGElement('rect', {
+                    class: `${className} design-rule-frame`,
+                    x: x - radius / 2,
+                    y: y - radius / 2,
+                    width: width + radius,
+                    height: height + radius
+                }));
+            }
+        });
+
+        this.svgElement.appendChild(group);
+    }
+
+    /**
+     * Remove all markers from the displayed SVG
+     */
+    clearMarkers() {
+        if (!this.svgElement) return;
+
+        this.svgElement.querySelectorAll(`.${DesignRulePanel.MARKER_CLASS}`)
+            .forEach(group => group.remove());
+    }
+
+    /**
+     * Get the marker radius relative to the document size
+     * @returns {number} Radius in root user units
+     */
+    getMarkerRadius() {
+        const bounds = this.designRuleChecker.getDocumentBounds(this.svgElement);
+        if (!bounds) return 5;
+        return Math.max(bounds.width, bounds.height) * DesignRulePanel.MARKER_RADIUS_RATIO;
+    }
+}
+
+// Export for use in other modules
+window.DesignRulePanel = DesignRulePanel;
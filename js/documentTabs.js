@@ -0,0 +1,105 @@
+/**
+ * Document Tabs Module - Open Files in the Title Bar
+ *
+ * Shows one tab per open SVG document. Each document keeps its own element
+ * data, viewport and undo history in MetaData; this module only renders the
+ * tabs and reports the user's choices to the editor.
+ *
+ * Key Features:
+ * - One tab per open document, the active one highlighted
+ * - Click a tab to switch, click × (or middle-click the tab) to close it
+ * - + button to open another SVG in a new tab
+ */
+class DocumentTabs {
+    /**
+     * Initialize document tabs with the document source
+     *
+     * @param {MetaData} metaData - Open documents and the active document id
+     */
+    constructor(metaData) {
+        this.metaData = metaData;
+
+        // Callbacks set by the editor
+        this.onSwitch = null; // Receives the document id of the clicked tab
+        this.onClose = null;  // Receives the document id of the closed tab
+        this.onAdd = null;    // Open another file
+    }
+
+    /**
+     * Initialize DOM element references
+     * Must be called after DOM is fully loaded.
+     */
+    initialize() {
+        DRYUtilities.bindElements({
+            tabList: 'documentTabs'
+        }, this);
+    }
+
+    /**
+     * Render the tabs of all open documents
+     */
+    render() {
+        if (!this.tabList) return;
+
+        this.tabList.innerHTML = '';
+        const activeId = this.metaData.getActiveDocumentId();
+
+        this.metaData.getDocuments().forEach(documentInfo => {
+            this.tabList.appendChild(this.createTab(documentInfo, documentInfo.id === activeId));
+        });
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'document-tab-add';
+        addButton.title = 'Open another SVG in a new tab';
+        addButton.textContent = '+';
+        addButton.addEventListener('click', () => {
+            if (this.onAdd) this.onAdd();
+        });
+        this.tabList.appendChild(addButton);
+    }
+
+    /**
+     * Create the tab of a document
+     * @param {Object} documentInfo - Document {id, fileName}
+     * @param {boolean} isActive - Whether this is the active document
+     * @returns {Element} Tab element
+     */
+    createTab(documentInfo, isActive) {
+        const tab = document.createElement('div');
+        tab.className = isActive ? 'document-tab active' : 'document-tab';
+        tab.dataset.documentId = documentInfo.id;
+        tab.title = documentInfo.fileName || 'untitled.svg';
+
+        const name = document.createElement('span');
+        name.className = 'document-tab-name';
+        name.textContent = documentInfo.fileName || 'untitled.svg';
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'document-tab-close';
+        closeButton.title = 'Close';
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onClose) this.onClose(documentInfo.id);
+        });
+
+        tab.addEventListener('click', () => {
+            if (!isActive && this.onSwitch) this.onSwitch(documentInfo.id);
+        });
+        tab.addEventListener('auxclick', (e) => {
+            if (e.button === 1 && this.onClose) {
+                e.preventDefault();
+                this.onClose(documentInfo.id);
+            }
+        });
+
+        tab.appendChild(name);
+        tab.appendChild(closeButton);
+        return tab;
+    }
+}
+
+// Export for use in other modules
+window.DocumentTabs = DocumentTabs;
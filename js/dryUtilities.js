@@ -10,6 +10,9 @@
  * - Mathematical calculation helpers
  * - Element positioning utilities
  * - String template generators
+ * - Inline input error display
+ * - Inline style and simple class rule parsing
+ * - CSV field quoting and separator choice for the decimal separator
  */
 class DRYUtilities {
     /**
@@ -61,6 +64,21 @@ class DRYUtilities {
         return `${formatted}${this.measurementSystem.units}`;
     }
 
+    /**
+     * Convert an area in square pixels to display string with current units
+     * Areas are always decimal, also in fractional inch mode
+     *
+     * @param {number} squarePixels - Area in square pixels
+     * @returns {string} Formatted display string (e.g., "1250.5mm²")
+     */
+    formatAreaToDisplay(squarePixels) {
+        if (!this.measurementSystem) return `${squarePixels}px²`;
+
+        const scale = this.measurementSystem.convertPixelsToCurrentUnit(1);
+        const formatted = this.measurementSystem.formatDecimalNumber(squarePixels * scale * scale);
+        return `${formatted}${this.measurementSystem.units}²`;
+    }
+
     /**
      * Create measurement object with name and formatted value
      *
@@ -75,6 +93,41 @@ class DRYUtilities {
         };
     }
 
+    /**
+     * Get the CSV field separator for the decimal separator
+     *
+     * With a decimal comma, fields are separated by ';' so spreadsheets
+     * read the numbers.
+     *
+     * @returns {string} ';' with a decimal comma, ',' otherwise
+     */
+    getCSVSeparator() {
+        return this.measurementSystem && this.measurementSystem.getDecimalSeparator() === ',' ? ';' : ',';
+    }
+
+    /**
+     * Create CSV text with the separator for the decimal separator
+     *
+     * @param {Array<Array>} lines - Rows of field values
+     * @returns {string} CSV text with CRLF line ends
+     */
+    createCSV(lines) {
+        const separator = this.getCSVSeparator();
+        return lines.map(line => line.map(value => DRYUtilities.quoteCSVField(value, separator)).join(separator)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV field if it contains the separator, quotes or line breaks
+     *
+     * @param {*} value - Field value
+     * @param {string} separator - Field separator
+     * @returns {string} Field text, quoted with doubled inner quotes if needed
+     */
+    static quoteCSVField(value, separator) {
+        const text = String(value);
+        return /["\n\r]/.test(text) || text.includes(separator) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
     /**
      * Calculate distance between two points
      *
@@ -183,6 +236,87 @@ class DRYUtilities {
         return Math.max(min, Math.min(value, max));
     }
 
+    /**
+     * Show or clear the inline error of an input
+     *
+     * Marks the input and shows the message in the element with id
+     * `<inputId>Error` if the page has one.
+     *
+     * @param {Element} input - Input element
+     * @param {string|null} message - Error message, null to clear
+     */
+    static setInputError(input, message) {
+        if (!input) return;
+        input.classList.toggle('error', !!message);
+
+        const errorText = document.getElementById(`${input.id}Error`);
+        if (errorText) {
+            errorText.textContent = message || '';
+            errorText.style.display = message ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Parse CSS declarations (inline style or rule body)
+     * @param {string} text - Declarations
+     * @returns {Object} Map of lower-case property to value
+     */
+    static parseStyleDeclarations(text) {
+        const declarations = {};
+        text.split(';').forEach(declaration => {
+            const colon = declaration.indexOf(':');
+            if (colon === -1) return;
+            const property = declaration.slice(0, colon).trim().toLowerCase();
+            const value = declaration.slice(colon + 1).replace(/!important/i, '').trim();
+            if (property && value) declarations[property] = value;
+        });
+        return declarations;
+    }
+
+    /**
+     * Collect the simple class rules of style elements in stylesheet order
+     *
+     * Only plain class selectors (".st0", ".st0, .st1") are supported, which
+     * covers the styles written by common design tools.
+     *
+     * @param {Element} svgElement - SVG root
+     * @param {Array<string>} otherSelectors - Receives the selectors that are not evaluated
+     * @returns {Array<Object>} Rules {className, declarations}, one per class of a selector list
+     */
+    static parseClassRules(svgElement, otherSelectors = []) {
+        const classRules = [];
+        svgElement.querySelectorAll('style').forEach(styleElement => {
+            const css = styleElement.textContent.replace(/\/\*[\s\S]*?\*\//g, '').replace(/@font-face\s*\{[^}]*\}/g, '');
+            const rulePattern = /([^{}]+)\{([^}]*)\}/g;
+            let match;
+            while ((match = rulePattern.exec(css)) !== null) {
+                const declarations = DRYUtilities.parseStyleDeclarations(match[2]);
+                match[1].split(',').map(selector => selector.trim()).forEach(selector => {
+                    if (!/^\.[\w-]+$/.test(selector)) {
+                        otherSelectors.push(selector);
+                        return;
+                    }
+                    classRules.push({ className: selector.slice(1), declarations });
+                });
+            }
+        });
+        return classRules;
+    }
+
+    /**
+     * Collect the declarations of simple class rules from style elements
+     *
+     * @param {Element} svgElement - SVG root
+     * @returns {Map} Map of class name to declarations (later rules override earlier ones)
+     */
+    static parseClassStyles(svgElement) {
+        const classStyles = new Map();
+        DRYUtilities.parseClassRules(svgElement).forEach(({ className, declarations }) => {
+            classStyles.set(className, { ...(classStyles.get(className) || {}), ...declarations });
+        });
+        return classStyles;
+    }
+
     /**
      * Create shaper attribute name with namespace
      *
@@ -8,6 +8,8 @@
  * Key Features:
  * - Element selection and hover state management
  * - Cached dimension data retrieval via element data map
+ * - Shaper attributes inherited from enclosing groups
+ * - Path length, area, perimeter and centroid (measured once, then cached)
  * - Smart element description generation with unit conversion
  * - Integration with measurement system for unit display
  * - SVG geometry calculations for complex elements
@@ -27,6 +29,10 @@ class ElementManager {
         this.selectedPaths = new Set(); // Multiple selection support
         this.hoveredPath = null;
         this.svgHelper = new SVGHelper();
+        this.shapeMetrics = new ShapeMetrics(measurementSystem);
+
+        // Callback after the selection changed
+        this.onSelectionChange = null;
 
         // Initialize DRY utilities helper
         this.dryUtils = new DRYUtilities(measurementSystem);
@@ -52,6 +58,7 @@ class ElementManager {
             // Add to selection
                 path.classList.add(ShaperConstants.CSS_CLASSES.SELECTED);
                 this.selectedPaths.add(path);
+                this.notifySelectionChange();
             }
         }
     }
@@ -64,6 +71,7 @@ class ElementManager {
         if (path && this.selectedPaths.has(path)) {
             path.classList.remove(ShaperConstants.CSS_CLASSES.SELECTED);
             this.selectedPaths.delete(path);
+            this.notifySelectionChange();
         }
     }
 
@@ -74,7 +82,22 @@ class ElementManager {
         this.selectedPaths.forEach(path => {
             path.classList.remove(ShaperConstants.CSS_CLASSES.SELECTED);
         });
-        this.selectedPaths.clear();
+        if (this.selectedPaths.size > 0) {
+            this.selectedPaths.clear();
+            this.notifySelectionChange();
+        }
+    }
+
+    /**
+     * Notify listeners about a selection change
+     *
+     * Called once per added or removed element; listeners that do more
+     * than a little work should defer it.
+     */
+    notifySelectionChange() {
+        if (this.onSelectionChange) {
+            this.onSelectionChange();
+        }
     }
 
     /**
@@ -116,18 +139,152 @@ class ElementManager {
      * using the element's application ID. Returns cached measurements and
      * shaper attributes for efficient access without recalculation.
      *
-     * @param {Element} element - SVG element with app-id data attribute
+     * Groups are looked up by their group id; their data holds only the
+     * shaper attributes they pass on to their elements.
+     *
+     * @param {Element} element - SVG element with app-id (or group-id) data attribute
      * @returns {Object} Cached dimension data including measurements and attributes
      */
     getElementDimensions(element) {
-        if (!element || !element.dataset.appId) {
+        const dataId = element ? (element.dataset.appId || element.dataset.groupId) : null;
+        if (!dataId) {
             return {};
         }
-        const appId = element.dataset.appId;
-        const dimensions = this.elementDataMap.get(appId);
+        const dimensions = this.elementDataMap.get(dataId);
         return dimensions || {};
     }
 
+    /**
+     * Get path length, area, perimeter and centroid of an element
+     *
+     * Measured on the displayed element in the user space of its SVG root
+     * the first time they are needed, then kept in the element data.
+     *
+     * @param {Element} element - Displayed SVG element with app-id
+     * @returns {Object|null} Metrics {lengthPx, perimeterPx, areaPx, centroid} in pixels
+     *     (perimeter and area null for open shapes), null if the element has no outline
+     */
+    getElementMetrics(element) {
+        const dimensions = this.getElementDimensions(element);
+        if (!dimensions.tagName || dimensions.isGroup) return null;
+
+        if (dimensions.metrics === undefined) {
+            // Outermost SVG, so nested <svg> elements measure in document space
+            let svgElement = element.ownerSVGElement;
+            while (svgElement && svgElement.ownerSVGElement) {
+                svgElement = svgElement.ownerSVGElement;
+            }
+            dimensions.metrics = svgElement ? this.shapeMetrics.measure(element, svgElement) : null;
+        }
+        return dimensions.metrics;
+    }
+
+    /**
+     * Sum path lengths and areas of the selected elements
+     * @returns {Object} Totals {count, lengthPx, areaPx}
+     */
+    getSelectionMetrics() {
+        const totals = { count: this.selectedPaths.size, lengthPx: 0, areaPx: 0 };
+        this.selectedPaths.forEach(path => {
+            const metrics = this.getElementMetrics(path);
+            if (metrics) {
+                totals.lengthPx += metrics.lengthPx;
+                totals.areaPx += metrics.areaPx || 0;
+            }
+        });
+        return totals;
+    }
+
+    /**
+     * Get the groups enclosing an element
+     * @param {Element} element - SVG element
+     * @returns {Array<Element>} Groups with group-id, nearest first
+     */
+    getGroupAncestors(element) {
+        const groups = [];
+        let parent = element ? element.parentElement : null;
+        while (parent) {
+            if (parent.dataset && parent.dataset.groupId) {
+                groups.push(parent);
+            }
+            parent = parent.parentElement;
+        }
+        return groups;
+    }
+
+    /**
+     * Copy the shaper attributes an element or group sets itself
+     * @param {Element} element - Element or group
+     * @returns {Object} Shaper attributes (pixel-based)
+     */
+    getOwnAttributes(element) {
+        return { ...(this.getElementDimensions(element).shaperAttributes || {}) };
+    }
+
+    /**
+     * Get the shaper attributes that apply to an element
+     *
+     * Values the element does not set itself come from the nearest enclosing
+     * group that sets them. A tool picked from the library is only inherited
+     * together with the tool diameter it belongs to.
+     *
+     * @param {Element} element - SVG element
+     * @returns {Object} Effective shaper attributes (element data format)
+     */
+    getEffectiveAttributes(element) {
+        const effective = {};
+        [element, ...this.getGroupAncestors(element)].forEach(source => {
+            const attributes = this.getElementDimensions(source).shaperAttributes || {};
+            const hasNearerToolDia = 'shaper:toolDia' in effective;
+            Object.entries(attributes).forEach(([name, value]) => {
+                if (name === ShaperConstants.TOOL_ID_KEY && hasNearerToolDia) return;
+                if (!(name in effective)) {
+                    effective[name] = value;
+                }
+            });
+        });
+        return effective;
+    }
+
+    /**
+     * Describe where each group-level attribute of an element comes from
+     *
+     * Only attributes set on an enclosing group are listed: 'inherited' when
+     * the element takes the group value, 'overridden' when it sets its own.
+     *
+     * @param {Element} element - SVG element
+     * @returns {Object} Map of attribute name to {state, group, value}
+     */
+    getAttributeInheritance(element) {
+        const own = this.getElementDimensions(element).shaperAttributes || {};
+        const inheritance = {};
+
+        this.getGroupAncestors(element).forEach(group => {
+            const attributes = this.getElementDimensions(group).shaperAttributes || {};
+            ShaperConstants.ALL_ATTRIBUTES.forEach(attr => {
+                const name = `shaper:${attr}`;
+                if (!(name in attributes) || name in inheritance) return;
+                inheritance[name] = {
+                    state: name in own ? 'overridden' : 'inherited',
+                    group: group,
+                    value: name in own ? own[name] : attributes[name]
+                };
+            });
+        });
+
+        return inheritance;
+    }
+
+    /**
+     * Get the display name of a group or element
+     * @param {Element} element - Group or element
+     * @returns {string} Inkscape label, Illustrator layer name, id or tag name
+     */
+    getNodeName(element) {
+        const name = element.getAttribute('inkscape:label') || element.getAttribute('data-name') || element.getAttribute('id');
+        return name || `<${element.tagName.toLowerCase()}>`;
+    }
+
     /**
      * Generate user-friendly element description with measurements
      *
@@ -188,7 +345,8 @@ class ElementManager {
      *
      * Provides structured measurement data for tooltips with proper unit
      * conversion and formatting. Returns different measurement sets based
-     * on element geometry type (circles, rectangles, lines, etc.).
+     * on element geometry type (circles, rectangles, lines, etc.), followed
+     * by path length, perimeter and area (closed shapes) and centroid.
      *
      * @param {Element} element - SVG element to extract measurements from
      * @returns {Array} Array of measurement objects with name and formatted value
@@ -207,7 +365,7 @@ class ElementManager {
                 this.dryUtils.createMeasurement('Diameter', diameterPx),
                 this.dryUtils.createMeasurement('Radius', radiusPx)
             );
-            return measurements;
+            return measurements.concat(this.getShapeMeasurements(element));
         }
 
         // Generate measurements based on element geometry type
@@ -242,6 +400,35 @@ class ElementManager {
                 }
         }
 
+        return measurements.concat(this.getShapeMeasurements(element));
+    }
+
+    /**
+     * Format path length, perimeter, area and centroid for display
+     *
+     * Lines already show their length, so only their centroid is added.
+     *
+     * @param {Element} element - Displayed SVG element
+     * @returns {Array} Array of measurement objects with name and formatted value
+     */
+    getShapeMeasurements(element) {
+        const metrics = this.getElementMetrics(element);
+        if (!metrics) return [];
+
+        const measurements = [];
+        if (element.tagName.toLowerCase() !== 'line') {
+            measurements.push(this.dryUtils.createMeasurement('Path Length', metrics.lengthPx));
+        }
+        if (metrics.perimeterPx !== null) {
+            measurements.push(
+                this.dryUtils.createMeasurement('Perimeter', metrics.perimeterPx),
+                { name: 'Area', value: this.dryUtils.formatAreaToDisplay(metrics.areaPx) }
+            );
+        }
+        measurements.push({
+            name: 'Centroid',
+            value: `${this.dryUtils.formatPixelsToDisplay(metrics.centroid.x)}, ${this.dryUtils.formatPixelsToDisplay(metrics.centroid.y)}`
+        });
         return measurements;
     }
 
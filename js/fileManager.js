@@ -10,6 +10,7 @@
  * - Drag-and-drop and file input SVG loading
  * - Master model management with unique element IDs
  * - SVG parsing with measurement unit detection
+ * - Background element analysis before parsing, cancellable without side effects
  * - Export preparation with attribute cleanup
  * - Error handling for malformed SVG files
  * - Integration with measurement system for unit conversion
@@ -25,8 +26,15 @@ class FileManager {
         this.svg = null; // Master SVG string representation
         this.svgElement = null; // Legacy display element reference
         this.masterSVGElement = null; // Source of truth DOM element with app IDs
+        this.documentMasters = new Map(); // Master elements of open documents by document id
         this.onSVGLoaded = null; // Callback for successful SVG loading
+        this.backgroundAnalysis = null; // Analyzes loading files off the main thread
+        this.onAnalysisStart = null; // Called with the file name when a background analysis starts
+        this.onAnalysisProgress = null; // Called with (analyzed, total)
+        this.onAnalysisEnd = null; // Called when the analysis finished or was cancelled
         this.elementManager = null; // Set by main application during initialization
+        this.exportCutStyle = false; // Restyle exported elements per Shaper Cut Style Guide
+        this.exportKeepGroupAttributes = false; // Keep group attributes on groups instead of flattening them
 
         // Initialize SVG processing utilities
         this.svgHelper = new SVGHelper();
@@ -40,6 +48,14 @@ class FileManager {
         this.onSVGLoaded = callback;
     }
 
+    /**
+     * Connect background analysis for loading files
+     * @param {BackgroundAnalysis} backgroundAnalysis - Worker-based element analysis
+     */
+    setBackgroundAnalysis(backgroundAnalysis) {
+        this.backgroundAnalysis = backgroundAnalysis;
+    }
+
     /**
      * Connect element manager for coordinated element operations
      * @param {ElementManager} elementManager - Element state and selection manager
@@ -68,6 +84,13 @@ class FileManager {
                 el.dataset.appId = Math.random().toString(36).slice(2, 11);
             }
         });
+
+        // Groups get their own id attribute so the many [data-app-id] lookups keep finding only drawable elements
+        svgElement.querySelectorAll('g').forEach(group => {
+            if (!group.dataset.groupId) {
+                group.dataset.groupId = `g-${Math.random().toString(36).slice(2, 11)}`;
+            }
+        });
         return svgElement;
     }
 
@@ -141,18 +164,52 @@ class FileManager {
 
         const reader = new FileReader();
         reader.onload = (e) => {
+            this.loadSVGString(e.target.result, file.name);
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Analyze SVG source in the background, then parse it
+     *
+     * Nothing changes before the analysis is done, so a cancelled load
+     * leaves the open documents as they were.
+     *
+     * @param {string} svgString - SVG source
+     * @param {string} fileName - File name
+     * @returns {Promise<boolean>} True if the file was loaded
+     */
+    async loadSVGString(svgString, fileName) {
+        let geometry = null;
+        if (this.backgroundAnalysis) {
+            if (this.onAnalysisStart) this.onAnalysisStart(fileName);
             try {
-                this.parseSVG(e.target.result, file.name);
+                geometry = await this.backgroundAnalysis.analyze(svgString, this.onAnalysisProgress);
+                if (geometry === null) {
+                    return false; // Cancelled
+                }
             } catch (error) {
-                console.error('Error parsing SVG:', error);
-                alert('Error loading SVG file. Please check if the file is valid.');
+                // Parsing reports invalid files; other failures only cost the precomputed geometry
+                console.warn('Background analysis failed:', error.message);
+            } finally {
+                // A newer load may have replaced this one and still be running
+                if (this.onAnalysisEnd && !this.backgroundAnalysis.isRunning()) this.onAnalysisEnd();
             }
-        };
-        reader.readAsText(file);
+        }
+
+        try {
+            this.parseSVG(svgString, fileName, geometry);
+            return true;
+        } catch (error) {
+            console.error('Error parsing SVG:', error);
+            alert('Error loading SVG file. Please check if the file is valid.');
+            return false;
+        }
     }
 
     // Parse SVG content and establish the master data model
-    parseSVG(svgString, fileName = 'untitled.svg') {
+    // (geometry: element analysis of the source for MeasurementSystem.analyzeSVG(), if done in the background)
+    parseSVG(svgString, fileName = 'untitled.svg', geometry = null) {
         // Parse the SVG string and create DOM element
         const parser = new DOMParser();
         const doc = parser.parseFromString(svgString, 'image/svg+xml');
@@ -184,7 +241,7 @@ class FileManager {
 
         // Notify that SVG is loaded, passing the master model
         if (this.onSVGLoaded) {
-            this.onSVGLoaded(this.masterSVGElement, this.svg, this.fileName);
+            this.onSVGLoaded(this.masterSVGElement, this.svg, this.fileName, geometry);
         }
     }
 
@@ -234,9 +291,8 @@ class FileManager {
         const svgRoot = this.svgHelper.getSVGRoot(element);
         this.svgHelper.ensureShaperNamespace(svgRoot);
 
-        // Get shaper attributes from elementData
-        const dimensions = this.elementManager.getElementDimensions(element);
-        const shaperAttrs = dimensions.shaperAttributes || {};
+        // Get shaper attributes from elementData (own or flattened, depending on the export mode)
+        const shaperAttrs = this.getExportAttributes(element);
 
         // Handle measurement attributes
         ShaperConstants.MEASUREMENT_ATTRIBUTES.forEach(attr => {
@@ -246,10 +302,11 @@ class FileManager {
             if (pixelValue && pixelValue.trim() !== '') {
                 const numPixels = parseFloat(pixelValue);
                 if (!isNaN(numPixels)) {
-                    // Convert pixel value to current unit system for export
-                    const unitValue = this.measurementSystem.convertPixelsToCurrentUnit(numPixels);
-                    const formattedValue = this.measurementSystem.formatDisplayNumber(unitValue);
-                    const valueWithUnit = `${formattedValue}${this.measurementSystem.units}`;
+                    // Convert pixel value to the current unit system (decimal mm or in) for export
+                    const exportUnit = this.measurementSystem.getExportUnit();
+                    const unitValue = this.measurementSystem.convertBetweenUnits(numPixels, 'px', exportUnit);
+                    const formattedValue = this.measurementSystem.formatDecimalNumber(unitValue);
+                    const valueWithUnit = `${formattedValue}${exportUnit}`;
 
                     ShaperUtils.setNamespacedAttribute(element, attr, valueWithUnit);
                 }
@@ -267,27 +324,121 @@ class FileManager {
         }
     }
 
-    // Export SVG with current modifications
-    exportSVG() {
-        // The master model is always the source of truth, so we get its latest state.
-        const currentSVGData = this.getSVGData();
-        if (!currentSVGData) {
-            alert('No SVG file loaded to export.');
-            return;
+    /**
+     * Get the shaper attributes written to an element or group on export
+     *
+     * When group attributes are kept, every element and group exports its own
+     * values. Otherwise groups export nothing and elements carry the values
+     * inherited from their groups.
+     *
+     * @param {Element} element - Export element or group
+     * @returns {Object} Shaper attributes (element data format)
+     */
+    getExportAttributes(element) {
+        if (this.exportKeepGroupAttributes) {
+            return this.elementManager.getElementDimensions(element).shaperAttributes || {};
         }
+        return element.dataset.groupId ? {} : this.elementManager.getEffectiveAttributes(element);
+    }
+
+    /**
+     * Choose how group-level shaper attributes are exported
+     * @param {boolean} keep - True to keep them on the groups, false to flatten them onto the elements
+     */
+    setExportKeepGroupAttributes(keep) {
+        this.exportKeepGroupAttributes = keep;
+    }
 
+    /**
+     * Enable or disable the cut style export mode
+     *
+     * When enabled, fill and stroke of every exported element are set from
+     * its shaper:cutType so the file also reads correctly in tools that
+     * interpret colours instead of attributes.
+     *
+     * @param {boolean} enabled - Whether to apply Cut Style Guide colours on export
+     */
+    setExportCutStyle(enabled) {
+        this.exportCutStyle = enabled;
+    }
+
+    /**
+     * Set fill and stroke of an element from its cut type (Cut Style Guide)
+     *
+     * Colours are written as presentation attributes and as inline style, so
+     * they also win over stylesheet rules (e.g. Illustrator class styles).
+     * Elements without a known cut type are left unchanged.
+     *
+     * @param {Element} element - Export element to restyle
+     */
+    applyCutStyleForExport(element) {
+        if (!this.elementManager) return;
+
+        const cutType = this.elementManager.getEffectiveAttributes(element)['shaper:cutType'];
+        const colors = ShaperConstants.CUT_STYLE_COLORS[cutType];
+        if (!colors) return;
+
+        // Opacities from the design would make the colours ambiguous
+        ['fill-opacity', 'stroke-opacity'].forEach(property => {
+            element.style.removeProperty(property);
+            element.removeAttribute(property);
+        });
+
+        element.setAttribute('fill', colors.fill);
+        element.setAttribute('stroke', colors.stroke);
+        element.style.setProperty('fill', colors.fill);
+        element.style.setProperty('stroke', colors.stroke);
+    }
+
+    /**
+     * Create the export version of the master model
+     *
+     * Clones the master SVG, writes shaper attributes from element data
+     * (group attributes kept or flattened onto the elements), optionally
+     * applies cut style colours and strips all internal attributes.
+     * Shared by file export and clipboard copy so both produce identical output.
+     *
+     * @returns {Element} Export-ready SVG element
+     */
+    createExportNode() {
         // Create a clone of the master model to prepare for export without affecting the live model
         const exportNode = this.masterSVGElement.cloneNode(true);
 
+        // Declare the shaper namespace on the clone itself, it is detached from the master's document
+        this.svgHelper.ensureShaperNamespace(exportNode);
+
         // Clean all elements in the cloned node for export
         exportNode.querySelectorAll('[data-app-id]').forEach(el => {
             // Set namespaced attributes from raw values
             this.updateShaperAttributesForExport(el);
+            // Restyle per Cut Style Guide (element data is still reachable via app-id here)
+            if (this.exportCutStyle) {
+                this.applyCutStyleForExport(el);
+            }
             // Remove all raw attributes
             ShaperUtils.removeAllRawAttributes(el);
             // IMPORTANT: Remove the internal app-id for the final export
             el.removeAttribute('data-app-id');
         });
+        exportNode.querySelectorAll('[data-group-id]').forEach(group => {
+            // Group attributes are kept or removed after the elements were flattened
+            this.updateShaperAttributesForExport(group);
+            group.removeAttribute('data-group-id');
+        });
+
+        return exportNode;
+    }
+
+    // Export SVG with current modifications
+    exportSVG() {
+        // The master model is always the source of truth, so we get its latest state.
+        const currentSVGData = this.getSVGData();
+        if (!currentSVGData) {
+            alert('No SVG file loaded to export.');
+            return;
+        }
+
+        const exportNode = this.createExportNode();
 
         const finalSVGString = new XMLSerializer().serializeToString(exportNode);
 
@@ -305,6 +456,47 @@ class FileManager {
         URL.revokeObjectURL(url);
     }
 
+    // ============================================================================
+    // OPEN DOCUMENTS
+    // ============================================================================
+
+    /**
+     * Keep the current master element as the master of a document
+     * @param {string} documentId - Document id
+     */
+    registerDocument(documentId) {
+        if (this.masterSVGElement) {
+            this.documentMasters.set(documentId, {
+                masterSVGElement: this.masterSVGElement,
+                fileName: this.fileName
+            });
+        }
+    }
+
+    /**
+     * Make the cached master of a document the current master
+     * @param {string} documentId - Document id
+     * @returns {boolean} True if the document was cached, false if it must be parsed again
+     */
+    activateDocument(documentId) {
+        const cached = this.documentMasters.get(documentId);
+        if (!cached) return false;
+
+        this.masterSVGElement = cached.masterSVGElement;
+        this.svgElement = this.masterSVGElement;
+        this.fileName = cached.fileName;
+        this.svg = new XMLSerializer().serializeToString(this.masterSVGElement);
+        return true;
+    }
+
+    /**
+     * Drop the cached master of a closed document
+     * @param {string} documentId - Document id
+     */
+    closeDocument(documentId) {
+        this.documentMasters.delete(documentId);
+    }
+
     // Clear loaded SVG
     clearSVG() {
         this.svg = null;
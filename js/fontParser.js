@@ -0,0 +1,573 @@
+/**
+ * Font Parser Module - TrueType Glyph Outlines
+ *
+ * Minimal reader for TrueType fonts (sfnt with glyf outlines), used to turn
+ * live text into paths. Provides character mapping, advance widths, pair
+ * kerning and glyph outlines as quadratic path commands in font units.
+ *
+ * Key Features:
+ * - TrueType (.ttf) and WOFF 1.0 fonts (WOFF tables are inflated first)
+ * - Character mapping from cmap subtables format 4 and 12
+ * - Simple and composite glyphs with component transforms
+ * - Pair kerning from the kern table (format 0)
+ *
+ * CFF based OpenType fonts (.otf) and WOFF2 are rejected with an error.
+ */
+class FontParser {
+    /**
+     * Parse an sfnt font from its binary data
+     *
+     * @param {ArrayBuffer} buffer - Font file contents (TrueType sfnt)
+     * @throws {Error} If the data is no TrueType font with glyph outlines
+     */
+    constructor(buffer) {
+        this.data = new DataView(buffer);
+        this.tables = this.readTableDirectory();
+
+        if (this.tables['CFF '] || this.tables.CFF2) {
+            throw new Error('CFF font outlines are not supported');
+        }
+        ['head', 'hhea', 'maxp', 'hmtx', 'cmap', 'loca', 'glyf'].forEach(tag => {
+            if (!this.tables[tag]) {
+                throw new Error(`Font is missing the ${tag} table`);
+            }
+        });
+
+        this.readMetrics();
+        this.cmapLookup = this.readCmap();
+        this.kerningPairs = this.readKerning();
+
+        this.glyphCache = new Map();
+    }
+
+    /** sfnt version tags of TrueType fonts */
+    static TRUETYPE_VERSIONS = [0x00010000, 0x74727565]; // 1.0, 'true'
+
+    /** File signatures */
+    static SIGNATURES = {
+        WOFF: 0x774F4646, // 'wOFF'
+        WOFF2: 0x774F4632, // 'wOF2'
+        OPENTYPE_CFF: 0x4F54544F // 'OTTO'
+    };
+
+    /** Composite glyph flags */
+    static COMPOSITE_FLAGS = {
+        ARG_1_AND_2_ARE_WORDS: 0x0001,
+        ARGS_ARE_XY_VALUES: 0x0002,
+        WE_HAVE_A_SCALE: 0x0008,
+        MORE_COMPONENTS: 0x0020,
+        WE_HAVE_AN_X_AND_Y_SCALE: 0x0040,
+        WE_HAVE_A_TWO_BY_TWO: 0x0080
+    };
+
+    /** Maximum nesting of composite glyphs */
+    static MAX_COMPOSITE_DEPTH = 8;
+
+    /**
+     * Parse a font file of any supported format
+     *
+     * WOFF tables may be zlib compressed, so unpacking them is asynchronous
+     * (DecompressionStream).
+     *
+     * @param {ArrayBuffer} buffer - Font file contents (.ttf or .woff)
+     * @returns {Promise<FontParser>} Parsed font
+     */
+    static async load(buffer) {
+        const signature = new DataView(buffer).getUint32(0);
+
+        if (signature === FontParser.SIGNATURES.WOFF) {
+            return new FontParser(await FontParser.unpackWOFF(buffer));
+        }
+        if (signature === FontParser.SIGNATURES.WOFF2) {
+            throw new Error('WOFF2 fonts are not supported');
+        }
+        if (signature === FontParser.SIGNATURES.OPENTYPE_CFF) {
+            throw new Error('CFF font outlines are not supported');
+        }
+        return new FontParser(buffer);
+    }
+
+    /**
+     * Convert a WOFF 1.0 font into a plain sfnt font
+     *
+     * @param {ArrayBuffer} buffer - WOFF file contents
+     * @returns {Promise<ArrayBuffer>} sfnt font data
+     */
+    static async unpackWOFF(buffer) {
+        const woff = new DataView(buffer);
+        const flavor = woff.getUint32(4);
+        const numTables = woff.getUint16(12);
+
+        const entries = [];
+        for (let i = 0; i < numTables; i++) {
+            const entry = 44 + i * 20;
+            entries.push({
+                tag: woff.getUint32(entry),
+                offset: woff.getUint32(entry + 4),
+                compLength: woff.getUint32(entry + 8),
+                origLength: woff.getUint32(entry + 12),
+                checksum: woff.getUint32(entry + 16)
+            });
+        }
+
+        const tables = await Promise.all(entries.map(async entry => {
+            const bytes = new Uint8Array(buffer, entry.offset, entry.compLength);
+            if (entry.compLength >= entry.origLength) return bytes;
+
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }));
+
+        // sfnt header and table directory, followed by the 4-byte aligned tables
+        const headerLength = 12 + numTables * 16;
+        const totalLength = tables.reduce((sum, table) => sum + Math.ceil(table.length / 4) * 4, headerLength);
+        const sfnt = new Uint8Array(totalLength);
+        const view = new DataView(sfnt.buffer);
+
+        view.setUint32(0, flavor);
+        view.setUint16(4, numTables);
+
+        let offset = headerLength;
+        entries.forEach((entry, i) => {
+            const record = 12 + i * 16;
+            view.setUint32(record, entry.tag);
+            view.setUint32(record + 4, entry.checksum);
+            view.setUint32(record + 8, offset);
+            view.setUint32(record + 12, tables[i].length);
+            sfnt.set(tables[i], offset);
+            offset += Math.ceil(tables[i].length / 4) * 4;
+        });
+
+        return sfnt.buffer;
+    }
+
+    // ============================================================================
+    // TABLES
+    // ============================================================================
+
+    /**
+     * Read the table directory
+     * @returns {Object} Map of table tag to {offset, length}
+     */
+    readTableDirectory() {
+        const version = this.data.getUint32(0);
+        if (!FontParser.TRUETYPE_VERSIONS.includes(version) && version !== FontParser.SIGNATURES.OPENTYPE_CFF) {
+            throw new Error('Unknown font format');
+        }
+
+        const tables = {};
+        const numTables = this.data.getUint16(4);
+        for (let i = 0; i < numTables; i++) {
+            const record = 12 + i * 16;
+            const tag = String.fromCharCode(
+                this.data.getUint8(record), this.data.getUint8(record + 1),
+                this.data.getUint8(record + 2), this.data.getUint8(record + 3)
+            );
+            tables[tag] = {
+                offset: this.data.getUint32(record + 8),
+                length: this.data.getUint32(record + 12)
+            };
+        }
+        return tables;
+    }
+
+    /**
+     * Read font-wide metrics from head, hhea and maxp
+     */
+    readMetrics() {
+        const head = this.tables.head.offset;
+        this.unitsPerEm = this.data.getUint16(head + 18);
+        this.indexToLocFormat = this.data.getInt16(head + 50);
+
+        const hhea = this.tables.hhea.offset;
+        this.ascender = this.data.getInt16(hhea + 4);
+        this.descender = this.data.getInt16(hhea + 6);
+        this.numberOfHMetrics = this.data.getUint16(hhea + 34);
+
+        this.numGlyphs = this.data.getUint16(this.tables.maxp.offset + 4);
+    }
+
+    /**
+     * Read the best Unicode subtable of the cmap table
+     * @returns {Function} Lookup from code point to glyph index
+     */
+    readCmap() {
+        const cmap = this.tables.cmap.offset;
+        const numTables = this.data.getUint16(cmap + 2);
+
+        const subtables = [];
+        for (let i = 0; i < numTables; i++) {
+            const record = cmap + 4 + i * 8;
+            const platformId = this.data.getUint16(record);
+            const encodingId = this.data.getUint16(record + 2);
+            const offset = cmap + this.data.getUint32(record + 4);
+            subtables.push({ platformId, encodingId, offset, format: this.data.getUint16(offset) });
+        }
+
+        // Full Unicode (format 12) first, then the BMP (format 4)
+        const isUnicode = subtable => subtable.platformId === 0 ||
+            (subtable.platformId === 3 && (subtable.encodingId === 1 || subtable.encodingId === 10));
+        const fullRange = subtables.find(subtable => isUnicode(subtable) && subtable.format === 12);
+        if (fullRange) return this.readCmapFormat12(fullRange.offset);
+
+        const basic = subtables.find(subtable => isUnicode(subtable) && subtable.format === 4);
+        if (basic) return this.readCmapFormat4(basic.offset);
+
+        throw new Error('Font has no Unicode character map');
+    }
+
+    /**
+     * Read a segment mapping subtable (format 4)
+     * @param {number} offset - Subtable offset
+     * @returns {Function} Lookup from code point to glyph index
+     */
+    readCmapFormat4(offset) {
+        const segCount = this.data.getUint16(offset + 6) / 2;
+        const endCodes = offset + 14;
+        const startCodes = endCodes + segCount * 2 + 2;
+        const idDeltas = startCodes + segCount * 2;
+        const idRangeOffsets = idDeltas + segCount * 2;
+
+        return (codePoint) => {
+            if (codePoint > 0xFFFF) return 0;
+
+            for (let i = 0; i < segCount; i++) {
+                if (this.data.getUint16(endCodes + i * 2) < codePoint) continue;
+
+                const start = this.data.getUint16(startCodes + i * 2);
+                if (start > codePoint) return 0;
+
+                const delta = this.data.getUint16(idDeltas + i * 2);
+                const rangeOffsetPosition = idRangeOffsets + i * 2;
+                const rangeOffset = this.data.getUint16(rangeOffsetPosition);
+                if (rangeOffset === 0) {
+                    return (codePoint + delta) & 0xFFFF;
+                }
+
+                const glyphIndex = this.data.getUint16(rangeOffsetPosition + rangeOffset + (codePoint - start) * 2);
+                return glyphIndex === 0 ? 0 : (glyphIndex + delta) & 0xFFFF;
+            }
+            return 0;
+        };
+    }
+
+    /**
+     * Read a segmented coverage subtable (format 12)
+     * @param {number} offset - Subtable offset
+     * @returns {Function} Lookup from code point to glyph index
+     */
+    readCmapFormat12(offset) {
+        const groupCount = this.data.getUint32(offset + 12);
+
+        return (codePoint) => {
+            for (let i = 0; i < groupCount; i++) {
+                const group = offset + 16 + i * 12;
+                const start = this.data.getUint32(group);
+                const end = this.data.getUint32(group + 4);
+                if (codePoint >= start && codePoint <= end) {
+                    return this.data.getUint32(group + 8) + codePoint - start;
+                }
+            }
+            return 0;
+        };
+    }
+
+    /**
+     * Read horizontal pair kerning (kern table, format 0 subtables)
+     * @returns {Map} Map of (left << 16 | right) glyph pair to kerning in font units
+     */
+    readKerning() {
+        const pairs = new Map();
+        if (!this.tables.kern) return pairs;
+
+        const kern = this.tables.kern.offset;
+        // Apple's kern table version 1 uses a different layout
+        if (this.data.getUint16(kern) !== 0) return pairs;
+
+        const subtableCount = this.data.getUint16(kern + 2);
+        let subtable = kern + 4;
+        for (let i = 0; i < subtableCount; i++) {
+            const length = this.data.getUint16(subtable + 2);
+            const coverage = this.data.getUint16(subtable + 4);
+            const isHorizontal = (coverage & 0x1) === 1;
+
+            if (isHorizontal && (coverage >> 8) === 0) {
+                const pairCount = this.data.getUint16(subtable + 6);
+                for (let p = 0; p < pairCount; p++) {
+                    const pair = subtable + 14 + p * 6;
+                    const key = (this.data.getUint16(pair) << 16) | this.data.getUint16(pair + 2);
+                    pairs.set(key >>> 0, this.data.getInt16(pair + 4));
+                }
+            }
+            subtable += length;
+        }
+        return pairs;
+    }
+
+    // ============================================================================
+    // GLYPHS
+    // ============================================================================
+
+    /**
+     * Get the glyph index of a character
+     * @param {number} codePoint - Unicode code point
+     * @returns {number} Glyph index (0 = missing glyph)
+     */
+    getGlyphIndex(codePoint) {
+        const glyphIndex = this.cmapLookup(codePoint);
+        return glyphIndex < this.numGlyphs ? glyphIndex : 0;
+    }
+
+    /**
+     * Get the horizontal advance of a glyph
+     * @param {number} glyphIndex - Glyph index
+     * @returns {number} Advance width in font units
+     */
+    getAdvanceWidth(glyphIndex) {
+        const metricIndex = Math.min(glyphIndex, this.numberOfHMetrics - 1);
+        return this.data.getUint16(this.tables.hmtx.offset + metricIndex * 4);
+    }
+
+    /**
+     * Get the kerning between two glyphs
+     * @param {number} leftGlyph - Glyph index on the left
+     * @param {number} rightGlyph - Glyph index on the right
+     * @returns {number} Kerning in font units (0 if none)
+     */
+    getKerning(leftGlyph, rightGlyph) {
+        return this.kerningPairs.get(((leftGlyph << 16) | rightGlyph) >>> 0) || 0;
+    }
+
+    /**
+     * Get the outline of a glyph as path commands
+     *
+     * Coordinates are in font units with the y-axis pointing up.
+     *
+     * @param {number} glyphIndex - Glyph index
+     * @returns {Array<Object>} Commands {type: 'M'|'L'|'Q'|'Z', x, y, x1, y1}
+     */
+    getGlyphCommands(glyphIndex) {
+        if (!this.glyphCache.has(glyphIndex)) {
+            const contours = this.readGlyphContours(glyphIndex, 0);
+            this.glyphCache.set(glyphIndex, contours.flatMap(contour => this.contourToCommands(contour)));
+        }
+        return this.glyphCache.get(glyphIndex);
+    }
+
+    /**
+     * Get the byte range of a glyph in the glyf table
+     * @param {number} glyphIndex - Glyph index
+     * @returns {Object|null} {offset, length} or null for empty glyphs
+     */
+    getGlyphLocation(glyphIndex) {
+        if (glyphIndex < 0 || glyphIndex >= this.numGlyphs) return null;
+
+        const loca = this.tables.loca.offset;
+        let start, end;
+        if (this.indexToLocFormat === 0) {
+            start = this.data.getUint16(loca + glyphIndex * 2) * 2;
+            end = this.data.getUint16(loca + glyphIndex * 2 + 2) * 2;
+        } else {
+            start = this.data.getUint32(loca + glyphIndex * 4);
+            end = this.data.getUint32(loca + glyphIndex * 4 + 4);
+        }
+
+        if (end <= start) return null;
+        return { offset: this.tables.glyf.offset + start, length: end - start };
+    }
+
+    /**
+     * Read the contours of a glyph
+     * @param {number} glyphIndex - Glyph index
+     * @param {number} depth - Composite nesting depth
+     * @returns {Array<Array<Object>>} Contours of points {x, y, onCurve}
+     */
+    readGlyphContours(glyphIndex, depth) {
+        const location = this.getGlyphLocation(glyphIndex);
+        if (!location) return [];
+
+        const contourCount = this.data.getInt16(location.offset);
+        if (contourCount >= 0) {
+            return this.readSimpleGlyph(location.offset, contourCount);
+        }
+        if (depth >= FontParser.MAX_COMPOSITE_DEPTH) return [];
+        return this.readCompositeGlyph(location.offset, depth);
+    }
+
+    /**
+     * Read a simple glyph (contours with on- and off-curve points)
+     * @param {number} offset - Glyph offset
+     * @param {number} contourCount - Number of contours
+     * @returns {Array<Array<Object>>} Contours of points {x, y, onCurve}
+     */
+    readSimpleGlyph(offset, contourCount) {
+        if (contourCount === 0) return [];
+
+        let position = offset + 10;
+        const endPoints = [];
+        for (let i = 0; i < contourCount; i++) {
+            endPoints.push(this.data.getUint16(position));
+            position += 2;
+        }
+        const pointCount = endPoints[endPoints.length - 1] + 1;
+
+        // Skip hinting instructions
+        position += 2 + this.data.getUint16(position);
+
+        const flags = [];
+        while (flags.length < pointCount) {
+            const flag = this.data.getUint8(position++);
+            flags.push(flag);
+            if (flag & 0x08) {
+                let repeat = this.data.getUint8(position++);
+                while (repeat-- > 0) flags.push(flag);
+            }
+        }
+
+        // Coordinates are deltas: short (1 byte + sign flag), same as before or 2 bytes
+        const readCoordinates = (shortFlag, sameFlag) => {
+            const values = [];
+            let value = 0;
+            flags.slice(0, pointCount).forEach(flag => {
+                if (flag & shortFlag) {
+                    const delta = this.data.getUint8(position++);
+                    value += (flag & sameFlag) ? delta : -delta;
+                } else if (!(flag & sameFlag)) {
+                    value += this.data.getInt16(position);
+                    position += 2;
+                }
+                values.push(value);
+            });
+            return values;
+        };
+        const xs = readCoordinates(0x02, 0x10);
+        const ys = readCoordinates(0x04, 0x20);
+
+        const contours = [];
+        let start = 0;
+        endPoints.forEach(end => {
+            const contour = [];
+            for (let i = start; i <= end; i++) {
+                contour.push({ x: xs[i], y: ys[i], onCurve: (flags[i] & 0x01) === 1 });
+            }
+            contours.push(contour);
+            start = end + 1;
+        });
+        return contours;
+    }
+
+    /**
+     * Read a composite glyph (transformed references to other glyphs)
+     * @param {number} offset - Glyph offset
+     * @param {number} depth - Composite nesting depth
+     * @returns {Array<Array<Object>>} Contours of points {x, y, onCurve}
+     */
+    readCompositeGlyph(offset, depth) {
+        const FLAGS = FontParser.COMPOSITE_FLAGS;
+        const readF2Dot14 = (position) => this.data.getInt16(position) / 16384;
+
+        const contours = [];
+        let position = offset + 10;
+        let flags;
+        do {
+            flags = this.data.getUint16(position);
+            const glyphIndex = this.data.getUint16(position + 2);
+            position += 4;
+
+            let dx, dy;
+            if (flags & FLAGS.ARG_1_AND_2_ARE_WORDS) {
+                dx = this.data.getInt16(position);
+                dy = this.data.getInt16(position + 2);
+                position += 4;
+            } else {
+                dx = this.data.getInt8(position);
+                dy = this.data.getInt8(position + 1);
+                position += 2;
+            }
+            // Point matching (args are point numbers) is rare; place the component unshifted
+            if (!(flags & FLAGS.ARGS_ARE_XY_VALUES)) {
+                dx = 0;
+                dy = 0;
+            }
+
+            let a = 1, b = 0, c = 0, d = 1;
+            if (flags & FLAGS.WE_HAVE_A_SCALE) {
+                a = d = readF2Dot14(position);
+                position += 2;
+            } else if (flags & FLAGS.WE_HAVE_AN_X_AND_Y_SCALE) {
+                a = readF2Dot14(position);
+                d = readF2Dot14(position + 2);
+                position += 4;
+            } else if (flags & FLAGS.WE_HAVE_A_TWO_BY_TWO) {
+                a = readF2Dot14(position);
+                b = readF2Dot14(position + 2);
+                c = readF2Dot14(position + 4);
+                d = readF2Dot14(position + 6);
+                position += 8;
+            }
+
+            this.readGlyphContours(glyphIndex, depth + 1).forEach(contour => {
+                contours.push(contour.map(point => ({
+                    x: a * point.x + c * point.y + dx,
+                    y: b * point.x + d * point.y + dy,
+                    onCurve: point.onCurve
+                })));
+            });
+        } while (flags & FLAGS.MORE_COMPONENTS);
+
+        return contours;
+    }
+
+    /**
+     * Convert a TrueType contour into path commands
+     *
+     * Two consecutive off-curve points imply an on-curve point halfway
+     * between them.
+     *
+     * @param {Array<Object>} contour - Points {x, y, onCurve}
+     * @returns {Array<Object>} Commands {type, x, y, x1, y1}
+     */
+    contourToCommands(contour) {
+        if (contour.length === 0) return [];
+
+        const midpoint = (p, q) => ({ x: (p.x + q.x) / 2, y: (p.y + q.y) / 2, onCurve: true });
+        const first = contour[0];
+        const last = contour[contour.length - 1];
+
+        // Start at an on-curve point
+        let start, points;
+        if (first.onCurve) {
+            start = first;
+            points = contour.slice(1);
+        } else if (last.onCurve) {
+            start = last;
+            points = contour.slice(0, -1);
+        } else {
+            start = midpoint(first, last);
+            points = contour;
+        }
+
+        const commands = [{ type: 'M', x: start.x, y: start.y }];
+        let control = null;
+        [...points, start].forEach(point => {
+            if (point.onCurve) {
+                commands.push(control
+                    ? { type: 'Q', x1: control.x, y1: control.y, x: point.x, y: point.y }
+                    : { type: 'L', x: point.x, y: point.y });
+                control = null;
+            } else {
+                if (control) {
+                    const implied = midpoint(control, point);
+                    commands.push({ type: 'Q', x1: control.x, y1: control.y, x: implied.x, y: implied.y });
+                }
+                control = point;
+            }
+        });
+        commands.push({ type: 'Z' });
+
+        return commands;
+    }
+}
+
+// Export for use in other modules
+window.FontParser = FontParser;
@@ -0,0 +1,227 @@
+/**
+ * History Manager Module - Undo/Redo for Attribute Edits
+ *
+ * Command-based history for every change to shaper attributes. Each edit
+ * (modal save, clear, paste) is recorded as a single command holding the
+ * attribute snapshots of all affected elements before and after the change,
+ * so a batch edit on many selected paths can be taken back in one step.
+ *
+ * Key Features:
+ * - Single- and multi-element edits recorded as one undoable step
+ * - Snapshot commands keyed by element app-id (pixel-based values as stored)
+ * - Bounded undo stack with redo support
+ * - Persistence through MetaData so the history survives a reload
+ */
+class HistoryManager {
+    /**
+     * Initialize history manager with centralized data access
+     *
+     * The undo and redo stacks live in MetaData so they are persisted
+     * together with the element data they refer to.
+     *
+     * @param {MetaData} metaData - Centralized data management for element data and persistence
+     * @param {number} maxEntries - Maximum number of undo steps to keep (default: 100)
+     */
+    constructor(metaData, maxEntries = 100) {
+        this.metaData = metaData;
+        this.maxEntries = maxEntries;
+
+        // Callback for UI updates after any history change
+        this.onHistoryChange = null;
+    }
+
+    /**
+     * Get the undo stack (oldest command first)
+     * @returns {Array} Recorded commands that can be undone
+     */
+    get undoStack() {
+        return this.metaData.getHistoryState().undoStack;
+    }
+
+    /**
+     * Get the redo stack (most recently undone command last)
+     * @returns {Array} Undone commands that can be redone
+     */
+    get redoStack() {
+        return this.metaData.getHistoryState().redoStack;
+    }
+
+    /**
+     * Capture a snapshot of the shaper attributes of several elements
+     *
+     * @param {Array<string>} appIds - App IDs of the elements to capture
+     * @returns {Object} Map of app-id to a copy of its shaper attributes
+     */
+    captureAttributes(appIds) {
+        const snapshot = {};
+        appIds.forEach(appId => {
+            const elementData = this.metaData.getElementData(appId);
+            snapshot[appId] = { ...((elementData && elementData.shaperAttributes) || {}) };
+        });
+        return snapshot;
+    }
+
+    /**
+     * Execute an attribute change and record it as one undoable command
+     *
+     * Captures the attributes of the affected elements before and after the
+     * change. Commands that don't change anything are not recorded.
+     *
+     * @param {string} label - Human-readable description (e.g., 'Edit 80 elements')
+     * @param {Array<string>} appIds - App IDs of all elements the change may touch
+     * @param {Function} applyChanges - Function performing the actual change
+     * @returns {Object|null} Recorded command or null if nothing changed
+     */
+    execute(label, appIds, applyChanges) {
+        const before = this.captureAttributes(appIds);
+        applyChanges();
+        const after = this.captureAttributes(appIds);
+
+        if (!this.hasChanges(before, after)) {
+            return null;
+        }
+
+        const command = {
+            label: label,
+            before: before,
+            after: after,
+            timestamp: Date.now()
+        };
+
+        const undoStack = this.undoStack;
+        undoStack.push(command);
+        if (undoStack.length > this.maxEntries) {
+            undoStack.splice(0, undoStack.length - this.maxEntries);
+        }
+
+        // A new change invalidates everything that was undone before
+        this.redoStack.length = 0;
+
+        this.commit();
+        return command;
+    }
+
+    /**
+     * Undo the most recent command
+     * @returns {Object|null} Undone command or null if there is nothing to undo
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.applySnapshot(command.before);
+        this.redoStack.push(command);
+
+        this.commit();
+        return command;
+    }
+
+    /**
+     * Redo the most recently undone command
+     * @returns {Object|null} Redone command or null if there is nothing to redo
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.applySnapshot(command.after);
+        this.undoStack.push(command);
+
+        this.commit();
+        return command;
+    }
+
+    /**
+     * Write an attribute snapshot back into the element data map
+     *
+     * Elements that no longer exist in the data map are skipped.
+     *
+     * @param {Object} snapshot - Map of app-id to shaper attributes
+     */
+    applySnapshot(snapshot) {
+        Object.entries(snapshot).forEach(([appId, attributes]) => {
+            const elementData = this.metaData.getElementData(appId);
+            if (elementData) {
+                elementData.shaperAttributes = { ...attributes };
+            }
+        });
+    }
+
+    /**
+     * Compare two snapshots for any attribute difference
+     *
+     * @param {Object} before - Snapshot before the change
+     * @param {Object} after - Snapshot after the change
+     * @returns {boolean} True if at least one attribute differs
+     */
+    hasChanges(before, after) {
+        return Object.keys(after).some(appId => {
+            const a = before[appId] || {};
+            const b = after[appId] || {};
+            const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+            return Array.from(keys).some(key => a[key] !== b[key]);
+        });
+    }
+
+    /**
+     * Check whether there is a command to undo
+     * @returns {boolean} True if undo is possible
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether there is a command to redo
+     * @returns {boolean} True if redo is possible
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Get label of the command that would be undone next
+     * @returns {string|null} Command label or null
+     */
+    getUndoLabel() {
+        const undoStack = this.undoStack;
+        return undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null;
+    }
+
+    /**
+     * Get label of the command that would be redone next
+     * @returns {string|null} Command label or null
+     */
+    getRedoLabel() {
+        const redoStack = this.redoStack;
+        return redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null;
+    }
+
+    /**
+     * Discard the complete history (e.g., when a new file is loaded)
+     */
+    clear() {
+        this.metaData.clearHistory();
+        this.notifyHistoryChange();
+    }
+
+    /**
+     * Persist history together with element data and notify listeners
+     */
+    commit() {
+        this.metaData.setHistoryState(this.undoStack, this.redoStack);
+        this.notifyHistoryChange();
+    }
+
+    /**
+     * Notify dependent UI about history changes
+     */
+    notifyHistoryChange() {
+        if (this.onHistoryChange) {
+            this.onHistoryChange();
+        }
+    }
+}
+
+// Export for use in other modules
+window.HistoryManager = HistoryManager;
@@ -0,0 +1,344 @@
+/**
+ * Layer Tree Panel Module - Group Hierarchy of the Document
+ *
+ * Side panel mirroring the layers and groups of the displayed SVG with
+ * their Inkscape/Illustrator names. Groups can carry shaper attributes that
+ * their elements inherit unless they set their own value.
+ *
+ * Key Features:
+ * - Collapsible tree of groups and elements (inkscape:label, data-name or id)
+ * - Click a group to select all of its elements, Shift+click adds to the selection
+ * - ✎ on a group opens Cut Planning for the group's own attributes
+ * - Elements show whether they inherit group values or override them
+ */
+class LayerTreePanel {
+    /**
+     * Initialize layer tree panel with system dependencies
+     *
+     * @param {ElementManager} elementManager - Selection, element data and inheritance
+     * @param {MeasurementSystem} measurementSystem - Formatting of attribute values
+     */
+    constructor(elementManager, measurementSystem) {
+        this.elementManager = elementManager;
+        this.dryUtils = new DRYUtilities(measurementSystem);
+
+        this.svgElement = null; // Displayed SVG whose hierarchy is shown
+        this.collapsedGroups = new Set(); // Group ids of collapsed tree nodes
+
+        // Callback opening the attribute dialog for a group (receives the group element)
+        this.onEditGroup = null;
+    }
+
+    /** Short attribute names for summaries */
+    static ATTRIBUTE_LABELS = {
+        'shaper:cutType': 'cut type',
+        'shaper:cutDepth': 'depth',
+        'shaper:cutOffset': 'offset',
+        'shaper:toolDia': 'tool'
+    };
+
+    /** Containers whose content is not drawn directly */
+    static HIDDEN_CONTAINERS = ['defs', 'clippath', 'mask', 'symbol', 'pattern', 'marker'];
+
+    /** Nesting indentation per level in pixels */
+    static INDENT_PX = 14;
+
+    /**
+     * Initialize panel DOM elements and event handlers
+     * Must be called after DOM is fully loaded.
+     */
+    initialize() {
+        DRYUtilities.bindElements({
+            panel: 'layerTreePanel',
+            treeList: 'layerTreeList',
+            summaryText: 'layerTreeSummary'
+        }, this);
+
+        document.getElementById('layerTreeClose').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Attach the panel to a newly displayed SVG
+     * @param {Element|null} svgElement - Displayed SVG (display clone in the DOM)
+     */
+    attach(svgElement) {
+        this.svgElement = svgElement;
+        this.collapsedGroups.clear();
+        this.refresh();
+    }
+
+    /**
+     * Open the panel
+     */
+    open() {
+        this.panel.style.display = 'flex';
+        this.refresh();
+    }
+
+    /**
+     * Close the panel
+     */
+    close() {
+        this.panel.style.display = 'none';
+    }
+
+    /**
+     * Open or close the panel
+     */
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Check whether the panel is currently shown
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return !!this.panel && this.panel.style.display !== 'none';
+    }
+
+    /**
+     * Render the tree again if the panel is open (e.g., after attribute changes)
+     */
+    refresh() {
+        if (!this.isOpen()) return;
+
+        this.treeList.innerHTML = '';
+        if (!this.svgElement) {
+            this.summaryText.textContent = '';
+            return;
+        }
+
+        const groupCount = this.svgElement.querySelectorAll('[data-group-id]').length;
+        this.summaryText.textContent = `${groupCount} group${groupCount === 1 ? '' : 's'}`;
+        this.renderChildren(this.svgElement, 0);
+    }
+
+    // ============================================================================
+    // TREE STRUCTURE
+    // ============================================================================
+
+    /**
+     * Get the tree nodes directly below an element
+     *
+     * Groups and drawable elements become nodes; other containers (links,
+     * switches, nested SVGs) are passed through, hidden containers skipped.
+     *
+     * @param {Element} parent - SVG root or group
+     * @returns {Array<Element>} Groups and elements in document order
+     */
+    getTreeChildren(parent) {
+        const nodes = [];
+        Array.from(parent.children).forEach(child => {
+            if (LayerTreePanel.HIDDEN_CONTAINERS.includes(child.tagName.toLowerCase())) return;
+
+            if (child.dataset.groupId || child.dataset.appId) {
+                nodes.push(child);
+            } else {
+                nodes.push(...this.getTreeChildren(child));
+            }
+        });
+        return nodes;
+    }
+
+    /**
+     * Get all drawable elements inside a group
+     * @param {Element} group - Group element
+     * @returns {Array<Element>} Elements with app-id outside hidden containers
+     */
+    getGroupElements(group) {
+        return Array.from(group.querySelectorAll('[data-app-id]'))
+            .filter(element => !element.closest(LayerTreePanel.HIDDEN_CONTAINERS.join(', ')));
+    }
+
+    // ============================================================================
+    // RENDERING
+    // ============================================================================
+
+    /**
+     * Render the nodes below an element
+     * @param {Element} parent - SVG root or group
+     * @param {number} depth - Nesting level of the children
+     */
+    renderChildren(parent, depth) {
+        this.getTreeChildren(parent).forEach(node => {
+            if (node.dataset.groupId) {
+                this.treeList.appendChild(this.createGroupRow(node, depth));
+                if (!this.collapsedGroups.has(node.dataset.groupId)) {
+                    this.renderChildren(node, depth + 1);
+                }
+            } else {
+                this.treeList.appendChild(this.createElementRow(node, depth));
+            }
+        });
+    }
+
+    /**
+     * Create the row of a group
+     * @param {Element} group - Group element
+     * @param {number} depth - Nesting level
+     * @returns {Element} Tree row
+     */
+    createGroupRow(group, depth) {
+        const groupId = group.dataset.groupId;
+        const collapsed = this.collapsedGroups.has(groupId);
+        const elements = this.getGroupElements(group);
+        const row = this.createRow(depth, 'layer-tree-group');
+        row.title = 'Select all elements of the group (Shift: add to selection)';
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'layer-tree-toggle';
+        toggle.textContent = collapsed ? '▸' : '▾';
+        toggle.title = collapsed ? 'Expand' : 'Collapse';
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (collapsed) {
+                this.collapsedGroups.delete(groupId);
+            } else {
+                this.collapsedGroups.add(groupId);
+            }
+            this.refresh();
+        });
+        row.appendChild(toggle);
+
+        row.appendChild(this.createText('layer-tree-name', this.elementManager.getNodeName(group)));
+        row.appendChild(this.createText('layer-tree-count', String(elements.length)));
+
+        const ownAttributes = this.elementManager.getElementDimensions(group).shaperAttributes || {};
+        row.appendChild(this.createText('layer-tree-attributes', this.formatAttributes(ownAttributes)));
+
+        const edit = document.createElement('button');
+        edit.type = 'button';
+        edit.className = 'layer-tree-edit';
+        edit.textContent = '✎';
+        edit.title = 'Edit group attributes (inherited by its elements)';
+        edit.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onEditGroup) this.onEditGroup(group);
+        });
+        row.appendChild(edit);
+
+        row.addEventListener('click', (e) => this.selectElements(elements, e.shiftKey));
+        return row;
+    }
+
+    /**
+     * Create the row of a drawable element
+     * @param {Element} element - SVG element with app-id
+     * @param {number} depth - Nesting level
+     * @returns {Element} Tree row
+     */
+    createElementRow(element, depth) {
+        const row = this.createRow(depth, 'layer-tree-element');
+        if (this.elementManager.getSelectedPaths().has(element)) {
+            row.classList.add('active');
+        }
+
+        row.appendChild(this.createText('layer-tree-name', this.elementManager.getNodeName(element)));
+        row.appendChild(this.createText('layer-tree-attributes',
+            this.formatAttributes(this.elementManager.getEffectiveAttributes(element))));
+
+        const inheritance = Object.entries(this.elementManager.getAttributeInheritance(element));
+        if (inheritance.length > 0) {
+            const overrides = inheritance.some(([, entry]) => entry.state === 'overridden');
+            const badge = this.createText(`layer-tree-state ${overrides ? 'overridden' : 'inherited'}`,
+                overrides ? 'overrides' : 'inherits');
+            badge.title = inheritance.map(([name, entry]) => {
+                const label = LayerTreePanel.ATTRIBUTE_LABELS[name] || name;
+                const source = this.elementManager.getNodeName(entry.group);
+                return entry.state === 'overridden'
+                    ? `${label}: own value, overrides ${source}`
+                    : `${label}: ${this.formatValue(name, entry.value)} from ${source}`;
+            }).join('\n');
+            row.appendChild(badge);
+        }
+
+        row.title = this.elementManager.getElementDescription(element);
+        row.addEventListener('click', (e) => this.selectElements([element], e.shiftKey));
+        return row;
+    }
+
+    /**
+     * Create an indented tree row
+     * @param {number} depth - Nesting level
+     * @param {string} className - Row type class
+     * @returns {Element} Row element
+     */
+    createRow(depth, className) {
+        const row = document.createElement('div');
+        row.className = `layer-tree-row ${className}`;
+        row.style.paddingLeft = `${8 + depth * LayerTreePanel.INDENT_PX}px`;
+        return row;
+    }
+
+    /**
+     * Create a text span
+     * @param {string} className - CSS class
+     * @param {string} text - Text content
+     * @returns {Element} Span element
+     */
+    createText(className, text) {
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = text;
+        return span;
+    }
+
+    /**
+     * Describe shaper attributes in one line
+     * @param {Object} attributes - Shaper attributes (element data format)
+     * @returns {string} Summary (e.g., 'pocket · depth 6.0mm') or '' if none are set
+     */
+    formatAttributes(attributes) {
+        return ShaperConstants.ALL_ATTRIBUTES
+            .map(attr => `shaper:${attr}`)
+            .filter(name => attributes[name] !== undefined && attributes[name] !== '')
+            .map(name => name === 'shaper:cutType'
+                ? attributes[name]
+                : `${LayerTreePanel.ATTRIBUTE_LABELS[name]} ${this.formatValue(name, attributes[name])}`)
+            .join(' · ');
+    }
+
+    /**
+     * Format a single attribute value for display
+     * @param {string} name - Attribute name (e.g., 'shaper:cutDepth')
+     * @param {string} value - Stored value (pixels for measurements)
+     * @returns {string} Display value with unit
+     */
+    formatValue(name, value) {
+        if (name === 'shaper:cutType') return value;
+        const pixels = parseFloat(value);
+        if (isNaN(pixels)) return value;
+        return this.dryUtils.formatPixelsToDisplay(pixels);
+    }
+
+    // ============================================================================
+    // SELECTION
+    // ============================================================================
+
+    /**
+     * Select elements from the tree
+     * @param {Array<Element>} elements - Elements to select
+     * @param {boolean} addToSelection - Keep the current selection
+     */
+    selectElements(elements, addToSelection) {
+        if (!addToSelection) {
+            this.elementManager.clearSelection();
+        }
+        const selectedPaths = this.elementManager.getSelectedPaths();
+        elements.forEach(element => {
+            if (!selectedPaths.has(element)) {
+                this.elementManager.selectPath(element, true); // true = multiselect mode
+            }
+        });
+        this.refresh();
+    }
+}
+
+// Export for use in other modules
+window.LayerTreePanel = LayerTreePanel;
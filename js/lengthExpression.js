@@ -0,0 +1,232 @@
+/**
+ * Length Expression Module - Arithmetic in Measurement Inputs
+ *
+ * Evaluates what users type into length inputs, from a single value to
+ * arithmetic like `3/4in - 1/16in`, `18mm + 0.5`, `2*3.175` or `6mm/2`.
+ * Lengths with a unit are converted to the unit of the input; plain numbers
+ * are taken in that unit (or as factors and divisors).
+ *
+ * Key Features:
+ * - Operators + - * / with precedence, unary minus and parentheses
+ * - Decimals (comma or period), fractions (3/16) and mixed numbers (1 3/16, 1-3/16)
+ * - Unit suffixes mm, cm, in ("), thou (mil) and px on any number
+ * - Checks that the result is a length (no length × length or number / length)
+ *
+ * `1-3/16` is the mixed number 1 3/16; write `1 - 3/16` to subtract.
+ * Errors are thrown as Error with a message meant for the input.
+ */
+class LengthExpression {
+    /**
+     * Initialize length expression with measurement dependencies
+     *
+     * @param {MeasurementSystem} measurementSystem - Unit conversion
+     */
+    constructor(measurementSystem) {
+        this.measurementSystem = measurementSystem;
+    }
+
+    /** Tokens: number (decimal, fraction or mixed number) with optional unit, operator */
+    static TOKEN_PATTERN = /\s*(?:(\d+(?:(?:\s+|-)\d+)?\/\d+|\d+(?:[.,]\d+)?|[.,]\d+)\s*([a-zA-Z"]*)|([-+*/()]))/y;
+
+    /** Mixed number or fraction inside a number token */
+    static FRACTION_PATTERN = /^(?:(\d+)(?:\s+|-))?(\d+)\/(\d+)$/;
+
+    // ============================================================================
+    // EVALUATION
+    // ============================================================================
+
+    /**
+     * Evaluate an expression to a length
+     *
+     * @param {string} expression - Input text (e.g., '3/4in - 1/16in')
+     * @param {string|null} targetUnit - Unit of the result and of plain numbers,
+     *     null for plain numbers without units (e.g., zoom percentages)
+     * @returns {number} Result in the target unit
+     * @throws {Error} If the expression is empty or invalid
+     */
+    evaluate(expression, targetUnit) {
+        const tokens = this.tokenize(expression);
+        if (tokens.length === 0) {
+            throw new Error('Enter a value');
+        }
+
+        this.tokens = tokens;
+        this.position = 0;
+        this.targetUnit = targetUnit;
+        const result = this.parseSum();
+        if (this.position < this.tokens.length) {
+            throw new Error(`Unexpected "${this.tokens[this.position].text}"`);
+        }
+        if (!isFinite(result.value)) {
+            throw new Error('The result is not a number');
+        }
+        return result.value;
+    }
+
+    /**
+     * Split an expression into tokens
+     * @param {string} expression - Input text
+     * @returns {Array<Object>} Tokens {type: 'number'|'operator', text, value, unit}
+     * @throws {Error} On characters that start no token or unknown units
+     */
+    tokenize(expression) {
+        const tokens = [];
+        const pattern = LengthExpression.TOKEN_PATTERN;
+        const text = (expression || '').toString().trim();
+        pattern.lastIndex = 0;
+
+        while (pattern.lastIndex < text.length) {
+            const start = pattern.lastIndex;
+            const match = pattern.exec(text);
+            if (!match) {
+                throw new Error(`Unexpected "${text.slice(start).trim().charAt(0)}"`);
+            }
+
+            const [raw, number, unitText, operator] = match;
+            if (number !== undefined) {
+                const unit = unitText ? MeasurementSystem.UNIT_ALIASES[unitText.toLowerCase()] : null;
+                if (unitText && !unit) {
+                    throw new Error(`Unknown unit "${unitText}"`);
+                }
+                tokens.push({ type: 'number', text: raw.trim(), value: this.parseNumber(number), unit: unit });
+            } else {
+                tokens.push({ type: 'operator', text: operator });
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Get the value of a number token
+     * @param {string} text - Decimal, fraction or mixed number
+     * @returns {number} Value
+     * @throws {Error} On a zero denominator
+     */
+    parseNumber(text) {
+        const fraction = text.match(LengthExpression.FRACTION_PATTERN);
+        if (!fraction) {
+            return parseFloat(text.replace(',', '.'));
+        }
+
+        const [, whole, numerator, denominator] = fraction;
+        if (parseInt(denominator, 10) === 0) {
+            throw new Error(`Division by zero in "${text}"`);
+        }
+        return (whole ? parseInt(whole, 10) : 0) + parseInt(numerator, 10) / parseInt(denominator, 10);
+    }
+
+    /**
+     * Check whether the next token is the given operator and consume it
+     * @param {string} operator - Operator text
+     * @returns {boolean} True if consumed
+     */
+    accept(operator) {
+        const token = this.tokens[this.position];
+        if (token && token.type === 'operator' && token.text === operator) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * sum := product (('+' | '-') product)*
+     * @returns {Object} Value {value, isLength}
+     */
+    parseSum() {
+        let result = this.parseProduct();
+        while (true) {
+            if (this.accept('+')) {
+                const operand = this.parseProduct();
+                result = { value: result.value + operand.value, isLength: result.isLength || operand.isLength };
+            } else if (this.accept('-')) {
+                const operand = this.parseProduct();
+                result = { value: result.value - operand.value, isLength: result.isLength || operand.isLength };
+            } else {
+                return result;
+            }
+        }
+    }
+
+    /**
+     * product := unary (('*' | '/') unary)*
+     * @returns {Object} Value {value, isLength}
+     */
+    parseProduct() {
+        let result = this.parseUnary();
+        while (true) {
+            if (this.accept('*')) {
+                const operand = this.parseUnary();
+                if (result.isLength && operand.isLength) {
+                    throw new Error('Can\'t multiply two lengths');
+                }
+                result = { value: result.value * operand.value, isLength: result.isLength || operand.isLength };
+            } else if (this.accept('/')) {
+                const operand = this.parseUnary();
+                if (operand.value === 0) {
+                    throw new Error('Division by zero');
+                }
+                if (operand.isLength && !result.isLength) {
+                    throw new Error('Can\'t divide by a length');
+                }
+                // Length / length is a plain ratio
+                result = { value: result.value / operand.value, isLength: result.isLength && !operand.isLength };
+            } else {
+                return result;
+            }
+        }
+    }
+
+    /**
+     * unary := ('-' | '+') unary | '(' sum ')' | number
+     * @returns {Object} Value {value, isLength}
+     */
+    parseUnary() {
+        if (this.accept('-')) {
+            const operand = this.parseUnary();
+            return { value: -operand.value, isLength: operand.isLength };
+        }
+        if (this.accept('+')) {
+            return this.parseUnary();
+        }
+        if (this.accept('(')) {
+            const result = this.parseSum();
+            if (!this.accept(')')) {
+                throw new Error('Missing ")"');
+            }
+            return result;
+        }
+
+        const token = this.tokens[this.position];
+        if (!token) {
+            throw new Error('Expression ends too early');
+        }
+        if (token.type !== 'number') {
+            throw new Error(`Expected a number instead of "${token.text}"`);
+        }
+        this.position++;
+        return this.toValue(token);
+    }
+
+    /**
+     * Convert a number token to the target unit
+     * @param {Object} token - Number token
+     * @returns {Object} Value {value, isLength}
+     * @throws {Error} On units where plain numbers are expected
+     */
+    toValue(token) {
+        if (!token.unit) {
+            return { value: token.value, isLength: false };
+        }
+        if (!this.targetUnit) {
+            throw new Error(`Enter a number without unit instead of "${token.text}"`);
+        }
+        return {
+            value: this.measurementSystem.convertBetweenUnits(token.value, token.unit, this.targetUnit),
+            isLength: true
+        };
+    }
+}
+
+// Export for use in other modules
+window.LengthExpression = LengthExpression;
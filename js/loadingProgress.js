@@ -0,0 +1,108 @@
+/**
+ * Loading Progress Module - Progress Bar for File Analysis
+ *
+ * Small floating panel shown while a loading file is analyzed in the
+ * background. It appears only if the analysis takes noticeable time, so
+ * small files load without a flash.
+ *
+ * Key Features:
+ * - Bar and element count (e.g., 1,250 / 5,000 elements)
+ * - Cancel button (and Escape) stopping the analysis
+ * - Delayed appearance for short analyses
+ */
+class LoadingProgress {
+    /**
+     * Initialize loading progress panel
+     */
+    constructor() {
+        this.showTimeout = null;
+
+        // Callback invoked when the user cancels
+        this.onCancel = null;
+
+        this.handleKeyDown = (event) => {
+            if (event.key === 'Escape' && this.isVisible()) {
+                event.preventDefault();
+                this.cancel();
+            }
+        };
+    }
+
+    /** Delay before the panel appears in milliseconds */
+    static SHOW_DELAY = 300;
+
+    /**
+     * Initialize panel DOM elements and event handlers
+     * Must be called after DOM is fully loaded.
+     */
+    initialize() {
+        DRYUtilities.bindElements({
+            panel: 'loadingProgress',
+            titleText: 'loadingProgressTitle',
+            countText: 'loadingProgressCount',
+            bar: 'loadingProgressBar'
+        }, this);
+
+        document.getElementById('loadingProgressCancel').addEventListener('click', () => this.cancel());
+        document.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Start showing progress (the panel appears after SHOW_DELAY)
+     * @param {string} title - What is in progress (e.g., 'Analyzing part.svg')
+     */
+    start(title) {
+        this.stop();
+        this.titleText.textContent = title;
+        this.update(0, 0);
+        this.showTimeout = setTimeout(() => {
+            this.showTimeout = null;
+            this.panel.style.display = 'flex';
+        }, LoadingProgress.SHOW_DELAY);
+    }
+
+    /**
+     * Update bar and count
+     * @param {number} done - Elements analyzed
+     * @param {number} total - Elements in the file
+     */
+    update(done, total) {
+        const ratio = total > 0 ? done / total : 0;
+        this.bar.style.width = `${Math.round(ratio * 100)}%`;
+        this.countText.textContent = total > 0
+            ? `${done.toLocaleString()} / ${total.toLocaleString()} elements`
+            : '';
+    }
+
+    /**
+     * Hide the panel (or keep it from appearing)
+     */
+    stop() {
+        if (this.showTimeout) {
+            clearTimeout(this.showTimeout);
+            this.showTimeout = null;
+        }
+        this.panel.style.display = 'none';
+    }
+
+    /**
+     * Check whether the panel is shown
+     * @returns {boolean} True if visible
+     */
+    isVisible() {
+        return this.panel.style.display !== 'none';
+    }
+
+    /**
+     * Cancel the work in progress
+     */
+    cancel() {
+        this.stop();
+        if (this.onCancel) {
+            this.onCancel();
+        }
+    }
+}
+
+// Export for use in other modules
+window.LoadingProgress = LoadingProgress;
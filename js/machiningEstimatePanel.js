@@ -0,0 +1,220 @@
+/**
+ * Machining Estimate Panel Module - Job Time at a Glance
+ *
+ * Side panel with the estimate of the MachiningEstimator: passes, cut
+ * length and cutting time per element, per tool and for the whole job.
+ * The element list follows the selection (all cuts while nothing is
+ * selected), and the estimate is updated after attribute, tool library and
+ * unit changes.
+ *
+ * Key Features:
+ * - Job total in the panel header
+ * - Selection total and one row per cut element
+ * - Job totals per tool
+ * - Note about cuts without cut depth (not counted)
+ */
+class MachiningEstimatePanel {
+    /**
+     * Initialize machining estimate panel with system dependencies
+     *
+     * @param {MachiningEstimator} machiningEstimator - Estimates
+     * @param {ElementManager} elementManager - Selection and element descriptions
+     * @param {MeasurementSystem} measurementSystem - Length formatting
+     */
+    constructor(machiningEstimator, elementManager, measurementSystem) {
+        this.machiningEstimator = machiningEstimator;
+        this.elementManager = elementManager;
+        this.dryUtils = new DRYUtilities(measurementSystem);
+
+        this.svgElement = null; // Displayed SVG that is estimated
+        this.refreshPending = false;
+    }
+
+    /**
+     * Initialize panel DOM elements and event handlers
+     * Must be called after DOM is fully loaded.
+     */
+    initialize() {
+        DRYUtilities.bindElements({
+            panel: 'machiningEstimatePanel',
+            estimateList: 'machiningEstimateList',
+            summaryText: 'machiningEstimateSummary'
+        }, this);
+
+        document.getElementById('machiningEstimateClose').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Attach the panel to a newly displayed SVG
+     * @param {Element|null} svgElement - Displayed SVG (display clone in the DOM)
+     */
+    attach(svgElement) {
+        this.svgElement = svgElement;
+        this.refresh();
+    }
+
+    /**
+     * Open the panel
+     */
+    open() {
+        this.panel.style.display = 'flex';
+        this.refresh();
+    }
+
+    /**
+     * Close the panel
+     */
+    close() {
+        this.panel.style.display = 'none';
+    }
+
+    /**
+     * Open the panel if closed, close it if open
+     */
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Check whether the panel is currently shown
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return !!this.panel && this.panel.style.display !== 'none';
+    }
+
+    /**
+     * Refresh once before the next frame
+     *
+     * Selection changes arrive once per element (e.g., for a marquee
+     * selection), so they are collected into one update.
+     */
+    scheduleRefresh() {
+        if (!this.isOpen() || this.refreshPending) return;
+
+        this.refreshPending = true;
+        requestAnimationFrame(() => {
+            this.refreshPending = false;
+            this.refresh();
+        });
+    }
+
+    /**
+     * Estimate again and render (only while open)
+     */
+    refresh() {
+        if (!this.isOpen()) return;
+
+        this.estimateList.innerHTML = '';
+        if (!this.svgElement) {
+            this.summaryText.textContent = 'No file loaded';
+            return;
+        }
+
+        const elements = Array.from(this.svgElement.querySelectorAll('[data-app-id]'));
+        const job = this.machiningEstimator.estimate(elements);
+        this.summaryText.textContent = job.total.count > 0
+            ? `Job ${this.machiningEstimator.formatDuration(job.total.minutes)}`
+            : 'No cuts';
+
+        const selected = elements.filter(element => this.elementManager.getSelectedPaths().has(element));
+        if (selected.length > 0) {
+            this.renderElements(`Selection (${selected.length})`, this.machiningEstimator.estimate(selected), true);
+        } else {
+            this.renderElements('All Cuts', job, false);
+        }
+
+        if (job.tools.length > 0) {
+            this.addGroupTitle('Per Tool');
+            job.tools.forEach(tool => this.addRow(tool.label, this.formatTotals(tool)));
+        }
+
+        this.addGroupTitle('Job');
+        this.addRow(`${job.total.count} cut${job.total.count === 1 ? '' : 's'}`, this.formatTotals(job.total));
+        if (job.missingDepth > 0) {
+            this.addRow(`${job.missingDepth} without cut depth`, 'Not counted, set a cut depth to estimate', 'warning');
+        }
+    }
+
+    /**
+     * Render the element rows of an estimate
+     * @param {string} title - Group title
+     * @param {Object} estimate - Estimate from MachiningEstimator.estimate()
+     * @param {boolean} showTotal - Add a total row before the elements
+     */
+    renderElements(title, estimate, showTotal) {
+        this.addGroupTitle(`${title} – ${this.machiningEstimator.formatDuration(estimate.total.minutes)}`);
+        if (showTotal) {
+            this.addRow(`${estimate.total.count} cut${estimate.total.count === 1 ? '' : 's'}`, this.formatTotals(estimate.total));
+        }
+        if (estimate.items.length === 0) {
+            this.addRow('No cuts', 'Elements need a cut type other than guide');
+        }
+
+        estimate.items.forEach(item => {
+            const description = this.elementManager.getElementDescription(item.element);
+            if (item.passes === 0) {
+                this.addRow(description, `${item.cutType} · no cut depth`, 'warning');
+                return;
+            }
+            this.addRow(description, `${item.cutType} · ${item.tool.label} · ${this.formatTotals(item)}`);
+        });
+    }
+
+    /**
+     * Format passes, cut length and time
+     * @param {Object} totals - Element estimate or totals {passes, cutLengthPx, minutes}
+     * @returns {string} Display text (e.g., '3 passes · 1250mm · 1 min 3 s')
+     */
+    formatTotals(totals) {
+        return [
+            `${totals.passes} pass${totals.passes === 1 ? '' : 'es'}`,
+            this.dryUtils.formatPixelsToDisplay(totals.cutLengthPx),
+            this.machiningEstimator.formatDuration(totals.minutes)
+        ].join(' · ');
+    }
+
+    /**
+     * Append a group title
+     * @param {string} text - Title
+     */
+    addGroupTitle(text) {
+        const title = document.createElement('div');
+        title.className = 'design-rule-group';
+        title.textContent = text;
+        this.estimateList.appendChild(title);
+    }
+
+    /**
+     * Append a row with a name and details
+     * @param {string} name - Row name
+     * @param {string} details - Details
+     * @param {string|null} modifier - Extra class suffix (e.g., 'warning')
+     */
+    addRow(name, details, modifier = null) {
+        const row = document.createElement('div');
+        row.className = 'design-rule-item machining-estimate-item';
+        if (modifier) {
+            row.classList.add(`machining-estimate-${modifier}`);
+        }
+
+        const nameText = document.createElement('span');
+        nameText.className = 'design-rule-element';
+        nameText.textContent = name;
+
+        const detailText = document.createElement('span');
+        detailText.className = 'design-rule-message';
+        detailText.textContent = details;
+
+        row.appendChild(nameText);
+        row.appendChild(detailText);
+        this.estimateList.appendChild(row);
+    }
+}
+
+// Export for use in other modules
+window.MachiningEstimatePanel = MachiningEstimatePanel;
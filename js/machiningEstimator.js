@@ -0,0 +1,227 @@
+/**
+ * Machining Estimator Module - Passes and Cutting Time
+ *
+ * Estimates how long the Origin cuts each element from its path length
+ * (ShapeMetrics), cut depth and the machining settings of its tool in the
+ * tool library: depth per pass, feed rate and pocket step-over. Tools
+ * without settings use ShaperConstants.MACHINING_DEFAULTS.
+ *
+ * Key Features:
+ * - Passes from cut depth and depth per pass
+ * - Profile cuts along the tool center line (outline offset by radius and cut offset)
+ * - Pockets from area and step-over plus one pass along the wall
+ * - Totals per tool and for any set of elements (job or selection)
+ *
+ * Only the cutting moves are counted, not plunges, retracts or the time
+ * moving the Origin between cuts. Offsets are exact for convex outlines.
+ */
+class MachiningEstimator {
+    /**
+     * Initialize machining estimator with system dependencies
+     *
+     * @param {MeasurementSystem} measurementSystem - Unit conversion and formatting
+     * @param {ElementManager} elementManager - Effective attributes and shape metrics
+     * @param {ToolLibrary} toolLibrary - Machining settings per tool
+     */
+    constructor(measurementSystem, elementManager, toolLibrary) {
+        this.measurementSystem = measurementSystem;
+        this.dryUtils = new DRYUtilities(measurementSystem);
+        this.elementManager = elementManager;
+        this.toolLibrary = toolLibrary;
+    }
+
+    /** Cut types the Origin cuts (guides are only drawn) */
+    static CUT_TYPES = ['online', 'inside', 'outside', 'pocket'];
+
+    /** Depth tolerance so depths equal to whole passes need no extra pass */
+    static PASS_TOLERANCE = 1e-6;
+
+    // ============================================================================
+    // ESTIMATION
+    // ============================================================================
+
+    /**
+     * Estimate a set of elements
+     *
+     * @param {Iterable<Element>} elements - Displayed SVG elements with app-id
+     * @returns {Object} Estimate {items, tools, total, missingDepth}: per-element estimates,
+     *     totals per tool and overall ({count, passes, cutLengthPx, minutes}) and the
+     *     number of cuts without cut depth (not counted in the totals)
+     */
+    estimate(elements) {
+        const items = [];
+        Array.from(elements).forEach(element => {
+            const item = this.estimateElement(element);
+            if (item) {
+                items.push(item);
+            }
+        });
+
+        const tools = new Map();
+        items.forEach(item => {
+            if (!tools.has(item.tool.key)) {
+                tools.set(item.tool.key, { key: item.tool.key, label: item.tool.label, items: [] });
+            }
+            tools.get(item.tool.key).items.push(item);
+        });
+
+        return {
+            items,
+            tools: Array.from(tools.values()).map(({ key, label, items: toolItems }) => ({ key, label, ...this.sum(toolItems) })),
+            total: this.sum(items),
+            missingDepth: items.filter(item => item.passes === 0).length
+        };
+    }
+
+    /**
+     * Estimate a single element
+     *
+     * @param {Element} element - Displayed SVG element with app-id
+     * @returns {Object|null} Estimate {element, cutType, tool, depthPx, passes, passLengthPx,
+     *     cutLengthPx, minutes} (passes 0 without cut depth), null if the element is not cut
+     */
+    estimateElement(element) {
+        const shaperAttrs = this.elementManager.getEffectiveAttributes(element);
+        const cutType = shaperAttrs['shaper:cutType'];
+        if (!MachiningEstimator.CUT_TYPES.includes(cutType)) return null;
+
+        const metrics = this.elementManager.getElementMetrics(element);
+        if (!metrics) return null;
+
+        const tool = this.getToolSettings(shaperAttrs);
+        const offsetPx = parseFloat(shaperAttrs['shaper:cutOffset']) || 0;
+        const passLengthPx = this.getPassLength(cutType, metrics, tool, offsetPx);
+
+        const depthPx = parseFloat(shaperAttrs['shaper:cutDepth']);
+        const passes = depthPx > 0
+            ? Math.max(1, Math.ceil(depthPx / tool.depthPerPassPx - MachiningEstimator.PASS_TOLERANCE))
+            : 0;
+        const cutLengthPx = passes * passLengthPx;
+
+        return {
+            element,
+            cutType,
+            tool,
+            depthPx: depthPx > 0 ? depthPx : null,
+            passes,
+            passLengthPx,
+            cutLengthPx,
+            minutes: cutLengthPx / tool.feedRatePx
+        };
+    }
+
+    /**
+     * Get the length the tool center travels in one pass
+     *
+     * @param {string} cutType - Cut type
+     * @param {Object} metrics - Shape metrics {lengthPx, perimeterPx, areaPx}
+     * @param {Object} tool - Tool settings from getToolSettings()
+     * @param {number} offsetPx - Cut offset in pixels
+     * @returns {number} Pass length in pixels
+     */
+    getPassLength(cutType, metrics, tool, offsetPx) {
+        const radiusPx = tool.diameterPx / 2;
+
+        // Open outlines are cut along the path whatever the cut type
+        if (cutType === 'online' || metrics.perimeterPx === null) {
+            return metrics.lengthPx;
+        }
+
+        if (cutType === 'pocket') {
+            // Parallel lines one step-over apart clear the area, then one pass along the wall
+            const stepOverPx = tool.diameterPx * tool.stepOver / 100;
+            const wallPx = Math.max(0, metrics.perimeterPx - 2 * Math.PI * radiusPx);
+            return metrics.areaPx / stepOverPx + wallPx;
+        }
+
+        // A convex outline offset by a distance grows by 2π times that distance
+        const distancePx = (radiusPx + offsetPx) * (cutType === 'outside' ? 1 : -1);
+        return Math.max(0, metrics.perimeterPx + 2 * Math.PI * distancePx);
+    }
+
+    /**
+     * Sum estimates
+     * @param {Array<Object>} items - Element estimates
+     * @returns {Object} Totals {count, passes, cutLengthPx, minutes}
+     */
+    sum(items) {
+        return items.reduce((total, item) => ({
+            count: total.count + 1,
+            passes: total.passes + item.passes,
+            cutLengthPx: total.cutLengthPx + item.cutLengthPx,
+            minutes: total.minutes + item.minutes
+        }), { count: 0, passes: 0, cutLengthPx: 0, minutes: 0 });
+    }
+
+    // ============================================================================
+    // TOOLS
+    // ============================================================================
+
+    /**
+     * Get the machining settings for an element's attributes
+     *
+     * Uses the tool picked from the library, else the first library tool with
+     * the element's diameter, else the diameter alone with default settings.
+     *
+     * @param {Object} shaperAttrs - Effective shaper attributes (pixel-based)
+     * @returns {Object} Settings {key, label, diameterPx, depthPerPassPx, feedRatePx (per minute), stepOver (percent)}
+     */
+    getToolSettings(shaperAttrs) {
+        const defaults = ShaperConstants.MACHINING_DEFAULTS;
+        const toolDiaPx = parseFloat(shaperAttrs['shaper:toolDia']);
+        const tool = this.toolLibrary
+            ? this.toolLibrary.getToolForAttributes(shaperAttrs) || this.toolLibrary.findToolByDiameter(toolDiaPx)
+            : null;
+
+        let key, label, diameterPx;
+        if (tool) {
+            key = tool.id;
+            label = tool.name;
+            diameterPx = parseFloat(tool.diameter);
+        } else if (toolDiaPx > 0) {
+            key = `diameter-${toolDiaPx}`;
+            label = `${this.dryUtils.formatPixelsToDisplay(toolDiaPx)} tool`;
+            diameterPx = toolDiaPx;
+        } else {
+            diameterPx = this.measurementSystem.convertBetweenUnits(defaults.toolDiaMm, 'mm', 'px');
+            key = 'default';
+            label = `No tool diameter (${this.dryUtils.formatPixelsToDisplay(diameterPx)} assumed)`;
+        }
+
+        const settings = tool || {};
+        return {
+            key,
+            label,
+            diameterPx,
+            depthPerPassPx: parseFloat(settings.depthPerPass) || diameterPx * defaults.depthPerPassRatio,
+            feedRatePx: parseFloat(settings.feedRate) || this.measurementSystem.convertBetweenUnits(defaults.feedRateMm, 'mm', 'px'),
+            stepOver: parseFloat(settings.stepOver) || defaults.stepOver
+        };
+    }
+
+    // ============================================================================
+    // FORMATTING
+    // ============================================================================
+
+    /**
+     * Format a duration
+     * @param {number} minutes - Duration in minutes
+     * @returns {string} Display text (e.g., '45 s', '4 min 5 s', '1 h 12 min')
+     */
+    formatDuration(minutes) {
+        const seconds = Math.round(minutes * 60);
+        if (seconds < 60) return `${seconds} s`;
+
+        if (seconds < 3600) {
+            const rest = seconds % 60;
+            return rest > 0 ? `${Math.floor(seconds / 60)} min ${rest} s` : `${seconds / 60} min`;
+        }
+
+        const totalMinutes = Math.round(seconds / 60);
+        const rest = totalMinutes % 60;
+        return rest > 0 ? `${Math.floor(totalMinutes / 60)} h ${rest} min` : `${totalMinutes / 60} h`;
+    }
+}
+
+// Export for use in other modules
+window.MachiningEstimator = MachiningEstimator;
@@ -0,0 +1,364 @@
+/**
+ * Marquee Selection Module - Rubber-Band Selection on the Canvas
+ *
+ * Dragging with the left mouse button on the canvas draws a selection
+ * rectangle in screen space. On release the rectangle is mapped to the user
+ * space of the displayed SVG and compared with the sampled element outlines.
+ *
+ * Key Features:
+ * - Drag left to right: select elements fully inside the rectangle
+ * - Drag right to left: select elements the rectangle touches
+ * - Shift adds to the selection, Alt subtracts from it, no modifier replaces it
+ * - Ctrl+drag and middle mouse button stay reserved for panning (Viewport)
+ *
+ * Outlines are sampled like in the design check, so "touching" means the
+ * outline passes through the rectangle, not just the bounding box.
+ */
+class MarqueeSelection {
+    /**
+     * Initialize marquee selection with system dependencies
+     *
+     * @param {MeasurementSystem} measurementSystem - Closed shape detection
+     * @param {ElementManager} elementManager - Selection handling
+     * @param {DesignRuleChecker} designRuleChecker - Outline sampling in root user space
+     */
+    constructor(measurementSystem, elementManager, designRuleChecker) {
+        this.measurementSystem = measurementSystem;
+        this.elementManager = elementManager;
+        this.designRuleChecker = designRuleChecker;
+
+        this.svgElement = null; // Displayed SVG that is searched
+        this.drag = null; // Active drag {startX, startY, endX, endY, operation, started}
+        this.suppressClick = false; // Swallow the click that ends a marquee drag
+        this.rectangle = null; // Screen-space rectangle element
+    }
+
+    /** Selection modes */
+    static MODES = {
+        INSIDE: 'inside',
+        TOUCHING: 'touching'
+    };
+
+    /** Mouse movement in screen pixels before a press becomes a marquee drag */
+    static DRAG_THRESHOLD = 4;
+
+    /**
+     * Initialize canvas event handlers and the rectangle element
+     * Must be called after DOM is fully loaded.
+     */
+    initialize() {
+        DRYUtilities.bindElements({
+            svgWrapper: 'svgWrapper'
+        }, this);
+
+        this.rectangle = document.createElement('div');
+        this.rectangle.className = 'marquee-rectangle';
+        this.rectangle.style.display = 'none';
+        document.body.appendChild(this.rectangle);
+
+        this.svgWrapper.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+
+        // Capture phase: the click ending a drag must not reach element overlays or clear the selection
+        this.svgWrapper.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                e.stopPropagation();
+            }
+        }, true);
+
+        this.mouseMoveHandler = (e) => this.handleMouseMove(e);
+        this.mouseUpHandler = (e) => this.handleMouseUp(e);
+    }
+
+    /**
+     * Attach to a newly displayed SVG
+     * @param {Element|null} svgElement - Displayed SVG (display clone in the DOM)
+     */
+    attach(svgElement) {
+        this.svgElement = svgElement;
+        this.cancel();
+    }
+
+    /**
+     * Start tracking a possible marquee drag
+     * @param {MouseEvent} event - Mouse button press event
+     */
+    handleMouseDown(event) {
+        this.suppressClick = false;
+
+        // Middle button and Ctrl+drag pan the view
+        if (event.button !== 0 || event.ctrlKey || event.metaKey || !this.svgElement) return;
+
+        this.drag = {
+            startX: event.clientX,
+            startY: event.clientY,
+            endX: event.clientX,
+            endY: event.clientY,
+            operation: event.altKey ? 'subtract' : (event.shiftKey ? 'add' : 'replace'),
+            started: false
+        };
+
+        document.addEventListener('mousemove', this.mouseMoveHandler, true);
+        document.addEventListener('mouseup', this.mouseUpHandler, true);
+    }
+
+    /**
+     * Update the rectangle while dragging
+     * @param {MouseEvent} event - Mouse movement event
+     */
+    handleMouseMove(event) {
+        if (!this.drag) return;
+
+        this.drag.endX = event.clientX;
+        this.drag.endY = event.clientY;
+
+        if (!this.drag.started) {
+            const distance = Math.max(Math.abs(this.drag.endX - this.drag.startX), Math.abs(this.drag.endY - this.drag.startY));
+            if (distance < MarqueeSelection.DRAG_THRESHOLD) return;
+
+            this.drag.started = true;
+            document.body.classList.add('marquee-active');
+            const selection = window.getSelection ? window.getSelection() : null;
+            if (selection) selection.removeAllRanges();
+        }
+
+        event.preventDefault();
+        this.updateRectangle();
+    }
+
+    /**
+     * Finish the drag and apply the selection
+     * @param {MouseEvent} event - Mouse button release event
+     */
+    handleMouseUp(event) {
+        if (!this.drag) return;
+
+        const drag = this.drag;
+        this.cancel();
+        if (!drag.started) return;
+
+        this.suppressClick = true;
+        const mode = drag.endX >= drag.startX ? MarqueeSelection.MODES.INSIDE : MarqueeSelection.MODES.TOUCHING;
+        const rect = this.getDocumentRect(drag.startX, drag.startY, drag.endX, drag.endY);
+        if (rect) {
+            this.applySelection(this.findElements(rect, mode), drag.operation);
+        }
+    }
+
+    /**
+     * Stop tracking and hide the rectangle
+     */
+    cancel() {
+        this.drag = null;
+        document.removeEventListener('mousemove', this.mouseMoveHandler, true);
+        document.removeEventListener('mouseup', this.mouseUpHandler, true);
+        document.body.classList.remove('marquee-active');
+        if (this.rectangle) {
+            this.rectangle.style.display = 'none';
+        }
+    }
+
+    /**
+     * Position the rectangle element and show the mode (solid: inside, dashed: touching)
+     */
+    updateRectangle() {
+        const { startX, startY, endX, endY, operation } = this.drag;
+        Object.assign(this.rectangle.style, {
+            display: 'block',
+            left: `${Math.min(startX, endX)}px`,
+            top: `${Math.min(startY, endY)}px`,
+            width: `${Math.abs(endX - startX)}px`,
+            height: `${Math.abs(endY - startY)}px`
+        });
+        this.rectangle.classList.toggle('touching', endX < startX);
+        this.rectangle.dataset.operation = operation;
+    }
+
+    // ============================================================================
+    // GEOMETRY
+    // ============================================================================
+
+    /**
+     * Map a screen rectangle to the user space of the displayed SVG
+     * @param {number} x1 - First corner X (client pixels)
+     * @param {number} y1 - First corner Y (client pixels)
+     * @param {number} x2 - Opposite corner X (client pixels)
+     * @param {number} y2 - Opposite corner Y (client pixels)
+     * @returns {Object|null} Rectangle {x, y, width, height} or null if the mapping is unknown
+     */
+    getDocumentRect(x1, y1, x2, y2) {
+        let matrix;
+        try {
+            const screenCTM = this.svgElement.getScreenCTM();
+            if (!screenCTM) return null;
+            matrix = screenCTM.inverse();
+        } catch (error) {
+            return null;
+        }
+
+        // All four corners, the SVG may be rotated or flipped relative to the screen
+        const corners = [[x1, y1], [x2, y1], [x2, y2], [x1, y2]].map(([x, y]) => ({
+            x: matrix.a * x + matrix.c * y + matrix.e,
+            y: matrix.b * x + matrix.d * y + matrix.f
+        }));
+        return this.designRuleChecker.getPointsBBox(corners);
+    }
+
+    /**
+     * Find the elements selected by a document rectangle
+     * @param {Object} rect - Rectangle {x, y, width, height} in root user space
+     * @param {string} mode - MarqueeSelection.MODES value
+     * @returns {Array<Element>} Matching elements
+     */
+    findElements(rect, mode) {
+        const matches = [];
+
+        this.svgElement.querySelectorAll('[data-app-id]').forEach(element => {
+            if (element.closest('defs, clipPath, mask, symbol, pattern, marker')) return;
+
+            const outline = this.getOutline(element);
+            if (!outline) return;
+
+            const selected = mode === MarqueeSelection.MODES.INSIDE
+                ? this.containsPoints(rect, outline.points)
+                : this.touchesOutline(rect, outline.points, outline.closed);
+            if (selected) {
+                matches.push(element);
+            }
+        });
+
+        return matches;
+    }
+
+    /**
+     * Get the outline of an element in root user space
+     *
+     * Elements without a measurable outline (e.g., text) use their bounding box.
+     *
+     * @param {Element} element - SVG element
+     * @returns {Object|null} Outline {points, closed} or null if the element has no extent
+     */
+    getOutline(element) {
+        const closed = this.measurementSystem.isClosedShape(element);
+        const points = this.designRuleChecker.sampleOutline(element, this.svgElement, closed, 0);
+        if (points && points.length >= 2) {
+            return { points: points, closed: closed };
+        }
+
+        const bbox = this.designRuleChecker.getRootBBox(element, this.svgElement);
+        if (!(bbox.width > 0) && !(bbox.height > 0)) return null;
+        return {
+            points: [
+                { x: bbox.x, y: bbox.y },
+                { x: bbox.x + bbox.width, y: bbox.y },
+                { x: bbox.x + bbox.width, y: bbox.y + bbox.height },
+                { x: bbox.x, y: bbox.y + bbox.height }
+            ],
+            closed: true
+        };
+    }
+
+    /**
+     * Check whether a point lies in a rectangle (edges included)
+     * @param {Object} rect - Rectangle {x, y, width, height}
+     * @param {Object} point - Point {x, y}
+     * @returns {boolean} True if inside
+     */
+    containsPoint(rect, point) {
+        return point.x >= rect.x && point.x <= rect.x + rect.width &&
+            point.y >= rect.y && point.y <= rect.y + rect.height;
+    }
+
+    /**
+     * Check whether all outline points lie in a rectangle
+     * @param {Object} rect - Rectangle {x, y, width, height}
+     * @param {Array<Object>} points - Outline points
+     * @returns {boolean} True if the outline is fully inside
+     */
+    containsPoints(rect, points) {
+        return points.every(point => this.containsPoint(rect, point));
+    }
+
+    /**
+     * Check whether an outline passes through a rectangle
+     * @param {Object} rect - Rectangle {x, y, width, height}
+     * @param {Array<Object>} points - Outline points
+     * @param {boolean} closed - Whether the last point connects to the first
+     * @returns {boolean} True if any outline segment touches the rectangle
+     */
+    touchesOutline(rect, points, closed) {
+        if (points.some(point => this.containsPoint(rect, point))) return true;
+
+        const segmentCount = closed ? points.length : points.length - 1;
+        for (let i = 0; i < segmentCount; i++) {
+            if (this.segmentTouchesRect(rect, points[i], points[(i + 1) % points.length])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check whether a line segment crosses a rectangle (Liang–Barsky clipping)
+     * @param {Object} rect - Rectangle {x, y, width, height}
+     * @param {Object} start - Segment start {x, y}
+     * @param {Object} end - Segment end {x, y}
+     * @returns {boolean} True if part of the segment lies in the rectangle
+     */
+    segmentTouchesRect(rect, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const checks = [
+            [-dx, start.x - rect.x],
+            [dx, rect.x + rect.width - start.x],
+            [-dy, start.y - rect.y],
+            [dy, rect.y + rect.height - start.y]
+        ];
+
+        let t0 = 0;
+        let t1 = 1;
+        for (const [p, q] of checks) {
+            if (p === 0) {
+                if (q < 0) return false;
+            } else {
+                const t = q / p;
+                if (p < 0) {
+                    t0 = Math.max(t0, t);
+                } else {
+                    t1 = Math.min(t1, t);
+                }
+                if (t0 > t1) return false;
+            }
+        }
+        return true;
+    }
+
+    // ============================================================================
+    // SELECTION
+    // ============================================================================
+
+    /**
+     * Apply the marquee result to the selection
+     * @param {Array<Element>} elements - Elements in the marquee
+     * @param {string} operation - 'replace', 'add' or 'subtract'
+     */
+    applySelection(elements, operation) {
+        if (operation === 'replace') {
+            this.elementManager.clearSelection();
+        }
+
+        const selectedPaths = this.elementManager.getSelectedPaths();
+        elements.forEach(element => {
+            if (operation === 'subtract') {
+                if (selectedPaths.has(element)) {
+                    this.elementManager.deselectPath(element);
+                }
+            } else if (!selectedPaths.has(element)) {
+                this.elementManager.selectPath(element, true); // true = multiselect mode
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window.MarqueeSelection = MarqueeSelection;
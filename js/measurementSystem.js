@@ -7,9 +7,13 @@
  * maintaining accuracy for manufacturing applications.
  *
  * Key Features:
- * - Multi-unit support (mm, inches) with DPI-based conversion
+ * - Multi-unit support (mm, cm, inches, thou) with DPI-based conversion
+ * - Fractional inch display rounded to a chosen denominator (e.g., 1 3/16)
+ * - Input parsing of mixed numbers and unit suffixes (1 3/16in, 2.5cm, 250thou)
+ * - Arithmetic in inputs via LengthExpression (3/4in - 1/16in, 6mm/2)
  * - Localized decimal separator handling (comma/period)
- * - Precise SVG measurement using clone technique
+ * - Precise SVG measurement from a single clone in one pass, with progress
+ * - Element geometry precomputed off the main thread (see BackgroundAnalysis)
  * - Number formatting with configurable precision
  * - Angle normalization and formatting
  * - Unit detection from SVG metadata
@@ -20,6 +24,9 @@ class MeasurementSystem {
      */
     constructor() {
         this._units = 'mm'; // Default to millimeters
+        this.fractionDenominator = 0; // Fractional inch display denominator (0 = decimal inches)
+        this.lengthExpression = null; // Expression evaluator, created on first use
+        this.svgGeometry = null; // Layout-free geometry helper, created on first use
         this.decimalSeparator = this.detectLocalDecimalSeparator();
         this.detectedUnits = null; // Auto-detected from SVG
         this.dpi = 96; // Standard web DPI for pixel conversion
@@ -29,9 +36,40 @@ class MeasurementSystem {
         this.measurementCloneSVG = null;
     }
 
+    /**
+     * Display units and the unit system their presets come from
+     * (suggestion buttons, tool and recipe units are kept in mm or in)
+     */
+    static UNIT_SYSTEMS = {
+        mm: 'mm',
+        cm: 'mm',
+        in: 'in',
+        thou: 'in'
+    };
+
+    /** Denominators offered for fractional inch display */
+    static FRACTION_DENOMINATORS = [8, 16, 32, 64];
+
+    /** Unit suffixes accepted in inputs and their unit */
+    static UNIT_ALIASES = {
+        mm: 'mm',
+        cm: 'cm',
+        in: 'in',
+        inch: 'in',
+        inches: 'in',
+        '"': 'in',
+        thou: 'thou',
+        mil: 'thou',
+        mils: 'thou',
+        px: 'px'
+    };
+
+    /** Number with optional unit: decimal, fraction (3/16) or mixed number (1 3/16, 1-3/16) */
+    static VALUE_PATTERN = /^([+-]?)(?:(?:(\d+)(?:\s+|-))?(\d+)\s*\/\s*(\d+)|(\d*\.?\d+))\s*([a-zA-Z"]*)$/;
+
     /**
      * Get current measurement units
-     * @returns {string} Current units ('mm' or 'in')
+     * @returns {string} Current units ('mm', 'cm', 'in' or 'thou')
      */
     get units() {
         return this._units;
@@ -39,7 +77,7 @@ class MeasurementSystem {
 
     /**
      * Set measurement units with validation
-     * @param {string} newUnits - New units to use ('mm' or 'in')
+     * @param {string} newUnits - New units to use ('mm', 'cm', 'in' or 'thou')
      */
     set units(newUnits) {
         this._units = newUnits;
@@ -76,7 +114,23 @@ class MeasurementSystem {
     }
 
     /**
-     * Format numeric values for display with localized decimal separator
+     * Format a length in current units for display
+     *
+     * Fractional inch mode rounds to the chosen denominator (e.g., '1 3/16'),
+     * all other units use decimal formatting.
+     *
+     * @param {number} value - Length in current units
+     * @returns {string} Formatted number string
+     */
+    formatDisplayNumber(value) {
+        if (this.isFractionalInches()) {
+            return this.formatFraction(parseFloat(value), this.fractionDenominator);
+        }
+        return this.formatDecimalNumber(value);
+    }
+
+    /**
+     * Format numeric values as decimals with localized decimal separator
      *
      * Formats numbers to up to 3 decimal places with trailing zero removal,
      * ensuring at least one decimal place for consistency. Applies user's
@@ -85,7 +139,7 @@ class MeasurementSystem {
      * @param {number} value - Numeric value to format
      * @returns {string} Formatted number string with appropriate decimal separator
      */
-    formatDisplayNumber(value) {
+    formatDecimalNumber(value) {
         // Format to 3 decimal places for precision
         const fixed3 = parseFloat(value).toFixed(3);
 
@@ -102,6 +156,31 @@ class MeasurementSystem {
         return trimmed.replace('.', decimalSeparator);
     }
 
+    /**
+     * Format a value as a whole number and a reduced fraction
+     *
+     * @param {number} value - Value to format (e.g., inches)
+     * @param {number} denominator - Finest fraction (e.g., 64 for 1/64)
+     * @returns {string} Mixed number (e.g., '1 3/16', '3/16', '-1 1/2' or '2')
+     */
+    formatFraction(value, denominator) {
+        const parts = Math.round(Math.abs(value) * denominator);
+        if (parts === 0) return '0';
+
+        const sign = value < 0 ? '-' : '';
+        const whole = Math.floor(parts / denominator);
+        let numerator = parts % denominator;
+        let reducedDenominator = denominator;
+        while (numerator > 0 && numerator % 2 === 0 && reducedDenominator % 2 === 0) {
+            numerator /= 2;
+            reducedDenominator /= 2;
+        }
+
+        if (numerator === 0) return `${sign}${whole}`;
+        const fraction = `${numerator}/${reducedDenominator}`;
+        return whole > 0 ? `${sign}${whole} ${fraction}` : `${sign}${fraction}`;
+    }
+
     /**
      * Format angles with normalization and localized decimal separator
      *
@@ -135,6 +214,9 @@ class MeasurementSystem {
      * @returns {string} Formatted number with unit suffix
      */
     formatWithUnits(value, precision = 3) {
+        if (this.isFractionalInches()) {
+            return `${this.formatFraction(parseFloat(value), this.fractionDenominator)}${this.units}`;
+        }
         const fixed = parseFloat(value).toFixed(precision);
         const trimmed = parseFloat(fixed).toString();
         return `${trimmed}${this.units}`;
@@ -142,7 +224,7 @@ class MeasurementSystem {
 
     /**
      * Set measurement units and trigger UI updates
-     * @param {string} newUnits - New unit system ('mm' or 'in')
+     * @param {string} newUnits - New units ('mm', 'cm', 'in' or 'thou')
      */
     setUnits(newUnits) {
         this._units = newUnits;
@@ -150,12 +232,73 @@ class MeasurementSystem {
 
     /**
      * Get current measurement units
-     * @returns {string} Current units ('mm' or 'in')
+     * @returns {string} Current units ('mm', 'cm', 'in' or 'thou')
      */
     getUnits() {
         return this.units;
     }
 
+    /**
+     * Set the denominator for fractional inch display
+     * @param {number} denominator - Finest fraction (e.g., 64), 0 for decimal inches
+     */
+    setFractionDenominator(denominator) {
+        this.fractionDenominator = MeasurementSystem.FRACTION_DENOMINATORS.includes(denominator) ? denominator : 0;
+    }
+
+    /**
+     * Get the denominator for fractional inch display
+     * @returns {number} Finest fraction, 0 for decimal inches
+     */
+    getFractionDenominator() {
+        return this.fractionDenominator;
+    }
+
+    /**
+     * Check whether inches are displayed as fractions
+     * @returns {boolean} True in fractional inch mode
+     */
+    isFractionalInches() {
+        return this.units === 'in' && this.fractionDenominator > 0;
+    }
+
+    /**
+     * Get the unit system of the current units
+     * @returns {string} 'mm' for metric units, 'in' for imperial units
+     */
+    getUnitSystem() {
+        return MeasurementSystem.UNIT_SYSTEMS[this.units] || 'mm';
+    }
+
+    /**
+     * Get the unit shaper attributes are exported in
+     *
+     * Exported values are decimals in mm or in, whatever the display mode.
+     *
+     * @returns {string} 'mm' or 'in'
+     */
+    getExportUnit() {
+        return this.getUnitSystem();
+    }
+
+    /**
+     * Get the display mode of the unit selector
+     * @returns {string} Units, with the denominator for fractional inches (e.g., 'in/64')
+     */
+    getUnitMode() {
+        return this.isFractionalInches() ? `in/${this.fractionDenominator}` : this.units;
+    }
+
+    /**
+     * Set units and fraction denominator from a unit selector mode
+     * @param {string} mode - Units, with the denominator for fractional inches (e.g., 'in/64')
+     */
+    setUnitMode(mode) {
+        const [units, denominator] = String(mode).split('/');
+        this.setUnits(MeasurementSystem.UNIT_SYSTEMS[units] ? units : 'mm');
+        this.setFractionDenominator(units === 'in' ? parseInt(denominator, 10) || 0 : 0);
+    }
+
     /**
      * Remove unit suffixes from numeric strings
      *
@@ -182,8 +325,10 @@ class MeasurementSystem {
      * Parse value strings with intelligent unit and decimal separator handling
      *
      * Parses user input that may contain various decimal separators and unit
-     * suffixes. Handles international decimal formats and performs automatic
-     * unit conversion to target units when specified.
+     * suffixes. Handles international decimal formats, fractions and mixed
+     * numbers (3/16, 1 3/16, 1-3/16) and performs automatic unit conversion
+     * to target units when specified. Input that is no single value is
+     * evaluated as arithmetic expression (see evaluateExpression).
      *
      * @param {string} valueString - Input string with value and optional units
      * @param {string} targetUnit - Optional target unit for conversion
@@ -214,22 +359,37 @@ class MeasurementSystem {
             }
         }
 
-        // Extract numeric value and optional unit suffix
-        const match = normalizedValue.match(/^([+-]?\d*\.?\d+)\s*([a-zA-Z]*)$/);
-        if (!match) return null;
+        // Extract numeric value (decimal, fraction or mixed number) and optional unit suffix
+        const match = normalizedValue.match(MeasurementSystem.VALUE_PATTERN);
+        if (!match) {
+            try {
+                return this.evaluateExpression(valueStr, targetUnit);
+            } catch (error) {
+                return null;
+            }
+        }
 
-        const [, numStr, unit] = match;
-        const numValue = parseFloat(numStr);
+        const [, sign, whole, numerator, denominator, decimal, unitText] = match;
+        let numValue;
+        if (decimal !== undefined) {
+            numValue = parseFloat(decimal);
+        } else {
+            if (parseInt(denominator, 10) === 0) return null;
+            numValue = (whole ? parseInt(whole, 10) : 0) + parseInt(numerator, 10) / parseInt(denominator, 10);
+        }
+        if (sign === '-') numValue = -numValue;
 
         if (isNaN(numValue)) return null;
 
+        const unit = MeasurementSystem.UNIT_ALIASES[unitText.toLowerCase()] || unitText;
+
         // Perform unit conversion if needed
         if (targetUnit && unit && unit !== targetUnit) {
             return this.convertBetweenUnits(numValue, unit, targetUnit);
         }
 
         // Auto-convert to current system units if different valid unit detected
-        if (!targetUnit && unit && unit !== this.units && (unit === 'mm' || unit === 'in')) {
+        if (!targetUnit && unit && unit !== this.units && MeasurementSystem.UNIT_SYSTEMS[unit]) {
             return this.convertBetweenUnits(numValue, unit, this.units);
         }
 
@@ -258,16 +418,64 @@ class MeasurementSystem {
         return isNaN(stripped) ? '' : this.formatDisplayNumber(stripped);
     }
 
+    /**
+     * Evaluate an arithmetic expression of lengths
+     *
+     * Lengths with a unit are converted to the target unit, plain numbers are
+     * taken in it (e.g., '18mm + 0.5' is 18.5 in mm).
+     *
+     * @param {string} expression - Input text (e.g., '3/4in - 1/16in')
+     * @param {string} targetUnit - Unit of the result (defaults to current units)
+     * @returns {number} Result in the target unit
+     * @throws {Error} With a message for the input if the expression is invalid
+     */
+    evaluateExpression(expression, targetUnit = null) {
+        return this.getLengthExpression().evaluate(expression, targetUnit || this.units);
+    }
+
+    /**
+     * Evaluate an arithmetic expression of plain numbers (e.g., zoom percentages)
+     * @param {string} expression - Input text (e.g., '150*2')
+     * @returns {number} Result
+     * @throws {Error} With a message for the input if the expression is invalid or has units
+     */
+    evaluateNumber(expression) {
+        return this.getLengthExpression().evaluate(expression, null);
+    }
+
+    /**
+     * Get the expression evaluator
+     * @returns {LengthExpression} Evaluator using this measurement system
+     */
+    getLengthExpression() {
+        if (!this.lengthExpression) {
+            this.lengthExpression = new LengthExpression(this);
+        }
+        return this.lengthExpression;
+    }
+
+    /**
+     * Get the layout-free geometry helper
+     * @returns {SVGGeometry} Geometry helper
+     */
+    getSVGGeometry() {
+        if (!this.svgGeometry) {
+            this.svgGeometry = new SVGGeometry();
+        }
+        return this.svgGeometry;
+    }
+
     /**
      * Convert values between different measurement units
      *
      * Performs precise unit conversion using DPI-based calculations with
-     * pixels as intermediate format. Supports millimeters, inches, and pixels
-     * with standard web DPI (96) and metric conversion constants.
+     * pixels as intermediate format. Supports millimeters, centimeters,
+     * inches, thou and pixels with standard web DPI (96) and metric
+     * conversion constants.
      *
      * @param {number} value - Numeric value to convert
-     * @param {string} fromUnit - Source unit ('mm', 'in', 'px')
-     * @param {string} toUnit - Target unit ('mm', 'in', 'px')
+     * @param {string} fromUnit - Source unit ('mm', 'cm', 'in', 'thou', 'px')
+     * @param {string} toUnit - Target unit ('mm', 'cm', 'in', 'thou', 'px')
      * @returns {number} Converted value in target units
      */
     convertBetweenUnits(value, fromUnit, toUnit) {
@@ -279,9 +487,15 @@ class MeasurementSystem {
             case 'mm':
                 pixels = value * this.dpi / this.mmPerInch;
                 break;
+            case 'cm':
+                pixels = value * 10 * this.dpi / this.mmPerInch;
+                break;
             case 'in':
                 pixels = value * this.dpi;
                 break;
+            case 'thou':
+                pixels = value * this.dpi / 1000;
+                break;
             case 'px':
                 pixels = value;
                 break;
@@ -293,8 +507,12 @@ class MeasurementSystem {
         switch (toUnit) {
             case 'mm':
                 return pixels * this.mmPerInch / this.dpi;
+            case 'cm':
+                return pixels * this.mmPerInch / this.dpi / 10;
             case 'in':
                 return pixels / this.dpi;
+            case 'thou':
+                return pixels * 1000 / this.dpi;
             case 'px':
                 return pixels;
             default:
@@ -351,106 +569,181 @@ class MeasurementSystem {
         if (pxMatches) unitCounts.px += pxMatches.length;
     }
 
-    // --- Visual Measurement using getBoundingClientRect ---
-    getVisualDimensions(elementToMeasure, masterSVGElement) {
-        if (!elementToMeasure || !masterSVGElement || !elementToMeasure.dataset.appId) {
-            return { width: 0, height: 0 };
-        }
-        const appId = elementToMeasure.dataset.appId;
-        const tempContainer = document.createElement('div');
-        tempContainer.style.all = 'initial';
-        tempContainer.style.position = 'absolute';
-        tempContainer.style.left = '-9999px';
-        tempContainer.style.top = '-9999px';
-        try {
-            const measurementClone = masterSVGElement.cloneNode(true);
-            const viewBox = measurementClone.getAttribute('viewBox');
-            if (viewBox) {
-                const [, , vbWidth, vbHeight] = viewBox.split(/[ ,]+/);
-                measurementClone.style.width = `${vbWidth}px`;
-                measurementClone.style.height = `${vbHeight}px`;
-            }
-            tempContainer.appendChild(measurementClone);
-            document.body.appendChild(tempContainer);
-            const elementInClone = measurementClone.querySelector(`[data-app-id="${appId}"]`);
-            if (elementInClone) {
-                const bbox = elementInClone.getBoundingClientRect();
-                this.measurementCloneSVG = measurementClone.outerHTML;
-                return { width: bbox.width, height: bbox.height };
-            }
-            this.measurementCloneSVG = measurementClone.outerHTML;
-            return { width: 0, height: 0 };
-        } finally {
-            if (tempContainer.firstChild) {
-                this.measurementCloneSVG = tempContainer.firstChild.outerHTML;
-            }
-            if (tempContainer.parentNode) {
-                tempContainer.parentNode.removeChild(tempContainer);
-            }
-        }
-    }
+    // ============================================================================
+    // SVG ANALYSIS
+    // ============================================================================
 
-    // --- SIMPLIFIED: Full SVG Analysis ---
-    analyzeSVG(masterSVGElement) {
+    /**
+     * Analyze all elements of the master SVG
+     *
+     * Elements come with precomputed geometry when the file was analyzed in
+     * the background (SVGAnalyzer entries in selector order). The rest, or
+     * all elements without it, are measured from one clone of the master
+     * SVG, sized to its viewBox so that a pixel equals a user unit, in a
+     * single pass with getBoundingClientRect(). Nothing changes the clone
+     * while measuring, so the browser lays it out only once.
+     *
+     * @param {Element} masterSVGElement - Master SVG with app-ids
+     * @param {Array<Object|null>|null} geometry - Precomputed geometry per element
+     *     (null entries are measured), ignored if it doesn't match the master
+     * @returns {Map} Element data by app-id (and group data by group-id)
+     */
+    analyzeSVG(masterSVGElement, geometry = null) {
         const elementDataMap = new Map();
         if (!masterSVGElement) {
             return elementDataMap;
         }
 
         const elementsToAnalyze = masterSVGElement.querySelectorAll('[data-app-id]');
+        const precomputed = this.matchGeometry(elementsToAnalyze, geometry);
+        const measurement = precomputed && !precomputed.includes(null)
+            ? null
+            : this.createMeasurementClone(masterSVGElement);
 
-        elementsToAnalyze.forEach(element => {
-            const appId = element.dataset.appId;
-            if (!appId) return;
+        try {
+            // cloneNode() keeps document order, so clone and master lists line up
+            const clonedElements = measurement ? measurement.clone.querySelectorAll('[data-app-id]') : null;
+
+            elementsToAnalyze.forEach((element, index) => {
+                const appId = element.dataset.appId;
+                if (appId) {
+                    const entry = precomputed ? precomputed[index] : null;
+                    if (entry) {
+                        const elementData = this.createElementData(element, entry.widthPx, entry.heightPx);
+                        elementData.isClosed = entry.isClosed;
+                        elementDataMap.set(appId, elementData);
+                    } else {
+                        // 1. Get precise visual dimensions in pixels for ALL elements
+                        const bbox = clonedElements[index].getBoundingClientRect();
 
-            // 1. Get precise visual dimensions in pixels for ALL elements
-            const visualPx = this.getVisualDimensions(element, masterSVGElement);
+                        // 2. Store pixel dimensions as base data (will be converted on display)
+                        elementDataMap.set(appId, this.createElementData(element, bbox.width, bbox.height));
+                    }
+                }
+            });
 
-            // 2. Store pixel dimensions as base data (will be converted on display)
-            const widthPx = visualPx.width;
-            const heightPx = visualPx.height;
+            this.measurementCloneSVG = measurement ? measurement.clone.outerHTML : null;
+        } finally {
+            if (measurement) {
+                measurement.container.remove();
+            }
+        }
 
-            const tagName = element.tagName.toLowerCase();
-            const elementData = {
-                tagName: tagName,
-                widthPx: widthPx,
-                heightPx: heightPx
-            };
+        // Groups carry attributes inherited by their elements (from the file or the layer tree)
+        masterSVGElement.querySelectorAll('[data-group-id]').forEach(group => {
+            elementDataMap.set(group.dataset.groupId, {
+                tagName: group.tagName.toLowerCase(),
+                isGroup: true,
+                shaperAttributes: this.readShaperAttributes(group)
+            });
+        });
 
-            // 3. Special handling for circles (store pixel-based diameter/radius)
-            if (tagName === 'circle' || (tagName === 'ellipse' && Math.abs(widthPx - heightPx) < 0.1)) {
-                elementData.diameterPx = (widthPx + heightPx) / 2;
-                elementData.radiusPx = elementData.diameterPx / 2;
-                elementData.isCircle = true;
+        return elementDataMap;
+    }
+
+    /**
+     * Check that precomputed geometry lines up with the master elements
+     *
+     * @param {NodeList} elements - Master elements with app-ids
+     * @param {Array<Object|null>|null} geometry - Precomputed geometry
+     * @returns {Array<Object|null>|null} The geometry, or null if missing or mismatched
+     */
+    matchGeometry(elements, geometry) {
+        if (!geometry || geometry.length !== elements.length) {
+            return null;
+        }
+        for (let i = 0; i < elements.length; i++) {
+            if (geometry[i] && geometry[i].tagName !== elements[i].localName) {
+                console.warn('Precomputed geometry does not match the SVG, measuring all elements');
+                return null;
             }
+        }
+        return geometry;
+    }
 
-            // 4. Extract shaper attributes from the element and convert to pixels
-            const shaperAttributes = {};
-            Array.from(element.attributes).forEach(attr => {
-                if (attr.name.startsWith('shaper:')) {
-                    const attrValue = attr.value;
-                    if (attr.name === 'shaper:cutType') {
-                        // cutType is stored as-is (no unit conversion)
-                        shaperAttributes[attr.name] = attrValue;
+    /**
+     * Lay out a clone of the master SVG off screen, sized to its viewBox
+     *
+     * @param {Element} masterSVGElement - Master SVG
+     * @returns {Object} {container, clone}; remove the container when done
+     */
+    createMeasurementClone(masterSVGElement) {
+        const container = document.createElement('div');
+        container.style.all = 'initial';
+        container.style.position = 'absolute';
+        container.style.left = '-9999px';
+        container.style.top = '-9999px';
+
+        const clone = masterSVGElement.cloneNode(true);
+        const viewBox = clone.getAttribute('viewBox');
+        if (viewBox) {
+            const [, , vbWidth, vbHeight] = viewBox.split(/[ ,]+/);
+            clone.style.width = `${vbWidth}px`;
+            clone.style.height = `${vbHeight}px`;
+        }
+        container.appendChild(clone);
+        document.body.appendChild(container);
+        return { container, clone };
+    }
+
+    /**
+     * Build the element data of a measured element
+     *
+     * @param {Element} element - Master SVG element
+     * @param {number} widthPx - Visual width in pixels
+     * @param {number} heightPx - Visual height in pixels
+     * @returns {Object} Element data {tagName, widthPx, heightPx, diameterPx?, radiusPx?, isCircle?, shaperAttributes}
+     */
+    createElementData(element, widthPx, heightPx) {
+        const tagName = element.tagName.toLowerCase();
+        const elementData = {
+            tagName: tagName,
+            widthPx: widthPx,
+            heightPx: heightPx
+        };
+
+        // Special handling for circles (store pixel-based diameter/radius)
+        if (tagName === 'circle' || (tagName === 'ellipse' && Math.abs(widthPx - heightPx) < 0.1)) {
+            elementData.diameterPx = (widthPx + heightPx) / 2;
+            elementData.radiusPx = elementData.diameterPx / 2;
+            elementData.isCircle = true;
+        }
+
+        // Extract shaper attributes from the element and convert to pixels
+        elementData.shaperAttributes = this.readShaperAttributes(element);
+        return elementData;
+    }
+
+    /**
+     * Read the shaper:* attributes set on an element
+     *
+     * Measurements are converted from their units to pixels, values that
+     * cannot be parsed and the cut type are kept as they are.
+     *
+     * @param {Element} element - SVG element or group
+     * @returns {Object} Shaper attributes in element data format
+     */
+    readShaperAttributes(element) {
+        const shaperAttributes = {};
+        Array.from(element.attributes).forEach(attr => {
+            if (attr.name.startsWith('shaper:')) {
+                const attrValue = attr.value;
+                if (attr.name === 'shaper:cutType') {
+                    // cutType is stored as-is (no unit conversion)
+                    shaperAttributes[attr.name] = attrValue;
+                } else {
+                    // Measurement attributes: convert from original units to pixels
+                    const pixelValue = this.parseValueWithUnits(attrValue);
+                    if (pixelValue !== null) {
+                        const pixelsFromUnits = this.unitsToPixels(pixelValue);
+                        shaperAttributes[attr.name] = pixelsFromUnits.toString();
                     } else {
-                        // Measurement attributes: convert from original units to pixels
-                        const pixelValue = this.parseValueWithUnits(attrValue);
-                        if (pixelValue !== null) {
-                            const pixelsFromUnits = this.unitsToPixels(pixelValue);
-                            shaperAttributes[attr.name] = pixelsFromUnits.toString();
-                        } else {
-                            shaperAttributes[attr.name] = attrValue; // Keep as-is if not parseable
-                        }
+                        shaperAttributes[attr.name] = attrValue; // Keep as-is if not parseable
                     }
                 }
-            });
-            elementData.shaperAttributes = shaperAttributes;
-
-            // 5. Store the collected data in the map (use appId as key for safe mapping)
-            elementDataMap.set(appId, elementData);
+            }
         });
-
-        return elementDataMap;
+        return shaperAttributes;
     }
 
     // Get SVG boundary measurements using clean clone from fileManager
@@ -626,25 +919,15 @@ class MeasurementSystem {
     /**
      * Check if path is geometrically closed
      *
-     * Compares start and end points of the path to determine if they
+     * Compares start and end points of the path data to determine if they
      * match within a small tolerance, indicating a closed shape.
      *
      * @param {Element} path - Path element to check
      * @returns {boolean} True if start and end points match
      */
     isGeometricallyClosed(path) {
-        try {
-            const len = path.getTotalLength();
-            const start = path.getPointAtLength(0);
-            const end = path.getPointAtLength(len);
-            const epsilon = 0.01; // Tolerance for coordinate matching
-
-            return Math.abs(start.x - end.x) < epsilon &&
-                Math.abs(start.y - end.y) < epsilon;
-        } catch (error) {
-            // If getTotalLength() fails (e.g., invalid path), assume open
-            return false;
-        }
+        // Path data alone decides (no layout needed)
+        return this.getSVGGeometry().isPathClosed(path.getAttribute('d'));
     }
 
     /**
@@ -10,6 +10,8 @@
  * - Element data cache and shaper attributes
  * - Application settings (units, viewport, gutter, etc.)
  * - File management state (filename, load state)
+ * - Open documents (tabs), each with its own SVG, element data, history and viewport
+ *   (stored under its own localStorage key)
  * - Export data preparation and coordination
  */
 class MetaData {
@@ -27,14 +29,20 @@ class MetaData {
 
         // Application settings
         this.settings = {
-            units: 'mm',                    // Current unit system
+            units: 'mm',                    // Current units (mm, cm, in, thou)
+            fractionDenominator: 0,         // Fractional inch display denominator (0 = decimal inches)
             decimalSeparator: '.',          // Current decimal separator
             dpi: 96,                        // DPI for unit conversions
             zoom: 1,                        // Viewport zoom level
             panX: 0,                        // Viewport pan X
             panY: 0,                        // Viewport pan Y
             gutterEnabled: false,           // Gutter overlay enabled
-            gutterSizeRawMm: 10            // Gutter size in mm
+            gutterSizeRawMm: 10,           // Gutter size in mm
+            toolpathPreviewEnabled: false,  // Tool swath preview layer enabled
+            exportCutStyle: false,          // Export with Cut Style Guide colors
+            exportKeepGroupAttributes: false, // Export group attributes on groups (false = flatten onto elements)
+            materialThickness: null,        // Material thickness in pixels (null = not set)
+            spoilboardAllowance: 0          // Allowed cut into the spoilboard in pixels
         };
 
         // SVG data management
@@ -50,15 +58,52 @@ class MetaData {
             shaperAttributes: new Map()     // Element shaper attributes
         };
 
+        // Undo/redo history of attribute edits (see HistoryManager)
+        this.history = {
+            undoStack: [],                  // Recorded commands, oldest first
+            redoStack: []                   // Undone commands, most recent last
+        };
+
+        // User-defined color → recipe rules for cut type inference (see ColorInference)
+        this.colorRules = [];
+
+        // Tool library (see ToolLibrary); null until seeded with the default tools
+        this.toolLibrary = null;
+
+        // Named cut recipes (see CutRecipes), applied to selections
+        this.cutRecipes = [];
+
         // Application state
         this.applicationState = {
             currentFileName: null           // Currently loaded file name
         };
 
+        // Open documents (tabs) in tab order. The state of the active document
+        // lives in the fields above (svgData, elementData, history, file name,
+        // viewport); the entries of the other documents hold their own copy.
+        this.documents = [];                // [{id, fileName, originalSVG, elementDataMap, history, viewport}]
+        this.activeDocumentId = null;
+
+        // Inactive documents whose stored copy is up to date (the active one is stored on every save)
+        this.storedDocumentIds = new Set();
+        this.storageFull = false;           // Whether the last save ran out of localStorage space
+
+        // Callback invoked with the file names that could not be stored when localStorage runs full
+        this.onStorageFull = null;
+
         // Load existing data
         this.loadFromLocalStorage();
     }
 
+    /** localStorage key of settings, libraries and the list of open documents */
+    static STORAGE_KEY = 'shaperEditorSettings';
+
+    /** localStorage key of the active document's viewport, saved on every pan and zoom */
+    static VIEWPORT_STORAGE_KEY = 'shaperEditorViewport';
+
+    /** localStorage key prefix of a stored document (followed by its id) */
+    static DOCUMENT_STORAGE_PREFIX = 'shaperEditorDocument:';
+
     /**
      * Schedule a batched save to localStorage
      * Multiple rapid changes will be batched together for efficiency
@@ -269,13 +314,311 @@ class MetaData {
         this.scheduleSave();
     }
 
+    // ============================================================================
+    // DOCUMENT (TAB) MANAGEMENT
+    // ============================================================================
+
+    /**
+     * Get the open documents in tab order
+     * @returns {Array<Object>} Documents {id, fileName}
+     */
+    getDocuments() {
+        return this.documents.map(documentState => ({
+            id: documentState.id,
+            fileName: documentState.id === this.activeDocumentId ? this.applicationState.currentFileName : documentState.fileName
+        }));
+    }
+
+    /**
+     * Get the id of the active document
+     * @returns {string|null} Active document id or null if none is open
+     */
+    getActiveDocumentId() {
+        return this.activeDocumentId;
+    }
+
+    /**
+     * Open a new, empty document and make it active
+     *
+     * The state of the previously active document is kept in its entry.
+     *
+     * @param {string} fileName - File name of the new document
+     * @returns {string} Id of the new document
+     */
+    addDocument(fileName) {
+        this.storeActiveDocument();
+
+        const documentState = this.createDocumentState(fileName);
+        this.documents.push(documentState);
+        this.loadDocumentState(documentState);
+        this.activeDocumentId = documentState.id;
+
+        this.scheduleSave();
+        return documentState.id;
+    }
+
+    /**
+     * Make another open document the active one
+     * @param {string} documentId - Document id
+     * @returns {boolean} True if the active document changed
+     */
+    switchDocument(documentId) {
+        const documentState = this.documents.find(entry => entry.id === documentId);
+        if (!documentState || documentId === this.activeDocumentId) return false;
+
+        this.storeActiveDocument();
+        this.loadDocumentState(documentState);
+        this.activeDocumentId = documentId;
+
+        this.scheduleSave();
+        return true;
+    }
+
+    /**
+     * Close a document
+     *
+     * Closing the active document activates its right neighbour (or the
+     * left one for the last tab); closing the only document leaves an empty
+     * state.
+     *
+     * @param {string} documentId - Document id
+     * @returns {string|null} Id of the active document afterwards
+     */
+    closeDocument(documentId) {
+        const index = this.documents.findIndex(entry => entry.id === documentId);
+        if (index === -1) return this.activeDocumentId;
+
+        if (documentId === this.activeDocumentId) {
+            const neighbour = this.documents[index + 1] || this.documents[index - 1] || null;
+            if (neighbour) {
+                this.loadDocumentState(neighbour);
+                this.activeDocumentId = neighbour.id;
+            } else {
+                this.loadDocumentState(this.createDocumentState(null));
+                this.activeDocumentId = null;
+            }
+        }
+
+        this.documents.splice(index, 1);
+        this.storedDocumentIds.delete(documentId);
+        this.scheduleSave();
+        return this.activeDocumentId;
+    }
+
+    /**
+     * Create the state of an empty document
+     * @param {string|null} fileName - File name
+     * @returns {Object} Document state
+     */
+    createDocumentState(fileName) {
+        return {
+            id: Math.random().toString(36).slice(2, 11),
+            fileName: fileName,
+            originalSVG: null,
+            elementDataMap: new Map(),
+            history: { undoStack: [], redoStack: [] },
+            viewport: { zoom: 1, panX: 0, panY: 0 }
+        };
+    }
+
+    /**
+     * Copy the state of the active document into its entry
+     */
+    storeActiveDocument() {
+        const documentState = this.documents.find(entry => entry.id === this.activeDocumentId);
+        if (!documentState) return;
+
+        documentState.fileName = this.applicationState.currentFileName;
+        documentState.originalSVG = this.svgData.originalSVG;
+        documentState.elementDataMap = new Map(this.elementData.elementDataMap);
+        documentState.history = this.history;
+        documentState.viewport = this.getViewportState();
+    }
+
+    /**
+     * Make a document's state the current state
+     *
+     * The element data map is refilled in place because other modules keep
+     * a reference to it.
+     *
+     * @param {Object} documentState - Document state
+     */
+    loadDocumentState(documentState) {
+        // An active document changes, its stored copy is rewritten once it is inactive again
+        this.storedDocumentIds.delete(documentState.id);
+
+        this.applicationState.currentFileName = documentState.fileName;
+        this.svgData = {
+            originalSVG: documentState.originalSVG,
+            displayCloneSVG: null,
+            measurementCloneSVG: null
+        };
+
+        this.elementData.elementDataMap.clear();
+        this.elementData.shaperAttributes.clear();
+        documentState.elementDataMap.forEach((data, appId) => {
+            this.elementData.elementDataMap.set(appId, data);
+        });
+
+        this.history = documentState.history;
+
+        this.settings.zoom = documentState.viewport.zoom;
+        this.settings.panX = documentState.viewport.panX;
+        this.settings.panY = documentState.viewport.panY;
+    }
+
+    /**
+     * Convert a document into its stored form
+     * @param {Object} documentState - Document state
+     * @returns {Object} JSON-compatible document
+     */
+    serializeDocument(documentState) {
+        return {
+            id: documentState.id,
+            fileName: documentState.fileName,
+            originalSVG: documentState.originalSVG,
+            elementData: Array.from(documentState.elementDataMap.entries()).map(([id, data]) => ({
+                appId: id,
+                data: data
+            })),
+            history: documentState.history,
+            zoom: documentState.viewport.zoom,
+            panX: documentState.viewport.panX,
+            panY: documentState.viewport.panY
+        };
+    }
+
+    /**
+     * Restore a document from its stored form
+     * @param {Object} saved - Stored document from serializeDocument()
+     * @returns {Object} Document state
+     */
+    deserializeDocument(saved) {
+        const documentState = this.createDocumentState(saved.fileName || null);
+        documentState.id = saved.id;
+        documentState.originalSVG = saved.originalSVG || null;
+
+        if (Array.isArray(saved.elementData)) {
+            saved.elementData.forEach(item => {
+                if (item.appId && item.data) {
+                    documentState.elementDataMap.set(item.appId, item.data);
+                }
+            });
+        }
+        if (saved.history && Array.isArray(saved.history.undoStack) && Array.isArray(saved.history.redoStack)) {
+            documentState.history = saved.history;
+        }
+        documentState.viewport = {
+            zoom: typeof saved.zoom === 'number' ? saved.zoom : 1,
+            panX: typeof saved.panX === 'number' ? saved.panX : 0,
+            panY: typeof saved.panY === 'number' ? saved.panY : 0
+        };
+        return documentState;
+    }
+
+    // ============================================================================
+    // HISTORY MANAGEMENT
+    // ============================================================================
+
+    /**
+     * Set undo/redo history state
+     * @param {Array} undoStack - Recorded commands, oldest first
+     * @param {Array} redoStack - Undone commands, most recent last
+     */
+    setHistoryState(undoStack, redoStack) {
+        this.history.undoStack = undoStack;
+        this.history.redoStack = redoStack;
+        this.scheduleSave();
+    }
+
+    /**
+     * Get undo/redo history state
+     * @returns {Object} History state {undoStack, redoStack}
+     */
+    getHistoryState() {
+        return this.history;
+    }
+
+    /**
+     * Clear undo/redo history
+     */
+    clearHistory() {
+        this.history.undoStack = [];
+        this.history.redoStack = [];
+        this.scheduleSave();
+    }
+
+    // ============================================================================
+    // COLOR RULES MANAGEMENT
+    // ============================================================================
+
+    /**
+     * Set color → recipe rules
+     * @param {Array} rules - Rules {color, target, cutType, cutDepth, cutOffset, toolDia} (measurements as pixel strings)
+     */
+    setColorRules(rules) {
+        this.colorRules = rules;
+        this.scheduleSave();
+    }
+
+    /**
+     * Get color → recipe rules
+     * @returns {Array} Color rules
+     */
+    getColorRules() {
+        return this.colorRules;
+    }
+
+    // ============================================================================
+    // TOOL LIBRARY MANAGEMENT
+    // ============================================================================
+
+    /**
+     * Set tool library
+     * @param {Array} tools - Tools {id, name, unit, diameter, fluteLength, maxDepth, bitType, depthPerPass,
+     *     feedRate, stepOver} (lengths and feed rates as pixel strings)
+     */
+    setToolLibrary(tools) {
+        this.toolLibrary = tools;
+        this.scheduleSave();
+    }
+
+    /**
+     * Get tool library
+     * @returns {Array|null} Tools or null if the library was never seeded
+     */
+    getToolLibrary() {
+        return this.toolLibrary;
+    }
+
+    // ============================================================================
+    // CUT RECIPES MANAGEMENT
+    // ============================================================================
+
+    /**
+     * Set cut recipes
+     * @param {Array} recipes - Recipes {id, name, unit, cutType, cutDepth, cutOffset, toolDia} (measurements as pixel strings)
+     */
+    setCutRecipes(recipes) {
+        this.cutRecipes = recipes;
+        this.scheduleSave();
+    }
+
+    /**
+     * Get cut recipes
+     * @returns {Array} Recipes in shortcut order
+     */
+    getCutRecipes() {
+        return this.cutRecipes;
+    }
+
     // ============================================================================
     // SETTINGS MANAGEMENT
     // ============================================================================
 
     /**
      * Set measurement units
-     * @param {string} units - 'mm' or 'in'
+     * @param {string} units - 'mm', 'cm', 'in' or 'thou'
      */
     setUnits(units) {
         this.settings.units = units;
@@ -290,6 +633,23 @@ class MetaData {
         return this.settings.units;
     }
 
+    /**
+     * Set the denominator for fractional inch display
+     * @param {number} denominator - Finest fraction (e.g., 64), 0 for decimal inches
+     */
+    setFractionDenominator(denominator) {
+        this.settings.fractionDenominator = denominator;
+        this.scheduleSave();
+    }
+
+    /**
+     * Get the denominator for fractional inch display
+     * @returns {number} Finest fraction, 0 for decimal inches
+     */
+    getFractionDenominator() {
+        return this.settings.fractionDenominator;
+    }
+
     /**
      * Set decimal separator
      * @param {string} separator - '.' or ','
@@ -317,7 +677,7 @@ class MetaData {
         this.settings.zoom = zoom;
         this.settings.panX = panX;
         this.settings.panY = panY;
-        this.scheduleSave();
+        this.saveViewportOnly();
     }
 
     /**
@@ -354,48 +714,215 @@ class MetaData {
         };
     }
 
+    /**
+     * Set toolpath preview visibility
+     * @param {boolean} enabled - Whether the tool swath preview is shown
+     */
+    setToolpathPreviewEnabled(enabled) {
+        this.settings.toolpathPreviewEnabled = enabled;
+        this.scheduleSave();
+    }
+
+    /**
+     * Get toolpath preview visibility
+     * @returns {boolean} Whether the tool swath preview is shown
+     */
+    isToolpathPreviewEnabled() {
+        return this.settings.toolpathPreviewEnabled;
+    }
+
+    /**
+     * Set export style mode
+     * @param {boolean} enabled - Whether export applies Cut Style Guide colors
+     */
+    setExportCutStyleEnabled(enabled) {
+        this.settings.exportCutStyle = enabled;
+        this.scheduleSave();
+    }
+
+    /**
+     * Get export style mode
+     * @returns {boolean} Whether export applies Cut Style Guide colors
+     */
+    isExportCutStyleEnabled() {
+        return this.settings.exportCutStyle;
+    }
+
+    /**
+     * Set export mode of group-level shaper attributes
+     * @param {boolean} keep - Whether export keeps attributes on groups (false = flatten onto elements)
+     */
+    setExportKeepGroupAttributesEnabled(keep) {
+        this.settings.exportKeepGroupAttributes = keep;
+        this.scheduleSave();
+    }
+
+    /**
+     * Get export mode of group-level shaper attributes
+     * @returns {boolean} Whether export keeps attributes on groups
+     */
+    isExportKeepGroupAttributesEnabled() {
+        return this.settings.exportKeepGroupAttributes;
+    }
+
+    /**
+     * Set project material settings used for cut depth checks
+     * @param {number|null} thickness - Material thickness in pixels (null = not set)
+     * @param {number} spoilboardAllowance - Allowed cut into the spoilboard in pixels
+     */
+    setMaterialSettings(thickness, spoilboardAllowance) {
+        this.settings.materialThickness = thickness;
+        this.settings.spoilboardAllowance = spoilboardAllowance || 0;
+        this.scheduleSave();
+    }
+
+    /**
+     * Get project material settings
+     * @returns {Object} Material settings {thickness, spoilboardAllowance} in pixels
+     */
+    getMaterialSettings() {
+        return {
+            thickness: this.settings.materialThickness,
+            spoilboardAllowance: this.settings.spoilboardAllowance
+        };
+    }
+
     // ============================================================================
     // PERSISTENCE MANAGEMENT
     // ============================================================================
 
     /**
      * Save all data to localStorage
+     *
+     * Settings and libraries share one key, every open document has its own.
+     * The active document is stored first (without its undo history if it
+     * doesn't fit otherwise), so it is kept when the others exceed the
+     * storage quota.
      */
     saveToLocalStorage() {
+        const unsaved = [];
         try {
+            this.storeActiveDocument();
+
             const persistentData = {
                 // Application settings
                 units: this.settings.units,
+                fractionDenominator: this.settings.fractionDenominator,
                 decimalSeparator: this.settings.decimalSeparator,
                 dpi: this.settings.dpi,
 
-                // Viewport state
-                zoom: this.settings.zoom,
-                panX: this.settings.panX,
-                panY: this.settings.panY,
-
                 // Gutter settings
                 gutterEnabled: this.settings.gutterEnabled,
                 gutterSizeRawMm: this.settings.gutterSizeRawMm,
 
-                // SVG data
-                originalSVG: this.svgData.originalSVG,
-                displayCloneSVG: this.svgData.displayCloneSVG,
-                measurementCloneSVG: this.svgData.measurementCloneSVG,
+                // Toolpath preview
+                toolpathPreviewEnabled: this.settings.toolpathPreviewEnabled,
+
+                // Export style
+                exportCutStyle: this.settings.exportCutStyle,
+                exportKeepGroupAttributes: this.settings.exportKeepGroupAttributes,
 
-                // File state
-                fileName: this.applicationState.currentFileName,
+                // Material settings
+                materialThickness: this.settings.materialThickness,
+                spoilboardAllowance: this.settings.spoilboardAllowance,
 
-                // Element data
-                elementData: Array.from(this.elementData.elementDataMap.entries()).map(([id, data]) => ({
-                    appId: id,
-                    data: data
-                }))
+                // Color → recipe rules
+                colorRules: this.colorRules,
+
+                // Tool library
+                toolLibrary: this.toolLibrary,
+
+                // Cut recipes
+                cutRecipes: this.cutRecipes,
+
+                // Open documents in tab order, each stored under its own key
+                documentIds: this.documents.map(documentState => documentState.id),
+                activeDocumentId: this.activeDocumentId
             };
+            localStorage.setItem(MetaData.STORAGE_KEY, JSON.stringify(persistentData));
+
+            const activeDocument = this.documents.find(entry => entry.id === this.activeDocumentId);
+            if (activeDocument && !this.saveDocument(activeDocument)) {
+                unsaved.push(this.saveDocument(activeDocument, false)
+                    ? `${activeDocument.fileName} (undo history)`
+                    : activeDocument.fileName);
+            }
+            this.documents.forEach(documentState => {
+                if (documentState === activeDocument || this.storedDocumentIds.has(documentState.id)) return;
+                if (this.saveDocument(documentState)) {
+                    this.storedDocumentIds.add(documentState.id);
+                } else {
+                    unsaved.push(documentState.fileName);
+                }
+            });
 
-            localStorage.setItem('shaperEditorSettings', JSON.stringify(persistentData));
+            this.removeStoredDocuments(this.documents.map(documentState => documentState.id));
+            this.saveViewportOnly();
         } catch (error) {
             console.warn('Failed to save to localStorage:', error);
+            if (this.isQuotaError(error) && unsaved.length === 0) {
+                unsaved.push(...this.documents.map(documentState => documentState.fileName));
+            }
+        }
+        this.reportStorageFull(unsaved);
+    }
+
+    /**
+     * Store a document under its own key
+     *
+     * @param {Object} documentState - Document state
+     * @param {boolean} keepHistory - Whether to store the undo/redo history
+     * @returns {boolean} False if localStorage is full
+     */
+    saveDocument(documentState, keepHistory = true) {
+        const saved = this.serializeDocument(documentState);
+        if (!keepHistory) {
+            saved.history = { undoStack: [], redoStack: [] };
+        }
+
+        try {
+            localStorage.setItem(MetaData.DOCUMENT_STORAGE_PREFIX + documentState.id, JSON.stringify(saved));
+            return true;
+        } catch (error) {
+            if (!this.isQuotaError(error)) throw error;
+            return false;
+        }
+    }
+
+    /**
+     * Remove stored documents that are no longer open
+     * @param {Array<string>} keepIds - Ids of the documents to keep
+     */
+    removeStoredDocuments(keepIds) {
+        const keep = new Set(keepIds);
+        for (let index = localStorage.length - 1; index >= 0; index--) {
+            const key = localStorage.key(index);
+            if (key && key.startsWith(MetaData.DOCUMENT_STORAGE_PREFIX) &&
+                !keep.has(key.slice(MetaData.DOCUMENT_STORAGE_PREFIX.length))) {
+                localStorage.removeItem(key);
+            }
+        }
+    }
+
+    /**
+     * Check whether a localStorage error means the storage quota is exceeded
+     * @param {Error} error - Error thrown by localStorage.setItem()
+     * @returns {boolean} True for quota errors
+     */
+    isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+    }
+
+    /**
+     * Tell the user once when documents stop fitting into localStorage
+     * @param {Array<string>} unsaved - File names that were not (completely) stored
+     */
+    reportStorageFull(unsaved) {
+        const wasFull = this.storageFull;
+        this.storageFull = unsaved.length > 0;
+        if (this.storageFull && !wasFull && this.onStorageFull) {
+            this.onStorageFull(unsaved);
         }
     }
 
@@ -404,17 +931,43 @@ class MetaData {
      */
     saveViewportOnly() {
         try {
-            const savedSettings = localStorage.getItem('shaperEditorSettings');
-            let settings = savedSettings ? JSON.parse(savedSettings) : {};
+            localStorage.setItem(MetaData.VIEWPORT_STORAGE_KEY, JSON.stringify({
+                documentId: this.activeDocumentId,
+                ...this.getViewportState()
+            }));
+        } catch (error) {
+            console.warn('Failed to save viewport state:', error);
+        }
+    }
+
+    /**
+     * Restore a stored document
+     * @param {string} documentId - Document id
+     * @returns {Object|null} Document state, null if missing or unreadable
+     */
+    loadDocument(documentId) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(MetaData.DOCUMENT_STORAGE_PREFIX + documentId));
+            return saved && saved.id === documentId ? this.deserializeDocument(saved) : null;
+        } catch (error) {
+            console.warn(`Failed to load document ${documentId}:`, error);
+            return null;
+        }
+    }
 
-            // Update only viewport state
-            settings.zoom = this.settings.zoom;
-            settings.panX = this.settings.panX;
-            settings.panY = this.settings.panY;
+    /**
+     * Restore the viewport of the active document saved after its last full save
+     */
+    loadViewport() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(MetaData.VIEWPORT_STORAGE_KEY));
+            if (!saved || saved.documentId !== this.activeDocumentId) return;
 
-            localStorage.setItem('shaperEditorSettings', JSON.stringify(settings));
+            if (typeof saved.zoom === 'number') this.settings.zoom = saved.zoom;
+            if (typeof saved.panX === 'number') this.settings.panX = saved.panX;
+            if (typeof saved.panY === 'number') this.settings.panY = saved.panY;
         } catch (error) {
-            console.warn('Failed to save viewport state:', error);
+            console.warn('Failed to load viewport state:', error);
         }
     }
 
@@ -423,12 +976,13 @@ class MetaData {
      */
     loadFromLocalStorage() {
         try {
-            const savedSettings = localStorage.getItem('shaperEditorSettings');
+            const savedSettings = localStorage.getItem(MetaData.STORAGE_KEY);
             if (savedSettings) {
                 const settings = JSON.parse(savedSettings);
 
                 // Load application settings
                 if (settings.units) this.settings.units = settings.units;
+                if (typeof settings.fractionDenominator === 'number') this.settings.fractionDenominator = settings.fractionDenominator;
                 if (settings.decimalSeparator) this.settings.decimalSeparator = settings.decimalSeparator;
                 if (settings.dpi) this.settings.dpi = settings.dpi;
 
@@ -441,6 +995,17 @@ class MetaData {
                 if (typeof settings.gutterEnabled === 'boolean') this.settings.gutterEnabled = settings.gutterEnabled;
                 if (typeof settings.gutterSizeRawMm === 'number') this.settings.gutterSizeRawMm = settings.gutterSizeRawMm;
 
+                // Load toolpath preview setting
+                if (typeof settings.toolpathPreviewEnabled === 'boolean') this.settings.toolpathPreviewEnabled = settings.toolpathPreviewEnabled;
+
+                // Load export style setting
+                if (typeof settings.exportCutStyle === 'boolean') this.settings.exportCutStyle = settings.exportCutStyle;
+                if (typeof settings.exportKeepGroupAttributes === 'boolean') this.settings.exportKeepGroupAttributes = settings.exportKeepGroupAttributes;
+
+                // Load material settings
+                if (typeof settings.materialThickness === 'number') this.settings.materialThickness = settings.materialThickness;
+                if (typeof settings.spoilboardAllowance === 'number') this.settings.spoilboardAllowance = settings.spoilboardAllowance;
+
                 // Load SVG data
                 if (settings.originalSVG) this.svgData.originalSVG = settings.originalSVG;
                 if (settings.displayCloneSVG) this.svgData.displayCloneSVG = settings.displayCloneSVG;
@@ -459,7 +1024,45 @@ class MetaData {
                     });
                 }
 
-                return settings;
+                // Load color → recipe rules
+                if (Array.isArray(settings.colorRules)) this.colorRules = settings.colorRules;
+
+                // Load tool library
+                if (Array.isArray(settings.toolLibrary)) this.toolLibrary = settings.toolLibrary;
+
+                // Load cut recipes
+                if (Array.isArray(settings.cutRecipes)) this.cutRecipes = settings.cutRecipes;
+
+                // Load undo/redo history
+                if (settings.history && Array.isArray(settings.history.undoStack) && Array.isArray(settings.history.redoStack)) {
+                    this.history.undoStack = settings.history.undoStack;
+                    this.history.redoStack = settings.history.redoStack;
+                }
+
+                // Load open documents; earlier versions stored all of them (or, before
+                // tabs, the only document) in this key
+                if (Array.isArray(settings.documentIds)) {
+                    this.documents = settings.documentIds.map(id => this.loadDocument(id)).filter(Boolean);
+                    const activeDocument = this.documents.find(entry => entry.id === settings.activeDocumentId) ||
+                        this.documents[0] || null;
+                    if (activeDocument) {
+                        this.loadDocumentState(activeDocument);
+                        this.activeDocumentId = activeDocument.id;
+                        this.loadViewport();
+                    }
+                    this.storedDocumentIds = new Set(this.documents
+                        .filter(entry => entry !== activeDocument)
+                        .map(entry => entry.id));
+                } else if (Array.isArray(settings.documents) && settings.documents.some(saved => saved.id === settings.activeDocumentId)) {
+                    this.documents = settings.documents.map(saved => this.deserializeDocument(saved));
+                    this.activeDocumentId = settings.activeDocumentId;
+                } else if (this.svgData.originalSVG) {
+                    const documentState = this.createDocumentState(this.applicationState.currentFileName);
+                    this.documents = [documentState];
+                    this.activeDocumentId = documentState.id;
+                }
+
+                return { ...settings, ...this.getViewportState() };
             }
         } catch (error) {
             console.warn('Failed to load from localStorage:', error);
@@ -485,6 +1088,14 @@ class MetaData {
         this.elementData.elementDataMap.clear();
         this.elementData.shaperAttributes.clear();
 
+        // Clear undo/redo history
+        this.history.undoStack = [];
+        this.history.redoStack = [];
+
+        // Close all documents
+        this.documents = [];
+        this.activeDocumentId = null;
+
         // Reset settings to defaults
         this.settings.zoom = 1.0;
         this.settings.panX = 0;
@@ -523,7 +1134,9 @@ class MetaData {
      */
     clearLocalStorage() {
         try {
-            localStorage.removeItem('shaperEditorSettings');
+            localStorage.removeItem(MetaData.STORAGE_KEY);
+            localStorage.removeItem(MetaData.VIEWPORT_STORAGE_KEY);
+            this.removeStoredDocuments([]);
             console.log('DEBUG: localStorage cleared');
         } catch (error) {
             console.warn('Failed to clear localStorage:', error);
@@ -535,13 +1148,13 @@ class MetaData {
      */
     debugLocalStorage() {
         try {
-            const savedSettings = localStorage.getItem('shaperEditorSettings');
+            const savedSettings = localStorage.getItem(MetaData.STORAGE_KEY);
             if (savedSettings) {
                 const settings = JSON.parse(savedSettings);
                 console.log('DEBUG: localStorage content:', settings);
-                if (settings.elementData) {
-                    console.log('DEBUG: elementData in localStorage:', settings.elementData);
-                }
+                (settings.documentIds || []).forEach(id => {
+                    console.log(`DEBUG: document ${id} in localStorage:`, this.loadDocument(id));
+                });
             } else {
                 console.log('DEBUG: No localStorage data found');
             }
@@ -568,6 +1181,10 @@ class MetaData {
         this.elementData.elementDataMap.clear();
         this.elementData.shaperAttributes.clear();
 
+        // Clear undo/redo history
+        this.history.undoStack = [];
+        this.history.redoStack = [];
+
         // Force save to localStorage
         this.forceSave();
 
@@ -9,6 +9,7 @@
  * - Batch editing for multiple selected paths
  * - Custom cut type slider with visual feedback
  * - Quick-select value buttons for common values
+ * - Tool picker and tool diameter buttons from the tool library
  * - Unit conversion and display formatting
  * - Form validation and error handling
  */
@@ -18,10 +19,12 @@ class ModalDialog {
      *
      * @param {MeasurementSystem} measurementSystem - Unit conversion and validation
      * @param {ElementManager} elementManager - SVG element operations and selection
+     * @param {ToolLibrary} toolLibrary - Named tools for the tool picker and tool diameter buttons
      */
-    constructor(measurementSystem, elementManager) {
+    constructor(measurementSystem, elementManager, toolLibrary = null) {
         this.measurementSystem = measurementSystem;
         this.elementManager = elementManager;
+        this.toolLibrary = toolLibrary;
 
         // Initialize DRY utilities helper
         this.dryUtils = new DRYUtilities(measurementSystem);
@@ -32,6 +35,7 @@ class ModalDialog {
 
         // Dynamic suggestion button configuration
         // Only specify one value (mm OR in), the other gets calculated automatically
+        // Tool diameter buttons are generated from the tool library (see getSuggestionConfigs)
         this.suggestionButtons = {
             cutDepth: {
                 mm: [
@@ -71,23 +75,22 @@ class ModalDialog {
                     { valueIn: (1/16), buttonText: '1/16' },
                     { valueIn: (1/8), buttonText: '1/8' }
                 ]
-            },
-            toolDia: {
-                mm: [
-                    { valueMm: 0.5, buttonText: '0.5' },
-                    { valueMm: 3, buttonText: '3.0' },
-                    { valueMm: 6, buttonText: '6.0' },
-                    { valueMm: 8, buttonText: '8.0' },
-                ],
-                in: [
-                    { valueIn: 0.02, buttonText: '0.02' },
-                    { valueIn: (1/8), buttonText: '1/8' },
-                    { valueIn: (1/4), buttonText: '1/4' },
-                    { valueIn: (5/16), buttonText: '5/16' },
-                ]
             }
         };
 
+        // Tool picker components
+        this.toolPicker = null;
+
+        // Callback for opening the tool library editor
+        this.onManageTools = null;
+
+        // Cut depth warning line and the callback computing its messages
+        this.depthWarning = null;
+        this.getDepthWarnings = null;
+
+        // Line naming the groups the edited elements inherit values from
+        this.inheritanceNote = null;
+
         // Cut type slider components
         this.cutTypeOptions = null;
         this.cutTypeIndicator = null;
@@ -104,12 +107,21 @@ class ModalDialog {
     initialize() {
         // Bind modal dialog elements using DRY utilities
         DRYUtilities.bindElements({
-            modal: 'attributeModal'
+            modal: 'attributeModal',
+            toolPicker: 'toolPicker',
+            depthWarning: 'cutDepthWarning',
+            inheritanceNote: 'attributeInheritanceNote'
         }, this);
 
         // Initialize cut type slider
         this.initializeCutTypeSlider();
 
+        // Initialize tool picker
+        this.initializeToolPicker();
+
+        // Initialize live cut depth warning
+        this.initializeDepthWarning();
+
         // Initialize value button handlers
         this.initializeValueButtons();
     }
@@ -147,6 +159,9 @@ class ModalDialog {
             this.setupSingleElementForm(path);
         }
 
+        this.updateDepthWarning();
+        this.updateInheritanceNote(selectedElementsInfo ? selectedElementsInfo.map(info => info.element) : [path]);
+
         this.modal.style.display = 'flex';
         console.log('=== MODAL DIALOG OPENED ===');
     }
@@ -195,6 +210,12 @@ class ModalDialog {
         console.log('Setting up cut type for multi-element...');
         this.setupCutTypeForMultiElement(commonValues.cutType);
 
+        // Select the tool shared by all elements, if any
+        const toolIds = new Set(selectedElementsInfo.map(info =>
+            (info.shaperAttributes || {})[ShaperConstants.TOOL_ID_KEY] || ''
+        ));
+        this.selectToolForForm(toolIds.size === 1 ? [...toolIds][0] : null);
+
         console.log('=== MULTI-ELEMENT FORM SETUP COMPLETE ===');
     }
 
@@ -212,6 +233,9 @@ class ModalDialog {
         document.getElementById('cutDepth').value = '';
         document.getElementById('cutOffset').value = '';
         document.getElementById('toolDia').value = '';
+        if (this.toolPicker) {
+            this.toolPicker.value = '';
+        }
     }
 
     /**
@@ -224,9 +248,8 @@ class ModalDialog {
      * @param {Element} path - SVG path element to read attributes from
      */
     populateAttributeForm(path) {
-        // Extract shaper attributes from cached element data
-        const dimensions = this.elementManager.getElementDimensions(path);
-        const shaperAttrs = dimensions.shaperAttributes || {};
+        // Extract shaper attributes from cached element data, including values inherited from groups
+        const shaperAttrs = this.elementManager.getEffectiveAttributes(path);
 
         // Get cut type for slider positioning
         const cutType = shaperAttrs['shaper:cutType'] || '';
@@ -241,20 +264,12 @@ class ModalDialog {
                 // Convert from pixel storage to current display units
                 const pixelValue = DRYUtilities.parseNumericValue(value);
                 if (pixelValue !== 0 || value === '0') {
-                    const formattedValue = this.measurementSystem.formatDisplayNumber(
-                        this.measurementSystem.convertPixelsToCurrentUnit(pixelValue)
-                    );
-                    input.value = formattedValue;
-
-                    // Initialize raw value for focus loss handling
-                    if (window.svgShaperEditor && window.svgShaperEditor.initializeRawValue) {
-                        window.svgShaperEditor.initializeRawValue(input, formattedValue, this.measurementSystem.units);
-                    }
+                    this.setMeasurementInput(input, pixelValue);
                 } else {
-                    input.value = '';
+                    this.setMeasurementInput(input, null);
                 }
             } else {
-                input.value = '';
+                this.setMeasurementInput(input, null);
             }
         });
 
@@ -263,6 +278,31 @@ class ModalDialog {
 
         // Update unit labels to match current measurement system
         this.updateDialogUnits();
+
+        // Select the remembered tool (or the library tool matching the diameter)
+        this.selectToolForForm(shaperAttrs[ShaperConstants.TOOL_ID_KEY]);
+    }
+
+    /**
+     * Show a stored length in a measurement input
+     *
+     * Keeps the exact value as raw value, so rounded displays (e.g., fractional
+     * inches) don't change the value on save.
+     *
+     * @param {Element} input - Measurement input (cutDepth, cutOffset, toolDia)
+     * @param {number|null} pixelValue - Length in pixels, null to clear the input
+     */
+    setMeasurementInput(input, pixelValue) {
+        DRYUtilities.setInputError(input, null);
+        if (pixelValue === null || isNaN(pixelValue)) {
+            input.value = '';
+            delete input.dataset.rawValueMm;
+            return;
+        }
+        input.value = this.measurementSystem.formatDisplayNumber(
+            this.measurementSystem.convertPixelsToCurrentUnit(pixelValue)
+        );
+        input.dataset.rawValueMm = this.measurementSystem.convertBetweenUnits(pixelValue, 'px', 'mm').toString();
     }
 
     /**
@@ -279,19 +319,39 @@ class ModalDialog {
 
         // Update suggestion button values and displays based on current unit
         this.updateSuggestionButtons();
+
+        // Tool picker labels show diameters in the current unit
+        this.renderToolPicker(this.toolPicker ? this.toolPicker.value : '');
+    }
+
+    /**
+     * Get suggestion button configurations of a field for a unit system
+     *
+     * @param {string} fieldName - Input id (cutDepth, cutOffset, toolDia)
+     * @param {string} unit - Current unit system ('mm' or 'in')
+     * @returns {Array<Object>} Button configs {valueMm|valueIn, buttonText, toolId?, title?}
+     */
+    getSuggestionConfigs(fieldName, unit) {
+        if (fieldName === 'toolDia') {
+            return this.toolLibrary ? this.toolLibrary.getSuggestionButtons(unit) : [];
+        }
+        return (this.suggestionButtons[fieldName] && this.suggestionButtons[fieldName][unit]) || [];
     }
 
     /**
      * Create and update suggestion buttons dynamically based on configuration
      *
      * Generates buttons from suggestionButtons object with different sets
-     * for mm vs inches based on current unit system.
+     * for mm vs inches based on current unit system. Tool diameter buttons
+     * come from the tool library. In cm and thou the buttons of the unit
+     * system show their converted values.
      */
     updateSuggestionButtons() {
         const currentUnit = this.measurementSystem.units;
+        const unitSystem = this.measurementSystem.getUnitSystem();
 
         // Process each field that has suggestion buttons
-        Object.keys(this.suggestionButtons).forEach(fieldName => {
+        [...Object.keys(this.suggestionButtons), 'toolDia'].forEach(fieldName => {
             const container = document.querySelector(`#${fieldName}`).closest('.input-container').querySelector('.input-buttons');
             if (!container) return;
 
@@ -319,7 +379,7 @@ class ModalDialog {
             }
 
             // Get configuration for current unit
-            const buttonConfigs = this.suggestionButtons[fieldName][currentUnit] || [];
+            const buttonConfigs = this.getSuggestionConfigs(fieldName, unitSystem);
 
             // Create buttons dynamically
             buttonConfigs.forEach(config => {
@@ -327,6 +387,10 @@ class ModalDialog {
                 button.type = 'button';
                 button.className = 'value-btn';
                 button.dataset.target = fieldName;
+                if (config.toolId) {
+                    button.dataset.toolId = config.toolId;
+                    button.title = config.title;
+                }
 
                 // Calculate missing value using measurement system conversion
                 let valueMm, valueIn;
@@ -345,10 +409,16 @@ class ModalDialog {
                 button.dataset.valueIn = valueIn.toString();
 
                 // Set the value that goes into input field based on current unit
-                button.dataset.value = currentUnit === 'mm' ? valueMm.toString() : valueIn.toString();
+                const value = currentUnit === unitSystem
+                    ? (unitSystem === 'mm' ? valueMm : valueIn)
+                    : this.measurementSystem.convertBetweenUnits(valueMm, 'mm', currentUnit);
+                button.dataset.value = value.toString();
 
                 // Set display text - for inches, always use HTML fraction formatting if it contains a fraction
-                if (currentUnit === 'in' && config.buttonText.includes('/')) {
+                if (currentUnit !== unitSystem) {
+                    // cm and thou show the preset converted to the current unit
+                    button.textContent = this.measurementSystem.formatDecimalNumber(value);
+                } else if (currentUnit === 'in' && config.buttonText.includes('/')) {
                     const htmlFraction = this.convertToHTMLFraction(config.buttonText);
                     button.innerHTML = htmlFraction;
                     button.classList.add('fraction');
@@ -430,6 +500,8 @@ class ModalDialog {
 
         // Set hidden form input value
         this.cutTypeInput.value = this.cutTypeOptions[index].getAttribute('data-type');
+
+        this.updateDepthWarning();
     }
 
     /**
@@ -527,6 +599,12 @@ class ModalDialog {
                     return; // Don't set value if field is in no-modify state
                 }
 
+                // Tool buttons select the library tool (exact diameter, remembered tool)
+                if (newButton.dataset.toolId) {
+                    this.applyTool(newButton.dataset.toolId);
+                    return;
+                }
+
                 if (targetInput && value) {
                     let numericValue = parseFloat(value);
 
@@ -541,6 +619,10 @@ class ModalDialog {
 
                     const formattedValue = this.measurementSystem.formatDisplayNumber(numericValue);
                     targetInput.value = formattedValue;
+                    targetInput.dataset.rawValueMm = this.measurementSystem.convertBetweenUnits(
+                        numericValue, this.measurementSystem.units, 'mm'
+                    ).toString();
+                    DRYUtilities.setInputError(targetInput, null);
 
                     console.log('Value set:', formattedValue); // Debug log
 
@@ -575,17 +657,19 @@ class ModalDialog {
             return;
         }
 
-        // Handle both decimal separators (. and ,)
-        const normalizedValue = currentValue.replace(',', '.');
-
-        // Parse the current numeric value
-        const numericValue = parseFloat(normalizedValue);
-        if (isNaN(numericValue)) return;
+        // Parse the current value (decimal separators, fractions and unit suffixes)
+        const numericValue = this.measurementSystem.parseValueWithUnits(currentValue);
+        if (numericValue === null || isNaN(numericValue)) return;
 
-        // Toggle the sign
+        // Toggle the sign, keeping the exact raw value if the display still shows it
         const newValue = -numericValue;
-        const formattedValue = this.measurementSystem.formatDisplayNumber(newValue);
-        input.value = formattedValue;
+        const rawValueMm = parseFloat(input.dataset.rawValueMm);
+        const displayedRaw = this.measurementSystem.convertBetweenUnits(rawValueMm, 'mm', this.measurementSystem.units);
+        input.dataset.rawValueMm = (!isNaN(rawValueMm) && this.measurementSystem.formatDisplayNumber(displayedRaw) === currentValue
+            ? -rawValueMm
+            : this.measurementSystem.convertBetweenUnits(newValue, this.measurementSystem.units, 'mm')).toString();
+        input.value = this.measurementSystem.formatDisplayNumber(newValue);
+        DRYUtilities.setInputError(input, null);
     }
 
     /**
@@ -600,9 +684,8 @@ class ModalDialog {
         const currentValue = input.value.trim();
         if (!currentValue || currentValue === '') return 1;
 
-        // Handle both decimal separators
-        const normalizedValue = currentValue.replace(',', '.');
-        const numericValue = parseFloat(normalizedValue);
+        // Handle decimal separators and fractions
+        const numericValue = this.measurementSystem.parseValueWithUnits(currentValue);
 
         return (numericValue < 0) ? -1 : 1;
     }
@@ -697,6 +780,9 @@ class ModalDialog {
             input.disabled = true;
             console.log(`${inputId}: No-modify activated, input disabled`);
         }
+
+        this.updateToolPickerState();
+        this.updateDepthWarning();
     }
 
     /**
@@ -714,6 +800,8 @@ class ModalDialog {
         button.classList.add('active');
         input.disabled = true;
         console.log(`${inputId}: No-modify automatically activated, input disabled`);
+
+        this.updateToolPickerState();
     }
 
     /**
@@ -727,6 +815,17 @@ class ModalDialog {
         return button && button.classList.contains('active');
     }
 
+    /**
+     * Check whether a measurement input shows an error
+     * @returns {boolean} True if a value can't be evaluated or is out of range
+     */
+    hasInputErrors() {
+        return ShaperConstants.MEASUREMENT_ATTRIBUTES.some(inputId => {
+            const input = document.getElementById(inputId);
+            return input && !this.isNoModify(inputId) && input.classList.contains('error');
+        });
+    }
+
     /**
      * Get form values, excluding no-modify fields
      *
@@ -745,6 +844,11 @@ class ModalDialog {
             }
         });
 
+        // Remember the picked tool together with the tool diameter
+        if (!this.isNoModify('toolDia') && this.toolPicker) {
+            values.toolId = this.toolPicker.value;
+        }
+
         // Check cut type (only if no-modify option is not selected)
         const cutTypeValue = this.cutTypeInput ? this.cutTypeInput.value : '';
         if (cutTypeValue !== 'no-modify') {
@@ -812,17 +916,14 @@ class ModalDialog {
                     // Convert from pixel storage to display units
                     const pixelValue = DRYUtilities.parseNumericValue(commonValue);
                     if (pixelValue !== 0 || commonValue === '0') {
-                        const formattedValue = this.measurementSystem.formatDisplayNumber(
-                            this.measurementSystem.convertPixelsToCurrentUnit(pixelValue)
-                        );
-                        input.value = formattedValue;
-                        console.log(`  Set ${inputId} value to: ${formattedValue}`);
+                        this.setMeasurementInput(input, pixelValue);
+                        console.log(`  Set ${inputId} value to: ${input.value}`);
                     } else {
-                        input.value = '';
+                        this.setMeasurementInput(input, null);
                         console.log(`  Set ${inputId} to empty (zero pixel value)`);
                     }
                 } else {
-                    input.value = '';
+                    this.setMeasurementInput(input, null);
                     console.log(`  Set ${inputId} to empty (empty common value)`);
                 }
                 // Don't activate no-modify for common values
@@ -905,6 +1006,225 @@ class ModalDialog {
             }
         });
 
+        this.updateToolPickerState();
+
         console.log('All inputs enabled for single-element editing');
     }
+
+    /**
+     * Initialize tool picker and tool library handlers
+     *
+     * Picking a tool writes its diameter into the tool diameter input; typing
+     * a diameter selects the matching library tool or "Custom".
+     */
+    initializeToolPicker() {
+        if (!this.toolPicker) return;
+
+        this.toolPicker.addEventListener('change', () => this.applyTool(this.toolPicker.value));
+
+        const toolDiaInput = document.getElementById('toolDia');
+        toolDiaInput.addEventListener('input', () => this.syncToolPickerToInput());
+        toolDiaInput.addEventListener('blur', () => this.syncToolPickerToInput());
+
+        const manageButton = document.getElementById('toolLibraryManage');
+        if (manageButton) {
+            manageButton.addEventListener('click', () => {
+                if (this.onManageTools) this.onManageTools();
+            });
+        }
+
+        this.renderToolPicker('');
+    }
+
+    /**
+     * Fill the tool picker with the library tools
+     * @param {string} selectedToolId - Tool to select ('' for custom)
+     */
+    renderToolPicker(selectedToolId) {
+        if (!this.toolPicker) return;
+
+        this.toolPicker.innerHTML = '';
+
+        const customOption = document.createElement('option');
+        customOption.value = '';
+        customOption.textContent = 'Custom diameter';
+        this.toolPicker.appendChild(customOption);
+
+        const tools = this.toolLibrary ? this.toolLibrary.getTools() : [];
+        tools.forEach(tool => {
+            const option = document.createElement('option');
+            option.value = tool.id;
+            option.textContent = this.toolLibrary.formatToolLabel(tool);
+            this.toolPicker.appendChild(option);
+        });
+
+        this.toolPicker.value = tools.some(tool => tool.id === selectedToolId) ? selectedToolId : '';
+    }
+
+    /**
+     * Select a tool when the form is populated
+     *
+     * Uses the remembered tool if it still exists in the library with the
+     * same diameter, otherwise the library tool matching the tool diameter input.
+     *
+     * @param {string|null} toolId - Remembered tool id
+     */
+    selectToolForForm(toolId) {
+        this.renderToolPicker(toolId);
+        this.syncToolPickerToInput();
+        this.updateToolPickerState();
+    }
+
+    /**
+     * Write the diameter of a library tool into the tool diameter input
+     *
+     * The exact diameter is stored as raw value so the save doesn't depend on
+     * the rounded display value.
+     *
+     * @param {string} toolId - Tool id ('' switches to a custom diameter)
+     */
+    applyTool(toolId) {
+        if (!this.toolPicker || this.isNoModify('toolDia')) return;
+
+        const tool = this.toolLibrary ? this.toolLibrary.getTool(toolId) : null;
+        this.toolPicker.value = tool ? tool.id : '';
+        if (!tool) return;
+
+        const input = document.getElementById('toolDia');
+        this.setMeasurementInput(input, parseFloat(tool.diameter));
+        this.updateDepthWarning();
+    }
+
+    /**
+     * Select the library tool matching the typed tool diameter
+     *
+     * Keeps the current tool if its diameter still matches (several tools may
+     * share a diameter), otherwise picks the first match or "Custom".
+     */
+    syncToolPickerToInput() {
+        if (!this.toolPicker || !this.toolLibrary) return;
+
+        const input = document.getElementById('toolDia');
+        const value = this.measurementSystem.parseValueWithUnits(input.value);
+        const diameterPx = value !== null ? this.measurementSystem.unitsToPixels(value) : NaN;
+
+        const current = this.toolLibrary.getTool(this.toolPicker.value);
+        if (current && Math.abs(parseFloat(current.diameter) - diameterPx) < ToolLibrary.DIAMETER_TOLERANCE_PX) {
+            return;
+        }
+
+        const match = this.toolLibrary.findToolByDiameter(diameterPx);
+        this.toolPicker.value = match ? match.id : '';
+    }
+
+    /**
+     * Name the groups the edited elements inherit values from
+     *
+     * Inherited values are shown in the form; saving keeps them inherited
+     * unless they were changed.
+     *
+     * @param {Array<Element>} elements - Edited elements or groups
+     */
+    updateInheritanceNote(elements) {
+        if (!this.inheritanceNote) return;
+
+        const groupNames = new Set();
+        elements.forEach(element => {
+            if (!element) return;
+            Object.values(this.elementManager.getAttributeInheritance(element)).forEach(entry => {
+                if (entry.state === 'inherited') {
+                    groupNames.add(this.elementManager.getNodeName(entry.group));
+                }
+            });
+        });
+
+        const names = Array.from(groupNames).map(name => `"${name}"`).join(', ');
+        this.inheritanceNote.textContent = groupNames.size > 0
+            ? `Values inherited from ${groupNames.size === 1 ? 'group' : 'groups'} ${names} stay inherited unless changed`
+            : '';
+        this.inheritanceNote.style.display = groupNames.size > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Initialize the live cut depth warning below the cut depth input
+     */
+    initializeDepthWarning() {
+        const cutDepthInput = document.getElementById('cutDepth');
+        if (!this.depthWarning || !cutDepthInput) return;
+
+        cutDepthInput.addEventListener('input', () => this.updateDepthWarning());
+        cutDepthInput.addEventListener('blur', () => this.updateDepthWarning());
+        document.getElementById('toolDia').addEventListener('input', () => this.updateDepthWarning());
+    }
+
+    /**
+     * Read the depth-relevant form values as pixel-based shaper attributes
+     *
+     * @returns {Object} Shaper attributes {shaper:cutType, shaper:cutDepth, shaper:toolDia, toolId}
+     */
+    getFormShaperAttributes() {
+        const attributes = {};
+        const toPixels = (inputId) => {
+            const input = document.getElementById(inputId);
+            const value = input ? this.measurementSystem.parseValueWithUnits(input.value) : null;
+            return value !== null && !isNaN(value) ? this.measurementSystem.unitsToPixels(value).toString() : null;
+        };
+
+        if (this.cutTypeInput) {
+            attributes['shaper:cutType'] = this.cutTypeInput.value;
+        }
+
+        const cutDepth = toPixels('cutDepth');
+        if (cutDepth !== null) {
+            attributes['shaper:cutDepth'] = cutDepth;
+        }
+
+        // The tool only counts if the tool diameter is edited in this dialog
+        const toolDia = toPixels('toolDia');
+        if (toolDia !== null && !this.isNoModify('toolDia')) {
+            attributes['shaper:toolDia'] = toolDia;
+            if (this.toolPicker && this.toolPicker.value) {
+                attributes[ShaperConstants.TOOL_ID_KEY] = this.toolPicker.value;
+            }
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Show warnings for a cut depth deeper than the material or the tool
+     */
+    updateDepthWarning() {
+        if (!this.depthWarning) return;
+
+        const warnings = this.getDepthWarnings && !this.isNoModify('cutDepth')
+            ? this.getDepthWarnings(this.getFormShaperAttributes())
+            : [];
+
+        this.depthWarning.innerHTML = '';
+        warnings.forEach(warning => {
+            const line = document.createElement('div');
+            line.textContent = warning;
+            this.depthWarning.appendChild(line);
+        });
+        this.depthWarning.style.display = warnings.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Disable the tool picker while the tool diameter is not modified
+     */
+    updateToolPickerState() {
+        if (!this.toolPicker) return;
+        this.toolPicker.disabled = this.isNoModify('toolDia');
+    }
+
+    /**
+     * Refresh tool picker and tool diameter buttons after the library changed
+     */
+    refreshToolLibrary() {
+        this.updateSuggestionButtons();
+        this.renderToolPicker(this.toolPicker ? this.toolPicker.value : '');
+        this.updateToolPickerState();
+        this.updateDepthWarning();
+    }
 }
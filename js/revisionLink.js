@@ -0,0 +1,286 @@
+/**
+ * Revision Link Module - Carry a Plan to a New Design Revision
+ *
+ * App-ids are assigned when a file is loaded, so a design re-exported from
+ * CAD starts without any of the attribute work done on the previous
+ * version. This module fingerprints the elements of both versions (tag,
+ * size, position and path shape from ShapeMetrics) and pairs them, so the
+ * shaper attributes of the old plan can be applied to the new file.
+ *
+ * Key Features:
+ * - Pairs unchanged elements, moved elements (same shape) and reshaped elements (same tag and center)
+ * - Identical shapes with the same attributes are paired by distance
+ * - Elements with several candidates of different attributes are left for review
+ * - Named groups (label or id) are paired by name, for group-level attributes
+ * - Lists added and removed elements
+ */
+class RevisionLink {
+    /**
+     * Initialize revision link with system dependencies
+     *
+     * @param {ElementManager} elementManager - Element data, metrics and names
+     * @param {DesignRuleChecker} designRuleChecker - Element boxes in root space
+     */
+    constructor(elementManager, designRuleChecker) {
+        this.elementManager = elementManager;
+        this.designRuleChecker = designRuleChecker;
+    }
+
+    /** Largest distance in root units between positions considered the same */
+    static POSITION_TOLERANCE = 0.5;
+
+    /** Largest relative difference between sizes, lengths and areas considered the same */
+    static SHAPE_TOLERANCE = 0.002;
+
+    /** Containers whose content is not drawn directly */
+    static HIDDEN_CONTAINERS = 'defs, clipPath, mask, symbol, pattern, marker';
+
+    /** Labels of the kinds of pairs */
+    static MATCH_LABELS = {
+        unchanged: 'Unchanged',
+        moved: 'Moved',
+        reshaped: 'Reshaped'
+    };
+
+    // ============================================================================
+    // FINGERPRINTS
+    // ============================================================================
+
+    /**
+     * Fingerprint the elements and named groups of a displayed document
+     *
+     * @param {Element} svgElement - Displayed SVG root
+     * @returns {Array<Object>} Prints {appId, isGroup, tagName, name, description, x, y, width,
+     *     height, lengthPx, areaPx, attributes} with the element's own shaper attributes
+     */
+    capture(svgElement) {
+        const prints = [];
+
+        svgElement.querySelectorAll('[data-app-id]').forEach(element => {
+            if (element.closest(RevisionLink.HIDDEN_CONTAINERS)) return;
+
+            const bbox = this.designRuleChecker.getRootBBox(element, svgElement);
+            const metrics = this.elementManager.getElementMetrics(element);
+            prints.push({
+                appId: element.dataset.appId,
+                isGroup: false,
+                tagName: element.tagName.toLowerCase(),
+                name: this.elementManager.getNodeName(element),
+                description: this.elementManager.getElementDescription(element),
+                x: bbox.x,
+                y: bbox.y,
+                width: bbox.width,
+                height: bbox.height,
+                lengthPx: metrics ? metrics.lengthPx : null,
+                areaPx: metrics ? metrics.areaPx : null,
+                attributes: this.elementManager.getOwnAttributes(element)
+            });
+        });
+
+        svgElement.querySelectorAll('g[data-group-id]').forEach(group => {
+            const name = group.getAttribute('inkscape:label') || group.getAttribute('id');
+            if (!name) return;
+
+            prints.push({
+                appId: group.dataset.groupId,
+                isGroup: true,
+                tagName: 'g',
+                name,
+                description: `Group ${name}`,
+                attributes: this.elementManager.getOwnAttributes(group)
+            });
+        });
+
+        return prints;
+    }
+
+    // ============================================================================
+    // MATCHING
+    // ============================================================================
+
+    /**
+     * Pair the prints of the old plan with the prints of the new revision
+     *
+     * @param {Array<Object>} oldPrints - Prints of the old plan
+     * @param {Array<Object>} newPrints - Prints of the new revision
+     * @returns {Object} Result {matches: [{kind, oldPrint, newPrint}], added, removed,
+     *     ambiguous: [{newPrint, candidates}]}; groups only appear in matches and removed
+     */
+    match(oldPrints, newPrints) {
+        const newElements = newPrints.filter(print => !print.isGroup);
+        const oldLeft = new Set(oldPrints.filter(print => !print.isGroup));
+        const newLeft = new Set(newElements);
+        const newMatched = new Set();
+        const matches = [];
+        const ambiguous = [];
+
+        const passes = [
+            { kind: 'unchanged', test: (a, b) => this.isSameShape(a, b) && this.isSamePosition(a, b) },
+            { kind: 'moved', test: (a, b) => this.isSameShape(a, b) },
+            { kind: 'reshaped', test: (a, b) => a.tagName === b.tagName && this.isSameCenter(a, b) }
+        ];
+
+        passes.forEach(({ kind, test }) => {
+            newElements.forEach(newPrint => {
+                if (!newLeft.has(newPrint)) return;
+
+                const candidates = Array.from(oldLeft).filter(oldPrint => test(oldPrint, newPrint));
+                if (candidates.length === 0) return;
+
+                // Several new elements may compete for the same old ones (also those left for review)
+                const nearest = this.getNearest(newPrint, candidates);
+                const competing = newElements.filter(other => !newMatched.has(other) && test(nearest, other));
+                const isUnique = candidates.length === 1 && competing.length === 1;
+
+                // Which of equal candidates is taken doesn't matter if they carry the same attributes
+                const isInterchangeable = this.haveSameAttributes(candidates) &&
+                    (competing.length <= candidates.length || !this.hasAttributes(nearest));
+
+                if (isUnique || isInterchangeable) {
+                    matches.push({ kind, oldPrint: nearest, newPrint });
+                    oldLeft.delete(nearest);
+                    newMatched.add(newPrint);
+                } else {
+                    ambiguous.push({ newPrint, candidates });
+                }
+                newLeft.delete(newPrint);
+            });
+        });
+
+        // Old elements still offered to an ambiguous element are not removed
+        const removed = Array.from(oldLeft).filter(oldPrint =>
+            !ambiguous.some(entry => entry.candidates.includes(oldPrint))
+        );
+
+        const groups = this.matchGroups(oldPrints, newPrints);
+        return {
+            matches: [...matches, ...groups.matches],
+            added: Array.from(newLeft),
+            removed: [...removed, ...groups.removed],
+            ambiguous
+        };
+    }
+
+    /**
+     * Pair groups by name
+     *
+     * @param {Array<Object>} oldPrints - Prints of the old plan
+     * @param {Array<Object>} newPrints - Prints of the new revision
+     * @returns {Object} Result {matches, removed}; only groups with attributes are listed as removed
+     */
+    matchGroups(oldPrints, newPrints) {
+        const byName = (prints) => {
+            const groups = new Map();
+            prints.filter(print => print.isGroup).forEach(print => {
+                groups.set(print.name, groups.has(print.name) ? null : print); // null: name not unique
+            });
+            return groups;
+        };
+
+        const newGroups = byName(newPrints);
+        const matches = [];
+        const removed = [];
+        byName(oldPrints).forEach((oldPrint, name) => {
+            const newPrint = newGroups.get(name);
+            if (oldPrint && newPrint) {
+                matches.push({ kind: 'unchanged', oldPrint, newPrint });
+            } else if (oldPrint && this.hasAttributes(oldPrint)) {
+                removed.push(oldPrint);
+            }
+        });
+        return { matches, removed };
+    }
+
+    /**
+     * Check whether two prints have the same tag, size and path shape
+     * @param {Object} a - Print
+     * @param {Object} b - Print
+     * @returns {boolean} True if the shapes match
+     */
+    isSameShape(a, b) {
+        return a.tagName === b.tagName &&
+            this.isClose(a.width, b.width) &&
+            this.isClose(a.height, b.height) &&
+            this.isClose(a.lengthPx, b.lengthPx) &&
+            this.isClose(a.areaPx, b.areaPx);
+    }
+
+    /**
+     * Check whether two prints start at the same position
+     * @param {Object} a - Print
+     * @param {Object} b - Print
+     * @returns {boolean} True if the top left corners match
+     */
+    isSamePosition(a, b) {
+        return Math.abs(a.x - b.x) <= RevisionLink.POSITION_TOLERANCE &&
+            Math.abs(a.y - b.y) <= RevisionLink.POSITION_TOLERANCE;
+    }
+
+    /**
+     * Check whether two prints have the same center
+     * @param {Object} a - Print
+     * @param {Object} b - Print
+     * @returns {boolean} True if the centers match
+     */
+    isSameCenter(a, b) {
+        return Math.abs((a.x + a.width / 2) - (b.x + b.width / 2)) <= RevisionLink.POSITION_TOLERANCE &&
+            Math.abs((a.y + a.height / 2) - (b.y + b.height / 2)) <= RevisionLink.POSITION_TOLERANCE;
+    }
+
+    /**
+     * Compare two measures within the shape tolerance
+     * @param {number|null} a - Measure (null if not available)
+     * @param {number|null} b - Measure (null if not available)
+     * @returns {boolean} True if both are missing or close
+     */
+    isClose(a, b) {
+        if (a === null || a === undefined || b === null || b === undefined) {
+            return (a === null || a === undefined) && (b === null || b === undefined);
+        }
+        return Math.abs(a - b) <= Math.max(Math.abs(a), Math.abs(b)) * RevisionLink.SHAPE_TOLERANCE + 0.01;
+    }
+
+    /**
+     * Get the candidate nearest to a print
+     * @param {Object} print - Print
+     * @param {Array<Object>} candidates - Candidate prints
+     * @returns {Object} Nearest candidate (by top left corner)
+     */
+    getNearest(print, candidates) {
+        const distance = (candidate) => Math.hypot(candidate.x - print.x, candidate.y - print.y);
+        return candidates.reduce((nearest, candidate) => distance(candidate) < distance(nearest) ? candidate : nearest);
+    }
+
+    /**
+     * Check whether a print carries shaper attributes
+     * @param {Object} print - Print
+     * @returns {boolean} True if the element or group sets attributes
+     */
+    hasAttributes(print) {
+        return Object.keys(print.attributes).length > 0;
+    }
+
+    /**
+     * Check whether prints carry the same attributes
+     * @param {Array<Object>} prints - Prints
+     * @returns {boolean} True if all attributes are equal
+     */
+    haveSameAttributes(prints) {
+        const key = (print) => JSON.stringify(Object.entries(print.attributes).sort());
+        return prints.every(print => key(print) === key(prints[0]));
+    }
+
+    /**
+     * Create the attribute proposals carrying the old plan to the new revision
+     * @param {Object} result - Result from match()
+     * @returns {Array<Object>} Proposals {appId, attributes} for AttributeSystem.applyAttributeProposals()
+     */
+    createProposals(result) {
+        return result.matches
+            .filter(match => this.hasAttributes(match.oldPrint))
+            .map(match => ({ appId: match.newPrint.appId, attributes: { ...match.oldPrint.attributes } }));
+    }
+}
+
+// Export for use in other modules
+window.RevisionLink = RevisionLink;
@@ -0,0 +1,206 @@
+/**
+ * Revision Panel Module - Review of a Loaded Design Revision
+ *
+ * Side panel shown after "Load New Revision": how many elements took the
+ * attributes of the old plan, and the elements that need a look by hand.
+ * Entries of the new revision select their element when clicked.
+ *
+ * Key Features:
+ * - Elements with several candidates of different attributes (set by hand)
+ * - Added elements (no attributes yet)
+ * - Removed elements with the attributes they had
+ * - Moved and reshaped elements that took attributes over
+ */
+class RevisionPanel {
+    /**
+     * Initialize revision panel with system dependencies
+     *
+     * @param {RevisionLink} revisionLink - Pair kinds and attribute checks
+     * @param {ElementManager} elementManager - Element descriptions
+     * @param {MeasurementSystem} measurementSystem - Length formatting
+     */
+    constructor(revisionLink, elementManager, measurementSystem) {
+        this.revisionLink = revisionLink;
+        this.elementManager = elementManager;
+        this.dryUtils = new DRYUtilities(measurementSystem);
+
+        this.svgElement = null; // Displayed SVG of the active document
+        this.result = null; // Result of RevisionLink.match()
+        this.fileName = null; // File name of the revision
+
+        // Callback to select an element (receives the app-id)
+        this.onSelectElement = null;
+    }
+
+    /**
+     * Initialize panel DOM elements and event handlers
+     * Must be called after DOM is fully loaded.
+     */
+    initialize() {
+        DRYUtilities.bindElements({
+            panel: 'revisionPanel',
+            reviewList: 'revisionList',
+            summaryText: 'revisionSummary'
+        }, this);
+
+        document.getElementById('revisionClose').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Attach the panel to a newly displayed SVG
+     * @param {Element|null} svgElement - Displayed SVG (display clone in the DOM)
+     */
+    attach(svgElement) {
+        this.svgElement = svgElement;
+        this.render();
+    }
+
+    /**
+     * Show the review of a loaded revision
+     * @param {Object} result - Result from RevisionLink.match()
+     * @param {string} fileName - File name of the revision
+     */
+    show(result, fileName) {
+        this.result = result;
+        this.fileName = fileName;
+        this.panel.style.display = 'flex';
+        this.render();
+    }
+
+    /**
+     * Close the panel
+     */
+    close() {
+        this.panel.style.display = 'none';
+    }
+
+    /**
+     * Check whether the panel is currently shown
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return !!this.panel && this.panel.style.display !== 'none';
+    }
+
+    /**
+     * Render the review (only while open)
+     */
+    render() {
+        if (!this.isOpen() || !this.result) return;
+
+        this.reviewList.innerHTML = '';
+        const { matches, added, removed, ambiguous } = this.result;
+        const carried = matches.filter(match => this.revisionLink.hasAttributes(match.oldPrint)).length;
+        this.summaryText.textContent = `${carried} carried · ${ambiguous.length + added.length + removed.length} to review`;
+
+        const matched = matches.filter(match => !match.newPrint.isGroup).length;
+        this.addGroupTitle(`${this.fileName} – ${matched} of ${matched + added.length + ambiguous.length} elements matched`);
+
+        this.addSection('Ambiguous', ambiguous, entry => this.addRow(
+            entry.newPrint,
+            `Like ${entry.candidates.length} elements with different attributes, set by hand`,
+            'warning'
+        ));
+        this.addSection('Added', added, print => this.addRow(print, 'New, no attributes'));
+        this.addSection('Removed', removed, print => this.addRow(print, this.formatAttributes(print.attributes), 'removed'));
+
+        Object.entries(RevisionLink.MATCH_LABELS).forEach(([kind, label]) => {
+            if (kind === 'unchanged') return;
+            const kindMatches = matches.filter(match => match.kind === kind);
+            this.addSection(label, kindMatches, match => this.addRow(
+                match.newPrint,
+                this.revisionLink.hasAttributes(match.oldPrint)
+                    ? `Took ${this.formatAttributes(match.oldPrint.attributes)}`
+                    : 'No attributes to take'
+            ));
+        });
+    }
+
+    /**
+     * Append a titled section if it has entries
+     * @param {string} title - Section title
+     * @param {Array} entries - Entries
+     * @param {Function} addEntry - Appends the row of an entry
+     */
+    addSection(title, entries, addEntry) {
+        if (entries.length === 0) return;
+        this.addGroupTitle(`${title} (${entries.length})`);
+        entries.forEach(addEntry);
+    }
+
+    /**
+     * Format shaper attributes for the review
+     * @param {Object} attributes - Shaper attributes (pixel-based)
+     * @returns {string} Display text (e.g., 'outside · 18mm deep · 6mm tool')
+     */
+    formatAttributes(attributes) {
+        const parts = [];
+        if (attributes['shaper:cutType']) parts.push(attributes['shaper:cutType']);
+
+        const length = (name) => parseFloat(attributes[`shaper:${name}`]);
+        if (!isNaN(length('cutDepth'))) parts.push(`${this.dryUtils.formatPixelsToDisplay(length('cutDepth'))} deep`);
+        if (!isNaN(length('cutOffset'))) parts.push(`${this.dryUtils.formatPixelsToDisplay(length('cutOffset'))} offset`);
+        if (!isNaN(length('toolDia'))) parts.push(`${this.dryUtils.formatPixelsToDisplay(length('toolDia'))} tool`);
+
+        return parts.length > 0 ? parts.join(' · ') : 'No attributes';
+    }
+
+    /**
+     * Append a group title
+     * @param {string} text - Title
+     */
+    addGroupTitle(text) {
+        const title = document.createElement('div');
+        title.className = 'design-rule-group';
+        title.textContent = text;
+        this.reviewList.appendChild(title);
+    }
+
+    /**
+     * Append the row of a print; rows of displayed elements select them
+     * @param {Object} print - Print from RevisionLink.capture()
+     * @param {string} details - Details
+     * @param {string|null} modifier - Extra class suffix (e.g., 'warning')
+     */
+    addRow(print, details, modifier = null) {
+        const element = print.isGroup ? null : this.findElement(print);
+        const row = document.createElement(element ? 'button' : 'div');
+        row.className = 'design-rule-item revision-item';
+        if (modifier) {
+            row.classList.add(`revision-${modifier}`);
+        }
+
+        const nameText = document.createElement('span');
+        nameText.className = 'design-rule-element';
+        nameText.textContent = element ? this.elementManager.getElementDescription(element) : print.description;
+
+        const detailText = document.createElement('span');
+        detailText.className = 'design-rule-message';
+        detailText.textContent = details;
+
+        row.appendChild(nameText);
+        row.appendChild(detailText);
+        if (element) {
+            row.type = 'button';
+            row.title = 'Select element';
+            row.classList.add('revision-selectable');
+            row.addEventListener('click', () => {
+                if (this.onSelectElement) this.onSelectElement(print.appId);
+            });
+        }
+        this.reviewList.appendChild(row);
+    }
+
+    /**
+     * Find the displayed element of a print
+     * @param {Object} print - Element print from RevisionLink.capture()
+     * @returns {Element|null} Element in the attached SVG (null for other documents)
+     */
+    findElement(print) {
+        if (!this.svgElement) return null;
+        return this.svgElement.querySelector(`[data-app-id="${print.appId}"]`);
+    }
+}
+
+// Export for use in other modules
+window.RevisionPanel = RevisionPanel;
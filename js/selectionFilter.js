@@ -0,0 +1,133 @@
+/**
+ * Selection Filter Module - Select Elements by Query
+ *
+ * Filter box on the canvas that selects all elements matching a
+ * SelectionQuery expression. Matches replace the selection, Shift+Enter
+ * adds them to it. The number of matches or the query error is shown
+ * next to the input.
+ *
+ * Key Features:
+ * - Enter selects matches, Shift+Enter adds them to the selection
+ * - Escape leaves the filter box (focused with "/" through UIComponents)
+ * - Queries can be set from outside (used by "Select similar")
+ */
+class SelectionFilter {
+    /**
+     * Initialize selection filter with system dependencies
+     *
+     * @param {SelectionQuery} selectionQuery - Query parsing and evaluation
+     * @param {ElementManager} elementManager - Selection and element data
+     */
+    constructor(selectionQuery, elementManager) {
+        this.selectionQuery = selectionQuery;
+        this.elementManager = elementManager;
+    }
+
+    /**
+     * Initialize filter DOM elements and event handlers
+     * Must be called after DOM is fully loaded.
+     */
+    initialize() {
+        DRYUtilities.bindElements({
+            queryInput: 'selectionQuery',
+            statusText: 'selectionFilterStatus'
+        }, this);
+
+        this.queryInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.apply(e.shiftKey);
+            } else if (e.key === 'Escape') {
+                this.queryInput.blur();
+            }
+        });
+        this.queryInput.addEventListener('input', () => this.setStatus(''));
+    }
+
+    /**
+     * Focus the filter box with its text selected
+     */
+    focus() {
+        this.queryInput.focus();
+        this.queryInput.select();
+    }
+
+    /**
+     * Put a query into the filter box and run it
+     * @param {string} query - Filter expression
+     * @returns {number} Number of selected elements (-1 on query error)
+     */
+    setQuery(query) {
+        this.queryInput.value = query;
+        return this.apply(false);
+    }
+
+    /**
+     * Select the elements matching the query in the filter box
+     * @param {boolean} addToSelection - Keep the current selection
+     * @returns {number} Number of matching elements (-1 on query error)
+     */
+    apply(addToSelection) {
+        let matches;
+        try {
+            matches = this.findMatches(this.queryInput.value);
+        } catch (error) {
+            this.setStatus(error.message, true);
+            return -1;
+        }
+
+        if (!addToSelection) {
+            this.elementManager.clearSelection();
+        }
+        const selectedPaths = this.elementManager.getSelectedPaths();
+        matches.forEach(element => {
+            if (!selectedPaths.has(element)) {
+                this.elementManager.selectPath(element, true); // true = multiselect mode
+            }
+        });
+
+        this.setStatus(matches.length === 0 ? 'No match' : `${matches.length} selected`);
+        return matches.length;
+    }
+
+    /**
+     * Find the displayed elements matching a query
+     * @param {string} query - Filter expression
+     * @returns {Array<Element>} Matching elements
+     * @throws {Error} If the query is invalid
+     */
+    findMatches(query) {
+        const matches = this.selectionQuery.compile(query);
+        const svgContent = document.getElementById('svgContent');
+        if (!svgContent) return [];
+
+        return Array.from(svgContent.querySelectorAll('[data-app-id]'))
+            .filter(element => matches(element, this.getQueryData(element)));
+    }
+
+    /**
+     * Get the element data a query is evaluated against
+     * @param {Element} element - SVG element
+     * @returns {Object} Cached element data with the shaper attributes inherited from groups
+     */
+    getQueryData(element) {
+        return {
+            ...this.elementManager.getElementDimensions(element),
+            shaperAttributes: this.elementManager.getEffectiveAttributes(element)
+        };
+    }
+
+    /**
+     * Show the result or error next to the input
+     * @param {string} text - Status text
+     * @param {boolean} isError - Whether the text is an error
+     */
+    setStatus(text, isError = false) {
+        this.statusText.textContent = text;
+        this.statusText.classList.toggle('error', isError);
+        this.queryInput.classList.toggle('error', isError);
+    }
+}
+
+// Export for use in other modules
+window.SelectionFilter = SelectionFilter;
@@ -0,0 +1,387 @@
+/**
+ * Selection Query Module - Filter Expressions over Element Data
+ *
+ * Parses selection filters like `closed && width < 10mm && !cutType` and
+ * evaluates them against the cached element data. Also builds the query
+ * behind "Select similar" from a single element.
+ *
+ * Key Features:
+ * - Fields: tag, id, closed, circle, width, height, diameter, radius,
+ *   cutType, cutDepth, cutOffset, toolDia
+ * - Operators: == != < <= > >=, && || ! (also written and, or, not), parentheses
+ * - Lengths with unit (10mm, 2.5cm, 0.25in, 250thou, 96px); plain numbers use the current unit
+ * - A field alone tests whether it is set (`cutType`, `!cutDepth`)
+ * - Length equality tolerates the rounding of displayed values
+ *
+ * Syntax errors are thrown as Error with a message meant for the filter box.
+ */
+class SelectionQuery {
+    /**
+     * Initialize selection query with measurement dependencies
+     *
+     * @param {MeasurementSystem} measurementSystem - Unit conversion and closed shape detection
+     */
+    constructor(measurementSystem) {
+        this.measurementSystem = measurementSystem;
+    }
+
+    /** Field types: 'length' (pixels), 'text' or 'flag' */
+    static FIELDS = {
+        tag: 'text',
+        id: 'text',
+        closed: 'flag',
+        circle: 'flag',
+        width: 'length',
+        height: 'length',
+        diameter: 'length',
+        radius: 'length',
+        cutType: 'text',
+        cutDepth: 'length',
+        cutOffset: 'length',
+        toolDia: 'length'
+    };
+
+    /** Units accepted after a number */
+    static LENGTH_UNITS = ['mm', 'cm', 'in', 'thou', 'px'];
+
+    /** Decimal places of displayed lengths (equality tolerates half a digit) */
+    static DISPLAY_PRECISION = 3;
+
+    /** Word aliases of the logical operators */
+    static KEYWORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+
+    /** Tokens: number with optional unit, word, quoted text, operator */
+    static TOKEN_PATTERN = /\s*(?:(-?(?:\d+(?:[.,]\d+)?|[.,]\d+))([a-zA-Z]*)|([A-Za-z_][\w-]*)|"([^"]*)"|'([^']*)'|(&&|\|\||==|!=|<=|>=|[<>!()=]))/y;
+
+    // ============================================================================
+    // PARSING
+    // ============================================================================
+
+    /**
+     * Compile a query into a predicate
+     *
+     * @param {string} query - Filter expression
+     * @returns {Function} Predicate (element, elementData) => boolean
+     * @throws {Error} If the query is empty or invalid
+     */
+    compile(query) {
+        const tokens = this.tokenize(query);
+        if (tokens.length === 0) {
+            throw new Error('Enter a filter, e.g. closed && width < 10mm');
+        }
+
+        this.tokens = tokens;
+        this.position = 0;
+        const node = this.parseOr();
+        if (this.position < this.tokens.length) {
+            throw new Error(`Unexpected "${this.tokens[this.position].text}"`);
+        }
+
+        return (element, elementData) => this.evaluate(node, element, elementData || {});
+    }
+
+    /**
+     * Split a query into tokens
+     * @param {string} query - Filter expression
+     * @returns {Array<Object>} Tokens {type: 'number'|'word'|'string'|'operator', text, value, unit}
+     * @throws {Error} On characters that start no token
+     */
+    tokenize(query) {
+        const tokens = [];
+        const pattern = SelectionQuery.TOKEN_PATTERN;
+        const text = (query || '').trim();
+        pattern.lastIndex = 0;
+
+        while (pattern.lastIndex < text.length) {
+            const start = pattern.lastIndex;
+            const match = pattern.exec(text);
+            if (!match) {
+                throw new Error(`Unexpected "${text.slice(start).trim().charAt(0)}"`);
+            }
+
+            const [raw, number, unit, word, doubleQuoted, singleQuoted, operator] = match;
+            if (number !== undefined) {
+                tokens.push({ type: 'number', text: raw.trim(), value: parseFloat(number.replace(',', '.')), unit: unit });
+            } else if (word !== undefined) {
+                const keyword = SelectionQuery.KEYWORD_OPERATORS[word.toLowerCase()];
+                tokens.push(keyword ? { type: 'operator', text: keyword } : { type: 'word', text: word });
+            } else if (doubleQuoted !== undefined || singleQuoted !== undefined) {
+                tokens.push({ type: 'string', text: raw.trim(), value: doubleQuoted !== undefined ? doubleQuoted : singleQuoted });
+            } else {
+                tokens.push({ type: 'operator', text: operator === '=' ? '==' : operator });
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Check whether the next token is the given operator and consume it
+     * @param {string} operator - Operator text
+     * @returns {boolean} True if consumed
+     */
+    accept(operator) {
+        const token = this.tokens[this.position];
+        if (token && token.type === 'operator' && token.text === operator) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * or := and ('||' and)*
+     * @returns {Object} Syntax tree node
+     */
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.accept('||')) {
+            node = { type: 'or', left: node, right: this.parseAnd() };
+        }
+        return node;
+    }
+
+    /**
+     * and := unary ('&&' unary)*
+     * @returns {Object} Syntax tree node
+     */
+    parseAnd() {
+        let node = this.parseUnary();
+        while (this.accept('&&')) {
+            node = { type: 'and', left: node, right: this.parseUnary() };
+        }
+        return node;
+    }
+
+    /**
+     * unary := '!' unary | '(' or ')' | comparison | field
+     * @returns {Object} Syntax tree node
+     */
+    parseUnary() {
+        if (this.accept('!')) {
+            return { type: 'not', operand: this.parseUnary() };
+        }
+        if (this.accept('(')) {
+            const node = this.parseOr();
+            if (!this.accept(')')) {
+                throw new Error('Missing ")"');
+            }
+            return node;
+        }
+
+        const token = this.tokens[this.position];
+        if (!token) {
+            throw new Error('Filter ends too early');
+        }
+        if (token.type !== 'word') {
+            throw new Error(`Expected a field name instead of "${token.text}"`);
+        }
+
+        const field = this.resolveField(token.text);
+        this.position++;
+
+        const operatorToken = this.tokens[this.position];
+        if (operatorToken && operatorToken.type === 'operator' && ['==', '!=', '<', '<=', '>', '>='].includes(operatorToken.text)) {
+            this.position++;
+            return { type: 'compare', field: field, operator: operatorToken.text, value: this.parseValue(field, operatorToken.text) };
+        }
+        return { type: 'field', field: field };
+    }
+
+    /**
+     * Parse the value of a comparison for the type of its field
+     * @param {string} field - Field name
+     * @param {string} operator - Comparison operator
+     * @returns {*} Pixels (with tolerance) for lengths, text or flag
+     */
+    parseValue(field, operator) {
+        const token = this.tokens[this.position];
+        const fieldType = SelectionQuery.FIELDS[field];
+        if (!token) {
+            throw new Error(`Expected a value after ${field} ${operator}`);
+        }
+        this.position++;
+
+        if (fieldType === 'length') {
+            if (token.type !== 'number') {
+                throw new Error(`${field} needs a length, e.g. ${field} ${operator} 10mm`);
+            }
+            const unit = token.unit || this.measurementSystem.units;
+            if (!SelectionQuery.LENGTH_UNITS.includes(unit)) {
+                throw new Error(`Unknown unit "${token.unit}"`);
+            }
+            const tolerance = 0.5 * Math.pow(10, -SelectionQuery.DISPLAY_PRECISION);
+            return {
+                pixels: this.measurementSystem.convertBetweenUnits(token.value, unit, 'px'),
+                tolerancePx: this.measurementSystem.convertBetweenUnits(tolerance, unit, 'px') + 1e-9
+            };
+        }
+
+        if (!['==', '!='].includes(operator)) {
+            throw new Error(`${field} can only be compared with == or !=`);
+        }
+        if (fieldType === 'flag') {
+            if (token.type !== 'word' || !['true', 'false'].includes(token.text)) {
+                throw new Error(`${field} is true or false`);
+            }
+            return token.text === 'true';
+        }
+        if (token.type !== 'word' && token.type !== 'string' && token.type !== 'number') {
+            throw new Error(`Expected a value after ${field} ${operator}`);
+        }
+        return token.type === 'string' ? token.value : token.text;
+    }
+
+    /**
+     * Find a field by name (case-insensitive)
+     * @param {string} name - Field name as typed
+     * @returns {string} Field name
+     * @throws {Error} If there is no such field
+     */
+    resolveField(name) {
+        const field = Object.keys(SelectionQuery.FIELDS).find(key => key.toLowerCase() === name.toLowerCase());
+        if (!field) {
+            throw new Error(`Unknown field "${name}" (use ${Object.keys(SelectionQuery.FIELDS).join(', ')})`);
+        }
+        return field;
+    }
+
+    // ============================================================================
+    // EVALUATION
+    // ============================================================================
+
+    /**
+     * Evaluate a syntax tree node for an element
+     * @param {Object} node - Syntax tree node
+     * @param {Element} element - SVG element
+     * @param {Object} elementData - Cached element data
+     * @returns {boolean} Whether the element matches
+     */
+    evaluate(node, element, elementData) {
+        switch (node.type) {
+            case 'or':
+                return this.evaluate(node.left, element, elementData) || this.evaluate(node.right, element, elementData);
+            case 'and':
+                return this.evaluate(node.left, element, elementData) && this.evaluate(node.right, element, elementData);
+            case 'not':
+                return !this.evaluate(node.operand, element, elementData);
+            case 'field':
+                {
+                    const value = this.getFieldValue(node.field, element, elementData);
+                    return value !== null && value !== '' && value !== false;
+                }
+            case 'compare':
+                return this.compare(node, this.getFieldValue(node.field, element, elementData));
+        }
+        return false;
+    }
+
+    /**
+     * Compare a field value with the value of a comparison node
+     * @param {Object} node - Comparison node {field, operator, value}
+     * @param {*} actual - Field value of the element
+     * @returns {boolean} Comparison result (false if a length is not set)
+     */
+    compare(node, actual) {
+        if (SelectionQuery.FIELDS[node.field] === 'length') {
+            if (actual === null) return node.operator === '!=';
+
+            const { pixels, tolerancePx } = node.value;
+            const equal = Math.abs(actual - pixels) <= tolerancePx;
+            switch (node.operator) {
+                case '==': return equal;
+                case '!=': return !equal;
+                case '<': return actual < pixels && !equal;
+                case '<=': return actual < pixels || equal;
+                case '>': return actual > pixels && !equal;
+                case '>=': return actual > pixels || equal;
+            }
+            return false;
+        }
+
+        const equal = typeof actual === 'string'
+            ? actual.toLowerCase() === String(node.value).toLowerCase()
+            : actual === node.value;
+        return node.operator === '==' ? equal : !equal;
+    }
+
+    /**
+     * Get the value of a field for an element
+     * @param {string} field - Field name
+     * @param {Element} element - SVG element
+     * @param {Object} elementData - Cached element data
+     * @returns {number|string|boolean|null} Pixels for lengths (null if not set), text or flag
+     */
+    getFieldValue(field, element, elementData) {
+        const shaperAttributes = elementData.shaperAttributes || {};
+        const toPixels = (value) => {
+            const pixels = parseFloat(value);
+            return isNaN(pixels) ? null : pixels;
+        };
+
+        switch (field) {
+            case 'tag':
+                return elementData.tagName || element.tagName.toLowerCase();
+            case 'id':
+                return element.getAttribute('id') || '';
+            case 'closed':
+                return this.measurementSystem.isClosedShape(element);
+            case 'circle':
+                return !!elementData.isCircle;
+            case 'width':
+                return toPixels(elementData.widthPx);
+            case 'height':
+                return toPixels(elementData.heightPx);
+            case 'diameter':
+                return elementData.isCircle ? toPixels(elementData.diameterPx) : null;
+            case 'radius':
+                return elementData.isCircle ? toPixels(elementData.radiusPx) : null;
+            case 'cutType':
+                return shaperAttributes['shaper:cutType'] || '';
+            default:
+                return toPixels(shaperAttributes[`shaper:${field}`]);
+        }
+    }
+
+    // ============================================================================
+    // SELECT SIMILAR
+    // ============================================================================
+
+    /**
+     * Build a query matching elements like the given one
+     *
+     * Same tag, same size (diameter for circles, width and height otherwise)
+     * and same cut type.
+     *
+     * @param {Element} element - SVG element
+     * @param {Object} elementData - Cached element data
+     * @returns {string} Filter expression
+     */
+    buildSimilarQuery(element, elementData) {
+        const data = elementData || {};
+        const parts = [`tag == ${data.tagName || element.tagName.toLowerCase()}`];
+
+        if (data.isCircle) {
+            parts.push(`diameter == ${this.formatLength(data.diameterPx)}`);
+        } else {
+            if (data.widthPx > 0) parts.push(`width == ${this.formatLength(data.widthPx)}`);
+            if (data.heightPx > 0) parts.push(`height == ${this.formatLength(data.heightPx)}`);
+        }
+
+        const cutType = (data.shaperAttributes || {})['shaper:cutType'];
+        parts.push(cutType ? `cutType == ${cutType}` : '!cutType');
+        return parts.join(' && ');
+    }
+
+    /**
+     * Format a length for a query in the current unit
+     * @param {number} pixels - Length in pixels
+     * @returns {string} Length with unit (e.g., '6mm')
+     */
+    formatLength(pixels) {
+        const value = this.measurementSystem.convertPixelsToCurrentUnit(pixels);
+        return `${parseFloat(value.toFixed(SelectionQuery.DISPLAY_PRECISION))}${this.measurementSystem.units}`;
+    }
+}
+
+// Export for use in other modules
+window.SelectionQuery = SelectionQuery;
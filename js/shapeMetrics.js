@@ -0,0 +1,428 @@
+/**
+ * Shape Metrics Module - Path Length, Area, Perimeter and Centroid
+ *
+ * Measures how much cutting an element involves. Outlines are mapped into
+ * the user space of the SVG root, so all results share the pixel basis of
+ * the element data (widthPx, heightPx) and convert to the current units
+ * the same way.
+ *
+ * Key Features:
+ * - Exact results for lines, polylines, polygons, rectangles and ellipses
+ * - Paths and rounded rectangles sampled per subpath with getPointAtLength()
+ * - Holes (subpaths inside an odd number of others) subtracted from the area
+ * - Area centroid for closed shapes, length centroid for open ones
+ *
+ * Area and perimeter are only reported for closed shapes. Centroids are
+ * given from the top left corner of the document (viewBox origin).
+ */
+class ShapeMetrics {
+    /**
+     * Initialize shape metrics with closed shape detection
+     *
+     * @param {MeasurementSystem} measurementSystem - Closed shape detection
+     */
+    constructor(measurementSystem) {
+        this.measurementSystem = measurementSystem;
+        this.svgHelper = new SVGHelper();
+    }
+
+    /** Sample spacing for curves in root pixels */
+    static SAMPLE_STEP = 0.25;
+
+    /** Sample count limits per subpath */
+    static MIN_SAMPLES = 32;
+    static MAX_SAMPLES = 4000;
+
+    /** Subpath starts (moveto commands) in path data */
+    static MOVETO_PATTERN = /[Mm]/g;
+
+    // ============================================================================
+    // ELEMENT MEASUREMENT
+    // ============================================================================
+
+    /**
+     * Measure an element in the user space of the SVG root
+     *
+     * @param {Element} element - SVG geometry element
+     * @param {Element} svgElement - SVG root the element is drawn in
+     * @returns {Object|null} Metrics {lengthPx, perimeterPx, areaPx, centroid: {x, y}}
+     *     (perimeter and area null for open shapes), null if the element has no outline
+     */
+    measure(element, svgElement) {
+        const tagName = element.tagName.toLowerCase();
+        const matrix = this.svgHelper.getRootMatrix(element, svgElement);
+        const closed = tagName !== 'text' && this.measurementSystem.isClosedShape(element);
+
+        let metrics = null;
+        if (tagName === 'circle' || tagName === 'ellipse') {
+            metrics = this.measureEllipse(element, matrix);
+        } else {
+            const outlines = this.getOutlines(element, matrix, closed);
+            if (outlines && outlines.length > 0) {
+                metrics = this.measureOutlines(outlines, closed);
+            }
+        }
+        if (!metrics || !(metrics.lengthPx > 0)) return null;
+
+        // Centroids count from the document corner, not the viewBox coordinate origin
+        const origin = this.getViewBoxOrigin(svgElement);
+        metrics.centroid = { x: metrics.centroid.x - origin.x, y: metrics.centroid.y - origin.y };
+        return metrics;
+    }
+
+    /**
+     * Get the outlines of an element as point lists in root user space
+     *
+     * @param {Element} element - SVG geometry element
+     * @param {Object|null} matrix - Root matrix {a, b, c, d, e, f} (null for identity)
+     * @param {boolean} closed - Whether the outlines are closed
+     * @returns {Array<Object>|null} Outlines {points, length} (length null if the polyline is exact)
+     */
+    getOutlines(element, matrix, closed) {
+        const tagName = element.tagName.toLowerCase();
+        const number = (name) => parseFloat(element.getAttribute(name)) || 0;
+
+        switch (tagName) {
+            case 'line':
+                return [{
+                    points: this.transformPoints([
+                        { x: number('x1'), y: number('y1') },
+                        { x: number('x2'), y: number('y2') }
+                    ], matrix),
+                    length: null
+                }];
+            case 'polyline':
+            case 'polygon':
+                {
+                    const values = (element.getAttribute('points') || '').trim().split(/[\s,]+/).map(parseFloat);
+                    const points = [];
+                    for (let i = 0; i + 1 < values.length; i += 2) {
+                        if (isFinite(values[i]) && isFinite(values[i + 1])) {
+                            points.push({ x: values[i], y: values[i + 1] });
+                        }
+                    }
+                    return points.length >= 2 ? [{ points: this.transformPoints(points, matrix), length: null }] : null;
+                }
+            case 'rect':
+                {
+                    if (number('rx') > 0 || number('ry') > 0) {
+                        return this.sampleSubpaths(element, matrix, closed, null);
+                    }
+                    const x = number('x');
+                    const y = number('y');
+                    const width = number('width');
+                    const height = number('height');
+                    if (!(width > 0) || !(height > 0)) return null;
+                    return [{
+                        points: this.transformPoints([
+                            { x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }
+                        ], matrix),
+                        length: null
+                    }];
+                }
+            case 'path':
+                return this.sampleSubpaths(element, matrix, closed, element.getAttribute('d') || '');
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Measure a circle or ellipse with closed formulas
+     *
+     * The transformed shape is an ellipse again; its semi-axes are the
+     * singular values of the root matrix applied to the radii.
+     *
+     * @param {Element} element - Circle or ellipse element
+     * @param {Object|null} matrix - Root matrix (null for identity)
+     * @returns {Object|null} Metrics or null if a radius is zero
+     */
+    measureEllipse(element, matrix) {
+        const number = (name) => parseFloat(element.getAttribute(name)) || 0;
+        const isCircle = element.tagName.toLowerCase() === 'circle';
+        const rx = isCircle ? number('r') : number('rx');
+        const ry = isCircle ? number('r') : number('ry');
+        if (!(rx > 0) || !(ry > 0)) return null;
+
+        const m = matrix || { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+        const [center] = this.transformPoints([{ x: number('cx'), y: number('cy') }], matrix);
+        const [major, minor] = this.getSingularValues(m.a * rx, m.c * ry, m.b * rx, m.d * ry);
+        const perimeter = this.getEllipsePerimeter(major, minor);
+
+        return {
+            lengthPx: perimeter,
+            perimeterPx: perimeter,
+            areaPx: Math.PI * major * minor,
+            centroid: center
+        };
+    }
+
+    /**
+     * Sample the subpaths of a path (or a single-outline shape)
+     *
+     * Subpath ends are found by measuring path data prefixes that stop before
+     * each moveto; the element itself is then sampled between those lengths.
+     * Samples sit in the middle of equal steps, so none falls on a subpath joint.
+     *
+     * @param {Element} element - Path or shape element with getPointAtLength()
+     * @param {Object|null} matrix - Root matrix (null for identity)
+     * @param {boolean} closed - Whether the outline is closed
+     * @param {string|null} pathData - Path data to split into subpaths (null for one outline)
+     * @returns {Array<Object>|null} Outlines {points, length} or null if the element cannot be sampled
+     */
+    sampleSubpaths(element, matrix, closed, pathData) {
+        let totalLength;
+        try {
+            totalLength = element.getTotalLength();
+        } catch (error) {
+            return null;
+        }
+        if (!(totalLength > 0)) return null;
+
+        // Length reached at the end of each subpath
+        const ends = pathData ? this.getSubpathEnds(element, pathData) : [];
+        ends.push(totalLength);
+
+        const scale = this.getLengthScale(matrix);
+        const outlines = [];
+        let start = 0;
+        ends.forEach(end => {
+            const length = end - start;
+            if (length > 1e-9) {
+                const count = Math.min(ShapeMetrics.MAX_SAMPLES,
+                    Math.max(ShapeMetrics.MIN_SAMPLES, Math.ceil(length * (scale || 1) / ShapeMetrics.SAMPLE_STEP)));
+                const points = [];
+                if (!closed) {
+                    points.push(element.getPointAtLength(start));
+                }
+                for (let i = 0; i < count; i++) {
+                    points.push(element.getPointAtLength(start + length * (i + 0.5) / count));
+                }
+                if (!closed) {
+                    points.push(element.getPointAtLength(end));
+                }
+                // getTotalLength() is exact; it only carries over under uniform scaling
+                outlines.push({ points: this.transformPoints(points, matrix), length: scale ? length * scale : null });
+            }
+            start = end;
+        });
+        return outlines;
+    }
+
+    /**
+     * Get the path length at the end of each subpath but the last
+     * @param {Element} element - Path element (for creating measuring paths)
+     * @param {string} pathData - Path data
+     * @returns {Array<number>} Lengths where the following subpaths start
+     */
+    getSubpathEnds(element, pathData) {
+        const ends = [];
+        const starts = [];
+        const pattern = ShapeMetrics.MOVETO_PATTERN;
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(pathData)) !== null) {
+            starts.push(match.index);
+        }
+
+        const measuringPath = element.ownerDocument.createElementNS(element.namespaceURI, 'path');
+        starts.slice(1).forEach(index => {
+            measuringPath.setAttribute('d', pathData.slice(0, index));
+            try {
+                ends.push(measuringPath.getTotalLength());
+            } catch (error) {
+                // Prefix not measurable (e.g., invalid data); keep the subpaths together
+            }
+        });
+        return ends;
+    }
+
+    // ============================================================================
+    // OUTLINE GEOMETRY
+    // ============================================================================
+
+    /**
+     * Combine the metrics of an element's outlines
+     *
+     * Closed outlines inside an odd number of other outlines are holes and
+     * reduce the area, whatever their direction.
+     *
+     * @param {Array<Object>} outlines - Outlines {points, length}
+     * @param {boolean} closed - Whether the outlines are closed
+     * @returns {Object} Metrics {lengthPx, perimeterPx, areaPx, centroid}
+     */
+    measureOutlines(outlines, closed) {
+        const measured = outlines.map(outline => {
+            const metrics = this.measurePolyline(outline.points, closed);
+            if (outline.length !== null && outline.length !== undefined) {
+                metrics.length = outline.length;
+            }
+            return metrics;
+        });
+        const lengthPx = measured.reduce((sum, metrics) => sum + metrics.length, 0);
+
+        if (closed) {
+            let areaPx = 0;
+            let momentX = 0;
+            let momentY = 0;
+            measured.forEach((metrics, i) => {
+                const depth = outlines.filter((other, j) => j !== i &&
+                    this.containsPoint(other.points, outlines[i].points[0])).length;
+                const area = Math.abs(metrics.area) * (depth % 2 === 0 ? 1 : -1);
+                areaPx += area;
+                momentX += area * metrics.centroid.x;
+                momentY += area * metrics.centroid.y;
+            });
+            if (Math.abs(areaPx) > 1e-9) {
+                return {
+                    lengthPx, perimeterPx: lengthPx, areaPx: Math.abs(areaPx),
+                    centroid: { x: momentX / areaPx, y: momentY / areaPx }
+                };
+            }
+        }
+
+        // Open (or flat) shapes balance on the middle of their length
+        const centroid = lengthPx > 0 ? {
+            x: measured.reduce((sum, metrics) => sum + metrics.lineCentroid.x * metrics.length, 0) / lengthPx,
+            y: measured.reduce((sum, metrics) => sum + metrics.lineCentroid.y * metrics.length, 0) / lengthPx
+        } : { x: 0, y: 0 };
+        return {
+            lengthPx,
+            perimeterPx: closed ? lengthPx : null,
+            areaPx: closed ? 0 : null,
+            centroid
+        };
+    }
+
+    /**
+     * Measure a point list
+     *
+     * @param {Array<Object>} points - Points {x, y}
+     * @param {boolean} closed - Whether the last point connects to the first
+     * @returns {Object} {length, area (signed, 0 if open), centroid (area), lineCentroid (length)}
+     */
+    measurePolyline(points, closed) {
+        let length = 0;
+        let area = 0;
+        let areaX = 0;
+        let areaY = 0;
+        let lineX = 0;
+        let lineY = 0;
+
+        const segments = closed ? points.length : points.length - 1;
+        for (let i = 0; i < segments; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            const segmentLength = Math.hypot(b.x - a.x, b.y - a.y);
+            length += segmentLength;
+            lineX += (a.x + b.x) / 2 * segmentLength;
+            lineY += (a.y + b.y) / 2 * segmentLength;
+
+            const cross = a.x * b.y - b.x * a.y;
+            area += cross;
+            areaX += (a.x + b.x) * cross;
+            areaY += (a.y + b.y) * cross;
+        }
+
+        const lineCentroid = length > 0 ? { x: lineX / length, y: lineY / length } : { x: points[0].x, y: points[0].y };
+        if (!closed || Math.abs(area) < 1e-12) {
+            return { length, area: 0, centroid: lineCentroid, lineCentroid };
+        }
+        return {
+            length,
+            area: area / 2,
+            centroid: { x: areaX / (3 * area), y: areaY / (3 * area) },
+            lineCentroid
+        };
+    }
+
+    /**
+     * Check whether a point lies inside a closed point list (even-odd rule)
+     * @param {Array<Object>} polygon - Points {x, y}
+     * @param {Object} point - Point {x, y}
+     * @returns {boolean} True if inside
+     */
+    containsPoint(polygon, point) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Get the perimeter of an ellipse (Ramanujan's second approximation)
+     * @param {number} a - Semi-axis
+     * @param {number} b - Other semi-axis
+     * @returns {number} Perimeter
+     */
+    getEllipsePerimeter(a, b) {
+        if (a + b === 0) return 0;
+        const h = Math.pow((a - b) / (a + b), 2);
+        return Math.PI * (a + b) * (1 + 3 * h / (10 + Math.sqrt(4 - 3 * h)));
+    }
+
+    /**
+     * Get the singular values of a 2×2 matrix [[p, q], [r, s]]
+     * @returns {Array<number>} Larger and smaller singular value
+     */
+    getSingularValues(p, q, r, s) {
+        const sumSquares = p * p + q * q + r * r + s * s;
+        const determinant = Math.abs(p * s - q * r);
+        const root = Math.sqrt(Math.max(0, sumSquares * sumSquares - 4 * determinant * determinant));
+        return [Math.sqrt((sumSquares + root) / 2), Math.sqrt(Math.max(0, (sumSquares - root) / 2))];
+    }
+
+    // ============================================================================
+    // TRANSFORMS
+    // ============================================================================
+
+    /**
+     * Get the factor a matrix scales lengths by
+     * @param {Object|null} matrix - Matrix (null for identity)
+     * @returns {number|null} Scale factor, null if the matrix skews or scales unevenly
+     */
+    getLengthScale(matrix) {
+        if (!matrix) return 1;
+        const scaleX = Math.hypot(matrix.a, matrix.b);
+        const scaleY = Math.hypot(matrix.c, matrix.d);
+        const skew = matrix.a * matrix.c + matrix.b * matrix.d;
+        if (Math.abs(scaleX - scaleY) > 1e-9 * scaleX || Math.abs(skew) > 1e-9 * scaleX * scaleY) {
+            return null;
+        }
+        return scaleX;
+    }
+
+    /**
+     * Map points with a matrix
+     * @param {Array<Object>} points - Points {x, y}
+     * @param {Object|null} matrix - Matrix (null for identity)
+     * @returns {Array<Object>} Mapped points
+     */
+    transformPoints(points, matrix) {
+        return points.map(point => matrix ? {
+            x: matrix.a * point.x + matrix.c * point.y + matrix.e,
+            y: matrix.b * point.x + matrix.d * point.y + matrix.f
+        } : { x: point.x, y: point.y });
+    }
+
+    /**
+     * Get the top left corner of the document in root user space
+     * @param {Element} svgElement - SVG root
+     * @returns {Object} Point {x, y}
+     */
+    getViewBoxOrigin(svgElement) {
+        const viewBox = svgElement ? svgElement.getAttribute('viewBox') : null;
+        if (!viewBox) return { x: 0, y: 0 };
+        const [x, y] = viewBox.trim().split(/[\s,]+/).map(Number);
+        return { x: x || 0, y: y || 0 };
+    }
+}
+
+// Export for use in other modules
+window.ShapeMetrics = ShapeMetrics;
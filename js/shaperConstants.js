@@ -90,6 +90,54 @@ class ShaperConstants {
         NO_EXPORT: 'no-export'
     };
 
+    /**
+     * Fill and stroke per cut type following the Shaper Cut Style Guide
+     * (docs/Cut_Style_Guide-2.png), used for the cut style export mode
+     */
+    static CUT_STYLE_COLORS = {
+        inside: { fill: '#FFFFFF', stroke: '#000000' },
+        outside: { fill: '#000000', stroke: '#000000' },
+        online: { fill: 'none', stroke: '#7F7F7F' },
+        pocket: { fill: '#7F7F7F', stroke: 'none' },
+        guide: { fill: 'none', stroke: '#0068FF' }
+    };
+
+    /** Bit types available in the tool library */
+    static BIT_TYPES = ['upcut', 'downcut', 'compression', 'straight', 'ballnose', 'engraving'];
+
+    /**
+     * Tools the tool library starts with (Shaper bits plus common sizes)
+     * Values are given in the tool's own unit and converted to pixels when seeded.
+     * Feed rates are lengths per minute, step-over is a percentage of the diameter.
+     */
+    static DEFAULT_TOOL_LIBRARY = [
+        { name: '0.5mm Engraving', unit: 'mm', diameter: 0.5, fluteLength: 1, maxDepth: 1, bitType: 'engraving', depthPerPass: 0.25, feedRate: 500, stepOver: 40 },
+        { name: '3mm Upcut', unit: 'mm', diameter: 3, fluteLength: 11, maxDepth: 11, bitType: 'upcut', depthPerPass: 1.5, feedRate: 800, stepOver: 40 },
+        { name: '6mm Upcut', unit: 'mm', diameter: 6, fluteLength: 22, maxDepth: 22, bitType: 'upcut', depthPerPass: 3, feedRate: 1200, stepOver: 40 },
+        { name: '8mm Upcut', unit: 'mm', diameter: 8, fluteLength: 22, maxDepth: 22, bitType: 'upcut', depthPerPass: 4, feedRate: 1200, stepOver: 40 },
+        { name: '0.02" Engraving', unit: 'in', diameter: 0.02, fluteLength: 0.04, maxDepth: 0.04, bitType: 'engraving', depthPerPass: 0.01, feedRate: 20, stepOver: 40 },
+        { name: '1/8" Upcut', unit: 'in', diameter: 1 / 8, fluteLength: 1 / 2, maxDepth: 1 / 2, bitType: 'upcut', depthPerPass: 1 / 16, feedRate: 30, stepOver: 40 },
+        { name: '1/4" Upcut', unit: 'in', diameter: 1 / 4, fluteLength: 3 / 4, maxDepth: 3 / 4, bitType: 'upcut', depthPerPass: 1 / 8, feedRate: 45, stepOver: 40 },
+        { name: '5/16" Upcut', unit: 'in', diameter: 5 / 16, fluteLength: 7 / 8, maxDepth: 7 / 8, bitType: 'upcut', depthPerPass: 5 / 32, feedRate: 45, stepOver: 40 }
+    ];
+
+    /**
+     * Machining settings for cuts whose tool has none (tools from older
+     * libraries, typed-in diameters, no diameter at all)
+     */
+    static MACHINING_DEFAULTS = {
+        toolDiaMm: 6.35,          // Shaper's 1/4" bit
+        depthPerPassRatio: 0.5,   // Of the tool diameter
+        feedRateMm: 1000,         // mm per minute
+        stepOver: 40              // Percent of the tool diameter
+    };
+
+    /**
+     * Key in an element's shaperAttributes that remembers the tool picked from
+     * the library. Not a shaper namespace attribute, so it is never exported.
+     */
+    static TOOL_ID_KEY = 'toolId';
+
     /** CSS selector for SVG elements that support shaper functionality */
     static ELEMENT_SELECTORS = 'path, rect, circle, ellipse, line, polygon, polyline, text, tspan, textPath';
 }
@@ -103,6 +151,7 @@ class ShaperConstants {
  * Key functionality areas:
  * - Attribute synchronization between elements
  * - Namespaced attribute management
+ * - Color rule and cut recipe conversion into attributes
  * - Element validation and error checking
  * - CSS class management for UI states
  */
@@ -226,6 +275,28 @@ class ShaperUtils {
         });
     }
 
+    /**
+     * Convert a color rule or cut recipe into pixel-based shaper attributes
+     *
+     * Values left empty are not part of the result, so applying them keeps
+     * the element's own values (element data format).
+     *
+     * @param {Object} preset - Color rule or recipe with pixel string measurements
+     * @returns {Object} Shaper attributes to apply
+     */
+    static getPresetAttributes(preset) {
+        const attributes = {};
+        if (preset.cutType) {
+            attributes['shaper:cutType'] = preset.cutType;
+        }
+        ShaperConstants.MEASUREMENT_ATTRIBUTES.forEach(attr => {
+            if (preset[attr] !== undefined && preset[attr] !== null && preset[attr] !== '') {
+                attributes[`shaper:${attr}`] = preset[attr].toString();
+            }
+        });
+        return attributes;
+    }
+
     /**
      * Remove temporary UI-related CSS classes from an element
      *
@@ -296,11 +367,16 @@ class ShaperUtils {
      * each attribute type. Returns an array of error messages for any
      * validation failures.
      *
+     * Cut depths are additionally checked against the optional depth limits:
+     * the material thickness (plus spoilboard allowance) and the cutting
+     * length of the chosen tool. Limits use the same unit as the value.
+     *
      * @param {string} value - String value to validate
      * @param {string} attributeName - Name of attribute being validated
+     * @param {Object} limits - Optional depth limits {materialThickness, spoilboardAllowance, toolCuttingLength, unit}
      * @returns {Array<string>} Array of validation error messages (empty if valid)
      */
-    static validateAttributeValue(value, attributeName) {
+    static validateAttributeValue(value, attributeName, limits = {}) {
         const errors = [];
         const numValue = parseFloat(value);
 
@@ -315,6 +391,8 @@ class ShaperUtils {
             case 'cutDepth':
                 if (numValue < 0) {
                     errors.push('Cut depth cannot be negative');
+                } else {
+                    errors.push(...this.validateCutDepthLimits(numValue, limits || {}));
                 }
                 break;
             case 'toolDia':
@@ -330,6 +408,35 @@ class ShaperUtils {
         return errors;
     }
 
+    /**
+     * Check a cut depth against material thickness and tool cutting length
+     *
+     * @param {number} depth - Cut depth
+     * @param {Object} limits - Depth limits {materialThickness, spoilboardAllowance, toolCuttingLength, unit}
+     * @returns {Array<string>} Warning messages (empty if within limits)
+     */
+    static validateCutDepthLimits(depth, limits) {
+        const errors = [];
+        const tolerance = 1e-6;
+        const formatLimit = (limit) => `${parseFloat(limit.toFixed(3))}${limits.unit || ''}`;
+
+        const thickness = parseFloat(limits.materialThickness);
+        if (thickness > 0) {
+            const allowance = parseFloat(limits.spoilboardAllowance) > 0 ? parseFloat(limits.spoilboardAllowance) : 0;
+            if (depth > thickness + allowance + tolerance) {
+                const allowanceText = allowance > 0 ? ` plus ${formatLimit(allowance)} spoilboard allowance` : '';
+                errors.push(`Cut depth exceeds material thickness of ${formatLimit(thickness)}${allowanceText}`);
+            }
+        }
+
+        const cuttingLength = parseFloat(limits.toolCuttingLength);
+        if (cuttingLength > 0 && depth > cuttingLength + tolerance) {
+            errors.push(`Cut depth exceeds the tool's cutting length of ${formatLimit(cuttingLength)}`);
+        }
+
+        return errors;
+    }
+
     /**
      * Validate all measurement attributes in a set
      *
@@ -337,14 +444,15 @@ class ShaperUtils {
      * any error messages. Used during form submission and data import.
      *
      * @param {Object} attributes - Map of attribute names to values
+     * @param {Object} limits - Optional cut depth limits (see validateAttributeValue)
      * @returns {Array<string>} Array of all validation errors found
      */
-    static validateAllAttributes(attributes) {
+    static validateAllAttributes(attributes, limits = {}) {
         const allErrors = [];
 
         ShaperConstants.MEASUREMENT_ATTRIBUTES.forEach(attr => {
             if (attributes[attr]) {
-                const errors = this.validateAttributeValue(attributes[attr], attr);
+                const errors = this.validateAttributeValue(attributes[attr], attr, limits);
                 allErrors.push(...errors);
             }
         });
@@ -0,0 +1,32 @@
+/**
+ * SVG Analysis Worker - Background Element Geometry
+ *
+ * Worker entry point of BackgroundAnalysis. Runs SVGAnalyzer on the source
+ * text of a loading file and posts progress while it works, so the page
+ * stays responsive. Cancelling terminates the worker.
+ *
+ * Messages in:  {type: 'analyze', id, svgString}
+ * Messages out: {type: 'progress', id, analyzed, total}
+ *               {type: 'result', id, geometry}
+ *               {type: 'error', id, message}
+ */
+
+// The shared modules export on window
+self.window = self;
+importScripts('shaperConstants.js', 'svgGeometry.js', 'svgAnalyzer.js');
+
+const analyzer = new SVGAnalyzer();
+
+self.onmessage = (event) => {
+    const { type, id, svgString } = event.data;
+    if (type !== 'analyze') return;
+
+    try {
+        const geometry = analyzer.analyze(svgString, (analyzed, total) => {
+            self.postMessage({ type: 'progress', id, analyzed, total });
+        });
+        self.postMessage({ type: 'result', id, geometry });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    }
+};
@@ -0,0 +1,315 @@
+/**
+ * SVG Analyzer Module - Element Geometry Without a DOM
+ *
+ * Reads SVG source text and computes the element data that needs geometry:
+ * visual width and height in root user space (the pixels of the element
+ * data) and closure. Has no DOM dependencies, so the analysis worker can
+ * run it while the page stays responsive; on the main thread it serves as
+ * the fallback when workers are not available.
+ *
+ * Key Features:
+ * - Small XML reader (elements and attributes; comments, CDATA, doctype skipped)
+ * - Elements in the order of querySelectorAll(ShaperConstants.ELEMENT_SELECTORS)
+ *   below the first <svg>, so results line up with the parsed master SVG
+ * - Transforms of groups and nested <svg> viewports
+ * - Non-rendered content (defs, clipPath, mask, display="none") measured as 0 × 0
+ * - Progress callback and step-wise analysis for chunked runs
+ *
+ * Text has no geometry without font layout; its entries are null and the
+ * main thread measures them.
+ */
+class SVGAnalyzer {
+    /**
+     * Initialize analyzer with its geometry helper
+     */
+    constructor() {
+        this.geometry = new SVGGeometry();
+    }
+
+    /** Elements analyzed between two progress reports */
+    static PROGRESS_INTERVAL = 250;
+
+    /** Containers whose content is never rendered directly */
+    static NON_RENDERED_TAGS = ['defs', 'clipPath', 'mask', 'symbol', 'pattern', 'marker', 'linearGradient', 'radialGradient', 'filter'];
+
+    /** Markup tokens: comment, CDATA, doctype, processing instruction, end tag, start tag */
+    static MARKUP_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^[>]*(?:\[[\s\S]*?\])?\s*>|<\?[\s\S]*?\?>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+
+    /** Attribute inside a start tag */
+    static ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+    /** Predefined and numeric XML entities */
+    static ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+    // ============================================================================
+    // ANALYSIS
+    // ============================================================================
+
+    /**
+     * Analyze SVG source in one go
+     *
+     * @param {string} svgString - SVG source
+     * @param {Function|null} onProgress - Called with (analyzed, total)
+     * @returns {Array<Object|null>} Geometry {tagName, widthPx, heightPx, isClosed}
+     *     per element in selector order (null for text)
+     * @throws {Error} If the source has no <svg> element
+     */
+    analyze(svgString, onProgress = null) {
+        const task = this.createTask(svgString);
+        while (!this.runTask(task, SVGAnalyzer.PROGRESS_INTERVAL)) {
+            if (onProgress) onProgress(task.results.length, task.items.length);
+        }
+        if (onProgress) onProgress(task.results.length, task.items.length);
+        return task.results;
+    }
+
+    /**
+     * Prepare a step-wise analysis
+     * @param {string} svgString - SVG source
+     * @returns {Object} Task {items, results}
+     * @throws {Error} If the source has no <svg> element
+     */
+    createTask(svgString) {
+        const root = this.findRoot(this.parseDocument(svgString));
+        if (!root) {
+            throw new Error('Invalid SVG file');
+        }
+        return { items: this.collectElements(root), results: [] };
+    }
+
+    /**
+     * Analyze the next elements of a task
+     * @param {Object} task - Task from createTask()
+     * @param {number} count - Number of elements to analyze
+     * @returns {boolean} True when all elements are done
+     */
+    runTask(task, count) {
+        const end = Math.min(task.items.length, task.results.length + count);
+        for (let i = task.results.length; i < end; i++) {
+            task.results.push(this.measureItem(task.items[i]));
+        }
+        return task.results.length === task.items.length;
+    }
+
+    /**
+     * Measure one collected element
+     * @param {Object} item - Element with context {node, matrix, viewport, rendered}
+     * @returns {Object|null} Geometry or null if the element needs font layout
+     */
+    measureItem(item) {
+        const { node, matrix, viewport, rendered } = item;
+        const tagName = node.tagName;
+        if (tagName === 'text' || tagName === 'tspan' || tagName === 'textPath') {
+            return null;
+        }
+
+        const geometry = {
+            tagName: tagName,
+            widthPx: 0,
+            heightPx: 0,
+            isClosed: tagName === 'path'
+                ? this.geometry.isPathClosed(node.attributes.d)
+                : ['rect', 'circle', 'ellipse', 'polygon'].includes(tagName)
+        };
+
+        const bbox = rendered ? this.geometry.getShapeBBox(tagName, node.attributes, viewport) : null;
+        if (bbox) {
+            const box = this.geometry.transformBBox(bbox, matrix);
+            geometry.widthPx = box.width;
+            geometry.heightPx = box.height;
+        }
+        return geometry;
+    }
+
+    /**
+     * Collect the elements below the root in selector order with their context
+     *
+     * @param {Object} root - Root <svg> node
+     * @returns {Array<Object>} Items {node, matrix, viewport, rendered}
+     */
+    collectElements(root) {
+        const selectors = ShaperConstants.ELEMENT_SELECTORS.split(',').map(selector => selector.trim());
+        const items = [];
+        const viewBox = this.parseViewBox(root.attributes.viewBox);
+        const rootViewport = viewBox ? { width: viewBox.width, height: viewBox.height }
+            : { width: this.geometry.parseLength(root.attributes.width), height: this.geometry.parseLength(root.attributes.height) };
+
+        const visit = (node, parentMatrix, viewport, rendered) => {
+            node.children.forEach(child => {
+                const childRendered = rendered && !SVGAnalyzer.NON_RENDERED_TAGS.includes(child.tagName) && !this.isHidden(child);
+                let matrix = this.geometry.multiply(parentMatrix, this.geometry.parseTransform(child.attributes.transform));
+                let childViewport = viewport;
+
+                if (child.tagName === 'svg') {
+                    const nested = this.getViewportTransform(child, viewport);
+                    matrix = this.geometry.multiply(matrix, nested.matrix);
+                    childViewport = nested.viewport;
+                }
+
+                if (selectors.includes(child.tagName)) {
+                    items.push({ node: child, matrix, viewport: childViewport, rendered: childRendered });
+                }
+                visit(child, matrix, childViewport, childRendered);
+            });
+        };
+        visit(root, SVGGeometry.IDENTITY, rootViewport, true);
+        return items;
+    }
+
+    /**
+     * Get the transform and viewport a nested <svg> establishes
+     *
+     * @param {Object} node - Nested <svg> node
+     * @param {Object} viewport - Parent viewport {width, height}
+     * @returns {Object} {matrix, viewport}
+     */
+    getViewportTransform(node, viewport) {
+        const x = this.geometry.parseLength(node.attributes.x, viewport.width);
+        const y = this.geometry.parseLength(node.attributes.y, viewport.height);
+        const width = node.attributes.width !== undefined ? this.geometry.parseLength(node.attributes.width, viewport.width) : viewport.width;
+        const height = node.attributes.height !== undefined ? this.geometry.parseLength(node.attributes.height, viewport.height) : viewport.height;
+        const viewBox = this.parseViewBox(node.attributes.viewBox);
+
+        if (!viewBox || !(viewBox.width > 0) || !(viewBox.height > 0)) {
+            return { matrix: { a: 1, b: 0, c: 0, d: 1, e: x, f: y }, viewport: { width, height } };
+        }
+
+        // Default preserveAspectRatio: xMidYMid meet
+        const scale = Math.min(width / viewBox.width, height / viewBox.height);
+        const e = x + (width - viewBox.width * scale) / 2 - viewBox.x * scale;
+        const f = y + (height - viewBox.height * scale) / 2 - viewBox.y * scale;
+        return { matrix: { a: scale, b: 0, c: 0, d: scale, e, f }, viewport: { width: viewBox.width, height: viewBox.height } };
+    }
+
+    /**
+     * Parse a viewBox attribute
+     * @param {string|undefined} text - viewBox value
+     * @returns {Object|null} {x, y, width, height} or null if missing or invalid
+     */
+    parseViewBox(text) {
+        if (!text) return null;
+        const values = text.trim().split(/[\s,]+/).map(Number);
+        if (values.length !== 4 || values.some(value => !isFinite(value))) return null;
+        const [x, y, width, height] = values;
+        return { x, y, width, height };
+    }
+
+    /**
+     * Check whether a node is hidden with display none
+     * @param {Object} node - Node
+     * @returns {boolean} True if hidden
+     */
+    isHidden(node) {
+        return node.attributes.display === 'none' || /(?:^|;)\s*display\s*:\s*none/.test(node.attributes.style || '');
+    }
+
+    // ============================================================================
+    // XML READING
+    // ============================================================================
+
+    /**
+     * Read SVG source into a light element tree
+     *
+     * Element names lose their namespace prefix (svg:path → path), like
+     * selectors match them in the DOM. Text content is not kept.
+     *
+     * @param {string} svgString - SVG source
+     * @returns {Object} Document node {tagName: '#document', attributes, children}
+     */
+    parseDocument(svgString) {
+        const documentNode = { tagName: '#document', attributes: {}, children: [], parent: null };
+        const pattern = SVGAnalyzer.MARKUP_PATTERN;
+        pattern.lastIndex = 0;
+        let current = documentNode;
+        let match;
+
+        while ((match = pattern.exec(svgString)) !== null) {
+            const [, endName, startName, attributeText, selfClosing] = match;
+            if (endName !== undefined) {
+                const name = this.getLocalName(endName);
+                // Close up to the matching element (tolerates stray end tags)
+                let node = current;
+                while (node !== documentNode && node.tagName !== name) {
+                    node = node.parent;
+                }
+                if (node !== documentNode) {
+                    current = node.parent;
+                }
+            } else if (startName !== undefined) {
+                const node = {
+                    tagName: this.getLocalName(startName),
+                    attributes: this.parseAttributes(attributeText),
+                    children: [],
+                    parent: current
+                };
+                current.children.push(node);
+                if (!selfClosing) {
+                    current = node;
+                }
+            }
+        }
+        return documentNode;
+    }
+
+    /**
+     * Find the first <svg> element in document order
+     * @param {Object} node - Node to search from
+     * @returns {Object|null} Node or null
+     */
+    findRoot(node) {
+        for (const child of node.children) {
+            if (child.tagName === 'svg') return child;
+            const found = this.findRoot(child);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Parse the attributes of a start tag
+     * @param {string} text - Attribute text of the tag
+     * @returns {Object} Values by attribute name (prefixes kept, e.g. shaper:cutDepth)
+     */
+    parseAttributes(text) {
+        const attributes = {};
+        if (!text) return attributes;
+
+        const pattern = SVGAnalyzer.ATTRIBUTE_PATTERN;
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const value = match[2] !== undefined ? match[2] : match[3];
+            attributes[match[1]] = this.decodeEntities(value);
+        }
+        return attributes;
+    }
+
+    /**
+     * Replace predefined and numeric entities (others are kept)
+     * @param {string} text - Attribute value
+     * @returns {string} Decoded value
+     */
+    decodeEntities(text) {
+        if (text.indexOf('&') === -1) return text;
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (entity, name) => {
+            if (name.charAt(0) === '#') {
+                const code = name.charAt(1) === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return name in SVGAnalyzer.ENTITIES ? SVGAnalyzer.ENTITIES[name] : entity;
+        });
+    }
+
+    /**
+     * Strip the namespace prefix of an element name
+     * @param {string} name - Qualified name (e.g., 'svg:path')
+     * @returns {string} Local name
+     */
+    getLocalName(name) {
+        const colon = name.indexOf(':');
+        return colon === -1 ? name : name.slice(colon + 1);
+    }
+}
+
+// Export for use in other modules
+window.SVGAnalyzer = SVGAnalyzer;
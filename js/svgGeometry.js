@@ -0,0 +1,556 @@
+/**
+ * SVG Geometry Module - Layout-Free Shape Geometry
+ *
+ * Computes what the browser would report for SVG shapes straight from their
+ * attributes, without a DOM: path data parsing, transform lists, bounding
+ * boxes and closure. Runs in the analysis worker as well as on the main
+ * thread, so it works on plain attribute objects instead of elements.
+ *
+ * Key Features:
+ * - Path data with all commands, implicit repeats and compact arc flags
+ * - Tight path bounding boxes (Bézier and arc extrema)
+ * - Transform lists (matrix, translate, scale, rotate, skewX, skewY)
+ * - Lengths with units (px, mm, cm, in, pt, pc and % of the viewport)
+ * - Closed path detection (Z command or matching end points)
+ *
+ * Bounding boxes are tight in the shape's own user space and become the
+ * axis-aligned box of its transformed corners, like getBoundingClientRect().
+ */
+class SVGGeometry {
+    /** Identity matrix {a, b, c, d, e, f} */
+    static IDENTITY = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+    /** Pixels per unit for lengths in attributes (96 DPI) */
+    static UNIT_PIXELS = {
+        px: 1,
+        mm: 96 / 25.4,
+        cm: 96 / 2.54,
+        in: 96,
+        pt: 96 / 72,
+        pc: 16
+    };
+
+    /** Tolerance for matching start and end points of a path */
+    static CLOSURE_EPSILON = 0.01;
+
+    /** Number of arguments per path command */
+    static PATH_ARGUMENTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+    /** Number in path data or transform lists */
+    static NUMBER_PATTERN = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+
+    /** Separators between path data values */
+    static SEPARATOR_PATTERN = /[\s,]*/y;
+
+    /** One transform function, e.g. rotate(45 10 10) */
+    static TRANSFORM_PATTERN = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+
+    // ============================================================================
+    // LENGTHS AND TRANSFORMS
+    // ============================================================================
+
+    /**
+     * Convert a length attribute to user units
+     *
+     * @param {string|null} value - Attribute value (e.g., '10', '5mm', '50%')
+     * @param {number} reference - Viewport size percentages refer to
+     * @returns {number} Length in user units (0 if missing or invalid)
+     */
+    parseLength(value, reference = 0) {
+        if (value === null || value === undefined) return 0;
+        const match = String(value).trim().match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)\s*([a-z%]*)$/i);
+        if (!match) return 0;
+
+        const number = parseFloat(match[1]);
+        const unit = match[2].toLowerCase();
+        if (unit === '%') return number * reference / 100;
+        if (unit === '') return number;
+        return unit in SVGGeometry.UNIT_PIXELS ? number * SVGGeometry.UNIT_PIXELS[unit] : 0;
+    }
+
+    /**
+     * Parse a transform attribute into a matrix
+     * @param {string|null} text - Transform list (e.g., 'translate(10 20) rotate(45)')
+     * @returns {Object} Matrix {a, b, c, d, e, f}
+     */
+    parseTransform(text) {
+        let matrix = SVGGeometry.IDENTITY;
+        if (!text) return matrix;
+
+        const pattern = SVGGeometry.TRANSFORM_PATTERN;
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const values = (match[2].match(/[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g) || []).map(parseFloat);
+            matrix = this.multiply(matrix, this.createTransform(match[1], values));
+        }
+        return matrix;
+    }
+
+    /**
+     * Create the matrix of one transform function
+     * @param {string} name - Function name
+     * @param {Array<number>} values - Arguments
+     * @returns {Object} Matrix
+     */
+    createTransform(name, values) {
+        const [v0 = 0, v1, v2 = 0, v3 = 0, v4 = 0, v5 = 0] = values;
+        switch (name) {
+            case 'matrix':
+                return { a: v0, b: v1 || 0, c: v2, d: v3, e: v4, f: v5 };
+            case 'translate':
+                return { a: 1, b: 0, c: 0, d: 1, e: v0, f: v1 || 0 };
+            case 'scale':
+                return { a: v0, b: 0, c: 0, d: v1 === undefined ? v0 : v1, e: 0, f: 0 };
+            case 'rotate':
+                {
+                    const radians = v0 * Math.PI / 180;
+                    const cos = Math.cos(radians);
+                    const sin = Math.sin(radians);
+                    const cx = v1 || 0;
+                    const cy = v2;
+                    // rotate(angle cx cy) = translate(cx cy) rotate(angle) translate(-cx -cy)
+                    return {
+                        a: cos, b: sin, c: -sin, d: cos,
+                        e: cx - cos * cx + sin * cy,
+                        f: cy - sin * cx - cos * cy
+                    };
+                }
+            case 'skewX':
+                return { a: 1, b: 0, c: Math.tan(v0 * Math.PI / 180), d: 1, e: 0, f: 0 };
+            case 'skewY':
+                return { a: 1, b: Math.tan(v0 * Math.PI / 180), c: 0, d: 1, e: 0, f: 0 };
+            default:
+                return SVGGeometry.IDENTITY;
+        }
+    }
+
+    /**
+     * Multiply two matrices (first applied last, like nested transforms)
+     * @param {Object} m1 - Outer matrix
+     * @param {Object} m2 - Inner matrix
+     * @returns {Object} Product m1 × m2
+     */
+    multiply(m1, m2) {
+        return {
+            a: m1.a * m2.a + m1.c * m2.b,
+            b: m1.b * m2.a + m1.d * m2.b,
+            c: m1.a * m2.c + m1.c * m2.d,
+            d: m1.b * m2.c + m1.d * m2.d,
+            e: m1.a * m2.e + m1.c * m2.f + m1.e,
+            f: m1.b * m2.e + m1.d * m2.f + m1.f
+        };
+    }
+
+    /**
+     * Get the axis-aligned box around a transformed box
+     * @param {Object} bbox - Box {x, y, width, height}
+     * @param {Object} matrix - Matrix
+     * @returns {Object} Box {x, y, width, height}
+     */
+    transformBBox(bbox, matrix) {
+        const corners = [
+            [bbox.x, bbox.y], [bbox.x + bbox.width, bbox.y],
+            [bbox.x + bbox.width, bbox.y + bbox.height], [bbox.x, bbox.y + bbox.height]
+        ].map(([x, y]) => ({
+            x: matrix.a * x + matrix.c * y + matrix.e,
+            y: matrix.b * x + matrix.d * y + matrix.f
+        }));
+        return this.getPointsBBox(corners);
+    }
+
+    /**
+     * Get the bounding box of a point list
+     * @param {Array<Object>} points - Points {x, y}
+     * @returns {Object|null} Box {x, y, width, height} or null for no points
+     */
+    getPointsBBox(points) {
+        if (points.length === 0) return null;
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        points.forEach(point => {
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        });
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    // ============================================================================
+    // SHAPES
+    // ============================================================================
+
+    /**
+     * Get the bounding box of a shape in its own user space
+     *
+     * @param {string} tagName - Shape tag (path, rect, circle, ellipse, line, polyline, polygon)
+     * @param {Object} attributes - Attribute values by name
+     * @param {Object} viewport - Viewport size {width, height} for percentages
+     * @returns {Object|null} Box {x, y, width, height} or null if the shape is not rendered
+     */
+    getShapeBBox(tagName, attributes, viewport = { width: 0, height: 0 }) {
+        const length = (name, reference) => this.parseLength(attributes[name], reference);
+        const diagonal = Math.hypot(viewport.width, viewport.height) / Math.SQRT2;
+
+        switch (tagName) {
+            case 'path':
+                return this.getPathBBox(this.parsePathData(attributes.d || ''));
+            case 'rect':
+                {
+                    const width = length('width', viewport.width);
+                    const height = length('height', viewport.height);
+                    if (!(width > 0) || !(height > 0)) return null;
+                    return { x: length('x', viewport.width), y: length('y', viewport.height), width, height };
+                }
+            case 'circle':
+            case 'ellipse':
+                {
+                    const rx = tagName === 'circle' ? length('r', diagonal) : length('rx', viewport.width);
+                    const ry = tagName === 'circle' ? rx : length('ry', viewport.height);
+                    if (!(rx > 0) || !(ry > 0)) return null;
+                    return { x: length('cx', viewport.width) - rx, y: length('cy', viewport.height) - ry, width: 2 * rx, height: 2 * ry };
+                }
+            case 'line':
+                return this.getPointsBBox([
+                    { x: length('x1', viewport.width), y: length('y1', viewport.height) },
+                    { x: length('x2', viewport.width), y: length('y2', viewport.height) }
+                ]);
+            case 'polyline':
+            case 'polygon':
+                return this.getPointsBBox(this.parsePoints(attributes.points));
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Parse the points attribute of a polyline or polygon
+     * @param {string|null} text - Points (e.g., '0,0 10,0 10,10')
+     * @returns {Array<Object>} Points {x, y} (an odd last value is dropped)
+     */
+    parsePoints(text) {
+        const values = (String(text || '').match(/[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g) || []).map(parseFloat);
+        const points = [];
+        for (let i = 0; i + 1 < values.length; i += 2) {
+            points.push({ x: values[i], y: values[i + 1] });
+        }
+        return points;
+    }
+
+    /**
+     * Check whether path data describes a closed shape
+     *
+     * A path is closed if it ends with a Z command or ends where it starts.
+     *
+     * @param {string} pathData - Path data (d attribute)
+     * @returns {boolean} True if closed
+     */
+    isPathClosed(pathData) {
+        if (!pathData) return false;
+        if (/z$/i.test(pathData.trim())) return true;
+
+        const commands = this.parsePathData(pathData);
+        const drawn = commands.filter(command => command.type !== 'M');
+        if (drawn.length === 0) return false;
+
+        const start = commands[0];
+        const end = drawn[drawn.length - 1];
+        return Math.abs(start.x - end.x) < SVGGeometry.CLOSURE_EPSILON &&
+            Math.abs(start.y - end.y) < SVGGeometry.CLOSURE_EPSILON;
+    }
+
+    // ============================================================================
+    // PATH DATA
+    // ============================================================================
+
+    /**
+     * Parse path data into absolute commands
+     *
+     * H and V become L, S and T become C and Q with their reflected control
+     * points. Parsing stops at the first error, like rendering does.
+     *
+     * @param {string} pathData - Path data (d attribute)
+     * @returns {Array<Object>} Commands {type: 'M'|'L'|'C'|'Q'|'A'|'Z', x, y, ...control points}
+     */
+    parsePathData(pathData) {
+        const commands = [];
+        const text = String(pathData);
+        let position = 0;
+        let current = { x: 0, y: 0 };
+        let subpathStart = { x: 0, y: 0 };
+        let previous = null; // Last command (for S/T reflection)
+        let letter = null;
+
+        const skipSeparators = () => {
+            SVGGeometry.SEPARATOR_PATTERN.lastIndex = position;
+            SVGGeometry.SEPARATOR_PATTERN.exec(text);
+            position = SVGGeometry.SEPARATOR_PATTERN.lastIndex;
+        };
+        const readNumber = () => {
+            skipSeparators();
+            SVGGeometry.NUMBER_PATTERN.lastIndex = position;
+            const match = SVGGeometry.NUMBER_PATTERN.exec(text);
+            if (!match) return null;
+            position = SVGGeometry.NUMBER_PATTERN.lastIndex;
+            return parseFloat(match[0]);
+        };
+        const readFlag = () => {
+            skipSeparators();
+            const flag = text.charAt(position);
+            if (flag !== '0' && flag !== '1') return null;
+            position++;
+            return flag === '1';
+        };
+
+        while (true) {
+            skipSeparators();
+            if (position >= text.length) break;
+
+            const character = text.charAt(position);
+            if (/[a-zA-Z]/.test(character)) {
+                if (!(character.toUpperCase() in SVGGeometry.PATH_ARGUMENTS)) break;
+                letter = character;
+                position++;
+            } else if (letter === null || letter.toUpperCase() === 'Z') {
+                break; // Numbers without a command
+            } else if (letter === 'M') {
+                letter = 'L'; // Pairs after a moveto are linetos
+            } else if (letter === 'm') {
+                letter = 'l';
+            }
+
+            const type = letter.toUpperCase();
+            const relative = letter !== type;
+            const args = [];
+            for (let i = 0; i < SVGGeometry.PATH_ARGUMENTS[type]; i++) {
+                const value = type === 'A' && (i === 3 || i === 4) ? readFlag() : readNumber();
+                if (value === null) return commands;
+                args.push(value);
+            }
+
+            const dx = relative ? current.x : 0;
+            const dy = relative ? current.y : 0;
+            let command;
+            switch (type) {
+                case 'M':
+                    command = { type: 'M', x: args[0] + dx, y: args[1] + dy };
+                    subpathStart = command;
+                    break;
+                case 'L':
+                    command = { type: 'L', x: args[0] + dx, y: args[1] + dy };
+                    break;
+                case 'H':
+                    command = { type: 'L', x: args[0] + dx, y: current.y };
+                    break;
+                case 'V':
+                    command = { type: 'L', x: current.x, y: args[0] + dy };
+                    break;
+                case 'C':
+                    command = {
+                        type: 'C', x1: args[0] + dx, y1: args[1] + dy, x2: args[2] + dx, y2: args[3] + dy,
+                        x: args[4] + dx, y: args[5] + dy
+                    };
+                    break;
+                case 'S':
+                    {
+                        const reflect = previous && previous.type === 'C';
+                        command = {
+                            type: 'C',
+                            x1: reflect ? 2 * current.x - previous.x2 : current.x,
+                            y1: reflect ? 2 * current.y - previous.y2 : current.y,
+                            x2: args[0] + dx, y2: args[1] + dy, x: args[2] + dx, y: args[3] + dy
+                        };
+                        break;
+                    }
+                case 'Q':
+                    command = { type: 'Q', x1: args[0] + dx, y1: args[1] + dy, x: args[2] + dx, y: args[3] + dy };
+                    break;
+                case 'T':
+                    {
+                        const reflect = previous && previous.type === 'Q';
+                        command = {
+                            type: 'Q',
+                            x1: reflect ? 2 * current.x - previous.x1 : current.x,
+                            y1: reflect ? 2 * current.y - previous.y1 : current.y,
+                            x: args[0] + dx, y: args[1] + dy
+                        };
+                        break;
+                    }
+                case 'A':
+                    command = {
+                        type: 'A', rx: Math.abs(args[0]), ry: Math.abs(args[1]), angle: args[2],
+                        largeArc: args[3], sweep: args[4], x: args[5] + dx, y: args[6] + dy
+                    };
+                    break;
+                case 'Z':
+                    command = { type: 'Z', x: subpathStart.x, y: subpathStart.y };
+                    break;
+            }
+
+            commands.push(command);
+            previous = command;
+            current = { x: command.x, y: command.y };
+        }
+        return commands;
+    }
+
+    /**
+     * Get the tight bounding box of parsed path data
+     * @param {Array<Object>} commands - Commands from parsePathData()
+     * @returns {Object|null} Box {x, y, width, height} or null if nothing is drawn
+     */
+    getPathBBox(commands) {
+        const points = [];
+        let current = { x: 0, y: 0 };
+        let pendingMove = null; // A moveto only counts once something is drawn from it
+
+        commands.forEach(command => {
+            if (command.type === 'M') {
+                pendingMove = command;
+                current = command;
+                return;
+            }
+            if (pendingMove) {
+                points.push(pendingMove);
+                pendingMove = null;
+            }
+
+            points.push({ x: command.x, y: command.y });
+            if (command.type === 'C') {
+                this.getCubicExtrema(current, command).forEach(point => points.push(point));
+            } else if (command.type === 'Q') {
+                this.getQuadraticExtrema(current, command).forEach(point => points.push(point));
+            } else if (command.type === 'A') {
+                this.getArcExtrema(current, command).forEach(point => points.push(point));
+            }
+            current = command;
+        });
+
+        return this.getPointsBBox(points);
+    }
+
+    /**
+     * Get the points where a cubic Bézier turns in x or y
+     * @param {Object} start - Start point {x, y}
+     * @param {Object} curve - Command {x1, y1, x2, y2, x, y}
+     * @returns {Array<Object>} Points {x, y}
+     */
+    getCubicExtrema(start, curve) {
+        const at = (t, p0, p1, p2, p3) => {
+            const u = 1 - t;
+            return u * u * u * p0 + 3 * u * u * t * p1 + 3 * u * t * t * p2 + t * t * t * p3;
+        };
+        const roots = [];
+        [[start.x, curve.x1, curve.x2, curve.x], [start.y, curve.y1, curve.y2, curve.y]].forEach(([p0, p1, p2, p3]) => {
+            // Derivative: a t² + b t + c
+            const a = -p0 + 3 * p1 - 3 * p2 + p3;
+            const b = 2 * (p0 - 2 * p1 + p2);
+            const c = p1 - p0;
+            this.solveQuadratic(a, b, c).forEach(t => roots.push(t));
+        });
+        return roots.filter(t => t > 0 && t < 1).map(t => ({
+            x: at(t, start.x, curve.x1, curve.x2, curve.x),
+            y: at(t, start.y, curve.y1, curve.y2, curve.y)
+        }));
+    }
+
+    /**
+     * Get the points where a quadratic Bézier turns in x or y
+     * @param {Object} start - Start point {x, y}
+     * @param {Object} curve - Command {x1, y1, x, y}
+     * @returns {Array<Object>} Points {x, y}
+     */
+    getQuadraticExtrema(start, curve) {
+        const at = (t, p0, p1, p2) => (1 - t) * (1 - t) * p0 + 2 * (1 - t) * t * p1 + t * t * p2;
+        const roots = [];
+        [[start.x, curve.x1, curve.x], [start.y, curve.y1, curve.y]].forEach(([p0, p1, p2]) => {
+            const denominator = p0 - 2 * p1 + p2;
+            if (denominator !== 0) {
+                roots.push((p0 - p1) / denominator);
+            }
+        });
+        return roots.filter(t => t > 0 && t < 1).map(t => ({
+            x: at(t, start.x, curve.x1, curve.x),
+            y: at(t, start.y, curve.y1, curve.y)
+        }));
+    }
+
+    /**
+     * Get the points where an elliptical arc turns in x or y
+     *
+     * Converts the arc to center form (SVG implementation notes F.6.5) and
+     * keeps the extreme angles that lie within the sweep.
+     *
+     * @param {Object} start - Start point {x, y}
+     * @param {Object} arc - Command {rx, ry, angle, largeArc, sweep, x, y}
+     * @returns {Array<Object>} Points {x, y}
+     */
+    getArcExtrema(start, arc) {
+        let { rx, ry } = arc;
+        if (rx === 0 || ry === 0 || (start.x === arc.x && start.y === arc.y)) return [];
+
+        const phi = arc.angle * Math.PI / 180;
+        const cos = Math.cos(phi);
+        const sin = Math.sin(phi);
+        const halfDx = (start.x - arc.x) / 2;
+        const halfDy = (start.y - arc.y) / 2;
+        const x1 = cos * halfDx + sin * halfDy;
+        const y1 = -sin * halfDx + cos * halfDy;
+
+        // Scale up radii that cannot reach the end point
+        const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+        const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+        let factor = Math.sqrt(Math.max(0, numerator / denominator));
+        if (arc.largeArc === arc.sweep) factor = -factor;
+        const cxPrime = factor * rx * y1 / ry;
+        const cyPrime = -factor * ry * x1 / rx;
+        const cx = cos * cxPrime - sin * cyPrime + (start.x + arc.x) / 2;
+        const cy = sin * cxPrime + cos * cyPrime + (start.y + arc.y) / 2;
+
+        const angleOf = (ux, uy) => Math.atan2(uy, ux);
+        const theta1 = angleOf((x1 - cxPrime) / rx, (y1 - cyPrime) / ry);
+        let delta = angleOf((-x1 - cxPrime) / rx, (-y1 - cyPrime) / ry) - theta1;
+        if (arc.sweep && delta < 0) delta += 2 * Math.PI;
+        if (!arc.sweep && delta > 0) delta -= 2 * Math.PI;
+
+        const thetaX = Math.atan2(-ry * sin, rx * cos);
+        const thetaY = Math.atan2(ry * cos, rx * sin);
+        const candidates = [thetaX, thetaX + Math.PI, thetaY, thetaY + Math.PI];
+
+        return candidates.filter(theta => {
+            // Angle from the start in the sweep direction
+            let offset = (theta - theta1) * Math.sign(delta);
+            offset = ((offset % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+            return offset < Math.abs(delta);
+        }).map(theta => ({
+            x: cx + rx * cos * Math.cos(theta) - ry * sin * Math.sin(theta),
+            y: cy + rx * sin * Math.cos(theta) + ry * cos * Math.sin(theta)
+        }));
+    }
+
+    /**
+     * Solve a t² + b t + c = 0
+     * @returns {Array<number>} Real roots
+     */
+    solveQuadratic(a, b, c) {
+        if (Math.abs(a) < 1e-12) {
+            return Math.abs(b) < 1e-12 ? [] : [-c / b];
+        }
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return [];
+        const root = Math.sqrt(discriminant);
+        return [(-b + root) / (2 * a), (-b - root) / (2 * a)];
+    }
+}
+
+// Export for use in other modules
+window.SVGGeometry = SVGGeometry;
@@ -8,6 +8,7 @@
  * Key Features:
  * - Clean SVG export with overlay and temporary element removal
  * - Safe bounding box calculations with fallback strategies
+ * - Element transforms into the SVG root user space
  * - SVG boundary detection and measurement
  * - Element geometry analysis and validation
  * - Viewport attribute cleanup for export consistency
@@ -254,7 +255,8 @@ class SVGHelper {
      */
     ensureShaperNamespace(svgElement) {
         if (svgElement && !svgElement.hasAttribute(`xmlns:${ShaperConstants.NAMESPACE_PREFIX}`)) {
-            svgElement.setAttribute(`xmlns:${ShaperConstants.NAMESPACE_PREFIX}`, ShaperConstants.NAMESPACE);
+            // Declared in the xmlns namespace, so serializers use the prefix for shaper:* attributes
+            svgElement.setAttributeNS('http://www.w3.org/2000/xmlns/', `xmlns:${ShaperConstants.NAMESPACE_PREFIX}`, ShaperConstants.NAMESPACE);
         }
     }
 
@@ -404,6 +406,23 @@ class SVGHelper {
         }
     }
 
+    /**
+     * Get the transform from an element's user space to the SVG root user space
+     * @param {Element} element - SVG element
+     * @param {Element} svgElement - SVG root
+     * @returns {Object|null} Matrix {a, b, c, d, e, f} or null if it cannot be determined
+     */
+    getRootMatrix(element, svgElement) {
+        try {
+            const rootCTM = svgElement.getCTM();
+            const elementCTM = element.getCTM();
+            if (!rootCTM || !elementCTM) return null;
+            return rootCTM.inverse().multiply(elementCTM);
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Creates a boundary outline path for an SVG element
      * @param {Element} svgElement - The SVG element to create boundary for
@@ -33,15 +33,79 @@ class SVGShaperEditor {
 
         this.fileManager = new FileManager(this.measurementSystem);
 
+        // Element analysis of loading files in a worker, with a cancellable progress bar
+        this.backgroundAnalysis = new BackgroundAnalysis();
+        this.loadingProgress = new LoadingProgress();
+
         // Module initialization with centralized data access
         this.elementManager = new ElementManager(this.measurementSystem, this.fileManager, this.metaData.getElementDataMap());
-        this.viewport = new Viewport();
-        this.uiComponents = new UIComponents(this.measurementSystem, this.elementManager);
-        this.attributeSystem = new AttributeSystem(this.measurementSystem, this.fileManager, this.elementManager, this.metaData);
+        this.viewport = new Viewport(this.measurementSystem);
+
+        // Named tools for the tool picker (persisted through MetaData)
+        this.toolLibrary = new ToolLibrary(this.metaData, this.measurementSystem);
+        this.toolLibraryDialog = new ToolLibraryDialog(this.measurementSystem, this.toolLibrary);
+
+        // Named cut recipes for the context submenu and number keys (persisted through MetaData)
+        this.cutRecipes = new CutRecipes(this.metaData, this.measurementSystem);
+        this.cutRecipeDialog = new CutRecipeDialog(this.measurementSystem, this.cutRecipes);
+
+        this.uiComponents = new UIComponents(this.measurementSystem, this.elementManager, this.toolLibrary, this.cutRecipes);
+
+        // Undo/redo history for attribute edits (persisted through MetaData)
+        this.historyManager = new HistoryManager(this.metaData);
+        this.attributeSystem = new AttributeSystem(this.measurementSystem, this.fileManager, this.elementManager, this.metaData, this.historyManager, this.toolLibrary);
 
         // SVG processing utilities
         this.svgHelper = new SVGHelper();
 
+        // Tool swath preview layer drawn behind the displayed elements
+        this.toolpathPreview = new ToolpathPreview(this.elementManager, this.svgHelper);
+
+        // Manufacturability checks listed in the design check panel
+        this.designRuleChecker = new DesignRuleChecker(this.measurementSystem, this.elementManager);
+        this.designRulePanel = new DesignRulePanel(this.designRuleChecker, this.elementManager, this.svgHelper);
+
+        // Layer and group hierarchy with group-level attributes
+        this.layerTreePanel = new LayerTreePanel(this.elementManager, this.measurementSystem);
+
+        // Passes and cutting time per element, tool and job
+        this.machiningEstimator = new MachiningEstimator(this.measurementSystem, this.elementManager, this.toolLibrary);
+        this.machiningEstimatePanel = new MachiningEstimatePanel(this.machiningEstimator, this.elementManager, this.measurementSystem);
+
+        // Printable and CSV cut list grouped by tool and depth
+        this.cutList = new CutList(this.measurementSystem, this.elementManager, this.toolLibrary, this.attributeSystem, this.designRuleChecker);
+
+        // Attributes of all elements as CSV or JSON for spreadsheet editing
+        this.attributeTable = new AttributeTable(this.measurementSystem, this.elementManager, this.attributeSystem);
+        this.attributeTableDialog = new AttributeTableDialog(this.attributeTable, this.measurementSystem);
+
+        // Plan carried to a new revision of the design, with a review of unmatched elements
+        this.revisionLink = new RevisionLink(this.elementManager, this.designRuleChecker);
+        this.revisionPanel = new RevisionPanel(this.revisionLink, this.elementManager, this.measurementSystem);
+        this.loadingRevision = false;
+
+        // Attribute changes since the file was loaded, with per-element revert
+        this.changeTracker = new ChangeTracker(this.measurementSystem, this.elementManager, this.attributeSystem);
+        this.changesPanel = new ChangesPanel(this.changeTracker, this.metaData, this.designRuleChecker, this.svgHelper);
+
+        // Rubber-band selection on the canvas (outlines sampled like in the design check)
+        this.marqueeSelection = new MarqueeSelection(this.measurementSystem, this.elementManager, this.designRuleChecker);
+
+        // Cut type proposals from the original fill and stroke colors
+        this.colorInference = new ColorInference(this.measurementSystem);
+        this.colorImportDialog = new ColorImportDialog(this.measurementSystem, this.colorInference, this.metaData, this.fileManager);
+
+        // Outlines for live text (embedded or bundled fonts)
+        this.textConverter = new TextConverter();
+
+        // Query-based selection (filter box and "Select similar")
+        this.selectionQuery = new SelectionQuery(this.measurementSystem);
+        this.selectionFilter = new SelectionFilter(this.selectionQuery, this.elementManager);
+
+        // Tabs of the open documents; display clones are kept for instant switching
+        this.documentTabs = new DocumentTabs(this.metaData);
+        this.displayClones = new Map(); // Display clone per document id
+
         // Application initialization sequence
         this.initializeElements();
         this.bindEvents();
@@ -65,6 +129,7 @@ class SVGShaperEditor {
 
             // File upload interface elements
             fileInput: 'fileInput',
+            revisionFileInput: 'revisionFileInput',
             uploadArea: 'uploadArea',
             uploadButton: 'uploadBtn',
             floatingImportBtn: 'floatingImportBtn',
@@ -77,11 +142,16 @@ class SVGShaperEditor {
             gutterOverlay: 'gutterOverlay',
 
             // User control elements
-            unitsToggle: 'unitToggle',
+            unitSelect: 'unitSelect',
             decimalToggle: 'decimalToggle',
             gutterToggle: 'gutterToggle',
+            toolpathToggle: 'toolpathToggle',
             gutterSize: 'gutterSize',
             gutterUnitLabel: 'gutterUnitLabel',
+            materialThickness: 'materialThickness',
+            materialUnitLabel: 'materialUnitLabel',
+            spoilboardAllowance: 'spoilboardAllowance',
+            spoilboardUnitLabel: 'spoilboardUnitLabel',
 
             // Viewport control buttons
             zoomInBtn: 'zoomIn',
@@ -96,6 +166,19 @@ class SVGShaperEditor {
 
         // Initialize complex UI components
         this.uiComponents.initializeElements();
+        this.colorImportDialog.initialize();
+        this.toolLibraryDialog.initialize();
+        this.cutRecipeDialog.initialize();
+        this.attributeTableDialog.initialize();
+        this.designRulePanel.initialize();
+        this.layerTreePanel.initialize();
+        this.machiningEstimatePanel.initialize();
+        this.revisionPanel.initialize();
+        this.changesPanel.initialize();
+        this.documentTabs.initialize();
+        this.selectionFilter.initialize();
+        this.marqueeSelection.initialize();
+        this.loadingProgress.initialize();
     }
 
     /**
@@ -109,8 +192,27 @@ class SVGShaperEditor {
         // Connect elementManager to fileManager for coordinated export operations
         this.fileManager.setElementManager(this.elementManager);
 
+        // Analyze loading files in the background and show the progress
+        this.fileManager.setBackgroundAnalysis(this.backgroundAnalysis);
+        this.fileManager.onAnalysisStart = (fileName) => this.loadingProgress.start(`Analyzing ${fileName}`);
+        this.fileManager.onAnalysisProgress = (analyzed, total) => this.loadingProgress.update(analyzed, total);
+        this.fileManager.onAnalysisEnd = () => this.loadingProgress.stop();
+        this.loadingProgress.onCancel = () => this.backgroundAnalysis.cancel();
+
+        // Documents that no longer fit into localStorage are lost on reload; say so
+        this.metaData.onStorageFull = (fileNames) => {
+            this.showNotification(`Browser storage is full, not kept for a reload: ${fileNames.join(', ')}`, 'warning');
+        };
+
         // Establish SVG loading pipeline with comprehensive callback handling
-        this.fileManager.setLoadCallback((svgElement, svgData, fileName) => {
+        this.fileManager.setLoadCallback((svgElement, svgData, fileName, geometry) => {
+            // A newly loaded file opens in its own tab; restored documents already have one
+            const isRestoring = this.metaData.isLoadingFromLocalStorage();
+            if (!isRestoring) {
+                this.leaveDocument();
+                this.metaData.addDocument(fileName);
+            }
+
             this.metaData.setCurrentFileName(fileName);
             this.updateFileNameDisplay();
             this.showEditor();
@@ -118,10 +220,25 @@ class SVGShaperEditor {
             // Store the SVG content in MetaData for persistence
             this.metaData.setOriginalSVG(svgData);
 
+            // Keep attribute edits of the restored session; they are not part of the original SVG
+            const persistedData = isRestoring ? new Map(this.metaData.getElementDataMap()) : null;
+
             // --- Analyze the SVG and populate the data map ---
             // Always analyze the SVG to get measurements and shaper attributes from the file
             this.metaData.clearElementData(); // Clear old data
-            const newMap = this.measurementSystem.analyzeSVG(svgElement);            // Use batch method for efficient bulk insertion (automatically saves)
+            const newMap = this.measurementSystem.analyzeSVG(svgElement, geometry);
+            if (persistedData) {
+                newMap.forEach((data, appId) => {
+                    const persisted = persistedData.get(appId);
+                    if (persisted && persisted.shaperAttributes) {
+                        data.shaperAttributes = { ...persisted.shaperAttributes };
+                    }
+                });
+            } else {
+                // A newly loaded file starts with an empty history
+                this.historyManager.clear();
+            }
+            // Use batch method for efficient bulk insertion (automatically saves)
             this.metaData.setElementDataBatch(newMap);
 
             // Store the measurement clone SVG if it was created during analysis
@@ -130,10 +247,20 @@ class SVGShaperEditor {
             }
 
             this.displaySVG(svgElement);
+            this.fileManager.registerDocument(this.metaData.getActiveDocumentId());
 
             // Only reset viewport when loading a new file (not from localStorage)
             if (!this.metaData.isLoadingFromLocalStorage()) {
                 this.viewport.resetViewport();
+
+                // The Origin can't cut live text; point to the conversion
+                this.warnAboutLiveText(svgElement);
+
+                // Import step: offer cut types for elements drawn in Shaper or rule colors
+                // (a new revision takes the cut types of its plan instead)
+                if (!this.loadingRevision) {
+                    this.colorImportDialog.openIfProposals();
+                }
             }
             // MetaData automatically handles persistence when data changes
             // For localStorage loading, saveToLocalStorage will be called after viewport restoration
@@ -141,6 +268,10 @@ class SVGShaperEditor {
 
         // Connect UI components save method to attribute system
         this.uiComponents.saveAttributes = () => {
+            // Evaluate typed values (Enter saves without leaving the field), keep the dialog open on errors
+            ShaperConstants.MEASUREMENT_ATTRIBUTES.forEach(attr => this.normalizeInput(document.getElementById(attr)));
+            if (this.uiComponents.modalDialog.hasInputErrors()) return;
+
             this.attributeSystem.saveAttributes();
 
             // Update SVG data to match what would be exported
@@ -151,6 +282,20 @@ class SVGShaperEditor {
             this.uiComponents.closeModal();
         };
 
+        // Keep the toolpath preview, design check, layer tree, time estimate and changes in sync with every recorded attribute change
+        this.historyManager.onHistoryChange = () => {
+            this.toolpathPreview.refresh();
+            this.designRulePanel.refresh();
+            this.layerTreePanel.refresh();
+            this.machiningEstimatePanel.refresh();
+            this.changesPanel.refresh();
+        };
+
+        // The time estimate lists the selected elements
+        this.elementManager.onSelectionChange = () => {
+            this.machiningEstimatePanel.scheduleRefresh();
+        };
+
         // Provide access to utility methods
         this.attributeSystem.editor = this;
         this.uiComponents.editor = this;
@@ -183,7 +328,8 @@ class SVGShaperEditor {
                 // Collect information for all selected elements
                 const selectedElementsInfo = Array.from(selectedPaths).map((path, index) => {
                     const dimensions = this.elementManager.getElementDimensions(path);
-                    const shaperAttributes = dimensions.shaperAttributes || {};
+                    // The dialog shows the values that apply, including those inherited from groups
+                    const shaperAttributes = this.elementManager.getEffectiveAttributes(path);
 
                     console.log(`Element ${index + 1}:`);
                     console.log(`  appId: ${path.dataset.appId}`);
@@ -207,13 +353,29 @@ class SVGShaperEditor {
                 console.warn('No elements selected when trying to open Plan Cuts dialog');
             }
         };        this.uiComponents.onExportSVG = () => {
-            this.fileManager.exportSVG();
+            this.exportSVG();
         };
 
         this.uiComponents.onCopyToClipboard = () => {
             this.copyToClipboard();
         };
 
+        this.uiComponents.onToggleExportCutStyle = () => {
+            const enabled = !this.metaData.isExportCutStyleEnabled();
+            this.fileManager.setExportCutStyle(enabled);
+            // Update MetaData (automatically saves)
+            this.metaData.setExportCutStyleEnabled(enabled);
+            this.showNotification(enabled ? 'Export uses Cut Style Guide colors' : 'Export keeps original colors', 'info');
+        };
+
+        this.uiComponents.onToggleExportGroupAttributes = () => {
+            const keep = !this.metaData.isExportKeepGroupAttributesEnabled();
+            this.fileManager.setExportKeepGroupAttributes(keep);
+            // Update MetaData (automatically saves)
+            this.metaData.setExportKeepGroupAttributesEnabled(keep);
+            this.showNotification(keep ? 'Export keeps attributes on groups' : 'Export flattens group attributes onto elements', 'info');
+        };
+
         this.uiComponents.onZoomToFit = () => {
             this.viewport.zoomToFit();
         };
@@ -226,10 +388,263 @@ class SVGShaperEditor {
             this.viewport.zoomTo100();
         };
 
+        // Connect attribute clipboard and history actions
+        this.uiComponents.onCopyAttributes = () => {
+            const selectedPaths = Array.from(this.elementManager.getSelectedPaths());
+            if (this.attributeSystem.copyAttributes(selectedPaths[0])) {
+                this.showNotification('Attributes copied', 'info');
+            }
+        };
+
+        this.uiComponents.onPasteAttributes = () => {
+            this.attributeSystem.pasteAttributes(Array.from(this.elementManager.getSelectedPaths()));
+            this.uiComponents.refreshTooltipIfVisible();
+        };
+
+        this.uiComponents.onClearAttributes = () => {
+            this.attributeSystem.clearAttributes(Array.from(this.elementManager.getSelectedPaths()));
+            this.uiComponents.refreshTooltipIfVisible();
+        };
+
+        this.uiComponents.onInferCutTypes = () => {
+            this.colorImportDialog.open();
+        };
+
+        this.colorImportDialog.onApply = (proposals) => {
+            const count = this.attributeSystem.applyAttributeProposals(
+                proposals, this.attributeSystem.getChangeLabel('Apply colors to', proposals.length)
+            );
+            this.uiComponents.refreshTooltipIfVisible();
+            this.showNotification(`Cut types applied to ${count} element${count === 1 ? '' : 's'}`, 'success');
+        };
+
+        // Document tabs
+        this.documentTabs.onSwitch = (documentId) => {
+            this.switchDocument(documentId);
+        };
+
+        this.documentTabs.onClose = (documentId) => {
+            this.closeDocument(documentId);
+        };
+
+        this.documentTabs.onAdd = () => {
+            this.fileInput.click();
+        };
+
+        // Text outlining from the context menu
+        this.uiComponents.onConvertText = () => {
+            this.convertTextToPaths();
+        };
+
+        // Tool library editing from the context menu and the attribute modal
+        this.uiComponents.onToolLibrary = () => {
+            this.toolLibraryDialog.open();
+        };
+
+        this.uiComponents.modalDialog.onManageTools = () => {
+            this.toolLibraryDialog.open();
+        };
+
+        this.toolLibraryDialog.onChange = () => {
+            this.uiComponents.modalDialog.refreshToolLibrary();
+            this.uiComponents.refreshTooltipIfVisible();
+            this.machiningEstimatePanel.refresh();
+        };
+
+        // Cut recipes from the context submenu and the number keys
+        this.uiComponents.onApplyRecipe = (recipeId) => {
+            this.applyRecipe(recipeId);
+        };
+
+        this.uiComponents.onRecipeShortcut = (number) => {
+            this.applyRecipeShortcut(number);
+        };
+
+        this.uiComponents.onCutRecipes = () => {
+            this.cutRecipeDialog.open();
+        };
+
+        this.cutRecipeDialog.onImport = (result) => {
+            this.showNotification(`Recipes imported: ${result.added} added, ${result.updated} updated`, 'success');
+        };
+
+        // Selection filter; "Select similar" fills in the query for the element under the cursor
+        this.uiComponents.onFocusSelectionFilter = () => {
+            this.selectionFilter.focus();
+        };
+
+        this.uiComponents.onSelectSimilar = (element) => {
+            const query = this.selectionQuery.buildSimilarQuery(element, this.selectionFilter.getQueryData(element));
+            this.selectionFilter.setQuery(query);
+        };
+
+        // Design check panel from the context menu; findings select their element
+        this.uiComponents.onDesignCheck = () => {
+            this.designRulePanel.toggle();
+        };
+
+        this.designRulePanel.onSelectElement = (appId) => {
+            const element = this.svgContent.querySelector(`[data-app-id="${appId}"]`);
+            if (element) {
+                this.elementManager.selectPath(element, false);
+            }
+        };
+
+        // Layer tree from the context menu; groups are edited in the attribute modal
+        this.uiComponents.onLayerTree = () => {
+            this.layerTreePanel.toggle();
+        };
+
+        // Time estimate from the context menu
+        this.uiComponents.onMachiningTime = () => {
+            this.machiningEstimatePanel.toggle();
+        };
+
+        // Cut list from the context menu (print page or CSV download)
+        this.uiComponents.onCutListPrint = () => {
+            const svgElement = this.svgContent.querySelector('svg');
+            if (!svgElement) return;
+            if (!this.cutList.openPrintPage(svgElement, this.fileManager.fileName)) {
+                this.showNotification('Pop-up blocked, cut list downloaded instead', 'info');
+            }
+        };
+
+        this.uiComponents.onCutListCSV = () => {
+            const svgElement = this.svgContent.querySelector('svg');
+            if (!svgElement) return;
+            this.cutList.downloadCSV(svgElement, this.fileManager.fileName);
+        };
+
+        // Attribute table round trip; imports are saved like dialog input
+        this.uiComponents.onAttributeTable = () => {
+            const svgElement = this.svgContent.querySelector('svg');
+            if (!svgElement) return;
+            this.attributeTableDialog.open(svgElement, this.fileManager.fileName);
+        };
+
+        this.attributeTableDialog.onImport = (result) => {
+            if (result.applied === 0) {
+                this.showNotification('Attribute table imported, no values changed', 'info');
+                return;
+            }
+            this.showNotification(`Attributes imported for ${result.applied} element${result.applied === 1 ? '' : 's'}`, 'success');
+        };
+
+        // New revision of the design from the context menu
+        this.uiComponents.onLoadRevision = () => {
+            if (!this.svgContent.querySelector('svg')) return;
+            this.revisionFileInput.click();
+        };
+
+        this.revisionPanel.onSelectElement = (appId) => {
+            const element = this.svgContent.querySelector(`[data-app-id="${appId}"]`);
+            if (element) {
+                this.elementManager.selectPath(element, false);
+            }
+        };
+
+        // Changes since loading from the context menu; entries select their element
+        this.uiComponents.onChanges = () => {
+            this.changesPanel.toggle();
+        };
+
+        this.changesPanel.onSelectElement = (appId) => {
+            const element = this.svgContent.querySelector(`[data-app-id="${appId}"]`);
+            if (element) {
+                this.elementManager.selectPath(element, false);
+            }
+        };
+
+        this.layerTreePanel.onEditGroup = (group) => {
+            this.uiComponents.openAttributeModal(group, [{
+                appId: group.dataset.groupId,
+                element: group,
+                shaperAttributes: this.elementManager.getEffectiveAttributes(group)
+            }]);
+        };
+
+        // Cut depth checks against material thickness and tool cutting length
+        this.uiComponents.getDepthWarnings = (path) => this.attributeSystem.getElementDepthWarnings(path);
+
+        // Marker in the tooltip for elements changed since loading
+        this.uiComponents.isChanged = (path) => this.changeTracker.isChanged(path, this.metaData.getOriginalSVG());
+        this.uiComponents.modalDialog.getDepthWarnings = (shaperAttrs) => this.attributeSystem.getDepthWarnings(shaperAttrs);
+
+        this.uiComponents.onUndo = () => {
+            this.undo();
+        };
+
+        this.uiComponents.onRedo = () => {
+            this.redo();
+        };
+
         // Load saved data from localStorage
         this.loadFromLocalStorage();
     }
 
+    /**
+     * Apply a cut recipe to the selected elements (one undo step)
+     * @param {string} recipeId - Recipe id
+     */
+    applyRecipe(recipeId) {
+        const recipe = this.cutRecipes.getRecipe(recipeId);
+        const selectedPaths = Array.from(this.elementManager.getSelectedPaths());
+        if (!recipe || selectedPaths.length === 0) return;
+
+        const attributes = ShaperUtils.getPresetAttributes(recipe);
+        const proposals = selectedPaths.map(path => ({ appId: path.dataset.appId, attributes: attributes }));
+        const count = this.attributeSystem.applyAttributeProposals(
+            proposals, this.attributeSystem.getChangeLabel(`Apply ${recipe.name} to`, proposals.length)
+        );
+        this.uiComponents.refreshTooltipIfVisible();
+        this.showNotification(`${recipe.name} applied to ${count} element${count === 1 ? '' : 's'}`, 'success');
+    }
+
+    /**
+     * Apply the recipe of a number key to the selected elements
+     * @param {number} number - Number key (1–9)
+     */
+    applyRecipeShortcut(number) {
+        if (this.uiComponents.modalDialog.isVisible() || this.cutRecipeDialog.isOpen() || this.attributeTableDialog.isOpen() ||
+            this.toolLibraryDialog.isOpen() || this.colorImportDialog.isOpen()) return;
+        if (this.elementManager.getSelectedPaths().size === 0) return;
+
+        const recipe = this.cutRecipes.getShortcutRecipe(number);
+        if (recipe) {
+            this.applyRecipe(recipe.id);
+        } else {
+            this.showNotification(`No recipe on key ${number}`, 'info');
+        }
+    }
+
+    /**
+     * Undo the most recent attribute edit
+     */
+    undo() {
+        if (this.uiComponents.modalDialog.isVisible()) return;
+
+        const command = this.historyManager.undo();
+        if (command) {
+            this.fileManager.updateSVGData();
+            this.uiComponents.refreshTooltipIfVisible();
+            this.showNotification(`Undo: ${command.label}`, 'info');
+        }
+    }
+
+    /**
+     * Redo the most recently undone attribute edit
+     */
+    redo() {
+        if (this.uiComponents.modalDialog.isVisible()) return;
+
+        const command = this.historyManager.redo();
+        if (command) {
+            this.fileManager.updateSVGData();
+            this.uiComponents.refreshTooltipIfVisible();
+            this.showNotification(`Redo: ${command.label}`, 'info');
+        }
+    }
+
     // Viewport state synchronization
     saveViewportOnly() {
         // Update viewport state in MetaData (automatically saves)
@@ -246,6 +661,7 @@ class SVGShaperEditor {
     syncFromMetaData() {
         // Apply measurement system settings
         this.measurementSystem.setUnits(this.metaData.getUnits());
+        this.measurementSystem.setFractionDenominator(this.metaData.getFractionDenominator());
         this.measurementSystem.setDecimalSeparator(this.metaData.getDecimalSeparator());
 
         // Apply gutter settings
@@ -253,9 +669,17 @@ class SVGShaperEditor {
         this.gutterToggle.checked = gutterSettings.enabled;
         this.gutterOverlay.style.display = gutterSettings.enabled ? 'block' : 'none';
 
+        // Apply export style setting
+        this.fileManager.setExportCutStyle(this.metaData.isExportCutStyleEnabled());
+        this.fileManager.setExportKeepGroupAttributes(this.metaData.isExportKeepGroupAttributesEnabled());
+
+        // Apply toolpath preview setting
+        this.toolpathToggle.checked = this.metaData.isToolpathPreviewEnabled();
+        this.toolpathPreview.setEnabled(this.toolpathToggle.checked);
+
         // Update UI toggles to match settings
-        if (this.unitsToggle) {
-            this.unitsToggle.checked = this.metaData.getUnits() === 'in';
+        if (this.unitSelect) {
+            this.unitSelect.value = this.measurementSystem.getUnitMode();
         }
         if (this.decimalToggle) {
             this.decimalToggle.checked = this.metaData.getDecimalSeparator() === ',';
@@ -314,13 +738,9 @@ class SVGShaperEditor {
                     console.error('Error restoring last opened file:', error);
                     console.warn('Clearing corrupted SVG data from localStorage');
 
-                    // Clear the corrupted SVG data
-                    this.metaData.setOriginalSVG(null);
-                    this.metaData.setDisplayCloneSVG(null);
-                    this.metaData.setMeasurementCloneSVG(null);
-                    this.metaData.setCurrentFileName(null);
-
+                    // Close the corrupted document; another open tab takes its place
                     this.metaData.setLoadingFromLocalStorage(false);
+                    this.closeDocument(this.metaData.getActiveDocumentId());
                 }
             }
         } catch (error) {
@@ -372,6 +792,7 @@ class SVGShaperEditor {
         this.fileInput.addEventListener('change', (e) => {
             this.fileManager.handleFileSelect(e);
         });
+        this.revisionFileInput.addEventListener('change', (e) => this.handleRevisionFile(e));
         this.uploadArea.addEventListener('click', (e) => {
             // Only trigger file input if not clicking the button
             if (!e.target.closest('#uploadBtn')) {
@@ -386,7 +807,7 @@ class SVGShaperEditor {
 
         // Floating button events
         this.floatingImportBtn.addEventListener('click', () => this.fileInput.click());
-        this.floatingExportBtn.addEventListener('click', () => this.fileManager.exportSVG());
+        this.floatingExportBtn.addEventListener('click', () => this.exportSVG());
 
         // Toolbar events
         this.gutterSize.addEventListener('blur', () => this.handleGutterInput());
@@ -396,9 +817,19 @@ class SVGShaperEditor {
             }
         });
 
-        this.unitsToggle.addEventListener('change', () => this.toggleUnits());
+        [this.materialThickness, this.spoilboardAllowance].forEach(input => {
+            input.addEventListener('blur', () => this.handleMaterialInput());
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    input.blur();
+                }
+            });
+        });
+
+        this.unitSelect.addEventListener('change', () => this.changeUnits());
         this.decimalToggle.addEventListener('change', () => this.toggleDecimalSeparator());
         this.gutterToggle.addEventListener('change', () => this.toggleGutter());
+        this.toolpathToggle.addEventListener('change', () => this.toggleToolpathPreview());
 
         // Setup zoom input events
         this.viewport.setupZoomInput();
@@ -491,14 +922,24 @@ class SVGShaperEditor {
         const displayCloneString = new XMLSerializer().serializeToString(displayClone);
         this.metaData.setDisplayCloneSVG(displayCloneString);
 
+        // Add overlays and click handlers while the clone is detached (no live DOM updates per element)
+        this.addOverlaysToDisplayedSVG(displayClone);
+
         // Now add the fully normalized SVG to the DOM
         this.svgContent.appendChild(displayClone);
+        this.displayClones.set(this.metaData.getActiveDocumentId(), displayClone);
 
         // Set up viewport
         this.viewport.setSVGElements(this.svgWrapper, displayClone);
 
-        // Add overlays and click handlers
-        this.addOverlaysToDisplayedSVG(displayClone);
+        // Draw tool swaths behind the elements (if enabled)
+        this.toolpathPreview.attach(displayClone);
+        this.designRulePanel.attach(displayClone);
+        this.layerTreePanel.attach(displayClone);
+        this.machiningEstimatePanel.attach(displayClone);
+        this.revisionPanel.attach(displayClone);
+        this.changesPanel.attach(displayClone);
+        this.marqueeSelection.attach(displayClone);
 
         // Show editor section
         this.showEditor();
@@ -547,8 +988,12 @@ class SVGShaperEditor {
             // Apply normalized path class - CSS handles all styling including vector-effect
             element.classList.add('normalized-path');
 
-            // Detect and mark closed paths/shapes for appropriate fill treatment
-            if (this.measurementSystem.isClosedShape(element)) {
+            // Detect and mark closed paths/shapes for appropriate fill treatment (analysis result if known)
+            const elementData = this.metaData.getElementData(element.dataset.appId);
+            const isClosed = elementData && elementData.isClosed !== undefined
+                ? elementData.isClosed
+                : this.measurementSystem.isClosedShape(element);
+            if (isClosed) {
                 element.classList.add('is-closed-path');
             }
 
@@ -789,20 +1234,149 @@ class SVGShaperEditor {
 
     updateFileNameDisplay() {
         if (this.currentFileNameDisplay) {
-            const textSpan = this.currentFileNameDisplay.querySelector('.filename-text');
-            const currentFileName = this.metaData.getCurrentFileName();
-            if (currentFileName) {
-                if (textSpan) {
-                    textSpan.textContent = currentFileName;
-                } else {
-                    // fallback legacy
-                    this.currentFileNameDisplay.textContent = currentFileName;
-                }
-                this.currentFileNameDisplay.style.display = 'inline-flex';
-            } else {
-                this.currentFileNameDisplay.style.display = 'none';
+            this.documentTabs.render();
+            const hasDocuments = this.metaData.getDocuments().length > 0;
+            this.currentFileNameDisplay.style.display = hasDocuments ? 'inline-flex' : 'none';
+        }
+    }
+
+    // Document tab management
+    /**
+     * Make another open document the active one
+     * @param {string} documentId - Document id
+     */
+    switchDocument(documentId) {
+        if (documentId === this.metaData.getActiveDocumentId()) return;
+
+        this.leaveDocument();
+        if (this.metaData.switchDocument(documentId)) {
+            this.showActiveDocument();
+        }
+        this.updateFileNameDisplay();
+    }
+
+    /**
+     * Close an open document (its attribute edits are discarded)
+     * @param {string} documentId - Document id
+     */
+    closeDocument(documentId) {
+        const wasActive = documentId === this.metaData.getActiveDocumentId();
+        if (wasActive) {
+            this.leaveDocument();
+        }
+
+        this.metaData.closeDocument(documentId);
+        this.fileManager.closeDocument(documentId);
+        this.displayClones.delete(documentId);
+
+        if (wasActive) {
+            this.showActiveDocument();
+        }
+        this.updateFileNameDisplay();
+    }
+
+    /**
+     * Open a new revision of the displayed design and carry its plan over
+     *
+     * The revision opens in its own tab, so the old plan stays open for
+     * comparison. Its elements are paired with the plan by geometry and take
+     * the plan's attributes as one undo step; the rest is listed for review.
+     *
+     * @param {Event} event - File input change event
+     */
+    handleRevisionFile(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        const svgElement = this.svgContent.querySelector('svg');
+        if (!file || !svgElement) return;
+
+        const oldPrints = this.revisionLink.capture(svgElement);
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            this.loadingRevision = true;
+            let loaded;
+            try {
+                loaded = await this.fileManager.loadSVGString(e.target.result, file.name);
+            } finally {
+                this.loadingRevision = false;
+            }
+            if (!loaded) return;
+
+            const result = this.revisionLink.match(oldPrints, this.revisionLink.capture(this.svgContent.querySelector('svg')));
+            const proposals = this.revisionLink.createProposals(result);
+            this.attributeSystem.applyAttributeProposals(proposals, this.attributeSystem.getChangeLabel('Carry plan to', proposals.length));
+            this.revisionPanel.show(result, file.name);
+
+            const review = result.added.length + result.removed.length + result.ambiguous.length;
+            this.showNotification(
+                `Plan carried to ${proposals.length} element${proposals.length === 1 ? '' : 's'}` + (review > 0 ? `, ${review} to review` : ''),
+                review > 0 ? 'warning' : 'success'
+            );
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Drop selection and dialogs that belong to the active document
+     */
+    leaveDocument() {
+        this.uiComponents.closeModal();
+        this.colorImportDialog.close();
+        this.elementManager.clearSelection();
+        this.uiComponents.hideTooltip();
+    }
+
+    /**
+     * Display the active document of MetaData
+     *
+     * Documents displayed before reuse their master and display clone, so
+     * switching does not parse or measure again. Documents restored after a
+     * reload are parsed on their first activation.
+     */
+    showActiveDocument() {
+        const documentId = this.metaData.getActiveDocumentId();
+        if (!documentId) {
+            this.fileManager.clearSVG();
+            this.svgContent.innerHTML = '';
+            this.toolpathPreview.attach(null);
+            this.designRulePanel.attach(null);
+            this.layerTreePanel.attach(null);
+            this.machiningEstimatePanel.attach(null);
+            this.revisionPanel.attach(null);
+            this.changesPanel.attach(null);
+            this.marqueeSelection.attach(null);
+            this.editorSection.style.display = 'none';
+            this.uploadSection.style.display = 'block';
+            return;
+        }
+
+        const displayClone = this.displayClones.get(documentId);
+        if (displayClone && this.fileManager.activateDocument(documentId)) {
+            this.svgContent.innerHTML = '';
+            this.svgContent.appendChild(displayClone);
+            this.viewport.setSVGElements(this.svgWrapper, displayClone);
+            this.toolpathPreview.attach(displayClone);
+            this.designRulePanel.attach(displayClone);
+            this.layerTreePanel.attach(displayClone);
+            this.machiningEstimatePanel.attach(displayClone);
+            this.revisionPanel.attach(displayClone);
+            this.changesPanel.attach(displayClone);
+            this.marqueeSelection.attach(displayClone);
+        } else {
+            try {
+                this.metaData.setLoadingFromLocalStorage(true);
+                this.fileManager.parseSVG(this.metaData.getOriginalSVG(), this.metaData.getCurrentFileName());
+                this.metaData.setLoadingFromLocalStorage(false);
+            } catch (error) {
+                console.error('Error restoring document:', error);
+                this.metaData.setLoadingFromLocalStorage(false);
+                this.closeDocument(documentId);
+                return;
             }
         }
+
+        this.restoreViewportState(this.metaData.getViewportState());
+        this.updateGutterSize();
     }
 
     newFile() {
@@ -834,6 +1408,12 @@ class SVGShaperEditor {
         this.metaData.setGutterSettings(this.gutterToggle.checked, this.metaData.getGutterSettings().sizeRawMm);
     }
 
+    toggleToolpathPreview() {
+        this.toolpathPreview.setEnabled(this.toolpathToggle.checked);
+        // Update MetaData (automatically saves)
+        this.metaData.setToolpathPreviewEnabled(this.toolpathToggle.checked);
+    }
+
     handleGutterInput() {
         this.normalizeInput(this.gutterSize);
 
@@ -857,6 +1437,7 @@ class SVGShaperEditor {
         const inputValue = input.value.trim();
 
         if (inputValue === '') {
+            DRYUtilities.setInputError(input, null);
             return;
         }
 
@@ -864,6 +1445,11 @@ class SVGShaperEditor {
         // This ensures we capture what the user actually typed
         this.updateRawValueFromDisplay(input, this.measurementSystem.units);
 
+        // Keep invalid input as typed so it can be corrected
+        if (input.classList.contains('error')) {
+            return;
+        }
+
         // THEN: Get the raw value and use it for formatting
         const rawValueMm = this.getRawValue(input);
 
@@ -985,6 +1571,8 @@ class SVGShaperEditor {
             this.gutterUnitLabel.textContent = this.measurementSystem.units;
         }
 
+        this.updateMaterialInputs();
+
         if (this.gutterSize) {
             this.gutterSize.placeholder = `10`;
             // Initialize raw value storage with default 10mm if not already set
@@ -993,9 +1581,9 @@ class SVGShaperEditor {
             }
         }
 
-        // Update the units toggle to reflect current state (unless loading from localStorage)
-        if (this.unitsToggle && !this.metaData.isLoadingFromLocalStorage()) {
-            this.unitsToggle.checked = (this.measurementSystem.units === 'in');
+        // Update the unit selector to reflect current state (unless loading from localStorage)
+        if (this.unitSelect && !this.metaData.isLoadingFromLocalStorage()) {
+            this.unitSelect.value = this.measurementSystem.getUnitMode();
         }
 
         // Update decimal separator toggle (unless loading from localStorage)
@@ -1012,14 +1600,15 @@ class SVGShaperEditor {
     }
 
     // Unit system management
-    toggleUnits() {
+    changeUnits() {
         const oldUnits = this.measurementSystem.units;
-        const newUnits = this.unitsToggle.checked ? 'in' : 'mm';
 
         // Set flag to prevent raw value corruption during conversion
         this.isConverting = true;
 
-        this.measurementSystem.setUnits(newUnits);
+        // Selector modes are units, fractional inches carry their denominator (e.g., 'in/64')
+        this.measurementSystem.setUnitMode(this.unitSelect.value);
+        const newUnits = this.measurementSystem.units;
         this.updateUnitDisplay();
 
         // Convert existing values
@@ -1030,11 +1619,16 @@ class SVGShaperEditor {
         // Clear conversion flag
         this.isConverting = false;
 
-        // Refresh tooltip to show converted values
+        // Refresh tooltip and depth warnings to show converted values
         this.uiComponents.refreshTooltip();
+        this.uiComponents.modalDialog.updateDepthWarning();
+        this.designRulePanel.refresh();
+        this.machiningEstimatePanel.refresh();
+        this.changesPanel.refresh();
 
         // Update MetaData with new units (automatically saves)
         this.metaData.setUnits(newUnits);
+        this.metaData.setFractionDenominator(this.measurementSystem.getFractionDenominator());
     }
 
     toggleDecimalSeparator() {
@@ -1047,9 +1641,13 @@ class SVGShaperEditor {
                 // Convert raw mm value to current units and reformat with new decimal separator
                 const currentValue = this.measurementSystem.convertBetweenUnits(rawValueMm, 'mm', this.measurementSystem.units);
                 this.gutterSize.value = this.measurementSystem.formatDisplayNumber(currentValue);
+                DRYUtilities.setInputError(this.gutterSize, null);
             }
         }
 
+        // Update material inputs from their stored pixel values
+        this.updateMaterialInputs();
+
         // Update dialog inputs
         this.attributeSystem.refreshDialogValues();
 
@@ -1068,15 +1666,198 @@ class SVGShaperEditor {
         this.metaData.setDecimalSeparator(this.decimalToggle.checked ? ',' : '.');
     }
 
+    /**
+     * Show the material settings from MetaData in the titlebar inputs
+     */
+    updateMaterialInputs() {
+        if (!this.materialThickness || !this.spoilboardAllowance) return;
+
+        const material = this.metaData.getMaterialSettings();
+        this.materialThickness.value = this.formatMaterialValue(material.thickness);
+        this.spoilboardAllowance.value = this.formatMaterialValue(material.spoilboardAllowance);
+        this.materialUnitLabel.textContent = this.measurementSystem.units;
+        this.spoilboardUnitLabel.textContent = this.measurementSystem.units;
+    }
+
+    /**
+     * Format a pixel length for a material input in current units
+     * @param {number|null} pixels - Length in pixels
+     * @returns {string} Display value or '' if not set
+     */
+    formatMaterialValue(pixels) {
+        if (!(pixels > 0)) return '';
+        return this.measurementSystem.formatDisplayNumber(this.measurementSystem.convertPixelsToCurrentUnit(pixels));
+    }
+
+    /**
+     * Parse a material input, keeping the stored value if the display is unchanged
+     *
+     * @param {Element} input - Material thickness or spoilboard allowance input
+     * @param {number|null} storedPixels - Currently stored value in pixels
+     * @returns {number|null} Length in pixels or null if empty or invalid
+     */
+    parseMaterialInput(input, storedPixels) {
+        if (input.value.trim() === this.formatMaterialValue(storedPixels)) {
+            return storedPixels > 0 ? storedPixels : null;
+        }
+
+        const value = this.measurementSystem.parseValueWithUnits(input.value);
+        return value !== null && value > 0 ? this.measurementSystem.unitsToPixels(value) : null;
+    }
+
+    /**
+     * Store the material settings from the titlebar inputs
+     */
+    handleMaterialInput() {
+        const material = this.metaData.getMaterialSettings();
+        const thickness = this.parseMaterialInput(this.materialThickness, material.thickness);
+        const allowance = this.parseMaterialInput(this.spoilboardAllowance, material.spoilboardAllowance);
+
+        // Update MetaData (automatically saves)
+        this.metaData.setMaterialSettings(thickness, allowance || 0);
+        this.updateMaterialInputs();
+
+        this.uiComponents.modalDialog.updateDepthWarning();
+        this.uiComponents.refreshTooltipIfVisible();
+    }
+
+    /**
+     * Summarize cut depth warnings for the export step
+     * @returns {string|null} Notification text or null if all depths are fine
+     */
+    getDepthWarningSummary() {
+        const results = this.attributeSystem.getElementsWithDepthWarnings();
+        if (results.length === 0) return null;
+
+        const elementText = results.length === 1 ? '1 element' : `${results.length} elements`;
+        return `Check cut depths (${elementText}): ${results[0].warnings[0]}`;
+    }
+
+    /**
+     * Export the SVG file, warning about cut depths deeper than allowed
+     */
+    exportSVG() {
+        const depthWarning = this.getDepthWarningSummary();
+        if (depthWarning) {
+            this.showNotification(depthWarning, 'warning');
+        }
+
+        this.fileManager.exportSVG();
+    }
+
+    /**
+     * Check whether the loaded file contains live text
+     * @returns {boolean} True if there are text elements
+     */
+    hasLiveText() {
+        return this.textConverter.findTextElements(this.fileManager.getSVGElement()).length > 0;
+    }
+
+    /**
+     * Warn about live text in a newly loaded file
+     * @param {Element} svgElement - Master SVG element
+     */
+    warnAboutLiveText(svgElement) {
+        const count = this.textConverter.findTextElements(svgElement).length;
+        if (count === 0) return;
+
+        const elementText = count === 1 ? '1 text element' : `${count} text elements`;
+        this.showNotification(`${elementText} found. The Origin can't cut live text, use "Convert Text to Paths" in the context menu`, 'warning');
+    }
+
+    /**
+     * Replace all text elements with outline paths
+     *
+     * The paths take over the app-ids of the text elements, so assigned
+     * shaper attributes (and the undo history) stay valid. Tspans with own
+     * attributes become separate paths.
+     */
+    async convertTextToPaths() {
+        const svgElement = this.fileManager.getSVGElement();
+        if (!this.hasLiveText()) {
+            this.showNotification('No text elements found', 'info');
+            return;
+        }
+
+        const attributedAppIds = new Set();
+        this.metaData.getElementDataMap().forEach((data, appId) => {
+            if (data.shaperAttributes && Object.keys(data.shaperAttributes).length > 0) {
+                attributedAppIds.add(appId);
+            }
+        });
+
+        let result;
+        try {
+            result = await this.textConverter.convert(svgElement, attributedAppIds);
+        } catch (error) {
+            console.error('Error converting text:', error);
+            this.showNotification('Text conversion failed', 'error');
+            return;
+        }
+
+        this.refreshGeometry();
+
+        const elementText = result.converted === 1 ? '1 text element' : `${result.converted} text elements`;
+        this.showNotification(`Converted ${elementText} to paths`, 'success');
+
+        const notes = [];
+        if (result.substitutedFonts.length > 0) {
+            notes.push(`Set in ${BundledFonts.FAMILY} instead of ${result.substitutedFonts.join(', ')}`);
+        }
+        if (result.fontErrors.length > 0) {
+            notes.push(`Embedded fonts not usable: ${result.fontErrors.join('; ')}`);
+        }
+        if (result.missingCharacters > 0) {
+            notes.push(`${result.missingCharacters} characters missing in the font`);
+        }
+        if (result.skipped > 0) {
+            notes.push(`${result.skipped} text on a path left unchanged`);
+        }
+        if (notes.length > 0) {
+            this.showNotification(notes.join('. '), 'warning');
+        }
+    }
+
+    /**
+     * Re-analyze and redisplay the master model after a geometry change
+     *
+     * Measurements are taken anew, shaper attributes stay with their
+     * app-ids. The changed file becomes the stored original, so a reload
+     * restores it.
+     */
+    refreshGeometry() {
+        const svgElement = this.fileManager.getSVGElement();
+        const previousData = new Map(this.metaData.getElementDataMap());
+
+        const newMap = this.measurementSystem.analyzeSVG(svgElement);
+        newMap.forEach((data, appId) => {
+            const previous = previousData.get(appId);
+            if (previous && previous.shaperAttributes) {
+                data.shaperAttributes = { ...previous.shaperAttributes };
+            }
+        });
+        this.metaData.clearElementData();
+        this.metaData.setElementDataBatch(newMap);
+
+        if (this.measurementSystem.measurementCloneSVG) {
+            this.metaData.setMeasurementCloneSVG(this.measurementSystem.measurementCloneSVG);
+        }
+
+        this.fileManager.updateSVGData();
+        this.metaData.setOriginalSVG(this.fileManager.getSVGData());
+
+        this.elementManager.clearSelection();
+        this.uiComponents.hideTooltip();
+        this.displaySVG(svgElement);
+    }
+
     convertGutterSize(fromUnit, toUnit) {
-        if (fromUnit === toUnit || !this.gutterSize) return;
+        if (!this.gutterSize) return;
 
         this.convertInputWithRawValue(this.gutterSize, 'gutter', fromUnit, toUnit);
     }
 
     convertDialogValues(fromUnit, toUnit) {
-        if (fromUnit === toUnit) return;
-
         const measurementInputs = ['cutDepth', 'cutOffset', 'toolDia'];
         measurementInputs.forEach(inputId => {
             const input = document.getElementById(inputId);
@@ -1118,49 +1899,34 @@ class SVGShaperEditor {
 
         const inputValue = input.value.trim();
 
-        // Normalize decimal separators - simplified logic
-        let normalizedInput = inputValue;
-        if (inputValue.includes(',') && !inputValue.includes('.')) {
-            normalizedInput = inputValue.replace(',', '.');
-        } else if (inputValue.includes('.') && inputValue.includes(',')) {
-            // Handle mixed separators - use last one as decimal point
-            const lastCommaIndex = inputValue.lastIndexOf(',');
-            const lastDotIndex = inputValue.lastIndexOf('.');
-
-            if (lastCommaIndex > lastDotIndex) {
-                normalizedInput = inputValue.replace(/\./g, '').replace(',', '.');
-            } else {
-                normalizedInput = inputValue.replace(/,/g, '');
+        // Keep the exact raw value while the display still shows it (fractions are rounded)
+        const rawValueMm = this.getRawValue(input);
+        if (!isNaN(rawValueMm)) {
+            const displayedRaw = this.measurementSystem.convertBetweenUnits(rawValueMm, 'mm', currentUnit);
+            if (inputValue === this.measurementSystem.formatDisplayNumber(displayedRaw)) {
+                DRYUtilities.setInputError(input, null);
+                return rawValueMm;
             }
         }
 
-        const match = normalizedInput.match(/^([+-]?\d*\.?\d+)\s*([a-zA-Z]*)$/);
-        if (match) {
-            const [, numStr, unit] = match;
-            const numValue = parseFloat(numStr);
-
-            // Check if this attribute allows negative values
-            const allowNegative = ShaperConstants.allowsNegativeValues(input.id);
-            const isValidValue = !isNaN(numValue) && (allowNegative || numValue > 0);
-
-            if (isValidValue) {
-                let rawValueMm;
-
-                if (unit === 'mm') {
-                    // User specified mm, use directly
-                    rawValueMm = numValue;
-                } else if (unit === 'in') {
-                    // User specified inches, convert to mm
-                    rawValueMm = this.measurementSystem.convertBetweenUnits(numValue, 'in', 'mm');
-                } else {
-                    // No unit specified, assume current unit system
-                    rawValueMm = this.measurementSystem.convertBetweenUnits(numValue, currentUnit, 'mm');
-                }
+        // Values and arithmetic (e.g., '3/4in - 1/16in') in current units, errors shown at the input
+        let numValue;
+        try {
+            numValue = this.measurementSystem.evaluateExpression(inputValue, currentUnit);
+        } catch (error) {
+            DRYUtilities.setInputError(input, error.message);
+            return this.getRawValue(input);
+        }
 
-                this.setRawValue(input, rawValueMm);
-                return rawValueMm;
-            }
+        // Check if this attribute allows negative values
+        const allowNegative = ShaperConstants.allowsNegativeValues(input.id);
+        if (allowNegative || numValue > 0) {
+            DRYUtilities.setInputError(input, null);
+            const newRawValueMm = this.measurementSystem.convertBetweenUnits(numValue, currentUnit, 'mm');
+            this.setRawValue(input, newRawValueMm);
+            return newRawValueMm;
         }
+        DRYUtilities.setInputError(input, `Must be greater than 0 (is ${this.measurementSystem.formatWithUnits(numValue)})`);
 
         const fallbackValue = this.getRawValue(input);
         return fallbackValue;
@@ -1182,6 +1948,7 @@ class SVGShaperEditor {
         const formattedValue = this.measurementSystem.formatDisplayNumber(convertedValue);
 
         input.value = formattedValue;
+        DRYUtilities.setInputError(input, null);
     }
 
     // Copy SVG to clipboard
@@ -1193,21 +1960,12 @@ class SVGShaperEditor {
                 throw new Error('No SVG file loaded to copy');
             }
 
-            // Create a clone of the master model to prepare for export
-            const exportNode = this.fileManager.masterSVGElement.cloneNode(true);
-
-            // Clean all elements in the cloned node for export (same as exportSVG)
-            exportNode.querySelectorAll('[data-app-id]').forEach(el => {
-                // Set namespaced attributes from raw values
-                this.fileManager.updateShaperAttributesForExport(el);
-                // Remove all raw attributes
-                ShaperUtils.removeAllRawAttributes(el);
-                // Remove the internal app-id for the final export
-                el.removeAttribute('data-app-id');
-            });
+            // Prepare the export version of the master model (same as exportSVG)
+            const exportNode = this.fileManager.createExportNode();
 
             // Create SVG string
             const svgString = new XMLSerializer().serializeToString(exportNode);
+            const depthWarning = this.getDepthWarningSummary();
 
             // Try to use the modern Clipboard API
             if (navigator.clipboard && window.ClipboardItem) {
@@ -1221,11 +1979,11 @@ class SVGShaperEditor {
                 });
 
                 await navigator.clipboard.write([clipboardItem]);
-                this.showNotification('SVG copied to clipboard!', 'success');
+                this.showNotification(depthWarning ? `SVG copied. ${depthWarning}` : 'SVG copied to clipboard!', depthWarning ? 'warning' : 'success');
             } else {
                 // Fallback for older browsers - copy as text
                 await navigator.clipboard.writeText(svgString);
-                this.showNotification('SVG code copied to clipboard!', 'success');
+                this.showNotification(depthWarning ? `SVG code copied. ${depthWarning}` : 'SVG code copied to clipboard!', depthWarning ? 'warning' : 'success');
             }
         } catch (error) {
             console.error('Failed to copy to clipboard:', error);
@@ -1259,6 +2017,9 @@ class SVGShaperEditor {
             case 'error':
                 notification.style.backgroundColor = '#f44336';
                 break;
+            case 'warning':
+                notification.style.backgroundColor = '#f39c12';
+                break;
             default:
                 notification.style.backgroundColor = '#2196F3';
         }
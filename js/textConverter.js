@@ -0,0 +1,614 @@
+/**
+ * Text Converter Module - Live Text to Outlines
+ *
+ * The Shaper Origin can't cut live text, so text elements are replaced by
+ * paths built from the glyph outlines of their font. Fonts embedded in the
+ * SVG (@font-face with data: URLs) are used where the font family matches;
+ * everything else is set in the bundled fallback font.
+ *
+ * Key Features:
+ * - Text and tspan layout with x/y/dx/dy/rotate lists, kerning, letter and
+ *   word spacing and text-anchor per text chunk
+ * - Font properties from attributes, inline styles and simple class rules
+ * - Converted paths keep the text's attributes (including data-app-id, so
+ *   assigned shaper attributes stay with the outline)
+ * - Tspans with their own shaper attributes become separate paths
+ *
+ * Text on a path (textPath) is left unchanged.
+ */
+class TextConverter {
+    /**
+     * Initialize text converter
+     *
+     * The fallback font is parsed on first use.
+     */
+    constructor() {
+        this.fallbackFont = null;
+    }
+
+    /** Containers whose text is not rendered */
+    static SKIPPED_CONTAINERS = 'defs, clipPath, mask, symbol, pattern, marker';
+
+    /** Text layout attributes that have no meaning on a path */
+    static LAYOUT_ATTRIBUTES = ['x', 'y', 'dx', 'dy', 'rotate', 'textLength', 'lengthAdjust', 'xml:space'];
+
+    /** Font and text properties (attributes and style declarations) dropped from the path */
+    static TEXT_PROPERTIES = [
+        'font', 'font-family', 'font-size', 'font-size-adjust', 'font-style', 'font-weight', 'font-variant',
+        'font-stretch', 'letter-spacing', 'word-spacing', 'text-anchor', 'text-decoration', 'text-rendering',
+        'dominant-baseline', 'alignment-baseline', 'baseline-shift', 'writing-mode', 'direction',
+        'unicode-bidi', 'white-space', 'line-height'
+    ];
+
+    /** Inherited properties used for layout */
+    static LAYOUT_PROPERTIES = ['font-family', 'font-size', 'font-style', 'font-weight', 'letter-spacing', 'word-spacing', 'text-anchor'];
+
+    /** Initial values of the layout properties */
+    static DEFAULT_STYLE = {
+        fontFamily: '',
+        fontSize: 16,
+        fontStyle: 'normal',
+        fontWeight: 400,
+        letterSpacing: 0,
+        wordSpacing: 0,
+        textAnchor: 'start'
+    };
+
+    /** Length units in user units (px) */
+    static UNIT_FACTORS = {
+        px: 1,
+        pt: 96 / 72,
+        pc: 16,
+        mm: 96 / 25.4,
+        cm: 96 / 2.54,
+        in: 96
+    };
+
+    /** Decimal places of the path data */
+    static PRECISION = 3;
+
+    // ============================================================================
+    // CONVERSION
+    // ============================================================================
+
+    /**
+     * Find all rendered text elements
+     * @param {Element} svgElement - SVG root
+     * @returns {Array<Element>} Text elements
+     */
+    findTextElements(svgElement) {
+        if (!svgElement) return [];
+        return Array.from(svgElement.querySelectorAll('text'))
+            .filter(text => !text.closest(TextConverter.SKIPPED_CONTAINERS));
+    }
+
+    /**
+     * Replace all text elements of an SVG with outline paths
+     *
+     * @param {Element} svgElement - SVG root (master model)
+     * @param {Set<string>} attributedAppIds - App IDs of elements with own shaper attributes
+     * @returns {Promise<Object>} Result {converted, skipped, missingCharacters, substitutedFonts, fontErrors}
+     */
+    async convert(svgElement, attributedAppIds = new Set()) {
+        const result = { converted: 0, skipped: 0, missingCharacters: 0, substitutedFonts: [], fontErrors: [] };
+        const texts = this.findTextElements(svgElement);
+        if (texts.length === 0) return result;
+
+        const embeddedFonts = await this.loadEmbeddedFonts(svgElement, result.fontErrors);
+        const classStyles = DRYUtilities.parseClassStyles(svgElement);
+        const substitutedFonts = new Set();
+
+        texts.forEach(text => {
+            if (text.querySelector('textPath')) {
+                result.skipped++;
+                return;
+            }
+
+            const characters = this.collectCharacters(text, classStyles, attributedAppIds);
+            characters.forEach(character => {
+                character.font = this.resolveFont(character.style, embeddedFonts, substitutedFonts);
+            });
+
+            const glyphs = this.layoutCharacters(characters);
+            result.missingCharacters += glyphs.filter(glyph => glyph.glyphIndex === 0 && glyph.character.trim()).length;
+
+            this.createOutlinePaths(text, glyphs).forEach(path => {
+                text.parentNode.insertBefore(path, text);
+            });
+            text.remove();
+            result.converted++;
+        });
+
+        result.substitutedFonts = [...substitutedFonts];
+        return result;
+    }
+
+    /**
+     * Create one outline path per owner (text or attributed tspan)
+     *
+     * @param {Element} text - Text element
+     * @param {Array<Object>} glyphs - Positioned glyphs from layoutCharacters()
+     * @returns {Array<Element>} Paths in document order
+     */
+    createOutlinePaths(text, glyphs) {
+        const pathData = new Map();
+        glyphs.forEach(glyph => {
+            const data = this.getGlyphPathData(glyph);
+            if (!data) return;
+            pathData.set(glyph.owner, (pathData.get(glyph.owner) || []).concat(data));
+        });
+
+        return Array.from(pathData.entries()).map(([owner, data]) => {
+            const path = text.ownerDocument.createElementNS('http://www.w3.org/2000/svg', 'path');
+
+            this.copyPathAttributes(text, path, owner !== text);
+            if (owner !== text) {
+                this.copyPathAttributes(owner, path, false);
+            }
+            path.setAttribute('d', data.join(''));
+            return path;
+        });
+    }
+
+    /**
+     * Copy all attributes that still apply to a path
+     *
+     * @param {Element} source - Text or tspan element
+     * @param {Element} path - Target path
+     * @param {boolean} skipIdentity - Leave out id and data-app-id (owned by another path)
+     */
+    copyPathAttributes(source, path, skipIdentity) {
+        Array.from(source.attributes).forEach(attr => {
+            if (TextConverter.LAYOUT_ATTRIBUTES.includes(attr.name) || TextConverter.TEXT_PROPERTIES.includes(attr.name)) return;
+            if (skipIdentity && (attr.name === 'id' || attr.name === 'data-app-id')) return;
+
+            if (attr.name === 'style') {
+                const style = this.removeTextProperties(attr.value);
+                if (style) path.setAttribute('style', style);
+                return;
+            }
+            path.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+        });
+    }
+
+    /**
+     * Remove font and text declarations from an inline style
+     * @param {string} style - Style attribute value
+     * @returns {string} Remaining declarations
+     */
+    removeTextProperties(style) {
+        return style.split(';')
+            .map(declaration => declaration.trim())
+            .filter(declaration => {
+                const property = declaration.split(':')[0].trim().toLowerCase();
+                return declaration && !TextConverter.TEXT_PROPERTIES.includes(property);
+            })
+            .join(';');
+    }
+
+    // ============================================================================
+    // LAYOUT
+    // ============================================================================
+
+    /**
+     * Collect the addressable characters of a text element
+     *
+     * Applies the default white space handling (newlines removed, tabs and
+     * runs of spaces collapsed, leading and trailing spaces dropped) unless
+     * xml:space="preserve" is set, and assigns the x/y/dx/dy/rotate lists
+     * of the text and its tspans (inner elements override outer ones).
+     *
+     * @param {Element} text - Text element
+     * @param {Map} classStyles - Class declarations from DRYUtilities.parseClassStyles()
+     * @param {Set<string>} attributedAppIds - App IDs of elements with own shaper attributes
+     * @returns {Array<Object>} Characters {character, style, owner, x, y, dx, dy, rotate}
+     */
+    collectCharacters(text, classStyles, attributedAppIds) {
+        const preserveSpace = text.getAttribute('xml:space') === 'preserve';
+        const characters = [];
+        const positioned = [];
+
+        const walk = (element, parentStyle, owner) => {
+            const style = this.resolveStyle(element, parentStyle, classStyles);
+            const elementOwner = element !== text && attributedAppIds.has(element.dataset.appId) ? element : owner;
+            const range = { element, start: characters.length, end: characters.length };
+            positioned.push(range);
+
+            element.childNodes.forEach(node => {
+                if (node.nodeType === 3) {
+                    for (const raw of node.textContent) {
+                        let character = raw;
+                        if (character === '\n' || character === '\r') {
+                            if (!preserveSpace) continue;
+                            character = ' ';
+                        }
+                        if (character === '\t') character = ' ';
+
+                        const previous = characters[characters.length - 1];
+                        if (!preserveSpace && character === ' ' && (!previous || previous.character === ' ')) continue;
+
+                        characters.push({ character, style, owner: elementOwner });
+                    }
+                } else if (node.nodeType === 1 && ['tspan', 'a'].includes(node.localName)) {
+                    walk(node, style, elementOwner);
+                }
+            });
+            range.end = characters.length;
+        };
+        walk(text, this.resolveAncestorStyle(text, classStyles), text);
+
+        if (!preserveSpace) {
+            while (characters.length > 0 && characters[characters.length - 1].character === ' ') {
+                characters.pop();
+            }
+        }
+
+        // Outer elements first, so inner position lists override them
+        positioned.forEach(({ element, start, end }) => {
+            const count = Math.min(end, characters.length) - start;
+            ['x', 'y', 'dx', 'dy'].forEach(name => {
+                const values = this.parseNumberList(element.getAttribute(name));
+                values.slice(0, count).forEach((value, i) => {
+                    characters[start + i][name] = value;
+                });
+            });
+
+            // The last rotate value applies to all remaining characters
+            const rotations = this.parseNumberList(element.getAttribute('rotate'));
+            if (rotations.length > 0) {
+                for (let i = 0; i < count; i++) {
+                    characters[start + i].rotate = rotations[Math.min(i, rotations.length - 1)];
+                }
+            }
+        });
+
+        return characters;
+    }
+
+    /**
+     * Place the glyphs of the collected characters
+     *
+     * A new text chunk starts at every absolute x or y position; each chunk
+     * is aligned by the text-anchor of its first character.
+     *
+     * @param {Array<Object>} characters - Characters with resolved font (from collectCharacters())
+     * @returns {Array<Object>} Glyphs {character, owner, font, glyphIndex, x, y, scale, rotate}
+     */
+    layoutCharacters(characters) {
+        const glyphs = [];
+        const chunks = [];
+        let penX = 0;
+        let penY = 0;
+        let previous = null;
+        let chunk = null;
+
+        characters.forEach(character => {
+            const startsChunk = character.x !== undefined || character.y !== undefined || !chunk;
+            if (character.x !== undefined) penX = character.x;
+            if (character.y !== undefined) penY = character.y;
+            if (character.dx !== undefined) penX += character.dx;
+            if (character.dy !== undefined) penY += character.dy;
+
+            const { font, style } = character;
+            const scale = style.fontSize / font.unitsPerEm;
+            const glyphIndex = font.getGlyphIndex(character.character.codePointAt(0));
+
+            if (startsChunk) {
+                chunk = { glyphs: [], start: penX, end: penX, anchor: style.textAnchor };
+                chunks.push(chunk);
+            } else if (previous && previous.font === font && character.x === undefined) {
+                penX += font.getKerning(previous.glyphIndex, glyphIndex) * scale;
+            }
+
+            const glyph = {
+                character: character.character,
+                owner: character.owner,
+                font: font,
+                glyphIndex: glyphIndex,
+                x: penX,
+                y: penY,
+                scale: scale,
+                rotate: character.rotate || 0
+            };
+            glyphs.push(glyph);
+            chunk.glyphs.push(glyph);
+
+            penX += font.getAdvanceWidth(glyphIndex) * scale + style.letterSpacing;
+            if (character.character === ' ') penX += style.wordSpacing;
+            chunk.end = penX;
+            previous = glyph;
+        });
+
+        chunks.forEach(({ glyphs: chunkGlyphs, start, end, anchor }) => {
+            const shift = anchor === 'middle' ? -(end - start) / 2 : anchor === 'end' ? -(end - start) : 0;
+            chunkGlyphs.forEach(glyph => {
+                glyph.x += shift;
+            });
+        });
+
+        return glyphs;
+    }
+
+    /**
+     * Build the path data of a placed glyph
+     * @param {Object} glyph - Glyph from layoutCharacters()
+     * @returns {string|null} Path data or null for empty and missing glyphs
+     */
+    getGlyphPathData(glyph) {
+        if (glyph.glyphIndex === 0) return null;
+
+        const commands = glyph.font.getGlyphCommands(glyph.glyphIndex);
+        if (commands.length === 0) return null;
+
+        const angle = glyph.rotate * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        // Font units have the y-axis pointing up; the glyph origin sits on the baseline
+        const place = (x, y) => {
+            const localX = x * glyph.scale;
+            const localY = -y * glyph.scale;
+            return `${this.formatNumber(glyph.x + localX * cos - localY * sin)} ${this.formatNumber(glyph.y + localX * sin + localY * cos)}`;
+        };
+
+        return commands.map(command => {
+            switch (command.type) {
+                case 'M':
+                case 'L':
+                    return `${command.type}${place(command.x, command.y)}`;
+                case 'Q':
+                    return `Q${place(command.x1, command.y1)} ${place(command.x, command.y)}`;
+                default:
+                    return 'Z';
+            }
+        }).join('');
+    }
+
+    /**
+     * Format a path coordinate
+     * @param {number} value - Coordinate
+     * @returns {string} Rounded number without trailing zeros
+     */
+    formatNumber(value) {
+        const rounded = Number(value.toFixed(TextConverter.PRECISION));
+        return Object.is(rounded, -0) ? '0' : String(rounded);
+    }
+
+    /**
+     * Parse a list of numbers (x, y, dx, dy, rotate)
+     * @param {string|null} value - Attribute value
+     * @returns {Array<number>} Numbers (units other than user units are converted)
+     */
+    parseNumberList(value) {
+        if (!value) return [];
+        return value.trim().split(/[\s,]+/)
+            .map(item => this.parseLength(item, TextConverter.DEFAULT_STYLE.fontSize))
+            .filter(number => number !== null);
+    }
+
+    // ============================================================================
+    // STYLES
+    // ============================================================================
+
+    /**
+     * Resolve the inherited layout style above a text element
+     * @param {Element} text - Text element
+     * @param {Map} classStyles - Class declarations from DRYUtilities.parseClassStyles()
+     * @returns {Object} Style of the text's parent
+     */
+    resolveAncestorStyle(text, classStyles) {
+        const ancestors = [];
+        for (let element = text.parentElement; element; element = element.parentElement) {
+            ancestors.unshift(element);
+        }
+        return ancestors.reduce((style, element) => this.resolveStyle(element, style, classStyles),
+            { ...TextConverter.DEFAULT_STYLE });
+    }
+
+    /**
+     * Resolve the layout style of an element
+     *
+     * Presentation attributes, class rules and the inline style are applied
+     * in order of CSS precedence on top of the inherited style.
+     *
+     * @param {Element} element - SVG element
+     * @param {Object} parentStyle - Inherited style
+     * @param {Map} classStyles - Class declarations from DRYUtilities.parseClassStyles()
+     * @returns {Object} Style {fontFamily, fontSize, fontStyle, fontWeight, letterSpacing, wordSpacing, textAnchor}
+     */
+    resolveStyle(element, parentStyle, classStyles) {
+        const declared = {};
+        TextConverter.LAYOUT_PROPERTIES.forEach(property => {
+            const value = element.getAttribute(property);
+            if (value) declared[property] = value;
+        });
+        (element.getAttribute('class') || '').split(/\s+/).forEach(className => {
+            Object.assign(declared, classStyles.get(className) || {});
+        });
+        Object.assign(declared, DRYUtilities.parseStyleDeclarations(element.getAttribute('style') || ''));
+
+        const style = { ...parentStyle };
+        if (declared['font-size']) {
+            style.fontSize = this.parseFontSize(declared['font-size'], parentStyle.fontSize);
+        }
+        if (declared['font-family']) style.fontFamily = declared['font-family'];
+        if (declared['font-style']) style.fontStyle = declared['font-style'].trim();
+        if (declared['font-weight']) {
+            style.fontWeight = this.parseFontWeight(declared['font-weight'], parentStyle.fontWeight);
+        }
+        if (declared['text-anchor']) style.textAnchor = declared['text-anchor'].trim();
+        ['letter-spacing', 'word-spacing'].forEach(property => {
+            const value = declared[property];
+            if (!value) return;
+            const key = property === 'letter-spacing' ? 'letterSpacing' : 'wordSpacing';
+            const length = value.trim() === 'normal' ? 0 : this.parseLength(value, style.fontSize);
+            if (length !== null) style[key] = length;
+        });
+        return style;
+    }
+
+    /**
+     * Parse a font size
+     * @param {string} value - CSS font-size value
+     * @param {number} parentSize - Inherited font size in user units
+     * @returns {number} Font size in user units
+     */
+    parseFontSize(value, parentSize) {
+        const trimmed = value.trim();
+        if (trimmed.endsWith('%')) {
+            const percent = parseFloat(trimmed);
+            return isNaN(percent) ? parentSize : parentSize * percent / 100;
+        }
+        const size = this.parseLength(trimmed, parentSize);
+        return size !== null && size > 0 ? size : parentSize;
+    }
+
+    /**
+     * Parse a font weight
+     * @param {string} value - CSS font-weight value
+     * @param {number} parentWeight - Inherited weight
+     * @returns {number} Numeric weight (100-900)
+     */
+    parseFontWeight(value, parentWeight) {
+        const keyword = value.trim().toLowerCase();
+        if (keyword === 'normal') return 400;
+        if (keyword === 'bold') return 700;
+        if (keyword === 'bolder') return Math.min(900, parentWeight + 300);
+        if (keyword === 'lighter') return Math.max(100, parentWeight - 300);
+        const weight = parseInt(keyword, 10);
+        return isNaN(weight) ? parentWeight : weight;
+    }
+
+    /**
+     * Parse a length in user units
+     * @param {string} value - Length with optional unit (px, pt, pc, mm, cm, in, em, ex)
+     * @param {number} fontSize - Font size for em and ex
+     * @returns {number|null} Length in user units or null if not parseable
+     */
+    parseLength(value, fontSize) {
+        const match = String(value).trim().match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z]*)$/i);
+        if (!match) return null;
+
+        const number = parseFloat(match[1]);
+        const unit = match[2].toLowerCase();
+        if (!unit) return number;
+        if (unit === 'em') return number * fontSize;
+        if (unit === 'ex') return number * fontSize / 2;
+        const factor = TextConverter.UNIT_FACTORS[unit];
+        return factor ? number * factor : null;
+    }
+
+    // ============================================================================
+    // FONTS
+    // ============================================================================
+
+    /**
+     * Parse the fonts embedded with @font-face rules and data: URLs
+     *
+     * @param {Element} svgElement - SVG root
+     * @param {Array<string>} fontErrors - Receives messages for fonts that can't be used
+     * @returns {Promise<Array<Object>>} Faces {family, weight, style, font}
+     */
+    async loadEmbeddedFonts(svgElement, fontErrors = []) {
+        const faces = [];
+        const rules = [];
+        svgElement.querySelectorAll('style').forEach(styleElement => {
+            const fontFacePattern = /@font-face\s*\{([^}]*)\}/g;
+            let match;
+            while ((match = fontFacePattern.exec(styleElement.textContent)) !== null) {
+                rules.push(DRYUtilities.parseStyleDeclarations(match[1]));
+            }
+        });
+
+        for (const declarations of rules) {
+            const family = this.parseFamilyList(declarations['font-family'] || '')[0];
+            const source = (declarations.src || '').match(/url\(\s*(['"]?)(data:[^'")]+)\1\s*\)/);
+            if (!family || !source) continue;
+
+            try {
+                faces.push({
+                    family: family,
+                    weight: this.parseFontWeight(declarations['font-weight'] || 'normal', 400),
+                    style: (declarations['font-style'] || 'normal').trim(),
+                    font: await FontParser.load(this.decodeDataURL(source[2]))
+                });
+            } catch (error) {
+                fontErrors.push(`${family}: ${error.message}`);
+            }
+        }
+        return faces;
+    }
+
+    /**
+     * Decode a data: URL
+     * @param {string} url - data: URL
+     * @returns {ArrayBuffer} Decoded bytes
+     */
+    decodeDataURL(url) {
+        const comma = url.indexOf(',');
+        const header = url.slice(0, comma);
+        const payload = url.slice(comma + 1);
+        const binary = /;base64$/i.test(header) ? atob(payload.replace(/\s+/g, '')) : decodeURIComponent(payload);
+
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i) & 0xFF;
+        }
+        return bytes.buffer;
+    }
+
+    /**
+     * Split a font-family list into family names
+     * @param {string} value - CSS font-family value
+     * @returns {Array<string>} Family names without quotes
+     */
+    parseFamilyList(value) {
+        return value.split(',')
+            .map(family => family.trim().replace(/^(['"])(.*)\1$/, '$2').trim())
+            .filter(family => family);
+    }
+
+    /**
+     * Pick the font for a character style
+     *
+     * Takes the first family of the font-family list that is embedded,
+     * choosing the face closest in style and weight; falls back to the
+     * bundled font otherwise.
+     *
+     * @param {Object} style - Resolved layout style
+     * @param {Array<Object>} embeddedFonts - Faces from loadEmbeddedFonts()
+     * @param {Set<string>} substitutedFonts - Receives families replaced by the bundled font
+     * @returns {FontParser} Font to use
+     */
+    resolveFont(style, embeddedFonts, substitutedFonts) {
+        const families = this.parseFamilyList(style.fontFamily);
+
+        for (const family of families) {
+            const faces = embeddedFonts.filter(face => face.family.toLowerCase() === family.toLowerCase());
+            if (faces.length === 0) continue;
+
+            const italic = style.fontStyle !== 'normal';
+            const distance = face => ((face.style !== 'normal') === italic ? 0 : 1000) + Math.abs(face.weight - style.fontWeight);
+            return faces.reduce((best, face) => distance(face) < distance(best) ? face : best).font;
+        }
+
+        const requested = families[0];
+        if (requested && requested.toLowerCase() !== BundledFonts.FAMILY.toLowerCase()) {
+            substitutedFonts.add(requested);
+        }
+        return this.getFallbackFont();
+    }
+
+    /**
+     * Get the bundled fallback font (parsed on first use)
+     * @returns {FontParser} Fallback font
+     */
+    getFallbackFont() {
+        if (!this.fallbackFont) {
+            this.fallbackFont = new FontParser(BundledFonts.getFontData());
+        }
+        return this.fallbackFont;
+    }
+}
+
+// Export for use in other modules
+window.TextConverter = TextConverter;
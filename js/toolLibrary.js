@@ -0,0 +1,239 @@
+/**
+ * Tool Library Module - Named Router Bits
+ *
+ * Persistent list of the bits the user owns. Each tool has a name, diameter,
+ * flute length, maximum cutting depth, bit type and the machining settings
+ * of the time estimate (depth per pass, feed rate, step-over). The attribute dialog picks
+ * tools from here to set shaper:toolDia, and the tool diameter suggestion
+ * buttons are generated from the library instead of a fixed list.
+ *
+ * Key Features:
+ * - Seeded with common Shaper bit sizes on first use
+ * - Add, update and remove tools (persisted through MetaData)
+ * - Lookup by id and by diameter (to recognize typed-in diameters)
+ * - Suggestion button configuration per unit system, inch tools as fractions
+ *
+ * Lengths (and feed rates, as lengths per minute) are stored as pixel
+ * strings like all other measurements, so the library survives unit
+ * switches without rounding.
+ */
+class ToolLibrary {
+    /**
+     * Initialize tool library with centralized data access
+     *
+     * @param {MetaData} metaData - Tool library persistence
+     * @param {MeasurementSystem} measurementSystem - Unit conversion for default tools and labels
+     */
+    constructor(metaData, measurementSystem) {
+        this.metaData = metaData;
+        this.measurementSystem = measurementSystem;
+        this.dryUtils = new DRYUtilities(measurementSystem);
+
+        if (!Array.isArray(this.metaData.getToolLibrary())) {
+            this.metaData.setToolLibrary(this.createDefaultTools());
+        }
+    }
+
+    /** Length properties of a tool, stored as pixel strings (feedRate per minute) */
+    static LENGTH_PROPERTIES = ['diameter', 'fluteLength', 'maxDepth', 'depthPerPass', 'feedRate'];
+
+    /** Diameter tolerance in pixels when matching a typed value to a tool */
+    static DIAMETER_TOLERANCE_PX = 0.01;
+
+    /**
+     * Build the default tools from ShaperConstants.DEFAULT_TOOL_LIBRARY
+     * @returns {Array<Object>} Tools with pixel string lengths
+     */
+    createDefaultTools() {
+        return ShaperConstants.DEFAULT_TOOL_LIBRARY.map((defaults, index) => {
+            const tool = {
+                id: `tool-${index + 1}`,
+                name: defaults.name,
+                unit: defaults.unit,
+                bitType: defaults.bitType,
+                stepOver: defaults.stepOver.toString()
+            };
+            ToolLibrary.LENGTH_PROPERTIES.forEach(prop => {
+                tool[prop] = this.measurementSystem.convertBetweenUnits(defaults[prop], defaults.unit, 'px').toString();
+            });
+            return tool;
+        });
+    }
+
+    /**
+     * Get all tools
+     * @returns {Array<Object>} Tools in library order
+     */
+    getTools() {
+        return this.metaData.getToolLibrary() || [];
+    }
+
+    /**
+     * Get a tool by id
+     * @param {string} id - Tool id
+     * @returns {Object|null} Tool or null if not in the library
+     */
+    getTool(id) {
+        if (!id) return null;
+        return this.getTools().find(tool => tool.id === id) || null;
+    }
+
+    /**
+     * Get the tool remembered for an element
+     *
+     * The tool only counts while the element's tool diameter still equals
+     * the tool's diameter (e.g., not after a color rule changed it).
+     *
+     * @param {Object} shaperAttributes - Element shaper attributes (pixel-based)
+     * @returns {Object|null} Tool or null
+     */
+    getToolForAttributes(shaperAttributes) {
+        const attributes = shaperAttributes || {};
+        const tool = this.getTool(attributes[ShaperConstants.TOOL_ID_KEY]);
+        if (!tool) return null;
+
+        const toolDiaPx = parseFloat(attributes['shaper:toolDia']);
+        return Math.abs(parseFloat(tool.diameter) - toolDiaPx) < ToolLibrary.DIAMETER_TOLERANCE_PX ? tool : null;
+    }
+
+    /**
+     * Find the first tool with the given diameter
+     * @param {number} diameterPx - Diameter in pixels
+     * @returns {Object|null} Matching tool or null
+     */
+    findToolByDiameter(diameterPx) {
+        if (isNaN(diameterPx) || diameterPx <= 0) return null;
+        return this.getTools().find(tool =>
+            Math.abs(parseFloat(tool.diameter) - diameterPx) < ToolLibrary.DIAMETER_TOLERANCE_PX
+        ) || null;
+    }
+
+    /**
+     * Add a new tool or update the tool with the same id
+     *
+     * @param {Object} tool - Tool {id?, name, unit, diameter, fluteLength, maxDepth, bitType,
+     *     depthPerPass, feedRate, stepOver}
+     * @returns {Object} Stored tool (with id)
+     */
+    saveTool(tool) {
+        const tools = [...this.getTools()];
+        const storedTool = { ...tool, id: tool.id || this.generateId() };
+
+        const index = tools.findIndex(existing => existing.id === storedTool.id);
+        if (index >= 0) {
+            tools[index] = storedTool;
+        } else {
+            tools.push(storedTool);
+        }
+
+        this.metaData.setToolLibrary(tools);
+        return storedTool;
+    }
+
+    /**
+     * Remove a tool from the library
+     *
+     * Elements that remember the tool keep their tool diameter.
+     *
+     * @param {string} id - Tool id
+     */
+    removeTool(id) {
+        this.metaData.setToolLibrary(this.getTools().filter(tool => tool.id !== id));
+    }
+
+    /**
+     * Generate an id not used by any tool
+     * @returns {string} New tool id
+     */
+    generateId() {
+        const ids = new Set(this.getTools().map(tool => tool.id));
+        let counter = ids.size + 1;
+        while (ids.has(`tool-${counter}`)) {
+            counter++;
+        }
+        return `tool-${counter}`;
+    }
+
+    /**
+     * Format a tool length in the current unit
+     * @param {string} pixelValue - Length as pixel string
+     * @returns {string} Display text with unit (e.g., '6.0mm') or '—' if not set
+     */
+    formatLength(pixelValue) {
+        const pixels = parseFloat(pixelValue);
+        if (isNaN(pixels)) return '—';
+        return this.dryUtils.formatPixelsToDisplay(pixels);
+    }
+
+    /**
+     * Format a feed rate in the current unit per minute
+     *
+     * Always decimal, also in fractional inch mode.
+     *
+     * @param {string} pixelValue - Feed rate as pixel string per minute
+     * @returns {string} Display text (e.g., '1200mm/min') or '—' if not set
+     */
+    formatFeedRate(pixelValue) {
+        const pixels = parseFloat(pixelValue);
+        if (isNaN(pixels)) return '—';
+        const value = this.measurementSystem.formatDecimalNumber(this.measurementSystem.convertPixelsToCurrentUnit(pixels));
+        return `${value}${this.measurementSystem.units}/min`;
+    }
+
+    /**
+     * Format a tool for pickers and tooltips
+     * @param {Object} tool - Tool
+     * @returns {string} Display text (e.g., '1/4" Upcut (6.35mm)')
+     */
+    formatToolLabel(tool) {
+        return `${tool.name} (${this.formatLength(tool.diameter)})`;
+    }
+
+    /**
+     * Express an inch value as a binary fraction (1/2 … 1/64) if it is one
+     * @param {number} valueIn - Value in inches
+     * @returns {string|null} Fraction text (e.g., '5/16') or null
+     */
+    formatFraction(valueIn) {
+        for (let denominator = 2; denominator <= 64; denominator *= 2) {
+            const numerator = valueIn * denominator;
+            if (Math.abs(numerator - Math.round(numerator)) < 1e-6) {
+                return Number.isInteger(valueIn) ? null : `${Math.round(numerator)}/${denominator}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Build the tool diameter suggestion buttons for a unit system
+     *
+     * Returns the same configuration format as ModalDialog.suggestionButtons
+     * plus the tool id, so a button click can remember the chosen tool.
+     *
+     * @param {string} unit - Current unit system ('mm' or 'in')
+     * @returns {Array<Object>} Button configs {valueMm|valueIn, buttonText, toolId, title}
+     */
+    getSuggestionButtons(unit) {
+        return this.getTools()
+            .filter(tool => tool.unit === unit)
+            .sort((a, b) => parseFloat(a.diameter) - parseFloat(b.diameter))
+            .map(tool => {
+                const value = this.measurementSystem.convertBetweenUnits(parseFloat(tool.diameter), 'px', unit);
+                const rounded = parseFloat(value.toFixed(3));
+                const decimalText = Number.isInteger(rounded) ? rounded.toFixed(1) : rounded.toString();
+                const config = { toolId: tool.id, title: tool.name };
+
+                if (unit === 'in') {
+                    config.valueIn = value;
+                    config.buttonText = this.formatFraction(value) || decimalText;
+                } else {
+                    config.valueMm = value;
+                    config.buttonText = decimalText;
+                }
+                return config;
+            });
+    }
+}
+
+// Export for use in other modules
+window.ToolLibrary = ToolLibrary;
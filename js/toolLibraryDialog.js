@@ -0,0 +1,323 @@
+/**
+ * Tool Library Dialog Module - Edit Named Tools
+ *
+ * Lists the tools of the ToolLibrary and lets the user add, edit and remove
+ * them. Opened from the context menu and from the tool picker in the attribute
+ * modal; dependent UI is refreshed through the onChange callback.
+ *
+ * Key Features:
+ * - Tool table with diameter, flute length, maximum depth, bit type and
+ *   machining settings (depth per pass, feed rate, step-over)
+ * - Click a tool to edit it, × to remove it
+ * - Lengths entered in current units and stored as pixels
+ * - Inline validation of name and diameter
+ */
+class ToolLibraryDialog {
+    /**
+     * Initialize tool library dialog with system dependencies
+     *
+     * @param {MeasurementSystem} measurementSystem - Unit conversion and formatting
+     * @param {ToolLibrary} toolLibrary - Tool storage
+     */
+    constructor(measurementSystem, toolLibrary) {
+        this.measurementSystem = measurementSystem;
+        this.toolLibrary = toolLibrary;
+
+        // Id of the tool currently loaded into the form (null for a new tool)
+        this.editingToolId = null;
+
+        // Callback after any change to the library
+        this.onChange = null;
+    }
+
+    /**
+     * Initialize dialog DOM elements and event handlers
+     * Must be called after DOM is fully loaded.
+     */
+    initialize() {
+        DRYUtilities.bindElements({
+            modal: 'toolLibraryModal',
+            toolList: 'toolLibraryList',
+            nameInput: 'toolName',
+            diameterInput: 'toolDiameter',
+            fluteLengthInput: 'toolFluteLength',
+            maxDepthInput: 'toolMaxDepth',
+            bitTypeSelect: 'toolBitType',
+            depthPerPassInput: 'toolDepthPerPass',
+            feedRateInput: 'toolFeedRate',
+            stepOverInput: 'toolStepOver',
+            saveButton: 'toolSave',
+            errorText: 'toolLibraryError'
+        }, this);
+
+        ShaperConstants.BIT_TYPES.forEach(bitType => {
+            const option = document.createElement('option');
+            option.value = bitType;
+            option.textContent = bitType;
+            this.bitTypeSelect.appendChild(option);
+        });
+
+        document.getElementById('toolLibraryClose').addEventListener('click', () => this.close());
+        document.getElementById('toolLibraryDone').addEventListener('click', () => this.close());
+        document.getElementById('toolNew').addEventListener('click', () => this.resetForm());
+        this.saveButton.addEventListener('click', () => this.saveToolFromForm());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open the dialog with an empty form
+     */
+    open() {
+        this.updateUnitLabels();
+        this.resetForm();
+        this.renderTools();
+        this.modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    /**
+     * Check whether the dialog is currently shown
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return !!this.modal && this.modal.style.display !== 'none';
+    }
+
+    /**
+     * Render the tool table
+     */
+    renderTools() {
+        this.toolList.innerHTML = '';
+
+        this.toolLibrary.getTools().forEach(tool => {
+            const row = document.createElement('tr');
+            row.className = 'tool-library-row';
+            if (tool.id === this.editingToolId) {
+                row.classList.add('active');
+            }
+            row.title = 'Edit tool';
+            row.addEventListener('click', () => this.editTool(tool.id));
+
+            const cells = [
+                tool.name,
+                this.toolLibrary.formatLength(tool.diameter),
+                this.toolLibrary.formatLength(tool.fluteLength),
+                this.toolLibrary.formatLength(tool.maxDepth),
+                tool.bitType || '—',
+                this.toolLibrary.formatLength(tool.depthPerPass),
+                this.toolLibrary.formatFeedRate(tool.feedRate),
+                tool.stepOver ? `${this.measurementSystem.formatDecimalNumber(parseFloat(tool.stepOver))}%` : '—'
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const removeCell = document.createElement('td');
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'color-rule-remove';
+            removeButton.title = 'Remove tool';
+            removeButton.textContent = '×';
+            removeButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeTool(tool.id);
+            });
+            removeCell.appendChild(removeButton);
+            row.appendChild(removeCell);
+
+            this.toolList.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the current unit next to the length inputs
+     */
+    updateUnitLabels() {
+        this.modal.querySelectorAll('.tool-library-unit').forEach(label => {
+            label.textContent = this.measurementSystem.units;
+        });
+        this.modal.querySelectorAll('.tool-library-rate-unit').forEach(label => {
+            label.textContent = `${this.measurementSystem.units}/min`;
+        });
+    }
+
+    /**
+     * Format a pixel length for a form input in current units
+     * @param {string} pixelValue - Length as pixel string
+     * @returns {string} Input value or '' if not set
+     */
+    formatInputValue(pixelValue) {
+        const pixels = parseFloat(pixelValue);
+        if (isNaN(pixels)) return '';
+        return this.measurementSystem.formatDisplayNumber(this.measurementSystem.convertPixelsToCurrentUnit(pixels));
+    }
+
+    /**
+     * Show a stored tool length in a form input
+     *
+     * The exact pixel value is kept while the input shows it, so rounded
+     * displays (e.g., fractional inches) don't change the tool on save.
+     *
+     * @param {Element} input - Length input
+     * @param {string} pixelValue - Length as pixel string
+     */
+    fillLengthInput(input, pixelValue) {
+        input.value = this.formatInputValue(pixelValue);
+        input.dataset.pixelValue = pixelValue || '';
+    }
+
+    /**
+     * Load a tool into the form for editing
+     * @param {string} toolId - Tool id
+     */
+    editTool(toolId) {
+        const tool = this.toolLibrary.getTool(toolId);
+        if (!tool) return;
+
+        this.editingToolId = tool.id;
+        this.nameInput.value = tool.name;
+        this.fillLengthInput(this.diameterInput, tool.diameter);
+        this.fillLengthInput(this.fluteLengthInput, tool.fluteLength);
+        this.fillLengthInput(this.maxDepthInput, tool.maxDepth);
+        this.bitTypeSelect.value = tool.bitType || ShaperConstants.BIT_TYPES[0];
+        this.fillLengthInput(this.depthPerPassInput, tool.depthPerPass);
+        this.fillLengthInput(this.feedRateInput, tool.feedRate);
+        this.stepOverInput.value = tool.stepOver ? this.measurementSystem.formatDecimalNumber(parseFloat(tool.stepOver)) : '';
+        this.saveButton.textContent = 'Update Tool';
+        this.errorText.textContent = '';
+        this.renderTools();
+    }
+
+    /**
+     * Clear the form for a new tool
+     */
+    resetForm() {
+        this.editingToolId = null;
+        [this.nameInput, this.diameterInput, this.fluteLengthInput, this.maxDepthInput,
+            this.depthPerPassInput, this.feedRateInput, this.stepOverInput].forEach(input => {
+            input.value = '';
+            delete input.dataset.pixelValue;
+        });
+        this.bitTypeSelect.value = ShaperConstants.BIT_TYPES[0];
+        this.saveButton.textContent = 'Add Tool';
+        this.errorText.textContent = '';
+        this.renderTools();
+    }
+
+    /**
+     * Parse a length input in current units
+     * @param {Element} input - Length input
+     * @returns {string|null} Pixel string, '' if empty, null if invalid
+     */
+    parseLengthInput(input) {
+        if (input.value.trim() === '') return '';
+        if (input.dataset.pixelValue && input.value === this.formatInputValue(input.dataset.pixelValue)) {
+            return input.dataset.pixelValue;
+        }
+        const value = this.measurementSystem.parseValueWithUnits(input.value);
+        if (value === null || value <= 0) return null;
+        return this.measurementSystem.unitsToPixels(value).toString();
+    }
+
+    /**
+     * Parse the step-over input
+     * @returns {string|null} Percentage of the diameter as string, '' if empty, null if invalid
+     */
+    parseStepOverInput() {
+        const text = this.stepOverInput.value.trim().replace(/%$/, '').replace(',', '.');
+        if (text === '') return '';
+        const value = Number(text);
+        if (isNaN(value) || value <= 0 || value > 100) return null;
+        return value.toString();
+    }
+
+    /**
+     * Add or update a tool from the form
+     */
+    saveToolFromForm() {
+        const name = this.nameInput.value.trim();
+        const diameter = this.parseLengthInput(this.diameterInput);
+        const fluteLength = this.parseLengthInput(this.fluteLengthInput);
+        const maxDepth = this.parseLengthInput(this.maxDepthInput);
+        const depthPerPass = this.parseLengthInput(this.depthPerPassInput);
+        const feedRate = this.parseLengthInput(this.feedRateInput);
+        const stepOver = this.parseStepOverInput();
+
+        if (!name) {
+            this.errorText.textContent = 'Please enter a tool name.';
+            return;
+        }
+        if (!diameter) {
+            this.errorText.textContent = 'Please enter a positive tool diameter.';
+            return;
+        }
+        if (fluteLength === null || maxDepth === null) {
+            this.errorText.textContent = 'Flute length and max depth must be positive values.';
+            return;
+        }
+        if (depthPerPass === null || feedRate === null) {
+            this.errorText.textContent = 'Depth per pass and feed rate must be positive values.';
+            return;
+        }
+        if (stepOver === null) {
+            this.errorText.textContent = 'Step-over must be a percentage between 0 and 100.';
+            return;
+        }
+
+        const existing = this.toolLibrary.getTool(this.editingToolId);
+        this.toolLibrary.saveTool({
+            id: existing ? existing.id : null,
+            name: name,
+            unit: existing ? existing.unit : this.measurementSystem.getUnitSystem(),
+            diameter: diameter,
+            fluteLength: fluteLength,
+            maxDepth: maxDepth,
+            bitType: this.bitTypeSelect.value,
+            depthPerPass: depthPerPass,
+            feedRate: feedRate,
+            stepOver: stepOver
+        });
+
+        this.resetForm();
+        this.notifyChange();
+    }
+
+    /**
+     * Remove a tool from the library
+     * @param {string} toolId - Tool id
+     */
+    removeTool(toolId) {
+        this.toolLibrary.removeTool(toolId);
+        if (this.editingToolId === toolId) {
+            this.resetForm();
+        } else {
+            this.renderTools();
+        }
+        this.notifyChange();
+    }
+
+    /**
+     * Notify dependent UI about library changes
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
+
+// Export for use in other modules
+window.ToolLibraryDialog = ToolLibraryDialog;
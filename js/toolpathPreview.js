@@ -0,0 +1,334 @@
+/**
+ * Toolpath Preview Module - Cut-Type Tool Swath Visualization
+ *
+ * Draws the area the bit will actually remove behind every element of the
+ * display clone, so inside, outside, online and pocket cuts can be told apart
+ * at a glance. The swath is built from copies of the element geometry that are
+ * stroked to the tool diameter and cut down to the correct side with SVG masks
+ * and clip paths; no path offsetting is needed.
+ *
+ * Key Features:
+ * - Swath offset by cutOffset and widened to toolDia
+ * - Inside/outside cuts drawn on the correct side of the line
+ * - Online cuts centered on the line, moved by cutOffset (positive towards the exterior)
+ * - Pockets filled (reduced by a positive cutOffset, widened by a negative one)
+ * - Incremental refresh: only elements with changed attributes are rebuilt
+ * - All preview elements carry the no-export class and never reach the export
+ *
+ * Values come from the element data map (pixel-based, same basis as the
+ * measurement system where one SVG user unit equals one pixel).
+ */
+class ToolpathPreview {
+    /**
+     * Initialize toolpath preview with element data access
+     *
+     * @param {ElementManager} elementManager - Access to element data (shaper attributes)
+     * @param {SVGHelper} svgHelper - SVG element creation utilities
+     */
+    constructor(elementManager, svgHelper) {
+        this.elementManager = elementManager;
+        this.svgHelper = svgHelper;
+
+        this.enabled = false;
+        this.svgElement = null; // Displayed SVG the previews are drawn into
+    }
+
+    /** Cut types that get a preview swath */
+    static PREVIEW_CUT_TYPES = ['online', 'inside', 'outside', 'pocket'];
+
+    /** CSS class of every preview group */
+    static PREVIEW_CLASS = 'toolpath-preview';
+
+    /**
+     * Attach the preview to a newly displayed SVG and draw it if enabled
+     * @param {Element} svgElement - Displayed SVG (display clone in the DOM)
+     */
+    attach(svgElement) {
+        this.svgElement = svgElement;
+        this.refresh();
+    }
+
+    /**
+     * Enable or disable the preview layer
+     * @param {boolean} enabled - Whether previews should be drawn
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.refresh();
+    }
+
+    /**
+     * Check whether the preview layer is enabled
+     * @returns {boolean} True if previews are drawn
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Bring all previews in sync with the current element data
+     *
+     * Elements whose attributes did not change since the last refresh keep
+     * their existing preview, so live updates after an edit stay cheap.
+     */
+    refresh() {
+        if (!this.svgElement) return;
+
+        if (!this.enabled) {
+            this.clear();
+            return;
+        }
+
+        const elements = this.svgElement.querySelectorAll('[data-app-id]');
+        elements.forEach(element => {
+            if (element.closest('defs, clipPath, mask, symbol, pattern, marker')) return;
+            this.updateElement(element);
+        });
+    }
+
+    /**
+     * Remove all previews from the displayed SVG
+     */
+    clear() {
+        if (!this.svgElement) return;
+
+        this.svgElement.querySelectorAll(`.${ToolpathPreview.PREVIEW_CLASS}`)
+            .forEach(preview => preview.remove());
+    }
+
+    /**
+     * Create, replace or remove the preview of a single element
+     * @param {Element} element - Displayed SVG element with data-app-id
+     */
+    updateElement(element) {
+        const appId = element.dataset.appId;
+        const existing = this.findPreview(element);
+        const swath = this.getSwathSettings(element);
+        const key = swath ? JSON.stringify(swath) : null;
+
+        if (existing && existing.dataset.previewKey === key) return;
+        if (existing) existing.remove();
+        if (!swath) return;
+
+        const preview = this.createPreview(element, swath);
+        preview.dataset.previewFor = appId;
+        preview.dataset.previewKey = key;
+
+        // Insert directly before the element so it is drawn behind it and shares its parent transforms
+        element.parentNode.insertBefore(preview, element);
+    }
+
+    /**
+     * Find the existing preview group of an element
+     * @param {Element} element - Displayed SVG element
+     * @returns {Element|null} Preview group or null
+     */
+    findPreview(element) {
+        const previous = element.previousElementSibling;
+        if (previous && previous.classList.contains(ToolpathPreview.PREVIEW_CLASS) &&
+            previous.dataset.previewFor === element.dataset.appId) {
+            return previous;
+        }
+        return null;
+    }
+
+    /**
+     * Read cut type, offset and tool diameter of an element
+     *
+     * Lengths are converted into the element's local user space so transforms
+     * on the element or its ancestors don't scale the tool.
+     *
+     * @param {Element} element - Displayed SVG element
+     * @returns {Object|null} {cutType, offset, toolDia} or null if no preview applies
+     */
+    getSwathSettings(element) {
+        const tagName = element.tagName.toLowerCase();
+        if (tagName === 'text' || tagName === 'tspan' || tagName === 'textpath') return null;
+
+        const shaperAttrs = this.elementManager.getEffectiveAttributes(element);
+        const cutType = shaperAttrs['shaper:cutType'];
+        if (!ToolpathPreview.PREVIEW_CUT_TYPES.includes(cutType)) return null;
+
+        const toolDiaPx = parseFloat(shaperAttrs['shaper:toolDia']) || 0;
+        const offsetPx = parseFloat(shaperAttrs['shaper:cutOffset']) || 0;
+
+        // Without a tool diameter only pockets can be shown (as their filled area)
+        if (toolDiaPx <= 0 && cutType !== 'pocket') return null;
+
+        const scale = this.getLocalScale(element);
+        return {
+            cutType: cutType,
+            offset: offsetPx / scale,
+            toolDia: toolDiaPx / scale
+        };
+    }
+
+    /**
+     * Get the scale factor from the element's user space to the SVG root user space
+     * @param {Element} element - Displayed SVG element
+     * @returns {number} Uniform scale factor (1 if it cannot be determined)
+     */
+    getLocalScale(element) {
+        const m = this.svgHelper.getRootMatrix(element, this.svgElement);
+        if (!m) return 1;
+
+        const scale = Math.sqrt(Math.abs(m.a * m.d - m.b * m.c));
+        return scale > 0 ? scale : 1;
+    }
+
+    /**
+     * Build the preview group for an element
+     *
+     * An online cut without offset is the line stroked to the tool diameter;
+     * everything else is drawn as bands from getBands().
+     *
+     * @param {Element} element - Displayed SVG element
+     * @param {Object} swath - Settings from getSwathSettings()
+     * @returns {Element} Preview group (not yet inserted)
+     */
+    createPreview(element, swath) {
+        const { cutType, offset, toolDia } = swath;
+        const preview = this.svgHelper.createSVGElement('g', {
+            class: `${ToolpathPreview.PREVIEW_CLASS} toolpath-${cutType} ${ShaperConstants.CSS_CLASSES.NO_EXPORT}`
+        });
+        if (element.hasAttribute('transform')) {
+            preview.setAttribute('transform', element.getAttribute('transform'));
+        }
+
+        if (cutType === 'online' && offset === 0) {
+            // Online cuts follow the line itself, centered on it
+            preview.appendChild(this.createShape(element, 'toolpath-swath', { 'stroke-width': toolDia }));
+            return preview;
+        }
+
+        const bbox = this.svgHelper.getSafeBBox(element) || { x: 0, y: 0, width: 0, height: 0 };
+        this.getBands(swath).forEach((band, index) => {
+            preview.appendChild(this.createBand(element, band, bbox, `${element.dataset.appId}-${index}`));
+        });
+
+        return preview;
+    }
+
+    /**
+     * Split a swath into bands on either side of the line
+     *
+     * The swath covers a signed distance range from the line: [offset,
+     * offset + toolDia] towards the cut side for inside and outside cuts,
+     * toolDia wide around offset (positive towards the exterior) for online
+     * cuts. The parts on the interior and on the exterior become separate
+     * bands. Pockets clear the whole interior inside the offset line, and
+     * with a negative offset everything from the line out to the offset.
+     *
+     * @param {Object} swath - Settings from getSwathSettings()
+     * @returns {Array<Object>} Bands {from, to, interior}: distances from the line
+     *     (to is Infinity for the filled interior) and side
+     */
+    getBands(swath) {
+        const { cutType, offset, toolDia } = swath;
+        const bands = [];
+        const addRange = (start, end, positiveIsInterior) => {
+            if (end > 0) {
+                bands.push({ from: Math.max(start, 0), to: end, interior: positiveIsInterior });
+            }
+            if (start < 0) {
+                bands.push({ from: Math.max(-end, 0), to: -start, interior: !positiveIsInterior });
+            }
+        };
+
+        if (cutType === 'pocket') {
+            bands.push({ from: Math.max(offset, 0), to: Infinity, interior: true });
+            if (offset < 0) {
+                bands.push({ from: 0, to: -offset, interior: false });
+            }
+        } else if (cutType === 'online') {
+            addRange(offset - toolDia / 2, offset + toolDia / 2, false);
+        } else {
+            addRange(offset, offset + toolDia, cutType !== 'outside');
+        }
+        return bands;
+    }
+
+    /**
+     * Create one side-limited band of the swath
+     *
+     * @param {Element} element - Displayed SVG element providing the geometry
+     * @param {Object} band - {from, to, interior} distance range and side
+     * @param {Object} bbox - Local bounding box of the element
+     * @param {string} idSuffix - Unique suffix for mask and clip path ids
+     * @returns {Element} Group containing defs and the masked swath
+     */
+    createBand(element, band, bbox, idSuffix) {
+        const group = this.svgHelper.createSVGElement('g');
+        const defs = this.svgHelper.createSVGElement('defs');
+        group.appendChild(defs);
+
+        const reach = band.to === Infinity ? 0 : band.to;
+        const mask = this.svgHelper.createSVGElement('mask', {
+            id: `toolpath-mask-${idSuffix}`,
+            maskUnits: 'userSpaceOnUse',
+            x: bbox.x - reach,
+            y: bbox.y - reach,
+            width: bbox.width + 2 * reach,
+            height: bbox.height + 2 * reach
+        });
+
+        // Everything within "to" of the line ...
+        if (band.to === Infinity) {
+            mask.appendChild(this.createShape(element, null, { fill: 'white', stroke: 'none' }));
+        } else {
+            mask.appendChild(this.createShape(element, null, { fill: 'none', stroke: 'white', 'stroke-width': 2 * band.to }));
+        }
+        // ... minus everything within "from" of the line ...
+        if (band.from > 0) {
+            mask.appendChild(this.createShape(element, null, { fill: 'none', stroke: 'black', 'stroke-width': 2 * band.from }));
+        }
+        // ... minus the interior for bands on the outside
+        if (!band.interior) {
+            mask.appendChild(this.createShape(element, null, { fill: 'black', stroke: 'none' }));
+        }
+        defs.appendChild(mask);
+
+        const swath = band.to === Infinity
+            ? this.createShape(element, 'toolpath-swath toolpath-fill')
+            : this.createShape(element, 'toolpath-swath', { 'stroke-width': 2 * band.to });
+        swath.setAttribute('mask', `url(#${mask.id})`);
+
+        if (band.interior) {
+            // Bands on the inside are limited to the element's interior
+            const clipPath = this.svgHelper.createSVGElement('clipPath', { id: `toolpath-clip-${idSuffix}` });
+            clipPath.appendChild(this.createShape(element));
+            defs.appendChild(clipPath);
+
+            const clipGroup = this.svgHelper.createSVGElement('g', { 'clip-path': `url(#${clipPath.id})` });
+            clipGroup.appendChild(swath);
+            group.appendChild(clipGroup);
+        } else {
+            group.appendChild(swath);
+        }
+
+        return group;
+    }
+
+    /**
+     * Copy the geometry of an element into a new, unstyled shape
+     *
+     * @param {Element} element - Source element
+     * @param {string|null} className - CSS class for the copy
+     * @param {Object} attributes - Additional presentation attributes
+     * @returns {Element} New shape element
+     */
+    createShape(element, className = null, attributes = {}) {
+        const shape = this.svgHelper.createOverlayElement(element, {
+            'stroke-linejoin': 'round',
+            'stroke-linecap': 'round',
+            ...attributes
+        });
+        if (className) {
+            shape.setAttribute('class', className);
+        }
+        return shape;
+    }
+}
+
+// Export for use in other modules
+window.ToolpathPreview = ToolpathPreview;
@@ -9,7 +9,7 @@
  * - Attribute editing modal with form validation
  * - Smart tooltips with measurement unit awareness
  * - Custom cut-type slider with visual feedback
- * - Context menu for path operations
+ * - Context menu for path operations with a cut recipe submenu
  * - Touch-friendly interaction patterns
  */
 class UIComponents {
@@ -18,16 +18,20 @@ class UIComponents {
      *
      * @param {MeasurementSystem} measurementSystem - Unit conversion and validation
      * @param {ElementManager} elementManager - SVG element operations and selection
+     * @param {ToolLibrary} toolLibrary - Named tools for the attribute modal and tooltip
+     * @param {CutRecipes} cutRecipes - Named cut recipes for the context submenu and number keys
      */
-    constructor(measurementSystem, elementManager) {
+    constructor(measurementSystem, elementManager, toolLibrary = null, cutRecipes = null) {
         this.measurementSystem = measurementSystem;
         this.elementManager = elementManager;
+        this.toolLibrary = toolLibrary;
+        this.cutRecipes = cutRecipes;
 
         // Initialize DRY utilities helper
         this.dryUtils = new DRYUtilities(measurementSystem);
 
         // Modal dialog manager
-        this.modalDialog = new ModalDialog(measurementSystem, elementManager);
+        this.modalDialog = new ModalDialog(measurementSystem, elementManager, toolLibrary);
 
         // Make modal dialog globally accessible for multi-element functionality
         window.globalModalDialog = this.modalDialog;
@@ -39,6 +43,13 @@ class UIComponents {
         // Context menu for path operations
         this.contextMenu = null;
         this.contextMenuVisible = false;
+        this.recipeSubmenu = null; // Submenu listing the cut recipes
+
+        // Callback returning cut depth warnings for an element
+        this.getDepthWarnings = null;
+
+        // Callback checking whether an element's attributes differ from the loaded file
+        this.isChanged = null;
     }
 
     /**
@@ -123,7 +134,10 @@ class UIComponents {
         // Extract element identifier for tooltip header
         const appId = path.dataset.appId || 'unknown';
         const shortId = appId.replace('app-id-', ''); // Clean display format
-        let content = `<div class="tooltip-title">Element Info (${shortId})</div>`;
+        const changedMarker = this.isChanged && this.isChanged(path)
+            ? ' <span class="tooltip-changed" title="Attributes changed since loading">●</span>'
+            : '';
+        let content = `<div class="tooltip-title">Element Info (${shortId})${changedMarker}</div>`;
 
         // Build measurements section with current unit display
         const measurements = this.elementManager.getElementMeasurements(path);
@@ -139,6 +153,23 @@ class UIComponents {
             content += '</div>';
         }
 
+        // Totals of the current selection (cut length and closed area)
+        const selectedPaths = this.elementManager.getSelectedPaths();
+        if (selectedPaths.size > 1) {
+            const totals = this.elementManager.getSelectionMetrics();
+            content += `<div class="tooltip-section"><div class="section-title">Selection (${totals.count} elements)</div>`;
+            content += `
+                <div class="tooltip-measurement">
+                    <span class="measurement-name">Total Length:</span>
+                    <span class="measurement-value">${this.dryUtils.formatPixelsToDisplay(totals.lengthPx)}</span>
+                </div>
+                <div class="tooltip-measurement">
+                    <span class="measurement-name">Total Area:</span>
+                    <span class="measurement-value">${this.dryUtils.formatAreaToDisplay(totals.areaPx)}</span>
+                </div>`;
+            content += '</div>';
+        }
+
         // Build shaper attributes section with interactive hints
         content += '<div class="tooltip-section"><div class="section-title">Shaper Attributes</div>';
         const attributes = this.getShaperAttributes(path);
@@ -156,6 +187,16 @@ class UIComponents {
         }
         content += '</div>';
 
+        // Warn about cut depths deeper than the material or the tool
+        const depthWarnings = this.getDepthWarnings ? this.getDepthWarnings(path) : [];
+        if (depthWarnings.length > 0) {
+            content += '<div class="tooltip-section"><div class="section-title">Warnings</div>';
+            depthWarnings.forEach(warning => {
+                content += `<div class="tooltip-warning">${warning}</div>`;
+            });
+            content += '</div>';
+        }
+
         // Apply content and position tooltip with smooth transition
         this.tooltip.innerHTML = content;
         this.updateTooltipPosition(mouseX, mouseY);
@@ -323,6 +364,7 @@ class UIComponents {
      * Retrieves shaper attributes from element data cache and formats them
      * for user-friendly display with proper unit conversion. Differentiates
      * between cut type (string) and measurement values (numeric with units).
+     * Values inherited from an enclosing group name the group.
      *
      * @param {Element} path - SVG path element to extract attributes from
      * @returns {Array} Formatted attribute objects for display
@@ -330,9 +372,9 @@ class UIComponents {
     getShaperAttributes(path) {
         const attributes = [];
 
-        // Extract cached shaper attribute data
-        const dimensions = this.elementManager.getElementDimensions(path);
-        const shaperAttrs = dimensions.shaperAttributes || {};
+        // Extract cached shaper attribute data, including values inherited from groups
+        const shaperAttrs = this.elementManager.getEffectiveAttributes(path);
+        const inheritance = this.elementManager.getAttributeInheritance(path);
 
         // Check for presence of any defined shaper attributes
         const hasAnyNumericAttribute = ['shaper:cutDepth', 'shaper:cutOffset', 'shaper:toolDia'].some(attrName => {
@@ -373,6 +415,10 @@ class UIComponents {
                         displayValue = value; // Fallback for invalid numeric values
                     }
                 }
+                const source = inheritance[attrName];
+                if (source && source.state === 'inherited') {
+                    displayValue += ` (${this.elementManager.getNodeName(source.group)})`;
+                }
             } else {
                 displayValue = 'not set';
             }
@@ -383,6 +429,15 @@ class UIComponents {
             });
         });
 
+        // Show the library tool picked for this element
+        const tool = this.toolLibrary ? this.toolLibrary.getToolForAttributes(shaperAttrs) : null;
+        if (tool) {
+            attributes.push({
+                name: 'Tool',
+                value: tool.name
+            });
+        }
+
         return attributes;
     }
 
@@ -421,6 +476,27 @@ class UIComponents {
             event.preventDefault();
             this.selectAllElements();
         }
+
+        // Ctrl/Cmd+Z: Undo, Ctrl/Cmd+Shift+Z: Redo attribute edits
+        if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'z' && !isInputActive) {
+            event.preventDefault();
+            if (event.shiftKey) {
+                if (this.onRedo) this.onRedo();
+            } else {
+                if (this.onUndo) this.onUndo();
+            }
+        }
+
+        // 1–9: Apply the cut recipe of the number key to the selection
+        if (/^[1-9]$/.test(event.key) && !event.metaKey && !event.ctrlKey && !event.altKey && !isInputActive) {
+            if (this.onRecipeShortcut) this.onRecipeShortcut(parseInt(event.key, 10));
+        }
+
+        // /: Focus the selection filter
+        if (event.key === '/' && !event.metaKey && !event.ctrlKey && !event.altKey && !isInputActive) {
+            event.preventDefault();
+            if (this.onFocusSelectionFilter) this.onFocusSelectionFilter();
+        }
     }
 
     /**
@@ -495,6 +571,100 @@ class UIComponents {
                 action: 'editAttributes',
                 icon: 'icons/plan.svg'
             },
+            {
+                label: 'Copy Attributes',
+                action: 'copyAttributes',
+                icon: 'icons/clipboard.svg'
+            },
+            {
+                label: 'Paste Attributes',
+                action: 'pasteAttributes',
+                icon: 'icons/clipboard.svg'
+            },
+            {
+                label: 'Clear Attributes',
+                action: 'clearAttributes',
+                icon: 'icons/clear.svg'
+            },
+            {
+                label: 'Select Similar',
+                action: 'selectSimilar',
+                icon: 'icons/search.svg'
+            },
+            {
+                label: 'Apply Recipe',
+                action: 'applyRecipe',
+                icon: 'icons/plan.svg',
+                submenu: true
+            },
+            {
+                label: 'Cut Types from Colors',
+                action: 'inferCutTypes',
+                icon: 'icons/cut-style.svg'
+            },
+            {
+                label: 'Convert Text to Paths',
+                action: 'convertText',
+                icon: 'icons/draw.svg'
+            },
+            {
+                label: 'Tool Library',
+                action: 'toolLibrary',
+                icon: 'icons/toolDia.svg'
+            },
+            {
+                label: 'Design Check',
+                action: 'designCheck',
+                icon: 'icons/search.svg'
+            },
+            {
+                label: 'Layers',
+                action: 'layerTree',
+                icon: 'icons/svg-file.svg'
+            },
+            {
+                label: 'Machining Time',
+                action: 'machiningTime',
+                icon: 'icons/cutDepth.svg'
+            },
+            {
+                label: 'Cut List (Print)',
+                action: 'cutListPrint',
+                icon: 'icons/plan.svg'
+            },
+            {
+                label: 'Cut List (CSV)',
+                action: 'cutListCSV',
+                icon: 'icons/export.svg'
+            },
+            {
+                label: 'Attribute Table',
+                action: 'attributeTable',
+                icon: 'icons/import.svg'
+            },
+            {
+                label: 'Changes',
+                action: 'changes',
+                icon: 'icons/shaperDelta.svg'
+            },
+            {
+                label: 'Load New Revision',
+                action: 'loadRevision',
+                icon: 'icons/svg-file.svg'
+            },
+            {
+                separator: true
+            },
+            {
+                label: 'Undo',
+                action: 'undo',
+                icon: 'icons/undo.svg'
+            },
+            {
+                label: 'Redo',
+                action: 'redo',
+                icon: 'icons/redo.svg'
+            },
             {
                 separator: true
             },
@@ -508,6 +678,16 @@ class UIComponents {
                 action: 'copy',
                 icon: 'icons/clipboard.svg'
             },
+            {
+                label: 'Export Colors: Original',
+                action: 'toggleExportCutStyle',
+                icon: 'icons/cut-style.svg'
+            },
+            {
+                label: 'Group Attributes: Flatten',
+                action: 'toggleExportGroupAttributes',
+                icon: 'icons/svg-file.svg'
+            },
             {
                 separator: true
             },
@@ -562,6 +742,12 @@ class UIComponents {
                     menuItem.appendChild(batchCounter);
                 }
 
+                // Submenu items open their submenu on hover (or click for touch)
+                if (item.submenu) {
+                    this.contextMenu.appendChild(this.createSubmenuItem(menuItem));
+                    return;
+                }
+
                 // Connect click handler for menu action
                 menuItem.addEventListener('click', (e) => {
                     e.stopPropagation();
@@ -581,6 +767,106 @@ class UIComponents {
         this.setupContextMenuEvents();
     }
 
+    /**
+     * Wrap a menu item with the cut recipe submenu
+     *
+     * The submenu content depends on the recipes and the selection and is
+     * rebuilt by renderRecipeSubmenu() whenever the menu opens.
+     *
+     * @param {Element} menuItem - Menu item opening the submenu
+     * @returns {Element} Wrapper containing menu item and submenu
+     */
+    createSubmenuItem(menuItem) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'context-menu-submenu-parent';
+
+        const arrow = document.createElement('span');
+        arrow.className = 'context-menu-submenu-arrow';
+        arrow.textContent = '▸';
+        menuItem.appendChild(arrow);
+
+        this.recipeSubmenu = document.createElement('div');
+        this.recipeSubmenu.className = 'context-submenu';
+
+        menuItem.addEventListener('click', (e) => {
+            e.stopPropagation();
+            wrapper.classList.toggle('open');
+        });
+
+        wrapper.appendChild(menuItem);
+        wrapper.appendChild(this.recipeSubmenu);
+        return wrapper;
+    }
+
+    /**
+     * Fill the cut recipe submenu
+     *
+     * Lists every recipe with its number key; recipes are only enabled while
+     * elements are selected. The last entry opens the recipe dialog.
+     *
+     * @param {boolean} hasSelection - Whether elements are selected
+     */
+    renderRecipeSubmenu(hasSelection) {
+        if (!this.recipeSubmenu) return;
+        this.recipeSubmenu.innerHTML = '';
+
+        const recipes = this.cutRecipes ? this.cutRecipes.getRecipes() : [];
+        recipes.forEach((recipe, index) => {
+            const recipeItem = this.createSubmenuEntry(recipe.name, () => {
+                if (this.onApplyRecipe) this.onApplyRecipe(recipe.id);
+            });
+            recipeItem.dataset.recipeId = recipe.id;
+            recipeItem.title = this.cutRecipes.formatRecipeSummary(recipe);
+
+            if (index < CutRecipes.SHORTCUT_COUNT) {
+                const shortcut = document.createElement('span');
+                shortcut.className = 'context-menu-batch-counter';
+                shortcut.textContent = String(index + 1);
+                recipeItem.appendChild(shortcut);
+            }
+            if (!hasSelection) {
+                recipeItem.classList.add('disabled');
+            }
+            this.recipeSubmenu.appendChild(recipeItem);
+        });
+
+        if (recipes.length === 0) {
+            const emptyItem = this.createSubmenuEntry('No recipes yet', null);
+            emptyItem.classList.add('disabled');
+            this.recipeSubmenu.appendChild(emptyItem);
+        }
+
+        const separator = document.createElement('div');
+        separator.className = 'context-menu-separator';
+        this.recipeSubmenu.appendChild(separator);
+
+        this.recipeSubmenu.appendChild(this.createSubmenuEntry('Manage Recipes', () => {
+            this.handleContextMenuAction('cutRecipes');
+        }));
+    }
+
+    /**
+     * Create a submenu entry
+     * @param {string} text - Entry label
+     * @param {Function|null} action - Click handler (menu closes afterwards)
+     * @returns {Element} Submenu entry
+     */
+    createSubmenuEntry(text, action) {
+        const entry = document.createElement('button');
+        entry.className = 'context-menu-item';
+
+        const label = document.createElement('span');
+        label.textContent = text;
+        entry.appendChild(label);
+
+        entry.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (action) action();
+            this.hideContextMenu();
+        });
+        return entry;
+    }
+
     /**
      * Setup context menu event handlers with selective activation
      *
@@ -670,6 +956,10 @@ class UIComponents {
         DRYUtilities.positionElement(this.contextMenu, x, y, {
             margin: 10
         });
+
+        // Open submenus to the left when there is no room on the right
+        const menuRect = this.contextMenu.getBoundingClientRect();
+        this.contextMenu.classList.toggle('submenu-left', menuRect.right + menuRect.width > window.innerWidth);
     }
 
     /**
@@ -683,6 +973,8 @@ class UIComponents {
             this.contextMenu.style.display = 'none';
             this.contextMenuBackdrop.style.display = 'none';
             this.contextMenuVisible = false;
+            this.contextMenu.querySelectorAll('.context-menu-submenu-parent.open')
+                .forEach(parent => parent.classList.remove('open'));
 
             // Remove temporary selection if it was added by right-click
             if (this.isTemporarySelection && this.rightClickedPath && this.elementManager) {
@@ -724,6 +1016,60 @@ class UIComponents {
                 batchCounter.textContent = selectionCount > 0 ? selectionCount : '0';
             }
         }
+
+        // Attribute clipboard actions
+        const attributeSystem = this.editor ? this.editor.attributeSystem : null;
+        const canPaste = hasSelection && !!attributeSystem && attributeSystem.hasCopiedAttributes();
+        this.setContextMenuItemEnabled('copyAttributes', selectionCount === 1);
+        this.setContextMenuItemEnabled('pasteAttributes', canPaste);
+        this.setContextMenuItemEnabled('clearAttributes', hasSelection);
+        this.renderRecipeSubmenu(hasSelection);
+
+        // Similar elements are searched for the element under the cursor
+        this.setContextMenuItemEnabled('selectSimilar', !!this.rightClickedPath);
+
+        // Text conversion only while the file has live text
+        this.setContextMenuItemEnabled('convertText', this.editor ? this.editor.hasLiveText() : false);
+
+        // History actions with the label of the step they affect
+        const historyManager = this.editor ? this.editor.historyManager : null;
+        const undoLabel = historyManager ? historyManager.getUndoLabel() : null;
+        const redoLabel = historyManager ? historyManager.getRedoLabel() : null;
+        this.setContextMenuItemEnabled('undo', !!undoLabel, undoLabel ? `Undo: ${undoLabel}` : 'Undo');
+        this.setContextMenuItemEnabled('redo', !!redoLabel, redoLabel ? `Redo: ${redoLabel}` : 'Redo');
+
+        // Export style mode
+        const exportCutStyle = this.editor ? this.editor.metaData.isExportCutStyleEnabled() : false;
+        this.setContextMenuItemEnabled('toggleExportCutStyle', true,
+            exportCutStyle ? 'Export Colors: Cut Style Guide' : 'Export Colors: Original');
+
+        // Export mode of group-level attributes
+        const keepGroupAttributes = this.editor ? this.editor.metaData.isExportKeepGroupAttributesEnabled() : false;
+        this.setContextMenuItemEnabled('toggleExportGroupAttributes', true,
+            keepGroupAttributes ? 'Group Attributes: Keep on Groups' : 'Group Attributes: Flatten');
+    }
+
+    /**
+     * Enable or disable a context menu item and optionally update its label
+     *
+     * @param {string} action - Action identifier of the menu item
+     * @param {boolean} enabled - Whether the item can be used
+     * @param {string} label - Optional new label text
+     */
+    setContextMenuItemEnabled(action, enabled, label = null) {
+        const menuItem = this.contextMenu.querySelector(`[data-action="${action}"]`);
+        if (!menuItem) return;
+
+        menuItem.classList.toggle('disabled', !enabled);
+        menuItem.style.opacity = enabled ? '1' : '0.5';
+        menuItem.style.pointerEvents = enabled ? 'auto' : 'none';
+
+        if (label) {
+            const labelElement = menuItem.querySelector('span:not(.context-menu-batch-counter)');
+            if (labelElement) {
+                labelElement.textContent = label;
+            }
+        }
     }
 
     /**
@@ -743,12 +1089,76 @@ class UIComponents {
                 }
                 if (this.onEditAttributes) this.onEditAttributes();
                 break;
+            case 'copyAttributes':
+                if (this.onCopyAttributes) this.onCopyAttributes();
+                break;
+            case 'pasteAttributes':
+                if (this.onPasteAttributes) this.onPasteAttributes();
+                break;
+            case 'clearAttributes':
+                if (this.onClearAttributes) this.onClearAttributes();
+                break;
+            case 'selectSimilar':
+                // The similar elements replace the selection
+                if (this.rightClickedPath && this.onSelectSimilar) {
+                    this.isTemporarySelection = false;
+                    this.onSelectSimilar(this.rightClickedPath);
+                }
+                break;
+            case 'cutRecipes':
+                if (this.onCutRecipes) this.onCutRecipes();
+                break;
+            case 'inferCutTypes':
+                if (this.onInferCutTypes) this.onInferCutTypes();
+                break;
+            case 'convertText':
+                if (this.onConvertText) this.onConvertText();
+                break;
+            case 'toolLibrary':
+                if (this.onToolLibrary) this.onToolLibrary();
+                break;
+            case 'designCheck':
+                if (this.onDesignCheck) this.onDesignCheck();
+                break;
+            case 'layerTree':
+                if (this.onLayerTree) this.onLayerTree();
+                break;
+            case 'machiningTime':
+                if (this.onMachiningTime) this.onMachiningTime();
+                break;
+            case 'cutListPrint':
+                if (this.onCutListPrint) this.onCutListPrint();
+                break;
+            case 'cutListCSV':
+                if (this.onCutListCSV) this.onCutListCSV();
+                break;
+            case 'attributeTable':
+                if (this.onAttributeTable) this.onAttributeTable();
+                break;
+            case 'changes':
+                if (this.onChanges) this.onChanges();
+                break;
+            case 'loadRevision':
+                if (this.onLoadRevision) this.onLoadRevision();
+                break;
+            case 'undo':
+                if (this.onUndo) this.onUndo();
+                break;
+            case 'redo':
+                if (this.onRedo) this.onRedo();
+                break;
             case 'export':
                 if (this.onExportSVG) this.onExportSVG();
                 break;
             case 'copy':
                 if (this.onCopyToClipboard) this.onCopyToClipboard();
                 break;
+            case 'toggleExportCutStyle':
+                if (this.onToggleExportCutStyle) this.onToggleExportCutStyle();
+                break;
+            case 'toggleExportGroupAttributes':
+                if (this.onToggleExportGroupAttributes) this.onToggleExportGroupAttributes();
+                break;
             case 'zoomFit':
                 if (this.onZoomToFit) this.onZoomToFit();
                 break;
@@ -54,8 +54,12 @@ class Viewport {
      *
      * Sets up all interaction tracking variables and establishes the coordinate
      * system anchor point for grid alignment calculations.
+     *
+     * @param {MeasurementSystem} measurementSystem - Evaluation of the zoom input
      */
-    constructor() {
+    constructor(measurementSystem = null) {
+        this.measurementSystem = measurementSystem;
+
         // Core transformation state
         this.zoom = 1;
         this.panX = 0;
@@ -690,6 +694,7 @@ class Viewport {
         const zoomInput = document.getElementById('zoomLevel');
         if (zoomInput) {
             zoomInput.value = Math.round(this.zoom * 100).toString();
+            DRYUtilities.setInputError(zoomInput, null);
         }
     }
 
@@ -697,22 +702,32 @@ class Viewport {
      * Validate and apply zoom level from user input
      *
      * Processes text input from zoom control, handles international decimal
-     * separators (comma/period), validates range (10%-1000%), and applies zoom.
-     * Invalid inputs reset to 100%. Rounds to integer percentages for
-     * consistent behavior.
+     * separators (comma/period) and arithmetic (e.g., '150*2'), validates
+     * range (10%-1000%), and applies zoom. Empty input resets to 100%,
+     * invalid input is marked at the field. Rounds to integer percentages
+     * for consistent behavior.
      *
      * @param {string} inputValue - Raw text from zoom input field
      */
     validateAndApplyZoom(inputValue) {
-        // Normalize decimal separator (support both comma and period)
-        let value = inputValue.replace(',', '.');
-
-        // Parse the numeric value
-        let zoomPercent = parseFloat(value);
+        const zoomInput = document.getElementById('zoomLevel');
+        let zoomPercent = NaN;
+
+        // Evaluate the percentage (plain numbers and arithmetic)
+        if (inputValue.trim() !== '') {
+            try {
+                zoomPercent = this.measurementSystem
+                    ? this.measurementSystem.evaluateNumber(inputValue)
+                    : parseFloat(inputValue.replace(',', '.'));
+            } catch (error) {
+                DRYUtilities.setInputError(zoomInput, error.message);
+                return;
+            }
+        }
 
         // Validate numeric input
         if (isNaN(zoomPercent)) {
-            // Invalid input - reset to 100% with center zoom
+            // Empty input - reset to 100% with center zoom
             this.zoomToCenter(1);
         } else {
             // Round to nearest integer percentage
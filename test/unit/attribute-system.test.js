@@ -0,0 +1,28 @@
+/**
+ * Unit Tests for AttributeSystem
+ *
+ * Tests storing the measurements of the cut planning dialog in element data.
+ */
+
+describe('AttributeSystem', () => {
+    describe('Dialog Values', () => {
+        it('should store measurements from the dialog in pixels', () => {
+            const data = { tagName: 'rect', shaperAttributes: {} };
+            const attributeSystem = new AttributeSystem(new MeasurementSystem(), null, { getElementDimensions: () => data });
+
+            // The dialog keeps the entered value in mm on its input
+            const input = document.createElement('input');
+            input.id = 'cutDepth';
+            input.dataset.rawValueMm = '25.4';
+            document.body.appendChild(input);
+            try {
+                attributeSystem.saveMeasurementAttributes(null, { cutDepth: '25.4' });
+            } finally {
+                input.remove();
+            }
+
+            // 1 inch at 96 dpi
+            expect(parseFloat(data.shaperAttributes['shaper:cutDepth'])).toBeCloseTo(96, 6);
+        });
+    });
+});
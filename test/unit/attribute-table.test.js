@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for AttributeTable
+ *
+ * Tests the CSV and JSON export, parsing of edited tables, the check of
+ * all rows before anything is applied and saving the changed values like
+ * dialog input.
+ */
+
+describe('AttributeTable', () => {
+    const SVG_SOURCE = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:shaper="http://www.shapertools.com/namespaces/shaper" width="200mm" height="100mm" viewBox="0 0 200 100">
+        <rect id="panel" width="100" height="50" shaper:cutType="outside" shaper:cutDepth="18mm"/>
+        <g id="holes" shaper:cutType="pocket" shaper:cutDepth="6mm">
+            <circle id="hole" cx="150" cy="20" r="5"/>
+        </g>
+    </svg>`;
+
+    const createTable = (options = {}) => {
+        const editor = new BatchEditor(options);
+        editor.load(SVG_SOURCE, 'parts.svg');
+        const table = new AttributeTable(editor.measurementSystem, editor.elementManager, editor.attributeSystem);
+        const svgElement = editor.fileManager.getSVGElement();
+        const byId = (id) => svgElement.querySelector(`#${id}`);
+        const ownAttributes = (id) => editor.elementManager.getElementDimensions(byId(id)).shaperAttributes;
+        return { editor, table, svgElement, byId, ownAttributes };
+    };
+
+    // Replace the cells of named columns in an exported CSV row
+    const editRow = (csv, id, changes) => {
+        const lines = csv.trim().split('\r\n');
+        const header = lines[0].split(',').map(title => title.split(' ')[0]);
+        return lines.map(line => {
+            const fields = line.split(',');
+            if (fields[0] !== id) return line;
+            Object.entries(changes).forEach(([column, value]) => {
+                fields[header.indexOf(column)] = value;
+            });
+            return fields.join(',');
+        }).join('\r\n');
+    };
+
+    describe('Export', () => {
+        it('should export id, geometry and effective attributes as CSV', () => {
+            const { table, svgElement, byId } = createTable();
+            const lines = table.exportCSV(svgElement).trim().split('\r\n');
+
+            expect(lines[0]).toBe('id,name,tag,width (mm),height (mm),length (mm),cutType,cutDepth (mm),cutOffset (mm),toolDia (mm)');
+            // 100 × 50 px rectangle
+            expect(lines[1]).toBe(`${byId('panel').dataset.appId},panel,rect,26.458,13.229,79.375,outside,18.0,,`);
+            expect(lines[2].split(',').slice(6)).toEqual(['pocket', '6.0', '', '']);
+        });
+
+        it('should separate fields with semicolons for a decimal comma', () => {
+            const { table, svgElement, byId } = createTable();
+            table.measurementSystem.setDecimalSeparator(',');
+            const lines = table.exportCSV(svgElement).trim().split('\r\n');
+
+            expect(lines[1]).toBe(`${byId('panel').dataset.appId};panel;rect;26,458;13,229;79,375;outside;18,0;;`);
+        });
+
+        it('should export JSON with the unit and numbers', () => {
+            const { table, svgElement } = createTable({ units: 'in' });
+            const data = JSON.parse(table.exportJSON(svgElement, 'parts.svg'));
+
+            expect(data.units).toBe('in');
+            expect(data.elements[0].geometry.width).toBeCloseTo(100 / 96, 3);
+            expect(data.elements[0].attributes).toEqual({ cutType: 'outside', cutDepth: 0.709, cutOffset: null, toolDia: null });
+        });
+    });
+
+    describe('Parsing', () => {
+        it('should read quoted fields, the separator and the header unit', () => {
+            const { table } = createTable();
+            const parsed = table.parse('\uFEFFid;name;cutDepth (in)\r\nabc;"Part; ""A""\nleft";"0,5"\r\n\r\n');
+
+            expect(parsed.units).toBe('in');
+            expect(parsed.rows).toEqual([{ line: 'Row 2', id: 'abc', values: { cutDepth: '0,5' } }]);
+        });
+
+        it('should reject tables without id column', () => {
+            const { table } = createTable();
+            expect(() => table.parse('name,cutDepth\r\npanel,12')).toThrow('No "id" column found');
+        });
+    });
+
+    describe('Import', () => {
+        it('should save only changed values as one change', () => {
+            const { editor, table, svgElement, byId, ownAttributes } = createTable();
+            let changes = 0;
+            const recordChange = editor.attributeSystem.recordChange.bind(editor.attributeSystem);
+            editor.attributeSystem.recordChange = (...args) => {
+                changes++;
+                recordChange(...args);
+            };
+
+            const csv = editRow(table.exportCSV(svgElement), byId('panel').dataset.appId, { cutDepth: '12', toolDia: '6.35' });
+            const result = table.importTable(csv, svgElement);
+
+            expect(result).toEqual({ applied: 1, unchanged: 1, errors: [] });
+            expect(changes).toBe(1);
+            expect(editor.measurementSystem.convertBetweenUnits(parseFloat(ownAttributes('panel')['shaper:cutDepth']), 'px', 'mm')).toBeCloseTo(12, 6);
+            expect(editor.measurementSystem.convertBetweenUnits(parseFloat(ownAttributes('panel')['shaper:toolDia']), 'px', 'mm')).toBeCloseTo(6.35, 6);
+        });
+
+        it('should keep values inherited from groups', () => {
+            const { table, svgElement, byId, ownAttributes } = createTable();
+            const csv = editRow(table.exportCSV(svgElement), byId('hole').dataset.appId, { cutOffset: '-0.2' });
+
+            table.importTable(csv, svgElement);
+            expect(Object.keys(ownAttributes('hole'))).toEqual(['shaper:cutOffset']);
+        });
+
+        it('should report unknown ids and invalid values and apply nothing', () => {
+            const { table, svgElement, byId, ownAttributes } = createTable();
+            const panelId = byId('panel').dataset.appId;
+            const before = { ...ownAttributes('panel') };
+            const json = JSON.stringify({
+                units: 'mm',
+                elements: [
+                    { id: panelId, attributes: { cutDepth: 3 } },
+                    { id: 'missing', attributes: { cutDepth: 3 } },
+                    { id: byId('hole').dataset.appId, attributes: { cutType: 'drill' } }
+                ]
+            });
+
+            const result = table.importTable(json, svgElement);
+            expect(result.applied).toBe(0);
+            expect(result.errors).toEqual([
+                'Element 2: Unknown element id "missing"',
+                'Element 3 (hole): Unknown cut type "drill" (use inside, outside, online, pocket, guide or none)'
+            ]);
+            expect(ownAttributes('panel')).toEqual(before);
+        });
+
+        it('should take plain numbers in the unit of the table', () => {
+            const { editor, table, svgElement, byId, ownAttributes } = createTable();
+            const json = JSON.stringify({ units: 'in', elements: [{ id: byId('panel').dataset.appId, attributes: { cutDepth: '1/2' } }] });
+
+            table.importTable(json, svgElement);
+            expect(editor.measurementSystem.convertBetweenUnits(parseFloat(ownAttributes('panel')['shaper:cutDepth']), 'px', 'mm')).toBeCloseTo(12.7, 6);
+        });
+    });
+});
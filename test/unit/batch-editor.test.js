@@ -0,0 +1,163 @@
+/**
+ * Unit Tests for BatchEditor
+ *
+ * Tests attribute work without the editor UI as the dtune command line tool
+ * does it: selecting by filter, setting values as typed in the dialog,
+ * exporting, reporting and validating.
+ */
+
+describe('BatchEditor', () => {
+    const SVG_SOURCE = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:shaper="http://www.shapertools.com/namespaces/shaper" width="200mm" height="100mm" viewBox="0 0 200 100">
+        <rect id="panel" width="100" height="50"/>
+        <path id="slot" d="M0 60 L80 60"/>
+        <g id="holes" shaper:cutType="pocket" shaper:cutDepth="6mm">
+            <circle id="hole" cx="150" cy="20" r="5"/>
+        </g>
+        <text id="label" x="10" y="90">Part A</text>
+    </svg>`;
+
+    const createEditor = (options = {}) => {
+        const editor = new BatchEditor(options);
+        editor.load(SVG_SOURCE, 'parts.svg');
+        return editor;
+    };
+
+    const byId = (editor, id) => editor.fileManager.getSVGElement().querySelector(`#${id}`);
+
+    const exportedElement = (editor, id) => {
+        const doc = new DOMParser().parseFromString(editor.exportSVG(), 'image/svg+xml');
+        return doc.getElementById(id);
+    };
+
+    describe('Loading and Selection', () => {
+        it('should reject sources that are no SVG', () => {
+            expect(() => new BatchEditor().load('<html></html>', 'page.html')).toThrow('Invalid SVG file');
+        });
+
+        it('should select all elements without a filter', () => {
+            const editor = createEditor();
+            expect(editor.select('').length).toBe(editor.getElements().length);
+        });
+
+        it('should select with the filter box syntax without layout', () => {
+            const editor = createEditor();
+            const ids = editor.select('closed && width > 20mm').map(element => element.id);
+            expect(ids).toEqual(['panel']);
+        });
+
+        it('should filter on inherited attributes', () => {
+            const editor = createEditor();
+            const ids = editor.select('cutType == pocket').map(element => element.id);
+            expect(ids).toEqual(['hole']);
+        });
+    });
+
+    describe('Setting Attributes', () => {
+        it('should store values like the dialog and export them', () => {
+            const editor = createEditor();
+            editor.setAttributes(editor.select('closed && width > 20mm'), { cutType: 'outside', cutDepth: '18mm' });
+
+            const panel = exportedElement(editor, 'panel');
+            expect(panel.getAttributeNS(ShaperConstants.NAMESPACE, 'cutType')).toBe('outside');
+            expect(panel.getAttributeNS(ShaperConstants.NAMESPACE, 'cutDepth')).toBe('18.0mm');
+            expect(exportedElement(editor, 'slot').getAttributeNS(ShaperConstants.NAMESPACE, 'cutType')).toBeNull();
+        });
+
+        it('should declare the shaper prefix once on the root of files without it', () => {
+            const editor = new BatchEditor();
+            editor.load('<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100"><rect id="panel" width="50" height="50"/><circle id="hole" cx="80" cy="80" r="5"/></svg>', 'plain.svg');
+            editor.setAttributes(editor.getElements(), { cutType: 'outside' });
+
+            const exported = editor.exportSVG();
+            expect(exported.startsWith(`<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100" xmlns:shaper="${ShaperConstants.NAMESPACE}">`)).toBeTruthy();
+            expect(exported.split('xmlns:shaper=').length - 1).toBe(1);
+            expect(exported).toContain('<rect id="panel" width="50" height="50" shaper:cutType="outside"/>');
+            expect(exported).toContain('<circle id="hole" cx="80" cy="80" r="5" shaper:cutType="outside"/>');
+            expect(exported.includes('ns1:')).toBeFalsy();
+        });
+
+        it('should read plain numbers and expressions in the unit mode', () => {
+            const editor = createEditor({ units: 'in' });
+            editor.setAttributes([byId(editor, 'panel')], { cutDepth: '1/2 + 1/4', toolDia: '0.25' });
+
+            const attrs = editor.elementManager.getElementDimensions(byId(editor, 'panel')).shaperAttributes;
+            expect(editor.measurementSystem.convertBetweenUnits(parseFloat(attrs['shaper:cutDepth']), 'px', 'mm')).toBeCloseTo(19.05, 6);
+            expect(editor.measurementSystem.convertBetweenUnits(parseFloat(attrs['shaper:toolDia']), 'px', 'mm')).toBeCloseTo(6.35, 6);
+        });
+
+        it('should keep values that repeat a group value inherited', () => {
+            const editor = createEditor();
+            const hole = byId(editor, 'hole');
+            editor.setAttributes([hole], { cutType: 'pocket', cutDepth: '8mm' });
+
+            const own = editor.elementManager.getElementDimensions(hole).shaperAttributes;
+            expect(own['shaper:cutType']).toBeUndefined();
+            expect(own['shaper:cutDepth']).toBeTruthy();
+        });
+
+        it('should remove attributes set to none', () => {
+            const editor = createEditor();
+            const panel = byId(editor, 'panel');
+            editor.setAttributes([panel], { cutType: 'inside', cutDepth: '3mm' });
+            editor.setAttributes([panel], { cutType: 'none', cutDepth: 'none' });
+
+            expect(editor.elementManager.getElementDimensions(panel).shaperAttributes).toEqual({});
+        });
+
+        it('should reject invalid values without changing anything', () => {
+            const editor = createEditor();
+            const panel = byId(editor, 'panel');
+
+            expect(() => editor.setAttributes([panel], { cutType: 'outside', cutDepth: '-3mm' })).toThrow('cutDepth must be greater than 0');
+            expect(() => editor.setAttributes([panel], { cutType: 'drill' })).toThrow('Unknown cut type');
+            expect(() => editor.setAttributes([panel], { cutDepth: '3mm +' })).toThrow('cutDepth:');
+            expect(() => editor.setAttributes([panel], { depth: '3mm' })).toThrow('Unknown attribute');
+            expect(editor.elementManager.getElementDimensions(panel).shaperAttributes).toEqual({});
+        });
+
+        it('should allow negative cut offsets', () => {
+            const editor = createEditor();
+            const panel = byId(editor, 'panel');
+            editor.setAttributes([panel], { cutOffset: '-0.5mm' });
+
+            expect(exportedElement(editor, 'panel').getAttributeNS(ShaperConstants.NAMESPACE, 'cutOffset')).toBe('-0.5mm');
+        });
+    });
+
+    describe('Report', () => {
+        it('should count elements, cut types and values with inheritance', () => {
+            const editor = createEditor();
+            editor.setAttributes([byId(editor, 'panel')], { cutType: 'outside', cutDepth: '6mm' });
+            const report = editor.report();
+
+            expect(report.fileName).toBe('parts.svg');
+            expect(report.elements).toBe(4);
+            expect(report.groups).toBe(1);
+            expect(report.tags).toEqual({ rect: 1, path: 1, circle: 1, text: 1 });
+            expect(report.cutTypes).toEqual({ outside: 1, none: 2, pocket: 1 });
+            expect(report.values.cutDepth).toEqual({ '6mm': 2 });
+        });
+    });
+
+    describe('Validation', () => {
+        it('should report open-path cuts, live text and deep cuts', () => {
+            const editor = createEditor();
+            editor.setAttributes([byId(editor, 'slot')], { cutType: 'inside' });
+            editor.setAttributes([byId(editor, 'panel')], { cutDepth: '20mm' });
+
+            const problems = editor.validate({ materialThickness: 18 });
+            const byElement = (id) => problems.filter(problem => problem.appId === byId(editor, id).dataset.appId);
+
+            expect(byElement('slot').length).toBe(1);
+            expect(byElement('label').length).toBe(1);
+            expect(byElement('panel').length).toBe(1);
+            expect(byElement('hole').length).toBe(0);
+        });
+
+        it('should find nothing in a clean file', () => {
+            const editor = new BatchEditor();
+            editor.load('<svg xmlns="http://www.w3.org/2000/svg"><rect width="10" height="10"/></svg>', 'clean.svg');
+            expect(editor.validate()).toEqual([]);
+        });
+    });
+});
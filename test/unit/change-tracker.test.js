@@ -0,0 +1,115 @@
+/**
+ * Unit Tests for ChangeTracker
+ *
+ * Tests the comparison of current shaper attributes with the loaded file
+ * (elements and groups), the tooltip check including group values, value
+ * formatting and reverting to the loaded values.
+ */
+
+describe('ChangeTracker', () => {
+    const SVG_SOURCE = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:shaper="http://www.shapertools.com/namespaces/shaper" width="200mm" height="100mm" viewBox="0 0 200 100">
+        <rect id="panel" width="100" height="50" shaper:cutType="outside" shaper:cutDepth="18mm"/>
+        <g id="holes" shaper:cutType="pocket" shaper:cutDepth="6mm">
+            <circle id="hole" cx="150" cy="20" r="5"/>
+        </g>
+    </svg>`;
+
+    const createTracker = (source = SVG_SOURCE) => {
+        const editor = new BatchEditor();
+        editor.load(source, 'parts.svg');
+        // The original SVG as the editor stores it: serialized with app-ids
+        const originalSVG = new XMLSerializer().serializeToString(editor.fileManager.getSVGElement());
+        const tracker = new ChangeTracker(editor.measurementSystem, editor.elementManager, editor.attributeSystem);
+        const svgElement = editor.fileManager.getSVGElement();
+        const byId = (id) => svgElement.querySelector(`#${id}`);
+        const ownAttributes = (id) => editor.elementManager.getElementDimensions(byId(id)).shaperAttributes;
+        return { editor, tracker, originalSVG, svgElement, byId, ownAttributes };
+    };
+
+    describe('Changes', () => {
+        it('should find no changes right after loading', () => {
+            const { tracker, originalSVG, svgElement } = createTracker();
+            expect(tracker.getChanges(svgElement, originalSVG)).toEqual([]);
+        });
+
+        it('should list old and new values of changed elements', () => {
+            const { editor, tracker, originalSVG, svgElement, byId } = createTracker();
+            editor.setAttributes([byId('panel')], { cutDepth: '12mm', toolDia: '6mm' });
+
+            const changes = tracker.getChanges(svgElement, originalSVG);
+            expect(changes.map(change => change.name)).toEqual(['panel']);
+
+            const formatted = changes[0].differences.map(difference =>
+                `${difference.name}: ${tracker.formatValue(difference.name, difference.before)} → ${tracker.formatValue(difference.name, difference.after)}`);
+            expect(formatted).toEqual([
+                'shaper:cutDepth: 18.0mm → 12.0mm',
+                'shaper:toolDia: none → 6.0mm'
+            ]);
+        });
+
+        it('should list changed groups after their elements', () => {
+            const { editor, tracker, originalSVG, svgElement, byId } = createTracker();
+            editor.setAttributes([byId('holes')], { cutType: 'online' });
+            editor.setAttributes([byId('hole')], { cutOffset: '0.5mm' });
+
+            const changes = tracker.getChanges(svgElement, originalSVG);
+            expect(changes.map(change => `${change.description.split(':')[0]}:${change.isGroup}`)).toEqual(['Circle:false', 'Group holes:true']);
+            expect(changes[1].differences).toEqual([{ name: 'shaper:cutType', before: 'pocket', after: 'online' }]);
+        });
+
+        it('should ignore a value saved again unchanged and the picked tool', () => {
+            const { editor, tracker, originalSVG, svgElement, byId, ownAttributes } = createTracker();
+            editor.setAttributes([byId('panel')], { cutDepth: '18' });
+            ownAttributes('panel')[ShaperConstants.TOOL_ID_KEY] = 'tool-1';
+
+            expect(tracker.getChanges(svgElement, originalSVG)).toEqual([]);
+        });
+    });
+
+    describe('Tooltip Check', () => {
+        it('should mark elements whose own or group attributes changed', () => {
+            const { editor, tracker, originalSVG, byId } = createTracker();
+            expect(tracker.isChanged(byId('hole'), originalSVG)).toBe(false);
+
+            editor.setAttributes([byId('holes')], { cutDepth: '3mm' });
+            expect(tracker.isChanged(byId('hole'), originalSVG)).toBe(true);
+            expect(tracker.isChanged(byId('panel'), originalSVG)).toBe(false);
+        });
+    });
+
+    describe('Revert', () => {
+        it('should restore the loaded values as one change', () => {
+            const { editor, tracker, originalSVG, svgElement, byId, ownAttributes } = createTracker();
+            const before = { ...ownAttributes('panel') };
+            editor.setAttributes([byId('panel')], { cutType: 'inside', cutDepth: '12mm', toolDia: '6mm' });
+
+            let changes = 0;
+            const recordChange = editor.attributeSystem.recordChange.bind(editor.attributeSystem);
+            editor.attributeSystem.recordChange = (...args) => {
+                changes++;
+                recordChange(...args);
+            };
+
+            expect(tracker.revert(tracker.getChanges(svgElement, originalSVG))).toBe(1);
+            expect(changes).toBe(1);
+            expect(ownAttributes('panel')).toEqual(before);
+            expect(tracker.getChanges(svgElement, originalSVG)).toEqual([]);
+        });
+
+        it('should keep the picked tool only with the loaded tool diameter', () => {
+            const { tracker, originalSVG, svgElement, ownAttributes } = createTracker(
+                SVG_SOURCE.replace('shaper:cutDepth="18mm"', 'shaper:cutDepth="18mm" shaper:toolDia="6mm"'));
+            const panel = ownAttributes('panel');
+            panel['shaper:cutType'] = 'inside';
+            panel[ShaperConstants.TOOL_ID_KEY] = 'tool-1';
+            const hole = ownAttributes('hole');
+            hole['shaper:cutOffset'] = '2';
+            hole[ShaperConstants.TOOL_ID_KEY] = 'tool-1';
+
+            tracker.revert(tracker.getChanges(svgElement, originalSVG));
+            expect(ownAttributes('panel')['shaper:cutType']).toBe('outside');
+            expect(ownAttributes('panel')[ShaperConstants.TOOL_ID_KEY]).toBe('tool-1');
+            expect(ownAttributes('hole')).toEqual({});
+        });
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for ColorInference
+ *
+ * Tests color normalization, Shaper palette classification, user color
+ * rules and the proposal list built from an SVG master model.
+ */
+
+describe('ColorInference', () => {
+    const inference = new ColorInference(new MeasurementSystem());
+
+    const createSVG = (content) => {
+        const parser = new DOMParser();
+        return parser.parseFromString(
+            `<svg xmlns="http://www.w3.org/2000/svg">${content}</svg>`, 'image/svg+xml'
+        ).documentElement;
+    };
+
+    const createDataMap = (svg) => {
+        const map = new Map();
+        svg.querySelectorAll('[data-app-id]').forEach(element => {
+            map.set(element.getAttribute('data-app-id'), { tagName: element.tagName.toLowerCase(), shaperAttributes: {} });
+        });
+        return map;
+    };
+
+    describe('Color Normalization', () => {
+        it('should normalize hex, rgb and named colors', () => {
+            expect(inference.normalizeColor('#abc')).toBe('#AABBCC');
+            expect(inference.normalizeColor('#0068ff')).toBe('#0068FF');
+            expect(inference.normalizeColor('rgb(127, 127, 127)')).toBe('#7F7F7F');
+            expect(inference.normalizeColor('black')).toBe('#000000');
+        });
+
+        it('should return null for no paint', () => {
+            expect(inference.normalizeColor('none')).toBeNull();
+            expect(inference.normalizeColor('url(#gradient)')).toBeNull();
+            expect(inference.normalizeColor('')).toBeNull();
+        });
+
+        it('should return undefined for unreadable colors', () => {
+            expect(inference.normalizeColor('currentColor')).toBeUndefined();
+            expect(inference.normalizeColor('hsl(0, 0%, 50%)')).toBeUndefined();
+            expect(inference.normalizeColor('navy')).toBeUndefined();
+        });
+    });
+
+    describe('Palette Inference', () => {
+        it('should follow the Cut Style Guide', () => {
+            expect(inference.inferPaletteCutType('#000000', '#000000')).toBe('outside');
+            expect(inference.inferPaletteCutType('#FFFFFF', '#000000')).toBe('inside');
+            expect(inference.inferPaletteCutType(null, '#7F7F7F')).toBe('online');
+            expect(inference.inferPaletteCutType('#808080', null)).toBe('pocket');
+            expect(inference.inferPaletteCutType(null, '#0068FF')).toBe('guide');
+        });
+
+        it('should not guess for colors outside the palette', () => {
+            expect(inference.inferPaletteCutType('#FF0000', null)).toBeNull();
+            expect(inference.inferPaletteCutType('#FFFFFF', null)).toBeNull();
+            expect(inference.inferPaletteCutType(null, '#000000')).toBeNull();
+        });
+    });
+
+    describe('Paint Resolution', () => {
+        it('should prefer inline style and inherit from groups', () => {
+            const svg = createSVG('<g stroke="#7f7f7f"><path data-app-id="a" d="M0 0" style="fill:none"/></g>');
+            const path = svg.querySelector('path');
+
+            expect(inference.resolvePaint(path, 'fill')).toBeNull();
+            expect(inference.resolvePaint(path, 'stroke')).toBe('#7F7F7F');
+        });
+
+        it('should default to black fill and no stroke', () => {
+            const svg = createSVG('<rect data-app-id="a" width="1" height="1"/>');
+            const rect = svg.querySelector('rect');
+
+            expect(inference.resolvePaint(rect, 'fill')).toBe('#000000');
+            expect(inference.resolvePaint(rect, 'stroke')).toBeNull();
+        });
+
+        it('should read class rules between presentation attributes and inline style', () => {
+            const svg = createSVG(
+                '<style>.st0{fill:#fff;stroke:#000}.st1, .st2{fill:none}</style>' +
+                '<rect data-app-id="a" class="st0" width="1" height="1" fill="red"/>' +
+                '<g class="st2"><path data-app-id="b" d="M0 0" style="stroke:#7f7f7f"/></g>'
+            );
+
+            expect(inference.resolvePaint(svg.querySelector('rect'), 'fill')).toBe('#FFFFFF');
+            expect(inference.resolvePaint(svg.querySelector('rect'), 'stroke')).toBe('#000000');
+            expect(inference.resolvePaint(svg.querySelector('path'), 'fill')).toBeNull();
+            expect(inference.resolvePaint(svg.querySelector('path'), 'stroke')).toBe('#7F7F7F');
+        });
+
+        it('should take the class rule that comes last in the stylesheet', () => {
+            const svg = createSVG('<style>.a{fill:red}.b{fill:blue}</style><rect data-app-id="a" class="b a" width="1" height="1"/>');
+            expect(inference.resolvePaint(svg.querySelector('rect'), 'fill')).toBe('#0000FF');
+        });
+
+        it('should not assume the default when other stylesheet rules may apply', () => {
+            const svg = createSVG('<style>rect{fill:#808080}</style><rect data-app-id="a" width="1" height="1"/>');
+            expect(inference.resolvePaint(svg.querySelector('rect'), 'fill')).toBeUndefined();
+        });
+    });
+
+    describe('Proposals', () => {
+        it('should propose cut types from the palette', () => {
+            const svg = createSVG(
+                '<rect data-app-id="a" width="1" height="1" fill="#fff" stroke="#000"/>' +
+                '<rect data-app-id="b" width="1" height="1" fill="red"/>'
+            );
+            const proposals = inference.proposeCutTypes(svg, createDataMap(svg));
+
+            expect(proposals.length).toBe(1);
+            expect(proposals[0].appId).toBe('a');
+            expect(proposals[0].attributes['shaper:cutType']).toBe('inside');
+            expect(proposals[0].selected).toBeTruthy();
+        });
+
+        it('should propose from class styles and skip undetermined paints', () => {
+            const svg = createSVG(
+                '<defs><style>.cls-1{fill:#fff;stroke:#000;stroke-miterlimit:10}.cls-2{fill:none;stroke:#7f7f7f}</style>' +
+                '<style>#frame{fill:#0068ff}</style></defs>' +
+                '<rect data-app-id="a" class="cls-1" width="1" height="1"/>' +
+                '<path data-app-id="b" class="cls-2" d="M0 0 L1 1"/>' +
+                '<rect id="frame" data-app-id="c" width="1" height="1"/>'
+            );
+            const proposals = inference.proposeCutTypes(svg, createDataMap(svg));
+
+            expect(proposals.map(proposal => `${proposal.appId}:${proposal.attributes['shaper:cutType']}`)).toEqual(['a:inside', 'b:online']);
+        });
+
+        it('should skip elements with unreadable colors', () => {
+            const svg = createSVG(
+                '<rect data-app-id="a" width="1" height="1" fill="currentColor" stroke="#888"/>' +
+                '<rect data-app-id="b" width="1" height="1" fill="hsl(0, 0%, 50%)"/>'
+            );
+            expect(inference.proposeCutTypes(svg, createDataMap(svg))).toEqual([]);
+        });
+
+        it('should let user rules take precedence over the palette', () => {
+            const svg = createSVG('<path data-app-id="a" d="M0 0" fill="none" stroke="#7f7f7f"/>');
+            const rules = [{ color: '#7F7F7F', target: 'stroke', cutType: 'pocket', cutDepth: '18.897637795275593' }];
+            const proposals = inference.proposeCutTypes(svg, createDataMap(svg), rules);
+
+            expect(proposals[0].attributes['shaper:cutType']).toBe('pocket');
+            expect(proposals[0].attributes['shaper:cutDepth']).toBe('18.897637795275593');
+        });
+
+        it('should skip elements that already have the proposed attributes', () => {
+            const svg = createSVG('<rect data-app-id="a" width="1" height="1" fill="#000"/>');
+            const dataMap = createDataMap(svg);
+            dataMap.get('a').shaperAttributes['shaper:cutType'] = 'outside';
+
+            expect(inference.proposeCutTypes(svg, dataMap).length).toBe(0);
+        });
+
+        it('should not preselect elements with a different cut type', () => {
+            const svg = createSVG('<rect data-app-id="a" width="1" height="1" fill="#000"/>');
+            const dataMap = createDataMap(svg);
+            dataMap.get('a').shaperAttributes['shaper:cutType'] = 'online';
+            const proposals = inference.proposeCutTypes(svg, dataMap);
+
+            expect(proposals[0].currentCutType).toBe('online');
+            expect(proposals[0].selected).toBeFalsy();
+        });
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Unit Tests for CutList
+ *
+ * Tests grouping by tool and depth, the cutting order of the groups, notes
+ * from titles and group inheritance, the CSV format and the HTML page.
+ */
+
+describe('CutList', () => {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    const createCutList = (decimalSeparator = '.') => {
+        const measurementSystem = new MeasurementSystem();
+        measurementSystem.setUnits('mm');
+        measurementSystem.setDecimalSeparator(decimalSeparator);
+        const mmToPx = (mm) => measurementSystem.convertBetweenUnits(mm, 'mm', 'px');
+
+        const metaData = new MetaData(measurementSystem);
+        metaData.setToolLibrary(null);
+        const toolLibrary = new ToolLibrary(metaData, measurementSystem);
+        const elementDataMap = new Map();
+        const elementManager = new ElementManager(measurementSystem, null, elementDataMap);
+        const designRuleChecker = new DesignRuleChecker(measurementSystem, elementManager);
+        const cutList = new CutList(measurementSystem, elementManager, toolLibrary, null, designRuleChecker);
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+
+        // Attributes in mm, stored as pixel strings like the element data
+        const toPixelAttributes = (attributes) => {
+            const shaperAttributes = {};
+            Object.entries(attributes).forEach(([name, value]) => {
+                shaperAttributes[`shaper:${name}`] = name === 'cutType' ? value : mmToPx(value).toString();
+            });
+            return shaperAttributes;
+        };
+
+        const addElement = (appId, attributes, parent = svg, sizeMm = 10) => {
+            const element = document.createElementNS(SVG_NS, 'rect');
+            element.dataset.appId = appId;
+            element.setAttribute('id', appId);
+            parent.appendChild(element);
+            elementDataMap.set(appId, {
+                tagName: 'rect',
+                widthPx: mmToPx(sizeMm),
+                heightPx: mmToPx(sizeMm / 2),
+                shaperAttributes: toPixelAttributes(attributes)
+            });
+            return element;
+        };
+
+        const addGroup = (groupId, attributes) => {
+            const group = document.createElementNS(SVG_NS, 'g');
+            group.dataset.groupId = groupId;
+            group.setAttribute('inkscape:label', groupId);
+            svg.appendChild(group);
+            elementDataMap.set(groupId, { tagName: 'g', isGroup: true, shaperAttributes: toPixelAttributes(attributes) });
+            return group;
+        };
+
+        return { cutList, svg, addElement, addGroup };
+    };
+
+    describe('Grouping', () => {
+        it('should group elements by tool and depth in cutting order', () => {
+            const { cutList, svg, addElement } = createCutList();
+            addElement('deep', { cutType: 'outside', cutDepth: 18, toolDia: 6 });
+            addElement('none', { cutType: 'guide' });
+            addElement('small', { cutType: 'pocket', cutDepth: 3, toolDia: 3 });
+            addElement('shallow', { cutType: 'inside', cutDepth: 6, toolDia: 6 });
+            addElement('shallow2', { cutType: 'outside', cutDepth: 6, toolDia: 6 });
+
+            const groups = cutList.collect(svg);
+            expect(groups.map(group => group.label)).toEqual([
+                '3mm Upcut (3.0mm) · 3.0mm deep',
+                '6mm Upcut (6.0mm) · 6.0mm deep',
+                '6mm Upcut (6.0mm) · 18.0mm deep',
+                'No tool · No depth'
+            ]);
+            expect(groups[1].rows.map(row => row.appId)).toEqual(['shallow', 'shallow2']);
+        });
+
+        it('should name diameters without library tool', () => {
+            const { cutList, svg, addElement } = createCutList();
+            addElement('a', { cutType: 'online', toolDia: 5 });
+
+            expect(cutList.collect(svg)[0].label).toBe('5.0mm tool · No depth');
+        });
+
+        it('should skip elements in definitions', () => {
+            const { cutList, svg, addElement } = createCutList();
+            const defs = document.createElementNS(SVG_NS, 'defs');
+            svg.appendChild(defs);
+            addElement('shape', { cutType: 'online' }, defs);
+            addElement('part', { cutType: 'outside' });
+
+            const groups = cutList.collect(svg);
+            expect(groups.length).toBe(1);
+            expect(groups[0].rows.map(row => row.appId)).toEqual(['part']);
+        });
+    });
+
+    describe('Notes', () => {
+        it('should list titles and values inherited from groups', () => {
+            const { cutList, svg, addElement, addGroup } = createCutList();
+            const group = addGroup('Holes', { cutType: 'pocket', cutDepth: 6 });
+            const element = addElement('hole', { toolDia: 6 }, group);
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = 'Dowel hole';
+            element.appendChild(title);
+
+            const row = cutList.collect(svg)[0].rows[0];
+            expect(row.cutType).toBe('pocket');
+            expect(row.notes).toEqual(['Dowel hole', 'cutDepth, cutType from group Holes']);
+        });
+    });
+
+    describe('CSV', () => {
+        it('should write lengths in current units and quote text fields', () => {
+            const { cutList, svg, addElement } = createCutList();
+            const element = addElement('a', { cutType: 'outside', cutDepth: 18, toolDia: 6 });
+            element.setAttribute('id', 'Side, "left"');
+
+            const lines = cutList.createCSV(cutList.collect(svg)).split('\r\n');
+            expect(lines[0]).toBe('Group,Element,Tag,Width (mm),Height (mm),Cut Type,Depth (mm),Offset (mm),Tool Diameter (mm),Tool,Notes');
+            expect(lines[1]).toBe('6mm Upcut (6.0mm) · 18.0mm deep,"Side, ""left""",rect,10.0,5.0,outside,18.0,,6.0,6mm Upcut,');
+        });
+
+        it('should separate fields with semicolons for a decimal comma', () => {
+            const { cutList, svg, addElement } = createCutList(',');
+            addElement('a', { cutType: 'outside', cutDepth: 2.5 }, svg, 12.5);
+
+            const lines = cutList.createCSV(cutList.collect(svg)).split('\r\n');
+            expect(lines[1]).toBe('No tool · 2,5mm deep;a;rect;12,5;6,25;outside;2,5;;;;');
+        });
+    });
+
+    describe('HTML', () => {
+        it('should create one table per group with a thumbnail per element', () => {
+            const { cutList, svg, addElement } = createCutList();
+            addElement('a', { cutType: 'outside', cutDepth: 18, toolDia: 6 });
+            addElement('<b>', { cutType: 'pocket', cutDepth: 3, toolDia: 3 });
+
+            const html = cutList.createHTML(cutList.collect(svg), svg, 'shelf.svg');
+            const page = new DOMParser().parseFromString(html, 'text/html');
+
+            expect(page.title).toBe('Cut List – shelf.svg');
+            expect(page.querySelectorAll('table').length).toBe(2);
+            expect(page.querySelectorAll('td.cut-list-thumbnail svg').length).toBe(2);
+            expect(page.querySelector('tbody td:nth-child(2)').textContent).toBe('<b>');
+        });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Unit Tests for CutRecipes
+ *
+ * Tests storing and ordering recipes, number key lookup, conversion into
+ * shaper attributes and the JSON export/import round trip.
+ */
+
+describe('CutRecipes', () => {
+    const measurementSystem = new MeasurementSystem();
+
+    const createRecipes = () => {
+        const metaData = new MetaData(measurementSystem);
+        metaData.setCutRecipes([]);
+        return new CutRecipes(metaData, measurementSystem);
+    };
+
+    const mmToPx = (mm) => measurementSystem.convertBetweenUnits(mm, 'mm', 'px');
+
+    const addOutsideRecipe = (recipes) => recipes.saveRecipe({
+        name: '6mm through outside',
+        unit: 'mm',
+        cutType: 'outside',
+        cutDepth: mmToPx(18).toString(),
+        cutOffset: mmToPx(0.1).toString(),
+        toolDia: mmToPx(6).toString()
+    });
+
+    const addPocketRecipe = (recipes) => recipes.saveRecipe({
+        name: '3mm pocket',
+        unit: 'mm',
+        cutType: 'pocket',
+        cutDepth: mmToPx(5).toString(),
+        cutOffset: '',
+        toolDia: mmToPx(3).toString()
+    });
+
+    describe('Storage', () => {
+        it('should assign ids and map number keys to the recipe order', () => {
+            const recipes = createRecipes();
+            const outside = addOutsideRecipe(recipes);
+            const pocket = addPocketRecipe(recipes);
+
+            expect(outside.id).not.toBe(pocket.id);
+            expect(recipes.getShortcutRecipe(1).id).toBe(outside.id);
+            expect(recipes.getShortcutRecipe(2).id).toBe(pocket.id);
+            expect(recipes.getShortcutRecipe(3)).toBeNull();
+
+            recipes.moveRecipeUp(pocket.id);
+            expect(recipes.getShortcutRecipe(1).id).toBe(pocket.id);
+        });
+
+        it('should leave values without setting out of the attributes', () => {
+            const recipes = createRecipes();
+            const attributes = ShaperUtils.getPresetAttributes(addPocketRecipe(recipes));
+
+            expect(attributes['shaper:cutType']).toBe('pocket');
+            expect(parseFloat(attributes['shaper:cutDepth'])).toBeCloseTo(mmToPx(5), 6);
+            expect(attributes['shaper:cutOffset']).toBe(undefined);
+        });
+
+        it('should summarize recipes with the decimal separator', () => {
+            const commaSystem = new MeasurementSystem();
+            commaSystem.setDecimalSeparator(',');
+            const recipes = new CutRecipes(new MetaData(commaSystem), commaSystem);
+
+            expect(recipes.formatRecipeSummary({ cutType: 'outside', cutDepth: mmToPx(18).toString(), cutOffset: mmToPx(0.1).toString() }))
+                .toBe('outside · depth 18,0mm · offset 0,1mm');
+        });
+    });
+
+    describe('JSON Export/Import', () => {
+        it('should export measurements as numbers in the recipe unit', () => {
+            const recipes = createRecipes();
+            addOutsideRecipe(recipes);
+            const data = JSON.parse(recipes.exportJSON());
+
+            expect(data.format).toBe(CutRecipes.FILE_FORMAT);
+            expect(data.recipes[0]).toEqual({
+                name: '6mm through outside', unit: 'mm', cutType: 'outside', cutDepth: 18, cutOffset: 0.1, toolDia: 6
+            });
+        });
+
+        it('should merge imported recipes by name', () => {
+            const source = createRecipes();
+            addOutsideRecipe(source);
+            addPocketRecipe(source);
+            const json = source.exportJSON();
+
+            const target = createRecipes();
+            const existing = target.saveRecipe({ name: '3MM Pocket', unit: 'mm', cutType: 'online' });
+            const result = target.importJSON(json);
+
+            expect(result).toEqual({ added: 1, updated: 1 });
+            expect(target.getRecipes().length).toBe(2);
+            expect(target.getShortcutRecipe(1).id).toBe(existing.id);
+            expect(target.getShortcutRecipe(1).cutType).toBe('pocket');
+            expect(parseFloat(target.getShortcutRecipe(2).toolDia)).toBeCloseTo(mmToPx(6), 6);
+        });
+
+        it('should reject invalid files without changing the recipes', () => {
+            const recipes = createRecipes();
+            addOutsideRecipe(recipes);
+            const invalid = JSON.stringify({
+                format: CutRecipes.FILE_FORMAT,
+                version: 1,
+                recipes: [{ name: 'Drill', unit: 'mm', cutType: 'drill' }]
+            });
+
+            expect(() => recipes.importJSON('not json')).toThrow();
+            expect(() => recipes.importJSON(invalid)).toThrow();
+            expect(() => recipes.importJSON(JSON.stringify({ recipes: [] }))).toThrow();
+            expect(recipes.getRecipes().length).toBe(1);
+        });
+    });
+});
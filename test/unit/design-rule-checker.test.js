@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for DesignRuleChecker
+ *
+ * Tests the rules on sampled outlines: open paths, narrow gaps, sharp
+ * inside corners, duplicates and the document boundary.
+ */
+
+describe('DesignRuleChecker', () => {
+    const checker = new DesignRuleChecker(new MeasurementSystem(), null);
+
+    // Sample a polygon outline with points every `step` pixels
+    const samplePolygon = (corners, step = 1) => {
+        const points = [];
+        corners.forEach((corner, i) => {
+            const next = corners[(i + 1) % corners.length];
+            const count = Math.max(1, Math.round(Math.hypot(next.x - corner.x, next.y - corner.y) / step));
+            for (let k = 0; k < count; k++) {
+                points.push({ x: corner.x + (next.x - corner.x) * k / count, y: corner.y + (next.y - corner.y) * k / count });
+            }
+        });
+        return points;
+    };
+
+    const createShape = (corners, cutType, toolDia, appId = 'a') => {
+        const points = samplePolygon(corners);
+        return { appId, cutType, toolDia, points, outline: points, closed: true, bbox: checker.getPointsBBox(points) };
+    };
+
+    const rect = (x, y, width, height) => [
+        { x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }
+    ];
+
+    // Part with a slot of the given width cut into it from the top edge
+    const slottedPart = (slotWidth) => [
+        { x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 30 }, { x: 20 + slotWidth, y: 30 },
+        { x: 20 + slotWidth, y: 0 }, { x: 60, y: 0 }, { x: 60, y: 60 }, { x: 0, y: 60 }
+    ];
+
+    describe('Open Paths', () => {
+        it('should flag sided cuts on open paths only', () => {
+            const shape = { appId: 'a', cutType: 'pocket', closed: false, points: [], bbox: {} };
+
+            expect(checker.checkOpenPath(shape)[0].message).toBe('Pocket cut on an open path');
+            expect(checker.checkOpenPath({ ...shape, cutType: 'online' })).toEqual([]);
+            expect(checker.checkOpenPath({ ...shape, closed: true })).toEqual([]);
+        });
+    });
+
+    describe('Narrow Gaps', () => {
+        it('should find a slot narrower than the tool on an outside cut', () => {
+            const gaps = checker.findNarrowGaps({ points: samplePolygon(slottedPart(4)), closed: true }, 6, false);
+
+            expect(gaps.length).toBe(1);
+            expect(gaps[0].width).toBeCloseTo(4, 6);
+        });
+
+        it('should accept a slot wider than the tool', () => {
+            expect(checker.findNarrowGaps({ points: samplePolygon(slottedPart(8)), closed: true }, 6, false)).toEqual([]);
+        });
+
+        it('should flag a pocket smaller than the tool', () => {
+            const findings = checker.checkNarrowGaps(createShape(rect(0, 0, 40, 4), 'pocket', 6));
+            expect(findings.length).toBe(1);
+            expect(findings[0].rule).toBe(DesignRuleChecker.RULES.NARROW_GAP);
+        });
+
+        it('should write lengths with the decimal separator', () => {
+            const measurementSystem = new MeasurementSystem();
+            measurementSystem.setDecimalSeparator(',');
+            const message = new DesignRuleChecker(measurementSystem, null)
+                .checkNarrowGaps(createShape(rect(0, 0, 40, 4), 'pocket', 6))[0].message;
+
+            expect(message).toContain(',');
+            expect(message.includes('.')).toBeFalsy();
+        });
+
+        it('should flag neighbouring outside cuts closer than the tool', () => {
+            const shapes = [
+                createShape(rect(0, 0, 20, 20), 'outside', 6, 'a'),
+                createShape(rect(23, 0, 20, 20), 'outside', 6, 'b'),
+                createShape(rect(60, 0, 20, 20), 'outside', 6, 'c')
+            ];
+            const findings = checker.checkGapsBetweenShapes(shapes);
+
+            expect(findings.length).toBe(1);
+            expect(findings[0].appId).toBe('b');
+            expect(findings[0].relatedAppId).toBe('a');
+        });
+    });
+
+    describe('Sharp Corners', () => {
+        it('should find the four corners of a rectangular pocket', () => {
+            const findings = checker.checkSharpCorners(createShape(rect(0, 0, 40, 30), 'pocket', 6));
+
+            expect(findings.length).toBe(1);
+            expect(findings[0].points.length).toBe(4);
+        });
+
+        it('should only count concave corners for outside cuts', () => {
+            expect(checker.checkSharpCorners(createShape(rect(0, 0, 40, 30), 'outside', 6))).toEqual([]);
+
+            const lShape = [{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 20 }, { x: 20, y: 20 }, { x: 20, y: 40 }, { x: 0, y: 40 }];
+            const corners = checker.findSharpCorners({ points: samplePolygon(lShape) }, 3, false);
+            expect(corners.length).toBe(1);
+            expect(corners[0]).toEqual({ x: 20, y: 20 });
+        });
+
+        it('should accept corners rounded to the tool radius', () => {
+            const points = [];
+            for (let i = 0; i < 200; i++) {
+                const angle = Math.PI * 2 * i / 200;
+                points.push({ x: 10 * Math.cos(angle), y: 10 * Math.sin(angle) });
+            }
+            expect(checker.findSharpCorners({ points }, 3, true)).toEqual([]);
+        });
+    });
+
+    describe('Duplicates', () => {
+        it('should detect identical geometry with a different start point', () => {
+            const first = createShape(rect(0, 0, 20, 10), null, 0, 'a');
+            const corners = rect(0, 0, 20, 10);
+            const second = createShape([...corners.slice(2), ...corners.slice(0, 2)], null, 0, 'b');
+            const third = createShape(rect(0, 0, 20, 11), null, 0, 'c');
+
+            const findings = checker.checkDuplicates([first, second, third]);
+            expect(findings.length).toBe(1);
+            expect(findings[0].appId).toBe('b');
+            expect(findings[0].relatedAppId).toBe('a');
+        });
+
+        it('should find a copy whatever tool either copy has', () => {
+            const svg = new DOMParser().parseFromString(
+                '<svg xmlns="http://www.w3.org/2000/svg"><circle data-app-id="a" cx="50" cy="50" r="40"/>' +
+                '<circle data-app-id="b" cx="50" cy="50" r="40"/></svg>', 'image/svg+xml').documentElement;
+            svg.querySelectorAll('circle').forEach(circle => {
+                circle.getTotalLength = () => 2 * Math.PI * 40;
+                circle.getPointAtLength = (length) => ({ x: 50 + 40 * Math.cos(length / 40), y: 50 + 40 * Math.sin(length / 40) });
+            });
+            const toolChecker = new DesignRuleChecker(new MeasurementSystem(), {
+                getEffectiveAttributes: element => element.dataset.appId === 'a' ? { 'shaper:toolDia': '6' } : {}
+            });
+
+            const shapes = toolChecker.collectShapes(svg);
+            expect(shapes[0].points.length).not.toBe(shapes[1].points.length);
+
+            const findings = toolChecker.checkDuplicates(shapes);
+            expect(findings.map(finding => `${finding.appId}:${finding.relatedAppId}`)).toEqual(['b:a']);
+        });
+    });
+
+    describe('Document Boundary', () => {
+        it('should flag shapes reaching beyond the document', () => {
+            const bounds = { x: 0, y: 0, width: 100, height: 100 };
+            const shapes = [
+                createShape(rect(10, 10, 20, 20), null, 0, 'inside'),
+                createShape(rect(90, 10, 20, 20), null, 0, 'partial'),
+                createShape(rect(200, 10, 20, 20), null, 0, 'outside')
+            ];
+            const findings = checker.checkDocumentBounds(shapes, bounds);
+
+            expect(findings.map(finding => finding.appId)).toEqual(['partial', 'outside']);
+            expect(findings[1].message).toBe('Lies outside the document boundary');
+        });
+
+        it('should read the document bounds from the viewBox', () => {
+            const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            svg.setAttribute('viewBox', '0 0 200 100');
+            expect(checker.getDocumentBounds(svg)).toEqual({ x: 0, y: 0, width: 200, height: 100 });
+        });
+    });
+});
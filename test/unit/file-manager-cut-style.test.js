@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for the cut style export of FileManager
+ *
+ * Tests the fill and stroke written per cut type (Cut Style Guide), cut
+ * types inherited from groups, and that elements without a cut type keep
+ * their own colours.
+ */
+
+describe('FileManager Cut Style Export', () => {
+    const SVG_SOURCE = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:shaper="http://www.shapertools.com/namespaces/shaper" width="200mm" height="100mm" viewBox="0 0 200 100">
+        <style>.red { fill: #FF0000; }</style>
+        <rect id="inside" width="10" height="10" shaper:cutType="inside"/>
+        <rect id="outside" width="10" height="10" fill="#00FF00" fill-opacity="0.5" shaper:cutType="outside"/>
+        <path id="online" d="M0 0 L10 10" stroke="#FF0000" style="stroke-opacity: 0.2" shaper:cutType="online"/>
+        <rect id="pocket" class="red" width="10" height="10" shaper:cutType="pocket"/>
+        <path id="guide" d="M0 0 L10 0" shaper:cutType="guide"/>
+        <g id="holes" shaper:cutType="pocket">
+            <circle id="hole" cx="150" cy="20" r="5"/>
+        </g>
+        <rect id="plain" class="red" width="10" height="10" stroke="#0000FF"/>
+    </svg>`;
+
+    const createEditor = (options = {}) => {
+        const editor = new BatchEditor(options);
+        editor.load(SVG_SOURCE, 'parts.svg');
+        return editor;
+    };
+
+    const byId = (editor, id) => editor.fileManager.getSVGElement().querySelector(`#${id}`);
+
+    // Inline style value as the browser normalizes it (e.g., rgb() for hex colours)
+    const styleValue = (property, value) => {
+        const probe = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        probe.style.setProperty(property, value);
+        return probe.style.getPropertyValue(property);
+    };
+
+    const paint = (element) => ({
+        fill: element.getAttribute('fill'),
+        stroke: element.getAttribute('stroke'),
+        styleFill: element.style.getPropertyValue('fill'),
+        styleStroke: element.style.getPropertyValue('stroke')
+    });
+
+    describe('Colours per Cut Type', () => {
+        it('should write the Cut Style Guide fill and stroke as attributes and inline style', () => {
+            const editor = createEditor();
+            Object.entries(ShaperConstants.CUT_STYLE_COLORS).forEach(([cutType, colors]) => {
+                const element = byId(editor, cutType);
+                editor.fileManager.applyCutStyleForExport(element);
+
+                expect(element.getAttribute('fill')).toBe(colors.fill);
+                expect(element.getAttribute('stroke')).toBe(colors.stroke);
+                expect(element.style.getPropertyValue('fill')).toBe(styleValue('fill', colors.fill));
+                expect(element.style.getPropertyValue('stroke')).toBe(styleValue('stroke', colors.stroke));
+            });
+        });
+
+        it('should remove fill and stroke opacities', () => {
+            const editor = createEditor();
+            const outside = byId(editor, 'outside');
+            const online = byId(editor, 'online');
+            editor.fileManager.applyCutStyleForExport(outside);
+            editor.fileManager.applyCutStyleForExport(online);
+
+            expect(outside.hasAttribute('fill-opacity')).toBeFalsy();
+            expect(online.style.getPropertyValue('stroke-opacity')).toBe('');
+        });
+
+        it('should use the cut type inherited from a group', () => {
+            const editor = createEditor();
+            const hole = byId(editor, 'hole');
+            editor.fileManager.applyCutStyleForExport(hole);
+
+            expect(hole.getAttribute('fill')).toBe(ShaperConstants.CUT_STYLE_COLORS.pocket.fill);
+            expect(hole.getAttribute('stroke')).toBe('none');
+        });
+    });
+
+    describe('Elements without Cut Type', () => {
+        it('should leave their colours unchanged', () => {
+            const editor = createEditor();
+            const plain = byId(editor, 'plain');
+            const before = paint(plain);
+            editor.fileManager.applyCutStyleForExport(plain);
+
+            expect(paint(plain)).toEqual(before);
+            expect(plain.getAttribute('style')).toBeNull();
+        });
+    });
+
+    describe('Export', () => {
+        it('should restyle exported elements only with the cut style option', () => {
+            const exported = (editor, id) => new DOMParser()
+                .parseFromString(editor.exportSVG(), 'image/svg+xml').getElementById(id);
+
+            expect(exported(createEditor({ cutStyle: true }), 'outside').getAttribute('fill')).toBe('#000000');
+            expect(exported(createEditor({ cutStyle: true }), 'plain').getAttribute('stroke')).toBe('#0000FF');
+            expect(exported(createEditor(), 'outside').getAttribute('fill')).toBe('#00FF00');
+        });
+    });
+});
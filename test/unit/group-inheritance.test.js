@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for group-level shaper attributes
+ *
+ * Tests that elements take the attributes of their nearest enclosing group
+ * unless they set their own, how the inheritance is reported for the layer
+ * tree, and how group attributes are read from files and exported.
+ */
+
+describe('Group Inheritance', () => {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // <svg> <g layer> <g holes> <circle hole/> </g> <rect part/> </g> </svg>
+    const createDocument = () => {
+        const elementDataMap = new Map();
+        const elementManager = new ElementManager(new MeasurementSystem(), null, elementDataMap);
+
+        const layer = document.createElementNS(SVG_NS, 'g');
+        layer.dataset.groupId = 'g-layer';
+        const holes = document.createElementNS(SVG_NS, 'g');
+        holes.dataset.groupId = 'g-holes';
+        const hole = document.createElementNS(SVG_NS, 'circle');
+        hole.dataset.appId = 'hole';
+        const part = document.createElementNS(SVG_NS, 'rect');
+        part.dataset.appId = 'part';
+        holes.appendChild(hole);
+        layer.appendChild(holes);
+        layer.appendChild(part);
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.appendChild(layer);
+
+        elementDataMap.set('g-layer', { tagName: 'g', isGroup: true, shaperAttributes: { 'shaper:cutDepth': '60', 'shaper:cutType': 'outside' } });
+        elementDataMap.set('g-holes', { tagName: 'g', isGroup: true, shaperAttributes: { 'shaper:cutType': 'pocket' } });
+        elementDataMap.set('hole', { tagName: 'circle', shaperAttributes: {} });
+        elementDataMap.set('part', { tagName: 'rect', shaperAttributes: { 'shaper:cutDepth': '30' } });
+
+        return { elementManager, elementDataMap, svg, layer, holes, hole, part };
+    };
+
+    describe('Effective Attributes', () => {
+        it('should take values from the nearest group that sets them', () => {
+            const { elementManager, hole } = createDocument();
+            expect(elementManager.getEffectiveAttributes(hole)).toEqual({
+                'shaper:cutType': 'pocket',
+                'shaper:cutDepth': '60'
+            });
+        });
+
+        it('should keep values the element sets itself', () => {
+            const { elementManager, part } = createDocument();
+            expect(elementManager.getEffectiveAttributes(part)).toEqual({
+                'shaper:cutDepth': '30',
+                'shaper:cutType': 'outside'
+            });
+        });
+
+        it('should inherit a picked tool together with the group tool diameter', () => {
+            const { elementManager, elementDataMap, hole, part } = createDocument();
+            elementDataMap.get('g-layer').shaperAttributes['shaper:toolDia'] = '24';
+            elementDataMap.get('g-layer').shaperAttributes[ShaperConstants.TOOL_ID_KEY] = 'tool-6mm';
+            elementDataMap.get('part').shaperAttributes['shaper:toolDia'] = '12';
+
+            expect(elementManager.getEffectiveAttributes(hole)[ShaperConstants.TOOL_ID_KEY]).toBe('tool-6mm');
+            expect(elementManager.getEffectiveAttributes(part)[ShaperConstants.TOOL_ID_KEY]).toBe(undefined);
+        });
+
+        it('should copy only the values an element sets itself', () => {
+            const { elementManager, elementDataMap, hole, part } = createDocument();
+            const own = elementManager.getOwnAttributes(part);
+            own['shaper:cutDepth'] = '45';
+
+            expect(elementDataMap.get('part').shaperAttributes).toEqual({ 'shaper:cutDepth': '30' });
+            expect(elementManager.getOwnAttributes(hole)).toEqual({});
+        });
+
+        it('should look up group data by group id', () => {
+            const { elementManager, holes } = createDocument();
+            expect(elementManager.getElementDimensions(holes).isGroup).toBe(true);
+            expect(elementManager.getGroupAncestors(holes).map(group => group.dataset.groupId)).toEqual(['g-layer']);
+        });
+    });
+
+    describe('Inheritance Report', () => {
+        it('should mark inherited and overridden attributes with their group', () => {
+            const { elementManager, layer, holes, hole, part } = createDocument();
+
+            const holeReport = elementManager.getAttributeInheritance(hole);
+            expect(holeReport['shaper:cutType'].state).toBe('inherited');
+            expect(holeReport['shaper:cutType'].group).toBe(holes);
+            expect(holeReport['shaper:cutDepth'].group).toBe(layer);
+
+            const partReport = elementManager.getAttributeInheritance(part);
+            expect(partReport['shaper:cutDepth'].state).toBe('overridden');
+            expect(partReport['shaper:cutType'].state).toBe('inherited');
+            expect(partReport['shaper:toolDia']).toBe(undefined);
+        });
+    });
+
+    describe('Group Attributes from the File', () => {
+        it('should read shaper attributes set on groups', () => {
+            const measurementSystem = new MeasurementSystem();
+            const svg = new DOMParser().parseFromString(
+                `<svg xmlns="${SVG_NS}" xmlns:shaper="${ShaperConstants.NAMESPACE}">` +
+                '<g data-group-id="g-layer" shaper:cutDepth="6mm" shaper:cutType="pocket">' +
+                '<rect data-app-id="part" width="10" height="10"/></g></svg>',
+                'image/svg+xml'
+            ).documentElement;
+
+            const result = measurementSystem.analyzeSVG(svg);
+            const group = result.get('g-layer');
+            expect(group.isGroup).toBe(true);
+            expect(group.shaperAttributes['shaper:cutType']).toBe('pocket');
+            expect(parseFloat(group.shaperAttributes['shaper:cutDepth'])).toBeCloseTo(measurementSystem.convertBetweenUnits(6, 'mm', 'px'), 5);
+            expect(result.get('part').shaperAttributes).toEqual({});
+        });
+    });
+
+    describe('Export', () => {
+        const createExport = (keepGroupAttributes) => {
+            const documentParts = createDocument();
+            const fileManager = new FileManager(new MeasurementSystem());
+            fileManager.setElementManager(documentParts.elementManager);
+            fileManager.masterSVGElement = documentParts.svg;
+            fileManager.setExportKeepGroupAttributes(keepGroupAttributes);
+            const exportNode = fileManager.createExportNode();
+            return {
+                layer: exportNode.querySelector('g'),
+                hole: exportNode.querySelector('circle'),
+                part: exportNode.querySelector('rect')
+            };
+        };
+
+        it('should flatten group attributes onto the elements', () => {
+            const { layer, hole, part } = createExport(false);
+            expect(hole.getAttributeNS(ShaperConstants.NAMESPACE, 'cutType')).toBe('pocket');
+            expect(part.getAttributeNS(ShaperConstants.NAMESPACE, 'cutType')).toBe('outside');
+            expect(layer.getAttributeNS(ShaperConstants.NAMESPACE, 'cutType')).toBeNull();
+            expect(layer.hasAttribute('data-group-id')).toBe(false);
+        });
+
+        it('should keep group attributes on the groups when requested', () => {
+            const { layer, hole, part } = createExport(true);
+            expect(layer.getAttributeNS(ShaperConstants.NAMESPACE, 'cutType')).toBe('outside');
+            expect(hole.getAttributeNS(ShaperConstants.NAMESPACE, 'cutType')).toBeNull();
+            expect(part.getAttributeNS(ShaperConstants.NAMESPACE, 'cutDepth')).toBeTruthy();
+            expect(part.getAttributeNS(ShaperConstants.NAMESPACE, 'cutType')).toBeNull();
+        });
+    });
+
+    describe('Saving', () => {
+        it('should keep unchanged inherited values inherited', () => {
+            const { elementManager, elementDataMap, hole } = createDocument();
+            const attributeSystem = new AttributeSystem(new MeasurementSystem(), null, elementManager);
+
+            // The dialog showed the inherited values; only the depth was changed
+            elementDataMap.get('hole').shaperAttributes = { 'shaper:cutType': 'pocket', 'shaper:cutDepth': '45' };
+            attributeSystem.keepInheritedValues(hole, {});
+
+            expect(elementDataMap.get('hole').shaperAttributes).toEqual({ 'shaper:cutDepth': '45' });
+        });
+
+        it('should keep values the element already set', () => {
+            const { elementManager, elementDataMap, hole } = createDocument();
+            const attributeSystem = new AttributeSystem(new MeasurementSystem(), null, elementManager);
+
+            elementDataMap.get('hole').shaperAttributes = { 'shaper:cutType': 'pocket' };
+            attributeSystem.keepInheritedValues(hole, { 'shaper:cutType': 'pocket' });
+
+            expect(elementDataMap.get('hole').shaperAttributes).toEqual({ 'shaper:cutType': 'pocket' });
+        });
+    });
+});
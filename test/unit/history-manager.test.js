@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for HistoryManager
+ *
+ * Tests recording, undoing and redoing attribute edits, including
+ * multi-element steps and persistence of the stacks through MetaData.
+ */
+
+describe('HistoryManager', () => {
+    let metaData;
+    let historyManager;
+
+    beforeEach(() => {
+        metaData = new MetaData(new MeasurementSystem());
+        metaData.setElementData('a', { tagName: 'path', shaperAttributes: { 'shaper:cutType': 'online' } });
+        metaData.setElementData('b', { tagName: 'rect', shaperAttributes: {} });
+        historyManager = new HistoryManager(metaData);
+    });
+
+    describe('Recording', () => {
+        it('should record a multi-element change as one step', () => {
+            historyManager.execute('Edit 2 elements', ['a', 'b'], () => {
+                metaData.getElementData('a').shaperAttributes['shaper:cutType'] = 'pocket';
+                metaData.getElementData('b').shaperAttributes['shaper:cutType'] = 'pocket';
+            });
+
+            expect(historyManager.undoStack.length).toBe(1);
+            expect(historyManager.getUndoLabel()).toBe('Edit 2 elements');
+            expect(historyManager.canRedo()).toBeFalsy();
+        });
+
+        it('should not record changes without any difference', () => {
+            const command = historyManager.execute('Edit element', ['a'], () => {});
+
+            expect(command).toBeNull();
+            expect(historyManager.canUndo()).toBeFalsy();
+        });
+
+        it('should limit the number of undo steps', () => {
+            historyManager.maxEntries = 3;
+            for (let i = 1; i <= 5; i++) {
+                historyManager.execute(`Edit ${i}`, ['a'], () => {
+                    metaData.getElementData('a').shaperAttributes['shaper:cutDepth'] = `${i}`;
+                });
+            }
+
+            expect(historyManager.undoStack.length).toBe(3);
+            expect(historyManager.undoStack[0].label).toBe('Edit 3');
+        });
+    });
+
+    describe('Undo and Redo', () => {
+        const recordBatchEdit = () => {
+            historyManager.execute('Edit 2 elements', ['a', 'b'], () => {
+                metaData.getElementData('a').shaperAttributes = { 'shaper:cutType': 'inside' };
+                metaData.getElementData('b').shaperAttributes = { 'shaper:cutDepth': '18.897638' };
+            });
+        };
+
+        it('should restore all elements of a step on undo', () => {
+            recordBatchEdit();
+            historyManager.undo();
+
+            expect(metaData.getElementData('a').shaperAttributes).toEqual({ 'shaper:cutType': 'online' });
+            expect(metaData.getElementData('b').shaperAttributes).toEqual({});
+            expect(historyManager.getRedoLabel()).toBe('Edit 2 elements');
+        });
+
+        it('should re-apply a step on redo', () => {
+            recordBatchEdit();
+            historyManager.undo();
+            historyManager.redo();
+
+            expect(metaData.getElementData('a').shaperAttributes).toEqual({ 'shaper:cutType': 'inside' });
+            expect(metaData.getElementData('b').shaperAttributes).toEqual({ 'shaper:cutDepth': '18.897638' });
+            expect(historyManager.canRedo()).toBeFalsy();
+        });
+
+        it('should discard redo steps after a new change', () => {
+            recordBatchEdit();
+            historyManager.undo();
+            historyManager.execute('Clear element', ['a'], () => {
+                metaData.getElementData('a').shaperAttributes = {};
+            });
+
+            expect(historyManager.canRedo()).toBeFalsy();
+            expect(historyManager.getUndoLabel()).toBe('Clear element');
+        });
+
+        it('should return null when there is nothing to undo or redo', () => {
+            recordBatchEdit();
+            historyManager.undo();
+
+            expect(historyManager.undo()).toBeNull();
+            historyManager.redo();
+            expect(historyManager.redo()).toBeNull();
+        });
+    });
+
+    describe('Persistence', () => {
+        it('should keep the stacks in MetaData', () => {
+            historyManager.execute('Edit element', ['a'], () => {
+                metaData.getElementData('a').shaperAttributes = {};
+            });
+
+            expect(metaData.getHistoryState().undoStack.length).toBe(1);
+        });
+
+        it('should clear the history', () => {
+            historyManager.execute('Edit element', ['a'], () => {
+                metaData.getElementData('a').shaperAttributes = {};
+            });
+            historyManager.clear();
+
+            expect(historyManager.canUndo()).toBeFalsy();
+            expect(historyManager.canRedo()).toBeFalsy();
+        });
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for LayerTreePanel
+ *
+ * Tests building the tree from groups and elements, the names shown for
+ * the nodes, attribute summaries and selecting the elements of a group.
+ */
+
+describe('LayerTreePanel', () => {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // <svg> <defs><rect/></defs> <g layer> <a><g holes> <circle hole/> </g></a> <rect part/> </g> <path loose/> </svg>
+    const createPanel = (measurementSystem = new MeasurementSystem()) => {
+        const elementDataMap = new Map();
+        const elementManager = new ElementManager(measurementSystem, null, elementDataMap);
+        const panel = new LayerTreePanel(elementManager, measurementSystem);
+
+        const create = (tagName, dataset = {}, attributes = {}) => {
+            const element = document.createElementNS(SVG_NS, tagName);
+            Object.assign(element.dataset, dataset);
+            Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+            return element;
+        };
+
+        const svg = create('svg');
+        const defs = create('defs');
+        const template = create('rect', { appId: 'template' });
+        const layer = create('g', { groupId: 'g-layer' }, { 'inkscape:label': 'Cut Layer', id: 'layer1' });
+        const link = create('a');
+        const holes = create('g', { groupId: 'g-holes' }, { id: 'holes' });
+        const hole = create('circle', { appId: 'hole' }, { 'data-name': 'Hole' });
+        const part = create('rect', { appId: 'part' }, { id: 'part' });
+        const loose = create('path', { appId: 'loose' });
+
+        defs.appendChild(template);
+        holes.appendChild(hole);
+        link.appendChild(holes);
+        layer.appendChild(link);
+        layer.appendChild(part);
+        svg.appendChild(defs);
+        svg.appendChild(layer);
+        svg.appendChild(loose);
+
+        elementDataMap.set('g-layer', { tagName: 'g', isGroup: true, shaperAttributes: { 'shaper:cutType': 'outside' } });
+        elementDataMap.set('g-holes', { tagName: 'g', isGroup: true, shaperAttributes: {} });
+        ['template', 'hole', 'part', 'loose'].forEach(appId => {
+            elementDataMap.set(appId, { tagName: 'path', shaperAttributes: {} });
+        });
+
+        panel.panel = document.createElement('div');
+        panel.treeList = document.createElement('div');
+        panel.summaryText = document.createElement('span');
+        panel.attach(svg);
+        panel.open();
+
+        return { panel, elementManager, elementDataMap, svg, layer, holes, hole, part, loose };
+    };
+
+    const rowNames = (panel) => Array.from(panel.treeList.querySelectorAll('.layer-tree-name'))
+        .map(name => name.textContent);
+
+    describe('Tree Structure', () => {
+        it('should list groups and elements, passing through links and skipping defs', () => {
+            const { panel, svg, layer, holes, hole, part, loose } = createPanel();
+
+            expect(panel.getTreeChildren(svg)).toEqual([layer, loose]);
+            expect(panel.getTreeChildren(layer)).toEqual([holes, part]);
+            expect(panel.getTreeChildren(holes)).toEqual([hole]);
+        });
+
+        it('should render nested rows and count the groups', () => {
+            const { panel } = createPanel();
+
+            expect(panel.treeList.querySelectorAll('.layer-tree-group').length).toBe(2);
+            expect(panel.treeList.querySelectorAll('.layer-tree-element').length).toBe(3);
+            expect(panel.summaryText.textContent).toBe('2 groups');
+        });
+
+        it('should hide the rows of collapsed groups', () => {
+            const { panel } = createPanel();
+            panel.collapsedGroups.add('g-layer');
+            panel.refresh();
+
+            expect(panel.treeList.querySelectorAll('.layer-tree-row').length).toBe(2);
+        });
+    });
+
+    describe('Node Names', () => {
+        it('should name nodes by inkscape:label, data-name or id', () => {
+            const { panel } = createPanel();
+
+            expect(rowNames(panel)).toEqual(['Cut Layer', 'holes', 'Hole', 'part', '<path>']);
+        });
+    });
+
+    describe('Attribute Summaries', () => {
+        it('should show group values and write lengths with the decimal separator', () => {
+            const measurementSystem = new MeasurementSystem();
+            measurementSystem.setDecimalSeparator(',');
+            const { panel, elementDataMap } = createPanel(measurementSystem);
+            elementDataMap.get('g-layer').shaperAttributes['shaper:cutDepth'] = measurementSystem.convertBetweenUnits(6.5, 'mm', 'px').toString();
+
+            expect(panel.formatAttributes(elementDataMap.get('g-layer').shaperAttributes)).toBe('depth 6,5mm · outside');
+        });
+    });
+
+    describe('Selection', () => {
+        it('should select all elements of a group on a click', () => {
+            const { panel, elementManager, hole, part } = createPanel();
+            panel.treeList.querySelector('.layer-tree-group').click();
+
+            expect(Array.from(elementManager.getSelectedPaths())).toEqual([hole, part]);
+        });
+
+        it('should add to the selection with Shift', () => {
+            const { panel, elementManager, hole, loose } = createPanel();
+            panel.selectElements([loose], false);
+            panel.treeList.querySelectorAll('.layer-tree-group')[1].dispatchEvent(new MouseEvent('click', { shiftKey: true }));
+
+            expect(Array.from(elementManager.getSelectedPaths())).toEqual([loose, hole]);
+        });
+
+        it('should replace the selection without Shift', () => {
+            const { panel, elementManager, holes, hole, loose } = createPanel();
+            panel.selectElements([loose], false);
+            panel.selectElements(panel.getGroupElements(holes), false);
+
+            expect(Array.from(elementManager.getSelectedPaths())).toEqual([hole]);
+        });
+    });
+});
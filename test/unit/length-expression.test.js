@@ -0,0 +1,85 @@
+/**
+ * Unit Tests for LengthExpression
+ *
+ * Tests arithmetic in measurement inputs: mixed units, fractions, operator
+ * precedence, error messages and the fallback in parseValueWithUnits.
+ */
+
+describe('LengthExpression', () => {
+    const measurementSystem = new MeasurementSystem();
+    const lengthExpression = new LengthExpression(measurementSystem);
+
+    describe('Evaluation', () => {
+        it('should evaluate the documented examples', () => {
+            expect(lengthExpression.evaluate('3/4in - 1/16in', 'in')).toBe(0.6875);
+            expect(lengthExpression.evaluate('18mm + 0.5', 'mm')).toBeCloseTo(18.5, 9);
+            expect(lengthExpression.evaluate('2*3.175', 'mm')).toBeCloseTo(6.35, 9);
+            expect(lengthExpression.evaluate('6mm/2', 'mm')).toBeCloseTo(3, 9);
+        });
+
+        it('should convert mixed units to the target unit', () => {
+            expect(lengthExpression.evaluate('1in + 4.6mm', 'mm')).toBeCloseTo(30, 9);
+            expect(lengthExpression.evaluate('3/4in - 1/16in', 'mm')).toBeCloseTo(17.4625, 9);
+            expect(lengthExpression.evaluate('1cm + 250thou', 'in')).toBeCloseTo(0.643700787, 6);
+            expect(lengthExpression.evaluate('18mm + 0.5', 'in')).toBeCloseTo(1.208661417, 6);
+        });
+
+        it('should respect precedence, parentheses and signs', () => {
+            expect(lengthExpression.evaluate('2 + 3 * 4', 'mm')).toBe(14);
+            expect(lengthExpression.evaluate('(2 + 3) * 4', 'mm')).toBe(20);
+            expect(lengthExpression.evaluate('-(6mm - 2mm) / 2', 'mm')).toBeCloseTo(-2, 9);
+            expect(lengthExpression.evaluate('10 - 2 - 3', 'mm')).toBe(5);
+        });
+
+        it('should read fractions, mixed numbers and comma decimals', () => {
+            expect(lengthExpression.evaluate('1 3/16 + 1/16', 'in')).toBe(1.25);
+            expect(lengthExpression.evaluate('1-3/16in * 2', 'in')).toBe(2.375);
+            expect(lengthExpression.evaluate('1 - 3/16', 'in')).toBe(0.8125);
+            expect(lengthExpression.evaluate('2,5 + 0,5', 'mm')).toBe(3);
+        });
+
+        it('should treat a length divided by a length as ratio', () => {
+            expect(lengthExpression.evaluate('10mm * (1in / 25.4mm)', 'mm')).toBeCloseTo(10, 9);
+        });
+    });
+
+    describe('Errors', () => {
+        it('should report syntax errors', () => {
+            expect(() => lengthExpression.evaluate('', 'mm')).toThrow('Enter a value');
+            expect(() => lengthExpression.evaluate('18mm +', 'mm')).toThrow('ends too early');
+            expect(() => lengthExpression.evaluate('(2 + 3', 'mm')).toThrow('Missing ")"');
+            expect(() => lengthExpression.evaluate('2 3', 'mm')).toThrow('Unexpected "3"');
+            expect(() => lengthExpression.evaluate('2 % 3', 'mm')).toThrow('Unexpected "%"');
+        });
+
+        it('should report invalid arithmetic and units', () => {
+            expect(() => lengthExpression.evaluate('6mm / 0', 'mm')).toThrow('Division by zero');
+            expect(() => lengthExpression.evaluate('1/0in', 'in')).toThrow('Division by zero');
+            expect(() => lengthExpression.evaluate('2mm * 3mm', 'mm')).toThrow('multiply two lengths');
+            expect(() => lengthExpression.evaluate('2 / 3mm', 'mm')).toThrow('divide by a length');
+            expect(() => lengthExpression.evaluate('2ft', 'mm')).toThrow('Unknown unit "ft"');
+        });
+
+        it('should reject units in plain numbers', () => {
+            expect(lengthExpression.evaluate('150 * 2', null)).toBe(300);
+            expect(() => lengthExpression.evaluate('150mm', null)).toThrow('without unit');
+        });
+    });
+
+    describe('MeasurementSystem Integration', () => {
+        it('should evaluate expressions in parseValueWithUnits', () => {
+            measurementSystem.setUnitMode('mm');
+            expect(measurementSystem.parseValueWithUnits('18mm + 0.5')).toBeCloseTo(18.5, 9);
+            expect(measurementSystem.parseValueWithUnits('1/4in + 1/4in', 'in')).toBe(0.5);
+            expect(measurementSystem.parseValueWithUnits('18mm +')).toBeNull();
+        });
+
+        it('should use current units for evaluateExpression by default', () => {
+            measurementSystem.setUnitMode('in/64');
+            expect(measurementSystem.evaluateExpression('3/4 - 1/16')).toBe(0.6875);
+            measurementSystem.setUnitMode('mm');
+            expect(measurementSystem.evaluateExpression('1in / 2')).toBeCloseTo(12.7, 9);
+            expect(() => measurementSystem.evaluateNumber('100%')).toThrow('Unexpected "%"');
+        });
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for MachiningEstimator
+ *
+ * Tests passes from depth and depth per pass, tool center path lengths of
+ * profile cuts and pockets, tool settings with fallbacks, totals per tool
+ * and the duration format.
+ */
+
+describe('MachiningEstimator', () => {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const measurementSystem = new MeasurementSystem();
+    const mmToPx = (mm) => measurementSystem.convertBetweenUnits(mm, 'mm', 'px');
+    const pxToMm = (px) => measurementSystem.convertBetweenUnits(px, 'px', 'mm');
+
+    // 100 x 100mm square and a 50mm open line
+    const SQUARE = { lengthPx: mmToPx(400), perimeterPx: mmToPx(400), areaPx: mmToPx(100) * mmToPx(100) };
+    const LINE = { lengthPx: mmToPx(50), perimeterPx: null, areaPx: null };
+
+    const createEstimator = () => {
+        const metaData = new MetaData(measurementSystem);
+        metaData.setToolLibrary(null);
+        const toolLibrary = new ToolLibrary(metaData, measurementSystem);
+        const elementDataMap = new Map();
+        const elementManager = new ElementManager(measurementSystem, null, elementDataMap);
+        const estimator = new MachiningEstimator(measurementSystem, elementManager, toolLibrary);
+
+        // Attributes in mm, stored as pixel strings like the element data
+        const addElement = (appId, metrics, attributes) => {
+            const element = document.createElementNS(SVG_NS, 'path');
+            element.dataset.appId = appId;
+            const shaperAttributes = {};
+            Object.entries(attributes).forEach(([name, value]) => {
+                shaperAttributes[`shaper:${name}`] = name === 'cutType' ? value : mmToPx(value).toString();
+            });
+            elementDataMap.set(appId, { tagName: 'path', metrics, shaperAttributes });
+            return element;
+        };
+
+        return { estimator, toolLibrary, addElement };
+    };
+
+    describe('Passes', () => {
+        it('should divide the depth by the depth per pass of the tool', () => {
+            const { estimator, addElement } = createEstimator();
+            const item = estimator.estimateElement(addElement('a', SQUARE, { cutType: 'outside', cutDepth: 9, toolDia: 6 }));
+
+            expect(item.tool.label).toBe('6mm Upcut');
+            expect(item.passes).toBe(3);
+        });
+
+        it('should need no extra pass for depths of whole passes', () => {
+            const { estimator, addElement } = createEstimator();
+            expect(estimator.estimateElement(addElement('a', SQUARE, { cutType: 'outside', cutDepth: 6, toolDia: 6 })).passes).toBe(2);
+            expect(estimator.estimateElement(addElement('b', SQUARE, { cutType: 'outside', cutDepth: 6.1, toolDia: 6 })).passes).toBe(3);
+        });
+
+        it('should count cuts without depth without passes or time', () => {
+            const { estimator, addElement } = createEstimator();
+            const estimate = estimator.estimate([
+                addElement('a', SQUARE, { cutType: 'outside', toolDia: 6 }),
+                addElement('b', SQUARE, { cutType: 'outside', cutDepth: 3, toolDia: 6 })
+            ]);
+
+            expect(estimate.items[0].passes).toBe(0);
+            expect(estimate.items[0].minutes).toBe(0);
+            expect(estimate.missingDepth).toBe(1);
+            expect(estimate.total.passes).toBe(1);
+        });
+
+        it('should skip guides and elements without cut type', () => {
+            const { estimator, addElement } = createEstimator();
+            const estimate = estimator.estimate([
+                addElement('a', SQUARE, { cutType: 'guide', cutDepth: 3 }),
+                addElement('b', SQUARE, { cutDepth: 3 })
+            ]);
+
+            expect(estimate.items.length).toBe(0);
+            expect(estimate.total.minutes).toBe(0);
+        });
+    });
+
+    describe('Pass Length and Time', () => {
+        it('should follow the tool center outside and inside the outline', () => {
+            const { estimator, addElement } = createEstimator();
+            const outside = estimator.estimateElement(addElement('a', SQUARE, { cutType: 'outside', cutDepth: 9, toolDia: 6 }));
+            const inside = estimator.estimateElement(addElement('b', SQUARE, { cutType: 'inside', cutDepth: 9, toolDia: 6, cutOffset: 1 }));
+
+            expect(pxToMm(outside.passLengthPx)).toBeCloseTo(400 + 2 * Math.PI * 3, 6);
+            expect(pxToMm(inside.passLengthPx)).toBeCloseTo(400 - 2 * Math.PI * 4, 6);
+            expect(outside.minutes).toBeCloseTo(3 * (400 + 2 * Math.PI * 3) / 1200, 6);
+        });
+
+        it('should cut open paths along the path', () => {
+            const { estimator, addElement } = createEstimator();
+            const item = estimator.estimateElement(addElement('a', LINE, { cutType: 'outside', cutDepth: 3, toolDia: 6 }));
+
+            expect(pxToMm(item.passLengthPx)).toBeCloseTo(50, 6);
+        });
+
+        it('should estimate pockets from area and step-over', () => {
+            const { estimator, addElement } = createEstimator();
+            const item = estimator.estimateElement(addElement('a', SQUARE, { cutType: 'pocket', cutDepth: 3, toolDia: 6 }));
+
+            // 40% step-over of 6mm, plus the wall at the tool radius
+            expect(pxToMm(item.passLengthPx)).toBeCloseTo(10000 / 2.4 + 400 - 2 * Math.PI * 3, 6);
+        });
+    });
+
+    describe('Tool Settings', () => {
+        it('should use the settings of the tool picked from the library', () => {
+            const { estimator, toolLibrary, addElement } = createEstimator();
+            const tool = toolLibrary.saveTool({
+                name: 'Slow 6mm', unit: 'mm', diameter: mmToPx(6).toString(),
+                depthPerPass: mmToPx(1).toString(), feedRate: mmToPx(600).toString(), stepOver: '50'
+            });
+            const element = addElement('a', SQUARE, { cutType: 'outside', cutDepth: 3, toolDia: 6 });
+            estimator.elementManager.getElementDimensions(element).shaperAttributes[ShaperConstants.TOOL_ID_KEY] = tool.id;
+
+            const item = estimator.estimateElement(element);
+            expect(item.tool.label).toBe('Slow 6mm');
+            expect(item.passes).toBe(3);
+            expect(pxToMm(item.tool.feedRatePx)).toBeCloseTo(600, 6);
+        });
+
+        it('should fall back to default settings for unknown diameters', () => {
+            const { estimator, addElement } = createEstimator();
+            const item = estimator.estimateElement(addElement('a', SQUARE, { cutType: 'online', cutDepth: 6, toolDia: 5 }));
+
+            expect(item.tool.label).toBe('5.0mm tool');
+            expect(item.passes).toBe(3);
+            expect(pxToMm(item.tool.feedRatePx)).toBeCloseTo(ShaperConstants.MACHINING_DEFAULTS.feedRateMm, 6);
+        });
+
+        it('should label tool diameters with the decimal separator', () => {
+            const { estimator, addElement } = createEstimator();
+            const separator = measurementSystem.getDecimalSeparator();
+            measurementSystem.setDecimalSeparator(',');
+            const item = estimator.estimateElement(addElement('a', SQUARE, { cutType: 'online', cutDepth: 6, toolDia: 5.5 }));
+            measurementSystem.setDecimalSeparator(separator);
+
+            expect(item.tool.label).toBe('5,5mm tool');
+        });
+
+        it('should assume the default tool without tool diameter', () => {
+            const { estimator, addElement } = createEstimator();
+            const item = estimator.estimateElement(addElement('a', SQUARE, { cutType: 'online', cutDepth: 6 }));
+
+            expect(item.tool.key).toBe('default');
+            expect(pxToMm(item.tool.diameterPx)).toBeCloseTo(6.35, 6);
+        });
+
+        it('should sum estimates per tool', () => {
+            const { estimator, addElement } = createEstimator();
+            const estimate = estimator.estimate([
+                addElement('a', SQUARE, { cutType: 'outside', cutDepth: 9, toolDia: 6 }),
+                addElement('b', LINE, { cutType: 'online', cutDepth: 3, toolDia: 6 }),
+                addElement('c', LINE, { cutType: 'online', cutDepth: 1, toolDia: 3 })
+            ]);
+
+            expect(estimate.tools.map(tool => `${tool.label}: ${tool.count}/${tool.passes}`)).toEqual(['6mm Upcut: 2/4', '3mm Upcut: 1/1']);
+            expect(estimate.total.count).toBe(3);
+            expect(estimate.total.minutes).toBeCloseTo(estimate.tools[0].minutes + estimate.tools[1].minutes, 9);
+        });
+    });
+
+    describe('Duration Format', () => {
+        it('should format seconds, minutes and hours', () => {
+            const { estimator } = createEstimator();
+
+            expect(estimator.formatDuration(0.75)).toBe('45 s');
+            expect(estimator.formatDuration(4 + 5 / 60)).toBe('4 min 5 s');
+            expect(estimator.formatDuration(12)).toBe('12 min');
+            expect(estimator.formatDuration(72.2)).toBe('1 h 12 min');
+            expect(estimator.formatDuration(120)).toBe('2 h');
+        });
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit Tests for MarqueeSelection
+ *
+ * Tests the rectangle tests against element outlines (fully inside and
+ * touching) and how the marquee result replaces, extends or reduces the
+ * selection.
+ */
+
+describe('MarqueeSelection', () => {
+    const createSelectionStub = (selected = []) => {
+        const selectedPaths = new Set(selected);
+        return {
+            getSelectedPaths: () => selectedPaths,
+            clearSelection: () => selectedPaths.clear(),
+            selectPath: (path) => selectedPaths.add(path),
+            deselectPath: (path) => selectedPaths.delete(path)
+        };
+    };
+
+    const createMarquee = (elementManager = createSelectionStub()) =>
+        new MarqueeSelection(new MeasurementSystem(), elementManager, null);
+
+    const rect = { x: 10, y: 10, width: 20, height: 20 };
+    const square = (x, y, size) => [
+        { x: x, y: y }, { x: x + size, y: y }, { x: x + size, y: y + size }, { x: x, y: y + size }
+    ];
+
+    describe('Geometry', () => {
+        it('should find outlines fully inside the rectangle', () => {
+            const marquee = createMarquee();
+            expect(marquee.containsPoints(rect, square(12, 12, 5))).toBe(true);
+            expect(marquee.containsPoints(rect, square(10, 10, 20))).toBe(true);
+            expect(marquee.containsPoints(rect, square(25, 25, 10))).toBe(false);
+        });
+
+        it('should find outlines passing through the rectangle', () => {
+            const marquee = createMarquee();
+            // Corner overlap, segment crossing without a point inside, enclosing outline
+            expect(marquee.touchesOutline(rect, square(25, 25, 10), true)).toBe(true);
+            expect(marquee.touchesOutline(rect, [{ x: 0, y: 20 }, { x: 40, y: 20 }], false)).toBe(true);
+            expect(marquee.touchesOutline(rect, square(0, 0, 50), true)).toBe(false);
+            expect(marquee.touchesOutline(rect, square(40, 40, 5), true)).toBe(false);
+        });
+
+        it('should only close outlines that are closed', () => {
+            const marquee = createMarquee();
+            // Open U-shape around the rectangle; only the closing segment crosses it
+            const points = [{ x: 0, y: 20 }, { x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 20 }];
+            expect(marquee.touchesOutline(rect, points, false)).toBe(false);
+            expect(marquee.touchesOutline(rect, points, true)).toBe(true);
+        });
+    });
+
+    describe('Selection', () => {
+        it('should replace, add to and subtract from the selection', () => {
+            const [a, b, c] = ['a', 'b', 'c'];
+            const elementManager = createSelectionStub([a]);
+            const marquee = createMarquee(elementManager);
+
+            marquee.applySelection([b], 'add');
+            expect([...elementManager.getSelectedPaths()]).toEqual([a, b]);
+
+            marquee.applySelection([a, c], 'subtract');
+            expect([...elementManager.getSelectedPaths()]).toEqual([b]);
+
+            marquee.applySelection([c], 'replace');
+            expect([...elementManager.getSelectedPaths()]).toEqual([c]);
+        });
+    });
+});
@@ -259,6 +259,82 @@ describe('MeasurementSystem', () => {
         });
     });
 
+    describe('Unit Modes', () => {
+        it('should format fractional inches rounded to the denominator', () => {
+            measurementSystem.setDecimalSeparator('.');
+            measurementSystem.setUnitMode('in/64');
+            expect(measurementSystem.formatDisplayNumber(1.1875)).toBe('1 3/16');
+            expect(measurementSystem.formatDisplayNumber(0.1875)).toBe('3/16');
+            expect(measurementSystem.formatDisplayNumber(-1.5)).toBe('-1 1/2');
+            expect(measurementSystem.formatDisplayNumber(2)).toBe('2');
+            expect(measurementSystem.formatDisplayNumber(0.0001)).toBe('0');
+            expect(measurementSystem.formatWithUnits(0.25)).toBe('1/4in');
+
+            measurementSystem.setUnitMode('in/16');
+            expect(measurementSystem.formatDisplayNumber(0.236)).toBe('1/4');
+        });
+
+        it('should keep decimals for decimal inches and export values', () => {
+            measurementSystem.setDecimalSeparator('.');
+            measurementSystem.setUnitMode('in');
+            expect(measurementSystem.isFractionalInches()).toBe(false);
+            expect(measurementSystem.formatDisplayNumber(1.1875)).toBe('1.188');
+
+            measurementSystem.setUnitMode('in/32');
+            expect(measurementSystem.formatDecimalNumber(1.1875)).toBe('1.188');
+        });
+
+        it('should parse fractions and mixed numbers', () => {
+            measurementSystem.setUnitMode('in/64');
+            expect(measurementSystem.parseValueWithUnits('3/16')).toBe(0.1875);
+            expect(measurementSystem.parseValueWithUnits('1 3/16')).toBe(1.1875);
+            expect(measurementSystem.parseValueWithUnits('1-3/16')).toBe(1.1875);
+            expect(measurementSystem.parseValueWithUnits('-1 3/16in')).toBe(-1.1875);
+            expect(measurementSystem.parseValueWithUnits('1 3/16"')).toBe(1.1875);
+            expect(measurementSystem.parseValueWithUnits('1/0')).toBeNull();
+            expect(measurementSystem.parseValueWithUnits('1 3/')).toBeNull();
+        });
+
+        it('should parse unit suffixes into current units', () => {
+            measurementSystem.setUnitMode('mm');
+            expect(measurementSystem.parseValueWithUnits('2.5cm')).toBeCloseTo(25, 6);
+            expect(measurementSystem.parseValueWithUnits('1 1/2in')).toBeCloseTo(38.1, 6);
+            expect(measurementSystem.parseValueWithUnits('1 inch')).toBeCloseTo(25.4, 6);
+            expect(measurementSystem.parseValueWithUnits('1000thou')).toBeCloseTo(25.4, 6);
+            expect(measurementSystem.parseValueWithUnits('10 mils')).toBeCloseTo(0.254, 6);
+
+            measurementSystem.setUnitMode('thou');
+            expect(measurementSystem.parseValueWithUnits('1/4in')).toBeCloseTo(250, 6);
+            expect(measurementSystem.parseValueWithUnits('1/4', 'in')).toBe(0.25);
+        });
+
+        it('should convert between cm, thou and other units', () => {
+            expect(measurementSystem.convertBetweenUnits(1, 'cm', 'mm')).toBeCloseTo(10, 6);
+            expect(measurementSystem.convertBetweenUnits(2.54, 'cm', 'in')).toBeCloseTo(1, 6);
+            expect(measurementSystem.convertBetweenUnits(250, 'thou', 'in')).toBeCloseTo(0.25, 6);
+            expect(measurementSystem.convertBetweenUnits(96, 'px', 'thou')).toBeCloseTo(1000, 6);
+        });
+
+        it('should map unit modes to units and unit systems', () => {
+            measurementSystem.setUnitMode('in/64');
+            expect(measurementSystem.getUnits()).toBe('in');
+            expect(measurementSystem.getFractionDenominator()).toBe(64);
+            expect(measurementSystem.getUnitMode()).toBe('in/64');
+            expect(measurementSystem.getUnitSystem()).toBe('in');
+
+            measurementSystem.setUnitMode('cm');
+            expect(measurementSystem.getFractionDenominator()).toBe(0);
+            expect(measurementSystem.getUnitSystem()).toBe('mm');
+
+            measurementSystem.setUnitMode('thou');
+            expect(measurementSystem.getUnitSystem()).toBe('in');
+            expect(measurementSystem.getExportUnit()).toBe('in');
+
+            measurementSystem.setUnitMode('in/3');
+            expect(measurementSystem.getUnitMode()).toBe('in');
+        });
+    });
+
     describe('Path Closure Detection', () => {
         let testContainer;
 
@@ -331,6 +407,31 @@ describe('MeasurementSystem', () => {
             expect(result instanceof Map).toBeTruthy();
             expect(result.size).toBe(0);
         });
+
+        it('should measure all elements from one clone', () => {
+            const svg = TestUtils.createTestSVG();
+            for (let i = 0; i < 600; i++) {
+                const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                rect.setAttribute('width', '10');
+                rect.setAttribute('height', '10');
+                rect.dataset.appId = `app-id-${i}`;
+                svg.appendChild(rect);
+            }
+
+            let clones = 0;
+            const cloneNode = svg.cloneNode;
+            svg.cloneNode = function (deep) {
+                clones++;
+                return cloneNode.call(this, deep);
+            };
+            const bodyChildren = document.body.children.length;
+            const result = measurementSystem.analyzeSVG(svg);
+
+            expect(result.size).toBe(600);
+            expect(result.get('app-id-599').tagName).toBe('rect');
+            expect(clones).toBe(1);
+            expect(document.body.children.length).toBe(bodyChildren);
+        });
     });
 
     describe('Unit Detection', () => {
@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for the open documents (tabs) in MetaData
+ *
+ * Tests that every document keeps its own element data, history and
+ * viewport while switching, closing documents and storing them (one
+ * localStorage key per document, quota handling, viewport key).
+ */
+
+describe('MetaData Documents', () => {
+    const createMetaData = () => new MetaData(new MeasurementSystem());
+
+    const openDocument = (metaData, fileName, appId, cutType) => {
+        metaData.addDocument(fileName);
+        metaData.setCurrentFileName(fileName);
+        metaData.setOriginalSVG(`<svg xmlns="http://www.w3.org/2000/svg"><rect data-app-id="${appId}"/></svg>`);
+        metaData.setElementData(appId, { tagName: 'rect', shaperAttributes: { 'shaper:cutType': cutType } });
+    };
+
+    describe('Switching', () => {
+        it('should keep element data, history and viewport per document', () => {
+            const metaData = createMetaData();
+            openDocument(metaData, 'a.svg', 'a1', 'pocket');
+            metaData.setHistoryState([{ label: 'Edit element' }], []);
+            metaData.setViewportState(2, 10, 20);
+            const firstId = metaData.getActiveDocumentId();
+
+            openDocument(metaData, 'b.svg', 'b1', 'online');
+            expect(metaData.getElementData('a1')).toBeFalsy();
+            expect(metaData.getHistoryState().undoStack.length).toBe(0);
+            expect(metaData.getViewportState().zoom).toBe(1);
+
+            metaData.switchDocument(firstId);
+            expect(metaData.getCurrentFileName()).toBe('a.svg');
+            expect(metaData.getOriginalSVG()).toContain('a1');
+            expect(metaData.getElementData('a1').shaperAttributes['shaper:cutType']).toBe('pocket');
+            expect(metaData.getElementData('b1')).toBeFalsy();
+            expect(metaData.getHistoryState().undoStack[0].label).toBe('Edit element');
+            expect(metaData.getViewportState()).toEqual({ zoom: 2, panX: 10, panY: 20 });
+        });
+
+        it('should refill the element data map in place', () => {
+            const metaData = createMetaData();
+            const elementDataMap = metaData.getElementDataMap();
+            openDocument(metaData, 'a.svg', 'a1', 'pocket');
+            const firstId = metaData.getActiveDocumentId();
+            openDocument(metaData, 'b.svg', 'b1', 'online');
+
+            metaData.switchDocument(firstId);
+            expect(metaData.getElementDataMap()).toBe(elementDataMap);
+            expect(elementDataMap.has('a1')).toBeTruthy();
+        });
+
+        it('should list the documents in tab order', () => {
+            const metaData = createMetaData();
+            openDocument(metaData, 'a.svg', 'a1', 'pocket');
+            openDocument(metaData, 'b.svg', 'b1', 'online');
+
+            expect(metaData.getDocuments().map(entry => entry.fileName)).toEqual(['a.svg', 'b.svg']);
+        });
+    });
+
+    describe('Closing', () => {
+        it('should activate the neighbour of a closed active document', () => {
+            const metaData = createMetaData();
+            openDocument(metaData, 'a.svg', 'a1', 'pocket');
+            openDocument(metaData, 'b.svg', 'b1', 'online');
+            const [firstId, secondId] = metaData.getDocuments().map(entry => entry.id);
+
+            expect(metaData.closeDocument(secondId)).toBe(firstId);
+            expect(metaData.getCurrentFileName()).toBe('a.svg');
+            expect(metaData.getElementData('a1')).toBeTruthy();
+
+            expect(metaData.closeDocument(firstId)).toBeNull();
+            expect(metaData.getDocuments().length).toBe(0);
+            expect(metaData.getOriginalSVG()).toBeNull();
+            expect(metaData.getElementDataMap().size).toBe(0);
+        });
+    });
+
+    describe('Storage', () => {
+        it('should restore a stored document', () => {
+            const metaData = createMetaData();
+            openDocument(metaData, 'a.svg', 'a1', 'pocket');
+            metaData.setViewportState(3, 5, 6);
+            const firstId = metaData.getActiveDocumentId();
+            openDocument(metaData, 'b.svg', 'b1', 'online');
+
+            const stored = JSON.parse(JSON.stringify(metaData.serializeDocument(metaData.documents[0])));
+            const restored = metaData.deserializeDocument(stored);
+
+            expect(restored.id).toBe(firstId);
+            expect(restored.fileName).toBe('a.svg');
+            expect(restored.elementDataMap.get('a1').shaperAttributes['shaper:cutType']).toBe('pocket');
+            expect(restored.viewport).toEqual({ zoom: 3, panX: 5, panY: 6 });
+        });
+
+        it('should store every document under its own key and restore all tabs', () => {
+            localStorage.clear();
+            const metaData = createMetaData();
+            openDocument(metaData, 'a.svg', 'a1', 'pocket');
+            const firstId = metaData.getActiveDocumentId();
+            openDocument(metaData, 'b.svg', 'b1', 'online');
+            const secondId = metaData.getActiveDocumentId();
+            metaData.forceSave();
+
+            expect(JSON.parse(localStorage.getItem(MetaData.STORAGE_KEY)).documentIds).toEqual([firstId, secondId]);
+            expect(localStorage.getItem(MetaData.DOCUMENT_STORAGE_PREFIX + firstId)).toContain('a1');
+            expect(localStorage.getItem(MetaData.DOCUMENT_STORAGE_PREFIX + secondId)).toContain('b1');
+
+            const restored = createMetaData();
+            expect(restored.getDocuments().map(entry => entry.fileName)).toEqual(['a.svg', 'b.svg']);
+            expect(restored.getActiveDocumentId()).toBe(secondId);
+            expect(restored.getElementData('b1').shaperAttributes['shaper:cutType']).toBe('online');
+
+            restored.closeDocument(firstId);
+            restored.forceSave();
+            expect(localStorage.getItem(MetaData.DOCUMENT_STORAGE_PREFIX + firstId)).toBeNull();
+            localStorage.clear();
+        });
+
+        it('should keep the active document and tell once when storage is full', () => {
+            localStorage.clear();
+            const metaData = createMetaData();
+            openDocument(metaData, 'a.svg', 'a1', 'pocket');
+            const firstId = metaData.getActiveDocumentId();
+            openDocument(metaData, 'b.svg', 'b1', 'online');
+            const secondId = metaData.getActiveDocumentId();
+
+            const reports = [];
+            metaData.onStorageFull = (fileNames) => reports.push(fileNames);
+            const setItem = Storage.prototype.setItem;
+            Storage.prototype.setItem = function (key, value) {
+                if (key === MetaData.DOCUMENT_STORAGE_PREFIX + firstId) {
+                    throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+                }
+                return setItem.call(this, key, value);
+            };
+            try {
+                metaData.forceSave();
+                metaData.forceSave();
+            } finally {
+                Storage.prototype.setItem = setItem;
+            }
+
+            expect(reports).toEqual([['a.svg']]);
+            expect(localStorage.getItem(MetaData.DOCUMENT_STORAGE_PREFIX + secondId)).toContain('b1');
+            expect(createMetaData().getDocuments().map(entry => entry.fileName)).toEqual(['b.svg']);
+            localStorage.clear();
+        });
+
+        it('should save pan and zoom under their own key', () => {
+            localStorage.clear();
+            const metaData = createMetaData();
+            openDocument(metaData, 'a.svg', 'a1', 'pocket');
+            metaData.forceSave();
+            const settings = localStorage.getItem(MetaData.STORAGE_KEY);
+            const storedDocument = localStorage.getItem(MetaData.DOCUMENT_STORAGE_PREFIX + metaData.getActiveDocumentId());
+
+            metaData.setViewportState(2, 30, 40);
+            expect(localStorage.getItem(MetaData.STORAGE_KEY)).toBe(settings);
+            expect(localStorage.getItem(MetaData.DOCUMENT_STORAGE_PREFIX + metaData.getActiveDocumentId())).toBe(storedDocument);
+            expect(createMetaData().getViewportState()).toEqual({ zoom: 2, panX: 30, panY: 40 });
+            localStorage.clear();
+        });
+    });
+});
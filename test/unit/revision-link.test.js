@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for RevisionLink
+ *
+ * Tests pairing the elements of an old plan with a new design revision:
+ * unchanged, moved and reshaped elements, identical shapes, ambiguous
+ * candidates, groups by name and the attribute proposals.
+ */
+
+describe('RevisionLink', () => {
+    const revisionLink = new RevisionLink(null, null);
+
+    // Rectangle print; circles are squares with their own area
+    const rect = (appId, x, y, width, height, attributes = {}) => ({
+        appId, isGroup: false, tagName: 'rect', name: appId, description: appId,
+        x, y, width, height,
+        lengthPx: 2 * (width + height), areaPx: width * height, attributes
+    });
+    const circle = (appId, cx, cy, r, attributes = {}) => ({
+        appId, isGroup: false, tagName: 'circle', name: appId, description: appId,
+        x: cx - r, y: cy - r, width: 2 * r, height: 2 * r,
+        lengthPx: 2 * Math.PI * r, areaPx: Math.PI * r * r, attributes
+    });
+    const group = (appId, name, attributes = {}) => ({ appId, isGroup: true, tagName: 'g', name, description: `Group ${name}`, attributes });
+
+    const OUTSIDE = { 'shaper:cutType': 'outside', 'shaper:cutDepth': '68' };
+    const POCKET = { 'shaper:cutType': 'pocket', 'shaper:cutDepth': '23' };
+    const ONLINE = { 'shaper:cutType': 'online', 'shaper:cutDepth': '4' };
+
+    const pairs = (result) => result.matches.map(match => `${match.oldPrint.appId}>${match.newPrint.appId}:${match.kind}`);
+
+    describe('Pairing', () => {
+        it('should pair unchanged and moved elements', () => {
+            const result = revisionLink.match(
+                [rect('panel', 0, 0, 400, 200, OUTSIDE), circle('hole', 50, 50, 10, POCKET)],
+                [rect('panel2', 0, 0, 400, 200), circle('hole2', 80, 50, 10)]
+            );
+
+            expect(pairs(result)).toEqual(['panel>panel2:unchanged', 'hole>hole2:moved']);
+            expect(result.added.length + result.removed.length + result.ambiguous.length).toBe(0);
+        });
+
+        it('should pair a resized element at the same center', () => {
+            const result = revisionLink.match(
+                [circle('hole', 50, 50, 10, POCKET)],
+                [circle('hole2', 50, 50, 12)]
+            );
+
+            expect(pairs(result)).toEqual(['hole>hole2:reshaped']);
+        });
+
+        it('should pair identical shapes with the same attributes by distance', () => {
+            const result = revisionLink.match(
+                [circle('a', 50, 50, 10, POCKET), circle('b', 150, 50, 10, POCKET), circle('c', 250, 50, 10, POCKET)],
+                [circle('a2', 50, 50, 10), circle('b2', 150, 80, 10), circle('c2', 250, 80, 10)]
+            );
+
+            expect(pairs(result)).toEqual(['a>a2:unchanged', 'b>b2:moved', 'c>c2:moved']);
+        });
+
+        it('should list added and removed elements', () => {
+            const result = revisionLink.match(
+                [rect('panel', 0, 0, 400, 200, OUTSIDE), rect('slot', 10, 10, 5, 80, ONLINE)],
+                [rect('panel2', 0, 0, 400, 200), circle('hole', 50, 50, 10)]
+            );
+
+            expect(result.added.map(print => print.appId)).toEqual(['hole']);
+            expect(result.removed.map(print => print.appId)).toEqual(['slot']);
+        });
+    });
+
+    describe('Ambiguity', () => {
+        it('should leave identical shapes with different attributes for review', () => {
+            const result = revisionLink.match(
+                [circle('a', 50, 50, 10, POCKET), circle('b', 150, 50, 10, ONLINE)],
+                [circle('a2', 60, 80, 10), circle('b2', 140, 80, 10)]
+            );
+
+            expect(result.matches.length).toBe(0);
+            expect(result.ambiguous.map(entry => entry.newPrint.appId)).toEqual(['a2', 'b2']);
+            expect(result.ambiguous[0].candidates.map(print => print.appId)).toEqual(['a', 'b']);
+            expect(result.removed.length).toBe(0);
+        });
+
+        it('should not guess which of two new copies is the old element', () => {
+            const result = revisionLink.match(
+                [circle('a', 50, 50, 10, POCKET)],
+                [circle('a2', 80, 50, 10), circle('a3', 120, 50, 10)]
+            );
+
+            expect(result.matches.length).toBe(0);
+            expect(result.ambiguous.length).toBe(2);
+        });
+
+        it('should still pair an unchanged element next to a new copy', () => {
+            const result = revisionLink.match(
+                [circle('a', 50, 50, 10, POCKET)],
+                [circle('a2', 50, 50, 10), circle('a3', 120, 50, 10)]
+            );
+
+            expect(pairs(result)).toEqual(['a>a2:unchanged']);
+            expect(result.added.map(print => print.appId)).toEqual(['a3']);
+        });
+    });
+
+    describe('Groups and Proposals', () => {
+        it('should pair groups by unique name', () => {
+            const result = revisionLink.match(
+                [group('g1', 'Holes', POCKET), group('g2', 'Frame', OUTSIDE), group('g3', 'Text')],
+                [group('n1', 'Holes'), group('n2', 'Text')]
+            );
+
+            expect(pairs(result)).toEqual(['g1>n1:unchanged', 'g3>n2:unchanged']);
+            expect(result.removed.map(print => print.name)).toEqual(['Frame']);
+        });
+
+        it('should propose the old attributes for pairs with attributes', () => {
+            const result = revisionLink.match(
+                [rect('panel', 0, 0, 400, 200, OUTSIDE), rect('guide', 0, 300, 10, 10), group('g1', 'Holes', POCKET)],
+                [rect('panel2', 0, 0, 400, 200), rect('guide2', 0, 300, 10, 10), group('n1', 'Holes')]
+            );
+
+            expect(revisionLink.createProposals(result)).toEqual([
+                { appId: 'panel2', attributes: OUTSIDE },
+                { appId: 'n1', attributes: POCKET }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for SelectionQuery
+ *
+ * Tests parsing of filter expressions, their evaluation against element
+ * data, error messages for invalid queries and the "Select similar" query.
+ */
+
+describe('SelectionQuery', () => {
+    const measurementSystem = new MeasurementSystem();
+    const selectionQuery = new SelectionQuery(measurementSystem);
+
+    const mmToPx = (mm) => measurementSystem.convertBetweenUnits(mm, 'mm', 'px');
+
+    const createElement = (tagName, attributes = {}) => {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tagName);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    };
+
+    const circle = createElement('circle', { cx: '10', cy: '10', r: '5' });
+    const circleData = {
+        tagName: 'circle', isCircle: true, widthPx: mmToPx(6), heightPx: mmToPx(6),
+        diameterPx: mmToPx(6), radiusPx: mmToPx(3),
+        shaperAttributes: { 'shaper:cutType': 'pocket', 'shaper:cutDepth': mmToPx(15).toString() }
+    };
+
+    const rect = createElement('rect', { id: 'slot', x: '0', y: '0', width: '20', height: '10' });
+    const rectData = { tagName: 'rect', widthPx: mmToPx(8), heightPx: mmToPx(4), shaperAttributes: {} };
+
+    const matches = (query, element, data) => selectionQuery.compile(query)(element, data);
+
+    describe('Evaluation', () => {
+        it('should evaluate the documented examples', () => {
+            measurementSystem.setUnits('mm');
+            expect(matches('closed && width < 10mm && !cutType', rect, rectData)).toBe(true);
+            expect(matches('closed && width < 10mm && !cutType', circle, circleData)).toBe(false);
+            expect(matches('tag == circle && diameter == 6mm', circle, circleData)).toBe(true);
+            expect(matches('cutDepth > 12mm', circle, circleData)).toBe(true);
+            expect(matches('cutDepth > 12mm', rect, rectData)).toBe(false);
+        });
+
+        it('should support or, parentheses, keywords and text values', () => {
+            expect(matches('(cutType == "pocket" || id == slot) and not circle', rect, rectData)).toBe(true);
+            expect(matches('cutType == Pocket', circle, circleData)).toBe(true);
+            expect(matches('cutType != pocket', circle, circleData)).toBe(false);
+        });
+
+        it('should read plain numbers in the current unit and compare other units', () => {
+            measurementSystem.setUnits('mm');
+            expect(matches('diameter == 6', circle, circleData)).toBe(true);
+            expect(matches('diameter < 0.25in', circle, circleData)).toBe(true);
+            expect(matches('diameter <= 5,999', circle, circleData)).toBe(false);
+            expect(matches('diameter >= 6.0004mm', circle, circleData)).toBe(true);
+        });
+    });
+
+    describe('Errors', () => {
+        it('should reject invalid queries with a message', () => {
+            expect(() => selectionQuery.compile('')).toThrow();
+            expect(() => selectionQuery.compile('depth > 3mm')).toThrow('Unknown field');
+            expect(() => selectionQuery.compile('width < circle')).toThrow('needs a length');
+            expect(() => selectionQuery.compile('width < 3ft')).toThrow('Unknown unit');
+            expect(() => selectionQuery.compile('(closed && circle')).toThrow('Missing');
+            expect(() => selectionQuery.compile('tag > circle')).toThrow();
+        });
+    });
+
+    describe('Select Similar', () => {
+        it('should build a query matching the element itself', () => {
+            measurementSystem.setUnits('mm');
+            const circleQuery = selectionQuery.buildSimilarQuery(circle, circleData);
+            const rectQuery = selectionQuery.buildSimilarQuery(rect, rectData);
+
+            expect(circleQuery).toBe('tag == circle && diameter == 6mm && cutType == pocket');
+            expect(rectQuery).toBe('tag == rect && width == 8mm && height == 4mm && !cutType');
+            expect(matches(circleQuery, circle, circleData)).toBe(true);
+            expect(matches(rectQuery, rect, rectData)).toBe(true);
+            expect(matches(rectQuery, circle, circleData)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for ShapeMetrics
+ *
+ * Tests path length, area, perimeter and centroid on point lists and basic
+ * shapes, holes in compound outlines, transforms and the tooltip measurements.
+ */
+
+describe('ShapeMetrics', () => {
+    const measurementSystem = new MeasurementSystem();
+    const shapeMetrics = new ShapeMetrics(measurementSystem);
+
+    const createShape = (tagName, attributes) => {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tagName);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    };
+
+    const square = (x, y, size) => [
+        { x, y }, { x: x + size, y }, { x: x + size, y: y + size }, { x, y: y + size }
+    ];
+
+    describe('Point Lists', () => {
+        it('should measure a closed polygon', () => {
+            const metrics = shapeMetrics.measurePolyline(square(10, 20, 30), true);
+
+            expect(metrics.length).toBe(120);
+            expect(Math.abs(metrics.area)).toBe(900);
+            expect(metrics.centroid.x).toBeCloseTo(25, 9);
+            expect(metrics.centroid.y).toBeCloseTo(35, 9);
+        });
+
+        it('should balance open polylines on the middle of their length', () => {
+            const metrics = shapeMetrics.measurePolyline([{ x: 0, y: 0 }, { x: 30, y: 0 }, { x: 30, y: 10 }], false);
+
+            expect(metrics.length).toBe(40);
+            expect(metrics.area).toBe(0);
+            expect(metrics.centroid.x).toBeCloseTo(18.75, 9);
+            expect(metrics.centroid.y).toBeCloseTo(1.25, 9);
+        });
+
+        it('should subtract holes whatever their direction', () => {
+            const outer = { points: square(0, 0, 100), length: null };
+            const sameDirection = { points: square(60, 20, 20), length: null };
+            const reversed = { points: square(60, 20, 20).reverse(), length: null };
+
+            [sameDirection, reversed].forEach(hole => {
+                const metrics = shapeMetrics.measureOutlines([outer, hole], true);
+                expect(metrics.areaPx).toBe(9600);
+                expect(metrics.perimeterPx).toBe(480);
+                expect(metrics.centroid.x).toBeCloseTo((10000 * 50 - 400 * 70) / 9600, 9);
+                expect(metrics.centroid.y).toBeCloseTo((10000 * 50 - 400 * 30) / 9600, 9);
+            });
+        });
+
+        it('should add separate islands', () => {
+            const metrics = shapeMetrics.measureOutlines([
+                { points: square(0, 0, 10), length: null },
+                { points: square(20, 0, 10), length: null }
+            ], true);
+
+            expect(metrics.areaPx).toBe(200);
+            expect(metrics.centroid.x).toBeCloseTo(15, 9);
+        });
+
+        it('should prefer exact outline lengths over the sampled polyline', () => {
+            const metrics = shapeMetrics.measureOutlines([{ points: square(0, 0, 10), length: 42 }], true);
+
+            expect(metrics.lengthPx).toBe(42);
+            expect(metrics.areaPx).toBe(100);
+        });
+    });
+
+    describe('Shapes', () => {
+        it('should measure rectangles and polygons exactly', () => {
+            const rect = shapeMetrics.measure(createShape('rect', { x: 10, y: 10, width: 40, height: 20 }), null);
+            expect(rect.lengthPx).toBe(120);
+            expect(rect.areaPx).toBe(800);
+            expect(rect.centroid).toEqual({ x: 30, y: 20 });
+
+            const triangle = shapeMetrics.measure(createShape('polygon', { points: '0,0 30,0 0,30' }), null);
+            expect(triangle.areaPx).toBe(450);
+            expect(triangle.centroid.x).toBeCloseTo(10, 9);
+            expect(triangle.centroid.y).toBeCloseTo(10, 9);
+        });
+
+        it('should measure circles and ellipses with closed formulas', () => {
+            const circle = shapeMetrics.measure(createShape('circle', { cx: 50, cy: 40, r: 10 }), null);
+            expect(circle.lengthPx).toBeCloseTo(20 * Math.PI, 9);
+            expect(circle.areaPx).toBeCloseTo(100 * Math.PI, 9);
+            expect(circle.centroid).toEqual({ x: 50, y: 40 });
+
+            const ellipse = shapeMetrics.measure(createShape('ellipse', { cx: 0, cy: 0, rx: 20, ry: 10 }), null);
+            expect(ellipse.areaPx).toBeCloseTo(200 * Math.PI, 9);
+            expect(ellipse.perimeterPx).toBeCloseTo(96.88448, 4);
+        });
+
+        it('should report no area or perimeter for open shapes', () => {
+            const line = shapeMetrics.measure(createShape('line', { x1: 0, y1: 0, x2: 30, y2: 40 }), null);
+            expect(line.lengthPx).toBe(50);
+            expect(line.areaPx).toBeNull();
+            expect(line.perimeterPx).toBeNull();
+            expect(line.centroid).toEqual({ x: 15, y: 20 });
+
+            const polyline = shapeMetrics.measure(createShape('polyline', { points: '0,0 10,0 10,10' }), null);
+            expect(polyline.lengthPx).toBe(20);
+            expect(polyline.areaPx).toBeNull();
+        });
+
+        it('should give centroids from the document corner', () => {
+            const svg = createShape('svg', { viewBox: '-50 -50 100 100' });
+            const rect = createShape('rect', { x: -10, y: -10, width: 20, height: 20 });
+            svg.appendChild(rect);
+
+            expect(shapeMetrics.measure(rect, svg).centroid).toEqual({ x: 50, y: 50 });
+        });
+
+        it('should ignore empty shapes and text', () => {
+            expect(shapeMetrics.measure(createShape('rect', { width: 0, height: 10 }), null)).toBeNull();
+            expect(shapeMetrics.measure(createShape('text', {}), null)).toBeNull();
+        });
+    });
+
+    describe('Transforms', () => {
+        it('should scale lengths only under uniform scaling', () => {
+            expect(shapeMetrics.getLengthScale(null)).toBe(1);
+            expect(shapeMetrics.getLengthScale({ a: 0, b: 2, c: -2, d: 0, e: 5, f: 5 })).toBeCloseTo(2, 9);
+            expect(shapeMetrics.getLengthScale({ a: 2, b: 0, c: 0, d: 1, e: 0, f: 0 })).toBeNull();
+        });
+
+        it('should find the ellipse axes of a scaled circle', () => {
+            const [major, minor] = shapeMetrics.getSingularValues(3 * 10, 0, 0, 2 * 10);
+            expect(major).toBeCloseTo(30, 9);
+            expect(minor).toBeCloseTo(20, 9);
+            expect(shapeMetrics.getEllipsePerimeter(10, 10)).toBeCloseTo(20 * Math.PI, 9);
+        });
+    });
+
+    describe('Element Measurements', () => {
+        it('should add length, perimeter, area and centroid in current units', () => {
+            const svg = createShape('svg', { viewBox: '0 0 200 200' });
+            const rect = createShape('rect', { x: 0, y: 0, width: 96, height: 48 });
+            rect.dataset.appId = 'app-id-1';
+            svg.appendChild(rect);
+
+            const elementDataMap = new Map([['app-id-1', { tagName: 'rect', widthPx: 96, heightPx: 48, shaperAttributes: {} }]]);
+            const elementManager = new ElementManager(measurementSystem, null, elementDataMap);
+            measurementSystem.setUnitMode('in');
+
+            const measurements = elementManager.getElementMeasurements(rect);
+            const value = (name) => measurements.find(measurement => measurement.name === name).value;
+            expect(value('Path Length')).toBe('3.0in');
+            expect(value('Perimeter')).toBe('3.0in');
+            expect(value('Area')).toBe('0.5in²');
+            expect(value('Centroid')).toBe('0.5in, 0.25in');
+            expect(elementDataMap.get('app-id-1').metrics.areaPx).toBe(4608);
+
+            measurementSystem.setUnitMode('mm');
+        });
+
+        it('should total the selection', () => {
+            const svg = createShape('svg', { viewBox: '0 0 200 200' });
+            const elementDataMap = new Map();
+            const elementManager = new ElementManager(measurementSystem, null, elementDataMap);
+            [
+                createShape('rect', { x: 0, y: 0, width: 10, height: 10 }),
+                createShape('line', { x1: 0, y1: 0, x2: 0, y2: 25 })
+            ].forEach((element, i) => {
+                element.dataset.appId = `app-id-${i}`;
+                svg.appendChild(element);
+                elementDataMap.set(`app-id-${i}`, { tagName: element.tagName, shaperAttributes: {} });
+                elementManager.selectPath(element, true);
+            });
+
+            expect(elementManager.getSelectionMetrics()).toEqual({ count: 2, lengthPx: 65, areaPx: 100 });
+        });
+    });
+});
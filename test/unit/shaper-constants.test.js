@@ -154,6 +154,15 @@ describe('ShaperUtils', () => {
         });
     });
 
+    describe('Preset Attributes', () => {
+        it('should convert set values and leave empty ones out', () => {
+            const attributes = ShaperUtils.getPresetAttributes({ cutType: 'outside', cutDepth: '68.03', cutOffset: '', toolDia: null });
+
+            expect(attributes).toEqual({ 'shaper:cutType': 'outside', 'shaper:cutDepth': '68.03' });
+            expect(ShaperUtils.getPresetAttributes({ toolDia: 22.68 })).toEqual({ 'shaper:toolDia': '22.68' });
+        });
+    });
+
     describe('Raw Attribute Management', () => {
         it('should set raw attribute for valid positive values', () => {
             ShaperUtils.setRawAttribute(testElement1, 'cutDepth', 15);
@@ -379,6 +388,30 @@ describe('ShaperUtils', () => {
             const errors = ShaperUtils.validateAllAttributes(attributes);
             expect(errors).toEqual([]);
         });
+
+        it('should flag cut depths deeper than the material thickness', () => {
+            const limits = { materialThickness: 18, unit: 'mm' };
+
+            expect(ShaperUtils.validateAttributeValue('18', 'cutDepth', limits)).toEqual([]);
+            expect(ShaperUtils.validateAttributeValue('19', 'cutDepth', limits))
+                .toEqual(['Cut depth exceeds material thickness of 18mm']);
+        });
+
+        it('should allow cutting into the spoilboard allowance', () => {
+            const limits = { materialThickness: 18, spoilboardAllowance: 0.5, unit: 'mm' };
+
+            expect(ShaperUtils.validateAttributeValue('18.5', 'cutDepth', limits)).toEqual([]);
+            expect(ShaperUtils.validateAttributeValue('19', 'cutDepth', limits))
+                .toEqual(['Cut depth exceeds material thickness of 18mm plus 0.5mm spoilboard allowance']);
+        });
+
+        it('should flag cut depths deeper than the tool cutting length', () => {
+            const limits = { toolCuttingLength: 22, unit: 'mm' };
+
+            expect(ShaperUtils.validateAttributeValue('22', 'cutDepth', limits)).toEqual([]);
+            expect(ShaperUtils.validateAllAttributes({ cutDepth: '25', toolDia: '6' }, limits))
+                .toEqual(['Cut depth exceeds the tool\'s cutting length of 22mm']);
+        });
     });
 
     describe('Boundary Outline Creation', () => {
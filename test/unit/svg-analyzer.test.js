@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for SVGAnalyzer and precomputed geometry
+ *
+ * Tests the DOM-free analysis of SVG source (element order, transforms,
+ * non-rendered content, progress) and MeasurementSystem.analyzeSVG() using
+ * its results instead of measuring a clone.
+ */
+
+describe('SVGAnalyzer', () => {
+    const analyzer = new SVGAnalyzer();
+
+    const parseMaster = (svgString) => {
+        const doc = new DOMParser().parseFromString(svgString, 'image/svg+xml');
+        const fileManager = new FileManager(new MeasurementSystem());
+        return fileManager._addAppIds(doc.documentElement);
+    };
+
+    describe('Source Reading', () => {
+        it('should list elements in the order the DOM selects them', () => {
+            const svgString = `<?xml version="1.0"?>
+                <!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+                    <!-- <rect width="1" height="1"/> -->
+                    <g><circle r="5"/><g><line x2="10"/></g></g>
+                    <path d="M0 0 L5 5"/>
+                    <text x="0" y="10">A <tspan>&amp; B</tspan></text>
+                    <polygon points="0,0 5,0 5,5"/>
+                </svg>`;
+
+            const geometry = analyzer.analyze(svgString);
+            const elements = Array.from(parseMaster(svgString).querySelectorAll(ShaperConstants.ELEMENT_SELECTORS));
+
+            expect(geometry.length).toBe(elements.length);
+            geometry.forEach((entry, index) => {
+                if (entry) expect(entry.tagName).toBe(elements[index].localName);
+            });
+            expect(geometry[3]).toBeNull();
+            expect(geometry[4]).toBeNull();
+        });
+
+        it('should decode entities and keep prefixed attributes', () => {
+            const root = analyzer.findRoot(analyzer.parseDocument(
+                '<svg xmlns:shaper="http://www.shapertools.com/namespaces/shaper"><path d="M0&#32;0 L10 10" shaper:cutDepth=\'3mm\'/></svg>'));
+
+            expect(root.children[0].attributes.d).toBe('M0 0 L10 10');
+            expect(root.children[0].attributes['shaper:cutDepth']).toBe('3mm');
+        });
+
+        it('should throw for sources without an svg element', () => {
+            expect(() => analyzer.analyze('<html><body></body></html>')).toThrow('Invalid SVG file');
+        });
+    });
+
+    describe('Element Geometry', () => {
+        it('should size elements in root user units through group transforms', () => {
+            const geometry = analyzer.analyze(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200">
+                <g transform="scale(2)"><rect x="10" y="10" width="20" height="10"/></g>
+                <g transform="rotate(90)"><rect width="20" height="10"/></g>
+            </svg>`);
+
+            expect(geometry[0].widthPx).toBeCloseTo(40, 6);
+            expect(geometry[0].heightPx).toBeCloseTo(20, 6);
+            expect(geometry[1].widthPx).toBeCloseTo(10, 6);
+            expect(geometry[1].heightPx).toBeCloseTo(20, 6);
+        });
+
+        it('should map nested svg viewports', () => {
+            const geometry = analyzer.analyze(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200">
+                <svg x="10" y="10" width="100" height="100" viewBox="0 0 10 10"><circle cx="5" cy="5" r="5"/></svg>
+            </svg>`);
+
+            expect(geometry[0].widthPx).toBeCloseTo(100, 6);
+            expect(geometry[0].heightPx).toBeCloseTo(100, 6);
+        });
+
+        it('should measure non-rendered and hidden elements as zero', () => {
+            const geometry = analyzer.analyze(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+                <defs><rect width="10" height="10"/></defs>
+                <g style="display: none"><circle r="5"/></g>
+                <rect width="10" height="10" display="none"/>
+            </svg>`);
+
+            geometry.forEach(entry => {
+                expect(entry.widthPx).toBe(0);
+                expect(entry.heightPx).toBe(0);
+            });
+        });
+
+        it('should detect closed shapes', () => {
+            const geometry = analyzer.analyze(`<svg xmlns="http://www.w3.org/2000/svg">
+                <path d="M0 0 L10 0 L10 10 L0 0"/><path d="M0 0 L10 0"/><rect width="5" height="5"/><polyline points="0,0 5,5"/>
+            </svg>`);
+
+            expect(geometry.map(entry => entry.isClosed)).toEqual([true, false, true, false]);
+        });
+
+        it('should report progress while analyzing', () => {
+            const paths = Array.from({ length: 600 }, (_, i) => `<path d="M${i} 0 h1"/>`).join('');
+            const reports = [];
+
+            analyzer.analyze(`<svg xmlns="http://www.w3.org/2000/svg">${paths}</svg>`,
+                (analyzed, total) => reports.push(`${analyzed}/${total}`));
+
+            expect(reports).toEqual(['250/600', '500/600', '600/600']);
+        });
+    });
+
+    describe('Precomputed Geometry in analyzeSVG', () => {
+        const svgString = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+            <rect width="20" height="10" shaper:cutDepth="3mm" xmlns:shaper="http://www.shapertools.com/namespaces/shaper"/>
+            <path d="M0 0 L10 0 L10 10 Z"/>
+        </svg>`;
+
+        it('should use the geometry without creating a measurement clone', () => {
+            const measurementSystem = new MeasurementSystem();
+            const master = parseMaster(svgString);
+            const bodyChildren = document.body.children.length;
+            let cloneCreated = false;
+            measurementSystem.createMeasurementClone = () => {
+                cloneCreated = true;
+                return null;
+            };
+
+            const elementDataMap = measurementSystem.analyzeSVG(master, analyzer.analyze(svgString));
+            const rectData = elementDataMap.get(master.querySelector('rect').dataset.appId);
+            const pathData = elementDataMap.get(master.querySelector('path').dataset.appId);
+
+            expect(cloneCreated).toBe(false);
+            expect(document.body.children.length).toBe(bodyChildren);
+            expect(rectData.widthPx).toBe(20);
+            expect(rectData.heightPx).toBe(10);
+            expect(rectData.shaperAttributes['shaper:cutDepth']).toBeTruthy();
+            expect(pathData.isClosed).toBe(true);
+        });
+
+        it('should measure everything when the geometry does not match', () => {
+            const measurementSystem = new MeasurementSystem();
+            const master = parseMaster(svgString);
+            const mismatched = analyzer.analyze(svgString).reverse();
+
+            const elementDataMap = measurementSystem.analyzeSVG(master, mismatched);
+            const rectData = elementDataMap.get(master.querySelector('rect').dataset.appId);
+
+            expect(rectData.isClosed).toBeUndefined();
+        });
+    });
+});
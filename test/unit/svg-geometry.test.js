@@ -0,0 +1,124 @@
+/**
+ * Unit Tests for SVGGeometry
+ *
+ * Tests path data parsing, transform lists, layout-free bounding boxes and
+ * closure detection against values the browser reports for the same shapes.
+ */
+
+describe('SVGGeometry', () => {
+    const geometry = new SVGGeometry();
+
+    const expectBox = (box, x, y, width, height) => {
+        expect(box.x).toBeCloseTo(x, 6);
+        expect(box.y).toBeCloseTo(y, 6);
+        expect(box.width).toBeCloseTo(width, 6);
+        expect(box.height).toBeCloseTo(height, 6);
+    };
+
+    describe('Path Data', () => {
+        it('should resolve relative commands and implicit repeats', () => {
+            const commands = geometry.parsePathData('m10 10 5 0 0 5h-5v-5z');
+
+            expect(commands.map(command => command.type).join('')).toBe('MLLLLZ');
+            expect(commands[1].x).toBe(15);
+            expect(commands[2].y).toBe(15);
+            expect(commands[3].x).toBe(10);
+            expect(commands[4].y).toBe(10);
+        });
+
+        it('should read compact arc flags and numbers without separators', () => {
+            const commands = geometry.parsePathData('M0 0a5 5 0 1110-.5.5.5 0 01.5.5');
+
+            expect(commands.length).toBe(3);
+            expect(commands[1].largeArc).toBe(true);
+            expect(commands[1].sweep).toBe(true);
+            expect(commands[1].x).toBe(10);
+            expect(commands[1].y).toBe(-0.5);
+            expect(commands[2].x).toBe(10.5);
+            expect(commands[2].y).toBe(0);
+        });
+
+        it('should reflect control points of S and T', () => {
+            const commands = geometry.parsePathData('M0 0 C0 10 10 10 10 0 S20 -10 20 0 Q25 5 30 0 T40 0');
+
+            expect(commands[2].x1).toBe(10);
+            expect(commands[2].y1).toBe(-10);
+            expect(commands[4].x1).toBe(35);
+            expect(commands[4].y1).toBe(-5);
+        });
+
+        it('should stop at the first error like rendering does', () => {
+            const commands = geometry.parsePathData('M0 0 L10 10 L20 x L30 30');
+
+            expect(commands.length).toBe(2);
+        });
+    });
+
+    describe('Bounding Boxes', () => {
+        it('should use curve extrema instead of control points', () => {
+            const box = geometry.getShapeBBox('path', { d: 'M0 0 C0 40 40 40 40 0' });
+
+            expectBox(box, 0, 0, 40, 30);
+        });
+
+        it('should bound arcs by their extreme angles', () => {
+            // Upper half of a circle of radius 10 around (10, 0)
+            const box = geometry.getShapeBBox('path', { d: 'M0 0 A10 10 0 0 1 20 0' });
+
+            expectBox(box, 0, -10, 20, 10);
+        });
+
+        it('should scale arc radii that are too small', () => {
+            const box = geometry.getShapeBBox('path', { d: 'M0 0 A1 1 0 0 1 20 0' });
+
+            expectBox(box, 0, -10, 20, 10);
+        });
+
+        it('should ignore a trailing moveto', () => {
+            const box = geometry.getShapeBBox('path', { d: 'M0 0 L10 10 M100 100' });
+
+            expectBox(box, 0, 0, 10, 10);
+        });
+
+        it('should measure basic shapes with units and percentages', () => {
+            expectBox(geometry.getShapeBBox('rect', { x: '1in', y: '0', width: '10mm', height: '50%' }, { width: 200, height: 100 }),
+                96, 0, 96 / 2.54, 50);
+            expectBox(geometry.getShapeBBox('circle', { cx: '5', cy: '5', r: '5' }), 0, 0, 10, 10);
+            expectBox(geometry.getShapeBBox('polygon', { points: '0,0 30,0 15,20' }), 0, 0, 30, 20);
+            expect(geometry.getShapeBBox('rect', { width: '10', height: '0' })).toBeNull();
+        });
+
+        it('should box transformed corners like getBoundingClientRect()', () => {
+            const matrix = geometry.parseTransform('rotate(90 10 10) scale(2)');
+            const box = geometry.transformBBox({ x: 0, y: 0, width: 10, height: 5 }, matrix);
+
+            expectBox(box, 10, 0, 10, 20);
+        });
+    });
+
+    describe('Transforms', () => {
+        it('should multiply transform lists left to right', () => {
+            const matrix = geometry.parseTransform('translate(10, 20) scale(2 3)');
+
+            expect(matrix.a).toBe(2);
+            expect(matrix.d).toBe(3);
+            expect(matrix.e).toBe(10);
+            expect(matrix.f).toBe(20);
+        });
+
+        it('should return identity for missing or invalid transforms', () => {
+            expect(geometry.parseTransform(null)).toEqual(SVGGeometry.IDENTITY);
+            expect(geometry.parseTransform('skew(10)')).toEqual(SVGGeometry.IDENTITY);
+        });
+    });
+
+    describe('Closure', () => {
+        it('should detect closing Z commands and matching end points', () => {
+            expect(geometry.isPathClosed('M0 0 L10 0 L10 10 Z')).toBeTruthy();
+            expect(geometry.isPathClosed('M0 0 L10 0 L10 10 L0 0.005')).toBeTruthy();
+            expect(geometry.isPathClosed('M0 0 L10 0 L10 10')).toBeFalsy();
+            expect(geometry.isPathClosed('M0 0')).toBeFalsy();
+            expect(geometry.isPathClosed('')).toBeFalsy();
+        });
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit Tests for FontParser and TextConverter
+ *
+ * Tests reading the bundled font, text layout (white space, position lists,
+ * text-anchor, styles) and the replacement of text elements by paths.
+ */
+
+describe('FontParser', () => {
+    const font = new FontParser(BundledFonts.getFontData());
+
+    it('should read metrics and the character map of the bundled font', () => {
+        expect(font.unitsPerEm).toBe(2000);
+        expect(font.getGlyphIndex('A'.codePointAt(0))).toBeGreaterThan(0);
+        expect(font.getGlyphIndex(0x4E00)).toBe(0);
+        expect(font.getAdvanceWidth(font.getGlyphIndex('A'.codePointAt(0)))).toBeGreaterThan(0);
+    });
+
+    it('should read pair kerning', () => {
+        const a = font.getGlyphIndex('A'.codePointAt(0));
+        const v = font.getGlyphIndex('V'.codePointAt(0));
+        expect(font.getKerning(a, v)).toBeLessThan(0);
+        expect(font.getKerning(a, a)).toBe(0);
+    });
+
+    it('should build outlines of simple and composite glyphs', () => {
+        const countContours = (character) => font.getGlyphCommands(font.getGlyphIndex(character.codePointAt(0)))
+            .filter(command => command.type === 'M').length;
+
+        expect(countContours('o')).toBe(2);
+        expect(countContours('é')).toBe(3);
+        expect(font.getGlyphCommands(font.getGlyphIndex(32))).toEqual([]);
+    });
+
+    it('should insert implied on-curve points between off-curve points', () => {
+        const commands = font.contourToCommands([
+            { x: 0, y: 0, onCurve: true },
+            { x: 10, y: 0, onCurve: false },
+            { x: 10, y: 10, onCurve: false }
+        ]);
+
+        expect(commands.map(command => command.type).join('')).toBe('MQQZ');
+        expect(commands[1].x).toBe(10);
+        expect(commands[1].y).toBe(5);
+    });
+});
+
+describe('TextConverter', () => {
+    const converter = new TextConverter();
+
+    const parseSVG = (content) => new DOMParser().parseFromString(
+        `<svg xmlns="http://www.w3.org/2000/svg">${content}</svg>`, 'image/svg+xml').documentElement;
+
+    const layout = (svg, attributedAppIds = new Set()) => {
+        const text = svg.querySelector('text');
+        const characters = converter.collectCharacters(text, DRYUtilities.parseClassStyles(svg), attributedAppIds);
+        characters.forEach(character => {
+            character.font = converter.getFallbackFont();
+        });
+        return converter.layoutCharacters(characters);
+    };
+
+    describe('Layout', () => {
+        it('should collapse white space', () => {
+            const svg = parseSVG('<text>  Hello \n  <tspan>World</tspan>  </text>');
+            const characters = converter.collectCharacters(svg.querySelector('text'), new Map(), new Set());
+
+            expect(characters.map(character => character.character).join('')).toBe('Hello World');
+        });
+
+        it('should apply position lists with inner elements overriding outer ones', () => {
+            const glyphs = layout(parseSVG('<text x="10 20" y="30">ab<tspan x="50" dy="5">cd</tspan></text>'));
+
+            expect(glyphs.map(glyph => glyph.x).slice(0, 3)).toEqual([10, 20, 50]);
+            expect(glyphs.map(glyph => glyph.y)).toEqual([30, 30, 35, 35]);
+        });
+
+        it('should align text chunks by text-anchor', () => {
+            const start = layout(parseSVG('<text x="100" font-size="20">Cut</text>'));
+            const middle = layout(parseSVG('<text x="100" font-size="20" text-anchor="middle">Cut</text>'));
+            const end = layout(parseSVG('<text x="100" font-size="20" text-anchor="end">Cut</text>'));
+
+            const width = 100 - end[0].x;
+            expect(width).toBeGreaterThan(0);
+            expect(start[0].x).toBe(100);
+            expect(middle[0].x).toBeCloseTo(100 - width / 2, 6);
+        });
+
+        it('should resolve font sizes from class rules, inline styles and ancestors', () => {
+            const svg = parseSVG('<style>.big { font-size: 24pt }</style><g font-size="10"><text class="big">A<tspan style="font-size: 50%">b</tspan></text></g>');
+            const characters = converter.collectCharacters(svg.querySelector('text'), DRYUtilities.parseClassStyles(svg), new Set());
+
+            expect(characters[0].style.fontSize).toBe(32);
+            expect(characters[1].style.fontSize).toBe(16);
+        });
+    });
+
+    describe('Conversion', () => {
+        it('should replace text with a path keeping its attributes', async () => {
+            const svg = parseSVG('<text id="label" x="5" y="20" font-size="12" fill="black" data-app-id="t1" style="font-family: Arial; opacity: 0.5">Hi</text>');
+            const result = await converter.convert(svg);
+            const path = svg.querySelector('path');
+
+            expect(result.converted).toBe(1);
+            expect(result.substitutedFonts).toEqual(['Arial']);
+            expect(svg.querySelector('text')).toBeNull();
+            expect(path.getAttribute('id')).toBe('label');
+            expect(path.getAttribute('data-app-id')).toBe('t1');
+            expect(path.getAttribute('fill')).toBe('black');
+            expect(path.getAttribute('style')).toBe('opacity: 0.5');
+            expect(path.getAttribute('font-size')).toBeNull();
+            expect(path.getAttribute('x')).toBeNull();
+            expect(path.getAttribute('d').startsWith('M')).toBeTruthy();
+        });
+
+        it('should give attributed tspans their own path', async () => {
+            const svg = parseSVG('<text id="label" data-app-id="t1" y="20">Hello <tspan data-app-id="s1" fill="red">World</tspan> <tspan data-app-id="s2">!</tspan></text>');
+            await converter.convert(svg, new Set(['s1']));
+            const paths = Array.from(svg.querySelectorAll('path'));
+
+            expect(paths.map(path => path.getAttribute('data-app-id'))).toEqual(['t1', 's1']);
+            expect(paths[1].getAttribute('id')).toBeNull();
+            expect(paths[1].getAttribute('fill')).toBe('red');
+        });
+
+        it('should leave text on a path unchanged', async () => {
+            const svg = parseSVG('<path id="curve" d="M0 0 L100 0"/><text><textPath href="#curve">Along</textPath></text>');
+            const result = await converter.convert(svg);
+
+            expect(result.skipped).toBe(1);
+            expect(svg.querySelectorAll('text').length).toBe(1);
+        });
+    });
+});
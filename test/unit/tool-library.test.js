@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for ToolLibrary
+ *
+ * Tests seeding of the default tools, adding, updating and removing tools,
+ * diameter lookup and the tool diameter suggestion buttons.
+ */
+
+describe('ToolLibrary', () => {
+    const measurementSystem = new MeasurementSystem();
+
+    const createLibrary = () => {
+        const metaData = new MetaData(measurementSystem);
+        metaData.setToolLibrary(null);
+        return new ToolLibrary(metaData, measurementSystem);
+    };
+
+    const mmToPx = (mm) => measurementSystem.convertBetweenUnits(mm, 'mm', 'px');
+
+    describe('Default Tools', () => {
+        it('should seed the library with pixel-based default tools', () => {
+            const library = createLibrary();
+            const tools = library.getTools();
+
+            expect(tools.length).toBe(ShaperConstants.DEFAULT_TOOL_LIBRARY.length);
+            const sixMm = tools.find(tool => tool.name === '6mm Upcut');
+            expect(parseFloat(sixMm.diameter)).toBeCloseTo(mmToPx(6), 6);
+            expect(sixMm.bitType).toBe('upcut');
+        });
+
+        it('should seed machining settings for the time estimate', () => {
+            const library = createLibrary();
+            const sixMm = library.getTools().find(tool => tool.name === '6mm Upcut');
+
+            expect(parseFloat(sixMm.depthPerPass)).toBeCloseTo(mmToPx(3), 6);
+            expect(library.formatFeedRate(sixMm.feedRate)).toBe('1200.0mm/min');
+            expect(sixMm.stepOver).toBe('40');
+        });
+    });
+
+    describe('Editing', () => {
+        it('should add a tool with a new id and update it by id', () => {
+            const library = createLibrary();
+            const added = library.saveTool({ name: 'V-Bit', unit: 'mm', diameter: mmToPx(12).toString(), bitType: 'engraving' });
+
+            expect(added.id).toBeTruthy();
+            expect(library.getTool(added.id).name).toBe('V-Bit');
+
+            library.saveTool({ ...added, name: '60° V-Bit' });
+            expect(library.getTool(added.id).name).toBe('60° V-Bit');
+            expect(library.getTools().length).toBe(ShaperConstants.DEFAULT_TOOL_LIBRARY.length + 1);
+        });
+
+        it('should remove a tool', () => {
+            const library = createLibrary();
+            const toolId = library.getTools()[0].id;
+
+            library.removeTool(toolId);
+            expect(library.getTool(toolId)).toBeNull();
+        });
+    });
+
+    describe('Lookup', () => {
+        it('should find a tool by diameter', () => {
+            const library = createLibrary();
+
+            expect(library.findToolByDiameter(mmToPx(3)).name).toBe('3mm Upcut');
+            expect(library.findToolByDiameter(mmToPx(4))).toBeNull();
+        });
+
+        it('should only return the remembered tool while the diameter matches', () => {
+            const library = createLibrary();
+            const tool = library.findToolByDiameter(mmToPx(8));
+            const attributes = { 'shaper:toolDia': tool.diameter, toolId: tool.id };
+
+            expect(library.getToolForAttributes(attributes).id).toBe(tool.id);
+            expect(library.getToolForAttributes({ ...attributes, 'shaper:toolDia': mmToPx(6).toString() })).toBeNull();
+        });
+    });
+
+    describe('Display', () => {
+        it('should format tool lengths with the decimal separator', () => {
+            const commaSystem = new MeasurementSystem();
+            commaSystem.setDecimalSeparator(',');
+            const library = new ToolLibrary(new MetaData(commaSystem), commaSystem);
+
+            expect(library.formatLength(mmToPx(6.35).toString())).toBe('6,35mm');
+            expect(library.formatLength('')).toBe('—');
+        });
+    });
+
+    describe('Suggestion Buttons', () => {
+        it('should create buttons for the tools of the current unit system', () => {
+            const library = createLibrary();
+            const mmButtons = library.getSuggestionButtons('mm');
+            const inchButtons = library.getSuggestionButtons('in');
+
+            expect(mmButtons.map(button => button.buttonText)).toEqual(['0.5', '3.0', '6.0', '8.0']);
+            expect(inchButtons.map(button => button.buttonText)).toEqual(['0.02', '1/8', '1/4', '5/16']);
+            expect(inchButtons[1].toolId).toBeTruthy();
+        });
+    });
+});
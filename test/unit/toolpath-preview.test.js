@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for ToolpathPreview
+ *
+ * Tests the swath bands on either side of the line per cut type, offset
+ * and tool diameter, and the preview group built from them.
+ */
+
+describe('ToolpathPreview', () => {
+    const preview = new ToolpathPreview(null, new SVGHelper());
+
+    const bands = (cutType, offset, toolDia) => preview.getBands({ cutType, offset, toolDia });
+
+    describe('Bands', () => {
+        it('should put inside and outside cuts on the cut side of the line', () => {
+            expect(bands('inside', 0, 6)).toEqual([{ from: 0, to: 6, interior: true }]);
+            expect(bands('outside', 1, 6)).toEqual([{ from: 1, to: 7, interior: false }]);
+        });
+
+        it('should move part of the swath across the line with a negative offset', () => {
+            expect(bands('outside', -2, 6)).toEqual([
+                { from: 0, to: 4, interior: false },
+                { from: 0, to: 2, interior: true }
+            ]);
+            expect(bands('inside', -8, 6)).toEqual([{ from: 2, to: 8, interior: false }]);
+        });
+
+        it('should center online cuts on the offset line', () => {
+            expect(bands('online', 0, 6)).toEqual([
+                { from: 0, to: 3, interior: false },
+                { from: 0, to: 3, interior: true }
+            ]);
+            expect(bands('online', 5, 6)).toEqual([{ from: 2, to: 8, interior: false }]);
+            expect(bands('online', -1, 6)).toEqual([
+                { from: 0, to: 2, interior: false },
+                { from: 0, to: 4, interior: true }
+            ]);
+        });
+
+        it('should fill pockets inside the offset line', () => {
+            expect(bands('pocket', 0, 0)).toEqual([{ from: 0, to: Infinity, interior: true }]);
+            expect(bands('pocket', 2, 6)).toEqual([{ from: 2, to: Infinity, interior: true }]);
+        });
+
+        it('should clear everything out to a negative pocket offset', () => {
+            expect(bands('pocket', -10, 6)).toEqual([
+                { from: 0, to: Infinity, interior: true },
+                { from: 0, to: 10, interior: false }
+            ]);
+        });
+    });
+
+    describe('Preview Group', () => {
+        const createElement = () => {
+            const svg = new DOMParser().parseFromString(
+                '<svg xmlns="http://www.w3.org/2000/svg"><rect data-app-id="a" x="10" y="10" width="50" height="30"/></svg>',
+                'image/svg+xml').documentElement;
+            const rect = svg.querySelector('rect');
+            rect.getBBox = () => ({ x: 10, y: 10, width: 50, height: 30 });
+            return rect;
+        };
+
+        it('should stroke an online cut without offset to the tool diameter', () => {
+            const group = preview.createPreview(createElement(), { cutType: 'online', offset: 0, toolDia: 6 });
+
+            expect(group.classList.contains(ShaperConstants.CSS_CLASSES.NO_EXPORT)).toBeTruthy();
+            expect(group.querySelectorAll('mask').length).toBe(0);
+            expect(group.querySelector('.toolpath-swath').getAttribute('stroke-width')).toBe('6');
+        });
+
+        it('should mask one band per side of an offset online cut', () => {
+            const group = preview.createPreview(createElement(), { cutType: 'online', offset: -1, toolDia: 6 });
+            const swaths = Array.from(group.querySelectorAll('.toolpath-swath'));
+
+            expect(group.querySelectorAll('mask').length).toBe(2);
+            expect(swaths.map(swath => swath.getAttribute('stroke-width'))).toEqual(['4', '8']);
+            expect(group.querySelectorAll('clipPath').length).toBe(1);
+        });
+
+        it('should fill a pocket and add the ring outside the line', () => {
+            const group = preview.createPreview(createElement(), { cutType: 'pocket', offset: -10, toolDia: 6 });
+            const ringMask = group.querySelectorAll('mask')[1];
+
+            expect(group.querySelectorAll('.toolpath-fill').length).toBe(1);
+            expect(Array.from(ringMask.children).map(shape => shape.getAttribute('stroke-width'))).toEqual(['20', null]);
+        });
+    });
+});